@@ -0,0 +1,153 @@
+// GlyphScope 벤치마크
+// - 수 MB 크기의 입력을 만들어 analyzeText / tokenize / classifyCodePoints 처리량(MB/s)을 잽니다.
+// - 입력은 고정 시드로 만들므로 실행할 때마다 같습니다.
+//
+// 사용법: npm run bench -- [--size <MB>] [--runs <n>] [--data <auto|native|bundled>] [--only <이름>]
+
+'use strict';
+
+import { performance } from 'perf_hooks';
+import { analyzeText, classifyCodePoints, createClassifier, tokenize } from '../src/index.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 인자
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * @param {string[]} argv
+ * @returns {{ size: number, runs: number, data: string, only: string | null }}
+ */
+function parseArgs(argv) {
+    const opts = { size: 4, runs: 3, data: 'auto', only: null };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`Option --${name} needs a value.`);
+        if (name === 'size' || name === 'runs') {
+            opts[name] = Number(value);
+            if (!(opts[name] > 0)) throw new Error(`--${name} must be a positive number.`);
+        } else if (name === 'data' || name === 'only') {
+            opts[name] = value;
+        } else {
+            throw new Error(`Unknown option: ${argv[i - 1]}`);
+        }
+    }
+    return opts;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 입력 생성
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 고정 시드 의사 난수(mulberry32)
+ * @param {number} seed
+ * @returns {() => number} - [0, 1)
+ */
+function random(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** 입력 종류 → 조각 목록(조각을 무작위로 이어 붙여 입력을 만듭니다) */
+const CORPORA = {
+    latin: ['The ', 'quick ', 'brown ', 'fox ', 'jumps ', 'over ', 'the ', 'lazy ', 'dog. ', '2024, ', '(see §3) ', '\n'],
+    mixed: [
+        '안녕하세요 ', '세계 ', 'GlyphScope ', '분석 ', '😀 ', '\u{1F468}\u200D\u{1F469}\u200D\u{1F467} ', '🇰🇷 ', '日本語の', 'テキスト ', '中文字符 ',
+        'Ελληνικά ', 'Русский ', 'العربية ', 'हिन्दी ', '１２３ ', '\u200B', '\t', '\n',
+    ],
+    cjk: ['漢字', '東京都', '北京市', '한국어', '조선말', 'ひらがな', 'カタカナ', '。', '、', '「', '」', '\n'],
+};
+
+/**
+ * UTF-8 기준 약 size MB의 입력을 만듭니다.
+ * - 'random'은 모든 평면의 할당 여부와 무관한 코드포인트를 고르게 섞습니다(캐시에 불리한 입력).
+ * @param {string} kind
+ * @param {number} size - MB
+ * @returns {string}
+ */
+function makeInput(kind, size) {
+    const next = random(0x5EED);
+    const bytes = Math.round(size * 1024 * 1024);
+    const parts = [];
+    let length = 0;
+
+    if (kind === 'random') {
+        while (length < bytes) {
+            let cp = Math.floor(next() * 0x110000);
+            if (cp >= 0xD800 && cp <= 0xDFFF) cp -= 0x800;
+            parts.push(String.fromCodePoint(cp));
+            length += cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+        }
+        return parts.join('');
+    }
+
+    const pieces = CORPORA[kind];
+    const sizes = pieces.map((p) => Buffer.byteLength(p));
+    while (length < bytes) {
+        const i = Math.floor(next() * pieces.length);
+        parts.push(pieces[i]);
+        length += sizes[i];
+    }
+    return parts.join('');
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 측정
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * fn을 runs번 실행해 가장 빠른 시간(ms)을 반환합니다(첫 실행 전에 한 번 예열).
+ * @param {() => void} fn
+ * @param {number} runs
+ * @returns {number}
+ */
+function measure(fn, runs) {
+    fn();
+    let best = Infinity;
+    for (let i = 0; i < runs; i++) {
+        const start = performance.now();
+        fn();
+        best = Math.min(best, performance.now() - start);
+    }
+    return best;
+}
+
+/**
+ * @param {ReturnType<typeof parseArgs>} opts
+ */
+function main(opts) {
+    const { data, runs } = opts;
+    const cases = [
+        ['analyzeText', (text) => analyzeText(text, { data, maxChars: 0 })],
+        ['analyzeText sub', (text) => analyzeText(text, { data, granularity: 'sub', maxChars: 0 })],
+        ['analyzeText grapheme', (text) => analyzeText(text, { data, unit: 'grapheme', maxChars: 0 })],
+        ['tokenize', (text) => tokenize(text, { data })],
+        ['classifyCodePoints', (text, cps) => classifyCodePoints(cps, { data })],
+        // 블록 표를 매번 처음부터 채우는 경우(캐시가 없는 첫 호출의 비용)
+        ['cold classifier', (text, cps) => createClassifier({ data }).classifyCodePoints(cps)],
+    ];
+
+    console.log(`GlyphScope benchmark — ${opts.size} MB per input, best of ${runs}, data: ${data}`);
+    console.log(`${'input'.padEnd(8)}  ${'case'.padEnd(22)}  ${'ms'.padStart(9)}  ${'MB/s'.padStart(8)}`);
+
+    for (const kind of ['latin', 'mixed', 'cjk', 'random']) {
+        const text = makeInput(kind, opts.size);
+        const cps = Uint32Array.from(text, (c) => c.codePointAt(0));
+        const mb = Buffer.byteLength(text) / (1024 * 1024);
+
+        for (const [name, fn] of cases) {
+            if (opts.only && name !== opts.only) continue;
+            const ms = measure(() => fn(text, cps), runs);
+            console.log(`${kind.padEnd(8)}  ${name.padEnd(22)}  ${ms.toFixed(1).padStart(9)}  ${(mb / (ms / 1000)).toFixed(1).padStart(8)}`);
+        }
+    }
+}
+
+main(parseArgs(process.argv.slice(2)));
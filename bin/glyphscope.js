@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+// GlyphScope — 명령줄 도구
+// - 파일/글롭/표준 입력을 analyzeText와 같은 방식으로 분석하여 표, JSON, CSV로 출력합니다.
+// - --fail-on으로 지정한 분류의 문자가 있으면 위치(파일:줄:열)를 알리고 종료 코드 1로 끝납니다(CI용).
+//
+// 사용법:
+//   glyphscope [options] [file|glob ...]
+//   cat file.txt | glyphscope --format json
+//
+// 종료 코드: 0 정상, 1 --fail-on 위반, 2 사용법/입출력 오류(분류기가 낼 수 없는 --fail-on 카테고리 포함)
+
+'use strict';
+
+import { createReadStream, readFileSync, readdirSync, statSync } from 'fs';
+import { join, relative, sep } from 'path';
+import { createAnalyzer, createPolicy, getCharacterType, measureWidth, padToWidth } from '../src/index.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 인자 파싱
+ * ------------------------------------------------------------------------------------------------ */
+
+const USAGE = `Usage: glyphscope [options] [file|glob ...]
+
+Analyze the characters in files, globs or standard input (when no file is given, or "-").
+
+Options:
+  -g, --granularity <main|sub>      Category level (default: main)
+  -u, --unit <codepoint|grapheme>   Counting unit (default: codepoint)
+  -f, --format <table|json|csv>     Output format (default: table)
+      --max-chars <n>               Unique characters kept per category in JSON (default: 20)
+      --data <auto|native|bundled>  Unicode property source (default: auto)
+      --taxonomy <v1|v2>            Sub-category scheme used with -g sub (default: v1)
+      --fail-on <category>          Exit with code 1 if a character of this category is found.
+                                    Matches "Main", "Main:Sub" or a "Main:Sub" prefix
+                                    (e.g. "Whitespace:Invisible"). Repeatable or comma-separated.
+  -q, --quiet                       Only report --fail-on hits
+  -h, --help                        Show this help
+  -v, --version                     Show the version
+
+Examples:
+  glyphscope README.md 'docs/**/*.md'
+  git diff --name-only | xargs glyphscope --fail-on Control,Format --fail-on 'Whitespace:Invisible:Zero Width'
+`;
+
+/** 사용법 오류(종료 코드 2) */
+class UsageError extends Error {}
+
+/** 값을 받는 옵션: 긴 이름 → 짧은 이름 */
+const VALUE_OPTIONS = {
+    granularity: 'g', unit: 'u', format: 'f', 'max-chars': null, data: null, taxonomy: null, 'fail-on': null,
+};
+
+/**
+ * 명령줄 인자를 파싱합니다.
+ * @param {string[]} argv
+ * @returns {{ granularity: string, unit: string, format: string, maxChars: number, data: string, taxonomy: string,
+ *             failOn: string[], quiet: boolean, help: boolean, version: boolean, inputs: string[] }}
+ */
+function parseArgs(argv) {
+    const opts = {
+        granularity: 'main', unit: 'codepoint', format: 'table', maxChars: 20, data: 'auto', taxonomy: 'v1',
+        failOn: [], quiet: false, help: false, version: false, inputs: [],
+    };
+    const shortToLong = {};
+    for (const long of Object.keys(VALUE_OPTIONS)) {
+        if (VALUE_OPTIONS[long]) shortToLong[VALUE_OPTIONS[long]] = long;
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            opts.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-' || !arg.startsWith('-')) {
+            opts.inputs.push(arg);
+            continue;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+            if (eq !== -1) value = arg.slice(eq + 1);
+        } else {
+            name = shortToLong[arg.slice(1, 2)] || arg.slice(1, 2);
+            if (arg.length > 2) value = arg.slice(2);
+        }
+
+        if (name === 'help' || name === 'h') { opts.help = true; continue; }
+        if (name === 'version' || name === 'v') { opts.version = true; continue; }
+        if (name === 'quiet' || name === 'q') { opts.quiet = true; continue; }
+        if (!Object.prototype.hasOwnProperty.call(VALUE_OPTIONS, name)) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (value === undefined) {
+            if (i + 1 >= argv.length) throw new UsageError(`Option --${name} needs a value.`);
+            value = argv[++i];
+        }
+
+        switch (name) {
+            case 'granularity':
+                if (value !== 'main' && value !== 'sub') throw new UsageError('--granularity must be main or sub.');
+                opts.granularity = value;
+                break;
+            case 'unit':
+                if (value !== 'codepoint' && value !== 'grapheme') {
+                    throw new UsageError('--unit must be codepoint or grapheme.');
+                }
+                opts.unit = value;
+                break;
+            case 'format':
+                if (value !== 'table' && value !== 'json' && value !== 'csv') {
+                    throw new UsageError('--format must be table, json or csv.');
+                }
+                opts.format = value;
+                break;
+            case 'max-chars':
+                if (!/^\d+$/.test(value)) throw new UsageError('--max-chars must be a non-negative integer.');
+                opts.maxChars = Number(value);
+                break;
+            case 'data':
+                if (value !== 'auto' && value !== 'native' && value !== 'bundled') {
+                    throw new UsageError('--data must be auto, native or bundled.');
+                }
+                opts.data = value;
+                break;
+            case 'taxonomy':
+                if (value !== 'v1' && value !== 'v2') throw new UsageError('--taxonomy must be v1 or v2.');
+                opts.taxonomy = value;
+                break;
+            case 'fail-on':
+                for (const c of value.split(',')) {
+                    if (c.trim()) opts.failOn.push(c.trim());
+                }
+                break;
+        }
+    }
+    checkFailOn(opts);
+    return opts;
+}
+
+/**
+ * --fail-on 카테고리가 분류기가 낼 수 있는 라벨(또는 그 ':' 접두사)인지 검사합니다.
+ * - 오타난 카테고리는 아무 글자에도 걸리지 않아 CI 검사가 조용히 통과하므로 사용법 오류로 다룹니다.
+ * - 라벨 검사는 createPolicy의 것을 그대로 씁니다.
+ * @param {ReturnType<typeof parseArgs>} opts
+ */
+function checkFailOn(opts) {
+    if (opts.failOn.length === 0) return;
+    try {
+        createPolicy({ deny: opts.failOn, data: opts.data, taxonomy: opts.taxonomy });
+    } catch (err) {
+        if (!(err instanceof RangeError)) throw err;
+        const label = opts.failOn.find((c) => err.message.includes(`"${c}"`));
+        throw new UsageError(`Unknown --fail-on category: ${label}`);
+    }
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 글롭 확장
+ *    - 셸이 글롭을 풀지 않는 환경(Windows 등)을 위해 *, **, ?, [...], {a,b}를 직접 지원합니다.
+ *    - **로 디렉터리를 내려갈 때 점(.)으로 시작하는 디렉터리와 node_modules는 건너뜁니다.
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 글롭 특수 문자 포함 여부 */
+const RE_GLOB_MAGIC = /[*?[{]/;
+
+/**
+ * 글롭 패턴을 정규식으로 변환합니다('/' 구분 경로 기준).
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const escape = (s) => s.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                i++;
+                if (glob[i + 1] === '/') {
+                    i++;
+                    re += '(?:.*/)?';
+                } else {
+                    re += '.*';
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const end = glob.indexOf(']', i + 2);
+            const body = glob.slice(i + 1, end);
+            re += `[${body[0] === '!' ? `^${body.slice(1)}` : body}]`;
+            i = end;
+        } else if (c === '{' && glob.indexOf('}', i) !== -1) {
+            const end = glob.indexOf('}', i);
+            re += `(?:${glob.slice(i + 1, end).split(',').map(escape).join('|')})`;
+            i = end;
+        } else {
+            re += escape(c);
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+/**
+ * 디렉터리 아래의 파일을 재귀적으로 나열합니다.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function walk(dir) {
+    const out = [];
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+            out.push(...walk(path));
+        } else if (entry.isFile()) {
+            out.push(path);
+        }
+    }
+    return out;
+}
+
+/**
+ * 입력 인자(파일 경로 또는 글롭)를 파일 목록으로 펼칩니다.
+ * @param {string[]} inputs
+ * @returns {string[]} - '-'는 표준 입력
+ */
+function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (input === '-' || !RE_GLOB_MAGIC.test(input)) {
+            files.push(input);
+            continue;
+        }
+        const pattern = input.split(sep).join('/');
+        const parts = pattern.split('/');
+        const firstMagic = parts.findIndex((p) => RE_GLOB_MAGIC.test(p));
+        const base = parts.slice(0, firstMagic).join('/') || '.';
+        const re = globToRegExp(parts.slice(firstMagic).join('/'));
+
+        let matches = [];
+        try {
+            matches = walk(base).filter((f) => re.test(relative(base, f).split(sep).join('/')));
+        } catch {
+            // 기준 디렉터리가 없으면 일치하는 파일이 없는 것으로 봅니다.
+        }
+        if (matches.length === 0) throw new UsageError(`No files match: ${input}`);
+        files.push(...matches.sort());
+    }
+    return files;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 분석
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 분류 라벨이 --fail-on 카테고리에 해당하는지 검사합니다.
+ * @param {{ main: string, sub?: string }} type
+ * @param {string[]} failOn
+ * @returns {string|null} - 해당하면 'main' 또는 'main:sub' 라벨
+ */
+function matchFailOn(type, failOn) {
+    const full = type.sub ? `${type.main}:${type.sub}` : type.main;
+    for (const c of failOn) {
+        if (c === type.main || c === full || full.startsWith(`${c}:`)) return full;
+    }
+    return null;
+}
+
+/**
+ * 코드포인트를 'U+XXXX' 형식으로 씁니다.
+ * @param {number} cp
+ * @returns {string}
+ */
+function formatCodePoint(cp) {
+    return `U+${cp.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * 입력 하나를 스트림으로 읽으며 분석합니다.
+ * @param {string} file - 파일 경로 또는 '-'(표준 입력)
+ * @param {ReturnType<typeof parseArgs>} opts
+ * @returns {Promise<{ file: string, result: object, hits: Array<{ line: number, column: number, cp: number, label: string }> }>}
+ */
+async function analyzeInput(file, opts) {
+    const name = file === '-' ? '<stdin>' : file;
+    if (file !== '-' && statSync(file).isDirectory()) {
+        throw new UsageError(`${file} is a directory (use a glob such as '${file}/**/*')`);
+    }
+    const stream = file === '-' ? process.stdin : createReadStream(file);
+    stream.setEncoding('utf8');
+
+    const analyzer = createAnalyzer({
+        granularity: opts.granularity, unit: opts.unit, data: opts.data, taxonomy: opts.taxonomy,
+        maxChars: opts.format === 'json' ? opts.maxChars : 0,
+    });
+    const hits = [];
+
+    // --fail-on 위치 추적(줄은 LF, CRLF, CR로 구분; 열은 UTF-16 기준, 1부터)
+    let line = 1;
+    let column = 1;
+    let prevCR = false;
+
+    for await (const chunk of stream) {
+        analyzer.push(chunk);
+        if (opts.failOn.length === 0) continue;
+
+        for (const ch of chunk) {
+            const cp = ch.codePointAt(0);
+            const label = matchFailOn(getCharacterType(ch, { data: opts.data, taxonomy: opts.taxonomy }), opts.failOn);
+            if (label) hits.push({ line, column, cp, label });
+
+            if (cp === 0x0A) {
+                if (!prevCR) line++;
+                column = 1;
+            } else if (cp === 0x0D) {
+                line++;
+                column = 1;
+            } else {
+                column += ch.length;
+            }
+            prevCR = cp === 0x0D;
+        }
+    }
+    return { file: name, result: analyzer.result(), hits };
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 4. 출력
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * CSV 필드를 인용합니다.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * 분석 결과를 출력 형식에 맞게 문자열로 만듭니다.
+ * @param {Array<{ file: string, result: { total: number, breakdown: object } }>} reports
+ * @param {string} format
+ * @returns {string}
+ */
+function render(reports, format) {
+    if (format === 'json') {
+        return `${JSON.stringify(reports.map(({ file, result }) => ({ file, ...result })), null, 2)}\n`;
+    }
+
+    if (format === 'csv') {
+        const rows = ['file,category,count,ratio'];
+        for (const { file, result } of reports) {
+            for (const [label, b] of Object.entries(result.breakdown)) {
+                rows.push([file, label, b.count, b.ratio].map(csvField).join(','));
+            }
+        }
+        return `${rows.join('\n')}\n`;
+    }
+
+    const blocks = reports.map(({ file, result }) => {
+        const rows = Object.entries(result.breakdown)
+            .sort((a, b) => b[1].count - a[1].count)
+            .map(([label, b]) => [label, String(b.count), `${b.ratio.toFixed(2)}%`]);
+        const header = ['Category', 'Count', 'Ratio'];
+        // 라벨에 전각 문자가 있어도 열이 맞도록 표시 폭으로 정렬합니다.
+        const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => measureWidth(r[i]))));
+        const fmt = (r) => [
+            padToWidth(r[0], widths[0]),
+            padToWidth(r[1], widths[1], { align: 'right' }),
+            padToWidth(r[2], widths[2], { align: 'right' }),
+        ].join('  ');
+
+        return [
+            `${file} (${result.total} characters)`,
+            fmt(header),
+            widths.map((w) => '-'.repeat(w)).join('  '),
+            ...rows.map(fmt),
+        ].join('\n');
+    });
+    return `${blocks.join('\n\n')}\n`;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 5. 실행
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * @param {string[]} argv
+ * @returns {Promise<number>} - 종료 코드
+ */
+async function main(argv) {
+    const opts = parseArgs(argv);
+    if (opts.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (opts.version) {
+        const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+        process.stdout.write(`${pkg.version}\n`);
+        return 0;
+    }
+
+    if (opts.inputs.length === 0) {
+        if (process.stdin.isTTY) throw new UsageError('No input. Pass files or pipe text to standard input.');
+        opts.inputs.push('-');
+    }
+
+    const reports = [];
+    for (const file of expandInputs(opts.inputs)) {
+        reports.push(await analyzeInput(file, opts));
+    }
+
+    if (!opts.quiet) process.stdout.write(render(reports, opts.format));
+
+    let failures = 0;
+    for (const { file, hits } of reports) {
+        for (const h of hits) {
+            process.stderr.write(`${file}:${h.line}:${h.column}: ${formatCodePoint(h.cp)} ${h.label}\n`);
+            failures++;
+        }
+    }
+    if (failures > 0) {
+        process.stderr.write(`glyphscope: ${failures} character(s) matched --fail-on ${opts.failOn.join(',')}\n`);
+        return 1;
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+}, (err) => {
+    const message = err instanceof UsageError || err.code === 'ENOENT' ? err.message : err.stack;
+    process.stderr.write(`glyphscope: ${message}\n`);
+    if (err instanceof UsageError) process.stderr.write('Run "glyphscope --help" for usage.\n');
+    process.exitCode = 2;
+});
@@ -1,6 +1,6 @@
 export default [
   {
-    files: ["src/**/*.js"],
+    files: ["src/**/*.js", "bin/**/*.js"],
     languageOptions: {
       ecmaVersion: "latest",
       sourceType: "module",
@@ -0,0 +1,245 @@
+// GlyphScope — 테스트용 글꼴 생성기
+// - loadFontCoverage/checkCoverage 테스트에 쓰는 아주 작은 글꼴을 test/fixtures/ 아래에 만듭니다.
+// - 글꼴에는 'cmap' 표만 들어 있습니다(글리프 윤곽 없음). 지원 범위 판정에는 cmap만 쓰기 때문입니다.
+// - 생성된 파일은 저장소에 커밋하며, 출력은 실행할 때마다 같습니다.
+//
+// 사용법:
+//   npm run generate:test-fonts
+//
+// 만드는 파일:
+//   cmap4.ttf   — (3,1) 형식 4 하위 표(idDelta 구간과 glyphIdArray 구간)
+//   cmap12.ttf  — (3,10) 형식 12 하위 표 + 읽지 않아야 하는 (1,0) 형식 0 하위 표(매킨토시 로마자)
+//   cmap4.woff, cmap12.woff — 위 글꼴을 WOFF 1.0으로 감싼 것(zlib으로 작아지는 표만 압축)
+
+'use strict';
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { deflateSync } from 'node:zlib';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUT_DIR = join(ROOT, 'test', 'fixtures');
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. cmap 하위 표
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 형식 0 하위 표(바이트 부호 → 글리프 번호)
+ * @param {(code: number) => number} glyphOf - 0..255의 글리프 번호(0이면 글리프 없음)
+ * @returns {Buffer}
+ */
+function cmapFormat0(glyphOf) {
+    const out = Buffer.alloc(262);
+    out.writeUInt16BE(0, 0);
+    out.writeUInt16BE(out.length, 2);
+    for (let code = 0; code < 256; code++) out[6 + code] = glyphOf(code);
+    return out;
+}
+
+/**
+ * 형식 4 하위 표(BMP 구간 매핑)
+ * - 구간은 { start, end, delta }(idDelta만 씀) 또는 { start, glyphs }(glyphIdArray를 씀)로 줍니다.
+ * - 끝 표시 구간(0xFFFF)은 자동으로 덧붙입니다.
+ * @param {Array<{ start: number, end?: number, delta?: number, glyphs?: number[] }>} segments
+ * @returns {Buffer}
+ */
+function cmapFormat4(segments) {
+    const segs = segments.concat([{ start: 0xFFFF, end: 0xFFFF, delta: 1 }]);
+    const segCount = segs.length;
+    const glyphArray = [];
+    const fields = segs.map((seg, s) => {
+        if (!seg.glyphs) return { start: seg.start, end: seg.end, delta: seg.delta, rangeOffset: 0 };
+        // idRangeOffset: 자기 자리에서 glyphIdArray의 해당 위치까지의 바이트 거리
+        const rangeOffset = (segCount - s + glyphArray.length) * 2;
+        glyphArray.push(...seg.glyphs);
+        return { start: seg.start, end: seg.start + seg.glyphs.length - 1, delta: 0, rangeOffset };
+    });
+
+    const entrySelector = Math.floor(Math.log2(segCount));
+    const searchRange = 2 ** entrySelector * 2;
+    const out = Buffer.alloc(16 + segCount * 8 + glyphArray.length * 2);
+    out.writeUInt16BE(4, 0);
+    out.writeUInt16BE(out.length, 2);
+    out.writeUInt16BE(segCount * 2, 6);
+    out.writeUInt16BE(searchRange, 8);
+    out.writeUInt16BE(entrySelector, 10);
+    out.writeUInt16BE(segCount * 2 - searchRange, 12);
+    const ends = 14;
+    const starts = ends + segCount * 2 + 2;
+    const deltas = starts + segCount * 2;
+    const rangeOffsets = deltas + segCount * 2;
+    fields.forEach((f, s) => {
+        out.writeUInt16BE(f.end, ends + s * 2);
+        out.writeUInt16BE(f.start, starts + s * 2);
+        out.writeUInt16BE(f.delta & 0xFFFF, deltas + s * 2);
+        out.writeUInt16BE(f.rangeOffset, rangeOffsets + s * 2);
+    });
+    glyphArray.forEach((g, i) => out.writeUInt16BE(g, rangeOffsets + segCount * 2 + i * 2));
+    return out;
+}
+
+/**
+ * 형식 12 하위 표(구간 → 연속 글리프 번호)
+ * @param {Array<[number, number, number]>} groups - [시작, 끝, 시작 글리프 번호]
+ * @returns {Buffer}
+ */
+function cmapFormat12(groups) {
+    const out = Buffer.alloc(16 + groups.length * 12);
+    out.writeUInt16BE(12, 0);
+    out.writeUInt32BE(out.length, 4);
+    out.writeUInt32BE(groups.length, 12);
+    groups.forEach(([start, end, glyph], g) => {
+        out.writeUInt32BE(start, 16 + g * 12);
+        out.writeUInt32BE(end, 20 + g * 12);
+        out.writeUInt32BE(glyph, 24 + g * 12);
+    });
+    return out;
+}
+
+/**
+ * cmap 표(인코딩 레코드 + 하위 표)
+ * @param {Array<[number, number, Buffer]>} subtables - [플랫폼, 인코딩, 하위 표]
+ * @returns {Buffer}
+ */
+function cmapTable(subtables) {
+    const header = Buffer.alloc(4 + subtables.length * 8);
+    header.writeUInt16BE(subtables.length, 2);
+    let offset = header.length;
+    subtables.forEach(([platform, encoding, data], i) => {
+        header.writeUInt16BE(platform, 4 + i * 8);
+        header.writeUInt16BE(encoding, 6 + i * 8);
+        header.writeUInt32BE(offset, 8 + i * 8);
+        offset += data.length;
+    });
+    return Buffer.concat([header].concat(subtables.map((s) => s[2])));
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. sfnt / WOFF 컨테이너
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 4바이트 경계로 채웁니다.
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pad4(data) {
+    return data.length % 4 ? Buffer.concat([data, Buffer.alloc(4 - (data.length % 4))]) : data;
+}
+
+/**
+ * sfnt 표 검사합(32비트 단위 합)
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function checksum(data) {
+    const padded = pad4(data);
+    let sum = 0;
+    for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+    return sum;
+}
+
+/**
+ * TrueType(sfnt) 글꼴
+ * @param {Record<string, Buffer>} tables - 태그 → 표 데이터
+ * @returns {Buffer}
+ */
+function sfnt(tables) {
+    const tags = Object.keys(tables).sort();
+    const entrySelector = Math.floor(Math.log2(tags.length));
+    const searchRange = 2 ** entrySelector * 16;
+    const header = Buffer.alloc(12 + tags.length * 16);
+    header.writeUInt32BE(0x00010000, 0);
+    header.writeUInt16BE(tags.length, 4);
+    header.writeUInt16BE(searchRange, 6);
+    header.writeUInt16BE(entrySelector, 8);
+    header.writeUInt16BE(tags.length * 16 - searchRange, 10);
+    let offset = header.length;
+    const bodies = tags.map((tag, i) => {
+        const data = tables[tag];
+        const record = 12 + i * 16;
+        header.write(tag, record, 'latin1');
+        header.writeUInt32BE(checksum(data), record + 4);
+        header.writeUInt32BE(offset, record + 8);
+        header.writeUInt32BE(data.length, record + 12);
+        offset += pad4(data).length;
+        return pad4(data);
+    });
+    return Buffer.concat([header].concat(bodies));
+}
+
+/**
+ * WOFF 1.0 글꼴(zlib으로 작아지는 표만 압축)
+ * @param {Record<string, Buffer>} tables - 태그 → 표 데이터
+ * @returns {Buffer}
+ */
+function woff(tables) {
+    const tags = Object.keys(tables).sort();
+    const header = Buffer.alloc(44 + tags.length * 20);
+    let offset = header.length;
+    const bodies = tags.map((tag, i) => {
+        const data = tables[tag];
+        const packed = deflateSync(data, { level: 9 });
+        const stored = packed.length < data.length ? packed : data;
+        const entry = 44 + i * 20;
+        header.write(tag, entry, 'latin1');
+        header.writeUInt32BE(offset, entry + 4);
+        header.writeUInt32BE(stored.length, entry + 8);
+        header.writeUInt32BE(data.length, entry + 12);
+        header.writeUInt32BE(checksum(data), entry + 16);
+        offset += pad4(stored).length;
+        return pad4(stored);
+    });
+    header.write('wOFF', 0, 'latin1');
+    header.writeUInt32BE(0x00010000, 4);
+    header.writeUInt32BE(offset, 8);
+    header.writeUInt16BE(tags.length, 12);
+    header.writeUInt32BE(sfnt(tables).length, 16);
+    header.writeUInt16BE(1, 20);
+    return Buffer.concat([header].concat(bodies));
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 출력
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 글꼴 파일을 씁니다.
+ * @param {string} file - test/fixtures/ 아래 파일명
+ * @param {Buffer} data
+ */
+function writeFont(file, data) {
+    mkdirSync(OUT_DIR, { recursive: true });
+    writeFileSync(join(OUT_DIR, file), data);
+    console.log(`wrote test/fixtures/${file} (${data.length} bytes)`);
+}
+
+// 형식 4: ASCII 출력 문자(idDelta) + 한글 음절 4자 중 U+AC02만 글리프 0(glyphIdArray)
+const cmap4 = {
+    cmap: cmapTable([
+        [3, 1, cmapFormat4([
+            { start: 0x0020, end: 0x007E, delta: 1 - 0x0020 },
+            { start: 0xAC00, glyphs: [96, 97, 0, 98] },
+        ])],
+    ]),
+};
+
+// 형식 12: 숫자(첫 글리프 번호가 0이라 U+0030은 없음), 라틴 대문자, 이모티콘 블록.
+// 형식 0 하위 표는 유니코드 인코딩이 아니므로 0x80..0xFF를 덮더라도 결과에 나오면 안 됩니다.
+const cmap12 = {
+    cmap: cmapTable([
+        [1, 0, cmapFormat0((code) => (code >= 0x80 ? code : 0))],
+        [3, 10, cmapFormat12([
+            [0x0030, 0x0039, 0],
+            [0x0041, 0x005A, 10],
+            [0x1F600, 0x1F64F, 36],
+        ])],
+    ]),
+};
+
+writeFont('cmap4.ttf', sfnt(cmap4));
+writeFont('cmap4.woff', woff(cmap4));
+writeFont('cmap12.ttf', sfnt(cmap12));
+writeFont('cmap12.woff', woff(cmap12));
@@ -0,0 +1,557 @@
+// GlyphScope — 유니코드 데이터 테이블 생성기
+// - data/ucd/*.txt(UCD 원본 형식)와 data/security/*.txt(UTS #39)를 읽어 src/data/ 아래의 압축 테이블 모듈을
+//   생성합니다.
+// - 생성된 파일은 저장소에 커밋하며, 런타임에는 이 스크립트가 필요 없습니다.
+// - 마지막으로 src/index.js의 분류 단계로 전체 코드포인트를 분류해 src/data/categories.js를 만듭니다.
+//   분류 단계(src/index.js)를 고친 뒤에도 다시 실행하세요.
+//
+// 사용법:
+//   npm run generate:unicode
+//
+// UCD 버전을 올릴 때는 data/ucd/의 텍스트 파일을 교체하고 UNICODE_VERSION을 함께 수정하세요.
+// (data/security/는 SECURITY_VERSION)
+
+'use strict';
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = join(ROOT, 'data');
+const OUT_DIR = join(ROOT, 'src', 'data');
+
+/** data/ucd/의 UCD 버전 */
+const UNICODE_VERSION = '16.0.0';
+
+/** data/security/의 UTS #39 데이터 버전(UNICODE_VERSION과 다르면 생성할 때 경고합니다) */
+const SECURITY_VERSION = '16.0.0';
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. UCD 파일 파싱
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * UCD 형식(세미콜론 구분, # 주석) 파일을 읽습니다.
+ * @param {string} name - data/ucd/ 아래 파일명(다른 디렉터리는 'security/confusables.txt'처럼 data/ 기준 경로)
+ * @returns {Array<string[]>} - 각 데이터 줄의 필드 목록(앞뒤 공백 제거)
+ */
+function readUcdLines(name) {
+    const text = readFileSync(join(DATA_DIR, _dataPath(name)), 'utf8');
+    const out = [];
+    for (const raw of text.split('\n')) {
+        const line = raw.replace(/#.*$/, '').trim();
+        if (!line) continue;
+        out.push(line.split(';').map((f) => f.trim()));
+    }
+    return out;
+}
+
+/**
+ * 파일명을 data/ 기준 경로로 바꿉니다(디렉터리가 없으면 ucd/).
+ * @param {string} name
+ * @returns {string}
+ */
+function _dataPath(name) {
+    return name.includes('/') ? name : `ucd/${name}`;
+}
+
+/**
+ * 'XXXX' 또는 'XXXX..YYYY' 형식의 코드포인트 범위를 파싱합니다.
+ * @param {string} field
+ * @returns {[number, number]}
+ */
+function parseRange(field) {
+    const [a, b] = field.split('..');
+    const from = parseInt(a, 16);
+    return [from, b === undefined ? from : parseInt(b, 16)];
+}
+
+/**
+ * 범위 → 값 형식의 파일을 읽습니다(예: Scripts.txt).
+ * @param {string} name
+ * @returns {Array<{ from: number, to: number, value: string }>}
+ */
+function readRangeValues(name) {
+    return readUcdLines(name).map(([range, value]) => {
+        const [from, to] = parseRange(range);
+        return { from, to, value };
+    });
+}
+
+/**
+ * '# @missing:' 줄(목록에 없는 코드포인트의 기본값)을 읽습니다.
+ * @param {string} name
+ * @returns {Array<{ from: number, to: number, value: string }>} - 파일에 적힌 순서(넓은 범위가 먼저)
+ */
+function readMissingValues(name) {
+    const text = readFileSync(join(DATA_DIR, _dataPath(name)), 'utf8');
+    const out = [];
+    for (const raw of text.split('\n')) {
+        const m = /^#\s*@missing:\s*([0-9A-Fa-f.]+)\s*;\s*(\S+)/.exec(raw);
+        if (!m) continue;
+        const [from, to] = parseRange(m[1]);
+        out.push({ from, to, value: m[2] });
+    }
+    return out;
+}
+
+/**
+ * 목록에 없는 코드포인트를 범위별 기본값으로 채웁니다(전체 범위 기본값은 encodeRuns의 defaultValue로).
+ * @param {Array<{ from: number, to: number, value: string }>} entries
+ * @param {Array<{ from: number, to: number, value: string }>} defaults - 전체 범위가 아닌 @missing 항목
+ * @returns {Array<{ from: number, to: number, value: string }>}
+ */
+function fillMissing(entries, defaults) {
+    const sorted = entries.slice().sort((x, y) => x.from - y.from);
+    const out = sorted.slice();
+    for (const d of defaults) {
+        let next = d.from;
+        for (const { from, to } of sorted) {
+            if (to < next || from > d.to) continue;
+            if (from > next) out.push({ from: next, to: from - 1, value: d.value });
+            next = to + 1;
+        }
+        if (next <= d.to) out.push({ from: next, to: d.to, value: d.value });
+    }
+    return out;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 인코딩
+ *
+ * - 구간 테이블(runs): 전체 코드포인트 공간(0..10FFFF)을 같은 값의 연속 구간으로 나눈 뒤,
+ *   각 구간을 "<길이(base36)><값 인덱스(base36, 고정 폭)>"으로 적고 공백으로 구분합니다.
+ * - 범위 집합(ranges): 이진 속성을 "<직전 범위 끝과의 간격(base36)>.<길이(base36)>" 목록으로 적습니다.
+ * 디코더는 src/tables.js에 있습니다.
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 범위 → 값 목록을 전체 코드포인트 공간의 구간 테이블로 인코딩합니다.
+ * @param {Array<{ from: number, to: number, value: string }>} entries
+ * @param {string} defaultValue - 목록에 없는 코드포인트의 값
+ * @returns {{ values: string[], width: number, runs: string }}
+ */
+function encodeRuns(entries, defaultValue) {
+    const sorted = entries.slice().sort((x, y) => x.from - y.from);
+
+    /** @type {Array<{ len: number, value: string }>} */
+    const runs = [];
+    const push = (len, value) => {
+        const last = runs[runs.length - 1];
+        if (last && last.value === value) last.len += len;
+        else runs.push({ len, value });
+    };
+
+    let next = 0;
+    for (const { from, to, value } of sorted) {
+        if (from < next) throw new Error(`Overlapping range at U+${from.toString(16)}`);
+        if (from > next) push(from - next, defaultValue);
+        push(to - from + 1, value);
+        next = to + 1;
+    }
+    if (next <= MAX_CODE_POINT) push(MAX_CODE_POINT + 1 - next, defaultValue);
+
+    const values = Array.from(new Set(runs.map((r) => r.value))).sort();
+    const width = values.length <= 36 ? 1 : 2;
+    const index = new Map(values.map((v, i) => [v, i.toString(36).padStart(width, '0')]));
+
+    return { values, width, runs: runs.map((r) => r.len.toString(36) + index.get(r.value)).join(' ') };
+}
+
+/**
+ * 코드포인트 범위 집합을 인코딩합니다(겹치거나 맞닿은 범위는 합칩니다).
+ * @param {Array<{ from: number, to: number }>} entries
+ * @returns {string}
+ */
+function encodeRanges(entries) {
+    const sorted = entries.slice().sort((x, y) => x.from - y.from);
+    /** @type {Array<[number, number]>} */
+    const merged = [];
+    for (const { from, to } of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to);
+        else merged.push([from, to]);
+    }
+
+    let prevEnd = -1;
+    return merged.map(([from, to]) => {
+        const s = `${(from - prevEnd - 1).toString(36)}.${(to - from + 1).toString(36)}`;
+        prevEnd = to;
+        return s;
+    }).join(' ');
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 출력
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 생성 모듈을 씁니다.
+ * @param {string} file - src/data/ 아래 파일명
+ * @param {string[]} sources - 원본 UCD 파일명
+ * @param {Array<[string, string, any]>} exports - [이름, 설명, 값]
+ */
+function writeModule(file, sources, exports) {
+    const lines = [
+        '// 자동 생성 파일 — 직접 수정하지 마세요.',
+        `// 생성: scripts/generate-unicode-data.js (Unicode ${UNICODE_VERSION})`,
+        `// 원본: ${sources.map((s) => `data/${_dataPath(s)}`).join(', ')}`,
+        '',
+    ];
+    for (const [name, doc, value] of exports) {
+        lines.push(`/** ${doc} */`);
+        lines.push(`export const ${name} = ${JSON.stringify(value)};`);
+        lines.push('');
+    }
+    mkdirSync(OUT_DIR, { recursive: true });
+    writeFileSync(join(OUT_DIR, file), lines.join('\n'));
+    console.log(`wrote src/data/${file}`);
+}
+
+/**
+ * 핵심 속성: General_Category, Script, Script_Extensions, 이모지 속성, Default_Ignorable_Code_Point, Grapheme_Extend,
+ * 값 별칭
+ */
+function generateCore() {
+    const gc = encodeRuns(readRangeValues('DerivedGeneralCategory.txt'), 'Cn');
+    const sc = encodeRuns(readRangeValues('Scripts.txt'), 'Unknown');
+    // 목록에 없는 코드포인트는 Script_Extensions = { Script }이므로 빈 값으로 둡니다.
+    const scx = encodeRuns(readRangeValues('ScriptExtensions.txt'), '');
+
+    const emoji = readRangeValues('emoji-data.txt');
+    const emojiSet = (prop) => encodeRanges(emoji.filter((e) => e.value === prop));
+    const coreProps = readRangeValues('DerivedCoreProperties.txt');
+    const corePropSet = (prop) => encodeRanges(coreProps.filter((e) => e.value === prop));
+
+    /** @type {Record<string, string>} */
+    const scriptAliases = {};
+    for (const [prop, short, long, ...more] of readUcdLines('PropertyValueAliases.txt')) {
+        if (prop !== 'sc') continue;
+        scriptAliases[short] = long;
+        for (const alias of more) scriptAliases[alias] = long;
+    }
+
+    writeModule('unicode-data.js', [
+        'DerivedGeneralCategory.txt', 'Scripts.txt', 'ScriptExtensions.txt', 'emoji-data.txt',
+        'DerivedCoreProperties.txt', 'PropertyValueAliases.txt',
+    ], [
+        ['UNICODE_VERSION', '테이블의 유니코드 버전', UNICODE_VERSION],
+        ['GENERAL_CATEGORY', 'General_Category 구간 테이블', gc],
+        ['SCRIPT', 'Script 구간 테이블(값은 긴 이름)', sc],
+        ['SCRIPT_EXTENSIONS', 'Script_Extensions 구간 테이블(값은 공백으로 구분한 짧은 이름, 빈 값은 Script와 같음)', scx],
+        ['SCRIPT_ALIASES', 'Script 짧은 이름/별칭 → 긴 이름', scriptAliases],
+        ['EXTENDED_PICTOGRAPHIC', 'Extended_Pictographic 범위 집합', emojiSet('Extended_Pictographic')],
+        ['EMOJI', 'Emoji 범위 집합', emojiSet('Emoji')],
+        ['EMOJI_COMPONENT', 'Emoji_Component 범위 집합', emojiSet('Emoji_Component')],
+        ['DEFAULT_IGNORABLE', 'Default_Ignorable_Code_Point 범위 집합', corePropSet('Default_Ignorable_Code_Point')],
+        ['GRAPHEME_EXTEND', 'Grapheme_Extend 범위 집합', corePropSet('Grapheme_Extend')],
+    ]);
+}
+
+/**
+ * UTS #39 confusables(MA) 매핑
+ * - sources: 원본 코드포인트 간격(base36, 오름차순) 목록
+ * - targets: 프로토타입(코드포인트 base36을 '.'으로 연결) 목록 — sources와 같은 순서
+ */
+function generateConfusables() {
+    const entries = readUcdLines('security/confusables.txt')
+        .map(([from, to]) => ({ from: parseInt(from, 16), to: to.split(' ').map((h) => parseInt(h, 16)) }))
+        .sort((x, y) => x.from - y.from);
+
+    let prev = -1;
+    const sources = entries.map(({ from }) => {
+        const gap = (from - prev).toString(36);
+        prev = from;
+        return gap;
+    });
+    const targets = entries.map(({ to }) => to.map((cp) => cp.toString(36)).join('.'));
+
+    writeModule('confusables.js', ['security/confusables.txt'], [
+        ['SECURITY_VERSION', 'UTS #39 데이터 버전', SECURITY_VERSION],
+        ['CONFUSABLES', 'confusables 매핑(원본 → 프로토타입)', { sources: sources.join(' '), targets: targets.join(' ') }],
+    ]);
+    // UTS #39 데이터가 UCD보다 오래되면 그 사이에 추가된 문자는 스켈레톤에서 자기 자신으로 남습니다.
+    if (SECURITY_VERSION !== UNICODE_VERSION) {
+        console.warn(`warning: UTS #39 ${SECURITY_VERSION} does not match UCD ${UNICODE_VERSION} (data/security/)`);
+    }
+}
+
+/** East_Asian_Width(measureWidth 등 표시 폭 계산) */
+function generateEastAsianWidth() {
+    const [all, ...blocks] = readMissingValues('EastAsianWidth.txt');
+    const eaw = encodeRuns(fillMissing(readRangeValues('EastAsianWidth.txt'), blocks), all.value);
+
+    writeModule('east-asian-width.js', ['EastAsianWidth.txt'], [
+        ['EAST_ASIAN_WIDTH', 'East_Asian_Width 구간 테이블(값: F, H, W, Na, A, N)', eaw],
+    ]);
+}
+
+/**
+ * emoji-test.txt의 완전 한정(fully-qualified) 시퀀스와 구성 요소(component)
+ * - 시퀀스마다 코드포인트(base36)를 '.'으로 잇되, U+FE0F는 앞 코드포인트 뒤의 '!', U+200D(ZWJ)는 '+'로 적고
+ *   시퀀스는 공백으로 구분합니다.
+ * - 최소 한정·비한정 시퀀스는 완전 한정 시퀀스에서 U+FE0F를 뺀 것이므로 런타임(src/emoji.js)에서 판별합니다.
+ */
+function generateEmojiSequences() {
+    const encode = (field) => {
+        let out = '';
+        for (const hex of field.split(' ')) {
+            const cp = parseInt(hex, 16);
+            if (cp === 0xFE0F) out += '!';
+            else if (cp === 0x200D) out += '+';
+            else out += (out && !out.endsWith('+') ? '.' : '') + cp.toString(36);
+        }
+        return out;
+    };
+    const lines = readUcdLines('emoji-test.txt');
+    const pick = (status) => lines.filter(([, s]) => s === status).map(([seq]) => encode(seq)).join(' ');
+
+    writeModule('emoji-sequences.js', ['emoji-test.txt'], [
+        ['FULLY_QUALIFIED_EMOJI', '완전 한정(RGI) 이모지 시퀀스', pick('fully-qualified')],
+        ['EMOJI_COMPONENTS', '단독으로 쓰인 이모지 구성 요소(피부색, 머리 모양)', pick('component')],
+    ]);
+}
+
+/** Block, Age(getCharacterInfo) */
+function generateCharacterInfo() {
+    writeModule('character-info.js', ['Blocks.txt', 'DerivedAge.txt'], [
+        ['BLOCK', 'Block 구간 테이블(블록 밖은 No_Block)', encodeRuns(readRangeValues('Blocks.txt'), 'No_Block')],
+        ['AGE', 'Age 구간 테이블(미할당은 NA)', encodeRuns(readRangeValues('DerivedAge.txt'), 'NA')],
+    ]);
+}
+
+/**
+ * 문자 이름(Name) — 'glyphscope/names'에서만 읽는 선택 테이블
+ * - words: 이름에 쓰인 낱말(빈도순, 공백 구분). 낱말 번호는 이 순서의 base36입니다.
+ * - entries: 이름이 있는 코드포인트마다 "[간격(base36):]<직전 이름과 같은 앞 낱말 수(base36 한 자리)><새 낱말 번호를 '.'으로 연결>[#]"
+ *   (간격이 1이면 생략, '#'는 이름 끝에 '-<코드포인트 16진수>'가 붙음)
+ * - ranges: 이름이 '<접두사><코드포인트 16진수>'로 정해지는 구간(CJK 통합 한자, 탕구트 문자).
+ *   한글 음절 이름은 규칙(Unicode §3.12)으로 만듭니다.
+ */
+function generateNames() {
+    /** @type {Array<[number, string]>} */
+    const named = [];
+    const ranges = [];
+    let rangeStart = -1;
+    for (const [code, name] of readUcdLines('UnicodeData.txt')) {
+        const cp = parseInt(code, 16);
+        if (!name.startsWith('<')) {
+            named.push([cp, name]);
+        } else if (name.endsWith(', First>')) {
+            rangeStart = cp;
+        } else if (name.endsWith(', Last>')) {
+            if (name.startsWith('<CJK Ideograph')) ranges.push([rangeStart, cp, 'CJK UNIFIED IDEOGRAPH-']);
+            else if (name.startsWith('<Tangut Ideograph')) ranges.push([rangeStart, cp, 'TANGUT IDEOGRAPH-']);
+        }
+    }
+
+    const tokens = named.map(([cp, name]) => {
+        const suffix = `-${cp.toString(16).toUpperCase().padStart(4, '0')}`;
+        const hex = name.endsWith(suffix);
+        return { cp, words: (hex ? name.slice(0, -suffix.length) : name).split(' '), hex };
+    });
+
+    const freq = new Map();
+    for (const { words } of tokens) for (const w of words) freq.set(w, (freq.get(w) || 0) + 1);
+    const words = Array.from(freq.keys()).sort((a, b) => freq.get(b) - freq.get(a) || (a < b ? -1 : 1));
+    const index = new Map(words.map((w, i) => [w, i.toString(36)]));
+
+    let prevWords = [];
+    let prevCp = -1;
+    const entries = tokens.map(({ cp, words: ws, hex }) => {
+        let shared = 0;
+        while (shared < 35 && shared < ws.length && shared < prevWords.length && ws[shared] === prevWords[shared]) shared++;
+        const gap = cp - prevCp;
+        prevWords = ws;
+        prevCp = cp;
+        return (gap > 1 ? `${gap.toString(36)}:` : '') + shared.toString(36) +
+            ws.slice(shared).map((w) => index.get(w)).join('.') + (hex ? '#' : '');
+    });
+
+    writeModule('names.js', ['UnicodeData.txt'], [
+        ['NAMES', '문자 이름 테이블', { words: words.join(' '), entries: entries.join(' '), ranges }],
+    ]);
+}
+
+/**
+ * 정규화(NFC/NFD/NFKC/NFKD) 데이터 — String.prototype.normalize 대신 쓰는 내장 구현(src/normalize.js)용
+ * - decompositions: 분해 매핑. sources는 코드포인트 간격(base36), targets는 분해 결과(코드포인트 base36을 '.'으로 연결,
+ *   호환 분해는 앞에 '~'). 한글 음절은 규칙으로 분해하므로 넣지 않습니다(UnicodeData.txt에도 없음).
+ * - exclusions: Full_Composition_Exclusion(CompositionExclusions.txt + 단일 분해 + 비기저 문자 분해)
+ */
+function generateNormalization() {
+    const lines = readUcdLines('UnicodeData.txt');
+    const ccc = new Map();
+    const cccEntries = [];
+    const decompositions = [];
+    for (const [code, , , cls, , decomposition] of lines) {
+        const cp = parseInt(code, 16);
+        if (cls !== '0') {
+            ccc.set(cp, cls);
+            cccEntries.push({ from: cp, to: cp, value: cls });
+        }
+        if (!decomposition) continue;
+        const compat = decomposition.startsWith('<');
+        const to = decomposition.replace(/^<[^>]+>\s*/, '').split(' ').map((h) => parseInt(h, 16));
+        decompositions.push({ cp, compat, to });
+    }
+
+    const exclusions = readUcdLines('CompositionExclusions.txt').map(([code]) => {
+        const cp = parseInt(code, 16);
+        return { from: cp, to: cp };
+    });
+    for (const { cp, compat, to } of decompositions) {
+        if (compat) continue;
+        if (to.length === 1 || ccc.has(cp) || ccc.has(to[0])) exclusions.push({ from: cp, to: cp });
+    }
+
+    let prev = -1;
+    const sources = decompositions.map(({ cp }) => {
+        const gap = (cp - prev).toString(36);
+        prev = cp;
+        return gap;
+    });
+    const targets = decompositions.map(({ compat, to }) => (compat ? '~' : '') + to.map((cp) => cp.toString(36)).join('.'));
+
+    writeModule('normalization.js', ['UnicodeData.txt', 'CompositionExclusions.txt'], [
+        ['CANONICAL_COMBINING_CLASS', 'Canonical_Combining_Class 구간 테이블', encodeRuns(cccEntries, '0')],
+        ['DECOMPOSITIONS', '분해 매핑(원본 → 분해 결과, 호환 분해는 ~)', { sources: sources.join(' '), targets: targets.join(' ') }],
+        ['COMPOSITION_EXCLUSIONS', 'Full_Composition_Exclusion 범위 집합', encodeRanges(exclusions)],
+    ]);
+}
+
+/**
+ * Numeric_Type, Numeric_Value(getNumericValue, normalizeDigits, extractNumbers)
+ * - runs: "<직전 구간 끝과의 간격(base36)>.<길이(base36)>.<형식><첫 값>" 목록(공백 구분)
+ *   형식은 d(Decimal), g(Digit), n(Numeric). 구간 안의 코드포인트는 값이 1씩 커집니다(분수 값은 길이 1).
+ * - 값은 DerivedNumericValues.txt(Unihan의 CJK 통합 한자 숫자 값 포함), 형식은 UnicodeData.txt에서 읽습니다.
+ *   UnicodeData.txt에 없는 글자(一, 五, 萬 등 Unihan kPrimaryNumeric 등)는 Numeric입니다.
+ */
+function generateNumeric() {
+    /** 코드포인트 → 형식(UnicodeData.txt의 Numeric_Type 필드) */
+    const types = new Map();
+    for (const [code, , , , , , decimal, digit, value] of readUcdLines('UnicodeData.txt')) {
+        if (value) types.set(parseInt(code, 16), decimal ? 'd' : digit ? 'g' : 'n');
+    }
+
+    /** @type {Array<{ cp: number, type: string, value: string }>} */
+    const entries = [];
+    for (const [range, , , value] of readUcdLines('DerivedNumericValues.txt')) {
+        const [from, to] = parseRange(range);
+        for (let cp = from; cp <= to; cp++) entries.push({ cp, type: types.get(cp) || 'n', value });
+    }
+    entries.sort((x, y) => x.cp - y.cp);
+
+    /** @type {Array<{ from: number, len: number, type: string, value: string }>} */
+    const runs = [];
+    for (const { cp, type, value } of entries) {
+        const last = runs[runs.length - 1];
+        if (last && last.from + last.len === cp && last.type === type && /^\d+$/.test(value) && /^\d+$/.test(last.value) &&
+            Number(last.value) + last.len === Number(value)) {
+            last.len++;
+        } else {
+            runs.push({ from: cp, len: 1, type, value });
+        }
+    }
+
+    let prevEnd = -1;
+    const encoded = runs.map(({ from, len, type, value }) => {
+        const s = `${(from - prevEnd - 1).toString(36)}.${len.toString(36)}.${type}${value}`;
+        prevEnd = from + len - 1;
+        return s;
+    });
+
+    writeModule('numeric.js', ['DerivedNumericValues.txt', 'UnicodeData.txt'], [
+        ['NUMERIC_VALUES', 'Numeric_Type/Numeric_Value 구간 목록(d: Decimal, g: Digit, n: Numeric)', encoded.join(' ')],
+    ]);
+}
+
+/**
+ * Bidi_Class 기본값(DerivedBidiClass.txt의 '# @missing:' 줄). 저장소에는 UnicodeData.txt만 두므로 여기에 옮겨 둡니다.
+ * 전체 범위의 기본값은 L이며, 아래 범위의 미할당 코드포인트는 R/AL/ET입니다.
+ */
+const BIDI_MISSING = [
+    ['0590..05FF', 'R'], ['0600..07BF', 'AL'], ['07C0..085F', 'R'], ['0860..08FF', 'AL'], ['20A0..20CF', 'ET'],
+    ['FB1D..FB4F', 'R'], ['FB50..FDCF', 'AL'], ['FDF0..FDFF', 'AL'], ['FE70..FEFF', 'AL'], ['10800..10CFF', 'R'],
+    ['10D00..10D3F', 'AL'], ['10D40..10EBF', 'R'], ['10EC0..10EFF', 'AL'], ['10F00..10F2F', 'R'], ['10F30..10F6F', 'AL'],
+    ['10F70..10FFF', 'R'], ['1E800..1EC6F', 'R'], ['1EC70..1ECBF', 'AL'], ['1ECC0..1ECFF', 'R'], ['1ED00..1ED4F', 'AL'],
+    ['1ED50..1EDFF', 'R'], ['1EE00..1EEFF', 'AL'], ['1EF00..1EFFF', 'R'],
+];
+
+/**
+ * Bidi_Class(getBidiClass, getDirection, firstStrongDirection)
+ * - UnicodeData.txt의 다섯째 필드. First/Last 쌍은 범위 전체에 적용합니다.
+ * - 목록에 없는 코드포인트는 BIDI_MISSING, 미할당 Default_Ignorable_Code_Point와 비문자(noncharacter)는 BN입니다.
+ */
+function generateBidi() {
+    /** @type {Array<{ from: number, to: number, value: string }>} */
+    const entries = [];
+    let first = -1;
+    for (const [code, name, , , bidi] of readUcdLines('UnicodeData.txt')) {
+        const cp = parseInt(code, 16);
+        if (name.endsWith(', First>')) {
+            first = cp;
+            continue;
+        }
+        entries.push({ from: name.endsWith(', Last>') ? first : cp, to: cp, value: bidi });
+    }
+
+    const bn = readRangeValues('DerivedCoreProperties.txt')
+        .filter((e) => e.value === 'Default_Ignorable_Code_Point')
+        .map(({ from, to }) => ({ from, to, value: 'BN' }));
+    bn.push({ from: 0xFDD0, to: 0xFDEF, value: 'BN' });
+    for (let plane = 0; plane <= 0x10; plane++) bn.push({ from: plane * 0x10000 + 0xFFFE, to: plane * 0x10000 + 0xFFFF, value: 'BN' });
+
+    const missing = BIDI_MISSING.map(([range, value]) => {
+        const [from, to] = parseRange(range);
+        return { from, to, value };
+    });
+    const bidi = encodeRuns(fillMissing(entries, bn.concat(missing)), 'L');
+
+    writeModule('bidi.js', ['UnicodeData.txt', 'DerivedCoreProperties.txt'], [
+        ['BIDI_CLASS', 'Bidi_Class 구간 테이블(값은 짧은 이름, 예: L, R, AL, EN)', bidi],
+    ]);
+}
+
+/**
+ * 기본 설정 분류기의 data: 'bundled' 분류 결과(값은 'main' 또는 'main:sub' 라벨)
+ * - category-table.js가 블록 표를 통째로 채울 때 씁니다. test/category-table.test.js가 실제 분류 결과와 비교합니다.
+ * - 계산하는 동안에는 미리 계산한 결과를 쓰지 않도록 먼저 null을 적은 뒤 src/index.js를 불러옵니다.
+ */
+async function generateCategories() {
+    const sources = ['DerivedGeneralCategory.txt', 'Scripts.txt', 'emoji-data.txt', 'PropertyValueAliases.txt'];
+    const doc = 'taxonomy별 기본 분류 구간 테이블(src/index.js의 분류 단계로 계산, data: \'bundled\')';
+    writeModule('categories.js', sources, [['CATEGORY_RUNS', doc, null]]);
+
+    const { createClassifier } = await import('../src/index.js');
+    const codePoints = new Uint32Array(MAX_CODE_POINT + 1).map((_, i) => i);
+    const runs = {};
+    for (const taxonomy of ['v1', 'v2']) {
+        const classifier = createClassifier({ data: 'bundled', taxonomy, cacheSize: Infinity });
+        const ids = classifier.classifyCodePoints(codePoints);
+        const entries = [];
+        for (let from = 0; from <= MAX_CODE_POINT;) {
+            let to = from;
+            while (to < MAX_CODE_POINT && ids[to + 1] === ids[from]) to++;
+            const { main, sub } = classifier.getCategory(ids[from]);
+            entries.push({ from, to, value: sub ? `${main}:${sub}` : main });
+            from = to + 1;
+        }
+        runs[taxonomy] = encodeRuns(entries, 'Other');
+    }
+    writeModule('categories.js', sources, [['CATEGORY_RUNS', doc, runs]]);
+}
+
+generateCore();
+generateConfusables();
+generateEastAsianWidth();
+generateEmojiSequences();
+generateCharacterInfo();
+generateNames();
+generateNormalization();
+generateNumeric();
+generateBidi();
+await generateCategories();
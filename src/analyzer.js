@@ -0,0 +1,308 @@
+// GlyphScope — 문자열 집계(analyzeText / createAnalyzer)
+// - analyzeText는 문자열 전체를 한 번에, createAnalyzer는 조각(chunk) 단위로 나눠 받아 집계합니다.
+// - 두 방식은 같은 집계기(tally)를 쓰므로 결과가 같습니다.
+//
+// 주의:
+// - 조각 경계에 걸친 서러게이트 페어(코드포인트 단위)와 그래프림 클러스터(그래프림 단위)는
+//   다음 조각이 올 때까지 보류했다가 이어 붙여 집계합니다.
+// - 분류기(getCharacterType)는 인자로 받으므로 index.js를 import하지 않습니다.
+
+'use strict';
+
+import { _segmentGraphemes } from './grapheme.js';
+import { _labelId, _localizeLabel, _resolveLocale } from './labels.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 옵션
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 집계 옵션을 검증하고 기본값을 채웁니다.
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, positions?: boolean,
+ *           locale?: string }} [options]
+ * @returns {{ granularity: 'main' | 'sub', unit: 'codepoint' | 'grapheme', maxChars: number, positions: boolean,
+ *             locale: string | null }}
+ *   - locale: 결과 라벨의 언어(labels.js). 지정하지 않으면 null(영어 라벨 그대로)
+ */
+function _normalizeAnalyzeOptions({
+    granularity = 'main', unit = 'codepoint', maxChars = Infinity, positions = false, locale,
+} = {}) {
+    if (granularity !== 'main' && granularity !== 'sub') {
+        throw new RangeError("granularity must be 'main' or 'sub'");
+    }
+    if (unit !== 'codepoint' && unit !== 'grapheme') {
+        throw new RangeError("unit must be 'codepoint' or 'grapheme'");
+    }
+    if (maxChars !== Infinity && !(Number.isInteger(maxChars) && maxChars >= 0)) {
+        throw new RangeError('maxChars must be a non-negative integer or Infinity');
+    }
+    if (typeof positions !== 'boolean') {
+        throw new TypeError('positions must be a boolean.');
+    }
+    return { granularity, unit, maxChars, positions, locale: locale === undefined ? null : _resolveLocale(locale) };
+}
+
+/**
+ * 문자열을 집계 단위(코드포인트/그래프림 클러스터)로 순회합니다.
+ * @param {string} text
+ * @param {'codepoint' | 'grapheme'} unit
+ * @param {number} base - text[0]의 UTF-16 위치(조각 단위 입력에서 앞선 조각의 길이)
+ * @param {(ch: string, at: number) => void} fn - at: 단위의 UTF-16 시작 위치
+ * @param {'native' | 'bundled'} [data] - 분류기의 data(grapheme.js: 'bundled'이면 내장 분할기)
+ */
+function _forEachUnit(text, unit, base, fn, data) {
+    if (unit === 'grapheme') {
+        for (const s of _segmentGraphemes(text, data)) fn(s.segment, base + s.index);
+        return;
+    }
+    // ES2015: 코드포인트 안전 순회
+    let at = base;
+    for (const ch of text) {
+        fn(ch, at);
+        at += ch.length;
+    }
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 그래프림 클러스터 분류
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 그래프림 클러스터에만 있는 분류(분류기의 결과처럼 동결된 공유 객체) */
+const _FLAG = Object.freeze({ main: 'Emoji', sub: 'Flag', id: _labelId('Emoji:Flag') });
+const _KEYCAP = Object.freeze({ main: 'Emoji', sub: 'Keycap', id: _labelId('Emoji:Keycap') });
+
+/**
+ * 그래프림 클러스터(사용자가 인식하는 한 글자)를 대표 분류로 환원합니다.
+ * - 기본적으로 클러스터의 기준 문자(첫 코드포인트)로 분류합니다.
+ *   예: ZWJ 이모지 시퀀스 → 첫 이모지의 분류, 'e' + U+0301 → Latin
+ * - 국기(Regional Indicator 쌍)와 키캡(U+20E3) 시퀀스는 기준 문자만으로는 이모지로
+ *   드러나지 않으므로 별도 하위 라벨을 부여합니다.
+ * @param {(char: string) => { main: string, sub?: string }} getType - 코드포인트 분류 함수
+ * @param {string} cluster - 비어있지 않은 그래프림 클러스터
+ * @returns {{ main: string, sub?: string }}
+ */
+function _classifyCluster(getType, cluster) {
+    const base = cluster.codePointAt(0);
+    const baseLen = base > 0xFFFF ? 2 : 1;
+    if (cluster.length === baseLen) return getType(cluster);
+
+    if (base >= 0x1F1E6 && base <= 0x1F1FF) return _FLAG;
+    if (cluster.indexOf('\u20E3') !== -1) return _KEYCAP;
+    return getType(cluster);
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 집계기(tally)
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 분류 결과 → 'main:sub' 라벨(분류기는 라벨마다 같은 동결 객체를 돌려주므로 글자마다 문자열을 만들지 않습니다) */
+const _subLabels = new WeakMap();
+
+/**
+ * 집계 단위 하나의 분류와 라벨을 구합니다.
+ * @param {(char: string) => { main: string, sub?: string }} getType
+ * @param {string} ch - 코드포인트 하나 또는 그래프림 클러스터 하나
+ * @param {{ granularity: 'main' | 'sub', unit: 'codepoint' | 'grapheme' }} opts
+ * @returns {{ type: { main: string, sub?: string }, label: string }} - label: 'main' 또는 'main:sub'
+ */
+function _labelOf(getType, ch, { granularity, unit }) {
+    const type = unit === 'grapheme' ? _classifyCluster(getType, ch) : getType(ch);
+    if (granularity !== 'sub' || !type.sub) return { type, label: type.main };
+
+    let label = _subLabels.get(type);
+    if (label === undefined) {
+        label = `${type.main}:${type.sub}`;
+        _subLabels.set(type, label);
+    }
+    return { type, label };
+}
+
+/**
+ * 단위(코드포인트/클러스터)를 하나씩 받아 카테고리별로 셉니다.
+ * - chars는 카테고리마다 처음 나온 고유 문자를 maxChars개까지만 모읍니다(0이면 모으지 않음).
+ * - positions가 true이면 모든 출현 위치(UTF-16 시작 위치)를 카테고리별로 기록합니다.
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, unicodeVersion: string|null }} classifier
+ * @param {{ granularity: 'main' | 'sub', unit: 'codepoint' | 'grapheme', maxChars: number, positions: boolean,
+ *           locale: string | null }} opts
+ */
+function _createTally(classifier, opts) {
+    const getType = classifier.getCharacterType;
+    const { maxChars, positions } = opts;
+
+    /** @type {Record<string, {count:number, chars:Set<string>, positions?:number[]}>} */
+    const breakdown = Object.create(null);
+    let total = 0;
+
+    /**
+     * @param {string} ch - 코드포인트 하나 또는 그래프림 클러스터 하나
+     * @param {number} at - UTF-16 시작 위치
+     */
+    function add(ch, at) {
+        const { label } = _labelOf(getType, ch, opts);
+
+        let bucket = breakdown[label];
+        if (!bucket) {
+            bucket = breakdown[label] = { count: 0, chars: new Set() };
+            if (positions) bucket.positions = [];
+        }
+
+        bucket.count++;
+        if (bucket.chars.size < maxChars) bucket.chars.add(ch);
+        if (positions) bucket.positions.push(at);
+        total++;
+    }
+
+    /**
+     * 지금까지의 결과를 만듭니다(집계 상태는 바꾸지 않음).
+     * @param {Array<[string, number]>} [pending] - 결과에만 포함할 보류 단위와 위치(조각 경계에 걸린 마지막 문자 등)
+     * @returns {{ total: number, breakdown: Record<string,{id:string,count:number,ratio:number,chars:string[],positions?:number[]}>, unicodeVersion: string|null }}
+     */
+    function result(pending = []) {
+        /** @type {Record<string, {count:number, chars:Set<string>, positions?:number[]}>} */
+        const merged = Object.create(null);
+        for (const k in breakdown) merged[k] = breakdown[k];
+
+        for (const [ch, at] of pending) {
+            const { label } = _labelOf(getType, ch, opts);
+            const b = merged[label];
+            const chars = new Set(b ? b.chars : []);
+            if (chars.size < maxChars) chars.add(ch);
+            merged[label] = { count: (b ? b.count : 0) + 1, chars };
+            if (positions) merged[label].positions = (b ? b.positions : []).concat(at);
+        }
+        const sum = total + pending.length;
+
+        // 비율 계산 및 chars 정렬
+        /** @type {Record<string,{id:string,count:number,ratio:number,chars:string[],positions?:number[]}>} */
+        const out = Object.create(null);
+        for (const k in merged) {
+            const b = merged[k];
+            const ratio = sum > 0 ? (b.count * 100 / sum) : 0;
+            const id = _labelId(k);
+            const key = opts.locale ? _localizeLabel(k, opts.locale) : k;
+            out[key] = { id, count: b.count, chars: Array.from(b.chars).sort(), ratio: +ratio.toFixed(2) };
+            if (positions) out[key].positions = b.positions.slice();
+        }
+        return { total: sum, breakdown: out, unicodeVersion: classifier.unicodeVersion };
+    }
+
+    return { add, result };
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 4. 일괄 집계 / 점진 집계
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 주어진 분류기로 문자열을 분석합니다(analyzeText 본체).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, unicodeVersion: string|null,
+ *           data: 'native' | 'bundled' }} classifier
+ * @param {string} text
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, locale?: string }} [options]
+ *   - locale: breakdown 키(라벨)의 언어. 항목의 id는 언어와 관계없이 같습니다.
+ * @returns {{ total: number, breakdown: Record<string,{id:string,count:number,ratio:number,chars:string[]}>, unicodeVersion: string|null }}
+ */
+function _analyzeWith(classifier, text, options) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const opts = _normalizeAnalyzeOptions(options);
+    const tally = _createTally(classifier, opts);
+
+    _forEachUnit(text, opts.unit, 0, tally.add, classifier.data);
+    return tally.result();
+}
+
+/**
+ * 조각 단위로 입력을 받는 점진 분석기를 만듭니다(createAnalyzer 본체).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, unicodeVersion: string|null,
+ *           data: 'native' | 'bundled' }} classifier
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, locale?: string }} [options]
+ * @returns {{ push: (chunk: string) => object, result: () => object }}
+ */
+function _createAnalyzerWith(classifier, options) {
+    const opts = _normalizeAnalyzeOptions(options);
+    const tally = _createTally(classifier, opts);
+
+    /** 다음 조각과 이어질 수 있어 아직 집계하지 않은 꼬리 */
+    let carry = '';
+    /** 집계를 마친 입력의 길이(UTF-16) = carry의 시작 위치 */
+    let consumed = 0;
+
+    const analyzer = Object.freeze({
+        /**
+         * 문자열 조각을 추가합니다.
+         * @param {string} chunk
+         * @returns {object} - 분석기 자신(체이닝용)
+         */
+        push(chunk) {
+            if (typeof chunk !== 'string') {
+                throw new TypeError('Chunk must be a string.');
+            }
+            let text = carry + chunk;
+            const length = text.length;
+            carry = '';
+            if (length === 0) return analyzer;
+
+            // 끝의 상위 서러게이트는 다음 조각의 하위 서러게이트와 짝이 될 수 있으므로 보류합니다.
+            const last = text.charCodeAt(text.length - 1);
+            if (last >= 0xD800 && last <= 0xDBFF) {
+                carry = text.slice(-1);
+                text = text.slice(0, -1);
+            }
+
+            if (opts.unit === 'grapheme') {
+                // 마지막 클러스터도 다음 조각의 결합 문자·ZWJ 등과 이어질 수 있으므로 보류합니다.
+                const segments = _segmentGraphemes(text, classifier.data);
+                if (segments.length > 0) carry = segments.pop().segment + carry;
+                for (const s of segments) tally.add(s.segment, consumed + s.index);
+            } else {
+                _forEachUnit(text, 'codepoint', consumed, tally.add);
+            }
+            consumed += length - carry.length;
+            return analyzer;
+        },
+
+        /**
+         * 지금까지 받은 입력의 분석 결과(analyzeText와 같은 형태)를 반환합니다.
+         * - 보류 중인 꼬리도 포함하며, 이후에도 push를 계속할 수 있습니다.
+         */
+        result() {
+            /** @type {Array<[string, number]>} */
+            const pending = [];
+            _forEachUnit(carry, opts.unit, consumed, (ch, at) => pending.push([ch, at]), classifier.data);
+            return tally.result(pending);
+        },
+    });
+    return analyzer;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 5. WHATWG TransformStream 래퍼
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 분석기를 WHATWG TransformStream으로 감쌉니다.
+ * - 입력: string 또는 UTF-8 바이트(Uint8Array/ArrayBuffer) 조각
+ * - 출력: 입력이 끝나면 분석 결과 객체 하나
+ * @param {{ push: (chunk: string) => object, result: () => object }} analyzer
+ * @returns {TransformStream}
+ */
+function _createTransformStream(analyzer) {
+    if (typeof TransformStream === 'undefined' || typeof TextDecoder === 'undefined') {
+        throw new TypeError('TransformStream/TextDecoder are not available in this runtime.');
+    }
+    const decoder = new TextDecoder('utf-8');
+
+    return new TransformStream({
+        transform(chunk) {
+            analyzer.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+        },
+        flush(controller) {
+            analyzer.push(decoder.decode());
+            controller.enqueue(analyzer.result());
+        },
+    });
+}
+
+export { _normalizeAnalyzeOptions, _forEachUnit, _labelOf, _analyzeWith, _createAnalyzerWith, _createTransformStream };
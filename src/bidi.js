@@ -0,0 +1,83 @@
+// GlyphScope — 양방향(bidi) 텍스트 방향(getBidiClass, getDirection, firstStrongDirection)
+// - 강한 방향 문자는 L(왼쪽→오른쪽)과 R·AL(오른쪽→왼쪽)뿐입니다. 숫자(EN, AN), 문장 부호(ON 등), 공백(WS)은
+//   방향을 정하지 않습니다.
+//
+// 주의:
+// - firstStrongDirection은 HTML dir="auto"와 같이 격리(LRI/RLI/FSI … PDI) 안의 글자를 건너뜁니다.
+//   임베딩·오버라이드(LRE/RLE/LRO/RLO … PDF)는 건너뛰지 않습니다(UAX #9 P2).
+
+'use strict';
+
+import { _decodeRuns, _lookupRun, _lazy } from './tables.js';
+import { BIDI_CLASS } from './data/bidi.js';
+
+/**
+ * Bidi_Class(짧은 이름, 예: 'L', 'R', 'AL', 'EN', 'AN', 'WS')
+ * @param {number} cp
+ * @returns {string}
+ */
+function _bidiClassOf(cp) {
+    return _lookupRun(_lazy('bidi', () => _decodeRuns(BIDI_CLASS)), cp);
+}
+
+/**
+ * 문자(첫 코드포인트)의 Bidi_Class(getBidiClass 본체).
+ * @param {string} char
+ * @returns {string}
+ */
+function _getBidiClass(char) {
+    if (typeof char !== 'string' || char.length === 0) {
+        throw new TypeError('Input must be a non-empty string.');
+    }
+    return _bidiClassOf(char.codePointAt(0));
+}
+
+/**
+ * 강한 방향 문자를 세어 텍스트 전체의 방향을 정합니다(getDirection 본체).
+ * @param {string} text
+ * @returns {{ direction: 'ltr' | 'rtl' | 'mixed' | 'neutral', ltr: number, rtl: number }}
+ *   - ltr: 강한 LTR(L) 문자 수, rtl: 강한 RTL(R, AL) 문자 수
+ *   - direction: 한쪽만 있으면 그 방향, 둘 다 있으면 'mixed', 둘 다 없으면 'neutral'
+ */
+function _getDirection(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    let ltr = 0;
+    let rtl = 0;
+    for (const ch of text) {
+        const cls = _bidiClassOf(ch.codePointAt(0));
+        if (cls === 'L') ltr++;
+        else if (cls === 'R' || cls === 'AL') rtl++;
+    }
+    const direction = ltr && rtl ? 'mixed' : ltr ? 'ltr' : rtl ? 'rtl' : 'neutral';
+    return { direction, ltr, rtl };
+}
+
+/**
+ * 첫 강한 방향 문자의 방향(HTML dir="auto", firstStrongDirection 본체).
+ * - 격리 시작 문자(LRI, RLI, FSI)부터 짝이 되는 PDI까지(짝이 없으면 끝까지)는 건너뜁니다.
+ * @param {string} text
+ * @returns {'ltr' | 'rtl' | null} - 강한 방향 문자가 없으면 null(HTML은 이때 ltr로 처리)
+ */
+function _firstStrongDirection(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    /** 열린 격리의 깊이 */
+    let isolates = 0;
+    for (const ch of text) {
+        const cls = _bidiClassOf(ch.codePointAt(0));
+        if (cls === 'LRI' || cls === 'RLI' || cls === 'FSI') {
+            isolates++;
+        } else if (cls === 'PDI') {
+            if (isolates > 0) isolates--;
+        } else if (isolates === 0) {
+            if (cls === 'L') return 'ltr';
+            if (cls === 'R' || cls === 'AL') return 'rtl';
+        }
+    }
+    return null;
+}
+
+export { _getBidiClass, _getDirection, _firstStrongDirection };
@@ -0,0 +1,176 @@
+// GlyphScope — 분류 결과 2단계 표(createClassifier 내부)
+// - 코드포인트를 256개씩 블록으로 나눕니다. 1단계: 블록 번호 → 블록 표, 2단계: 블록 표(Uint16Array) → 분류 ID
+//   한 번 채운 코드포인트는 이후 배열 조회 두 번으로 분류됩니다.
+// - 블록 표를 채우는 방법은 두 가지입니다.
+//   - 구간 분류 함수가 있으면(data: 'bundled'의 기본 설정, 미리 계산한 분류 구간) 블록을 처음 쓸 때 통째로 채웁니다.
+//     블록 하나가 구간 몇 개로 끝나므로, 코드포인트가 매번 다른 입력(무작위 입력 등)도 빠릅니다.
+//   - 그 밖(native 모드, 사용자 단계·스크립트)에는 코드포인트마다 처음 조회할 때 분류 단계를 거치는 메모입니다.
+//     같은 글자가 반복되는 일반 텍스트에는 효과가 크지만, 코드포인트가 매번 다르면 글자마다 분류 비용이 듭니다.
+// - 분류 결과(라벨 객체)는 ID마다 하나만 만들어 동결(Object.freeze)합니다. 호출자가 결과를 고쳐
+//   다른 호출자의 결과를 오염시킬 수 없습니다.
+// - 블록 표는 최근에 쓴 cacheSize개까지만 보관합니다(LRU). 어떤 입력이 와도 메모리 사용량은
+//   cacheSize × 512바이트(전체 유니코드를 담아도 약 2.2MB)를 넘지 않습니다. 구간 분류 함수로 채울 때 블록 전체가
+//   한 분류인 블록은 분류마다 하나인 공유 표를 가리키므로 이 수에 들지 않습니다.
+//
+// 주의:
+// - native 모드의 결과는 런타임의 유니코드 버전을 따르므로 미리 계산할 수 없습니다. 블록을 통째로 채우면
+//   글자마다 정규식 검사를 256번 하는 셈이라 오히려 느려지므로, 코드포인트 단위로 채웁니다.
+
+'use strict';
+
+import { _labelId } from './labels.js';
+
+/** 블록 크기(2^8 = 256 코드포인트) */
+const _BLOCK_SHIFT = 8;
+const _BLOCK_SIZE = 1 << _BLOCK_SHIFT;
+const _BLOCK_MASK = _BLOCK_SIZE - 1;
+const _BLOCK_COUNT = (0x10FFFF >> _BLOCK_SHIFT) + 1;
+
+/** 블록 표에 분류 ID + 1을 Uint16으로 담으므로 서로 다른 라벨은 이 수를 넘을 수 없습니다. */
+const _MAX_CATEGORIES = 0xFFFF;
+
+/**
+ * 분류 함수를 감싸는 2단계 표를 만듭니다.
+ * @param {(cp: number) => { main: string, sub?: string }} classify - 코드포인트 하나를 분류하는 함수
+ * @param {number} cacheSize - 보관할 블록 표의 최대 개수(1 이상 정수 또는 Infinity)
+ * @param {((from: number, to: number, emit: (start: number, end: number, type: { main: string, sub?: string }) => void)
+ *           => void) | null} [classifyRange] - 코드포인트 구간을 한 번에 분류하는 함수(있으면 블록을 통째로 채움).
+ *   emit은 같은 코드포인트에 여러 번 불릴 수 있으며 나중 값이 이깁니다.
+ * @returns {{
+ *   idOf: (cp: number) => number,
+ *   typeOf: (cp: number) => Readonly<{ main: string, sub?: string, id: string }>,
+ *   category: (id: number) => Readonly<{ main: string, sub?: string, id: string }> | undefined,
+ *   clear: () => void,
+ * }}
+ */
+function _createCategoryTable(classify, cacheSize, classifyRange = null) {
+    /** 분류 ID → 동결된 라벨 객체 */
+    const categories = [];
+    /** 'main' 또는 'main\0sub' → 분류 ID */
+    const ids = new Map();
+
+    /** 1단계: 블록 번호 → 블록 표(값은 분류 ID + 1, 0은 아직 분류하지 않음). 없거나 밀려났으면 undefined */
+    const blocks = new Array(_BLOCK_COUNT);
+    /** 보관 중인 블록 번호(오래 쓰지 않은 것부터) */
+    const recent = new Set();
+    /** 분류 ID + 1 → 블록 전체가 그 분류인 블록이 함께 쓰는 표(읽기 전용, LRU에 넣지 않음) */
+    const uniform = [];
+    /** 구간 분류 함수가 주는 라벨 객체 → 분류 ID(같은 객체가 반복되므로 키 문자열을 만들지 않음) */
+    const typeIds = new WeakMap();
+
+    // 같은 블록이 이어지는 경우(대부분의 텍스트)는 LRU 순서를 갱신하지 않습니다.
+    let lastBlock = -1;
+    let lastTable = null;
+
+    /**
+     * 라벨의 분류 ID(처음 보는 라벨이면 새로 부여)
+     * @param {{ main: string, sub?: string }} type
+     * @returns {number}
+     */
+    function intern(type) {
+        const key = type.sub ? `${type.main}\u0000${type.sub}` : type.main;
+        let id = ids.get(key);
+        if (id === undefined) {
+            if (categories.length >= _MAX_CATEGORIES) {
+                throw new RangeError(`Too many distinct categories (max ${_MAX_CATEGORIES}).`);
+            }
+            id = categories.length;
+            const label = type.sub ? `${type.main}:${type.sub}` : type.main;
+            categories.push(Object.freeze(type.sub ? { main: type.main, sub: type.sub, id: _labelId(label) }
+                : { main: type.main, id: _labelId(label) }));
+            ids.set(key, id);
+        }
+        return id;
+    }
+
+    /**
+     * 블록 표를 반환합니다(없으면 만들어 채움).
+     * @param {number} block
+     * @returns {Uint16Array}
+     */
+    function tableOf(block) {
+        if (block === lastBlock) return lastTable;
+
+        let table = blocks[block];
+        if (!table) {
+            table = classifyRange ? rangeTableOf(block) : newTable(block);
+        } else if (recent.has(block)) {
+            recent.delete(block);
+            recent.add(block);
+        }
+
+        lastBlock = block;
+        lastTable = table;
+        return table;
+    }
+
+    /**
+     * 빈 블록 표를 LRU에 넣습니다(넘치면 가장 오래 쓰지 않은 블록의 표를 비워 재사용).
+     * @param {number} block
+     * @returns {Uint16Array}
+     */
+    function newTable(block) {
+        let table;
+        if (recent.size >= cacheSize) {
+            const oldest = recent.values().next().value;
+            recent.delete(oldest);
+            table = blocks[oldest].fill(0);
+            blocks[oldest] = undefined;
+        } else {
+            table = new Uint16Array(_BLOCK_SIZE);
+        }
+        blocks[block] = table;
+        recent.add(block);
+        return table;
+    }
+
+    /**
+     * 구간 분류 함수로 블록 표를 채웁니다.
+     * - 블록 전체가 한 분류이면(대부분의 블록) 그 분류의 공유 표를 씁니다. 공유 표는 분류마다 하나뿐이고
+     *   비울 일이 없으므로 LRU에 넣지 않습니다.
+     * @param {number} block
+     * @returns {Uint16Array}
+     */
+    function rangeTableOf(block) {
+        const from = block << _BLOCK_SHIFT;
+        /** [시작, 끝(미포함), 분류 ID + 1]의 반복(블록 안 위치) */
+        const parts = [];
+        classifyRange(from, from + _BLOCK_MASK, (start, end, type) => {
+            let id = typeIds.get(type);
+            if (id === undefined) typeIds.set(type, (id = intern(type)));
+            parts.push(start - from, end - from + 1, id + 1);
+        });
+
+        if (parts.length === 3 && parts[0] === 0 && parts[1] === _BLOCK_SIZE) {
+            const value = parts[2];
+            const table = uniform[value] || (uniform[value] = new Uint16Array(_BLOCK_SIZE).fill(value));
+            blocks[block] = table;
+            return table;
+        }
+        const table = newTable(block);
+        for (let i = 0; i < parts.length; i += 3) table.fill(parts[i + 2], parts[i], parts[i + 1]);
+        return table;
+    }
+
+    /** @param {number} cp @returns {number} */
+    function idOf(cp) {
+        const table = tableOf(cp >> _BLOCK_SHIFT);
+        const i = cp & _BLOCK_MASK;
+        if (table[i] === 0) table[i] = intern(classify(cp)) + 1;
+        return table[i] - 1;
+    }
+
+    return {
+        idOf,
+        typeOf: (cp) => categories[idOf(cp)],
+        category: (id) => categories[id],
+        clear() {
+            blocks.fill(undefined);
+            recent.clear();
+            lastBlock = -1;
+            lastTable = null;
+        },
+    };
+}
+
+export { _createCategoryTable };
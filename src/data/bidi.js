@@ -0,0 +1,6 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/UnicodeData.txt, data/ucd/DerivedCoreProperties.txt
+
+/** Bidi_Class 구간 테이블(값은 짧은 이름, 예: L, R, AL, EN) */
+export const BIDI_CLASS = {"values":["AL","AN","B","BN","CS","EN","ES","ET","FSI","L","LRE","LRI","LRO","NSM","ON","PDF","PDI","R","RLE","RLI","RLO","S","WS"],"width":1,"runs":"93 1l 12 1l 1m 12 e3 32 1l 1m 2e 37 5e 16 14 16 24 a5 14 6e q9 6e q9 4e 63 12 q3 14 1e 47 4e 19 2e 13 2e 27 25 1e 19 3e 15 19 5e n9 1e v9 1e ch9 2e 79 ee 29 ee 59 9e 19 he 34d 49 2e 89 1e 59 2e 19 1e 329 1e 3w9 7d 749 1e 29 2e 17 1h 19d 1h 1d 1h 2d 1h 2d 1h 1d 1kh 61 2e 10 27 10 14 10 2e bd 1c0 ld a1 17 21 30 1d 2t0 7d 11 1e 6d 20 2d 1e 4d 20 a5 n0 1d u0 rd 2j0 bd f0 17h 9d 2h 4e 3h 1d oh 4d 1h 9d 1h 3d 1h 5d 17h 3d 4h 1c0 21 50 9d 160 od 11 wd 1j9 1d 19 1d 49 8d 49 1d 39 7d a9 2d t9 1d 1m9 1d 49 4d 89 1d k9 2d e9 27 79 17 29 1d 29 2d 1l9 1d 49 2d 49 2d 29 3d 39 1d u9 2d 39 1d b9 2d 1l9 1d 49 5d 19 2d 49 1d k9 2d d9 17 89 6d 19 1d 1m9 1d 29 1d 19 4d 89 1d 79 2d b9 2d u9 1d 1p9 1d c9 1d 119 6e 17 1e 59 1d 39 1d 1j9 1d 19 3d 59 3d 19 4d 79 2d b9 2d k9 7e 29 1d 1m9 1d f9 2d k9 2d s9 2d 1l9 2d 49 4d 89 1d k9 2d t9 1d 209 1d 79 3d 19 1d 2i9 1d 29 7d 49 17 79 8d 2q9 1d 29 9d b9 7d 219 2d r9 1d 19 1d 19 1d 4e 1f9 ed 19 5d 19 2d 59 bd 19 10d 99 1d 2u9 4d 19 6d 19 2d 29 2d p9 2d 49 3d g9 4d d9 1d 29 2d 69 1d f9 1d jj9 3d 1c9 ae 2u9 1e hr9 1m q9 2e 399 3d t9 2d u9 2d u9 2d 1s9 2d 19 7d 89 1d 29 bd 79 17 19 1d i9 ae 69 be 3d 13 1d 399 2d y9 1d 3a9 3d 49 2d 99 1d 69 3d 49 1e 39 2e 489 ye n9 2d 29 1d 1m9 1d 19 7d 19 1d 19 1d 29 8d 69 ad 29 1d 1c9 vd 1d9 4d 1c9 1d 19 5d 19 1d 59 1d 149 9d c9 2d w9 4d 29 2d 19 3d 1k9 1d 19 2d 39 1d 19 3d 1m9 8d 29 2d 489 3d 19 dd 19 7d 49 1d 69 1d 39 2d 5i9 1sd cd9 1e 19 3e b9 3e d9 3e d9 3e d9 2e 19 bm 33 19 1h oe 1m 12 1a 1i 1f 1c 1k 14 57 fe 14 qe 1m 63 1b 1j 18 1g 63 15 39 65 26 3e 19 a5 26 3e h9 1c7 xd f9 2e 19 4e 19 2e a9 1e 19 3e 59 6e 19 1e 19 1e 19 1e 49 17 b9 2e 49 5e 59 4e 29 ge 159 3e 49 3me 16 17 82e 1x9 qe 19 44e m9 be l9 14e k5 269 cie 19 9fe 749 hge 29 we 19 2xe 6d9 6e 49 3d 79 7e 3j9 1d 2o9 wd 2me y9 qe 19 2he c9 5ye q9 ge 1m 4e 39 pe 99 4d 29 1e 59 2e 59 3e 2h9 2d 2e 39 1e 2i9 1e 5g9 12e 99 1e 199 2e 1d9 ge s9 3e 1e9 fe c9 4e 4n9 4e 2r9 2e v9 1e 5349 1se h3k9 1je 929 3e 2n9 4d 1e ad 2e u9 2d 289 2d e9 ye 2u9 1e 3d9 1d 39 1d 49 1d p9 2d 19 4e 1d b9 27 1m9 4e 249 2d q9 id d9 1d 129 8d p9 bd 1a9 3d 1c9 1d 29 4d 29 2d 139 1d 1v9 6d 29 2d 29 2d c9 1d 89 1d 1b9 1d 1f9 1d 19 3d 29 2d 59 2d 19 1d 169 2d 89 1d 379 2e 3d9 1d 29 1d 49 1d fn39 1h 1d ah 16 12h dq0 ie 3j0 1e w3 d0 3e gd ae 69 gd we 14 1e 14 19 1e 14 9e 17 2e 26 3e 19 1e 27 1e 49 3z0 13 19 2e 37 5e 16 14 16 24 a5 14 6e q9 6e q9 be 3e9 27 3e 27 19 7e 19 93 5e 23 759 1e 1q9 25e 39 de 39 1e 2k9 1d 6a9 1d r5 3e9 5d w59 7zh 1e 69h 3d 1h 2d 5h 4d 14h 3d 4h 1d 4lh 2d 2ah 7e cgh 100 4d 80 a1 60 a1 vh 5d 1e 6ph v1 18h 2d jh 1o0 4d 1ch m0 bd v0 ih 4d 3eh 19 1d 1i9 fd b9 ke a9 1d 29 2d a9 3d 1d9 4d 29 2d 79 1d 1p9 3d 109 5d 19 8d 1q9 1d c9 2d 1g9 9d a9 4d 29 1d 2n9 3d 29 1d 19 2d 69 1d 29 1d 4d9 1d 39 8d l9 2d 1l9 2d 39 1d 119 7d 39 5d 1y9 6d d9 1d 19 1d 19 1d e9 2d 2d9 8d 29 3d 19 1d n9 1d 2c9 6d 19 1d 49 2d 19 2d 6m9 4d 69 2d 19 2d r9 2d 2d9 8d 29 1d 19 2d v9 de 1q9 1d 19 1d 29 6d 19 1d 2t9 1d 19 1d 29 4d 19 5d 779 9d 19 2d 749 2d 19 1d 49 1d 409 4d 29 2d 49 1d w9 6d 29 2d 149 6d 29 4d 89 1d 99 6d 29 3d 1a9 dd 19 2d ba9 7d 19 6d 2c9 md 29 7d 19 2d 19 2d 3e9 6d 39 1d 19 2d 19 7d 19 1d 209 2d 39 1d 19 1d 9n9 2d b9 2d 1g9 5d 59 1d 19 1d n9 1d 3e9 8e 47 he 40e9 1d 69 fd 8ug9 cd 39 3d 1xc9 5d 1n9 7d t49 1d 1r9 4d 279 1e 19 1d f5k9 2d 19 43 3189 5ye q9 a5 69 c4e 249 1ad 29 nd f49 3d 99 83 8d 29 7d u9 4d 1n9 2e l9 1ue 3d 1e 569 2fe oa9 1e p9 1e v9 1e p9 1e v9 1e p9 1e v9 1e p9 1e v9 1e p9 1e a9 1e5 e89 1jd 49 1ed 89 1d e9 1d m9 5d 19 fd 11s9 7d 19 hd 29 7d 19 2d 19 5d 2s9 1d 4g9 7d af9 1d 1p9 4d f9 17 do9 4d 729 2d eo9 5sh 7d 31h 7d mdh 280 1sh 280 4wh 6o0 2e e0 74h 18e 49 2se c9 fe 29 fe 19 fe 19 11e a9 b5 5e v9 1e 1m9 6e 1p9 1e 4y9 6e 4a9 rce 49 he 39 de 39 3be 49 2ne 69 ce 49 1e f9 ce 49 1ke 89 ae 69 14e 89 ue 29 ce 49 2e 1q9 9ge c9 ee 29 de 39 ae 59 1ke 79 fe 29 be 69 9e 79 43e 19 2ke a5 sk9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 23 1eke9 763 6od 2s03 1bem9 23 1eke9 23 1eke9 23"};
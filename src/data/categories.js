@@ -0,0 +1,6 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/DerivedGeneralCategory.txt, data/ucd/Scripts.txt, data/ucd/emoji-data.txt, data/ucd/PropertyValueAliases.txt
+
+/** taxonomy별 기본 분류 구간 테이블(src/index.js의 분류 단계로 계산, data: 'bundled') */
+export const CATEGORY_RUNS = {"v1":{"values":["Arabic:Letter","Armenian:Letter","Bengali:Letter","Bopomofo:Letter","Canadian Aboriginal:Letter","Cherokee:Letter","Control","Cyrillic:Letter","Devanagari:Letter","Digit:ASCII","Digit:Decimal","Emoji:Emoji Component","Emoji:Extended Pictographic","Emoji:Variation Selector","Ethiopic:Letter","Format","Format:BOM/ZWNBS","Format:ZWJ","Format:ZWNJ","Georgian:Letter","Greek:Letter","Gujarati:Letter","Gurmukhi:Letter","Han Ideograph","Han Ideograph:Letter","Hangul:Compatibility Jamo","Hangul:Jamo","Hangul:Jamo Ext‑A","Hangul:Jamo Ext‑B","Hangul:Letter","Hangul:Syllable","Hebrew:Letter","Hiragana:Letter","Kannada:Letter","Katakana:Letter","Khmer:Letter","Lao:Letter","Latin:Letter","Latin:Lowercase","Latin:Uppercase","Letter:Other Script","Malayalam:Letter","Mark","Mongolian:Letter","Myanmar:Letter","Number","Odia:Letter","Ogham:Letter","Other","Punctuation","Punctuation:ASCII","Runic:Letter","Sinhala:Letter","Symbol","Tamil:Letter","Telugu:Letter","Thai:Letter","Tibetan:Letter","Whitespace:Control:Line Break","Whitespace:Control:Tab","Whitespace:Fixed-Width Space","Whitespace:Invisible:Zero Width","Whitespace:Space Separator","Yi:Letter"],"width":2,"runs":"906 11n 41m i06 11q f1e a09 71e q13 61e q12 41e 606 11m q06 11q 11d 51h 11d 11h 10c 111 11d 11h 10f 10c 31h 219 11h 114 21d 11h 119 111 11d 319 11d n11 11h v11 11h ch11 914 41h c14 e1h 511 71h 114 11h 114 h1h 3416 40k 114 11h 20k 21c 40k 11d 10k 41c 21h 10k 11d 30k 11c 10k 11c k0k 11c 1r0k e14 60k 11h 90k 3m07 11h 716 4m07 11c 1201 21c 101 61d 1501 21d 21c 31h 11c 1916 11d 116 11d 216 11d 216 11d 116 81c r0v 41c 40v 21d b1c 60f 31h 21d 11h 21d 21h b16 11d 10f 31d w00 114 a00 l16 a0a 41d 200 116 2r00 11d 100 716 10f 11h 616 200 216 11h 416 200 a0a 300 21h 100 e1d 11c 10f 114 116 u14 r16 21c 314 1c00 1214 b16 114 e1c a0a x14 916 214 11h 31d 114 21c 116 21h m14 416 114 916 114 316 114 516 21c f1d 11c p14 316 21c 11d 11c b14 51c o00 11h 600 11c 20f 51c 916 1600 o16 10f x16 1i08 316 108 i16 108 716 a08 216 21d a0a 11d f08 102 316 11c 802 21c 202 21c m02 11c 702 11c 102 31c 402 21c 116 102 716 21c 216 21c 316 102 81c 116 41c 202 11c 302 216 21c a0a 202 21h 619 21h 102 11d 116 21c 316 11c 60m 41c 20m 21c m0m 11c 70m 11c 20m 11c 20m 11c 20m 21c 116 11c 516 41c 216 21c 316 31c 116 71c 40m 11c 10m 71c a0a 216 30m 116 11d a1c 316 11c 90l 11c 30l 11c m0l 11c 70l 11c 20l 11c 50l 21c 116 10l 816 11c 316 11c 316 21c 10l f1c 20l 216 21c a0a 11d 11h 71c 10l 616 11c 316 11c 81a 21c 21a 21c m1a 11c 71a 11c 21a 11c 51a 21c 116 11a 716 21c 216 21c 316 71c 316 41c 21a 11c 31a 216 21c a0a 11h 11a 619 a1c 116 11i 11c 61i 31c 31i 11c 41i 31c 21i 11c 11i 11c 21i 31c 21i 31c 31i 31c c1i 41c 516 31c 316 11c 416 21c 11i 61c 116 e1c a0a 319 81h 51c 516 81j 11c 31j 11c n1j 11c g1j 21c 116 11j 716 11c 316 11c 416 71c 216 11c 31j 21c 11j 21c 21j 216 21c a0a 71c 11d 719 11h 10x 316 11d 80x 11c 30x 11c n0x 11c a0x 11c 50x 21c 116 10x 716 11c 316 11c 416 71c 216 61c 20x 11c 20x 216 21c a0a 11c 20x 116 c1c 416 915 11c 315 11c 1515 216 115 716 11c 316 11c 416 115 11h 41c 315 116 719 315 216 21c a0a 919 11h 615 11c 316 11c i1g 31c o1g 11c 91g 11c 11g 21c 71g 31c 116 41c 616 11c 116 11c 816 61c a0a 21c 216 11d c1c 1c1k 116 21k 716 41c 11h 71k 816 11d a0a 21d 111c 210 11c 110 11c 510 11c o10 11c 110 11c a10 116 210 916 110 21c 510 11c 110 11c 716 11c a0a 21c 410 w1c 11l 31h f1d 11h 11d 31h 216 61h a0a a19 11h 116 11h 116 11h 116 41d 216 81l 11c 101l 41c k16 11d 216 51l b16 11c 1016 11c 81h 116 61h 11c 21h 51d 41h 21d 111c 1718 k16 118 a0a 61d 618 416 418 316 118 316 218 716 318 416 d18 c16 118 116 a0a 416 21h 120j 11c 10j 51c 10j 21c 170j 11d 40j 740q 210e 11c 40e 21c 70e 11c 10e 11c 40e 21c 150e 11c 40e 21c x0e 11c 40e 21c 70e 11c 10e 11c 40e 21c f0e 11c 1l0e 11c 40e 21c 1v0e 21c 316 91d k19 31c g0e a1h 61c 2e05 21c 605 21c 11d h804 11h 11d h04 11q q1b 21d 31c 231f 31d 319 81f 71c i14 416 91c j14 316 21d 91c i14 216 c1c d14 11c 314 11c 216 c1c 1g0z w16 31d 10z 31d 11h 10z 116 21c a0a 61c a19 61c b1d 316 10f 116 a0a 61c 2h17 71c 517 216 y17 116 117 51c 1y04 a1c v14 11c c16 41c c16 41c 11h 31c 21d a0a u14 21c 514 b1c 1814 41c q14 61c a0a 119 31c y1h n14 516 21c 21d 1h14 a16 11c t16 21c 116 a0a 61c a0a 61c 71d 114 61d 21c v16 1d1c 516 1b14 h16 814 11c 21d a0a 71d a1h 916 91h 31d 316 u14 d16 214 a0a 1814 e16 81c 41d 1014 k16 31c 51d a0a 31c 314 a0a 1014 21d b07 51c 170j 21c 30j 81d 81c 316 11d l16 414 116 614 116 214 316 114 51c 1211 50k 107 1d11 50k 411 50k d11 107 1y11 10k 1s16 7411 m0k 21c 60k 21c 120k 21c 60k 21c 80k 11c 10k 11c 10k 11c 10k 11c v0k 21c 1h0k 11c 70k 11h 10k 31h 30k 11c 70k 31h 40k 21c 60k 11c 31h d0k 31h 21c 30k 11c 70k 21h 11c b1o 11p 10i 10h 20f o1d 21m 50f 11o c1d 10c 71d 11h 41d 10c 81d 11h c1d 11o 50f 11c a0f 119 111 21c 619 31h 21d 111 a19 31h 21d 11c d11 31c x1h f1c x16 f1c 21h 114 41h 114 21h a14 11h 114 31h 514 41h 10c 11h 114 11h 10k 11h 114 11h 211 214 11h 314 111 614 10c 21h 414 51h 514 41h 111 11h 1f19 211 519 21h 41c 41h 60c f1h 20c 9p1h 41d e1h 20c c1h 10c 21d 2l1h 10c 1y1h 10c p1h b0c 41h 30c 1b1h m1c b1h l1c 1o19 121h 10c 131h m19 4q1h 20c a1h 10c 91h 10c 1m1h 40c 11h 60c 11h c0c 11h 360c a1h 3a0c 21h b0c 11h 10c 11h 10c 61h 10c 31h 10c 61h 10c a1h 20c f1h 10c 21h 10c 41h 10c 11h 10c 41h 30c 11h 10c b1h 50c e1d u19 11h 30c 91h 10c e1h 10c e1h 10c 51h 21d v1h a1d 901h 20c 251h m1d 1r1h 41d w1h 21d 7b1h 30c j1h 20c 1f1h 10c 41h 10c u1h 21c w1h 11c 2x1h 2o14 w11 2t14 61h 414 316 214 51c 41d 119 21d 120j 11c 10j 51c 10j 21c 1k14 71c 114 11d e1c 116 n0e 91c 70e 11c 70e 11c 70e 11c 70e 11c 70e 11c 70e 11c 70e 11c 70e 11c w16 1b1d 114 w1d 21h c1d y1c q1h 11c 2h1h c1c 5y1h q1c g1h 11q 31d 11h 10o 114 119 a1d 21h c1d 11h 919 616 10c 514 21h 319 10o 114 10c 21h 11c 2e0w 21c 216 21h 30w 11d 2i0y 11d 114 30y 51c 1703 2o0p 21h 419 a1h w03 121h 91c 11h g0y v1h 11c a19 u1h 819 11h f19 w1h a19 d1h 10c 11h 10c n1h f19 8w1h 5340o 1s1h g740o wd1r 31c 1j1h 91c 1a14 21d 7h14 31d g14 a0a 214 k1c 1b07 416 11d a16 11d v07 216 1y14 a19 216 61d 81c n1h 914 21h 2u11 114 21h 1v11 21c 211 11c 111 11c 811 l1c e11 214 116 314 116 414 116 n14 516 41h 116 31c 619 41h 61c 1g14 41d 81c 216 1e14 i16 81c 21d a0a 61c i16 608 31d 108 11d 208 116 a0a s14 816 21d n14 d16 b1c 11d w0r 416 1b14 e16 d1d 11c 114 a0a 41c 21d 518 116 a18 a0a 518 11c 1514 e16 91c 314 116 814 216 21c a0a 21c 41d n18 31h 118 316 218 1c14 116 114 316 214 216 514 216 114 116 114 o1c 314 21d b14 516 21d 314 216 a1c 60e 21c 60e 21c 60e 91c 70e 11c 70e 11c 1711 11h 911 10k 411 21h 41c 2805 z14 816 11d 216 21c a0a 61c 8mc0u c1c 280s 6io1c a60o 21c 2y0o 121c 711 c1c 501 51c 10v 116 a0v 11h d0v 11c 50v 11c 10v 11c 20v 11c 20v 11c a0v 2q00 h1h g1c a300 21d g1h 1s00 21c 1i00 71c 11h w1c c00 41h g0d a1d 61c g16 z1d 11c e1d 11h 11d 31h 11c 11d 11h 21d 41c 500 11c 3r00 21c 10g 11c 31d 11h 61d 11h 41d a0a 21d 31h 21d q11 31d 11h 11d 11h q11 11d 11h 11d 11h 71d a0y 114 190y 214 v0t 31c 60t 21c 60t 21c 60t 21c 30t 31c 71h 11c 71h a1c 30f 21h 21c c14 11c q14 11c j14 11c 214 11c f14 21c e14 y1c 3f14 51c 31d 41c 1919 31c 91h 1l19 h1h 219 31h 11c d1h 31c 11h 1b1c 191h 116 3m1c t14 31c 1d14 f1c 116 r19 41c w14 419 91c k14 119 814 119 51c 1214 516 51c u14 11c 11d 1014 41c 814 11d 519 161c 4e14 21c a0a 61c 1014 41c 1014 41c 1414 81c 1g14 b1c 11d b14 11c f14 11c 714 11c 214 11c b14 11c f14 11c 714 11c 214 31c 1g14 c1c 8n14 91c m14 a1c 814 o1c 611 11c 1611 11c 911 1x1c 614 21c 114 11c 1814 11c 214 31c 114 21c n14 11c 11d 819 n14 21h 719 v14 81c 919 1c1c j14 11c 214 51c 519 m14 619 31c 11d q14 51c 11d 1s1c 1k14 41c 219 214 g19 21c 1a19 114 316 11c 216 51c 416 414 11c 314 11c t14 21c 316 41c 116 919 71c 91d 71c t14 219 11d t14 319 w1c 814 11h s14 216 41c 519 71d 91c 1i14 31c 71d m14 21c 819 j14 51c 819 i14 71c 41d c1c 719 281c 2114 1j1c 1f14 d1c 1f14 71c 619 1014 416 81c a0a 61c a0a s14 31c 516 11d n14 81c 21h 5s1c v19 11c 1614 11c 216 11d 21c 214 g1c 300 1j1c 416 t14 a19 114 81c m14 b16 419 51d m1c i14 416 41d 121c l14 719 k1c n14 91c 316 1h14 f16 71d 41c k19 a0a 116 214 216 114 91c 416 1914 b16 21d 10f 41d 116 a1c 10f 21c p14 71c a0a 61c 316 1014 e16 11c a0a 41d 114 216 114 81c z14 116 21d 114 91c 316 1c14 e16 414 41d 416 11d 216 a0a 114 11d 114 31d 11c k19 b1c i14 11c p14 c16 61d 116 214 116 1q1c 714 11c 114 11c 414 11c f14 11c a14 11d 61c 1b14 c16 51c a0a 61c 416 11c 814 21c 214 21c m14 11c 714 11c 214 11c 514 11c 216 114 716 21c 216 21c 316 21c 114 61c 116 51c 514 216 21c 716 31c 516 b1c a14 11c 114 21c 114 11c 1214 11c 114 916 11c 116 21c 116 11c 416 11c 516 114 116 114 21d 11c 21d 81c 216 t1c 1h14 i16 414 51d a0a 21d 11c 11d 116 314 u1c 1c14 k16 214 11d 114 81c a0a 4m1c 1b14 716 21c 916 n1d 414 216 y1c 1c14 h16 31d 114 b1c a0a 61c d1d j1c 1714 d16 114 11d 61c a0a 61c k0a s1c r14 21c f16 41c a0a 219 31d 11h 714 551c 1814 f16 11d 2s1c 1s14 a0a 919 c1c 814 21c 114 21c 814 11c 214 11c o14 616 11c 216 21c 416 114 116 114 216 31d 91c a0a 1y1c 814 21c 1314 716 21c 716 114 11d 114 116 r1c 114 a16 1414 716 114 416 81d 116 81c 114 b16 1a14 g16 31d 114 51d d1c g04 1l14 71c a1d 521c x14 11d e1c a0a 61c 914 11c 1114 816 11c 816 114 51d a1c a0a j19 31c 21d u14 21c m16 11c e16 211c 714 11c 214 11c 1214 616 31c 116 11c 216 11c 716 114 116 81c a0a 61c 614 11c 214 11c w14 516 11c 216 11c 516 114 71c a0a 8m1c j14 416 21d 71c 216 114 116 d14 11c y14 716 31c 516 d1d a0a 116 2d1c 114 f1c l19 t1h d1c 11d pm14 2u1c 3319 11c 51d b1c 5g14 2181c 2p14 21d d1c ts14 g0f 116 614 f16 a1c 32z14 51c g714 5a11c u14 i16 a0a 1c61c ft14 71c v14 11c a0a 41c 21d 2714 11c a0a 61c u14 21c 516 11d a1c 1c14 716 51d 41h 414 11d 11h a1c a0a 11c 719 11c l14 51c j14 c01c 1914 31d a0a 5i1c 1s14 n19 41d 2t1c 2314 41c 116 114 1j16 71c 416 d14 1s1c 214 11d 10o 116 b1c 216 e1c 4qg14 81c ye14 151c a14 6w71c 40y 11c 70y 11c 20y 11c 10y 7z0w 30y f1c 10w t1c 30w 21c 10y e1c 40y 81c b014 1s41c 2z14 51c d14 31c 914 71c a14 21c 11h 216 11d 40f 3181c 6o1h a0a 61c c41h 241c 1a16 21c n16 91c 381h 1o1c 6u1h a1c 131h 21c 1o1h 516 31h 616 80f 816 21h 716 u1h 416 1p1h l1c 1u1h 316 11h 3e1c k19 c1c k19 c1c 2f1h 91c p19 3r1c 2d14 11c 1z14 11c 214 21c 114 21c 214 21c 414 11c c14 11c 114 11c 714 11c 1t14 11c 414 21c 814 11c 714 11c s14 11c 414 11c 514 11c 114 31c 714 11c 9g14 21c p14 11h p14 11h v14 11h p14 11h v14 11h p14 11h v14 11h p14 11h v14 11h p14 11h 814 21c 1e0a e81h 1j16 41h 1e16 81h 116 e1h 116 21h 51d f1c 516 11c f16 uo1c v11 61c 611 5x1c 716 11c h16 21c 716 11c 216 11c 516 51c 1q07 x1c 116 341c 1914 31c 716 714 21c a0a 41c 114 11h 8w1c u14 116 h1c 1814 416 a0a 51c 11h cw1c s14 416 a0a 5y1c u14 216 114 a0a 41c 11d dc1c 70e 11c 40e 11c 20e 11c f0e 11c 5h14 21c 919 716 151c 1w14 716 114 41c a0a 41c 21d lt1c 1n19 11h 319 11h 419 241c 1919 11h f19 5e1c 400 11c r00 11c 200 11c 100 21c 100 11c a00 11c 400 11c 100 11c 100 61c 100 41c 100 11c 100 11c 100 11c 300 11c 200 11c 100 21c 100 11c 100 11c 100 11c 100 11c 100 11c 200 11c 100 21c 400 11c 700 11c 400 11c 400 11c 100 11c a00 11c h00 51c 300 11c 500 11c h00 1g1c 21h 7i1c 740c d19 30c v1h 10c 1o1h 60c c1h 20c e1h 10c 21h a0c i1h 1l0c q0b 11h f0c a1h 10c k1h 10c 21h 90c 11h 40c 91h c20c 50b 8u0c 81h 7e0c 1c1h 3k0c 381h c0c 2d1h 170c c1h 40c 1k1h 80c a1h 60c 141h 80c u1h 2a0c c1h 1b0c 11h a0c 11h c90c 431h 11c 2k1h a0a 61c se0c 21c wyo0o w1c 37e0o 60n 660o 20n 4g20o e0n 5rl0o f0n ha0o 20n 1wg1c f20o 15u1c 3t70o 50n 38g0o 3bk0n f5vl1c 10f u1c 2o0f 3k1c 6o0d 47bk1c"},"v2":{"values":["Arabic:Modifier","Arabic:Other","Armenian:Lowercase","Armenian:Modifier","Armenian:Uppercase","Bengali:Other","Bopomofo:Other","Canadian Aboriginal:Other","Cherokee:Lowercase","Cherokee:Uppercase","Control","Cyrillic:Lowercase","Cyrillic:Modifier","Cyrillic:Other","Cyrillic:Uppercase","Devanagari:Modifier","Devanagari:Other","Digit:Arabic","Digit:Bengali","Digit:Common","Digit:Devanagari","Digit:Gujarati","Digit:Gurmukhi","Digit:Kannada","Digit:Khmer","Digit:Lao","Digit:Malayalam","Digit:Mongolian","Digit:Myanmar","Digit:Odia","Digit:Other Script","Digit:Sinhala","Digit:Tamil","Digit:Telugu","Digit:Thai","Digit:Tibetan","Emoji:Emoji Component","Emoji:Extended Pictographic","Emoji:Variation Selector","Ethiopic:Other","Format","Format:BOM/ZWNBS","Format:ZWJ","Format:ZWNJ","Georgian:Lowercase","Georgian:Modifier","Georgian:Uppercase","Greek:Lowercase","Greek:Modifier","Greek:Titlecase","Greek:Uppercase","Gujarati:Other","Gurmukhi:Other","Han Ideograph","Han Ideograph:Modifier","Han Ideograph:Other","Hangul:Compatibility Jamo","Hangul:Jamo Ext‑A","Hangul:Jamo Ext‑A:Choseong","Hangul:Jamo Ext‑B","Hangul:Jamo Ext‑B:Jongseong","Hangul:Jamo Ext‑B:Jungseong","Hangul:Jamo:Choseong","Hangul:Jamo:Jongseong","Hangul:Jamo:Jungseong","Hangul:Other","Hangul:Syllable","Hebrew:Other","Hiragana:Modifier","Hiragana:Other","Kannada:Other","Katakana:Modifier","Katakana:Other","Khmer:Modifier","Khmer:Other","Lao:Modifier","Lao:Other","Latin:Lowercase","Latin:Modifier","Latin:Other","Latin:Titlecase","Latin:Uppercase","Letter:Lowercase","Letter:Modifier","Letter:Other","Letter:Uppercase","Malayalam:Other","Mark","Mongolian:Modifier","Mongolian:Other","Myanmar:Modifier","Myanmar:Other","Number","Odia:Other","Ogham:Other","Other","Punctuation:Close","Punctuation:Connector","Punctuation:Dash","Punctuation:Open","Punctuation:Other","Punctuation:Quote","Runic:Other","Sinhala:Other","Symbol:Currency","Symbol:Math","Symbol:Modifier","Symbol:Other","Tamil:Other","Telugu:Other","Thai:Modifier","Thai:Other","Tibetan:Other","Whitespace:Control:Line Break","Whitespace:Control:Tab","Whitespace:Fixed-Width Space","Whitespace:Invisible:Zero Width","Whitespace:Space Separator","Yi:Modifier","Yi:Other"],"width":2,"runs":"90a 136 435 i0a 139 32s 12w 32s 12r 12o 12s 12x 12s 12q 22s a0j 22s 32x 22s q29 12r 12s 12o 12y 12p 12y q25 12r 12x 12o 12x 60a 135 q0a 139 12s 42w 12z 12s 12y 111 127 12t 12x 114 111 12y 12z 12x 22k 12y 12a 22s 12y 12k 127 12t 32k 12s n29 12x 729 o25 12x 825 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 225 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 225 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 229 125 129 125 129 325 229 125 129 125 229 125 329 225 429 125 229 125 329 325 229 125 229 125 129 125 129 125 229 125 129 225 129 125 229 125 329 125 129 125 229 225 127 129 325 427 129 128 125 129 128 125 129 128 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 225 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 225 129 128 125 129 125 329 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 725 229 125 229 225 129 125 429 125 129 125 129 125 129 125 129 1x25 127 r25 926 92b 42y c2b e2y 526 72y 12b 12y 12b h2y 342f 11e 11b 11e 11b 12b 12y 11e 11b 22n 11c 31b 12s 11e 42n 22y 11e 12s 31e 12n 11e 12n 21e 11b h1e 12n 91e z1b 11e 21b 31e 31b 11e 11b 11e 11b 11e 11b 11e 11b 11e 11b 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 41b 11e 11b 12x 11e 11b 21e 21b 31e 1c0e 1c0b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 12z 72f 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 20e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 20b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 12n 1204 22n 103 62s 1502 12s 12q 22n 22z 12w 12n 192f 12q 12f 12s 22f 12s 22f 12s 12f 82n r1v 42n 41v 22s b2n 614 32x 22s 12w 22s 22z b2f 12s 114 32s w01 12b a01 l2f a0h 42s 201 12f 2r01 12s 101 72f 114 12z 62f 200 22f 12z 42f 201 a0h 301 22z 101 e2s 12n 114 12c 12f u2c r2f 22n 32c 1c01 122c b2f 12c e2n a0u x2c 92f 22b 12z 32s 12b 22n 12f 22w m2c 42f 12b 92f 12b 32f 12b 52f 22n f2s 12n p2c 32f 22n 12s 12n b2c 52n o01 12y 601 12n 214 52n 92f 1501 100 o2f 114 x2f 1i0g 32f 10g i2f 10g 72f a0g 22f 22s a0k 12s 10f e0g 105 32f 12n 805 22n 205 22n m05 12n 705 12n 105 32n 405 22n 12f 105 72f 22n 22f 22n 32f 105 82n 12f 42n 205 12n 305 22f 22n a0i 205 22w 62k 12z 12w 105 12s 12f 22n 32f 12n 61g 42n 21g 22n m1g 12n 71g 12n 21g 12n 21g 12n 21g 22n 12f 12n 52f 42n 22f 22n 32f 32n 12f 72n 41g 12n 11g 72n a0m 22f 31g 12f 12s a2n 32f 12n 91f 12n 31f 12n m1f 12n 71f 12n 21f 12n 51f 22n 12f 11f 82f 12n 32f 12n 32f 22n 11f f2n 21f 22f 22n a0l 12s 12w 72n 11f 62f 12n 32f 12n 82l 22n 22l 22n m2l 12n 72l 12n 22l 12n 52l 22n 12f 12l 72f 22n 22f 22n 32f 72n 32f 42n 22l 12n 32l 22f 22n a0t 12z 12l 62k a2n 12f 130 12n 630 32n 330 12n 430 32n 230 12n 130 12n 230 32n 230 32n 330 32n c30 42n 52f 32n 32f 12n 42f 22n 130 62n 12f e2n a0w 32k 62z 12w 12z 52n 52f 831 12n 331 12n n31 12n g31 22n 12f 131 72f 12n 32f 12n 42f 72n 22f 12n 331 22n 131 22n 231 22f 22n a0x 72n 12s 72k 12z 11y 32f 12s 81y 12n 31y 12n n1y 12n a1y 12n 51y 22n 12f 11y 72f 12n 32f 12n 42f 72n 22f 62n 21y 12n 21y 22f 22n a0n 12n 21y 12f c2n 42f 92e 12n 32e 12n 152e 22f 12e 72f 12n 32f 12n 42f 12e 12z 42n 32e 12f 72k 32e 22f 22n a0q 92k 12z 62e 12n 32f 12n i2v 32n o2v 12n 92v 12n 12v 22n 72v 32n 12f 42n 62f 12n 12f 12n 82f 62n a0v 22n 22f 12s c2n 1c33 12f 233 72f 42n 12w 633 132 82f 12s a0y 22s 112n 224 12n 124 12n 524 12n o24 12n 124 12n a24 12f 224 92f 124 22n 524 12n 123 12n 72f 12n a0p 22n 424 w2n 134 32z f2s 12z 12s 32z 22f 62z a0z a2k 12z 12f 12z 12f 12z 12f 12r 12o 12r 12o 22f 834 12n 1034 42n k2f 12s 22f 534 b2f 12n 102f 12n 82z 12f 62z 12n 22z 52s 42z 22s 112n 172j k2f 12j a0s 62s 62j 42f 42j 32f 12j 32f 22j 72f 32j 42f d2j c2f 12j 12f a0s 42f 22z 121a 12n 11a 52n 11a 22n 1718 12s 119 318 2o1q 201s 2g1r 2113 12n 413 22n 713 12n 113 12n 413 22n 1513 12n 413 22n x13 12n 413 22n 713 12n 113 12n 413 22n f13 12n 1l13 12n 413 22n 1v13 22n 32f 92s k2k 32n g13 a2z 62n 2e09 22n 608 22n 12q h807 12z 12s h07 139 q2m 12r 12o 32n 232u 32s 32k 82u 72n i2c 42f 92n j2c 32f 22s 92n i2c 22f c2n d2c 12n 32c 12n 22f c2n 1g22 w2f 32s 121 32s 12w 122 12f 22n a0o 62n a2k 62n 62s 12q 42s 32f 114 12f a0r 62n z2h 12g 1h2h 72n 52h 22f y2h 12f 12h 52n 1y07 a2n v2c 12n c2f 42n c2f 42n 12z 32n 22s a0u u2c 22n 52c b2n 182c 42n q2c 62n a0u 12k 32n y2z n2c 52f 22n 22s 1h2c a2f 12n t2f 22n 12f a0u 62n a0u 62n 72s 12b 62s 22n v2f 1d2n 52f 1b2c h2f 82c 12n 22s a0u 72s a2z 92f 92z 32s 32f u2c d2f 22c a0u 182c e2f 82n 42s 102c k2f 32n 52s a0u 32n 32c a0u u2c 62b 22s 90b 10e 10b 52n 171a 22n 31a 82s 82n 32f 12s l2f 42c 12f 62c 12f 22c 32f 12c 52n 1225 51b 10b 1d26 51c 426 51c d25 10c y25 1026 11c 1s2f 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 925 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 81b 81e 61b 22n 61e 22n 81b 81e 81b 81e 61b 22n 61e 22n 81b 12n 11e 12n 11e 12n 11e 12n 11e 81b 81e e1b 22n 81b 81d 81b 81d 81b 81d 51b 12n 21b 41e 11d 12y 11b 32y 31b 12n 21b 41e 11d 32y 41b 22n 21b 41e 12n 32y 81b 51e 32y 22n 31b 12n 21b 41e 11d 22y 12n b37 138 117 116 214 62q 22s 22t 12r 32t 12r 12t 82s 235 514 137 92s 22t 12s 111 22s 22p 32s 12x 12r 12o 22s 111 82s 12x 12s 12p a2s 137 514 12n a14 12k 126 22n 62k 32x 12r 12o 126 a2k 32x 12r 12o 12n d26 32n x2w f2n x2f f2n 22z 12d 42z 12d 22z 12a 32d 22a 32d 12a 12z 12d 22z 12x 52d 42z 111 12z 12d 12z 11e 12z 12d 12z 229 22d 12z 12a 22d 129 12d 12a 42c 111 22z 22a 22d 52x 12d 42a 12z 12x 22z 125 12z 1f2k 129 125 52k 22z 42n 42x 611 22x 42z 12x 22z 12x 22z 12x 22z 211 32z 12x v2z 22x 22z 12x 12z 12x v2z 7g2x 82z 12r 12o 12r 12o e2z 211 42z 22x 62z 111 12r 12o 292z 12x b2z 111 i2z p2x r2z 111 c2z 62x 72z b11 42z 311 1b2z m2n b2z l2n 1o2k 122z 111 132z m2k 4q2z 211 a2z 111 12x 82z 111 12x 1i2z 32x 411 12x 611 12z c11 12z 3611 a2z 3a11 22z b11 12z 111 12z 111 62z 111 32z 111 62z 111 a2z 211 f2z 111 22z 111 42z 111 12z 111 42z 311 12z 111 b2z 511 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o u2k 12z 311 92z 111 e2z 111 e2z 111 52x 12r 12o v2x 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o g2x 742z 1g2x 211 252x 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 1r2x 12r 12o 12r 12o w2x 12r 12o 762x 52z 311 j2z 211 j2z l2x 22z 62x 32z 111 42z 111 u2z 22n w2z 12n 2x2z 1c2d 1c2a 129 125 329 225 129 125 129 125 129 125 429 125 129 225 129 625 226 229 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 12a 12d 22a 62z 12d 12a 12d 12a 32f 12d 12a 52n 42s 12k 22s 1218 12n 118 52n 118 22n 1k2c 72n 12b 12s e2n 12f n13 92n 713 12n 713 12n 713 12n 713 12n 713 12n 713 12n 713 12n 713 12n w2f 22s 42t 32s 22t 12s 22t 92s 12q 22s 12q 12s 22t 22s 22t 12r 12o 12r 12o 12r 12o 12r 12o 52s 12b a2s 22q 42s 12q 12s 12r d2s 22z 32s 12r 12o 12r 12o 12r 12o 12r 12o 12q y2n q2z 12n 2h2z c2n 5y2z q2n g2z 139 32s 12z 11i 12c 12k 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 22z 12r 12o 12r 12o 12r 12o 12r 12o 12q 12r 22o 12z 92k 62f 111 52b 22z 32k 11i 12c 111 22z 12n 2e1x 22n 22f 22y 21w 11x 12q 2i20 12s 12b 21z 120 52n 1706 2o1k 22z 42k a2z w06 122z 92n 12z g20 v2z 12n a2k u2z 82k 12z f2k w2z a2k d2z 111 12z 111 n2z f2k 8w2z 5341j 1s2z g741j l3b 13a vr3b 32n 1j2z 92n 142c 62b 22s 7g2c 12b 32s g2c a0u 22c k2n 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10d 42f 12s a2f 12s 10c 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 10e 10b 20c 22f 1y2c a2k 22f 62s 82n n2y 92b 22y 129 125 129 125 129 125 129 125 129 125 129 125 129 325 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 126 825 129 125 129 125 229 125 129 125 129 125 129 125 129 125 12b 22y 129 125 129 125 127 129 125 129 325 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 529 125 529 125 129 125 129 125 129 125 129 125 129 125 129 125 129 125 429 125 129 125 229 125 22n 129 125 12n 125 12n 125 129 125 129 125 129 125 129 l2n 326 129 125 127 226 125 527 22c 12f 32c 12f 42c 12f n2c 52f 42z 12f 32n 62k 22z 12w 12z 62n 1g2c 42s 82n 22f 1e2c i2f 82n 22s a0u 62n i2f 60g 32s 10g 12s 20g 12f a0u s2c 82f 22s n2c d2f b2n 12s t1m 31l 42f 1b2c e2f d2s 12n 12b a0u 42n 22s 52j 12f 12i 92j a0s 52j 12n 152c e2f 92n 32c 12f 82c 22f 22n a0u 22n 42s g2j 12i 62j 32z 12j 32f 22j 1c2c 12f 12c 32f 22c 22f 52c 22f 12c 12f 12c o2n 22c 12b 22s b2c 52f 22s 12c 22b 22f a2n 613 22n 613 22n 613 92n 713 12n 713 12n 1725 12y 426 525 11b 325 126 22y 42n 2808 z2c 82f 12s 22f 22n a0u 62n 8mc1u c2n n1p 41n 1d1o 41n 6io2n a61j 22n 2y1j 122n 725 c2n 502 52n 11v 12f a1v 12x d1v 12n 51v 12n 11v 12n 21v 12n 21v 12n a1v 2q01 h2y g2n a301 12o 12r g2z 1s01 22n 1i01 72n 12z w2n c01 12w 32z g12 72s 12r 12o 12s 62n g2f 12s 22q 22p 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 12r 12o 22s 12r 12o 42s 32p 32s 12n 42s 12q 12r 12o 12r 12o 12r 12o 32s 12x 12q 32x 12n 12s 12w 22s 42n 501 12n 3r01 22n 115 12n 32s 12w 32s 12r 12o 12s 12x 12s 12q 22s a0j 22s 32x 22s q29 12r 12s 12o 12y 12p 12y q25 12r 12x 12o 12x 12r 12o 12s 12r 12o 22s a20 12b 1920 22b v1t 32n 61t 22n 61t 22n 61t 22n 31t 32n 22w 12x 12y 12z 22w 12n 12z 42x 22z a2n 314 22z 22n c2c 12n q2c 12n j2c 12n 22c 12n f2c 22n e2c y2n 3f2c 52n 32s 42n 192k 32n 92z 1l2k h2z 22k 32z 12n d2z 32n 12z 1b2n 192z 12f 3m2n t2c 32n 1d2c f2n 12f r2k 42n w2c 42k 92n k2c 12k 82c 12k 52n 122c 52f 52n u2c 12n 12s 102c 42n 82c 12s 52k 162n 142d 142a 262c 22n a0u 62n 102d 42n 102a 42n 142c 82n 1g2c b2n 12s b2d 12n f2d 12n 72d 12n 22d 12n b2a 12n f2a 12n 72a 12n 22a 32n 1g2c c2n 8n2c 92n m2c a2n 82c o2n 626 12n 1626 12n 926 1x2n 62c 22n 12c 12n 182c 12n 22c 32n 12c 22n n2c 12n 12s 82k n2c 22z 72k v2c 82n 92k 1c2n j2c 12n 22c 52n 52k m2c 62k 32n 12s q2c 52n 12s 1s2n 1k2c 42n 22k 22c g2k 22n 1a2k 12c 32f 12n 22f 52n 42f 42c 12n 32c 12n t2c 22n 32f 42n 12f 92k 72n 92s 72n t2c 22k 12s t2c 32k w2n 82c 12z s2c 22f 42n 52k 72s 92n 1i2c 32n 72s m2c 22n 82k j2c 52n 82k i2c 72n 42s c2n 72k 282n 212c 1j2n 1f2d d2n 1f2a 72n 62k 102c 42f 82n a0u 62n a0u 42c 12b 12c m2d 32n 52f 12q 12b m2a 82n 22x 5s2n v2k 12n 162c 12n 22f 12q 22n 22c g2n 301 1j2n 42f t2c a2k 12c 82n m2c b2f 42k 52s m2n i2c 42f 42s 122n l2c 72k k2n n2c 92n 32f 1h2c f2f 72s 42n k2k a0u 12f 22c 22f 12c 92n 42f 192c b2f 22s 114 42s 12f a2n 114 22n p2c 72n a0u 62n 32f 102c e2f 12n a0u 42s 12c 22f 12c 82n z2c 12f 22s 12c 92n 32f 1c2c e2f 42c 42s 42f 12s 22f a0u 12c 12s 12c 32s 12n k2k b2n i2c 12n p2c c2f 62s 12f 22c 12f 1q2n 72c 12n 12c 12n 42c 12n f2c 12n a2c 12s 62n 1b2c c2f 52n a0u 62n 42f 12n 82c 22n 22c 22n m2c 12n 72c 12n 22c 12n 52c 12n 22f 12c 72f 22n 22f 22n 32f 22n 12c 62n 12f 52n 52c 22f 22n 72f 32n 52f b2n a2c 12n 12c 22n 12c 12n 122c 12n 12c 92f 12n 12f 22n 12f 12n 42f 12n 52f 12c 12f 12c 22s 12n 22s 82n 22f t2n 1h2c i2f 42c 52s a0u 22s 12n 12s 12f 32c u2n 1c2c k2f 22c 12s 12c 82n a0u 4m2n 1b2c 72f 22n 92f n2s 42c 22f y2n 1c2c h2f 32s 12c b2n a0u 62n d2s j2n 172c d2f 12c 12s 62n a0u 62n k0s s2n r2c 22n f2f 42n a0u 22k 32s 12z 72c 552n 182c f2f 12s 2s2n w2d w2a a0u 92k c2n 82c 22n 12c 22n 82c 12n 22c 12n o2c 62f 12n 22f 22n 42f 12c 12f 12c 22f 32s 92n a0u 1y2n 82c 22n 132c 72f 22n 72f 12c 12s 12c 12f r2n 12c a2f 142c 72f 12c 42f 82s 12f 82n 12c b2f 1a2c g2f 32s 12c 52s d2n g07 1l2c 72n a2s 522n x2c 12s e2n a0u 62n 92c 12n 112c 82f 12n 82f 12c 52s a2n a0u j2k 32n 22s u2c 22n m2f 12n e2f 212n 72c 12n 22c 12n 122c 62f 32n 12f 12n 22f 12n 72f 12c 12f 82n a0u 62n 62c 12n 22c 12n w2c 52f 12n 22f 12n 52f 12c 72n a0u 8m2n j2c 42f 22s 72n 22f 12c 12f d2c 12n y2c 72f 32n 52f d2s a0u 12f 2d2n 12c f2n l2k 82z 42w h2z d2n 12s pm2c 2u2n 332k 12n 52s b2n 5g2c 2182n 2p2c 22s d2n ts2c g14 12f 62c f2f a2n 32z2c 52n g72c 5a12n u2c i2f a0u 1c62n ft2c 72n v2c 12n a0u 42n 22s 272c 12n a0u 62n u2c 22n 52f 12s a2n 1c2c 72f 52s 42z 42b 12s 12z a2n a0u 12n 72k 12n l2c 52n j2c c02n 32b 142c 22b 32s a0u 5i2n w2d w2a n2k 42s 2t2n 232c 42n 12f 12c 1j2f 72n 42f d2b 1s2n 22b 12s 11i 12f b2n 22f e2n 4qg2c 82n ye2c 152n a2c 6w72n 41z 12n 71z 12n 21z 12n 120 7z1x 320 f2n 11x t2n 31x 22n 120 e2n 420 82n b02c 1s42n 2z2c 52n d2c 32n 92c 72n a2c 22n 12z 22f 12s 414 3182n 6o2z a0j 62n c42z 242n 1a2f 22n n2f 92n 382z 1o2n 6u2z a2n 132z 22n 1o2z 52f 32z 62f 814 82f 22z 72f u2z 42f 1p2z l2n 1u2z 32f 12z 3e2n k2k c2n k2k c2n 2f2z 92n p2k 3r2n q2d q2a q2d 72a 12n i2a q2d q2a 12d 12n 22d 22n 12d 22n 22d 22n 42d 12n 82d 42a 12n 12a 12n 72a 12n b2a q2d q2a 22d 12n 42d 22n 82d 12n 72d 12n q2a 22d 12n 42d 12n 52d 12n 12d 32n 72d 12n q2a q2d q2a q2d q2a q2d q2a q2d q2a q2d q2a q2d s2a 22n p2d 12x p2a 12x 62a p2d 12x p2a 12x 62a p2d 12x p2a 12x 62a p2d 12x p2a 12x 62a p2d 12x p2a 12x 62a 12d 12a 22n 1e0j e82z 1j2f 42z 1e2f 82z 12f e2z 12f 22z 52s f2n 52f 12n f2f uo2n a25 127 k25 62n 625 5x2n 72f 12n h2f 22n 72f 12n 22f 12n 52f 52n 1q0c x2n 12f 342n 192c 32n 72f 72b 22n a0u 42n 12c 12z 8w2n u2c 12f h2n 182c 42f a0u 52n 12w cw2n r2c 12b 42f a0u 5y2n u2c 22f 12c a0u 42n 12s dc2n 713 12n 413 12n 213 12n f13 12n 5h2c 22n 92k 72f 152n y2d y2a 72f 12b 42n a0u 42n 22s lt2n 1n2k 12z 32k 12w 42k 242n 192k 12z f2k 5e2n 401 12n r01 12n 201 12n 101 22n 101 12n a01 12n 401 12n 101 12n 101 62n 101 42n 101 12n 101 12n 101 12n 301 12n 201 12n 101 22n 101 12n 101 12n 101 12n 101 12n 101 12n 201 12n 101 22n 401 12n 701 12n 401 12n 401 12n 101 12n a01 12n h01 52n 301 12n 501 12n h01 1g2n 22x 7i2n 7411 d2k 311 v2z 111 1o2z 611 c2z 211 e2z 111 22z a11 i2z 1l11 q10 12z f11 a2z 111 k2z 111 22z 911 12z 411 92z c211 510 8u11 82z 7e11 1c2z 3k11 382z c11 2d2z 1711 c2z 411 1k2z 811 a2z 611 142z 811 u2z 2a11 c2z 1b11 12z a11 12z c911 432z 12n 2k2z a0j 62n se11 22n wyo1j w2n 37e1j 61h 661j 21h 4g21j e1h 5rl1j f1h ha1j 21h 1wg2n f21j 15u2n 3t71j 51h 38g1j 3bk1h f5vl2n 114 u2n 2o14 3k2n 6o12 47bk2n"}};
@@ -0,0 +1,9 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/Blocks.txt, data/ucd/DerivedAge.txt
+
+/** Block 구간 테이블(블록 밖은 No_Block) */
+export const BLOCK = {"values":["Adlam","Aegean Numbers","Ahom","Alchemical Symbols","Alphabetic Presentation Forms","Anatolian Hieroglyphs","Ancient Greek Musical Notation","Ancient Greek Numbers","Ancient Symbols","Arabic","Arabic Extended-A","Arabic Extended-B","Arabic Extended-C","Arabic Mathematical Alphabetic Symbols","Arabic Presentation Forms-A","Arabic Presentation Forms-B","Arabic Supplement","Armenian","Arrows","Avestan","Balinese","Bamum","Bamum Supplement","Basic Latin","Bassa Vah","Batak","Bengali","Bhaiksuki","Block Elements","Bopomofo","Bopomofo Extended","Box Drawing","Brahmi","Braille Patterns","Buginese","Buhid","Byzantine Musical Symbols","CJK Compatibility","CJK Compatibility Forms","CJK Compatibility Ideographs","CJK Compatibility Ideographs Supplement","CJK Radicals Supplement","CJK Strokes","CJK Symbols and Punctuation","CJK Unified Ideographs","CJK Unified Ideographs Extension A","CJK Unified Ideographs Extension B","CJK Unified Ideographs Extension C","CJK Unified Ideographs Extension D","CJK Unified Ideographs Extension E","CJK Unified Ideographs Extension F","CJK Unified Ideographs Extension G","CJK Unified Ideographs Extension H","CJK Unified Ideographs Extension I","Carian","Caucasian Albanian","Chakma","Cham","Cherokee","Cherokee Supplement","Chess Symbols","Chorasmian","Combining Diacritical Marks","Combining Diacritical Marks Extended","Combining Diacritical Marks Supplement","Combining Diacritical Marks for Symbols","Combining Half Marks","Common Indic Number Forms","Control Pictures","Coptic","Coptic Epact Numbers","Counting Rod Numerals","Cuneiform","Cuneiform Numbers and Punctuation","Currency Symbols","Cypriot Syllabary","Cypro-Minoan","Cyrillic","Cyrillic Extended-A","Cyrillic Extended-B","Cyrillic Extended-C","Cyrillic Extended-D","Cyrillic Supplement","Deseret","Devanagari","Devanagari Extended","Devanagari Extended-A","Dingbats","Dives Akuru","Dogra","Domino Tiles","Duployan","Early Dynastic Cuneiform","Egyptian Hieroglyph Format Controls","Egyptian Hieroglyphs","Egyptian Hieroglyphs Extended-A","Elbasan","Elymaic","Emoticons","Enclosed Alphanumeric Supplement","Enclosed Alphanumerics","Enclosed CJK Letters and Months","Enclosed Ideographic Supplement","Ethiopic","Ethiopic Extended","Ethiopic Extended-A","Ethiopic Extended-B","Ethiopic Supplement","Garay","General Punctuation","Geometric Shapes","Geometric Shapes Extended","Georgian","Georgian Extended","Georgian Supplement","Glagolitic","Glagolitic Supplement","Gothic","Grantha","Greek Extended","Greek and Coptic","Gujarati","Gunjala Gondi","Gurmukhi","Gurung Khema","Halfwidth and Fullwidth Forms","Hangul Compatibility Jamo","Hangul Jamo","Hangul Jamo Extended-A","Hangul Jamo Extended-B","Hangul Syllables","Hanifi Rohingya","Hanunoo","Hatran","Hebrew","High Private Use Surrogates","High Surrogates","Hiragana","IPA Extensions","Ideographic Description Characters","Ideographic Symbols and Punctuation","Imperial Aramaic","Indic Siyaq Numbers","Inscriptional Pahlavi","Inscriptional Parthian","Javanese","Kaithi","Kaktovik Numerals","Kana Extended-A","Kana Extended-B","Kana Supplement","Kanbun","Kangxi Radicals","Kannada","Katakana","Katakana Phonetic Extensions","Kawi","Kayah Li","Kharoshthi","Khitan Small Script","Khmer","Khmer Symbols","Khojki","Khudawadi","Kirat Rai","Lao","Latin Extended Additional","Latin Extended-A","Latin Extended-B","Latin Extended-C","Latin Extended-D","Latin Extended-E","Latin Extended-F","Latin Extended-G","Latin-1 Supplement","Lepcha","Letterlike Symbols","Limbu","Linear A","Linear B Ideograms","Linear B Syllabary","Lisu","Lisu Supplement","Low Surrogates","Lycian","Lydian","Mahajani","Mahjong Tiles","Makasar","Malayalam","Mandaic","Manichaean","Marchen","Masaram Gondi","Mathematical Alphanumeric Symbols","Mathematical Operators","Mayan Numerals","Medefaidrin","Meetei Mayek","Meetei Mayek Extensions","Mende Kikakui","Meroitic Cursive","Meroitic Hieroglyphs","Miao","Miscellaneous Mathematical Symbols-A","Miscellaneous Mathematical Symbols-B","Miscellaneous Symbols","Miscellaneous Symbols and Arrows","Miscellaneous Symbols and Pictographs","Miscellaneous Technical","Modi","Modifier Tone Letters","Mongolian","Mongolian Supplement","Mro","Multani","Musical Symbols","Myanmar","Myanmar Extended-A","Myanmar Extended-B","Myanmar Extended-C","NKo","Nabataean","Nag Mundari","Nandinagari","New Tai Lue","Newa","No_Block","Number Forms","Nushu","Nyiakeng Puachue Hmong","Ogham","Ol Chiki","Ol Onal","Old Hungarian","Old Italic","Old North Arabian","Old Permic","Old Persian","Old Sogdian","Old South Arabian","Old Turkic","Old Uyghur","Optical Character Recognition","Oriya","Ornamental Dingbats","Osage","Osmanya","Ottoman Siyaq Numbers","Pahawh Hmong","Palmyrene","Pau Cin Hau","Phags-pa","Phaistos Disc","Phoenician","Phonetic Extensions","Phonetic Extensions Supplement","Playing Cards","Private Use Area","Psalter Pahlavi","Rejang","Rumi Numeral Symbols","Runic","Samaritan","Saurashtra","Sharada","Shavian","Shorthand Format Controls","Siddham","Sinhala","Sinhala Archaic Numbers","Small Form Variants","Small Kana Extension","Sogdian","Sora Sompeng","Soyombo","Spacing Modifier Letters","Specials","Sundanese","Sundanese Supplement","Sunuwar","Superscripts and Subscripts","Supplemental Arrows-A","Supplemental Arrows-B","Supplemental Arrows-C","Supplemental Mathematical Operators","Supplemental Punctuation","Supplemental Symbols and Pictographs","Supplementary Private Use Area-A","Supplementary Private Use Area-B","Sutton SignWriting","Syloti Nagri","Symbols and Pictographs Extended-A","Symbols for Legacy Computing","Symbols for Legacy Computing Supplement","Syriac","Syriac Supplement","Tagalog","Tagbanwa","Tags","Tai Le","Tai Tham","Tai Viet","Tai Xuan Jing Symbols","Takri","Tamil","Tamil Supplement","Tangsa","Tangut","Tangut Components","Tangut Supplement","Telugu","Thaana","Thai","Tibetan","Tifinagh","Tirhuta","Todhri","Toto","Transport and Map Symbols","Tulu-Tigalari","Ugaritic","Unified Canadian Aboriginal Syllabics","Unified Canadian Aboriginal Syllabics Extended","Unified Canadian Aboriginal Syllabics Extended-A","Vai","Variation Selectors","Variation Selectors Supplement","Vedic Extensions","Vertical Forms","Vithkuqi","Wancho","Warang Citi","Yezidi","Yi Radicals","Yi Syllables","Yijing Hexagram Symbols","Zanabazar Square","Znamenny Musical Notation"],"width":2,"runs":"3k0n 3k4u 3k4n 5s4o 2o3u 287o 341q 403c 7425 1c2a 2o0h 343q 7409 2887 1c0g 1s8o 1s65 1s7b w5a g88 1c0b 2o0a 3k2c 3k0q 3k3f 3k3d 3k6s 3k8h 3k8n 3k49 3k59 3k7h 3k8p 3k4l 748q 4g61 2o34 743j ao2v w2z 2o1m hs8y w6f 2o7a w89 w3o w0z w8a 3k4g 4w5w 288z 284x 1c8c 2o69 w4h w0y 408d 281r 3k0k 1s7q 1s0p 284v 1c6g g28 1c35 g7r 1c94 3k73 1s74 1s1s 744m 743b 3431 1c7t 1c22 1c1t 284w 1s6c 340i 745f 745t 1s1w w6r 4g2s 3k0v w0s 2o32 745q 5c2f 1c5o g7u 740x 3k7v 3k5p 747x 745r 2o37 w4p 3k1x 1c36 288r 2o2w w26 3k7y 3k15 6848 g6b g3v 1s17 2o3t 2o4a 1c0t 2o3i g47 w0u 1c16 g4b 742t 7411 53419 1s9c g7418 wg9b 1s9a 1c51 8w91 2o27 2o0l w5v 684q 1c83 g1v 1s70 2o7c w2d 1c4d 1c78 w3k 2o41 w63 2o1l w62 2o8e w5j 1c2x 1s4r 281n 1s5i 8mo3m 283l ow3s 3k3r sg53 4xs76 e813 2804 j40e g92 g95 g1u w12 w7j 400f 6o3h g7p 3k50 3k4z 1s01 2807 1s08 1c71 3k6b w54 1s1i w1y 1c6j w39 1c6l w8x 1s6m w6b 282b 1c7e 1c6v 286u 1c2o 1s1j 2896 1s8t ao4y 1s4s 1s6b 1s23 w3x w6y 1c66 1c6b w3p w72 w55 1s6b w5m 2o5l 2o4e w6o w6k w6b 1s5b 1s0j w40 w3z 1c77 286b 286p 1c6b 3k6i 1s3n 2830 5s6b w79 1s99 1s0c 1c6n 1s7l 1s6q 1c1p w2p 3k0w 2842 1c7m 281k 1c56 2o7d w7i 284i 1c6b 1c5z 284j 3k3a 3k8w 3k6a 2o8s 4g6b 3k7g 2o5u w5x 288g 1c64 2802 4w6b 282h 286b 2o98 2o2g 1s6b 2o68 289d 2o7n g90 1s6z 2o2e 2o6b 1s7s 340r 285c 1s6b 2o5d 283e 8g6b w58 2o4c 286b g52 1s8i sg20 3k21 5s2k 20w6b 3424 ts2m 1c2l 3342n hs05 58g6b 1s3g 1c06b g00m 1c5y 2o8j 1c0o 406x c06b 1s4k 5c6b 2o5h 2o6b 4g5n 1s6b w3w 4qo8k lc8l e84f 3k8m 6sw6b g45 7446 1c44 1s7k b46d 1s06b 4g2j g7f 30w6b jk86 1s6b 5s9e 1c6b 7410 7460 2806 346b w43 w5g 2o8f w1z 3k6b sg5e j482 uo6b 744t 1c38 2o29 346b 286e 8w6b 1c8u 1s97 cw6b 1c67 5s6b 1c6h dc6b w2y 685k w6b 2o00 ls6b 283y 1s6b 286w 4w6b 740d 746b 1c57 342i 2o75 742r 742u lc5s 282q 1c6t 3k8v 3k03 3k33 747w 747z 341o 4084 7485 sg6b wyo1a w6b 37k1b 681c 4gg1d 5s01e hc1h 1wg6b f414 15s6b 3tc1f 38g1g f9746b 3k8b 3k6b 6o93 1e6o6b 1ekg80 1ekg81"};
+
+/** Age 구간 테이블(미할당은 NA) */
+export const AGE = {"values":["1.1","10.0","11.0","12.0","12.1","13.0","14.0","15.0","15.1","16.0","2.0","2.1","3.0","3.1","3.2","4.0","4.1","5.0","5.1","5.2","6.0","6.1","6.2","6.3","7.0","8.0","9.0","NA"],"width":1,"runs":"dy0 4c u0 8c 1e 1f ic 3f bg eh 2h0 5c 2f 1b0 1c a0 5c hf 1y0 9c 1e 8f 5g 3f 20 1c de 4i 20 2i 2r 10 3h 10 1o 4r 70 1r 10 1r k0 1r 180 1i 70 1c 2e 10 1c 10 1c 10 1c 10 1c i0 2d 1e 5f 4g 1c c0 1c 1u0 1c c0 1c 150 1i 2c 2e 4c 1h0 2e 20 2e 20 2e 1h s0 2c 80 2g 20 6h ge 4h gi 2j 2k 8o 1r 120 2r 70 12 130 12 10 1c 2r 2o 1l 1r ha 1g da a0 1h 90 1a 3g 8r r0 4r 12 50 br 4f 1l 1o 5i 1g 10 9f 5i 10 1n 16 1g 10 1k q0 5i j0 3c 3f 6g 1k e0 2e 200 2c 50 1c f0 1c u0 2f a0 5c 1f ec 1r uc 3f rc 2r 3f ug ii 1dc 1e er 1nh 2r 32 1aj 2r fj 1r sk 2r 1k 1r b1 5r v6 1r 26 5r 19 86 1l 1o bl 6o 2p 16 8q a5 b6 12 fq 1p rl 1o 1j 30 1f 1h0 2k i0 1j 1k 50 1j 2k p0 2i 5k 1o 2j 2h 1g 2h 1o 30 1r 80 2r 20 2r m0 1r 70 1r 10 3r 40 2r 10 1f 70 2r 20 2r 30 1g 8r 10 4r 20 1r 50 2r l0 1j 21 12 2r 1f 10 1f 1r 60 4r 20 2r m0 1r 70 1r 20 1r 20 1r 20 2r 10 1r 50 4r 20 2r 30 3r 1i 7r 40 1r 10 7r f0 1i 12 ar 30 1r 70 1f 10 1r 30 1r m0 1r 70 1r 20 1r 50 2r a0 1r 30 1r 30 2r 10 fr 10 3f 2r a0 1l 1f 7r 1p 61 1r 30 1r 80 2r 20 2r m0 1r 70 1r 20 1r 1f 40 2r 80 1i 2r 20 2r 30 7r 15 20 4r 20 1r 30 2i 2r b0 1f 6k ar 20 1r 60 3r 30 1r 40 3r 20 1r 10 1r 20 3r 20 3r 30 3r 80 1g 30 4r 50 3r 30 1r 40 2r 1i 6r 10 er 1g c0 8f 5r 1o 30 12 80 1r 30 1r n0 1r a0 1o 50 2r 16 1i 70 1r 30 1r 40 7r 20 1r 2i 1p 2r 16 2r 20 2i 2r a0 7r 13 8i 1q 1o 20 12 80 1r 30 1r n0 1r a0 1r 50 2r 2f 70 1r 30 1r 40 7r 20 6r 16 10 1r 20 2h 2r a0 1r 2h 17 cr 11 1o 20 15 80 1r 30 1r n0 1k g0 1k 21 1i 60 1i 1r 30 1r 40 1k 1q 4r 3q 10 7q 1p 20 2i 2r a0 6i 3q 7i 1r 15 2c 1r ic 3r oc 1r 9c 1r 1c 2r 7c 3r 1c 4r 6c 1r 1c 1r 8c 6r ao 2r 3c cr 1m0 4r t0 11r 20 1r 10 1r 13 20 13 10 1r 13 10 63 40 13 70 13 30 1r 10 1r 10 23 20 13 d0 13 30 2r 50 1r 10 1r 60 17 1r a0 2r 20 2l wr 20a 1r xa 1c 2i 4r ra 4k 6a 1c 1a 1r la 3c 7a 1c 1a 3c 1r fc 1r 1i 1c 2g 3i 4j 2k 11r yc 1i 5c 1i 2c 1i 7c 3i 4c 6i qc 1si 4j 2i 120 1r 1l 5r 1l 2r 130 2e 2g 10 1g 3l 2i0 5j 1w0 5j 2a0 6j 7c 1g 1rc 1g 1c 1r 4c 2r 7c 1r 1c 1r 4c 2r 13c 1g 1c 1r 4c 2r vc 1g 1c 1r 4c 2r 7c 1r 1c 1r 4c 2r 7c 1g 7c 1r nc 1g vc 1g 1c 1r 4c 2r 7c 1g 13c 1g jc 2r 2k 2g sc 3r qg 6r 2dc 1p 2r 6p 2r 1j hic 9j tc 3r 29c 8o 7r de 16 7e 16 9r 16 ne 9r ke cr de 1r 3e 1r 2e cr 2lc 1f 2r ac 6r af 6r fc 16 ac 6r 2gc 12 7r 16c 1i 5r 1yj ar tf 2o 1r cf 4r cf 4r 1f 3r 16f 2r 5f br 16g 2j 4r qg 6r ag 1j 3r 2g wf sg 2r 2g 1rj 1r tj 2r bj 6r aj 6r ej 2r fo 25 e6 1dr 24h 16 1r 29 19h 26 19 17i 3l ci 6l 1gk 8r 4k 1ki 3r fi 3r 1fi 9q 29 5r 172 2r 32 8l 8r zj 4l 11 2o 13 5r 30f 2gg 7h si fo 41 16 1q 1k 1j 2h 4b0 1a 4i 2i0 6i m0 2r 60 2r 120 2r 60 2r 80 1r 10 1r 10 1r 10 1r v0 2r 1h0 1r f0 1r e0 2r 60 1r j0 2r 30 1r 90 1r 1b0 1c n0 1e 6c 5e 2f 2g 1e 7g 5e 1i 1r 4n 70 1e 2r r0 1r 5g 8k 3r b0 1a 1b 3c 2e 4g 3j 1k 1m 3o 1p 11 16 fr i0 2c 7e 1g 4h 1i fr 1l0 2c 1f 1g fe 1g 2h 1i 3j 1c0 1c 1h 4i 1j 2p 4r 2j0 9c ce 6q0 ee 10 1c 3d0 1c 1e uc 1ge 2f bg ch 1j bk 7o 4q 11 110 2c 39 mr b0 lr 3v0 ke 1f 460 ae 280 8c 8e k0 2f 2e 1g 1c 2e0 2c ce 2g ae 8f bg 1i 2j 2f gg 1h ai 3j 4i aj 1k jj 1k 1j 4k oj 1o 40 1k 40 2k s0 1k z0 1k 10 1k 40 3k 10 1j 70 2k 70 ee v0 3k o0 1k e0 1k 7g 4h 1l 1i 1l 2k se 4i ge 74c e8e ef 6g 7h 5i 4h 15i 3o 5i 5j qo 2r wo 1r 15 yo 32 co 13 8o 11 p2 4p f2 13 1bg 16 1bg 16 dh 3i 1j 3i 4h 6i 2j 2zg 7j 2l 5r 19g 1r 1l 5r 1l 2r 1ig 2l 7r 1g 1k er 1k ng 9r 7g 1r 7g 1r 7g 1r 7g 1r 7g 1r 7g 1r 7g 1r 7g 1r wi og 4i 2g ji 1j al 7o 2q 51 52 13 35 b6 yr qc 1r 2hc cr 5yc qr cc 48 1k0 3c 3e 1c 10 1r 2c0 2e 2r 60 2e 2m0 1e 5r 140 1i 11 12 1r 2m0 1r g0 oc 3k 55 gg ki 29 9r 18 ge t0 2f 1r 100 cj 1f fe s0 2f 1g 1e0 fe c0 4f 1b0 14 3b0 4f 2r0 2f v0 1f 52uc a5 1sf g4m0 mg 8i 8j 1l 9p l1 52 d5 36 wdc 3r ic 2e gc 1e cc 1e 3c 1e 1c 9r 1cj 8ci kr wi 2k ii 8l si 6o 1p 1l 2gj 8r ng 4h 5i 2h 2zi 2k 1p 2k 2l co ak 1l 3o 1q 12 2o 6p 22 63 26 53 45 39 2r 26 1r 16 1r 56 39 lr 36 25 1o 2l 1k 5i 18g 15 3r aj 6r 1kh 8r 1xi 1q 8r ci 6r sj 2p 22 2ci br 1i tj 3r 26j 1r bj 4r 2j vo 1r 1ji 9r ei 2r ai 2r 4i sj 4o 1vj or 5j nl ar 6k 2r 6k 2r 6k 9r 7k 1r 7k 1r 1co 4p 2o 23 45 4r 28p 1aj 2r aj 6r 8mca cr nj 4r 1dj 4r 1kwa 5660 2l 1ne 3j 2r 2yg 12r 70 cr 50 5r 1c p0 1r 50 1r 10 1r 20 1r 20 1r 300 gk 16 gr a50 g6 1s0 2r 1i0 7r 16 wd c0 1e 1f 26 ge ag 6r 40 3i 7o 2p l0 2e 2f a0 1r j0 1r 40 4r 30 1e 10 1r 3r0 2r 10 1r 2m0 2e 2m0 3r 60 2r 60 2r 60 2r 30 3r 70 1r 70 ar 3c 1b 30 cf 1r qf 1r jf 1r 2f 1r ff 2r ef yr 3ff 5r 3f 4r 19f 3r 9f 23g 2o 2q 1r ci 15 3r 1o 1br 1ai 3mr ti 3r 1di fr so 4r vd 1o 4d 9r 31 rd 5r 17o 5r uf 1r 1f 10g 4r eg 16r 12d 2f 12d 28f 2r af 6r 10q 4r 10q 4r 14o 8r 1go br 1o b6 1r f6 1r 76 1r 26 1r b6 1r f6 1r 76 1r 26 3r 1g9 cr 8no 9r mo ar 8o or 66 1r 166 1r 96 1xr 6f 2r 1f 1r 18f 1r 2f 3r 1f 2r 1f mj 1r 9j 1ro 8r 9o 1cr jp 1r 2p 5r 5p qh 2j 3r 1h qi 5r 1i 1sr 1kl 4r 2p 2l gp 2r 1ap 4g 1r 2g 5r 8g 1r 3g 1r rg 22 2r 3g 4r 9g 12 7r 9g 7r wj wo wr 13o 4r co 9r 1ij 3r tj 2r rj 5r 8j io 7r 4o cr 7o 28r 21j 1jr 1fp dr 1fp 7r 6p 142 8r a2 6r 129 3r t9 8r 29 5sr vj 1r 165 1r 35 2r 25 gr 39 1jr 19 37 142 8r 162 mr q6 12r s5 kr n3 9r 26k 4r uk 66 9r 1o 1uj 16 ar 12 2r pl 7r al 6r 1hl 1r el 32 15 8r 13o 9r 21l 4p 1o 25 al 1o 5p 1r ko br io 1r 17o 1q 37 1qr 7p 1r 1p 1r 4p 1r fp 1r bp 6r 1no 5r ao 6r 1p 3o 1r 8o 2r 2o 2r mo 1r 7o 1r 2o 1r 5o 1r 12 9o 2r 2o 2r 3o 2r 1p 6r 1o 5r 7o 2r 7o 3r 5o br a9 1r 19 2r 19 1r 129 1r a9 1r 19 2r 19 1r 49 1r a9 1r 29 8r 29 tr 2iq 15 1q 1r 1q 12 13 25 ur 20o 8r ao 4mr 1io 2r io kp yr 1xo br ao 6r dq jr 1kl 13 16 6r al 6r k9 sr qp 12 2r fp 4r gp 76 55r 1o2 2sr 2bo cr 1o 75 2r 15 2r 85 1r 25 1r u5 1r 25 2r c5 9r a5 1yr 83 2r 1a3 2r b3 rr 201 8r 1g1 23 n1 12 51 dr g6 1lo 7r a7 52r y9 er a9 6r 9q 1r 19q 1r eq ar tq 3r wq 2r mq 1r eq 21r 71 1r 21 1r 181 3r 11 1r 21 1r 91 8r a1 6r 62 1r 22 1r 112 1r 22 1r 62 7r a2 8mr p2 7r h7 1r 157 3r s7 19 2dr 15 fr 1e3 dr 13 ofh 16o 1p 2ur 2rh co 1r 4h 1o br 5gp 218r 2r6 dr trj 17 93 t7 ar 32z9 5r g7p 5a1r 1m9 1c6r ftk 7r vo 1r ao 4r 2o 276 1r a6 6r uo 2r 6o ar 1yo ar ao 1r 7o 1r lo 5r jo c0r 1m9 5ir 2j2 2tr 1xl 63 4r 13 1bl 93 7r hl 1sr 1q 11 23 15 br 25 er 4q5q 52 63 8r kzq df5 15r 19 95 6w7r 46 1r 76 1r 26 1r 2k 7x1 46 fr 17 tr 33 2r 17 er 43 8r b01 1s4r 2zo 5r do 3r 9o 7r ao 2r 8o 318r 6y9 6r c49 24r 1a6 2r n6 9r 386 1or 6ud ar 13d 2r 1i 50d bp 26 lr 1yg 3er k7 cr k2 cr 2ff 9r ih 72 3rr 2dd 1r 1zd 1r 2d 2r 1d 2r 2d 2r 4d 1r cd 1r 1d 1r 4d 1f 2d 1r 1td 1r 4d 2r 8d 1r 7d 1r sd 1r 4d 1r 5d 1r 1d 3r 7d 1r 9ed 2g 2r 82d 2h 2r 1ed i4p fr 5p 1r fp uor v6 6r 67 5xr 7q 1r hq 2r 7q 1r 2q 1r 5q 5r 1q7 xr 17 34r 193 3r e3 2r a3 4r 23 8wr v6 hr 1m3 5r 13 cwr 167 5yr 179 4r 19 dcr 76 1r 46 1r 26 1r f6 1r 5ho 2r go 15r 23q 13 4r aq 4r 2q ltr 1w2 24r 1p3 5er 4l 1r rl 1r 2l 1r 1l 2r 1l 1r al 1r 4l 1r 1l 1r 1l 6r 1l 4r 1l 1r 1l 1r 1l 1r 3l 1r 2l 1r 1l 2r 1l 1r 1l 1r 1l 1r 1l 1r 1l 1r 2l 1r 1l 2r 4l 1r 7l 1r 4l 1r 4l 1r 1l 1r al 1r hl 5r 3l 1r 5l 1r hl 1gr 2l 7ir 18i 4r 2si cr fk 2r ek 1o 1r fk 1r fk mo ar bj 2o 35 vj 12 1k 1j bk 1j 1k 1j 2k 1j 3k 1j 3k 5j 8k 1j 7k 1j ak 2l 13 35 9k 1j 1k 2j 2k 1j ak 4j 2k 1j ak iq 15 1kr qk 1j 2k dr yj 9k 1q 4r 9j 7r 2k er 61 4ar xk co 3p 6k 1o 1yk 1o 2p kk co 11k 1o 5k 4o 5p co hk 7o 8p 1rk 1o 1k 1o 52k 1o 4k 2o 1p 1qk 2o 4l 7o 5p ok io 1q 15o 1q 2eo 5k 1l gk 1l 3k 1l 1k 1l 1k 1l 1k 1l 3k 1l 6k 2l 4k 1l 1k 2l 4k 1l ck 2o 2p bk 1co 1yk ao 1p 2q 21 13 25 4r 17 36 do 3r 4o 3q 21 12 13 25 3r 38k 37 4r 57 2do 42 17 6r c3 4r 16 fr co 4r 1ko 8r ao 6r 14o 8r uo 2r 25 a9 4r 29 1qr c1 15 33 9p 6q 11 8q 81 1q 21 cq 13 cq 11 32 fq d1 52 13 15 42 25 16 12 13 42 5p dq 61 b2 25 63 35 23 a2 63 1p 22 83 15 16 33 n1 p2 2c3 cr e2 2r 43 15 37 33 26 3r 33 45 27 19 5r 19 63 j5 46 37 75 46 37 19 17 35 36 19 7r 27 75 36 27 19 2r 19 86 17 19 6r 76 27 7r 435 1r 1j5 119 a5 skr 2a wyfd 75 26 wr 379j 46 17 6r 66k 2r 4g2p er 5rl1 fr ha8 1wir f2d 15sr 2a 3t75 5r 38g7 17imr 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1eker 2a 1r 1d ur 2od 3kr 6of 1e6mr 2t4ya"};
@@ -0,0 +1,6 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/EastAsianWidth.txt
+
+/** East_Asian_Width 구간 테이블(값: F, H, W, Na, A, N) */
+export const EAST_ASIAN_WIDTH = {"values":["A","F","H","N","Na","W"],"width":1,"runs":"w3 2n4 y3 10 24 10 24 20 13 10 13 14 20 14 50 13 50 13 40 63 10 93 10 63 20 53 40 43 10 13 30 13 20 23 10 13 20 33 40 13 10 13 10 23 10 f3 10 13 10 73 10 a3 20 33 10 53 30 43 10 63 40 13 10 33 40 13 10 43 20 i3 20 33 10 2q3 10 13 10 13 10 13 10 13 10 13 10 13 10 13 10 383 10 f3 10 2q3 10 23 10 13 30 13 10 23 10 73 40 13 10 13 10 w3 340 x3 h0 13 70 73 h0 13 70 1j3 10 e3 1s0 13 10 2i63 2o5 2wg3 10 23 40 13 20 23 20 23 30 13 40 83 10 13 20 13 10 53 10 23 10 1h3 10 a3 10 13 40 103 12 23 10 2e3 10 13 10 33 10 93 10 23 10 a3 20 33 10 43 10 133 20 63 40 13 c0 43 a0 f3 10 63 a0 u3 20 o3 10 13 10 i3 10 o3 10 13 20 33 20 23 10 33 10 13 10 33 10 43 10 23 40 23 10 13 10 13 60 13 10 53 40 43 20 a3 10 33 10 53 10 d3 20 23 40 23 20 23 20 i3 20 23 20 d3 10 33 10 b3 10 p3 10 2a3 10 73 25 d3 25 5a3 45 33 15 23 15 303 3u0 13 2p0 43 100 c3 g0 23 40 a3 20 13 70 83 20 23 20 43 20 23 20 43 30 23 10 23 40 g3 40 93 10 d3 25 63 20 23 10 43 20 43 25 63 10 13 10 h3 85 83 10 13 10 53 c5 c3 20 13 30 13 40 13 20 13 10 f3 15 a3 65 33 15 a3 20 13 15 83 25 h3 25 10 43 25 80 15 50 15 d0 13 10 43 20 15 70 25 10 15 40 15 20 15 20 53 15 43 25 s3 15 k3 10 e3 15 13 15 43 35 13 15 u3 a0 l3 35 o3 15 e3 15 123 84 bb3 24 b83 25 1f3 15 43 15 40 me3 q5 13 2h5 c3 5y5 q3 g5 11 1q5 23 2e5 23 2v5 53 175 13 2m5 13 2e5 93 1c5 13 145 80 mkd5 33 1j5 wp3 t5 hv3 8mc5 1ng3 4xs0 e85 lc3 g0 a5 m3 z5 13 j5 13 45 453 2o1 2m2 33 62 23 62 23 62 23 32 33 71 13 72 e3 10 m3m3 55 b3 25 e3 4qg5 83 ye5 153 a5 6w73 45 13 75 13 25 13 835 f3 15 t3 35 23 15 e3 45 83 b05 6bo3 2f5 93 n5 5n13 15 5m3 15 1c3 b0 53 u0 23 1m0 63 u0 15 20 a5 i0 2b3 35 d3 185 43 95 73 25 e3 65 4a3 x5 c3 95 13 1y5 13 m5 c3 175 43 55 c3 h5 33 15 33 1z5 13 15 13 575 23 1r5 d3 45 13 o5 i3 15 q3 25 d3 15 2e3 2d5 1c3 1y5 63 15 33 35 23 35 43 45 b3 25 73 95 6b3 c5 43 15 7v3 1b5 13 a5 13 555 343 d5 33 a5 53 1k5 73 f5 23 b5 63 95 zr3 1eke5 23 1eke5 e1vm3 6o0 1e6o3 1eke0 23 1eke0 23"};
@@ -0,0 +1,9 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/emoji-test.txt
+
+/** 완전 한정(RGI) 이모지 시퀀스 */
+export const FULLY_QUALIFIED_EMOJI = "2r5s 2r5v 2r5w 2r5t 2r5y 2r5x 2rs3 2r5u 2r7m 2r7n 2s4g 2r61 2r62 2r5z 2ru8 2r65 2rs9 2r6g 2r6f 7ju! 2r6i 2r6h 2rua 2r63 2r6j 2r6k 2rsa 2r6l 2rrl 2rrr 2rsd 2s4i 2s4j 2rsb 2rro 2s4h 2rrk 2rs8 2r68 2r69 2r7a 2s4l 2r7a+2qln! 2r67 2r6a 2r7o 2r70 2r72+2qw8 2rs5 2s4o 2r7m+6ms! 2r7m+6mt! 2r64 2r6c 2r6y 2rs4 2r78 2s4p 2r7b 2rrm 2rrp 2rs2 2rse 2rs7 2rud 2rue 2ruc 2r79 2r79+2qwb 2rsf 2rs0 2rub 2rug 2r66 2rrn 2rww 2r6d 2s4k 2r6n 2r7l 7jt! 2r72 2r73 2r76 2r77 2s4q 2rui 2ruh 2r6u 2r6v 2r6w 2r74 2r6t 2r6q 2r71 2r75 2r6e 2r6r 2r6m 2r6b 2r6x 2r6z 2ru9 2r6s 2r6p 2r6o 2rsc 2r60 2qv3 2qv4 7j4! 2qw9 2rs1 2qux 2quy 2quz 2qv1 2qv2 2rrq 2r7e 2r7c 2r7d 2r7f 2r7g 2r7h 2r7k 2r7j 2r7i 2r7s 2r7t 2r7u 2qvg 2qvs 2qvx 2qvq 2qvr 2qvn 2qvy 2qvp 2qvz 7s3! 2qvo 7s4!+2qzp 7s4!+2s1l 7s4! 2s1j 2rxd 2qvv 2qvu 2qvt 2s1h 2qvw 2rri 2r38 2s1i 2rrh 2qvf 2qwf 2qw2 2s4v 2qw5 2qwb 2qw6 2qw8 2r1v! 2qwc 2qtd!+2r54! 2r54! 2r5b! 2qwd 2qw4 2qtn 2qtn.2qrf 2qtn.2qrg 2qtn.2qrh 2qtn.2qri 2qtn.2qrj 2rru 2rru.2qrf 2rru.2qrg 2rru.2qrh 2rru.2qri 2rru.2qrj 2r2o! 2r2o.2qrf 2r2o.2qrg 2r2o.2qrh 2r2o.2qri 2r2o.2qrj 7pn 7pn.2qrf 7pn.2qrg 7pn.2qrh 7pn.2qri 7pn.2qrj 2r2u 2r2u.2qrf 2r2u.2qrg 2r2u.2qrh 2r2u.2qri 2r2u.2qrj 2s4x 2s4x.2qrf 2s4x.2qrg 2s4x.2qrh 2s4x.2qri 2s4x.2qrj 2s4y 2s4y.2qrf 2s4y.2qrg 2s4y.2qrh 2s4y.2qri 2s4y.2qrj 2s4z 2s4z.2qrf 2s4z.2qrg 2s4z.2qrh 2s4z.2qri 2s4z.2qrj 2s50 2s50.2qrf 2s50.2qrg 2s50.2qrh 2s50.2qri 2s50.2qrj 2s53 2s53.2qrf 2s53.2qrg 2s53.2qrh 2s53.2qri 2s53.2qrj 2s54 2s54.2qrf 2s54.2qrg 2s54.2qrh 2s54.2qri 2s54.2qrj 2qto 2qto.2qrf 2qto.2qrg 2qto.2qrh 2qto.2qri 2qto.2qrj 2rrg 2rrg.2qrf 2rrg.2qrg 2rrg.2qrh 2rrg.2qri 2rrg.2qrj 2rrj 2rrj.2qrf 2rrj.2qrg 2rrj.2qrh 2rrj.2qri 2rrj.2qrj 7po! 7po.2qrf 7po.2qrg 7po.2qrh 7po.2qri 7po.2qrj 2rry 2rry.2qrf 2rry.2qrg 2rry.2qrh 2rry.2qri 2rry.2qrj 2s4w 2s4w.2qrf 2s4w.2qrg 2s4w.2qrh 2s4w.2qri 2s4w.2qrj 2rrz 2rrz.2qrf 2rrz.2qrg 2rrz.2qrh 2rrz.2qri 2rrz.2qrj 2rrs 2rrs.2qrf 2rrs.2qrg 2rrs.2qrh 2rrs.2qri 2rrs.2qrj 2rrt 2rrt.2qrf 2rrt.2qrg 2rrt.2qrh 2rrt.2qri 2rrt.2qrj 2qtk 2qtk.2qrf 2qtk.2qrg 2qtk.2qrh 2qtk.2qri 2qtk.2qrj 2qtl 2qtl.2qrf 2qtl.2qrg 2qtl.2qrh 2qtl.2qri 2qtl.2qrj 2qti 2qti.2qrf 2qti.2qrg 2qti.2qrh 2qti.2qri 2qti.2qrj 2r2t 2r2t.2qrf 2r2t.2qrg 2r2t.2qrh 2r2t.2qri 2r2t.2qrj 2qtj 2qtj.2qrf 2qtj.2qrg 2qtj.2qrh 2qtj.2qri 2qtj.2qrj 7j1! 7j1.2qrf 7j1.2qrg 7j1.2qrh 7j1.2qri 7j1.2qrj 2s51 2s51.2qrf 2s51.2qrg 2s51.2qrh 2s51.2qri 2s51.2qrj 2qtp 2qtp.2qrf 2qtp.2qrg 2qtp.2qrh 2qtp.2qri 2qtp.2qrj 2qtq 2qtq.2qrf 2qtq.2qrg 2qtq.2qrh 2qtq.2qri 2qtq.2qrj 7pm 7pm.2qrf 7pm.2qrg 7pm.2qrh 7pm.2qri 7pm.2qrj 2qtm 2qtm.2qrf 2qtm.2qrg 2qtm.2qrh 2qtm.2qri 2qtm.2qrj 2rrv 2rrv.2qrf 2rrv.2qrg 2rrv.2qrh 2rrv.2qri 2rrv.2qrj 2rrw 2rrw.2qrf 2rrw.2qrg 2rrw.2qrh 2rrw.2qri 2rrw.2qrj 2qtr 2qtr.2qrf 2qtr.2qrg 2qtr.2qrh 2qtr.2qri 2qtr.2qrj 2r7w 2r7w.2qrf 2r7w.2qrg 2r7w.2qrh 2r7w.2qri 2r7w.2qrj 2s52 2s52.2qrf 2s52.2qrg 2s52.2qrh 2s52.2qri 2s52.2qrj 2qts 2qts.2qrf 2qts.2qrg 2qts.2qrh 2qts.2qri 2qts.2qrj 2rsi 2rsi.2qrf 2rsi.2qrg 2rsi.2qrh 2rsi.2qri 2rsi.2qrj 2rrx 2rrx.2qrf 2rrx.2qrg 2rrx.2qrh 2rrx.2qri 2rrx.2qrj 2s4x.2qrf+2s4y.2qrg 2s4x.2qrf+2s4y.2qrh 2s4x.2qrf+2s4y.2qri 2s4x.2qrf+2s4y.2qrj 2s4x.2qrg+2s4y.2qrf 2s4x.2qrg+2s4y.2qrh 2s4x.2qrg+2s4y.2qri 2s4x.2qrg+2s4y.2qrj 2s4x.2qrh+2s4y.2qrf 2s4x.2qrh+2s4y.2qrg 2s4x.2qrh+2s4y.2qri 2s4x.2qrh+2s4y.2qrj 2s4x.2qri+2s4y.2qrf 2s4x.2qri+2s4y.2qrg 2s4x.2qri+2s4y.2qrh 2s4x.2qri+2s4y.2qrj 2s4x.2qrj+2s4y.2qrf 2s4x.2qrj+2s4y.2qrg 2s4x.2qrj+2s4y.2qrh 2s4x.2qrj+2s4y.2qri 2r7z 2r7z.2qrf 2r7z.2qrg 2r7z.2qrh 2r7z.2qri 2r7z.2qrj 7pp! 7pp.2qrf 7pp.2qrg 7pp.2qrh 7pp.2qri 7pp.2qrj 2qv9 2qv9.2qrf 2qv9.2qrg 2qv9.2qrh 2qv9.2qri 2qv9.2qrj 2rsj 2rsj.2qrf 2rsj.2qrg 2rsj.2qrh 2rsj.2qri 2rsj.2qrj 2qwa 2qwa.2qrf 2qwa.2qrg 2qwa.2qrh 2qwa.2qri 2qwa.2qrj 2rwe 2rwf 2rw5 2rw5.2qrf 2rw5.2qrg 2rw5.2qrh 2rw5.2qri 2rw5.2qrj 2rw6 2rw6.2qrf 2rw6.2qrg 2rw6.2qrh 2rw6.2qri 2rw6.2qrj 2qte 2qte.2qrf 2qte.2qrg 2qte.2qrh 2qte.2qri 2qte.2qrj 2rwb 2rwb.2qrf 2rwb.2qrg 2rwb.2qrh 2rwb.2qri 2rwb.2qrj 2qtf 2qtf.2qrf 2qtf.2qrg 2qtf.2qrh 2qtf.2qri 2qtf.2qrj 2rxc 2s3k 2s3l 2rw7 2rw4 2qtc 2qtd! 2qth 2qtg 2s4m 2quu 2quu.2qrf 2quu.2qrg 2quu.2qrh 2quu.2qri 2quu.2qrj 2rwy 2rwy.2qrf 2rwy.2qrg 2rwy.2qrh 2rwy.2qri 2rwy.2qrj 2que 2que.2qrf 2que.2qrg 2que.2qrh 2que.2qri 2que.2qrj 2quf 2quf.2qrf 2quf.2qrg 2quf.2qrh 2quf.2qri 2quf.2qrj 2rwx 2rwx.2qrf 2rwx.2qrg 2rwx.2qrh 2rwx.2qri 2rwx.2qrj 2qup 2qup.2qrf 2qup.2qrg 2qup.2qrh 2qup.2qri 2qup.2qrj 2qug 2qug.2qrf 2qug.2qrg 2qug.2qrh 2qug.2qri 2qug.2qrj 2rx0 2rx0.2qrf 2rx0.2qrg 2rx0.2qrh 2rx0.2qri 2rx0.2qrj 2rx0+7k2! 2rx0.2qrf+7k2! 2rx0.2qrg+7k2! 2rx0.2qrh+7k2! 2rx0.2qri+7k2! 2rx0.2qrj+7k2! 2rx0+7k0! 2rx0.2qrf+7k0! 2rx0.2qrg+7k0! 2rx0.2qrh+7k0! 2rx0.2qri+7k0! 2rx0.2qrj+7k0! 2qug+2rw0 2qug.2qrf+2rw0 2qug.2qrg+2rw0 2qug.2qrh+2rw0 2qug.2qri+2rw0 2qug.2qrj+2rw0 2qug+2rw1 2qug.2qrf+2rw1 2qug.2qrg+2rw1 2qug.2qrh+2rw1 2qug.2qri+2rw1 2qug.2qrj+2rw1 2qug+2rw3 2qug.2qrf+2rw3 2qug.2qrg+2rw3 2qug.2qrh+2rw3 2qug.2qri+2rw3 2qug.2qrj+2rw3 2qug+2rw2 2qug.2qrf+2rw2 2qug.2qrg+2rw2 2qug.2qrh+2rw2 2qug.2qri+2rw2 2qug.2qrj+2rw2 2quh 2quh.2qrf 2quh.2qrg 2quh.2qrh 2quh.2qri 2quh.2qrj 2quh+2rw0 2quh.2qrf+2rw0 2quh.2qrg+2rw0 2quh.2qrh+2rw0 2quh.2qri+2rw0 2quh.2qrj+2rw0 2rwx+2rw0 2rwx.2qrf+2rw0 2rwx.2qrg+2rw0 2rwx.2qrh+2rw0 2rwx.2qri+2rw0 2rwx.2qrj+2rw0 2quh+2rw1 2quh.2qrf+2rw1 2quh.2qrg+2rw1 2quh.2qrh+2rw1 2quh.2qri+2rw1 2quh.2qrj+2rw1 2rwx+2rw1 2rwx.2qrf+2rw1 2rwx.2qrg+2rw1 2rwx.2qrh+2rw1 2rwx.2qri+2rw1 2rwx.2qrj+2rw1 2quh+2rw3 2quh.2qrf+2rw3 2quh.2qrg+2rw3 2quh.2qrh+2rw3 2quh.2qri+2rw3 2quh.2qrj+2rw3 2rwx+2rw3 2rwx.2qrf+2rw3 2rwx.2qrg+2rw3 2rwx.2qrh+2rw3 2rwx.2qri+2rw3 2rwx.2qrj+2rw3 2quh+2rw2 2quh.2qrf+2rw2 2quh.2qrg+2rw2 2quh.2qrh+2rw2 2quh.2qri+2rw2 2quh.2qrj+2rw2 2rwx+2rw2 2rwx.2qrf+2rw2 2rwx.2qrg+2rw2 2rwx.2qrh+2rw2 2rwx.2qri+2rw2 2rwx.2qrj+2rw2 2qup+7k0! 2qup.2qrf+7k0! 2qup.2qrg+7k0! 2qup.2qrh+7k0! 2qup.2qri+7k0! 2qup.2qrj+7k0! 2qup+7k2! 2qup.2qrf+7k2! 2qup.2qrg+7k2! 2qup.2qrh+7k2! 2qup.2qri+7k2! 2qup.2qrj+7k2! 2rwz 2rwz.2qrf 2rwz.2qrg 2rwz.2qrh 2rwz.2qri 2rwz.2qrj 2qus 2qus.2qrf 2qus.2qrg 2qus.2qrh 2qus.2qri 2qus.2qrj 2qut 2qut.2qrf 2qut.2qrg 2qut.2qrh 2qut.2qri 2qut.2qrj 2r7x 2r7x.2qrf 2r7x.2qrg 2r7x.2qrh 2r7x.2qri 2r7x.2qrj 2r7x+7k2! 2r7x.2qrf+7k2! 2r7x.2qrg+7k2! 2r7x.2qrh+7k2! 2r7x.2qri+7k2! 2r7x.2qrj+7k2! 2r7x+7k0! 2r7x.2qrf+7k0! 2r7x.2qrg+7k0! 2r7x.2qrh+7k0! 2r7x.2qri+7k0! 2r7x.2qrj+7k0! 2r7y 2r7y.2qrf 2r7y.2qrg 2r7y.2qrh 2r7y.2qri 2r7y.2qrj 2r7y+7k2! 2r7y.2qrf+7k2! 2r7y.2qrg+7k2! 2r7y.2qrh+7k2! 2r7y.2qri+7k2! 2r7y.2qrj+7k2! 2r7y+7k0! 2r7y.2qrf+7k0! 2r7y.2qrg+7k0! 2r7y.2qrh+7k0! 2r7y.2qri+7k0! 2r7y.2qrj+7k0! 2r7p 2r7p.2qrf 2r7p.2qrg 2r7p.2qrh 2r7p.2qri 2r7p.2qrj 2r7p+7k2! 2r7p.2qrf+7k2! 2r7p.2qrg+7k2! 2r7p.2qrh+7k2! 2r7p.2qri+7k2! 2r7p.2qrj+7k2! 2r7p+7k0! 2r7p.2qrf+7k0! 2r7p.2qrg+7k0! 2r7p.2qrh+7k0! 2r7p.2qri+7k0! 2r7p.2qrj+7k0! 2r7q 2r7q.2qrf 2r7q.2qrg 2r7q.2qrh 2r7q.2qri 2r7q.2qrj 2r7q+7k2! 2r7q.2qrf+7k2! 2r7q.2qrg+7k2! 2r7q.2qrh+7k2! 2r7q.2qri+7k2! 2r7q.2qrj+7k2! 2r7q+7k0! 2r7q.2qrf+7k0! 2r7q.2qrg+7k0! 2r7q.2qrh+7k0! 2r7q.2qri+7k0! 2r7q.2qrj+7k0! 2qv5 2qv5.2qrf 2qv5.2qrg 2qv5.2qrh 2qv5.2qri 2qv5.2qrj 2qv5+7k2! 2qv5.2qrf+7k2! 2qv5.2qrg+7k2! 2qv5.2qrh+7k2! 2qv5.2qri+7k2! 2qv5.2qrj+7k2! 2qv5+7k0! 2qv5.2qrf+7k0! 2qv5.2qrg+7k0! 2qv5.2qrh+7k0! 2qv5.2qri+7k0! 2qv5.2qrj+7k0! 2r7v 2r7v.2qrf 2r7v.2qrg 2r7v.2qrh 2r7v.2qri 2r7v.2qrj 2r7v+7k2! 2r7v.2qrf+7k2! 2r7v.2qrg+7k2! 2r7v.2qrh+7k2! 2r7v.2qri+7k2! 2r7v.2qrj+7k2! 2r7v+7k0! 2r7v.2qrf+7k0! 2r7v.2qrg+7k0! 2r7v.2qrh+7k0! 2r7v.2qri+7k0! 2r7v.2qrj+7k0! 2rwv 2rwv.2qrf 2rwv.2qrg 2rwv.2qrh 2rwv.2qri 2rwv.2qrj 2rwv+7k2! 2rwv.2qrf+7k2! 2rwv.2qrg+7k2! 2rwv.2qrh+7k2! 2rwv.2qri+7k2! 2rwv.2qrj+7k2! 2rwv+7k0! 2rwv.2qrf+7k0! 2rwv.2qrg+7k0! 2rwv.2qrh+7k0! 2rwv.2qri+7k0! 2rwv.2qrj+7k0! 2r7r 2r7r.2qrf 2r7r.2qrg 2r7r.2qrh 2r7r.2qri 2r7r.2qrj 2r7r+7k2! 2r7r.2qrf+7k2! 2r7r.2qrg+7k2! 2r7r.2qrh+7k2! 2r7r.2qri+7k2! 2r7r.2qrj+7k2! 2r7r+7k0! 2r7r.2qrf+7k0! 2r7r.2qrg+7k0! 2r7r.2qrh+7k0! 2r7r.2qri+7k0! 2r7r.2qrj+7k0! 2rs6 2rs6.2qrf 2rs6.2qrg 2rs6.2qrh 2rs6.2qri 2rs6.2qrj 2rs6+7k2! 2rs6.2qrf+7k2! 2rs6.2qrg+7k2! 2rs6.2qrh+7k2! 2rs6.2qri+7k2! 2rs6.2qrj+7k2! 2rs6+7k0! 2rs6.2qrf+7k0! 2rs6.2qrg+7k0! 2rs6.2qrh+7k0! 2rs6.2qri+7k0! 2rs6.2qrj+7k0! 2rsn 2rsn.2qrf 2rsn.2qrg 2rsn.2qrh 2rsn.2qri 2rsn.2qrj 2rsn+7k2! 2rsn.2qrf+7k2! 2rsn.2qrg+7k2! 2rsn.2qrh+7k2! 2rsn.2qri+7k2! 2rsn.2qrj+7k2! 2rsn+7k0! 2rsn.2qrf+7k0! 2rsn.2qrg+7k0! 2rsn.2qrh+7k0! 2rsn.2qri+7k0! 2rsn.2qrj+7k0! 2rwx+7md! 2rwx.2qrf+7md! 2rwx.2qrg+7md! 2rwx.2qrh+7md! 2rwx.2qri+7md! 2rwx.2qrj+7md! 2qug+7md! 2qug.2qrf+7md! 2qug.2qrg+7md! 2qug.2qrh+7md! 2qug.2qri+7md! 2qug.2qrj+7md! 2quh+7md! 2quh.2qrf+7md! 2quh.2qrg+7md! 2quh.2qrh+7md! 2quh.2qri+7md! 2quh.2qrj+7md! 2rwx+2qoj 2rwx.2qrf+2qoj 2rwx.2qrg+2qoj 2rwx.2qrh+2qoj 2rwx.2qri+2qoj 2rwx.2qrj+2qoj 2qug+2qoj 2qug.2qrf+2qoj 2qug.2qrg+2qoj 2qug.2qrh+2qoj 2qug.2qri+2qoj 2qug.2qrj+2qoj 2quh+2qoj 2quh.2qrf+2qoj 2quh.2qrg+2qoj 2quh.2qrh+2qoj 2quh.2qri+2qoj 2quh.2qrj+2qoj 2rwx+2qqz 2rwx.2qrf+2qqz 2rwx.2qrg+2qqz 2rwx.2qrh+2qqz 2rwx.2qri+2qqz 2rwx.2qrj+2qqz 2qug+2qqz 2qug.2qrf+2qqz 2qug.2qrg+2qqz 2qug.2qrh+2qqz 2qug.2qri+2qqz 2qug.2qrj+2qqz 2quh+2qqz 2quh.2qrf+2qqz 2quh.2qrg+2qqz 2quh.2qrh+2qqz 2quh.2qri+2qqz 2quh.2qrj+2qqz 2rwx+7me! 2rwx.2qrf+7me! 2rwx.2qrg+7me! 2rwx.2qrh+7me! 2rwx.2qri+7me! 2rwx.2qrj+7me! 2qug+7me! 2qug.2qrf+7me! 2qug.2qrg+7me! 2qug.2qrh+7me! 2qug.2qri+7me! 2qug.2qrj+7me! 2quh+7me! 2quh.2qrf+7me! 2quh.2qrg+7me! 2quh.2qrh+7me! 2quh.2qri+7me! 2quh.2qrj+7me! 2rwx+2qm6 2rwx.2qrf+2qm6 2rwx.2qrg+2qm6 2rwx.2qrh+2qm6 2rwx.2qri+2qm6 2rwx.2qrj+2qm6 2qug+2qm6 2qug.2qrf+2qm6 2qug.2qrg+2qm6 2qug.2qrh+2qm6 2qug.2qri+2qm6 2qug.2qrj+2qm6 2quh+2qm6 2quh.2qrf+2qm6 2quh.2qrg+2qm6 2quh.2qrh+2qm6 2quh.2qri+2qm6 2quh.2qrj+2qm6 2rwx+2qnn 2rwx.2qrf+2qnn 2rwx.2qrg+2qnn 2rwx.2qrh+2qnn 2rwx.2qri+2qnn 2rwx.2qrj+2qnn 2qug+2qnn 2qug.2qrf+2qnn 2qug.2qrg+2qnn 2qug.2qrh+2qnn 2qug.2qri+2qnn 2qug.2qrj+2qnn 2quh+2qnn 2quh.2qrf+2qnn 2quh.2qrg+2qnn 2quh.2qrh+2qnn 2quh.2qri+2qnn 2quh.2qrj+2qnn 2rwx+2qzr 2rwx.2qrf+2qzr 2rwx.2qrg+2qzr 2rwx.2qrh+2qzr 2rwx.2qri+2qzr 2rwx.2qrj+2qzr 2qug+2qzr 2qug.2qrf+2qzr 2qug.2qrg+2qzr 2qug.2qrh+2qzr 2qug.2qri+2qzr 2qug.2qrj+2qzr 2quh+2qzr 2quh.2qrf+2qzr 2quh.2qrg+2qzr 2quh.2qrh+2qzr 2quh.2qri+2qzr 2quh.2qrj+2qzr 2rwx+2qr1 2rwx.2qrf+2qr1 2rwx.2qrg+2qr1 2rwx.2qrh+2qr1 2rwx.2qri+2qr1 2rwx.2qrj+2qr1 2qug+2qr1 2qug.2qrf+2qr1 2qug.2qrg+2qr1 2qug.2qrh+2qr1 2qug.2qri+2qr1 2qug.2qrj+2qr1 2quh+2qr1 2quh.2qrf+2qr1 2quh.2qrg+2qr1 2quh.2qrh+2qr1 2quh.2qri+2qr1 2quh.2qrj+2qr1 2rwx+2qws 2rwx.2qrf+2qws 2rwx.2qrg+2qws 2rwx.2qrh+2qws 2rwx.2qri+2qws 2rwx.2qrj+2qws 2qug+2qws 2qug.2qrf+2qws 2qug.2qrg+2qws 2qug.2qrh+2qws 2qug.2qri+2qws 2qug.2qrj+2qws 2quh+2qws 2quh.2qrf+2qws 2quh.2qrg+2qws 2quh.2qrh+2qws 2quh.2qri+2qws 2quh.2qrj+2qws 2rwx+2qzw 2rwx.2qrf+2qzw 2rwx.2qrg+2qzw 2rwx.2qrh+2qzw 2rwx.2qri+2qzw 2rwx.2qrj+2qzw 2qug+2qzw 2qug.2qrf+2qzw 2qug.2qrg+2qzw 2qug.2qrh+2qzw 2qug.2qri+2qzw 2qug.2qrj+2qzw 2quh+2qzw 2quh.2qrf+2qzw 2quh.2qrg+2qzw 2quh.2qrh+2qzw 2quh.2qri+2qzw 2quh.2qrj+2qzw 2rwx+2qwr 2rwx.2qrf+2qwr 2rwx.2qrg+2qwr 2rwx.2qrh+2qwr 2rwx.2qri+2qwr 2rwx.2qrj+2qwr 2qug+2qwr 2qug.2qrf+2qwr 2qug.2qrg+2qwr 2qug.2qrh+2qwr 2qug.2qri+2qwr 2qug.2qrj+2qwr 2quh+2qwr 2quh.2qrf+2qwr 2quh.2qrg+2qwr 2quh.2qrh+2qwr 2quh.2qri+2qwr 2quh.2qrj+2qwr 2rwx+2qp0 2rwx.2qrf+2qp0 2rwx.2qrg+2qp0 2rwx.2qrh+2qp0 2rwx.2qri+2qp0 2rwx.2qrj+2qp0 2qug+2qp0 2qug.2qrf+2qp0 2qug.2qrg+2qp0 2qug.2qrh+2qp0 2qug.2qri+2qp0 2qug.2qrj+2qp0 2quh+2qp0 2quh.2qrf+2qp0 2quh.2qrg+2qp0 2quh.2qrh+2qp0 2quh.2qri+2qp0 2quh.2qrj+2qp0 2rwx+2qp4 2rwx.2qrf+2qp4 2rwx.2qrg+2qp4 2rwx.2qrh+2qp4 2rwx.2qri+2qp4 2rwx.2qrj+2qp4 2qug+2qp4 2qug.2qrf+2qp4 2qug.2qrg+2qp4 2qug.2qrh+2qp4 2qug.2qri+2qp4 2qug.2qrj+2qp4 2quh+2qp4 2quh.2qrf+2qp4 2quh.2qrg+2qp4 2quh.2qrh+2qp4 2quh.2qri+2qp4 2quh.2qrj+2qp4 2rwx+7pk! 2rwx.2qrf+7pk! 2rwx.2qrg+7pk! 2rwx.2qrh+7pk! 2rwx.2qri+7pk! 2rwx.2qrj+7pk! 2qug+7pk! 2qug.2qrf+7pk! 2qug.2qrg+7pk! 2qug.2qrh+7pk! 2qug.2qri+7pk! 2qug.2qrj+7pk! 2quh+7pk! 2quh.2qrf+7pk! 2quh.2qrg+7pk! 2quh.2qrh+7pk! 2quh.2qri+7pk! 2quh.2qrj+7pk! 2rwx+2r9c 2rwx.2qrf+2r9c 2rwx.2qrg+2r9c 2rwx.2qrh+2r9c 2rwx.2qri+2r9c 2rwx.2qrj+2r9c 2qug+2r9c 2qug.2qrf+2r9c 2qug.2qrg+2r9c 2qug.2qrh+2r9c 2qug.2qri+2r9c 2qug.2qrj+2r9c 2quh+2r9c 2quh.2qrf+2r9c 2quh.2qrg+2r9c 2quh.2qrh+2r9c 2quh.2qri+2r9c 2quh.2qrj+2r9c 2rwx+2r9u 2rwx.2qrf+2r9u 2rwx.2qrg+2r9u 2rwx.2qrh+2r9u 2rwx.2qri+2r9u 2rwx.2qrj+2r9u 2qug+2r9u 2qug.2qrf+2r9u 2qug.2qrg+2r9u 2qug.2qrh+2r9u 2qug.2qri+2r9u 2qug.2qrj+2r9u 2quh+2r9u 2quh.2qrf+2r9u 2quh.2qrg+2r9u 2quh.2qrh+2r9u 2quh.2qri+2r9u 2quh.2qrj+2r9u 2qum 2qum.2qrf 2qum.2qrg 2qum.2qrh 2qum.2qri 2qum.2qrj 2qum+7k2! 2qum.2qrf+7k2! 2qum.2qrg+7k2! 2qum.2qrh+7k2! 2qum.2qri+7k2! 2qum.2qrj+7k2! 2qum+7k0! 2qum.2qrf+7k0! 2qum.2qrg+7k0! 2qum.2qrh+7k0! 2qum.2qri+7k0! 2qum.2qrj+7k0! 2r1x! 2r1x.2qrf 2r1x.2qrg 2r1x.2qrh 2r1x.2qri 2r1x.2qrj 2r1x!+7k2! 2r1x.2qrf+7k2! 2r1x.2qrg+7k2! 2r1x.2qrh+7k2! 2r1x.2qri+7k2! 2r1x.2qrj+7k2! 2r1x!+7k0! 2r1x.2qrf+7k0! 2r1x.2qrg+7k0! 2r1x.2qrh+7k0! 2r1x.2qri+7k0! 2r1x.2qrj+7k0! 2qv6 2qv6.2qrf 2qv6.2qrg 2qv6.2qrh 2qv6.2qri 2qv6.2qrj 2qv6+7k2! 2qv6.2qrf+7k2! 2qv6.2qrg+7k2! 2qv6.2qrh+7k2! 2qv6.2qri+7k2! 2qv6.2qrj+7k2! 2qv6+7k0! 2qv6.2qrf+7k0! 2qv6.2qrg+7k0! 2qv6.2qrh+7k0! 2qv6.2qri+7k0! 2qv6.2qrj+7k0! 2ruf 2ruf.2qrf 2ruf.2qrg 2ruf.2qrh 2ruf.2qri 2ruf.2qrj 2quv 2quv.2qrf 2quv.2qrg 2quv.2qrh 2quv.2qri 2quv.2qrj 2quv+7k2! 2quv.2qrf+7k2! 2quv.2qrg+7k2! 2quv.2qrh+7k2! 2quv.2qri+7k2! 2quv.2qrj+7k2! 2quv+7k0! 2quv.2qrf+7k0! 2quv.2qrg+7k0! 2quv.2qrh+7k0! 2quv.2qri+7k0! 2quv.2qrj+7k0! 2s3p 2s3p.2qrf 2s3p.2qrg 2s3p.2qrh 2s3p.2qri 2s3p.2qrj 2rsk 2rsk.2qrf 2rsk.2qrg 2rsk.2qrh 2rsk.2qri 2rsk.2qrj 2quw 2quw.2qrf 2quw.2qrg 2quw.2qrh 2quw.2qri 2quw.2qrj 2qur 2qur.2qrf 2qur.2qrg 2qur.2qrh 2qur.2qri 2qur.2qrj 2qur+7k2! 2qur.2qrf+7k2! 2qur.2qrg+7k2! 2qur.2qrh+7k2! 2qur.2qri+7k2! 2qur.2qrj+7k2! 2qur+7k0! 2qur.2qrf+7k0! 2qur.2qrg+7k0! 2qur.2qrh+7k0! 2qur.2qri+7k0! 2qur.2qrj+7k0! 2quq 2quq.2qrf 2quq.2qrg 2quq.2qrh 2quq.2qri 2quq.2qrj 2rx1 2rx1.2qrf 2rx1.2qrg 2rx1.2qrh 2rx1.2qri 2rx1.2qrj 2rsl 2rsl.2qrf 2rsl.2qrg 2rsl.2qrh 2rsl.2qri 2rsl.2qrj 2rsl+7k2! 2rsl.2qrf+7k2! 2rsl.2qrg+7k2! 2rsl.2qrh+7k2! 2rsl.2qri+7k2! 2rsl.2qrj+7k2! 2rsl+7k0! 2rsl.2qrf+7k0! 2rsl.2qrg+7k0! 2rsl.2qrh+7k0! 2rsl.2qri+7k0! 2rsl.2qrj+7k0! 2quo 2quo.2qrf 2quo.2qrg 2quo.2qrh 2quo.2qri 2quo.2qrj 2quo+7k2! 2quo.2qrf+7k2! 2quo.2qrg+7k2! 2quo.2qrh+7k2! 2quo.2qri+7k2! 2quo.2qrj+7k2! 2quo+7k0! 2quo.2qrf+7k0! 2quo.2qrg+7k0! 2quo.2qrh+7k0! 2quo.2qri+7k0! 2quo.2qrj+7k0! 2rsg 2rsg.2qrf 2rsg.2qrg 2rsg.2qrh 2rsg.2qri 2rsg.2qrj 2s3n 2s3n.2qrf 2s3n.2qrg 2s3n.2qrh 2s3n.2qri 2s3n.2qrj 2s3o 2s3o.2qrf 2s3o.2qrg 2s3o.2qrh 2s3o.2qri 2s3o.2qrj 2rsh 2rsh.2qrf 2rsh.2qrg 2rsh.2qrh 2rsh.2qri 2rsh.2qrj 2quh+2qnw 2quh.2qrf+2qnw 2quh.2qrg+2qnw 2quh.2qrh+2qnw 2quh.2qri+2qnw 2quh.2qrj+2qnw 2qug+2qnw 2qug.2qrf+2qnw 2qug.2qrg+2qnw 2qug.2qrh+2qnw 2qug.2qri+2qnw 2qug.2qrj+2qnw 2rwx+2qnw 2rwx.2qrf+2qnw 2rwx.2qrg+2qnw 2rwx.2qrh+2qnw 2rwx.2qri+2qnw 2rwx.2qrj+2qnw 2qv0 2qv0.2qrf 2qv0.2qrg 2qv0.2qrh 2qv0.2qri 2qv0.2qrj 2qo5 2qo5.2qrf 2qo5.2qrg 2qo5.2qrh 2qo5.2qri 2qo5.2qrj 2rsm 2rsm.2qrf 2rsm.2qrg 2rsm.2qrh 2rsm.2qri 2rsm.2qrj 2rwx+2qo4 2rwx.2qrf+2qo4 2rwx.2qrg+2qo4 2rwx.2qrh+2qo4 2rwx.2qri+2qo4 2rwx.2qrj+2qo4 2rw8 2rw8.2qrf 2rw8.2qrg 2rw8.2qrh 2rw8.2qri 2rw8.2qrj 2rw8+7k2! 2rw8.2qrf+7k2! 2rw8.2qrg+7k2! 2rw8.2qrh+7k2! 2rw8.2qri+7k2! 2rw8.2qrj+7k2! 2rw8+7k0! 2rw8.2qrf+7k0! 2rw8.2qrg+7k0! 2rw8.2qrh+7k0! 2rw8.2qri+7k0! 2rw8.2qrj+7k0! 2rw9 2rw9.2qrf 2rw9.2qrg 2rw9.2qrh 2rw9.2qri 2rw9.2qrj 2rw9+7k2! 2rw9.2qrf+7k2! 2rw9.2qrg+7k2! 2rw9.2qrh+7k2! 2rw9.2qri+7k2! 2rw9.2qrj+7k2! 2rw9+7k0! 2rw9.2qrf+7k0! 2rw9.2qrg+7k0! 2rw9.2qrh+7k0! 2rw9.2qri+7k0! 2rw9.2qrj+7k0! 2rx5 2rx5.2qrf 2rx5.2qrg 2rx5.2qrh 2rx5.2qri 2rx5.2qrj 2rx5+7k2! 2rx5.2qrf+7k2! 2rx5.2qrg+7k2! 2rx5.2qrh+7k2! 2rx5.2qri+7k2! 2rx5.2qrj+7k2! 2rx5+7k0! 2rx5.2qrf+7k0! 2rx5.2qrg+7k0! 2rx5.2qrh+7k0! 2rx5.2qri+7k0! 2rx5.2qrj+7k0! 2rx6 2rx6.2qrf 2rx6.2qrg 2rx6.2qrh 2rx6.2qri 2rx6.2qrj 2rx6+7k2! 2rx6.2qrf+7k2! 2rx6.2qrg+7k2! 2rx6.2qrh+7k2! 2rx6.2qri+7k2! 2rx6.2qrj+7k2! 2rx6+7k0! 2rx6.2qrf+7k0! 2rx6.2qrg+7k0! 2rx6.2qrh+7k0! 2rx6.2qri+7k0! 2rx6.2qrj+7k0! 2rx7 2rx7.2qrf 2rx7.2qrg 2rx7.2qrh 2rx7.2qri 2rx7.2qrj 2rx7+7k2! 2rx7.2qrf+7k2! 2rx7.2qrg+7k2! 2rx7.2qrh+7k2! 2rx7.2qri+7k2! 2rx7.2qrj+7k2! 2rx7+7k0! 2rx7.2qrf+7k0! 2rx7.2qrg+7k0! 2rx7.2qrh+7k0! 2rx7.2qri+7k0! 2rx7.2qrj+7k0! 2rx8 2rx8.2qrf 2rx8.2qrg 2rx8.2qrh 2rx8.2qri 2rx8.2qrj 2rx8+7k2! 2rx8.2qrf+7k2! 2rx8.2qrg+7k2! 2rx8.2qrh+7k2! 2rx8.2qri+7k2! 2rx8.2qrj+7k2! 2rx8+7k0! 2rx8.2qrf+7k0! 2rx8.2qrg+7k0! 2rx8.2qrh+7k0! 2rx8.2qri+7k0! 2rx8.2qrj+7k0! 2rx9 2rx9.2qrf 2rx9.2qrg 2rx9.2qrh 2rx9.2qri 2rx9.2qrj 2rx9+7k2! 2rx9.2qrf+7k2! 2rx9.2qrg+7k2! 2rx9.2qrh+7k2! 2rx9.2qri+7k2! 2rx9.2qrj+7k2! 2rx9+7k0! 2rx9.2qrf+7k0! 2rx9.2qrg+7k0! 2rx9.2qrh+7k0! 2rx9.2qri+7k0! 2rx9.2qrj+7k0! 2rxa 2rxa+7k2! 2rxa+7k0! 2rxb 2rxb+7k2! 2rxb+7k0! 2rws 2s3s 2qva 2qva.2qrf 2qva.2qrg 2qva.2qrh 2qva.2qri 2qva.2qrj 2qva+7k2! 2qva.2qrf+7k2! 2qva.2qrg+7k2! 2qva.2qrh+7k2! 2qva.2qri+7k2! 2qva.2qrj+7k2! 2qva+7k0! 2qva.2qrf+7k0! 2qva.2qrg+7k0! 2qva.2qrh+7k0! 2qva.2qri+7k0! 2qva.2qrj+7k0! 2qvb 2qvb.2qrf 2qvb.2qrg 2qvb.2qrh 2qvb.2qri 2qvb.2qrj 2qvb+7k2! 2qvb.2qrf+7k2! 2qvb.2qrg+7k2! 2qvb.2qrh+7k2! 2qvb.2qri+7k2! 2qvb.2qrj+7k2! 2qvb+7k0! 2qvb.2qrf+7k0! 2qvb.2qrg+7k0! 2qvb.2qrh+7k0! 2qvb.2qri+7k0! 2qvb.2qrj+7k0! 2rau 2rau.2qrf 2rau.2qrg 2rau.2qrh 2rau.2qri 2rau.2qrj 2rau+7k2! 2rau.2qrf+7k2! 2rau.2qrg+7k2! 2rau.2qrh+7k2! 2rau.2qri+7k2! 2rau.2qrj+7k2! 2rau+7k0! 2rau.2qrf+7k0! 2rau.2qrg+7k0! 2rau.2qrh+7k0! 2rau.2qri+7k0! 2rau.2qrj+7k0! 2rau+7tt! 2rau.2qrf+7tt! 2rau.2qrg+7tt! 2rau.2qrh+7tt! 2rau.2qri+7tt! 2rau.2qrj+7tt! 2rau+7k0!+7tt! 2rau.2qrf+7k0!+7tt! 2rau.2qrg+7k0!+7tt! 2rau.2qrh+7k0!+7tt! 2rau.2qri+7k0!+7tt! 2rau.2qrj+7k0!+7tt! 2rau+7k2!+7tt! 2rau.2qrf+7k2!+7tt! 2rau.2qrg+7k2!+7tt! 2rau.2qrh+7k2!+7tt! 2rau.2qri+7k2!+7tt! 2rau.2qrj+7k2!+7tt! 2rwt 2rwt.2qrf 2rwt.2qrg 2rwt.2qrh 2rwt.2qri 2rwt.2qrj 2rwt+7k2! 2rwt.2qrf+7k2! 2rwt.2qrg+7k2! 2rwt.2qrh+7k2! 2rwt.2qri+7k2! 2rwt.2qrj+7k2! 2rwt+7k0! 2rwt.2qrf+7k0! 2rwt.2qrg+7k0! 2rwt.2qrh+7k0! 2rwt.2qri+7k0! 2rwt.2qrj+7k0! 2rwu 2rwu.2qrf 2rwu.2qrg 2rwu.2qrh 2rwu.2qri 2rwu.2qrj 2rwu+7k2! 2rwu.2qrf+7k2! 2rwu.2qrg+7k2! 2rwu.2qrh+7k2! 2rwu.2qri+7k2! 2rwu.2qrj+7k2! 2rwu+7k0! 2rwu.2qrf+7k0! 2rwu.2qrg+7k0! 2rwu.2qrh+7k0! 2rwu.2qri+7k0! 2rwu.2qrj+7k0! 2rwu+7tt! 2rwu.2qrf+7tt! 2rwu.2qrg+7tt! 2rwu.2qrh+7tt! 2rwu.2qri+7tt! 2rwu.2qrj+7tt! 2rwu+7k0!+7tt! 2rwu.2qrf+7k0!+7tt! 2rwu.2qrg+7k0!+7tt! 2rwu.2qrh+7k0!+7tt! 2rwu.2qri+7k0!+7tt! 2rwu.2qrj+7k0!+7tt! 2rwu+7k2!+7tt! 2rwu.2qrf+7k2!+7tt! 2rwu.2qrg+7k2!+7tt! 2rwu.2qrh+7k2!+7tt! 2rwu.2qri+7k2!+7tt! 2rwu.2qrj+7k2!+7tt! 2rwx+2rvz 2rwx.2qrf+2rvz 2rwx.2qrg+2rvz 2rwx.2qrh+2rvz 2rwx.2qri+2rvz 2rwx.2qrj+2rvz 2rwx+2rvz+7tt! 2rwx.2qrf+2rvz+7tt! 2rwx.2qrg+2rvz+7tt! 2rwx.2qrh+2rvz+7tt! 2rwx.2qri+2rvz+7tt! 2rwx.2qrj+2rvz+7tt! 2qug+2rvz 2qug.2qrf+2rvz 2qug.2qrg+2rvz 2qug.2qrh+2rvz 2qug.2qri+2rvz 2qug.2qrj+2rvz 2qug+2rvz+7tt! 2qug.2qrf+2rvz+7tt! 2qug.2qrg+2rvz+7tt! 2qug.2qrh+2rvz+7tt! 2qug.2qri+2rvz+7tt! 2qug.2qrj+2rvz+7tt! 2quh+2rvz 2quh.2qrf+2rvz 2quh.2qrg+2rvz 2quh.2qrh+2rvz 2quh.2qri+2rvz 2quh.2qrj+2rvz 2quh+2rvz+7tt! 2quh.2qrf+2rvz+7tt! 2quh.2qrg+2rvz+7tt! 2quh.2qrh+2rvz+7tt! 2quh.2qri+2rvz+7tt! 2quh.2qrj+2rvz+7tt! 2rwx+2rwc 2rwx.2qrf+2rwc 2rwx.2qrg+2rwc 2rwx.2qrh+2rwc 2rwx.2qri+2rwc 2rwx.2qrj+2rwc 2rwx+2rwc+7tt! 2rwx.2qrf+2rwc+7tt! 2rwx.2qrg+2rwc+7tt! 2rwx.2qrh+2rwc+7tt! 2rwx.2qri+2rwc+7tt! 2rwx.2qrj+2rwc+7tt! 2qug+2rwc 2qug.2qrf+2rwc 2qug.2qrg+2rwc 2qug.2qrh+2rwc 2qug.2qri+2rwc 2qug.2qrj+2rwc 2qug+2rwc+7tt! 2qug.2qrf+2rwc+7tt! 2qug.2qrg+2rwc+7tt! 2qug.2qrh+2rwc+7tt! 2qug.2qri+2rwc+7tt! 2qug.2qrj+2rwc+7tt! 2quh+2rwc 2quh.2qrf+2rwc 2quh.2qrg+2rwc 2quh.2qrh+2rwc 2quh.2qri+2rwc 2quh.2qrj+2rwc 2quh+2rwc+7tt! 2quh.2qrf+2rwc+7tt! 2quh.2qrg+2rwc+7tt! 2quh.2qrh+2rwc+7tt! 2quh.2qri+2rwc+7tt! 2quh.2qrj+2rwc+7tt! 2rwx+2rwd 2rwx.2qrf+2rwd 2rwx.2qrg+2rwd 2rwx.2qrh+2rwd 2rwx.2qri+2rwd 2rwx.2qrj+2rwd 2rwx+2rwd+7tt! 2rwx.2qrf+2rwd+7tt! 2rwx.2qrg+2rwd+7tt! 2rwx.2qrh+2rwd+7tt! 2rwx.2qri+2rwd+7tt! 2rwx.2qrj+2rwd+7tt! 2qug+2rwd 2qug.2qrf+2rwd 2qug.2qrg+2rwd 2qug.2qrh+2rwd 2qug.2qri+2rwd 2qug.2qrj+2rwd 2qug+2rwd+7tt! 2qug.2qrf+2rwd+7tt! 2qug.2qrg+2rwd+7tt! 2qug.2qrh+2rwd+7tt! 2qug.2qri+2rwd+7tt! 2qug.2qrj+2rwd+7tt! 2quh+2rwd 2quh.2qrf+2rwd 2quh.2qrg+2rwd 2quh.2qrh+2rwd 2quh.2qri+2rwd 2quh.2qrj+2rwd 2quh+2rwd+7tt! 2quh.2qrf+2rwd+7tt! 2quh.2qrg+2rwd+7tt! 2quh.2qrh+2rwd+7tt! 2quh.2qri+2rwd+7tt! 2quh.2qrj+2rwd+7tt! 2qpv 2qpv.2qrf 2qpv.2qrg 2qpv.2qrh 2qpv.2qri 2qpv.2qrj 2qpv+7k2! 2qpv.2qrf+7k2! 2qpv.2qrg+7k2! 2qpv.2qrh+7k2! 2qpv.2qri+7k2! 2qpv.2qrj+7k2! 2qpv+7k0! 2qpv.2qrf+7k0! 2qpv.2qrg+7k0! 2qpv.2qrh+7k0! 2qpv.2qri+7k0! 2qpv.2qrj+7k0! 2qpv+7tt! 2qpv.2qrf+7tt! 2qpv.2qrg+7tt! 2qpv.2qrh+7tt! 2qpv.2qri+7tt! 2qpv.2qrj+7tt! 2qpv+7k0!+7tt! 2qpv.2qrf+7k0!+7tt! 2qpv.2qrg+7k0!+7tt! 2qpv.2qrh+7k0!+7tt! 2qpv.2qri+7k0!+7tt! 2qpv.2qrj+7k0!+7tt! 2qpv+7k2!+7tt! 2qpv.2qrf+7k2!+7tt! 2qpv.2qrg+7k2!+7tt! 2qpv.2qrh+7k2!+7tt! 2qpv.2qri+7k2!+7tt! 2qpv.2qrj+7k2!+7tt! 2rwx+2s1c 2rwx.2qrf+2s1c 2rwx.2qrg+2s1c 2rwx.2qrh+2s1c 2rwx.2qri+2s1c 2rwx.2qrj+2s1c 2qv7 2qv7.2qrf 2qv7.2qrg 2qv7.2qrh 2qv7.2qri 2qv7.2qrj 2r22 2r22.2qrf 2r22.2qrg 2r22.2qrh 2r22.2qri 2r22.2qrj 2r1w! 2r1w.2qrf 2r1w.2qrg 2r1w.2qrh 2r1w.2qri 2r1w.2qrj 2qun 2qun.2qrf 2qun.2qrg 2qun.2qrh 2qun.2qri 2qun.2qrj 2qun+7k2! 2qun.2qrf+7k2! 2qun.2qrg+7k2! 2qun.2qrh+7k2! 2qun.2qri+7k2! 2qun.2qrj+7k2! 2qun+7k0! 2qun.2qrf+7k0! 2qun.2qrg+7k0! 2qun.2qrh+7k0! 2qun.2qri+7k0! 2qun.2qrj+7k0! 2rwx.2qrf+2qsw+2rwx.2qrg 2rwx.2qrf+2qsw+2rwx.2qrh 2rwx.2qrf+2qsw+2rwx.2qri 2rwx.2qrf+2qsw+2rwx.2qrj 2rwx.2qrg+2qsw+2rwx.2qrf 2rwx.2qrg+2qsw+2rwx.2qrh 2rwx.2qrg+2qsw+2rwx.2qri 2rwx.2qrg+2qsw+2rwx.2qrj 2rwx.2qrh+2qsw+2rwx.2qrf 2rwx.2qrh+2qsw+2rwx.2qrg 2rwx.2qrh+2qsw+2rwx.2qri 2rwx.2qrh+2qsw+2rwx.2qrj 2rwx.2qri+2qsw+2rwx.2qrf 2rwx.2qri+2qsw+2rwx.2qrg 2rwx.2qri+2qsw+2rwx.2qrh 2rwx.2qri+2qsw+2rwx.2qrj 2rwx.2qrj+2qsw+2rwx.2qrf 2rwx.2qrj+2qsw+2rwx.2qrg 2rwx.2qrj+2qsw+2rwx.2qrh 2rwx.2qrj+2qsw+2rwx.2qri 2qug.2qrf+2qsw+2qug.2qrg 2qug.2qrf+2qsw+2qug.2qrh 2qug.2qrf+2qsw+2qug.2qri 2qug.2qrf+2qsw+2qug.2qrj 2qug.2qrg+2qsw+2qug.2qrf 2qug.2qrg+2qsw+2qug.2qrh 2qug.2qrg+2qsw+2qug.2qri 2qug.2qrg+2qsw+2qug.2qrj 2qug.2qrh+2qsw+2qug.2qrf 2qug.2qrh+2qsw+2qug.2qrg 2qug.2qrh+2qsw+2qug.2qri 2qug.2qrh+2qsw+2qug.2qrj 2qug.2qri+2qsw+2qug.2qrf 2qug.2qri+2qsw+2qug.2qrg 2qug.2qri+2qsw+2qug.2qrh 2qug.2qri+2qsw+2qug.2qrj 2qug.2qrj+2qsw+2qug.2qrf 2qug.2qrj+2qsw+2qug.2qrg 2qug.2qrj+2qsw+2qug.2qrh 2qug.2qrj+2qsw+2qug.2qri 2quh.2qrf+2qsw+2quh.2qrg 2quh.2qrf+2qsw+2quh.2qrh 2quh.2qrf+2qsw+2quh.2qri 2quh.2qrf+2qsw+2quh.2qrj 2quh.2qrg+2qsw+2quh.2qrf 2quh.2qrg+2qsw+2quh.2qrh 2quh.2qrg+2qsw+2quh.2qri 2quh.2qrg+2qsw+2quh.2qrj 2quh.2qrh+2qsw+2quh.2qrf 2quh.2qrh+2qsw+2quh.2qrg 2quh.2qrh+2qsw+2quh.2qri 2quh.2qrh+2qsw+2quh.2qrj 2quh.2qri+2qsw+2quh.2qrf 2quh.2qri+2qsw+2quh.2qrg 2quh.2qri+2qsw+2quh.2qrh 2quh.2qri+2qsw+2quh.2qrj 2quh.2qrj+2qsw+2quh.2qrf 2quh.2qrj+2qsw+2quh.2qrg 2quh.2qrj+2qsw+2quh.2qrh 2quh.2qrj+2qsw+2quh.2qri 2rx2 2rx2.2qrf 2rx2.2qrg 2rx2.2qrh 2rx2.2qri 2rx2.2qrj 2rx2+7k2! 2rx2.2qrf+7k2! 2rx2.2qrg+7k2! 2rx2.2qrh+7k2! 2rx2.2qri+7k2! 2rx2.2qrj+7k2! 2rx2+7k0! 2rx2.2qrf+7k0! 2rx2.2qrg+7k0! 2rx2.2qrh+7k0! 2rx2.2qri+7k0! 2rx2.2qrj+7k0! 2rx3 2rx3.2qrf 2rx3.2qrg 2rx3.2qrh 2rx3.2qri 2rx3.2qrj 2rx3+7k2! 2rx3.2qrf+7k2! 2rx3.2qrg+7k2! 2rx3.2qrh+7k2! 2rx3.2qri+7k2! 2rx3.2qrj+7k2! 2rx3+7k0! 2rx3.2qrf+7k0! 2rx3.2qrg+7k0! 2rx3.2qrh+7k0! 2rx3.2qri+7k0! 2rx3.2qrj+7k0! 2rsq 2qpz 2qpz.2qrf 2qpz.2qrg 2qpz.2qrh 2qpz.2qri 2qpz.2qrj 7p3! 2qpu 2qpu.2qrf 2qpu.2qrg 2qpu.2qrh 2qpu.2qri 2qpu.2qrj 2qq4! 2qq4.2qrf 2qq4.2qrg 2qq4.2qrh 2qq4.2qri 2qq4.2qrj 2qq4!+7k2! 2qq4.2qrf+7k2! 2qq4.2qrg+7k2! 2qq4.2qrh+7k2! 2qq4.2qri+7k2! 2qq4.2qrj+7k2! 2qq4!+7k0! 2qq4.2qrf+7k0! 2qq4.2qrg+7k0! 2qq4.2qrh+7k0! 2qq4.2qri+7k0! 2qq4.2qrj+7k0! 2qpw 2qpw.2qrf 2qpw.2qrg 2qpw.2qrh 2qpw.2qri 2qpw.2qrj 2qpw+7k2! 2qpw.2qrf+7k2! 2qpw.2qrg+7k2! 2qpw.2qrh+7k2! 2qpw.2qri+7k2! 2qpw.2qrj+7k2! 2qpw+7k0! 2qpw.2qrf+7k0! 2qpw.2qrg+7k0! 2qpw.2qrh+7k0! 2qpw.2qri+7k0! 2qpw.2qrj+7k0! 2rab 2rab.2qrf 2rab.2qrg 2rab.2qrh 2rab.2qri 2rab.2qrj 2rab+7k2! 2rab.2qrf+7k2! 2rab.2qrg+7k2! 2rab.2qrh+7k2! 2rab.2qri+7k2! 2rab.2qrj+7k2! 2rab+7k0! 2rab.2qrf+7k0! 2rab.2qrg+7k0! 2rab.2qrh+7k0! 2rab.2qri+7k0! 2rab.2qrj+7k0! 2qq2 2qq2.2qrf 2qq2.2qrg 2qq2.2qrh 2qq2.2qri 2qq2.2qrj 2qq2+7k2! 2qq2.2qrf+7k2! 2qq2.2qrg+7k2! 2qq2.2qrh+7k2! 2qq2.2qri+7k2! 2qq2.2qrj+7k2! 2qq2+7k0! 2qq2.2qrf+7k0! 2qq2.2qrg+7k0! 2qq2.2qrh+7k0! 2qq2.2qri+7k0! 2qq2.2qrj+7k0! 7p5! 7p5.2qrf 7p5.2qrg 7p5.2qrh 7p5.2qri 7p5.2qrj 7p5!+7k2! 7p5.2qrf+7k2! 7p5.2qrg+7k2! 7p5.2qrh+7k2! 7p5.2qri+7k2! 7p5.2qrj+7k2! 7p5!+7k0! 7p5.2qrf+7k0! 7p5.2qrg+7k0! 7p5.2qrh+7k0! 7p5.2qri+7k0! 7p5.2qrj+7k0! 2qq3! 2qq3.2qrf 2qq3.2qrg 2qq3.2qrh 2qq3.2qri 2qq3.2qrj 2qq3!+7k2! 2qq3.2qrf+7k2! 2qq3.2qrg+7k2! 2qq3.2qrh+7k2! 2qq3.2qri+7k2! 2qq3.2qrj+7k2! 2qq3!+7k0! 2qq3.2qrf+7k0! 2qq3.2qrg+7k0! 2qq3.2qrh+7k0! 2qq3.2qri+7k0! 2qq3.2qrj+7k0! 2ras 2ras.2qrf 2ras.2qrg 2ras.2qrh 2ras.2qri 2ras.2qrj 2ras+7k2! 2ras.2qrf+7k2! 2ras.2qrg+7k2! 2ras.2qrh+7k2! 2ras.2qri+7k2! 2ras.2qrj+7k2! 2ras+7k0! 2ras.2qrf+7k0! 2ras.2qrg+7k0! 2ras.2qrh+7k0! 2ras.2qri+7k0! 2ras.2qrj+7k0! 2rat 2rat.2qrf 2rat.2qrg 2rat.2qrh 2rat.2qri 2rat.2qrj 2rat+7k2! 2rat.2qrf+7k2! 2rat.2qrg+7k2! 2rat.2qrh+7k2! 2rat.2qri+7k2! 2rat.2qrj+7k2! 2rat+7k0! 2rat.2qrf+7k0! 2rat.2qrg+7k0! 2rat.2qrh+7k0! 2rat.2qri+7k0! 2rat.2qrj+7k0! 2rso 2rso.2qrf 2rso.2qrg 2rso.2qrh 2rso.2qri 2rso.2qrj 2rso+7k2! 2rso.2qrf+7k2! 2rso.2qrg+7k2! 2rso.2qrh+7k2! 2rso.2qri+7k2! 2rso.2qrj+7k2! 2rso+7k0! 2rso.2qrf+7k0! 2rso.2qrg+7k0! 2rso.2qrh+7k0! 2rso.2qri+7k0! 2rso.2qrj+7k0! 2rss 2rss.2qrf 2rss.2qrg 2rss.2qrh 2rss.2qri 2rss.2qrj 2rss+7k2! 2rss.2qrf+7k2! 2rss.2qrg+7k2! 2rss.2qrh+7k2! 2rss.2qri+7k2! 2rss.2qrj+7k2! 2rss+7k0! 2rss.2qrf+7k0! 2rss.2qrg+7k0! 2rss.2qrh+7k0! 2rss.2qri+7k0! 2rss.2qrj+7k0! 2rwx.2qrf+2s4v+2rwx.2qrg 2rwx.2qrf+2s4v+2rwx.2qrh 2rwx.2qrf+2s4v+2rwx.2qri 2rwx.2qrf+2s4v+2rwx.2qrj 2rwx.2qrg+2s4v+2rwx.2qrf 2rwx.2qrg+2s4v+2rwx.2qrh 2rwx.2qrg+2s4v+2rwx.2qri 2rwx.2qrg+2s4v+2rwx.2qrj 2rwx.2qrh+2s4v+2rwx.2qrf 2rwx.2qrh+2s4v+2rwx.2qrg 2rwx.2qrh+2s4v+2rwx.2qri 2rwx.2qrh+2s4v+2rwx.2qrj 2rwx.2qri+2s4v+2rwx.2qrf 2rwx.2qri+2s4v+2rwx.2qrg 2rwx.2qri+2s4v+2rwx.2qrh 2rwx.2qri+2s4v+2rwx.2qrj 2rwx.2qrj+2s4v+2rwx.2qrf 2rwx.2qrj+2s4v+2rwx.2qrg 2rwx.2qrj+2s4v+2rwx.2qrh 2rwx.2qrj+2s4v+2rwx.2qri 2qug.2qrf+2s4v+2qug.2qrg 2qug.2qrf+2s4v+2qug.2qrh 2qug.2qrf+2s4v+2qug.2qri 2qug.2qrf+2s4v+2qug.2qrj 2qug.2qrg+2s4v+2qug.2qrf 2qug.2qrg+2s4v+2qug.2qrh 2qug.2qrg+2s4v+2qug.2qri 2qug.2qrg+2s4v+2qug.2qrj 2qug.2qrh+2s4v+2qug.2qrf 2qug.2qrh+2s4v+2qug.2qrg 2qug.2qrh+2s4v+2qug.2qri 2qug.2qrh+2s4v+2qug.2qrj 2qug.2qri+2s4v+2qug.2qrf 2qug.2qri+2s4v+2qug.2qrg 2qug.2qri+2s4v+2qug.2qrh 2qug.2qri+2s4v+2qug.2qrj 2qug.2qrj+2s4v+2qug.2qrf 2qug.2qrj+2s4v+2qug.2qrg 2qug.2qrj+2s4v+2qug.2qrh 2qug.2qrj+2s4v+2qug.2qri 2quh.2qrf+2s4v+2quh.2qrg 2quh.2qrf+2s4v+2quh.2qrh 2quh.2qrf+2s4v+2quh.2qri 2quh.2qrf+2s4v+2quh.2qrj 2quh.2qrg+2s4v+2quh.2qrf 2quh.2qrg+2s4v+2quh.2qrh 2quh.2qrg+2s4v+2quh.2qri 2quh.2qrg+2s4v+2quh.2qrj 2quh.2qrh+2s4v+2quh.2qrf 2quh.2qrh+2s4v+2quh.2qrg 2quh.2qrh+2s4v+2quh.2qri 2quh.2qrh+2s4v+2quh.2qrj 2quh.2qri+2s4v+2quh.2qrf 2quh.2qri+2s4v+2quh.2qrg 2quh.2qri+2s4v+2quh.2qrh 2quh.2qri+2s4v+2quh.2qrj 2quh.2qrj+2s4v+2quh.2qrf 2quh.2qrj+2s4v+2quh.2qrg 2quh.2qrj+2s4v+2quh.2qrh 2quh.2qrj+2s4v+2quh.2qri 2rst 2rst.2qrf 2rst.2qrg 2rst.2qrh 2rst.2qri 2rst.2qrj 2rst+7k2! 2rst.2qrf+7k2! 2rst.2qrg+7k2! 2rst.2qrh+7k2! 2rst.2qri+7k2! 2rst.2qrj+7k2! 2rst+7k0! 2rst.2qrf+7k0! 2rst.2qrg+7k0! 2rst.2qrh+7k0! 2rst.2qri+7k0! 2rst.2qrj+7k0! 2rsu 2rsu.2qrf 2rsu.2qrg 2rsu.2qrh 2rsu.2qri 2rsu.2qrj 2rsu+7k2! 2rsu.2qrf+7k2! 2rsu.2qrg+7k2! 2rsu.2qrh+7k2! 2rsu.2qri+7k2! 2rsu.2qrj+7k2! 2rsu+7k0! 2rsu.2qrf+7k0! 2rsu.2qrg+7k0! 2rsu.2qrh+7k0! 2rsu.2qri+7k0! 2rsu.2qrj+7k0! 2rsp 2rsp.2qrf 2rsp.2qrg 2rsp.2qrh 2rsp.2qri 2rsp.2qrj 2rsp+7k2! 2rsp.2qrf+7k2! 2rsp.2qrg+7k2! 2rsp.2qrh+7k2! 2rsp.2qri+7k2! 2rsp.2qrj+7k2! 2rsp+7k0! 2rsp.2qrf+7k0! 2rsp.2qrg+7k0! 2rsp.2qrh+7k0! 2rsp.2qri+7k0! 2rsp.2qrj+7k0! 2rx4 2rx4.2qrf 2rx4.2qrg 2rx4.2qrh 2rx4.2qri 2rx4.2qrj 2rx4+7k2! 2rx4.2qrf+7k2! 2rx4.2qrg+7k2! 2rx4.2qrh+7k2! 2rx4.2qri+7k2! 2rx4.2qrj+7k2! 2rx4+7k0! 2rx4.2qrf+7k0! 2rx4.2qrg+7k0! 2rx4.2qrh+7k0! 2rx4.2qri+7k0! 2rx4.2qrj+7k0! 2rb4 2rb4.2qrf 2rb4.2qrg 2rb4.2qrh 2rb4.2qri 2rb4.2qrj 2rbg 2rbg.2qrf 2rbg.2qrg 2rbg.2qrh 2rbg.2qri 2rbg.2qrj 2rwx+2rrx+2rwx 2rwx.2qrf+2rrx+2rwx.2qrf 2rwx.2qrf+2rrx+2rwx.2qrg 2rwx.2qrf+2rrx+2rwx.2qrh 2rwx.2qrf+2rrx+2rwx.2qri 2rwx.2qrf+2rrx+2rwx.2qrj 2rwx.2qrg+2rrx+2rwx.2qrf 2rwx.2qrg+2rrx+2rwx.2qrg 2rwx.2qrg+2rrx+2rwx.2qrh 2rwx.2qrg+2rrx+2rwx.2qri 2rwx.2qrg+2rrx+2rwx.2qrj 2rwx.2qrh+2rrx+2rwx.2qrf 2rwx.2qrh+2rrx+2rwx.2qrg 2rwx.2qrh+2rrx+2rwx.2qrh 2rwx.2qrh+2rrx+2rwx.2qri 2rwx.2qrh+2rrx+2rwx.2qrj 2rwx.2qri+2rrx+2rwx.2qrf 2rwx.2qri+2rrx+2rwx.2qrg 2rwx.2qri+2rrx+2rwx.2qrh 2rwx.2qri+2rrx+2rwx.2qri 2rwx.2qri+2rrx+2rwx.2qrj 2rwx.2qrj+2rrx+2rwx.2qrf 2rwx.2qrj+2rrx+2rwx.2qrg 2rwx.2qrj+2rrx+2rwx.2qrh 2rwx.2qrj+2rrx+2rwx.2qri 2rwx.2qrj+2rrx+2rwx.2qrj 2qul 2qul.2qrf 2quh.2qrf+2rrx+2quh.2qrg 2quh.2qrf+2rrx+2quh.2qrh 2quh.2qrf+2rrx+2quh.2qri 2quh.2qrf+2rrx+2quh.2qrj 2quh.2qrg+2rrx+2quh.2qrf 2qul.2qrg 2quh.2qrg+2rrx+2quh.2qrh 2quh.2qrg+2rrx+2quh.2qri 2quh.2qrg+2rrx+2quh.2qrj 2quh.2qrh+2rrx+2quh.2qrf 2quh.2qrh+2rrx+2quh.2qrg 2qul.2qrh 2quh.2qrh+2rrx+2quh.2qri 2quh.2qrh+2rrx+2quh.2qrj 2quh.2qri+2rrx+2quh.2qrf 2quh.2qri+2rrx+2quh.2qrg 2quh.2qri+2rrx+2quh.2qrh 2qul.2qri 2quh.2qri+2rrx+2quh.2qrj 2quh.2qrj+2rrx+2quh.2qrf 2quh.2qrj+2rrx+2quh.2qrg 2quh.2qrj+2rrx+2quh.2qrh 2quh.2qrj+2rrx+2quh.2qri 2qul.2qrj 2quj 2quj.2qrf 2quh.2qrf+2rrx+2qug.2qrg 2quh.2qrf+2rrx+2qug.2qrh 2quh.2qrf+2rrx+2qug.2qri 2quh.2qrf+2rrx+2qug.2qrj 2quh.2qrg+2rrx+2qug.2qrf 2quj.2qrg 2quh.2qrg+2rrx+2qug.2qrh 2quh.2qrg+2rrx+2qug.2qri 2quh.2qrg+2rrx+2qug.2qrj 2quh.2qrh+2rrx+2qug.2qrf 2quh.2qrh+2rrx+2qug.2qrg 2quj.2qrh 2quh.2qrh+2rrx+2qug.2qri 2quh.2qrh+2rrx+2qug.2qrj 2quh.2qri+2rrx+2qug.2qrf 2quh.2qri+2rrx+2qug.2qrg 2quh.2qri+2rrx+2qug.2qrh 2quj.2qri 2quh.2qri+2rrx+2qug.2qrj 2quh.2qrj+2rrx+2qug.2qrf 2quh.2qrj+2rrx+2qug.2qrg 2quh.2qrj+2rrx+2qug.2qrh 2quh.2qrj+2rrx+2qug.2qri 2quj.2qrj 2quk 2quk.2qrf 2qug.2qrf+2rrx+2qug.2qrg 2qug.2qrf+2rrx+2qug.2qrh 2qug.2qrf+2rrx+2qug.2qri 2qug.2qrf+2rrx+2qug.2qrj 2qug.2qrg+2rrx+2qug.2qrf 2quk.2qrg 2qug.2qrg+2rrx+2qug.2qrh 2qug.2qrg+2rrx+2qug.2qri 2qug.2qrg+2rrx+2qug.2qrj 2qug.2qrh+2rrx+2qug.2qrf 2qug.2qrh+2rrx+2qug.2qrg 2quk.2qrh 2qug.2qrh+2rrx+2qug.2qri 2qug.2qrh+2rrx+2qug.2qrj 2qug.2qri+2rrx+2qug.2qrf 2qug.2qri+2rrx+2qug.2qrg 2qug.2qri+2rrx+2qug.2qrh 2quk.2qri 2qug.2qri+2rrx+2qug.2qrj 2qug.2qrj+2rrx+2qug.2qrf 2qug.2qrj+2rrx+2qug.2qrg 2qug.2qrj+2rrx+2qug.2qrh 2qug.2qrj+2rrx+2qug.2qri 2quk.2qrj 2qvj 2qvj.2qrf 2qvj.2qrg 2qvj.2qrh 2qvj.2qri 2qvj.2qrj 2rwx.2qrf+7s4!+2qvf+2rwx.2qrg 2rwx.2qrf+7s4!+2qvf+2rwx.2qrh 2rwx.2qrf+7s4!+2qvf+2rwx.2qri 2rwx.2qrf+7s4!+2qvf+2rwx.2qrj 2rwx.2qrg+7s4!+2qvf+2rwx.2qrf 2rwx.2qrg+7s4!+2qvf+2rwx.2qrh 2rwx.2qrg+7s4!+2qvf+2rwx.2qri 2rwx.2qrg+7s4!+2qvf+2rwx.2qrj 2rwx.2qrh+7s4!+2qvf+2rwx.2qrf 2rwx.2qrh+7s4!+2qvf+2rwx.2qrg 2rwx.2qrh+7s4!+2qvf+2rwx.2qri 2rwx.2qrh+7s4!+2qvf+2rwx.2qrj 2rwx.2qri+7s4!+2qvf+2rwx.2qrf 2rwx.2qri+7s4!+2qvf+2rwx.2qrg 2rwx.2qri+7s4!+2qvf+2rwx.2qrh 2rwx.2qri+7s4!+2qvf+2rwx.2qrj 2rwx.2qrj+7s4!+2qvf+2rwx.2qrf 2rwx.2qrj+7s4!+2qvf+2rwx.2qrg 2rwx.2qrj+7s4!+2qvf+2rwx.2qrh 2rwx.2qrj+7s4!+2qvf+2rwx.2qri 2quh+7s4!+2qvf+2qug 2quh.2qrf+7s4!+2qvf+2qug.2qrf 2quh.2qrf+7s4!+2qvf+2qug.2qrg 2quh.2qrf+7s4!+2qvf+2qug.2qrh 2quh.2qrf+7s4!+2qvf+2qug.2qri 2quh.2qrf+7s4!+2qvf+2qug.2qrj 2quh.2qrg+7s4!+2qvf+2qug.2qrf 2quh.2qrg+7s4!+2qvf+2qug.2qrg 2quh.2qrg+7s4!+2qvf+2qug.2qrh 2quh.2qrg+7s4!+2qvf+2qug.2qri 2quh.2qrg+7s4!+2qvf+2qug.2qrj 2quh.2qrh+7s4!+2qvf+2qug.2qrf 2quh.2qrh+7s4!+2qvf+2qug.2qrg 2quh.2qrh+7s4!+2qvf+2qug.2qrh 2quh.2qrh+7s4!+2qvf+2qug.2qri 2quh.2qrh+7s4!+2qvf+2qug.2qrj 2quh.2qri+7s4!+2qvf+2qug.2qrf 2quh.2qri+7s4!+2qvf+2qug.2qrg 2quh.2qri+7s4!+2qvf+2qug.2qrh 2quh.2qri+7s4!+2qvf+2qug.2qri 2quh.2qri+7s4!+2qvf+2qug.2qrj 2quh.2qrj+7s4!+2qvf+2qug.2qrf 2quh.2qrj+7s4!+2qvf+2qug.2qrg 2quh.2qrj+7s4!+2qvf+2qug.2qrh 2quh.2qrj+7s4!+2qvf+2qug.2qri 2quh.2qrj+7s4!+2qvf+2qug.2qrj 2qug+7s4!+2qvf+2qug 2qug.2qrf+7s4!+2qvf+2qug.2qrf 2qug.2qrf+7s4!+2qvf+2qug.2qrg 2qug.2qrf+7s4!+2qvf+2qug.2qrh 2qug.2qrf+7s4!+2qvf+2qug.2qri 2qug.2qrf+7s4!+2qvf+2qug.2qrj 2qug.2qrg+7s4!+2qvf+2qug.2qrf 2qug.2qrg+7s4!+2qvf+2qug.2qrg 2qug.2qrg+7s4!+2qvf+2qug.2qrh 2qug.2qrg+7s4!+2qvf+2qug.2qri 2qug.2qrg+7s4!+2qvf+2qug.2qrj 2qug.2qrh+7s4!+2qvf+2qug.2qrf 2qug.2qrh+7s4!+2qvf+2qug.2qrg 2qug.2qrh+7s4!+2qvf+2qug.2qrh 2qug.2qrh+7s4!+2qvf+2qug.2qri 2qug.2qrh+7s4!+2qvf+2qug.2qrj 2qug.2qri+7s4!+2qvf+2qug.2qrf 2qug.2qri+7s4!+2qvf+2qug.2qrg 2qug.2qri+7s4!+2qvf+2qug.2qrh 2qug.2qri+7s4!+2qvf+2qug.2qri 2qug.2qri+7s4!+2qvf+2qug.2qrj 2qug.2qrj+7s4!+2qvf+2qug.2qrf 2qug.2qrj+7s4!+2qvf+2qug.2qrg 2qug.2qrj+7s4!+2qvf+2qug.2qrh 2qug.2qrj+7s4!+2qvf+2qug.2qri 2qug.2qrj+7s4!+2qvf+2qug.2qrj 2quh+7s4!+2qvf+2quh 2quh.2qrf+7s4!+2qvf+2quh.2qrf 2quh.2qrf+7s4!+2qvf+2quh.2qrg 2quh.2qrf+7s4!+2qvf+2quh.2qrh 2quh.2qrf+7s4!+2qvf+2quh.2qri 2quh.2qrf+7s4!+2qvf+2quh.2qrj 2quh.2qrg+7s4!+2qvf+2quh.2qrf 2quh.2qrg+7s4!+2qvf+2quh.2qrg 2quh.2qrg+7s4!+2qvf+2quh.2qrh 2quh.2qrg+7s4!+2qvf+2quh.2qri 2quh.2qrg+7s4!+2qvf+2quh.2qrj 2quh.2qrh+7s4!+2qvf+2quh.2qrf 2quh.2qrh+7s4!+2qvf+2quh.2qrg 2quh.2qrh+7s4!+2qvf+2quh.2qrh 2quh.2qrh+7s4!+2qvf+2quh.2qri 2quh.2qrh+7s4!+2qvf+2quh.2qrj 2quh.2qri+7s4!+2qvf+2quh.2qrf 2quh.2qri+7s4!+2qvf+2quh.2qrg 2quh.2qri+7s4!+2qvf+2quh.2qrh 2quh.2qri+7s4!+2qvf+2quh.2qri 2quh.2qri+7s4!+2qvf+2quh.2qrj 2quh.2qrj+7s4!+2qvf+2quh.2qrf 2quh.2qrj+7s4!+2qvf+2quh.2qrg 2quh.2qrj+7s4!+2qvf+2quh.2qrh 2quh.2qrj+7s4!+2qvf+2quh.2qri 2quh.2qrj+7s4!+2qvf+2quh.2qrj 2qvl 2qvl.2qrf 2qvl.2qrg 2qvl.2qrh 2qvl.2qri 2qvl.2qrj 2rwx.2qrf+7s4!+2rwx.2qrg 2rwx.2qrf+7s4!+2rwx.2qrh 2rwx.2qrf+7s4!+2rwx.2qri 2rwx.2qrf+7s4!+2rwx.2qrj 2rwx.2qrg+7s4!+2rwx.2qrf 2rwx.2qrg+7s4!+2rwx.2qrh 2rwx.2qrg+7s4!+2rwx.2qri 2rwx.2qrg+7s4!+2rwx.2qrj 2rwx.2qrh+7s4!+2rwx.2qrf 2rwx.2qrh+7s4!+2rwx.2qrg 2rwx.2qrh+7s4!+2rwx.2qri 2rwx.2qrh+7s4!+2rwx.2qrj 2rwx.2qri+7s4!+2rwx.2qrf 2rwx.2qri+7s4!+2rwx.2qrg 2rwx.2qri+7s4!+2rwx.2qrh 2rwx.2qri+7s4!+2rwx.2qrj 2rwx.2qrj+7s4!+2rwx.2qrf 2rwx.2qrj+7s4!+2rwx.2qrg 2rwx.2qrj+7s4!+2rwx.2qrh 2rwx.2qrj+7s4!+2rwx.2qri 2quh+7s4!+2qug 2quh.2qrf+7s4!+2qug.2qrf 2quh.2qrf+7s4!+2qug.2qrg 2quh.2qrf+7s4!+2qug.2qrh 2quh.2qrf+7s4!+2qug.2qri 2quh.2qrf+7s4!+2qug.2qrj 2quh.2qrg+7s4!+2qug.2qrf 2quh.2qrg+7s4!+2qug.2qrg 2quh.2qrg+7s4!+2qug.2qrh 2quh.2qrg+7s4!+2qug.2qri 2quh.2qrg+7s4!+2qug.2qrj 2quh.2qrh+7s4!+2qug.2qrf 2quh.2qrh+7s4!+2qug.2qrg 2quh.2qrh+7s4!+2qug.2qrh 2quh.2qrh+7s4!+2qug.2qri 2quh.2qrh+7s4!+2qug.2qrj 2quh.2qri+7s4!+2qug.2qrf 2quh.2qri+7s4!+2qug.2qrg 2quh.2qri+7s4!+2qug.2qrh 2quh.2qri+7s4!+2qug.2qri 2quh.2qri+7s4!+2qug.2qrj 2quh.2qrj+7s4!+2qug.2qrf 2quh.2qrj+7s4!+2qug.2qrg 2quh.2qrj+7s4!+2qug.2qrh 2quh.2qrj+7s4!+2qug.2qri 2quh.2qrj+7s4!+2qug.2qrj 2qug+7s4!+2qug 2qug.2qrf+7s4!+2qug.2qrf 2qug.2qrf+7s4!+2qug.2qrg 2qug.2qrf+7s4!+2qug.2qrh 2qug.2qrf+7s4!+2qug.2qri 2qug.2qrf+7s4!+2qug.2qrj 2qug.2qrg+7s4!+2qug.2qrf 2qug.2qrg+7s4!+2qug.2qrg 2qug.2qrg+7s4!+2qug.2qrh 2qug.2qrg+7s4!+2qug.2qri 2qug.2qrg+7s4!+2qug.2qrj 2qug.2qrh+7s4!+2qug.2qrf 2qug.2qrh+7s4!+2qug.2qrg 2qug.2qrh+7s4!+2qug.2qrh 2qug.2qrh+7s4!+2qug.2qri 2qug.2qrh+7s4!+2qug.2qrj 2qug.2qri+7s4!+2qug.2qrf 2qug.2qri+7s4!+2qug.2qrg 2qug.2qri+7s4!+2qug.2qrh 2qug.2qri+7s4!+2qug.2qri 2qug.2qri+7s4!+2qug.2qrj 2qug.2qrj+7s4!+2qug.2qrf 2qug.2qrj+7s4!+2qug.2qrg 2qug.2qrj+7s4!+2qug.2qrh 2qug.2qrj+7s4!+2qug.2qri 2qug.2qrj+7s4!+2qug.2qrj 2quh+7s4!+2quh 2quh.2qrf+7s4!+2quh.2qrf 2quh.2qrf+7s4!+2quh.2qrg 2quh.2qrf+7s4!+2quh.2qrh 2quh.2qrf+7s4!+2quh.2qri 2quh.2qrf+7s4!+2quh.2qrj 2quh.2qrg+7s4!+2quh.2qrf 2quh.2qrg+7s4!+2quh.2qrg 2quh.2qrg+7s4!+2quh.2qrh 2quh.2qrg+7s4!+2quh.2qri 2quh.2qrg+7s4!+2quh.2qrj 2quh.2qrh+7s4!+2quh.2qrf 2quh.2qrh+7s4!+2quh.2qrg 2quh.2qrh+7s4!+2quh.2qrh 2quh.2qrh+7s4!+2quh.2qri 2quh.2qrh+7s4!+2quh.2qrj 2quh.2qri+7s4!+2quh.2qrf 2quh.2qri+7s4!+2quh.2qrg 2quh.2qri+7s4!+2quh.2qrh 2quh.2qri+7s4!+2quh.2qri 2quh.2qri+7s4!+2quh.2qrj 2quh.2qrj+7s4!+2quh.2qrf 2quh.2qrj+7s4!+2quh.2qrg 2quh.2qrj+7s4!+2quh.2qrh 2quh.2qrj+7s4!+2quh.2qri 2quh.2qrj+7s4!+2quh.2qrj 2qug+2quh+2que 2qug+2quh+2quf 2qug+2quh+2quf+2que 2qug+2quh+2que+2que 2qug+2quh+2quf+2quf 2qug+2qug+2que 2qug+2qug+2quf 2qug+2qug+2quf+2que 2qug+2qug+2que+2que 2qug+2qug+2quf+2quf 2quh+2quh+2que 2quh+2quh+2quf 2quh+2quh+2quf+2que 2quh+2quh+2que+2que 2quh+2quh+2quf+2quf 2qug+2que 2qug+2que+2que 2qug+2quf 2qug+2quf+2que 2qug+2quf+2quf 2quh+2que 2quh+2que+2que 2quh+2quf 2quh+2quf+2que 2quh+2quf+2quf 2r4z! 2quc 2qud 2s3m 2qui 2rwx+2rwx+2rwy 2rwx+2rwx+2rwy+2rwy 2rwx+2rwy 2rwx+2rwy+2rwy 2qub 2s3q 2qt1 2qs2 2rv1 2rvr 2qt2 2qs5 2rvy 2qs5+2rwa 2qsp 2qt6 2ruy 2rvh 2qsx 2qrs 2qrs+8ij 2rup 2qsv 2qrp 2qrq 2qt0 2s3y 2s3z 2qry 2rus 2rv7 2rv0 2rvw 2qsu 2qrm 2qrn 2qro 2qt3 2qs6 2qs7 2qt9 2qrz 2qs1 2qs0 2qsq 2qsr 2rvd 2rv6 2qs8 2rvn 2rv3 2rvf 2qst 2qrl 2qrk 2qt5 2qsw 2qrr 2qtb! 2rvv 2rv8 2ruv 2qt7 2qt7+7r8! 2qso 2qt8 2rvp 2rvq 2rvs 2rvc 2rvl 2qta 2rur 2qs4 2qs3 2qsj 2qsk 2qsl 2qsm 2qsn 2r0q! 2rut 2ruu 2rvm 2rux 2rvo 2s3a 2rvt 2rve 2rvg 2s3h 2qsm+8ij 2s3j 2qsm+2qzp 2qt4 2qru 2qsi 2rv2 2qrx 2qsy 2qrt 2rv9 2rva 2qsz 2qrv 2qss 2s3x 2rvx 2qsf 2qsg 2qsh 2ruw 2qs9 2qsa 2s3c 2s3g 2ruo 2rvi 2rv4 2rv5 2rvu 2qrw 2ruz 2qsb 2qsc 2qsd 2s36 2qse 2rvb 2s37 2r1z! 2r20! 2ruq 2rvj 2s34 2s35 2rvk 2qvk 2qm0 2qwe 2s3b 2qr9! 2qm1 2rsw 2qm2 2qm3 2qm4 2qlz 2s3f 2qlt 2s38 2qlu 2qlv 2qlw 2qlx 2qm6 2qm7 7iw! 2qm8 2qm9 2qma 2qmb 2s3d 2s3e 2qmc 2s3i 2qmf 2qmg 2qmh 2qmi 2qmj 2qmj+2rjd 2qmk 2qml 2ru5 2qmm 2qmn 2qmo 2qmp 2qmq 2qmr 2s40 2rtp 2qmd 2s42 2rtx 2rtd 2qme 2rtg 2rth 2qm5 2qly! 2s41 2rte 2ru4 2rty 2rwk 2rwl 2rto 2s48 2qls 2s4a 2s4b 2qmc+2rjf 2s4c 2qn2 2rtc 2rti 2s43 2ru0 2ru7 2rtq 2rwn 2rwg 2qmu 2qmv 2ru1 2rtf 2qms 2qn3 2qmt 2qlp 2ru2 2qlq 2qlr 2s44 2rtl 2rwm 2rtm 2qnn 2rtk 2qnm 2s45 2rtv 2rtj 2qnz 2rwo 2rwi 2ru3 2qnl 2qmw 2qmx 2qmy 2qmz 2qn0 2qn1 2qn4 2qn6 2qn7 2qn8 2qn9 2ru6 2qn5 2rtr 2rts 2rtt 2qna 2qnb 2qnc 2qnd 2qne 2qo2 2qnk 2rwh 2rtz 2qnf 2qng 2qnh 2qni 2qnj 2qnw 2rtn 7it 2s46 2qnp 2qnq 2qny 2qnr 2qns 2qnt 2qnu 2qnv 2rsy 2rsz 2s47 2rtw 2rwr 2rwj 2rwp 2rwq 2rtu 2qnx! 2qno 2rt0 2qzu 2s49 2qre 2qkt 2qku 2qkv 2qkw 2r5m! 2r5q 2rxp 2qqc! 7ow! 2rbs 2qkr 2r5n 2qqd! 2qqe! 2qqk! 2qql! 2qqm! 2qqn! 2qqj! 2qqf! 2rxt 2s2w 2s39 2rbq 2qqg! 2qqi! 2qqo 2qqp 2qqq 2qqr 2qqs 2qqt 2qqu 2qqw 2qqx 2qqy 2qqz 2qr0 2qr1 2qr3 2qr4 2qvm 2r5o 2r5p 7oq 2r0s 2rbp 2r0t 7op! 2r0r 7oy 7p6 2qkh 2qkj 2qqh! 2qkk 2qkl 2qkm 2qkn 2qkp 7l4! 2qow 2rbx 2qox 2qoy 2qvc 2qp6 2r9e 2r9f 2r9g 2r9h 2r9i 2r9j 2r9k 2r9l 2r9m 2ra5 2ra6 2r9n 2r9o 2r9p 2r9q 2r9s 2r9t 2r9u 2r9v 2r9w 2r9x 2r9y 2r9z 2ra0 2ra1 2rcr 2ra2 2ra3 2ra4 2qq6! 2qq5! 2rcl 2rwd 2rwc 2rcq 2raq 2rck 2rcp 2rcs 2r9r 2rc3! 2rc4! 2rc2! 7p9 2rby 2rag 2rad 2rae 2rbl 2raf 7mb 2rbz 7p1 2rcm 2rac 2rcj! 7p0! 2rc5! 2raa 7pk! 2rc9! 2rcb 2rcc 2s1u 2qwq 2r9d 2ra7 2ra8 2ra9 2rcg! 2r9c 2rco 2rbi! 2rxv 6xn 73n 6xm 73k 73l! 73m! 2r1s! 2r17 2r1j 2r0w 2r18 2r0x 2r19 2r0y 2r1a 2r0z 2r1b 2r10 2r1c 2r11 2r1d 2r12 2r1e 2r13 2r1f 2r14 2r1g 2r15 2r1h 2r16 2r1i 2qkx 2qky 2qkz 2ql0 2ql1 2ql2 2ql3 2ql4 2ql5 2ql6 2ql7 2ql8 2qld! 7i8! 2ql9 2qla 2s28 8k0 2qlb 2qlc 2qks 7i9! 7np 7ns! 2qlg! 2qlh! 2qli! 2qlj! 2qlk! 2qll! 2qlm! 2qln! 2qlo! 2qkg 2qko 2qki 7ia! 7is 7ox! 7mp 7r8! 7ib! 7no 7ic! 2qzp 2qw7 2qkq 2qo3 2qo4 2qo6 2qo7 2rxk 7qg 2qo8 2qo9 2qoa 2qob 2qod 2qoe 2qof 2qog 2qoh 2rxj 2qo0 2qo1 2qon! 2qov! 2qp7 2qom! 2qpy 2qpx 2rt3 2rt4 2rt5 7nh 7ni 2rta 2qps 2qq8 2qq0 2qq1 2qpq 2rtb 2qpf 2qq7 2qq9 2qqa 2rt9 2qqb 2qrc 2rt6 2rt7 2rt1 7oz 7p4! 2qoz 2rsv 2qpp 2qpr 2rcn 2rt8 2qpb 2s1s 2s1t 2qzv 2qpd 2qzy 2s1w 2qpa 2r21! 2qpc 2qpe 2rxl 2ry0 2s1x 2s2x 2s1y 7kw! 7l1! 7l2! 7kz! 7kv! 2q4v 2pz8 2qpg 2qp9 2r3w! 2qp4 2rxx 2s2p 2rxy 2s2q 2qtv 2r1y! 2rul 2ruk 2rwa 2qtw 2qtx 2qty 2rxf 2rxg 2rxh 2rxi 2qtz 2qu0 2ruj 2s1d 2s1e 2s1f 2qu1 2qu2 2s31 2qu3 2qu4 2qu5 2rbh! 2qoi 2s1g 2qu6 2qu7 2rum 2run 2qu8 2qu9 2s1c 2qua 2s32 2qtt 2qtu 2qp5 2qoj 2rxe 2s2e 7o1! 2qyn 2qv8 2qvh 2qvi 2qyv 2qyw 2qyx 2qyy 2qxu 2qxv 2qy7 2qz8 2qz9 2qpo 2qph 2qpi 2qop! 2qoq! 2qor! 2qp0 2qp3 2qyj 2qpj 2qpm 2s22 2s2f 2qpk 2qpl 2qpn 2s2d 2rsx 2s2g 2s1z 2s20 2s21 2qy9 2qya 7im! 2qxq 2qxr 2qxs 2qyz 2s2z 2qz0 2qwr 2r39! 2r3c! 6y0! 2r3l! 2r3m! 2qwt 2qwu 2qwv 2qww 2rxq 2qp1 2qou! 2qyl! 2qp8 2qyi 2qyf 2qyg 2qyh 2qyk 2qz1 2qz2 2r1r! 2qw1 2qzq 2qr2 2s2c 2qxg 2qxh 2qxi 2qxj 2qxk 2qxl 2qxm 2qxf 2qxe 2qwz 2qxo 2qx0 2qy8 2r4u! 2qxd 2qza 2qrb! 2s2h 2qwg 2s26 2qwk 2qwl 2qwm 2qwn 2qwo 2qwj 2ry6 2qwp 7pl! 2qxz 2qy0 2qy1 2qxw 2qxx 2qxy 2qy3 2qy2 2qy4 2qy5 2qy6 2r5f! 7pr! 7pu! 2r2j! 2r2i! 2r2k! 2r2l! 2qxp 2qws 2qwx 2qwy 2r42! 2qx1 2qx2 2r4i! 2r4j! 2qx3 2qx4 2qx5 2qx6 2qx7 2qx8 2qx9 2qxa 2r2f! 2qxb 2qxc 7pe! 2r43! 2r44! 2r4h! 2qz6 2qz7 2qz3 2qz4 2qz5 2r4t! 2qzs 2s2b 7nz! 7ma! 2rc0! 2r4x! 7mc! 2qw3 2s1v 2qrd 2rc1! 2s2i 2qzr 2s2j 2qzt 7mh! 2r4s! 7me! 2rvz 2qzb 7o3!+2qw5 7o3! 2s2l 2rxs 2rxu 2s2k 2s27 7mf! 2rxm 2rxn 2rxo 2qzw 2qzx 2qxt 2qvd 2s1k 2qve 2s1l 2s1o 2s1m 2s1n 2rai 2rbr 2s2m 2s2n 2rbj! 2rbf! 2s29 2rb1 2s2o 2rb3 2rb5 2s2s 2s2a 2rxw 2rxz 2ry1 2ry2 2ry3 2s2r 2ry4 2s4n 2s2t 2ry5 2rxr 2rbm 2rak 7n4! 2s2u 7n5! 2ry7 2s30 2r5r 2s2v 2s2y 2qqv 2ram 2rao 7lr 2rax 2ray 2raz 2rb0 2rb2 2rb6 2rb7 2rb8 2rb9 7mo! 2raw 7o4 2raj 2rar 2ral 2ran 2rap 2rav 2qyd 2qzi 7j6! 7j7! 8hy! 6mv! 7tt! 6mw! 8hz! 6mx! 8hx! 6mu! 6mt! 6ms! 6nd! 6ne! 850! 851! 2qyr 2qys 2qzd 2qze 2qzf 2qzg 2qzh 2rbk 7mj! 2r0p! 7q9! 7js! 7jj! 7q5! 7ja! 7je! 7ji! 2r0u 2qzz 2s33 7k8 7k9 7ka 7kb 7kc 7kd 7ke 7kf 7kg 7kh 7ki 7kj 7ny 2qyo 2qyp 2qyq 7g6! 73d 73h! 73j! 7gg! 73e 73i! 2r0c 73f 2r0d 73g 73s! 73t! 73u! 72n! 2qp2 2qyt 2qyu 2qye 2rbw 2qyb 2qyc 7k0! 7k2! 7mv! 7py! 7th 7ti 7tj 2rjk 7lq! 6d8! 6dl! 7rn 7ro 7rp 7rr 9io! 2qwh 2qwi 7md! 7ln! 7mk! 2r01 2qxn 2r00 8k5 7ph 7ip! 7pw! 7rg 7ri 7u8 7un 9j1! 7qr! 7qs! 7rb! 4p! 4u! 6jm! 2s4f z!.6hv 16!.6hv 1c!.6hv 1d!.6hv 1e!.6hv 1f!.6hv 1g!.6hv 1h!.6hv 1i!.6hv 1j!.6hv 1k!.6hv 1l!.6hv 2qzj 2qzk 2qzl 2qzm 2qzn 2qzo 2q9c! 2qa6 2q9d! 2qa9 2qaa 2qab 6k9! 2qac 79e! 2qad 2qae 2q9q! 2qaf 2q9r! 2qag 2qah 2qai 2qdd 2qde! 2qev! 2qeu 2qen 2qfk 2qex 2qe2 2qeq 2qfl 2qew 2qes 2qer 9zr! 9zt! 2qey 2qet 2r04 2rj4 2rj5 2rj6 2r05 2rj7 2rj8 7mz 7my 2rj9 2rjb 2rjc 2rjd 2rja 2rje 2rjf 8ij 8ik 7i4! 7i3! 7i6 7i5 7fu! 7fv! 2r06 2r07 2r08 2r09 2r0a 2r0b 2qw0 2qzc 2r03 2r02 2qpt 2rah 2qoc 2qr8 2qr7! 2qr7!+2qko 2qr7!+7mv! 2qr8+7j4! 2qcm.2qco 2qcm.2qcp 2qcm.2qcq 2qcm.2qcr 2qcm.2qcs 2qcm.2qcu 2qcm.2qcx 2qcm.2qcy 2qcm.2qd0 2qcm.2qd2 2qcm.2qd3 2qcm.2qd4 2qcm.2qd5 2qcm.2qd6 2qcm.2qd8 2qcm.2qd9 2qcm.2qdb 2qcn.2qcm 2qcn.2qcn 2qcn.2qcp 2qcn.2qcq 2qcn.2qcr 2qcn.2qcs 2qcn.2qct 2qcn.2qcu 2qcn.2qcv 2qcn.2qcx 2qcn.2qcy 2qcn.2qcz 2qcn.2qd0 2qcn.2qd2 2qcn.2qd3 2qcn.2qd4 2qcn.2qd5 2qcn.2qd7 2qcn.2qd8 2qcn.2qda 2qcn.2qdb 2qco.2qcm 2qco.2qco 2qco.2qcp 2qco.2qcr 2qco.2qcs 2qco.2qct 2qco.2qcu 2qco.2qcw 2qco.2qcx 2qco.2qcy 2qco.2qcz 2qco.2qd0 2qco.2qd1 2qco.2qd2 2qco.2qd3 2qco.2qd6 2qco.2qd7 2qco.2qd8 2qco.2qd9 2qco.2qda 2qco.2qdb 2qcp.2qcq 2qcp.2qcs 2qcp.2qcv 2qcp.2qcw 2qcp.2qcy 2qcp.2qd0 2qcp.2qdb 2qcq.2qcm 2qcq.2qco 2qcq.2qcq 2qcq.2qcs 2qcq.2qct 2qcq.2qd3 2qcq.2qd4 2qcq.2qd5 2qcq.2qd6 2qcr.2qcu 2qcr.2qcv 2qcr.2qcw 2qcr.2qcy 2qcr.2qd0 2qcr.2qd3 2qcs.2qcm 2qcs.2qcn 2qcs.2qcp 2qcs.2qcq 2qcs.2qcr 2qcs.2qcs 2qcs.2qct 2qcs.2qcu 2qcs.2qcx 2qcs.2qcy 2qcs.2qcz 2qcs.2qd1 2qcs.2qd2 2qcs.2qd3 2qcs.2qd4 2qcs.2qd5 2qcs.2qd6 2qcs.2qd8 2qcs.2qda 2qct.2qcw 2qct.2qcy 2qct.2qcz 2qct.2qd3 2qct.2qd5 2qct.2qd6 2qcu.2qco 2qcu.2qcp 2qcu.2qcq 2qcu.2qcx 2qcu.2qcy 2qcu.2qcz 2qcu.2qd0 2qcu.2qd2 2qcu.2qd3 2qcu.2qd4 2qcu.2qd5 2qcv.2qcq 2qcv.2qcy 2qcv.2qd0 2qcv.2qd1 2qcw.2qcq 2qcw.2qcs 2qcw.2qct 2qcw.2qcu 2qcw.2qcy 2qcw.2qcz 2qcw.2qd1 2qcw.2qd3 2qcw.2qd8 2qcw.2qda 2qcw.2qdb 2qcx.2qcm 2qcx.2qcn 2qcx.2qco 2qcx.2qcu 2qcx.2qcw 2qcx.2qd3 2qcx.2qd4 2qcx.2qd5 2qcx.2qd6 2qcx.2qd7 2qcx.2qda 2qcy.2qcm 2qcy.2qco 2qcy.2qcp 2qcy.2qcq 2qcy.2qcr 2qcy.2qcs 2qcy.2qct 2qcy.2qcw 2qcy.2qcx 2qcy.2qcy 2qcy.2qcz 2qcy.2qd0 2qcy.2qd1 2qcy.2qd2 2qcy.2qd3 2qcy.2qd4 2qcy.2qd5 2qcy.2qd6 2qcy.2qd7 2qcy.2qd8 2qcy.2qd9 2qcy.2qda 2qcy.2qdb 2qcz.2qcm 2qcz.2qco 2qcz.2qcq 2qcz.2qcr 2qcz.2qcs 2qcz.2qcu 2qcz.2qcx 2qcz.2qd0 2qcz.2qd1 2qcz.2qd3 2qcz.2qd6 2qcz.2qdb 2qd0.2qcy 2qd1.2qcm 2qd1.2qcq 2qd1.2qcr 2qd1.2qcs 2qd1.2qct 2qd1.2qcw 2qd1.2qcx 2qd1.2qcy 2qd1.2qcz 2qd1.2qd3 2qd1.2qd4 2qd1.2qd5 2qd1.2qd8 2qd1.2qda 2qd2.2qcm 2qd3.2qcq 2qd3.2qd0 2qd3.2qd4 2qd3.2qd6 2qd3.2qd8 2qd4.2qcm 2qd4.2qcn 2qd4.2qco 2qd4.2qcp 2qd4.2qcq 2qd4.2qcs 2qd4.2qct 2qd4.2qcu 2qd4.2qcv 2qd4.2qcw 2qd4.2qcx 2qd4.2qcy 2qd4.2qcz 2qd4.2qd0 2qd4.2qd3 2qd4.2qd4 2qd4.2qd5 2qd4.2qd7 2qd4.2qd9 2qd4.2qda 2qd4.2qdb 2qd5.2qcm 2qd5.2qco 2qd5.2qcp 2qd5.2qcr 2qd5.2qcs 2qd5.2qct 2qd5.2qcv 2qd5.2qcw 2qd5.2qcx 2qd5.2qcy 2qd5.2qcz 2qd5.2qd0 2qd5.2qd3 2qd5.2qd5 2qd5.2qd7 2qd5.2qd8 2qd5.2qdb 2qd6.2qcm 2qd6.2qcs 2qd6.2qcy 2qd6.2qcz 2qd6.2qd4 2qd6.2qda 2qd6.2qdb 2qd7.2qcm 2qd7.2qco 2qd7.2qcq 2qd7.2qcs 2qd7.2qcu 2qd7.2qcz 2qd7.2qd6 2qd8.2qcr 2qd8.2qd4 2qd9.2qcw 2qda.2qcq 2qda.2qd5 2qdb.2qcm 2qdb.2qcy 2qdb.2qd8 2qr8.jo13.jo0y.jo11.jo1a.jo13.jo1r 2qr8.jo13.jo0y.jo1f.jo0z.jo1g.jo1r 2qr8.jo13.jo0y.jo1j.jo18.jo1f.jo1r";
+
+/** 단독으로 쓰인 이모지 구성 요소(피부색, 머리 모양) */
+export const EMOJI_COMPONENTS = "2qrf 2qrg 2qrh 2qri 2qrj 2rw0 2rw1 2rw3 2rw2";
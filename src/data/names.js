@@ -0,0 +1,6 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/UnicodeData.txt
+
+/** 문자 이름 테이블 */
+export const NAMES = {"words":"LETTER HIEROGLYPH EGYPTIAN SIGN SMALL WITH SYLLABLE CAPITAL LATIN ARABIC YI CUNEIFORM CJK SYMBOL MATHEMATICAL IDEOGRAPH COMPATIBILITY DIGIT CHARACTER VOWEL FORM TANGUT CANADIAN SYLLABICS A SIGNWRITING TIMES BAMUM AND ARROW RIGHT SCRIPT BOLD ANATOLIAN LEFT HANGUL NUMBER LINEAR COMBINING LIGATURE GREEK ETHIOPIC MUSICAL CYRILLIC BLOCK OLD ABOVE KHITAN FOR SQUARE MARK ITALIC ONE U NUSHU CIRCLED RADICAL SANS-SERIF DOUBLE FINAL MODIFIER O TWO BLACK TAI E I BELOW THREE DOT WHITE VAI TO B HENTAIGANA LOWER VARIATION PATTERN BRAILLE MIDDLE UPPER BYZANTINE STROKE MYANMAR KATAKANA FOUR ISOLATED OF HEAVY VERTICAL HOOK HALF FIVE KANGXI KIKAKUI MENDE TIBETAN KA BOX INITIAL MEEM HMONG RIGHTWARDS YEH COPTIC FACE CIRCLE ZNAMENNY R CARRIER S PLUS SQUARED UP GEORGIAN LIGHT CHEROKEE DRAWINGS MONGOLIAN DEVANAGARI INDEX EIGHT SIX LEFTWARDS L VOCALIC PHASE-E BAR DOWN SEVEN ALEF LARGE NINE HA MIAO KHMER TILE DUPLOYAN LOW BRACKET TONE PARENTHESIZED THAM GONDI HUNDRED DOTS JONGSEONG DIAGONAL GLAGOLITIC HEBREW HIGH HORIZONTAL TAMIL PA THUMB RA MALAYALAM OVER SIYAQ BALINESE PAHAWH CHOSEONG IDEOGRAPHIC N HAND-FIST MA OPEN HALFWIDTH MEROITIC LA NA CHESS RING TURNED TRIANGLE YA IDEOGRAM PHASE-D TA ALCHEMICAL EQUAL HAH NEUME BRAHMI LONG M SA THOUSAND NUMERIC PUNCTUATION DA DOWNWARDS SINHALA GA HUNGARIAN MEDIUM NORTH TILDE BARB UPWARDS TAG FULLWIDTH G T ZERO JEEM K MEDIAL NEGATIVE V DOMINO TELUGU BA CYPRO-MINOAN D FRAKTUR FRACTION H NUMERAL PHASE-C SIDDHAM BHAIKSUKI DOUBLE-STRUCK NEWA Z AA ARMENIAN BENGALI CENTRE HIRAGANA OR SHARADA JUNGSEONG Y ACUTE CONSONANT OL GUJARATI JAVANESE KANNADA MEDEFAIDRIN ORIYA CURSIVE SOUTH SYRIAC WEST-CREE RUNIC TANGSA ADLAM C KAWI AI CARD NEW PHASE-A REVERSED THAI X P GRANTHA II SOGDIAN CITI LUE MOVEMENT-WALLPLANE SUBJOINED TEN W WARANG CHAM DASIA LAO PLAYING SOYOMBO SAURASHTRA TIRHUTA CIRCUMFLEX JA NGA SINGLE TETRAGRAM AU CA DESERET GURMUKHI HAMZA J LINE SHA TULU-TIGALARI MAYEK MEETEI MODI NOTATION PSILI SEPARATED UU INDIC POINTING GA2 MOVEMENT-FLOORPLANE TRIANGLE-HEADED ARROWHEAD DIAERESIS TOP WA BOPOMOFO MASARAM SHORT LAM LEPCHA STOP F OMEGA TURKIC VIET AKURU ALPHA CHA DIVES INVERTED KHA OSAGE QUADRANT SUNDANESE ZANABAZAR CHAKMA LITTLE NYA NYIAKENG PUACHUE APL FUNCTIONAL GRAVE QUARTER VITHKUQI GARAY KHUDAWADI MAKSURA TELEGRAPH ACCENT KAITHI KHAH KHAROSHTHI LIMBU MACRON MARCHEN NOON ON TAKRI BOTTOM NOT SUBSCRIPT THA AHOM EAST IN KHOJKI LI NANDINAGARI ORNAMENT ARABIAN HARPOON HEXAGRAM ROTATED ANGLE GUNJALA LAGAB PIECE TRIPLE MONOSPACE NKO OXIA SAMARITAN TAIL VARIA COMMA MOUTH OTTOMAN Q STAR DOGRA GREATER-THAN LESS-THAN VA NUN PHA RAI TIFINAGH TYPE WANCHO ANUSVARA GURUNG HAU KHEMA KIRAT AEGEAN BREVE CIN EN INSCRIPTIONAL PAU WEST ASH BATAK ETA GUNU PAHLAVI PHAGS-PA PHASE-B AVESTAN CYPRIOT TTA DDA HITTING IOTA PHASE-F ACROPHONIC ALBANIAN CAUCASIAN CROSS DEGREES DHA FULL OO PERSIAN TEH CLOSED GHA PI ROMAN TODHRI UNIFIED KAF KAYAH MANICHAEAN ROHINGYA SEEN ZA HANIFI THAANA VEDIC CARIAN DISC HEH LE LISU PE TWENTY BHA CHIKI DIAMOND FROM SHAVIAN UPSILON NAG NNA OPERATOR PERISPOMENI YEZIDI ASTERISK EE MTAVRULI PARENTHESIS PHAISTOS SHAN SHE TTHA AIN AT BEH CARON NAGRI NEUTRAL SYLOTI CORNER DDHA FA MAHJONG OE ONAL SECTION SHEEN SUNUWAR THE VIRAMA ALI DASH GALI MRO OUTLINED PERMIC RR ALTERNATE DOTTED MUNDARI ORKHON RETROFLEX SSA WAW DESCENDER HE MU TAH TENU VISARGA WIDE-HEADED YU ARCHAIC BASSA ELBASAN END JHA NABATAEAN NO OSMANYA CURVE EIGHTH MAHAJANI EPSILON FEH HEAD LL MULTANI NINETY POINTED REH STRAIGHT TE YPOGEGRAMMENI AN HI INSTRUMENTAL REJANG VAH WAVE CURLY DANDA EQUALS KNIGHT LU2 QAF RAISED RIGHT-POINTING SIDE ARABIC-INDIC CANDRABINDU FIFTY GLOTTAL HORN NE NI SOMPENG SORA TACK DUG HAND ME SAD SEVENTY STRELA AE HEART INDICATOR LEFT-POINTING PRESENTATION SHIN AFFIX COLON CROSSING DAD DAY DINGBAT HIEROGLYPHIC IGI NU PALMYRENE SHELL VARIANT VERY YO ARAMAIC DIGRAPH EYES EZEN FINGERS HAND-HINGE IMPERIAL RUMI TOTO UGARITIC YENISEI YUS BENT BUGINESE MI MOON OMICRON PARTHIAN QUOTATION THIRTY TSA CEDILLA CONJOINED GAR KISIM5 LLA LOGICAL LYCIAN MANDAIC OGHAM PALATAL PHOENICIAN PSALTER QUESTION SAG TODO UD VESSEL VOCAL ARC CHORASMIAN EPACT KAREN LOOPED PROSGEGRAMMENI RHO SLANTED SUPERSCRIPT CLOCK DAG FORTY GOTHIC HAND-FLAT HO KO LOOP LYDIAN NEO NINDA2 NOTE POINT UP-POINTING URU BETWEEN BU CHE CHI EXCLAMATION FILL GHAIN HATRAN HOUR LAING LU MINUS NUKTA REGIONAL RO SEPARATOR SHAFT SIGMA SMILING SO SUBSET SUPERSET TORTOISE UYGHUR WE WORD EL INTEGRAL KHAMTI MAKASAR NOTEHEAD PHI QUAD STRETCHED THETA TU UNDERBAR ARM ATTIC DAGESH DE EQUILATERAL EXTENDED GI INDEPENDENT KI OVERLAY PERSON PWO SOLIDUS THEH UE WO ZE AB ALTERNATING DISH ELYMAIC QUARTERS RU SI SIBE SPACE TAGALOG ZHA C-SIMPLIFIED CURL DOWN-POINTING GAMMA GAN2 GISH KING KU LEAF MAI MAN MO QA RRA SE SIXTEENTH SU TRIANGULAR WI ANTICLOCKWISE ATTACHED DOTLESS GHE HANUNOO KE MANCHU REVERSE THO TIP ABBREVIATION BUHID CLAN CURVED DAL DELTA DO EM HINGED INSULAR KAKTOVIK LEG LO MAYAN NG QUEEN UNION AB2 ANNOTATION ARCHAION BAD BETA BI DI DU ESH IE INSIDE KUR MEM RED SIDEWAYS TI TICK TONOS TWO-HEADED VE VULGAR AL BLACKFOOT COUNTING FLOOR FORWARD FTHORA GURAGE HAND-ANGLE INTERSECTION KAPPA LENGTH PAP PO RE REST ROD SPOKED STEM TAGBANWA TAU WALL XA ZHE ALEPH ARROWS AVAGRAHA BE BETH CEILING CIRCLES DESCRIPTION DIALYTIKA GU GUD HAND-CIRCLE HEARTS MUSH N-ARY OBLIQUE PSI ROTATION SAYISI SIXTY SOUND SPREAD TAW THIRD TONGUE ALMOST BISHOP CANDRA CAR CIM CLOCKWISE EARTH ER GIMEL IOTIFIED KAPH KOMI MOVEMENT-DIAGONAL OUT PAWN RI ROOK SADHE SAMEKH SHAD SHADE SHESHIG SLASH SUN TAILED TAK4 TSE TWELVE YE ZAIN AS BIG DAMAGED DENTISTRY EIGHTHS EIGHTY EMPTY EQUIVALENT ES HAND-CUP HETH IM KASKAL KOET LAGAR LAMEDH LEFT-FACING MGO NASKAPI OGONEK OM RIGHT-FACING RISING ROC ROTATION-FLOORPLANE ROTATION-WALLPLANE ROUNDED SHU THROUGH TSHA U2 XI YODH AH BIRGA BULLET CAN CHECK CLUBS DIAMONDS EASTERN FARSI FATHA FISH GO HU HUMP KASRA LAMDA NOR NUNUZ NYI RUNNER SARA SHADDA SOFT SPADES TONAL WATER WRIST XIANGQI YERU ZAH ZAYIN ANG BACK BALLOT BINDU CAT CROSSED DASHED DZA ELEMENT ELEVEN ET HYPHEN ICHOS INVERSE JE LOZENGE MARTYRIA MINNAN MON MULTIPLE MULTIPLICATION OVERBAR PADA PALI POVYSHE PRECEDES PRODUCT PU RAYS RESH ROUND RTAGS SHADOWED SHIM SPIRAL SUCCEEDS TWELFTH WIDE WOODS-CREE ZETA ZIGZAG ALIEN AY AYIN BALL BO BY CO DOES E2 EF ENG EZH FE FIFTEEN FLAG HANGZHOU JUSTIFIED KEHEH KHO KRYZHEM LAL LUM MADDA MEASURED MURDA NATTILIK NUBIAN OCLOCK OJIBWAY PRIME SCHWA SEMICOLON SHA3 SHAR2 SNAKE START TEDUNG TELEPHONE UNIT UR2 USH WESTERN Y-CREE YANG YIG ZO ZU AIRPLANE BARRED BELT BESIDE CARET CHO CLICK CLOUD CONTAINING DAMMA EH FI FIGURE FIRE FO HAA HARD JO KIEVAN KIRGHIZ KLYUCHEVAYA KRYUKOVAYA LAK-617 LEK MEN NOSE OCR PAO PHO QUADRUPLE RIBBON ROCKET SALTIRE SHO SIMALUNGUN SIXTEEN SKAMEYTSA STATYA STICK SVARITA TENS TETH TREE TSHEG UNDER UR VERTICALLY WAVY WIDTH WIND WU ZI ALPAPRAANA AM ASH2 ATTAK BEGIN BRACKETED BUR BUT CHINESE CLEF CURRENCY DALETH DOUBLE-LINE DYNAMIC DZ EI EIGHTEEN ESH2 EU EYE FILLER FINGER FLEX GAD GAF GE HAND-HOOK HORA KAK LAK-648 LEFT-STEM LITH LUNATE MAHAAPRAANA MALE MARKER NORMAL NOTCHED PAGE PARALLEL PREFIXED RDEL RECTANGLE RECYCLING SAL SALT SEGMENTED SIMILAR TAB THESPIAN THIRDS TONE-2 TONE-5 TRAVEL-WALLPLANE TWELFTHS VO VOICED YAT YOD APOSTROPHE ASTROLOGICAL BAMBOOS BARREE BLUE BUBBLE CE CENTRED CHARACTERS CHILLU CIEUC CONTAINS CROSSBAR CROSSED-TAIL CRYPTOGRAMMIC DIGRAM DZE EMOJI ENVELOPE FIRST FOURTEEN FRONT FU GAL GESH2 HANDS HHA HORSE IEUNG IMAGE ITERATION KAVYKA KEY LARGEST MARKS METRICAL MONOGRAM NEITHER NINETEEN NYO PEE PEH PINWHEEL RACING REFORMED REPEAT RHA ROBOT SANDHI SECOND SET SEVENTEEN SHU2 SLOAN SUIT SUKUN SURROUND TEXT THEN THIRTEEN TONE-3 UM UN VI VINE YIN ABKHASIAN AD AGOGI AMPERSAND ANO AWAY BACKHAND BUD CHIEUCH COMPRESSED CRESCENTS CUM DIALECT-P DIE DIVISION DODEKATA DRAGON ELLIPSIS ENDING ETH EXTENSION FISHHOOK FRAME-1 FRAME-2 GATE GOAL GREEN HAIR HAND-CLAW HAND-OVAL HIEUH HUB2 ICE JAPANESE JI JOT KHIEUKH KIYEOK LENTICULAR LHA LIMB LIPS LOCATION LOGOGRAM LONSUM MAHAPRANA MFON MIEUM MOUNTAIN MOVEMENT NAGA NAME NIEUN NIZKO NJE NUNAVIK OPPOSING OU OVERLINE PAIRED PHARYNGEAL PHIEUPH PIEUP PROLATIONE QOPH RIEUL RUPEE SASAK SECANT SEGMENT SHEI SIMANSIS SIOS STAFF STATERS SUBGROUP SUBUNIT SVETLAYA TEMPUS TH TH-CREE THAL THIEUTH THORN THOUSANDS TIKEUT TOWARDS TRIGRAM TUAREG TUG2 TURNSTILE UK VEE VRAKHIYA WOMAN ZAPYATAYA ANGLED ARKTIKO BACKSLASH BAN2 BBA BELL BHALE BOARD CHEST DAGGER DIATONIKI DIESIS DIGA DIM DIPLI DOLLAR DUN3 EAR ENCLOSING ENCLOSURE EYEBROWS FALLING FATHATAN FEE FITA FLAT FLYING FOLDER FORWARD-FACING GAN GEMINATION GI4 GIR2 GU2 HAT HEEL INSERT IS JOINER JU KATAKANA-HIRAGANA KATO KET LLLA LUGAL MALO MASH MEASURE MID MILLIONS MOUSE MOVEMENT-HINGE NASALIZED NDA NGO ODD OPENING ORE PLACE PLASTICS POINTER POWERS RAIN ROOT SEE SH SHARP SHIMA SHIP SHOE SHWE SPEAKER SPEECH STANDING TAA TALENTS TALL TALLY TAM TAR TCHEH TEARDROP-SPOKED TEETH TENSE TET THI TIR TONE-4 TRAVEL-FLOORPLANE TSI VOS VU WITHIN WRINKLED YFESIS -A AEN AIR AITON AK ANTIMONY ANUDATTA APPROXIMATELY AV BABY BARLINE BEE BEND BET BLACK-FEATHERED BOOK BOW BRIDGE BROKEN BRUSH BURU BUTTON CHECKER CHEEKS CLOSING CONTACT CONTROL COPPER CORNERS CRESCENT CUPPED DEE DIFFERENTIAL DIGAMMA DIVIDER DOG DRUM DUB DVOECHELNAYA EAT EC ECH EK ELLIPSE ENY EPIGRAPHIC EQUIHOPPER ERIN2 ERROR-BARRED EVEN EXTREMELY FEMALE FLICK FLOWER FROWNING GANGIA GAP GGA GIR3 GLASS GREAT GROMOPOVODNAYA HAL HAR HIP HOLDING HOOKED HORI HOUSE IMPERFECTA INFINITY INPUT IOTATED IZHE IZHITSA JEE JIHVAMULIYA KAI KAN KEN KHEI KHOKHLOM KISS KNIFE KOPPA KU3 KUSHU2 LAK-449 LEIMMA LOGIC LOO LU3 MBA MBAA MID-HEIGHT MUSH3 MYA NAA NABLA NARROW NET NHA NJI NUMERATOR ORANGE OSOKA OTTAVA PALM PARTIAL PEAKS PEN PIRIG POSITION POWER RADI RAE REPA RICE RUSSIAN SAMPI SAN SAR SCISSORS SHARU SHI SHID SHIR SINGLE-LINE SPLIT SQUEEZE STILE SUBSTITUTION SUM SUNG SWASH TATWEEL TEE TERMINAL THAN THREE-D TIE TOO TROEZENIAN TTEH TUR UA UPADHMANIYA URUDA VAV VOLAPUK VRACHY VYSOKO WEIGHT WIGGLY WITHOUT XE YAA YEE YER YN ZAPYATOY ADEG AFRICAN ALAYHE ALL ALLAAHU APLI AQ BAHAR2 BAL BARS BBE BEEH BEHEH BIRD BLACK-LETTER BOMB BREATHY BUILDING BYELORUSSIAN-UKRAINIAN CARIK CASKET CHARIOT CHART CHRIVI CIRCULAR CLUSTER-INITIAL COMMERCIAL COW CUBED CUP CURVING DAMMATAN DELETE DHE DISK DKAR DOACHASHMEE DOCUMENT DOUBLED DYEH DZHA ELAMITE ENN EO ERA EYEGAZE-WALLPLANE EZ FACING FENCE FILE FITZPATRICK FLATTENED FLOURISH FRANKS FREE FROG GAA GEE GESHU GHUNNA GOLUBCHIK GORAZDO GORGON GRINNING GTER GUEH HALF-CIRCLE HENG HIE HOO HOT IDIM IMPERFECTUM INTERROBANG IR IT IU JIL JJA JOINED KAD3 KAL KANA KASRATAN KENTIMATA KEYBOARD KOMBUVA KOO KOREAN KPA KSSA LAA LAME LEFT-HAND LEFT-TO-RIGHT LIGHTNING MAP MARK-1 MARK-2 MECHIK MEDAL MOBILE MONKEY MONSTER MUCH MV MYSLITE NAR NASAL NDOLE NEPOSTOYANNAYA NESTED NGGA NGOEH NJEE NN NNNA NOTES NYEH OA OH OI ONCOMING ORIGINAL OVAL OVERLAPPING OW OY PAD PARAGRAPH PARESTIGMENON PATH PEHEH PENTAGON PER PERCENT PHAR PII PLUTO POLE PON POO PRIZNAK PWA QAR QI QU RAA RANGE REE REPETITION RETURN RIFLE RNOON ROTUNDA RULER SAUCER SCREEN SELECTOR SEMICIRCLE SEMIDIRECT SHAKING SHOULDER SII SIMPLIFIED SMILE SOO STRESS SUBLIMATE SUMMATION SWIRL TALING TCHEHEH TEHEH TELEVISION THAA THEE THESEOS TINY TITLO TONE-1 TRAFFIC TRIDENT TTE TTEHEH TUM TURTLE TWE U-SHAPED UC UIGHUR UMBRELLA VEH VERTEX WAA WALK WAY WOO YAE YAJURVEDIC YELLOW YEN YOT ZEE ZEN AC ACE AG ALAYHI ALTA AMAR AO APPROXIMATE AQUA ARROW-TAIL ARROWHEADS ARSEOS AS-SALAAM ATOMIC AW BAA BAG BALAG BAN BANKNOTE BASE BEAMED BHE BLANK BONE BOTTLE BOWTIE BULUG CAMERA CANCELLATION CANTILLATION CAP CENTRALIZATION CHAR CHEE CHIN CHROMA CHU CI CIL CLUSTER-FINAL COMPONENT COMPUTER CROP CROSSHATCH CROTCH CUATRILLO CUSP DALET DANG DDDA DEGREE DEL DELIMITER DEVICE DEZH DIASTOLI DIGORGON DIN DIRECTION DJE DLA DON DOWNWARD DRAUGHTS DREAMY DYO DZELO EG EGYPTOLOGICAL EIE EKFONITIKON ELECTRIC ENC ENERGY ENT EP ERR EX EXPLOSION EXTRA-HIGH EXTRA-LOW EYEGAZE-FLOORPLANE FAA FEATHER FINGER-POST FIXED-FORM FLOPPY FLORETTE FOOD FOOT FORK FORMAT FOURTH FRAME FROWN GABA GBE GHAN GLOBE GOLD GRASS GROMNAYA GROMOKRYZHEVAYA GUR HAE HAMMER HAND-CURLICUE HEADED HEADSTROKE HEAVEN HEE HELMET HOE HOURGLASS HP HV HYPHEN-MINUS IA IDENTICAL IH IMIN INTEGRATION IRON ISOLATE ISOSCELES J-SIMPLIFIED JACK JHAN JOIN JOKER KAA KANG KAPA KENTIMA KHAR KHI KID KISSING KK KLASMA KM KNUCKLE KPO KRYZH KSI KUL KUT KWAA KWE KWI KYEE LAI LAMBDA LAMED LAS LEE LENGA LENGTHENER LEZH LIP LJE LOCK LONGA LOQ LOST LOTUS LOW-FALLING MAILBOX MARBUTA MBE MBEE MCHU MEAT MEMBER MERCURY MICROCOMPUTER MIDDLE-WELSH MIM MIN MM MONOCULAR MUG MUSIC MWA MWI NAH NASALIZATION NDAA NDE NDU NGAA NGI NIEUN-CIEUC NIEUN-HIEUH NIGHT NIKOLSBURG NOW NTAP NTEUM NWA NYAM NYIS OBOLS OHM OIL OK ONG OOU OP OT OX PAA PALAUNG PAPER PAR PARENTHESES PATAH PEDESTAL PENCIL PENTAGRAM PEPET PERFECTA PHONE PIEUP-SIOS PIG PLA POETRY POLICE POSTAL POT POUND POVODNAYA PROSTAYA PWI QAMATS QE QO QUILL QUILT RAD RAFE RAILWAY RAM RAT RECEIVER REGULUS RELATION REN RIEUL-HIEUH RIEUL-KIYEOK RIEUL-MIEUM RIEUL-PIEUP RIEUL-SIOS RIGHT-HAND RIGHT-SHADOWED RIGHT-TO-LEFT RII ROLLER RUB RUDIMENTA RUM SAA SANYAKA SATANGA SCAN SEBATBEIT SEQUENTIAL SERIFS SGAW SHEE SHHA SHII SHITA SHOGI SHORTHAND SHORTS SHTA SIG4 SILHOUETTE SIN SIXTEENTHS SKEWED SLIGHTLY SLOZHITIE SOUTH-SLAVEY SPIDER SPIRIT SQUARES SQUIGGLE SS SSANGCIEUC SSANGKIYEOK SSANGPIEUP SSANGSIOS SSANGTIKEUT STRIPED SUKU SUR SUU SVASTI SWEAT TAN TESH THIN THUMBS TIGER TIKHAYA TILTING TJE TOGETHER TONE-6 TONE-8 TOOTH TOPBAR TRESVETLAYA TROMIKON TS TSO TSU TTHO TURN TWENTY-FIVE UDATTA UI ULU UMUM UPTURN US VANE VIN WASLA WEE WHEEL WINE WOMANS WYNN XAN XYEEM YAH YERI YIDDISH YOO YOQ YUT YYA ZAL ZATA ZHAR ZHEE ZZA -KHYIL A2 AELA-PILLA ALIF ALLO ALTERNATIVE ANGER ANJI ANSHE ANTENNA APOSTROFOS AR ARISTERA AROUND ASHGAB ASSYRIAN AXE AYB AZU BACK-TILTED BACKSLANTED BALLOON BALLOON-SPOKED BAMBOO BANK BAT BATH BAYANNA BEAVER BEHIND BEI BEN BILABIAL BLACKLETTER BOLT BOWL BRANCH BREATH BRICK BROWN BUBBLES BUKY BUON BUS BZHI CAA CAKE CALENDAR CALL CASTLE CCHE CHASHKA CHEVRON CHICK CHILD CHRISTMAS CHROA CHRONON CLIFF CLOSE CLOTH CLOTHES CLUB CM COASTER COLD COMPLETION COMPOSITION CONCAVE-SIDED CONSTANT CONSTRUCTION CONTAIN CONTOUR COO COUNCIL COVER COVERING CRAB CREDIT CROCUS CRYING CU CUBE CURRENT CUT CWA CWAA CWI DAHAL DANTAJA DAP DAYANNA DDAHAL DDAL DDAYANNA DDO DECIMAL DEER DENE DENTAL DEPARTING DESCENDING DIM2 DIRECT DIVIDE DIVIDED DJERV DJERVI DM DOBRO DRACHMA DRY DUL DUN DWE DZHE DZZE EA EB ELEPHANT ENTRY EPIDAUREAN ETERNITY EV EW EXO EYELASHES FACTOR FAN FANEROSIS FAX FEED FENG FERMATA FIFTH FIFTHS FINGERED FIST FLEURON FLORAL FLUTE FLY FOM FOO FOREHEAD FORMEE FORTY-FIVE FRITU FRONT-TILTED GATHERING GAYANNA GAYANUKITTA GBA GBU GEAR GERESH GESHTIN GGE GHHA GHOST GIM GJE GLAGOLI GO-KART GRACE GRASP GSUM GUM HALANTA HARKLEAN HATAF HERMIONIAN HERU HEXAGON HLI HNA HOLAM HON HORIZONTALLY HUMAN HUNDREDS HWE IB IC ICON INCREASE INDUCTOR INFORMATION ING INI INSERTION INTERLINEAR INVISIBLE IO IQ ISH ISON IY JAYANNA JEGOGAN JEH JNYA JONA JOY KA2 KAD5 KAKO KAPYEOUNMIEUM KAPYEOUNPHIEUPH KAPYEOUNPIEUP KARO KATHAKA KAY KEE KEH KETTI KHE KHUEN KIN KIYEOK-SIOS KKA KNUCKLES KOI KORONIS KRATIMA KUOP KW KWA KXA KYA LAAM LADDER LAKH LAP LAST LAZY LEADER LEATHER LEERAEWA LEFT-SHADED LET LETTERS LH LIMMU LINES LISH LJUDIJE LOVE LUH LUL LWA LY MAA MACHINE MAEM MAEMBA MANDAILING MAPIQ MASK MB MBI MBIT MBO MBOO MBU MEDIEVAL MEE MEEEE MEGA MES MEUT MID-LEVEL MIEUM-PIEUP MIEUM-SIOS MILITARY MINIMA MIRROR MIT MNAS MONOGRAPH MONTH MOO MOOD MOUND MRACHNAYA MULTIMAP MULTISET MUOY MUURDHAJA MWAA MWE N-CREE NASHI NATURAL NDAP NDEE NDI NDO NEE NEN NEWLINE NGGE NGGEN NGGO NGGOO NGGU NGOM NIEUN-SIOS NIEUN-TIKEUT NIM NIN NJAEM NJU NO-BREAK NOO NRA NSHA NSHUT NTEE NUNG NV NWAA NYE NYET NYU NZA OFFICE OLDER ONU OPEN-HEADED OPPOSITION OQ OUTER OVERLAID OVERLAP OXEIA PALOCHKA PAN PANSIOS PANTI PARAGRAPHOS PARAKALESMA PARAKLITIKI PART PARTY PAW PEACE PEDAL PERFECTUM PERPENDICULAR PERSONAL PEUX PHE PICK PICTURE PIEUP-CIEUC PIEUP-SIOS-TIKEUT PIEUP-TIKEUT PING PIP PIWR PLACEHOLDER PLUTA PODCHASHIE POKOJI POLISH POMMEE POP POST POUTING PRAM PRAM-BEI PRAM-BUON PRAM-MUOY PRAM-PII PREGNANT PRISHTHAMATRA PTHAHA PUAE PURPLE PUSHING PUSHPIKA PUSHPIN PUT PWAA PWE QAA QAAF QOF QOO QUO QUU RAMS RAP RATHA RECTANGULAR REDUPLICATION REPEATED REPHA REUX RIEUL-PHIEUPH RIEUL-THIEUTH RIEUL-TIKEUT RIGHT-SHADED RINGS RISH RITSI ROCK ROG ROSETTE RREH RUNNING SAFETY SAM SAT SAW SAYANNA SCHEMA SCHOOL SEAL SEGOL SEMI-VOICED SEMIBREVIS SEMICIRCULAR SEMIMINIMA SEUX SHADED SHCHA SHEEP SHESH SHIELD SHOO SHOQ SHWA SILK SIMA SIOS-CIEUC SIOS-KIYEOK SIOS-PIEUP SIOS-TIKEUT SIXTH SIXTY-FOURTH SKLIRON SKULL SLEEPING SLOVO SNOUT SNOW SNOWFLAKE SNOWMAN SOT SOURCE SPACING SPHERICAL SPOON SQUID SSANGIEUNG SSANGNIEUN SSI SSO SSU ST STEP STIGMA STOCK STONE STOPITSA STRANNO STRATUM STRIKE STROKES STUCK-OUT SUA SUBLINEAR SULFUR SUPRALINEAR SURFACE SUSPENSION SV SWA SWAA SYMBOLS SYNAGMA TAALUJA TABLE TAE TARGET TAV TEARS TENT TENTH TESSERA TETARTOS THII THIRTY-FIVE THIRTY-SECOND THOO THOUGHT THREAD THU THUNDER THWA THWAA TIGHT TIL TIME TLA TLE TLHA TLI TLO TLU TONE-7 TOP-LIGHTED TOUCH TRA TRAIN TRANSPOSITION TREND TRUCK TRUE TSADI TSATA TT TTHAA TTO TVRIDO TWA TWAA TWENTY-TWO TWO-CIRCLE UH UKRAINIAN UKU UUE VAREIA VEDE VERSE VEW VY WAE WAU WAVES WAVING WEO WHEAT WHEELCHAIR WHOLE WON WOOD WORK WRINKLES WUE XEH XW YAGH YAJ YAK YATI YAZH YEO YEORINHIEUH YESIEUNG YESTU YIT YIWN YUQ YWA YWAA YY ZEMLJA ZHI ZHIVETE ZHO ZHU ZQAPHA ZU5 -DZUD -UM A001 A002 A003 A004 A005 A006 A007 A008 A009 A010 A011 A012 A013 A014 A015 A016 A017 A018 A019 A020 A021 A022 A023 A024 A025 A026 A027 A028 A029 A030 A031 A032 A033 A034 A035 A036 A037 A038 A039 A040 A041 A042 A043 A044 A045 A045A A046 A047 A048 A049 A050 A051 A052 A053 A054 A055 A056 A057 A058 A059 A060 A061 A062 A063 A064 A065 A066 A067 A068 A069 A070 A301 A302 A303 A304 A305 A306 A307 A308 A309A A310 A311 A312 A314 A315 A316 A317 A318 A319 A320 A321 A322 A323 A324 A325 A326 A327 A328 A329 A330 A331 A333 A334 A335 A336 A337 A338 A339 A340 A341 A342 A343 A344 A345 A346 A347 A348 A349 A350 A351 A352 A353 A354 A355 A356 A357 A358 A359 A360 A361 A362 A363 A364 A365 A366 A367 A368 A369 A370 A371 A501 A502 A503 A504 A505 A506 A508 A509 A510 A511 A512 A513 A515 A516 A520 A521 A523 A524 A525 A526 A527 A528 A529 A530 AAI AAN AAY ACADEMY ACCOUNT ACKNOWLEDGE ACTIVATE ACTUALLY ADULT AEB AEDA-PILLA AEE AEG AEK AESC AET AEY AKARA AKHMIMIC ALAPH ALEMBIC ALEUT ALFA ALIGNED ALLAAH ALLI ALLIANCE ALVEOLAR AMB ANCHOR ANCORA ANGLICANA ANTARGOMUKHA ANTIMONIATE ANTIRESTRICTION AP APESO APLOUN APODERMA APOSTROFOI APPLE ARAD ARAEA ARCH ARDHAVISARGA ARGI ARGOSYNTHETON ARPEGGIATO ARTS ASCENDING ASHES ASPIRATION ASYMPTOTICALLY ATHAPASCAN ATIU AUE AUTOMOBILE AWX AX AYAH AYN AZ B001 B002 B003 B004 B005 B006 B007 B008 B009 BADGER BAGS BALUDA BASELINE BASHKIR BASSINET BATHTUB BATTERY BBI BBO BBU BBUT BCAD BEAM BEAMS BEAR BEAT BEER BEETLE BENZENE BERBER BEVERAGE BHETH BHO BICYCLIST BINARY BINDI BINDING BINOCULAR BIT BITING BLADE BLENDED BLINK BLOCK-2 BLOCK-3 BLOCK-4 BLOCK-5 BLOCK-6 BLOCK-7 BLOOD BLOSSOM BLOWING BOAR BOAT BODY BOHAIRIC BOO BOOKMARK BOOMERANG BOOSTER BOOT BOTH BOUQUET BRA BRDA BREAD BREVIS BRIGHTNESS BROAD BUFFER BUILDINGS BULLHORN BWA BWEE BWI BZUNG CADUCEUS CAKRA CALYA CAMEL CANCEL CANNON CAPACITOR CARPENTRY CART CAUDATE CAULDRON CAYANNA CAYN CC CD CECAK CEE CENT CENTRELINE CER-WA CH CHAA CHAIR CHAT CHEH CHELYUSTKA CHOREVMA CHRONOU CHURCH CIP CIRCLING CITY CITYSCAPE CLINKING CLUSTER COAT CON CONGRATULATION CONJOINER CONJOINING CONSECUTIVE CONVERGING COOKIE COPRODUCT COPYRIGHT CREAM CRICKET CROSSBONES CROWN CULTIVATION CUOP CURLICUE CWE CWII CWO CWOO CY CYA CYP CYT DAA DAALI DALATH DALDA DAMP DAP-BEI DAP-BUON DAP-MUOY DAP-PII DAP-PRAM DAR DARA3 DARK DARKENING DAT DATE DB DCHE DDAA DDDHA DDE DDHAA DDHO DDI DDU DDUR DEATH DECORATION DECREASE DEI DEMESTVENNY DENOMINATOR DENSE DEPARTURE DESERT DESKTOP DEXIA DEYTEROS DH DHO DIB DIFONIAS DIGRAMMOS DIMINUTION-1 DIODE DIRECTIONAL DIRECTLY DISAPPOINTED DISIMOU DIVINATION DIZZY DJA DOI DOLLS DONG DOO DOOR DOUBLE-LINED DOVE DOWN-FACING DRACHMAS DRAM DRESS DRINK DRIVE DROP-SHADOWED DROPLET DUNG DV DVOECHELNOPOVODNAYA DZEE DZI DZJE DZO DZU DZWE DZZHE EAGLE EARS EARTHLY ECS ED EGG EGY EHCHA EHKA EHPA EHTA EHTSA EIGHTIETHS EIN EJ ELIFI ELY EMBEDDING EMP EMPHASIS ENCLOSURES ENGINE ENT-SHAPED ENTER ENTERPRISE EPENTHETIC ERASE EREN ERIS ESASA ESCAPE ESHE3 ESZ ETERON ETY EURO EUROPEAN EWE EYN EZS FAMILY FATHER FEI FEMININE FIELD FILLED FILM FINANCIAL FLAILING FLAME FLATBREAD FLEXUS FLIP FLUTTERING FOLLOWING FONT FOOTBALL FOOTNOTE FORKED FORTIETH FORTUNE FOUNTAIN FOX FRAME-3 FRENCH FRETBOARD FUE FUNCTION FUR FUSA FWA FWAA FWEE FWI GAETTA-PILLA GAH GAMAL GAME GAPPED GARSHUNI GAY GBEE GBI GBO GBOO GCIG GENERAL GENIKI GEOMETRICALLY GEP GERSHAYIM GESTURE GGI GGO GGOP GGU GGUO GHAA GHAD GHEUAE GHO GIBBOUS GLISSANDO GNYIS GORGI GORTHMIKON GOT GRAM GREATER GREGORIAN GROUND GROUP GRU GUARD GUG GUL GUR7 GV GWA GWE GWEE GWI GYAS GYON HAN HANDLE HASANTA HATE HAVE HBASA HEADSTONE HEART-SHAPED HEI HEN HET HETA HG HHAA HHWA HIGH-REVERSED-9 HIGH-SPEED HII HIN HINGE HIRIQ HIT HIYO HLA HMO HOCKEY HOLE HOLLOW HOLO HOMOTHETIC HORNS HORR HOTEL HTA HUGGING HUN HWAIR HXIT HXOP HXUO HYA HYPHENATION HZ IAN IAUDA ICHIMATOS ID IDENTIFICATION IDEOGRAPH-4E09 IDEOGRAPH-4E8C IDEOGRAPH-6253 IEUNG-KIYEOK IG IJ IJE IKARA IKIR IL ILIMMU INHERENT INHIBIT INNER INTERIOR INTERLACED INTERPOLATION INTERSECTING IP IS-PILLA ISSHAR IX IYEK JAA JADE JAR JAW JAWS JHEH JIIM JJI JJIE JJO JJU JJUT JJY JOO JWA JY KAAF KAB KABA KAD2 KAH KAP KAPYEOUNRIEUL KAPYEOUNSSANGPIEUP KASHMIRI KAYANNA KAZAKH KEEPING KEMPLI KEMPUL KESH2 KEUM KEUX KEYCAP KG KHAA KHAI KHAKASSIAN KHANDA KHANG KHAPH KHHA KHHO KHMU KILLER KINNA KIP KIT KJE KLYUCH KLYUCHENEPOSTOYANNAYA KNIGHT-BISHOP KNIGHT-QUEEN KNIGHT-ROOK KOK KON KONTEVMA KORANIC KOTO KP KPE KPEE KPI KPOO KPU KRYUK KU4 KUN KVA KWEE KWII KWO KWOO L-SHAPED LABIAL LABOR LAE LAK-050 LAK-079 LAK-081 LAKE LAMP LAN LANE LANES LANTANG LARGER LATERAL LATINATE LAULA LAW LAYANNA LCE LEANING LEEEE LEGETOS LELET LENIS LESH LESSER LEU LEVEL LHAA LHI LHO LID LIE LING LINK LIQUID LIRA LITTER LIWN LJ LOCOMOTIVE LOGOTYPE LOM LOOT LOT LOW-9 LOWERED LS LUGGAGE LV LWAA LWE LWI LWII LWO LWOO LYR LZ M001 M002 M003 M004 M005 M006 M007 M008 M009 M010 M011 M012 M013 M014 M015 M016 M017 M018 M019 M020 M021 M022 M023 M024 M025 M026 M027 M028 M029 M030 M031 M032 M033 M034 M035 M036 M037 M038 M039 M040 M041 M042 M043 M044 MADDAH MAE MAESI MAGNIFYING MAH MALAKON MANDARIN MAQ MAR MARK-3 MASH2 MAY MBANYI MBEN MBEUM MC MCHAN MDUN MECHANICAL MEEJ MEET MELON MEM-QOPH MERGE MERKHA MESH MESO METAL MEUN MGBA MHA MICROPHONE MIDLINE MIEE MIEUM-KIYEOK MIEUM-PANSIOS MIG MIIM MILLE MLA MODIFIER-2 MODIFIER-3 MODIFIER-4 MODIFIER-5 MODIFIER-6 MONEY MONOFONIAS MONOGRAMMOS MOP MORTAR MOTHER MOTOR MOVE MPA MUAE MUAN MUCAAD MUSHROOM MVOP MW MWEE MWII MWO MWOO MY NA-2 NA2 NAASIKYAYA NAE NAKAARA NAM NAM2 NANA NAQ NATIONAL NAYANNA NBIE NDAM NDOO NE-2 NECK NEGATED NENOE NEPTUNE NEQUDAA NEST NEWSPAPER NGAS NGE NGEN NGGAAM NGGEE NGGEUAET NGGI NGGUOQ NGHA NGKA NGKUE NGKWAEN NGON NGOP NGOU NIB NIEUN-KIYEOK NIEUN-PANSIOS NII NINE-LIKE NJ NJA NJAEMLI NJAM NJEUX NJO NJOO NJUAE NJUEQ NKAARAE NODE NORTHERN NOTCH NOTEBOOK NOZHKA NSHIEE NSIEE NTAA NTOG NTUU NU11 NUAE NUENG NULL NUT NUTILLU NWE NWI NWII NWO NWOO NY NYAA NYEE NYHA NYIP NYIT NYOP NZUP OAY OCTAGON OEE OEK OIN OKARA OKTO OLIGON OLIVE OMET OMISSION ONE-HUNDRED-AND-SIXTIETH ONN OOE OPEN-CIRCUIT-OUTPUT OPEN-O OPTICAL ORDINAL ORNATE ORTHOGONAL OS OTU OUNCE OV OVERLONG OVERRIDE OVERSTRUCK OYRANISMA PAA-PILLA PAAM PAGES PAKPAK PAMADA PAMPHYLIAN PAMUDPOD PANGOLAT PARA PARALLELOGRAM PARAPHRASE PAREREN PARTNERSHIP PASANGAN PATTY PAYANNA PAYEROK PEDESTRIAN PELASTON PENNANT PENTASEME PEOPLE PEPPER PERCUSSIVE PEREVODKA PERNIN PESH2 PESO PETALLED PHAA PHIEUPH-PIEUP PHILIPPINE PHRASE PHUR PIASMA PIE PIEUP-CHIEUCH PIEUP-HIEUH PIEUP-KIYEOK PIEUP-PHIEUPH PIEUP-SIOS-KIYEOK PIEUP-THIEUTH PILCROW PIN PIPAEMBA PIPAEMGBIEE PISELEH PIT PITCHFORK PLAGIOS PLANCK PLANE PLOPHU PNEUMATA POLI POLLU PORRECTUS POSSESSION POTATO PRECEDE PRECEDING PREPONDERANCE PRINT PRINTER PROLONGED PROPELLER PROPORTION PROTOS PSIFISTON PUE PUP PWEE PWII PWOO PYT QAI QATAN QII QITSA QOT QUA QUE QUI QUINDICESIMA QUOTE QUV QWE QWEE QWI R-CREE RA-2 RABBIT RACQUET RADIO RAISING RANA RAY RBASA RDO REACH READING RECORD RECTILINEAR RELAXED RELIEVED REPLACEMENT RERENGGAN RESISTOR RESOURCE RESPONSE RESTRICTED REU REVOLVING RGYA RGYAN RGYINGS RIEE RIEUL-KAPYEOUNPIEUP RIEUL-KHIEUKH RIEUL-KIYEOK-SIOS RIEUL-NIEUN RIEUL-PANSIOS RIEUL-PIEUP-SIOS RIEUL-SSANGKIYEOK RIEUL-YEORINHIEUH RIKRIK RIPPLE RJE RNAM RNYING ROLLING ROMANIAN ROO ROTATIONS RRE RRO RUMAI RWA RWAA RY S-SHAPED SA-2 SADE SAFHA SAH SAKTA SALLA SALLALLAHOU SALTILLO SAMBA SANDAL SANSKRIT SAP SARI SATELLITE SAY SCANDICUS SCOOTER SCOTS SEGNO SEH SEISMA SELF SEMISOFT SEMIVOWEL SEMKATH SERIF SESAME SEXTANT-1 SEXTANT-12 SEXTANT-123 SEXTANT-1234 SEXTANT-12345 SEXTANT-12346 SEXTANT-1235 SEXTANT-12356 SEXTANT-1236 SEXTANT-124 SEXTANT-1245 SEXTANT-12456 SEXTANT-1246 SEXTANT-125 SEXTANT-1256 SEXTANT-126 SEXTANT-13 SEXTANT-134 SEXTANT-1345 SEXTANT-13456 SEXTANT-1346 SEXTANT-1356 SEXTANT-136 SEXTANT-14 SEXTANT-145 SEXTANT-1456 SEXTANT-146 SEXTANT-15 SEXTANT-156 SEXTANT-16 SEXTANT-2 SEXTANT-23 SEXTANT-234 SEXTANT-2345 SEXTANT-23456 SEXTANT-2346 SEXTANT-235 SEXTANT-2356 SEXTANT-236 SEXTANT-24 SEXTANT-245 SEXTANT-2456 SEXTANT-25 SEXTANT-256 SEXTANT-26 SEXTANT-3 SEXTANT-34 SEXTANT-345 SEXTANT-3456 SEXTANT-346 SEXTANT-35 SEXTANT-356 SEXTANT-36 SEXTANT-4 SEXTANT-45 SEXTANT-456 SEXTANT-46 SEXTANT-5 SEXTANT-56 SEXTANT-6 SEXTULA SGAB SHA6 SHAA SHANG SHAPES SHAPING SHAT SHELF SHET SHEUX SHIFT SHIQ SHOG SHOP SHOPPING SHOY SHRI SHRII SHRIMP SHTAPIC SHUR SHWAA SHWI SHWII SHWO SHWOO SHY SIG SIGMOID SIGNS SIK2 SIKI SILA3 SIMULTANEOUS SINDHI SINNYIIYHE SIOS-CHIEUCH SIOS-HIEUH SIOS-MIEUM SIOS-NIEUN SIOS-RIEUL SIOS-THIEUTH SIXTHS SIZE SJE SKATE SKI SLICE SLOPING SLOW SLUR SMALLER SMASH SMOKING SOAP SOCIETY SOF SOLDIER SOLID SOM SOROCHYA SOU SOUTHERN SPADE SPARKLE SPARSE SPEAR SPECIAL SPECKLE SPIDERY SPIRITUS SPLAYED SQUAT SQUIRREL SREDNE SSANGHIEUH SSANGRIEUL SSE SSUU STAMPED STANDARD STAVROS STEAM STEPPING STICKING STORE STRONG STUDY SUBJOINER SUBSTITUTE SUCCEED SUCKED SUE SUHUR SUNGLASSES SUNRISE SUPER SUPERVISE SURANG SW SWAPPING SWE SWEET SWI SWII SWO SWOO SYMBOL-1 SYMBOL-11 SYMBOL-12 SYMBOL-13 SYMBOL-14 SYMBOL-17 SYMBOL-18 SYMBOL-19 SYMBOL-2 SYMBOL-23 SYMBOL-24 SYMBOL-4 SYMBOL-5 SYMBOL-50 SYMBOL-51 SYMBOL-52 SYMBOL-53 SYMBOL-54 SYMBOL-7 SYMBOL-8 SYMMETRIC TA-2 TA-ROL TABULATION TAMING TANGENT TANK TANNED TAPE TAT TAXI TAYANNA TC TCHE TE-2 TELEIA TELISHA TELOUS TENNIS TENTACLES TETARTIMORION TETRASEME TETRASIMOU TEUAEN TEUAEQ THEMA THEMATISMOS THERE THERMOMETER THETHE THONG THREE-QUARTER TIGHTLY-CLOSED TIKEUT-CIEUC TIKEUT-KIYEOK TIKEUT-PIEUP TIKEUT-RIEUL TIKEUT-SIOS TIKHY TIRONIAN TIT TITA TIWN TLHE TLHI TLHO TLV TOQ TORCULUS TORSO-WALLPLANE TOT TOTAL TOUCHING TOUCHTONE TRACK TRADITIONAL TRAM TRANSISTOR TRANSMISSION TRAY TREMOLO-1 TREMOLO-2 TREMOLO-3 TRESILLO TRIANGLE-ROUND TRICOLON TRIGRAMMOS TRISEME TRISIMOU TRITIMORION TROKUTASTI TROPICAL TRUNK TSEE TSHE TSHES TSHOOK TSSE TSV TSWE TTAA TTAYANNA TTHE TTHI TTI TTTA TTUDDAAG TUK TUOT TUP TURBAN TWENTIETH TWENTIETHS TWENTY-EIGHTH TWENTY-FOUR TWENTY-ONE TWENTY-THREE TWI TWII TWO-WAY TWOO TXWV TYPE-3 TYPE-4 TYPE-5 TYPE-6 TZ UB UBADAMA UEX UEZ UKARA UNDERLINE UNDERTIE UNIVERSAL UNK UNN UO UP-FACING UPWARD URANUS USED UY UZ3 VAA VAMAGOMUKHA VEND VEP VICTORY VIDA VIDEO VIETNAMESE VINEGAR VISIGOTHIC VIYO VOICING VOO VOU VUR WAITING WALLED WANING WAP WASALLAM WATCH WAW-AYIN-RESH WAX WAXING WC WEARY WEDGE-TAILED WEI WHALE WII WINDOW WINDU WINKING WOLOSO WOOL WRENCH WRITING WULU WUO WV XO XVA XYA XYE YA-YO YAKH YAM YAMAKKAN YAN YAP YAQ YAR YAWN YAY YAZ YEAR YESIEUNG-PANSIOS YESIEUNG-SIOS YFEN YHE YIE YO-I YO-YA YO-YAE YOGH YPOKRISIS YR YU-I YU-YE YU-YEO YUDH YUJ YUM YUOP YUWOQ YV YWE YWI YWII YWO YWOO ZA7 ZAA ZADERZHKA ZAKRYTAYA ZAQEF ZAYN ZEMLYA ZHWE ZIB ZIDA ZIZ2 ZJE ZLA ZLAMA ZOO ZOT ZUP ZUR ZY ZZE ZZI ZZIET ZZO ZZU -CHAL -CHAR -KHYUD -PHRU A-1 A-2 A-3 A-EU A-O A-U A-WO A005A A006A A006B A010A A014A A017A A026A A028B A032A A039A A040A A041A A042A A043A A046A A046B A066A A066B A066C A071 A072 A073 A074 A075 A076 A077 A078 A079 A080 A081 A082 A083 A084 A085 A086 A087 A088 A089 A090 A091 A092 A093 A094 A095 A096 A097 A097A A098 A098A A099 A100 A100-102 A100A A101 A101A A102 A102A A103 A104 A104A A104B A104C A105 A105A A105B A106 A107 A107A A107B A107C A108 A109 A110 A110A A110B A111 A112 A113 A114 A115 A115A A116 A117 A118 A119 A120 A120B A121 A122 A123 A124 A125 A125A A126 A127 A128 A129 A130 A131 A131C A132 A133 A134 A135 A135A A136 A137 A138 A139 A140 A141 A142 A143 A144 A145 A146 A147 A148 A149 A150 A151 A152 A153 A154 A155 A156 A157 A158 A159 A160 A161 A162 A163 A164 A165 A166 A167 A168 A169 A170 A171 A172 A173 A174 A175 A176 A177 A178 A179 A180 A181 A182 A183 A184 A185 A186 A187 A188 A189 A190 A191 A192 A193 A194 A195 A196 A197 A198 A199 A200 A201 A202 A202A A202B A203 A204 A205 A206 A207 A207A A208 A209 A209A A210 A211 A212 A213 A214 A215 A215A A216 A216A A217 A218 A219 A220 A221 A222 A223 A224 A225 A226 A227 A227A A228 A229 A230 A231 A232 A233 A234 A235 A236 A237 A238 A239 A240 A241 A242 A243 A244 A245 A246 A247 A248 A249 A250 A251 A252 A253 A254 A255 A256 A257 A258 A259 A260 A261 A262 A263 A264 A265 A266 A267 A267A A268 A269 A270 A271 A272 A273 A274 A275 A276 A277 A278 A279 A280 A281 A282 A283 A284 A285 A286 A287 A288 A289 A289A A290 A291 A292 A293 A294 A294A A295 A296 A297 A298 A299 A299A A3 A300 A309 A309B A309C A313 A313A A313B A313C A329A A332 A332A A332B A332C A336A A336B A336C A359A A364A A368A A371A A372 A373 A374 A375 A376 A377 A378 A379 A380 A381 A381A A382 A383 A383A A384 A385 A386 A386A A387 A388 A389 A390 A391 A392 A393 A394 A395 A396 A397 A398 A399 A400 A400-VAS A401 A401-VAS A402 A402-VAS A403 A403-VAS A404 A404-VAS A405 A405-VAS A406 A406-VAS A407 A407-VAS A408 A408-VAS A409 A409-VAS A410 A410-VAS A410A A411 A411-VAS A412 A412-VAS A413 A413-VAS A414 A414-VAS A415 A415-VAS A416 A416-VAS A417 A417-VAS A418 A418-VAS A419 A420 A421 A422 A423 A424 A425 A426 A427 A428 A429 A430 A431 A432 A433 A434 A435 A436 A437 A438 A439 A440 A441 A442 A443 A444 A445 A446 A447 A448 A449 A450 A450A A451 A452 A453 A454 A455 A456 A457 A457A A458 A459 A460 A461 A462 A463 A464 A465 A466 A467 A468 A469 A470 A471 A472 A473 A474 A475 A476 A477 A478 A479 A480 A481 A482 A483 A484 A485 A486 A487 A488 A489 A490 A491 A492 A493 A494 A495 A496 A497 A507 A514 A517 A518 A519 A522 A531 A532 A534 A535 A536 A537 A538 A539 A540 A541 A542 A545 A547 A548 A549 A550 A551 A552 A553 A554 A555 A556 A557 A559 A563 A564 A565 A566 A568 A569 A570 A571 A572 A573 A574 A575 A576 A577 A578 A579 A580 A581 A582 A583 A584 A585 A586 A587 A588 A589 A591 A592 A594 A595 A596 A598 A600 A601 A602 A603 A604 A606 A608 A609 A610 A611 A612 A613 A614 A615 A616 A617 A618 A619 A620 A621 A622 A623 A624 A626 A627 A628 A629 A634 A637 A638 A640 A642 A643 A644 A645 A646 A648 A649 A651 A652 A653 A654 A655 A656 A657 A658 A659 A660 A661 A662 A663 A664 A701 A702 A703 A704 A705 A706 A707 A708 A709 A709-2 A709-3 A709-4 A709-6 A710 A711 A712 A713 A714 A715 A717 A726 A732 A800 A801 A802 A803 A804 A805 A806 A807 AA001 AA002 AA003 AA004 AA005 AA006 AA007 AA007A AA007B AA008 AA009 AA010 AA011 AA012 AA013 AA014 AA015 AA016 AA017 AA018 AA019 AA020 AA021 AA022 AA023 AA024 AA025 AA026 AA027 AA028 AA029 AA030 AA031 AA032 AABAAFILI AAJ AAK AAL AAM AANG AAO AARU AAU AAW AAYANNA AAYIN AAZHAAKKU AB001 AB002 AB003 AB004 AB005 AB006 AB007 AB008 AB009 AB010 AB011 AB013 AB016 AB017 AB020 AB021 AB021F AB021M AB022 AB022F AB022M AB023 AB023M AB024 AB026 AB027 AB028 AB029 AB030 AB031 AB034 AB037 AB038 AB039 AB040 AB041 AB044 AB045 AB046 AB047 AB048 AB049 AB050 AB051 AB053 AB054 AB055 AB056 AB057 AB058 AB059 AB060 AB061 AB065 AB066 AB067 AB069 AB070 AB073 AB074 AB076 AB077 AB078 AB079 AB080 AB081 AB082 AB085 AB086 AB087 AB118 AB120 AB122 AB123 AB131A AB131B AB164 AB171 AB180 AB188 AB191 ABACUS ABAFILI ABB ABUNDANCE ABYSMAL ACCENT-STACCATO ACCEPT ACCOMMODATION ACCORDION ACCUMULATION ACUTE-GRAVE-ACUTE ACUTE-MACRON ADAK ADDAK ADDRESS ADDRESSED ADHESIVE ADI ADMETOS ADMISSION ADO ADVANCE ADVANTAGE AED AEEYANNA AEL AENG AER AERIAL AES AESCULAPIUS AEYANNA AFFRICATION AFGHANI AFOREMENTIONED AFSAAQ AFTER AGAIN AGAINST AGE AGGRAVATED AGGRAVATION AGUNG AHAD AHAGGAR AHANG AHH AHSA AHSDA AID AIHVUS AIKARA AILM AINN AINU AIVA AIVILIK AIYANNA AJ AKBAR AKSA AKTIESELSKAB AL-JUZ AL-LAKUNA ALAF ALAN ALARM ALAYHAA ALAYHIM ALAYHIMAA ALAYNAA ALF ALGIZ ALIFU ALKALI ALKALI-2 ALLAH ALLAHOU ALPA ALPAPRANA ALT ALTERNATION ALUM AMALGAM AMALGAMATION AMBA AMBULANCE AMERICAN AMERICAS AMOUNT AMPHORA AMPS AMULET AN-NISF ANAP ANATOMICAL ANATRICHISMA ANDAP ANGED ANGEL ANGKA ANGKHANKHU ANGRY ANGSTROM ANGUISHED ANGULAR ANH ANHAA ANHU ANHUM ANHUMAA ANHUNNA ANIMAL ANKH ANN ANNAAU ANNUITY ANPEA ANSUZ ANT ANTICLOCKWISE-ROTATED ANTIFONIA ANTIKENOKYLISMA ANTIKENOMA ANTIMONY-2 ANUNASIKA ANUSVARAYA ANY AOR AOU APAATO APART APERTURE APIN APODEXIA APOLLON APOTHEMA APOTHES APPHO APPLICATION APPROACH APPROACHES APRIL APUN AQUAFORTIS AQUARIUS AR-RAHEEM AR-RAHMAN AR-RUB ARAEA-A ARAEA-E ARAEA-EO ARAEA-I ARAEA-U ARAEAE ARDHACANDRA ARE AREPA ARGON ARGOTERI ARIES ARKAANU ARKAB ARLAUG ARMOUR ARMS ARMY AROUND-PROFILE AROURA AROUSING ARRAY ARRIVE ARRIVING ARROWHEAD-SHAPED ARSENIC ARTA ARTABE ARTICULATED ARTIST ARUHUA AS-SAJDA AS-SALAATU ASAL2 ASAT ASCENT ASCIA ASH3 ASH9 ASIA-AUSTRALIA ASPER ASPIRATED ASSALLAM ASSERTION ASTERISCUS ASTERISKS ASTERISM ASTONISHED ASTRAEA ASTRONOMICAL ASYURA ASZ ATH-THALATHA ATHARVAVEDIC ATHLETIC ATIKRAMA ATIYA ATMAAU ATNAH ATOM ATT ATTACHING ATTENTION ATTHACAN AUBERGINE AUGMENTATION AUGUST AUNN AURAMAZDAA AURAMAZDAA-2 AURAMAZDAAHA AURIPIGMENT AUSTRAL AUTO AUTOMATED AUTUMN AUYANNA AVA AVAKRAHASANYA AVERAGE AVOCADO AWC AWE AWQ AWZ AYANNA AYER AYIN-DALETH AZZA B005A B010 B011 B012 B013 B014 B015 B016 B017 B018 B019 B020 B021 B022 B023 B024 B025 B026 B027 B028 B029 B030 B031 B032 B033 B034 B036 B037 B038 B039 B040 B041 B042 B043 B044 B045 B046 B047 B048 B049 B050 B051 B052 B053 B054 B055 B056 B057 B058 B059 B060 B061 B062 B063 B064 B065 B066 B067 B068 B069 B070 B071 B072 B073 B074 B075 B076 B077 B078 B079 B080 B081 B082 B083 B085 B086 B087 B089 B090 B091 B100 B102 B104 B105 B105F B105M B106F B106M B107F B107M B108F B108M B109F B109M B120 B121 B122 B123 B125 B127 B128 B130 B131 B132 B133 B135 B140 B141 B142 B145 B146 B150 B151 B152 B153 B154 B155 B156 B157 B158 B159 B160 B161 B162 B163 B164 B165 B166 B167 B168 B169 B170 B171 B172 B173 B174 B176 B177 B178 B179 B180 B181 B182 B183 B184 B185 B189 B190 B191 B200 B201 B202 B203 B204 B205 B206 B207 B208 B209 B210 B211 B212 B213 B214 B215 B216 B217 B218 B219 B220 B221 B222 B225 B226 B227 B228 B229 B230 B231 B232 B233 B234 B236 B240 B241 B242 B243 B245 B246 B247 B248 B249 B250 B251 B252 B253 B254 B255 B256 B257 B258 B259 B305 BA-2 BAARERU BACKSPACE BACON BACTRIAN BADGE BADMINTON BAG3 BAGA BAGEL BAGGAGE BAGUETTE BAH BAHIRGOMUKHA BAHT BAIMAI BAIRKAN BALD BALLET BALLPOINT BANANA BAND BANDAGE BANG BANJO BANTOC BAP BARA2 BARBER BARIYOOSAN BARLEY BARREKH BARRIER BASEBALL BASH BASKET BASKETBALL BATHAMASAT BAU BAWAK BAX BB BBAA BBAP BBAT BBAX BBEE BBEP BBEX BBIE BBIEP BBIET BBIEX BBIP BBIT BBIX BBOP BBOT BBOX BBUO BBUOP BBUOX BBUP BBUR BBURX BBUX BBY BBYP BBYT BBYX BEACH BEADS BEAN BEANS BEARDED BEATING BECAUSE BED BEEHIVE BEETA BEFORE BEGINNER BEGINNING BEITH BELGTHOR BELLHOP BENDE BENTO BEORC BEP BERKANAN BEX BEYYAL BH BHAA BHAM BHATTIPROLU BHEE BHI BHOO BHU BIB BIBLE-CREE BICEPS BICYCLE BICYCLES BIDENTAL BIE BIEP BIET BIEX BIKINI BILLED BILLIARDS BILLIONS BINOVILE BIOHAZARD BIP BIRTHDAY BIRU BISAH BISECTING BISMILLAH BISMUTH BISON BITCOIN BITE BITTER BIX BJARKAN BKA- BLA BLOCK-1358 BLOND BLOW BLOWFISH BLUEBERRIES BOA BOOKS BOOTS BOP BORAX BORAX-2 BORAX-3 BORUTO BORZAYA BORZY BOT BOTTOM-LIGHTED BOTTOM-SHADED BOUNDARY BOWING BOWLING BOXING BOY BOYS BQ BRACE BRACKETS BRAIN BRAKCET BRANCHES BRANCHING BREAKTHROUGH BREAST-FEEDING BREVE-MACRON BRI BRIDE BRIEFCASE BRIEFS BRISTLE BROCCOLI BRONZE BROOM BSDUS BSKA- BSKUR BSTAR BUCKET BUCKLE BUFFALO BUG BULB BULL BULLS BULLSEYE BUMPY BUNG BUNNY BUO BUOP BUOX BUOY BUP BUR2 BURRITO BURX BUSINESS BUSSYERU BUST BUSTS BUTTER BUTTERFLY BUUMISH BUX BWE BXG BYP BYR BYRX BYT BYX C-18 C-39 C001 C002 C002A C002B C002C C003 C004 C005 C006 C007 C008 C009 C010 C010A C011 C012 C013 C014 C015 C016 C017 C018 C019 C020 C021 C022 C023 C024 CAAI CAANG CABBAGE-TREE CABINET CABLEWAY CACTUS CADA CAESURA CAH CAI CAL CALC CALCULATOR CALX CAMNUC CAMPING CANCER CANDLE CANDY CANE CANG CANNED CANOE CAPITULUM CAPO CAPPED CAPRICORN CAPTIVE CAPUT CARDS CARE CARMI CAROUSEL CARP CARRIAGE CARROT CARS CARTRIDGE CARTWHEEL CARYSTIAN CATAWA CAU CAUDA CAUTION CAVE CAX CCA CCAA CCE CCEE CCHA CCHAA CCHEE CCHHA CCHHAA CCHHE CCHHEE CCHHI CCHHO CCHHU CCHI CCHO CCHU CCI CCO CCU CEALC CECEK CEDI CEEB CEEV CEIRT CELEBRATION CELSIUS CELTIC CEN CENTURIAL CEONGCHIEUMCHIEUCH CEONGCHIEUMCIEUC CEONGCHIEUMSIOS CEONGCHIEUMSSANGCIEUC CEONGCHIEUMSSANGSIOS CEP CEREK CEREMONY CERES CEVITU CEX CHAD CHADA CHAINS CHAMILI CHAMILON CHAMKO CHAN CHANG CHANGE CHAP CHAPTER CHATTAWA CHAU CHAVIYANI CHAX CHEEK CHEEM CHEERING CHEESE CHEIKHAN CHEIKHEI CHEINAP CHELAP CHELNU CHEN CHEP CHEQUERED CHERRIES CHERRY CHERY CHESTNUT CHET CHEX CHHA CHHIM CHICKEN CHIEUCH-HIEUH CHIEUCH-KHIEUKH CHIL CHILDREN CHIM CHIME CHING CHINOOK CHIPMUNK CHIRET CHIRON CHITUEUMCHIEUCH CHITUEUMCIEUC CHITUEUMSIOS CHITUEUMSSANGCIEUC CHITUEUMSSANGSIOS CHOA CHOCOLATE CHOE CHOKE CHOP CHOPSTICKS CHOT CHOX CHOY CHRYSANTHEMUM CHULA CHUO CHUOP CHUOT CHUOX CHUP CHUR CHURX CHUX CHWA CHWV CHY CHYP CHYR CHYRX CHYT CHYX CIE CIEP CIET CIEUC-IEUNG CIEUC-PIEUP CIEUC-SSANGPIEUP CIEX CII CINEMA CINNABAR CIRCULATION CIRCUS CIT CITATION CIVILIAN CIX CL CLAIM CLAMSHELL CLAPPER CLAPPING CLASSICAL CLAW CLEAR CLEAVER CLEF-1 CLEF-2 CLIMACUS CLIMBING CLINGING CLIPBOARD CLIVIS CLOSENESS CLOSET CLOSURE CLOVER CLOWN CLUB-SPOKED CM001 CM002 CM004 CM005 CM006 CM007 CM008 CM009 CM010 CM011 CM012 CM012B CM013 CM015 CM017 CM019 CM021 CM023 CM024 CM025 CM026 CM027 CM028 CM029 CM030 CM033 CM034 CM035 CM036 CM037 CM038 CM039 CM040 CM041 CM044 CM046 CM047 CM049 CM050 CM051 CM052 CM053 CM054 CM055 CM056 CM058 CM059 CM060 CM061 CM062 CM063 CM064 CM066 CM067 CM068 CM069 CM070 CM071 CM072 CM073 CM074 CM075 CM075B CM076 CM078 CM079 CM080 CM081 CM082 CM083 CM084 CM085 CM086 CM087 CM088 CM089 CM090 CM091 CM092 CM094 CM095 CM096 CM097 CM098 CM099 CM100 CM101 CM102 CM103 CM104 CM105 CM107 CM108 CM109 CM110 CM112 CM114 CM301 CM302 COA COCKROACH COCKTAIL COCONUT CODA COENG COFFIN COIN COLL COLLISION COLOR COLUMN COMB COMBINATION COMBINED COMET COMING COMMON COMPARE COMPASS COMPLEMENT COMPLETED COMPLIANCE COMPONENT-001 COMPONENT-002 COMPONENT-003 COMPONENT-004 COMPONENT-005 COMPONENT-006 COMPONENT-007 COMPONENT-008 COMPONENT-009 COMPONENT-010 COMPONENT-011 COMPONENT-012 COMPONENT-013 COMPONENT-014 COMPONENT-015 COMPONENT-016 COMPONENT-017 COMPONENT-018 COMPONENT-019 COMPONENT-020 COMPONENT-021 COMPONENT-022 COMPONENT-023 COMPONENT-024 COMPONENT-025 COMPONENT-026 COMPONENT-027 COMPONENT-028 COMPONENT-029 COMPONENT-030 COMPONENT-031 COMPONENT-032 COMPONENT-033 COMPONENT-034 COMPONENT-035 COMPONENT-036 COMPONENT-037 COMPONENT-038 COMPONENT-039 COMPONENT-040 COMPONENT-041 COMPONENT-042 COMPONENT-043 COMPONENT-044 COMPONENT-045 COMPONENT-046 COMPONENT-047 COMPONENT-048 COMPONENT-049 COMPONENT-050 COMPONENT-051 COMPONENT-052 COMPONENT-053 COMPONENT-054 COMPONENT-055 COMPONENT-056 COMPONENT-057 COMPONENT-058 COMPONENT-059 COMPONENT-060 COMPONENT-061 COMPONENT-062 COMPONENT-063 COMPONENT-064 COMPONENT-065 COMPONENT-066 COMPONENT-067 COMPONENT-068 COMPONENT-069 COMPONENT-070 COMPONENT-071 COMPONENT-072 COMPONENT-073 COMPONENT-074 COMPONENT-075 COMPONENT-076 COMPONENT-077 COMPONENT-078 COMPONENT-079 COMPONENT-080 COMPONENT-081 COMPONENT-082 COMPONENT-083 COMPONENT-084 COMPONENT-085 COMPONENT-086 COMPONENT-087 COMPONENT-088 COMPONENT-089 COMPONENT-090 COMPONENT-091 COMPONENT-092 COMPONENT-093 COMPONENT-094 COMPONENT-095 COMPONENT-096 COMPONENT-097 COMPONENT-098 COMPONENT-099 COMPONENT-100 COMPONENT-101 COMPONENT-102 COMPONENT-103 COMPONENT-104 COMPONENT-105 COMPONENT-106 COMPONENT-107 COMPONENT-108 COMPONENT-109 COMPONENT-110 COMPONENT-111 COMPONENT-112 COMPONENT-113 COMPONENT-114 COMPONENT-115 COMPONENT-116 COMPONENT-117 COMPONENT-118 COMPONENT-119 COMPONENT-120 COMPONENT-121 COMPONENT-122 COMPONENT-123 COMPONENT-124 COMPONENT-125 COMPONENT-126 COMPONENT-127 COMPONENT-128 COMPONENT-129 COMPONENT-130 COMPONENT-131 COMPONENT-132 COMPONENT-133 COMPONENT-134 COMPONENT-135 COMPONENT-136 COMPONENT-137 COMPONENT-138 COMPONENT-139 COMPONENT-140 COMPONENT-141 COMPONENT-142 COMPONENT-143 COMPONENT-144 COMPONENT-145 COMPONENT-146 COMPONENT-147 COMPONENT-148 COMPONENT-149 COMPONENT-150 COMPONENT-151 COMPONENT-152 COMPONENT-153 COMPONENT-154 COMPONENT-155 COMPONENT-156 COMPONENT-157 COMPONENT-158 COMPONENT-159 COMPONENT-160 COMPONENT-161 COMPONENT-162 COMPONENT-163 COMPONENT-164 COMPONENT-165 COMPONENT-166 COMPONENT-167 COMPONENT-168 COMPONENT-169 COMPONENT-170 COMPONENT-171 COMPONENT-172 COMPONENT-173 COMPONENT-174 COMPONENT-175 COMPONENT-176 COMPONENT-177 COMPONENT-178 COMPONENT-179 COMPONENT-180 COMPONENT-181 COMPONENT-182 COMPONENT-183 COMPONENT-184 COMPONENT-185 COMPONENT-186 COMPONENT-187 COMPONENT-188 COMPONENT-189 COMPONENT-190 COMPONENT-191 COMPONENT-192 COMPONENT-193 COMPONENT-194 COMPONENT-195 COMPONENT-196 COMPONENT-197 COMPONENT-198 COMPONENT-199 COMPONENT-200 COMPONENT-201 COMPONENT-202 COMPONENT-203 COMPONENT-204 COMPONENT-205 COMPONENT-206 COMPONENT-207 COMPONENT-208 COMPONENT-209 COMPONENT-210 COMPONENT-211 COMPONENT-212 COMPONENT-213 COMPONENT-214 COMPONENT-215 COMPONENT-216 COMPONENT-217 COMPONENT-218 COMPONENT-219 COMPONENT-220 COMPONENT-221 COMPONENT-222 COMPONENT-223 COMPONENT-224 COMPONENT-225 COMPONENT-226 COMPONENT-227 COMPONENT-228 COMPONENT-229 COMPONENT-230 COMPONENT-231 COMPONENT-232 COMPONENT-233 COMPONENT-234 COMPONENT-235 COMPONENT-236 COMPONENT-237 COMPONENT-238 COMPONENT-239 COMPONENT-240 COMPONENT-241 COMPONENT-242 COMPONENT-243 COMPONENT-244 COMPONENT-245 COMPONENT-246 COMPONENT-247 COMPONENT-248 COMPONENT-249 COMPONENT-250 COMPONENT-251 COMPONENT-252 COMPONENT-253 COMPONENT-254 COMPONENT-255 COMPONENT-256 COMPONENT-257 COMPONENT-258 COMPONENT-259 COMPONENT-260 COMPONENT-261 COMPONENT-262 COMPONENT-263 COMPONENT-264 COMPONENT-265 COMPONENT-266 COMPONENT-267 COMPONENT-268 COMPONENT-269 COMPONENT-270 COMPONENT-271 COMPONENT-272 COMPONENT-273 COMPONENT-274 COMPONENT-275 COMPONENT-276 COMPONENT-277 COMPONENT-278 COMPONENT-279 COMPONENT-280 COMPONENT-281 COMPONENT-282 COMPONENT-283 COMPONENT-284 COMPONENT-285 COMPONENT-286 COMPONENT-287 COMPONENT-288 COMPONENT-289 COMPONENT-290 COMPONENT-291 COMPONENT-292 COMPONENT-293 COMPONENT-294 COMPONENT-295 COMPONENT-296 COMPONENT-297 COMPONENT-298 COMPONENT-299 COMPONENT-300 COMPONENT-301 COMPONENT-302 COMPONENT-303 COMPONENT-304 COMPONENT-305 COMPONENT-306 COMPONENT-307 COMPONENT-308 COMPONENT-309 COMPONENT-310 COMPONENT-311 COMPONENT-312 COMPONENT-313 COMPONENT-314 COMPONENT-315 COMPONENT-316 COMPONENT-317 COMPONENT-318 COMPONENT-319 COMPONENT-320 COMPONENT-321 COMPONENT-322 COMPONENT-323 COMPONENT-324 COMPONENT-325 COMPONENT-326 COMPONENT-327 COMPONENT-328 COMPONENT-329 COMPONENT-330 COMPONENT-331 COMPONENT-332 COMPONENT-333 COMPONENT-334 COMPONENT-335 COMPONENT-336 COMPONENT-337 COMPONENT-338 COMPONENT-339 COMPONENT-340 COMPONENT-341 COMPONENT-342 COMPONENT-343 COMPONENT-344 COMPONENT-345 COMPONENT-346 COMPONENT-347 COMPONENT-348 COMPONENT-349 COMPONENT-350 COMPONENT-351 COMPONENT-352 COMPONENT-353 COMPONENT-354 COMPONENT-355 COMPONENT-356 COMPONENT-357 COMPONENT-358 COMPONENT-359 COMPONENT-360 COMPONENT-361 COMPONENT-362 COMPONENT-363 COMPONENT-364 COMPONENT-365 COMPONENT-366 COMPONENT-367 COMPONENT-368 COMPONENT-369 COMPONENT-370 COMPONENT-371 COMPONENT-372 COMPONENT-373 COMPONENT-374 COMPONENT-375 COMPONENT-376 COMPONENT-377 COMPONENT-378 COMPONENT-379 COMPONENT-380 COMPONENT-381 COMPONENT-382 COMPONENT-383 COMPONENT-384 COMPONENT-385 COMPONENT-386 COMPONENT-387 COMPONENT-388 COMPONENT-389 COMPONENT-390 COMPONENT-391 COMPONENT-392 COMPONENT-393 COMPONENT-394 COMPONENT-395 COMPONENT-396 COMPONENT-397 COMPONENT-398 COMPONENT-399 COMPONENT-400 COMPONENT-401 COMPONENT-402 COMPONENT-403 COMPONENT-404 COMPONENT-405 COMPONENT-406 COMPONENT-407 COMPONENT-408 COMPONENT-409 COMPONENT-410 COMPONENT-411 COMPONENT-412 COMPONENT-413 COMPONENT-414 COMPONENT-415 COMPONENT-416 COMPONENT-417 COMPONENT-418 COMPONENT-419 COMPONENT-420 COMPONENT-421 COMPONENT-422 COMPONENT-423 COMPONENT-424 COMPONENT-425 COMPONENT-426 COMPONENT-427 COMPONENT-428 COMPONENT-429 COMPONENT-430 COMPONENT-431 COMPONENT-432 COMPONENT-433 COMPONENT-434 COMPONENT-435 COMPONENT-436 COMPONENT-437 COMPONENT-438 COMPONENT-439 COMPONENT-440 COMPONENT-441 COMPONENT-442 COMPONENT-443 COMPONENT-444 COMPONENT-445 COMPONENT-446 COMPONENT-447 COMPONENT-448 COMPONENT-449 COMPONENT-450 COMPONENT-451 COMPONENT-452 COMPONENT-453 COMPONENT-454 COMPONENT-455 COMPONENT-456 COMPONENT-457 COMPONENT-458 COMPONENT-459 COMPONENT-460 COMPONENT-461 COMPONENT-462 COMPONENT-463 COMPONENT-464 COMPONENT-465 COMPONENT-466 COMPONENT-467 COMPONENT-468 COMPONENT-469 COMPONENT-470 COMPONENT-471 COMPONENT-472 COMPONENT-473 COMPONENT-474 COMPONENT-475 COMPONENT-476 COMPONENT-477 COMPONENT-478 COMPONENT-479 COMPONENT-480 COMPONENT-481 COMPONENT-482 COMPONENT-483 COMPONENT-484 COMPONENT-485 COMPONENT-486 COMPONENT-487 COMPONENT-488 COMPONENT-489 COMPONENT-490 COMPONENT-491 COMPONENT-492 COMPONENT-493 COMPONENT-494 COMPONENT-495 COMPONENT-496 COMPONENT-497 COMPONENT-498 COMPONENT-499 COMPONENT-500 COMPONENT-501 COMPONENT-502 COMPONENT-503 COMPONENT-504 COMPONENT-505 COMPONENT-506 COMPONENT-507 COMPONENT-508 COMPONENT-509 COMPONENT-510 COMPONENT-511 COMPONENT-512 COMPONENT-513 COMPONENT-514 COMPONENT-515 COMPONENT-516 COMPONENT-517 COMPONENT-518 COMPONENT-519 COMPONENT-520 COMPONENT-521 COMPONENT-522 COMPONENT-523 COMPONENT-524 COMPONENT-525 COMPONENT-526 COMPONENT-527 COMPONENT-528 COMPONENT-529 COMPONENT-530 COMPONENT-531 COMPONENT-532 COMPONENT-533 COMPONENT-534 COMPONENT-535 COMPONENT-536 COMPONENT-537 COMPONENT-538 COMPONENT-539 COMPONENT-540 COMPONENT-541 COMPONENT-542 COMPONENT-543 COMPONENT-544 COMPONENT-545 COMPONENT-546 COMPONENT-547 COMPONENT-548 COMPONENT-549 COMPONENT-550 COMPONENT-551 COMPONENT-552 COMPONENT-553 COMPONENT-554 COMPONENT-555 COMPONENT-556 COMPONENT-557 COMPONENT-558 COMPONENT-559 COMPONENT-560 COMPONENT-561 COMPONENT-562 COMPONENT-563 COMPONENT-564 COMPONENT-565 COMPONENT-566 COMPONENT-567 COMPONENT-568 COMPONENT-569 COMPONENT-570 COMPONENT-571 COMPONENT-572 COMPONENT-573 COMPONENT-574 COMPONENT-575 COMPONENT-576 COMPONENT-577 COMPONENT-578 COMPONENT-579 COMPONENT-580 COMPONENT-581 COMPONENT-582 COMPONENT-583 COMPONENT-584 COMPONENT-585 COMPONENT-586 COMPONENT-587 COMPONENT-588 COMPONENT-589 COMPONENT-590 COMPONENT-591 COMPONENT-592 COMPONENT-593 COMPONENT-594 COMPONENT-595 COMPONENT-596 COMPONENT-597 COMPONENT-598 COMPONENT-599 COMPONENT-600 COMPONENT-601 COMPONENT-602 COMPONENT-603 COMPONENT-604 COMPONENT-605 COMPONENT-606 COMPONENT-607 COMPONENT-608 COMPONENT-609 COMPONENT-610 COMPONENT-611 COMPONENT-612 COMPONENT-613 COMPONENT-614 COMPONENT-615 COMPONENT-616 COMPONENT-617 COMPONENT-618 COMPONENT-619 COMPONENT-620 COMPONENT-621 COMPONENT-622 COMPONENT-623 COMPONENT-624 COMPONENT-625 COMPONENT-626 COMPONENT-627 COMPONENT-628 COMPONENT-629 COMPONENT-630 COMPONENT-631 COMPONENT-632 COMPONENT-633 COMPONENT-634 COMPONENT-635 COMPONENT-636 COMPONENT-637 COMPONENT-638 COMPONENT-639 COMPONENT-640 COMPONENT-641 COMPONENT-642 COMPONENT-643 COMPONENT-644 COMPONENT-645 COMPONENT-646 COMPONENT-647 COMPONENT-648 COMPONENT-649 COMPONENT-650 COMPONENT-651 COMPONENT-652 COMPONENT-653 COMPONENT-654 COMPONENT-655 COMPONENT-656 COMPONENT-657 COMPONENT-658 COMPONENT-659 COMPONENT-660 COMPONENT-661 COMPONENT-662 COMPONENT-663 COMPONENT-664 COMPONENT-665 COMPONENT-666 COMPONENT-667 COMPONENT-668 COMPONENT-669 COMPONENT-670 COMPONENT-671 COMPONENT-672 COMPONENT-673 COMPONENT-674 COMPONENT-675 COMPONENT-676 COMPONENT-677 COMPONENT-678 COMPONENT-679 COMPONENT-680 COMPONENT-681 COMPONENT-682 COMPONENT-683 COMPONENT-684 COMPONENT-685 COMPONENT-686 COMPONENT-687 COMPONENT-688 COMPONENT-689 COMPONENT-690 COMPONENT-691 COMPONENT-692 COMPONENT-693 COMPONENT-694 COMPONENT-695 COMPONENT-696 COMPONENT-697 COMPONENT-698 COMPONENT-699 COMPONENT-700 COMPONENT-701 COMPONENT-702 COMPONENT-703 COMPONENT-704 COMPONENT-705 COMPONENT-706 COMPONENT-707 COMPONENT-708 COMPONENT-709 COMPONENT-710 COMPONENT-711 COMPONENT-712 COMPONENT-713 COMPONENT-714 COMPONENT-715 COMPONENT-716 COMPONENT-717 COMPONENT-718 COMPONENT-719 COMPONENT-720 COMPONENT-721 COMPONENT-722 COMPONENT-723 COMPONENT-724 COMPONENT-725 COMPONENT-726 COMPONENT-727 COMPONENT-728 COMPONENT-729 COMPONENT-730 COMPONENT-731 COMPONENT-732 COMPONENT-733 COMPONENT-734 COMPONENT-735 COMPONENT-736 COMPONENT-737 COMPONENT-738 COMPONENT-739 COMPONENT-740 COMPONENT-741 COMPONENT-742 COMPONENT-743 COMPONENT-744 COMPONENT-745 COMPONENT-746 COMPONENT-747 COMPONENT-748 COMPONENT-749 COMPONENT-750 COMPONENT-751 COMPONENT-752 COMPONENT-753 COMPONENT-754 COMPONENT-755 COMPONENT-756 COMPONENT-757 COMPONENT-758 COMPONENT-759 COMPONENT-760 COMPONENT-761 COMPONENT-762 COMPONENT-763 COMPONENT-764 COMPONENT-765 COMPONENT-766 COMPONENT-767 COMPONENT-768 COMPRESSION COMPUTERS CONCAVE-POINTED CONFETTI CONFLICT CONFOUNDED CONFUSED CONGRUENT CONICAL CONJUGATE CONJUNCTION CONSTANCY CONTEMPLATION CONTENTION CONTINUATION CONTINUING CONTINUOUS CONTOURED CONTRACTION CONTRARIETY CONVENIENCE COOKED COOKING COOL COP COPPER-2 COPY COPYLEFT CORAL CORK CORNISH CORONIS CORPORATION CORPSE CORRECT CORRESPONDS COT COUCH COUNTERBORE COUNTERSINK COUPLE COWBOY COX CRACKER CRAYON CREATIVE CRESCENDO CROCODILE CROISSANT CROIX CROUCHING CRUCIBLE CRUCIBLE-2 CRUCIBLE-3 CRUCIBLE-4 CRUCIBLE-5 CRUCIFORM CRUTCH CRUZEIRO CRYSTAL CUAM CUCUMBER CUO CUOX CUPCAKE CUPIDO CUR CURLED CURLING CURRY CURX CUSTARD CUSTOMER CUSTOMS CUX CWEORTH CYAW CYAY CYCLONE CYLINDRICITY CYPERUS CYR CYRENAIC CYRX CYX D001 D002 D003 D004 D005 D006 D007 D008 D008A D009 D010 D011 D012 D013 D014 D015 D016 D017 D018 D019 D020 D021 D022 D023 D024 D025 D026 D027 D027A D028 D029 D030 D031 D031A D032 D033 D034 D034A D035 D036 D037 D038 D039 D040 D041 D042 D043 D044 D045 D046 D046A D047 D048 D048A D049 D050 D050A D050B D050C D050D D050E D050F D050G D050H D050I D051 D052 D052A D053 D054 D054A D055 D056 D057 D058 D059 D060 D061 D062 D063 D064 D065 D066 D067 D067A D067B D067C D067D D067E D067F D067G D067H D2 DAADHU DAASU DAEG DAENG DAG3 DAGALGA DAGAZ DAGBASINNA DAGS DAH DAHYAAUSH DAHYAAUSH-2 DAI DAING DAIR DALAT DALETH-RESH DAM DAMARU DANCER DANCING DANGO DANTAYALAN DARA4 DARGA DART DASEIA DATA DAVID DAVIYANI DAWB DAX DAY-NIGHT DD DDAP DDAT DDAX DDEE DDEP DDEX DDHE DDHEE DDHI DDHU DDIE DDIEP DDIEX DDIP DDIT DDIX DDOA DDOP DDOT DDOX DDUO DDUOP DDUOX DDUP DDURX DDUT DDUX DDWA DEAD DEAF DEBIT DECAYED DECEMBER DECIDUOUS DECISIVENESS DECORATIVE DECRESCENDO DEEL DEEPLY DEFECTIVENESS DEFINITION DEHI DEK DEKA DELETION DELICIOUS DELIVERANCE DELIVERY DELPHIC DELT DENARIUS DENG DENNEN DEP DEPARTMENT DEPTH DERBITSA DERELICT DERET DERET-HIDET DESI DESIGN DESK DEUNG DEVELOPMENT DEVI DEX DEYTEROU DHAA DHAALU DHADHE DHAL DHALATH DHALETH DHAMEDH DHARMA DHEE DHHA DHHE DHHEE DHHI DHHO DHHOO DHHU DHI DHII DHOO DHOU DHU DIAERESIS-RING DIAERESIZED DIAGONALS DIAMETER DIARGON DIATONON DIEP DIESEL DIEX DIFAT DIFFERENCE DIFFICULTIES DIFFICULTY DIFTOGGOS DIGITS DIGRAMMA DIL DIMENSION DIMENSIONAL DIMIDIA DIMINISHMENT DIMINUTION-2 DIMINUTION-3 DIMMING DING DIP DIPLOUN DIPPER DIPTE DIRGA DISABLED DISCONTINUOUS DISGUISED DISPERSION DISPUTED DISSOLVE DISSOLVE-2 DISTILL DISTINGUISH DISTORTION DIT DITTO DIVERGENCE DIVIDERS DIVIDES DIVING DIVORCE DIX DIYA DJ DL DLE DLEE DLHA DLHYA DLI DLO DLU DNA DO-O DOA DODO DOING DOIT DOKMAI DOLIUM DOLPHIN DOMAIN DONGA DONKEY DOONG DOP DOROME DORU DOTS-1 DOTS-12 DOTS-123 DOTS-1234 DOTS-12345 DOTS-123456 DOTS-1234567 DOTS-12345678 DOTS-1234568 DOTS-123457 DOTS-1234578 DOTS-123458 DOTS-12346 DOTS-123467 DOTS-1234678 DOTS-123468 DOTS-12347 DOTS-123478 DOTS-12348 DOTS-1235 DOTS-12356 DOTS-123567 DOTS-1235678 DOTS-123568 DOTS-12357 DOTS-123578 DOTS-12358 DOTS-1236 DOTS-12367 DOTS-123678 DOTS-12368 DOTS-1237 DOTS-12378 DOTS-1238 DOTS-124 DOTS-1245 DOTS-12456 DOTS-124567 DOTS-1245678 DOTS-124568 DOTS-12457 DOTS-124578 DOTS-12458 DOTS-1246 DOTS-12467 DOTS-124678 DOTS-12468 DOTS-1247 DOTS-12478 DOTS-1248 DOTS-125 DOTS-1256 DOTS-12567 DOTS-125678 DOTS-12568 DOTS-1257 DOTS-12578 DOTS-1258 DOTS-126 DOTS-1267 DOTS-12678 DOTS-1268 DOTS-127 DOTS-1278 DOTS-128 DOTS-13 DOTS-134 DOTS-1345 DOTS-13456 DOTS-134567 DOTS-1345678 DOTS-134568 DOTS-13457 DOTS-134578 DOTS-13458 DOTS-1346 DOTS-13467 DOTS-134678 DOTS-13468 DOTS-1347 DOTS-13478 DOTS-1348 DOTS-135 DOTS-1356 DOTS-13567 DOTS-135678 DOTS-13568 DOTS-1357 DOTS-13578 DOTS-1358 DOTS-136 DOTS-1367 DOTS-13678 DOTS-1368 DOTS-137 DOTS-1378 DOTS-138 DOTS-14 DOTS-145 DOTS-1456 DOTS-14567 DOTS-145678 DOTS-14568 DOTS-1457 DOTS-14578 DOTS-1458 DOTS-146 DOTS-1467 DOTS-14678 DOTS-1468 DOTS-147 DOTS-1478 DOTS-148 DOTS-15 DOTS-156 DOTS-1567 DOTS-15678 DOTS-1568 DOTS-157 DOTS-1578 DOTS-158 DOTS-16 DOTS-167 DOTS-1678 DOTS-168 DOTS-17 DOTS-178 DOTS-18 DOTS-2 DOTS-23 DOTS-234 DOTS-2345 DOTS-23456 DOTS-234567 DOTS-2345678 DOTS-234568 DOTS-23457 DOTS-234578 DOTS-23458 DOTS-2346 DOTS-23467 DOTS-234678 DOTS-23468 DOTS-2347 DOTS-23478 DOTS-2348 DOTS-235 DOTS-2356 DOTS-23567 DOTS-235678 DOTS-23568 DOTS-2357 DOTS-23578 DOTS-2358 DOTS-236 DOTS-2367 DOTS-23678 DOTS-2368 DOTS-237 DOTS-2378 DOTS-238 DOTS-24 DOTS-245 DOTS-2456 DOTS-24567 DOTS-245678 DOTS-24568 DOTS-2457 DOTS-24578 DOTS-2458 DOTS-246 DOTS-2467 DOTS-24678 DOTS-2468 DOTS-247 DOTS-2478 DOTS-248 DOTS-25 DOTS-256 DOTS-2567 DOTS-25678 DOTS-2568 DOTS-257 DOTS-2578 DOTS-258 DOTS-26 DOTS-267 DOTS-2678 DOTS-268 DOTS-27 DOTS-278 DOTS-28 DOTS-3 DOTS-34 DOTS-345 DOTS-3456 DOTS-34567 DOTS-345678 DOTS-34568 DOTS-3457 DOTS-34578 DOTS-3458 DOTS-346 DOTS-3467 DOTS-34678 DOTS-3468 DOTS-347 DOTS-3478 DOTS-348 DOTS-35 DOTS-356 DOTS-3567 DOTS-35678 DOTS-3568 DOTS-357 DOTS-3578 DOTS-358 DOTS-36 DOTS-367 DOTS-3678 DOTS-368 DOTS-37 DOTS-378 DOTS-38 DOTS-4 DOTS-45 DOTS-456 DOTS-4567 DOTS-45678 DOTS-4568 DOTS-457 DOTS-4578 DOTS-458 DOTS-46 DOTS-467 DOTS-4678 DOTS-468 DOTS-47 DOTS-478 DOTS-48 DOTS-5 DOTS-56 DOTS-567 DOTS-5678 DOTS-568 DOTS-57 DOTS-578 DOTS-58 DOTS-6 DOTS-67 DOTS-678 DOTS-68 DOTS-7 DOTS-78 DOTS-8 DOTTED-L DOTTED-N DOTTED-P DOUBLE-ENDED DOUBT DOUGHNUT DOWNSCALING DOX DRAFTING DRIL DROMEDARY DROOLING DROP DROPS DRUMSTICKS DUB2 DUCK DUDA DUGUD DUH DUM DUMPLING DUN4 DUO DUOX DUP DUPONDIUS DUR DUR2 DURATION DURX DUSHENNA DUSK DUT DUTIES DUX DVA DVD DVISVARA DVOECHELNOKRYZHEVAYA DVOETOCHIE DVUMYA DWA DWO DYAN DZAA DZAY DZHOI DZITA DZYAY DZYI DZZA E-2 E-3 E-4 E-5 E-6 E-MAIL E001 E002 E003 E004 E005 E006 E007 E008 E008A E009 E009A E010 E011 E012 E013 E014 E015 E016 E016A E017 E017A E018 E019 E020 E020A E021 E022 E023 E024 E025 E026 E027 E028 E028A E029 E030 E031 E032 E033 E034 E034A E036 E037 E038 EABHADH EADHADH EAMHANCHOLL EARLY EASE EBEFILI ECLIPSE EDD EDIN EDITORIAL EEBEEFILI EEH EEKAA EEN EEYANNA EGGS EGIR EHWAZ EIGHT-THIRTY EIGHTIETH EIS EJECT EKAM EKARA EKO EKS EKSTREPTON ELAFRON ELECTRICAL ELECTRONICS ELEVATOR ELEVATUS ELEVEN-THIRTY ELF ELIF ELL ELT EMBELLISHMENT EMBLEM EMBROIDERY EMPHATIC ENARMONIOS ENARXIS ENCOUNTERS ENDEAVOUR ENDEP ENDOFONON ENLARGEMENT ENNI ENOS ENQUIRY ENTERING ENTHUSIASM ENTRY-1 ENTRY-2 ENUMERATION EO-EU EO-O EO-U EOH EOLHX EPEGERMA EPOCH EQ EQUIANGULAR EQUID ERG ERS ES-1 ES-2 ES-3 ES-TE ESH16 ESH21 ESO ESS ESTIMATED ESTIMATES ESUKUUDO ETHEL ETNAHTA ETT EU-A EU-E EU-EO EU-EU EU-O EU-U EULER EURO-CURRENCY EUROPE-AFRICA EVENING EVERGREEN EVERY EXCELLENT EXCESS EXCHANGE EXCITEMENT EXHALE EXHAUSTION EXIST EXISTS EXPLODING EXPONENT EXPRESSIONLESS EXTINGUISHER EXTRA EXTRATERRESTRIAL EYANNA EYBEYFILI EYEBROW EYEGLASSES EYYY F001 F001A F002 F003 F004 F005 F006 F007 F008 F009 F010 F011 F012 F013 F013A F014 F015 F016 F017 F018 F019 F020 F021 F021A F022 F023 F024 F025 F026 F027 F028 F029 F030 F031 F031A F032 F033 F034 F035 F036 F037 F037A F038 F038A F039 F040 F041 F042 F043 F044 F045 F045A F046 F046A F047 F047A F048 F049 F050 F051 F051A F051B F051C F052 F053 FAAFU FAAI FAAMAE FACE-1 FACE-2 FACE-3 FACE-4 FACE-5 FACE-6 FACINGS FACSIMILE FACTORY FAHRENHEIT FAIB FAIHU FAILURE FAIRY FAJ FALAFEL FALLEN FAM FANG FAP FAQ FAR FAST FAT FATIGUE FAYANNA FEAR FEARFUL FEARN FEBRUARY FEEM FEENG FEHU FELLOWSHIP FENCER FEOH FERRIS FERRY FESTIVAL FETH FEUFEUAET FEUX FF FFI FFL FHTORA FIGHT FIGURE-1 FIGURE-2 FIGURE-3 FII FILLER-1 FILLER-2 FINGERNAILS FINGERPRINT FINITE FIP FIRECRACKER FIREWORK FIREWORKS FIRI FISHEYE FISHING FISTED FIT FIVE-LIKE FIVE-LINE FIVE-THIRTY FIX FL FLA FLAG-1 FLAG-2 FLAG-3 FLAG-4 FLAG-5 FLAGS FLAMINGO FLAPPING FLASH FLATNESS FLEUR-DE-LIS FLEXED FLIGHT FLOORPLANE FLOWERS FLOWING FLUSHED FM FOG FOGGY FOLDED FOLDING FOLLY FON FONDUE FONGMAN FOOL FOOTPRINTS FOOTSTOOL FOP FORCE FORCES FORKING FORMATTING FORMS FORTE FOSTERING FOUR-LINE FOUR-PER-EM FOUR-STRING FOUR-THIRTY FRAGMENT FRAGRANT FRAME-4 FRAMES FRANC FREEZING FRICATIVE FRIED FRIES FRONT-FACING FUA FUEL FUET FUJI FULLNESS FUNERAL FUNNEL FUP FURX FUSE FUT FUX FWE FY FYA FYP FYT FYX G001 G002 G003 G004 G005 G006 G006A G007 G007A G007B G008 G009 G010 G011 G011A G012 G013 G014 G015 G016 G017 G018 G019 G020 G020A G021 G022 G023 G024 G025 G026 G026A G027 G028 G029 G030 G031 G032 G033 G034 G035 G036 G036A G037 G037A G038 G039 G040 G041 G042 G043 G043A G044 G045 G045A G046 G047 G048 G049 G050 G051 G052 G053 G054 G2 GAAFU GAAHLAA GADOL GAG GAI GALAM GAM GAMAN GAML GAMLA GANDA GANMA GAR3 GARDEN GARLIC GARMENT GARON GASHAN GAT GAUNTLET GAX GB GBAKURUNEN GBAYI GBEN GBET GBEUX GBIEE GBON GCAN GDAN GE22 GEBA GEBO GEDE GEDOLA GEEM GEM GEMINATE GEMINI GEN GENERIC GENIE GENITIVE GENTLE GEOMETRIC GER GERMAN GET GETA GEX GG GGAA GGAP GGAT GGAX GGEE GGEP GGET GGEX GGIE GGIEP GGIEX GGIT GGIX GGOT GGOX GGUOP GGUOT GGUOX GGUP GGUR GGURX GGUT GGUX GGWA GGWAA GGWE GGWEE GGWI GH GHAAMAE GHAINU GHAMAL GHAMMA GHAP GHARAE GHAYN GHEE GHET GHEUAEGHEUAE GHEUAERAE GHEUGHEN GHEUGHEUAEM GHEUN GHEUX GHEYS GHI GHIMEL GHOM GHOU GHU GHWA GHZ GIBA GIDIM GIE GIEP GIET GIEX GIFT GIG GIGA GIL GIMEL-HETH GINGER GINII GIP GIRAFFE GIRL GIRLS GIRUDAA GISAL GIT GIX GJA GLA GLASSES GLEICH GLOVE GLOVES GLOWING GN GNAVIYANI GOA GOAT GOBLIN GOGGLES GOING GOK GOLFER GONG GONGGONG GOO GOOD GOOSE GOP GORA GORGOSYNTHETON GORGOTERI GORILLA GORT GOX GPA GRADUAL GRADUATION GRAF GRAIN GRAMMA GRAPES GRAPHEME GRATER GRAVE-ACUTE-GRAVE GRAVE-MACRON GRAVEYARD GREATNESS GREY GRIMACING GRONTHISMATA GROWING GUA GUAN GUARANI GUARDEDNESS GUARDSMAN GUEI GUIDE GUITAR GUO GUOP GUOT GUOX GUP GURAMU GURAMUTON GURUN GURUSH GURX GUT GUX GVANG GW GWAA GWU GY GYA GYAA GYAN GYE GYEE GYFU GYI GYO GYU H-TYPE H001 H002 H003 H004 H005 H006 H006A H007 H008 HA-1 HA-10 HA-11 HA-2 HA-3 HA-4 HA-5 HA-6 HA-7 HA-8 HA-9 HA-HA HAAM HAARU HADES HAEGL HAFUKH HAFUKHA HAGL HAGLAZ HAI HAIRCUT HAIS HAITU HALBERD HALF-1 HALF-2 HALO HALQA HAM HAMBURGER HAMSA HAMSO HAMSTER HAN-AKAT HANDBAG HANDBALL HANDLES HANDSHAKE HANG HAO HAP HAPPY HARBAHAY HARDNESS HARMONIC HARP HASER HATCHING HATHI HAUMEA HAUPTSTIMME HAWJ HAX HAY HAYANNA HBASA-ESASA HC HDR HE-1 HE-2 HE-3 HE-4 HE-5 HE-6 HE-7 HE-GOAT HEAD-BANDAGE HEADING HEADPHONE HEADSCARF HEAR-NO-EVIL HEARING HEAVENLY HEDGEHOG HEEI HEIGHT HEISEI HEKUTAARU HELICOPTER HELIX HELLSCHREIBER HELM HEMP HEP HERAEUM HERB HERMES HERMITIAN HERUTU HEX HEXIFORM HEYT HHE HHEE HHI HHO HHU HHWE HHWEE HHWI HHYA HHYAA HHYE HHYEE HHYI HHYO HHYU HI-1 HI-2 HI-3 HI-4 HI-5 HI-6 HI-7 HI-RES HIBISCUS HIDE HIDET HIDING HIEUH-MIEUM HIEUH-NIEUN HIEUH-PIEUP HIEUH-RIEUL HIEUH-SIOS HIEX HIGH-HEELED HIGH-LOW HIKING HINDU HIPPOPOTAMUS HISTORIC HIZB HJA HK HL HLAP HLAT HLAU HLAX HLE HLEP HLEX HLIE HLIEP HLIEX HLIP HLIT HLIX HLO HLOP HLOX HLU HLUO HLUOP HLUOX HLUP HLUR HLURX HLUT HLUX HLY HLYP HLYR HLYRX HLYT HLYX HM HMA HMAP HMAT HMAX HME HMI HMIE HMIEP HMIEX HMIP HMIT HMIX HMOP HMOT HMOX HMU HMUO HMUOP HMUOX HMUP HMUR HMURX HMUT HMUX HMY HMYP HMYR HMYRX HMYX HNAP HNAT HNAU HNAX HNE HNEP HNEX HNI HNIE HNIEP HNIET HNIEX HNIP HNIT HNIX HNOP HNOT HNOX HNUB HNUO HNUOX HNUT HO-1 HO-2 HO-3 HO-4 HO-5 HO-6 HO-7 HO-8 HOA HOCHO HODDOND HOI HOKA HOM HONEY HONEYBEE HOON HOOP HOORU HOOU HOP HORIZON HORIZONTAL-00-00 HORIZONTAL-00-01 HORIZONTAL-00-02 HORIZONTAL-00-03 HORIZONTAL-00-04 HORIZONTAL-00-05 HORIZONTAL-00-06 HORIZONTAL-01-00 HORIZONTAL-01-01 HORIZONTAL-01-02 HORIZONTAL-01-03 HORIZONTAL-01-04 HORIZONTAL-01-05 HORIZONTAL-01-06 HORIZONTAL-02-00 HORIZONTAL-02-01 HORIZONTAL-02-02 HORIZONTAL-02-03 HORIZONTAL-02-04 HORIZONTAL-02-05 HORIZONTAL-02-06 HORIZONTAL-03-00 HORIZONTAL-03-01 HORIZONTAL-03-02 HORIZONTAL-03-03 HORIZONTAL-03-04 HORIZONTAL-03-05 HORIZONTAL-03-06 HORIZONTAL-04-00 HORIZONTAL-04-01 HORIZONTAL-04-02 HORIZONTAL-04-03 HORIZONTAL-04-04 HORIZONTAL-04-05 HORIZONTAL-04-06 HORIZONTAL-05-00 HORIZONTAL-05-01 HORIZONTAL-05-02 HORIZONTAL-05-03 HORIZONTAL-05-04 HORIZONTAL-05-05 HORIZONTAL-05-06 HORIZONTAL-06-00 HORIZONTAL-06-01 HORIZONTAL-06-02 HORIZONTAL-06-03 HORIZONTAL-06-04 HORIZONTAL-06-05 HORIZONTAL-06-06 HOSPITAL HOTA HOX HOY HPA HPWG HRYVNIA HTTA HU-1 HU-2 HU-3 HUAN HUARADDO HUB HUIITO HUK HUL2 HUNG HUO HUOP HUOT HUOX HURAN HUSH HUSHED HUT HUVA HWA HWAH HWEE HWI HWO HWU HXA HXAP HXAT HXAX HXE HXEP HXEX HXG HXI HXIE HXIEP HXIET HXIEX HXIP HXIX HXO HXOT HXOX HXUOP HXUOT HXUOX HXWG HYACINTH HYGIEA HYGIEIA HYPODIASTOLE HYSTERESIS HZG HZT HZW HZWG HZZ HZZP HZZZ HZZZG I-1 I-2 I-3 I-4 I-A I-ARAEA I-BEAM I-EU I-I I-O I-O-I I-U I-YA I-YA-O I-YAE I-YE I-YEO I-YO I-YU I001 I002 I003 I004 I005 I005A I006 I007 I008 I009 I009A I010 I010A I011 I011A I012 I013 I014 I015 IANG IBIFILI ICELANDIC-YR ICHADIN ICHOU IDD IDEOGRAPH-4E00 IDEOGRAPH-4E2D IDEOGRAPH-4EA4 IDEOGRAPH-518D IDEOGRAPH-521D IDEOGRAPH-524D IDEOGRAPH-5272 IDEOGRAPH-52DD IDEOGRAPH-53CC IDEOGRAPH-53F3 IDEOGRAPH-5408 IDEOGRAPH-5439 IDEOGRAPH-55B6 IDEOGRAPH-58F0 IDEOGRAPH-591A IDEOGRAPH-5929 IDEOGRAPH-5B57 IDEOGRAPH-5B89 IDEOGRAPH-5DE6 IDEOGRAPH-5F8C IDEOGRAPH-624B IDEOGRAPH-6295 IDEOGRAPH-6307 IDEOGRAPH-6355 IDEOGRAPH-6557 IDEOGRAPH-6599 IDEOGRAPH-65B0 IDEOGRAPH-6620 IDEOGRAPH-6708 IDEOGRAPH-6709 IDEOGRAPH-672C IDEOGRAPH-6E80 IDEOGRAPH-6F14 IDEOGRAPH-70B9 IDEOGRAPH-7121 IDEOGRAPH-751F IDEOGRAPH-7533 IDEOGRAPH-76D7 IDEOGRAPH-7981 IDEOGRAPH-7A7A IDEOGRAPH-7D42 IDEOGRAPH-89E3 IDEOGRAPH-8CA9 IDEOGRAPH-8D70 IDEOGRAPH-904A IDEOGRAPH-914D IDLE IEP IET IEUNG-CHIEUCH IEUNG-CIEUC IEUNG-HIEUH IEUNG-KHIEUKH IEUNG-MIEUM IEUNG-PANSIOS IEUNG-PHIEUPH IEUNG-PIEUP IEUNG-RIEUL IEUNG-SIOS IEUNG-SSANGKIYEOK IEUNG-THIEUTH IEUNG-TIKEUT IEX IF IFIN IGGWS IIYANNA IL2 ILIMMU3 ILIMMU4 ILUT ILUUYANNA ILUY ILUYANNA IMAALA IMAR IMIDIARGON IMIFONON IMIFTHORA IMIFTHORON IMIN3 IMISEOS IMN IMP IN-ALAF INAP INBOX INCH INCLUDING INCOMING INCOMPLETE INCREASES INCREMENT INDIAN INDICTION INDIRECT INDUSTRIAL INFLUENCE INGWAZ INHALE ININGU INK INN INNN INNOCENCE INPUTS INSECT INTERCALATE INTEREST INTERLOCKED INTERSYLLABIC INTI INVERTEBRATE INWARD INY INYA IODHADH IONG IOR IRB IRI IRON-COPPER IRUUYANNA IRUYANNA ISAKIA ISAZ ISEN-ISEN ISHMAAM ISLAND ISS ITEM ITS ITT IUJA IWAZ IWN IYANNA IZ IZAKAYA JACK-O-LANTERN JACKS JAH JAIN JALL JALLAJALALOUHOU JANUARY JAPAN JAVIYANI JAYIN JAYN JEANS JELLYFISH JER JERA JERAN JERUSALEM JEU JHAA JHAM JHAYIN JHO JHOX JIA JIE JIEP JIET JIEX JIGSAW JIP JIT JIX JJE JJEE JJIEP JJIET JJIEX JJIP JJIT JJIX JJOP JJOT JJOX JJUO JJUOP JJUOX JJUP JJUR JJURX JJUX JJYP JJYT JJYX JOA JOINT JOINTS JONG JOP JOVE JOX JOYOUS JOYSTICK JUDEO-SPANISH JUDGE JUDUL JUEUI JUGGLING JULY JUNE JUNO JUO JUOP JUOT JUOX JUP JUPITER JUR JURX JUT JUU JUX JYAH JYP JYR JYRX JYT JYX K001 K002 K003 K004 K005 K006 K007 K008 K2 KA-1 KA-10 KA-11 KA-2 KA-3 KA-4 KA-5 KA-6 KA-7 KA-8 KA-9 KA-KE KAAB KAABA KAACU KAAFU KAAI KAAN KAANKUU KAAV KACHKA KAD KAD4 KAFA KAIB KAIRI KAIV KAKABAT KAM KAM2 KAM4 KANAKO KANGAROO KANTAJA KAPAL KAPO KAQ KAR KARAN KARATTO KAROR KARORAN KARORII KARSHANA KAT KATAVA KATAVASMA KATHISTI KAUB KAUN KAUNA KAUV KAV KAWB KAWV KAX KB KCAL KE-1 KE-2 KE-3 KE-4 KE-5 KE-6 KEAAE KEB KEEB KEENG KEESU KEEV KEFULA KELVIN KEMBANG KEMPHRENG KENAT KEOW KEP KERET KES KEUAE KEUAEM KEUAERI KEUAETMEUN KEUKAQ KEUKEUTNDA KEUOT KEUP KEUPUQ KEUSEUX KEUSHEUAEP KEUYEUX KEV KEX KEYHOLE KHAB KHAF KHAMILO KHAN KHAV KHEE KHETH KHIT KHOMUT KHON KHONNA KHOT KHOU KHU KHUAT KHUDAM KHUEN-LUE KHWAI KHZ KI-1 KI-2 KI-3 KI-4 KI-5 KI-6 KI-7 KI-8 KIAB KIAV KIB KICK KIE KIEEM KIEP KIEX KIH KII KIIZH KIK KIMONO KINDERGARTEN KINSHIP KIQ KIRO KIROGURAMU KIROMEETORU KIROWATTO KISAL KISH KITE KIV KIW KIWIFRUIT KIX KIYEOK-CHIEUCH KIYEOK-HIEUH KIYEOK-KHIEUKH KIYEOK-NIEUN KIYEOK-PIEUP KIYEOK-RIEUL KIYEOK-SIOS-KIYEOK KIYEOK-TIKEUT KKE KKEE KKI KKO KKU KL KLA KLITON KLOKO KLYUCHENEPOSTOYANNY KLYUCHEPOVODNAYA KLYUCHEPOVODNY KLYUCHEVOY KNEELING KNOBS KNOT KO-1 KO-2 KO-3 KO-KI KOA KOALA KOB KOBYLA KOGHOM KOH KOINI KOKE KOKO KOMBU KOOB KOOMUUT KOOPO KOOV KOP KOQNDON KORON KORUNA KOT KOUFISMA KOV KOVUU KOX KPAH KPAN KPARAQ KPEN KPEUX KPOQ KRA KRATIMATA KRATIMOKOUFISMA KRATIMOYPORROON KREMASTI KRONOS KRYZHEVAYA KT KU-1 KU-2 KU-3 KU-4 KU-5 KU-6 KU-7 KU7 KUA KUAB KUAV KUB KUET KUFISMA KUG KUNDDALIYA KUNG KUO KUOM KUOQ KUOX KUP KUPNAYA KUQ KUROONE KURT KURUNI KURUZEIRO KURX KUSMA KUUH KUV KUX KUZHI KV KWAET KWAY KWB KWM KWU318 KWV KXAA KXE KXEE KXI KXO KXU KXWA KXWAA KXWE KXWEE KXWI KYAA KYATHOS KYE KYI KYLISMA KYO KYU KYURII L-TYPE L001 L002 L002A L003 L004 L005 L006 L006A L007 L008 L2 L3 L4 L6 LAAI LAAMU LAAN LAANAE LAB LABAT LABEL LABIALIZATION LABOURING LACA LACK LACROSSE LADY LAEV LAGU LAGUS LAH LAHSHU LAJANYALAN LAK-003 LAK-020 LAK-021 LAK-025 LAK-030 LAK-051 LAK-062 LAK-080 LAK-092 LAK-130 LAK-142 LAK-210 LAK-219 LAK-220 LAK-225 LAK-228 LAK-238 LAK-265 LAK-266 LAK-343 LAK-347 LAK-348 LAK-383 LAK-384 LAK-390 LAK-441 LAK-450 LAK-457 LAK-470 LAK-483 LAK-490 LAK-492 LAK-493 LAK-495 LAK-550 LAK-608 LAK-636 LAK-668 LAK-724 LAK-749 LAKHAN LAKKHANGYAO LAMADH LAMD LAND LANDER LANGUAGE LANTERN LAPAQ LAQ LARI LARYNGEAL LAT LATE LATIK LAU LAUGHING LAUJ LAUKAZ LAX LAY LAYAR LCI LD LD2 LDAN LEAD LEADING LEAFLESS LEAFY LEDGER LEEK LEFT-HANDED LEFT-LIGHTED LEFT-SIDE LEGION LEGS LEI LEMOI LEMON LENGTH-1 LENGTH-2 LENGTH-3 LENGTH-4 LENGTH-5 LENGTH-6 LENGTH-7 LEO LEOPARD LEP LESS LEUAEM LEUAEP LEUM LEVEL-2 LEVEL-3 LEVITATING LEX LHAG LHAVIYANI LHE LHEE LHII LHOO LHU LHYA LIABILITY LIBERTY LIBRA LICKING LIEE LIEP LIET LIEX LIFE LIFTER LIGATING LIGHTHOUSE LII LIL LILITH LILY LIMBS LIME LIMIT LIMITATION LIMITED LIMMU2 LIMMU4 LINE-1 LINE-3 LINE-7 LINE-9 LINGSA LINKED LINKING LION LIPSTICK LIQ LIS LIT LITRA LIVRE LIX LIZARD LLAMA LLE LLHA LLL LM LN LOA LOACHA LOBSTER LOCATION-FLOORPLANE LOCATION-WALLPLANE LOCATIVE LODESTONE LOG LOGR LOLL LOLLIPOP LOMKA LOMMAE LONG-BRANCH-AR LONG-BRANCH-HAGALL LONG-BRANCH-MADR LONG-BRANCH-OSS LONG-BRANCH-SOL LONG-BRANCH-YR LONG-LEGGED LOOK LOON LOP LORRAINE LORRY LOS LOSSLESS LOTION LOUDLY LOUDSPEAKER LOURE LOW-MID LOW-REVERSED-9 LOX LUAEP LUB LUHUR LUIS LUNAR LUNGS LUNGSI LUO LUOP LUOT LUOX LUP LUR LURX LUS LUT LUX LX LYA LYGISMA LYING LYIT LYP LYRX LYT LYX LYY M001A M001B M003A M010A M012A M012B M012C M012D M012E M012F M012G M012H M015A M016A M017A M022A M024A M028A M031A M033A M033B M040A M045 M046 M047 M048 M049 M050 M051 M052 M053 M054 M055 M056 M057 M058 M059 M060 M061 M062 M063 M064 M065 M066 M067 M068 M069 M070 M071 M072 M073 M074 M075 M076 M077 M078 M079 M080 M081 M082 M083 M084 M085 M086 M087 M088 M089 M090 M091 M092 M093 M094 M095 M096 M097 M098 M099 M100 M101 M102 M103 M104 M105 M106 M107 M108 M109 M110 M111 M112 M113 M114 M115 M116 M117 M118 M119 M120 M121 M122 M123 M124 M125 M126 M127 M128 M129 M130 M131 M132 M133 M134 M135 M136 M137 M138 M139 M140 M141 M142 M143 M144 M145 M146 M147 M148 M149 M150 M151 M152 M153 M154 M155 M156 M157 M158 M159 M160 M161 M162 M163 M164 M165 M166 M167 M168 M169 M170 M171 M172 M173 M174 M175 M176 M177 M178 M179 M180 M181 M182 M183 M184 M185 M186 M187 M188 M189 M190 M191 M192 M193 M194 M195 M196 M197 MA-1 MA-2 MA-3 MA-4 MA-5 MA-6 MA-7 MA2 MAAI MAAYYAA MACRON-ACUTE MACRON-BREVE MACRON-GRAVE MADU MADYA MAEKEUP MAELEE MAEMBGBIEE MAEMGBIEE MAEMKPEN MAEMVEUX MAENJET MAENYI MAGE MAGIC MAGNET MAHAPAKH MAHHA MAIDEN MAIKURO MAIMALAI MAIMUAN MAIRU MAITAIKHU MAIYAMOK MAIZE MAKEMAKE MALEERI MALTESE MAMMOTH MANACLES MANAT MANGALAM MANGO MANNA MANNAZ MANS MANSUAE MANSYON MANTELPIECE MANUAL MAO MAPLE MAQAF MARACAS MARCASITE MARCATO MARCATO-STACCATO MARCH MARE MARK-4 MARRATAN MARRIAGE MARRYING MARTIAL MARUKU MARWARI MARY MASCULINE MASHFAAT MASORA MASSAGE MASSING MASU MAT MATE MATERIALS MATRIX MATTOCK MAU MAX MAXIMA MAXIMIZE MAYANNA MB2 MB3 MB4 MBAAKET MBAARAE MBAQ MBEEKEET MBERAE MBEURI MBEUX MBIRIEEN MBUAE MBUAEM MBUE MBUO MBUOQ MBUU MD ME-1 ME-2 ME-MA MED MEDICAL MEDICINE MEEMU MEETORU MEGALI MEGAPHONE MEGATON MEIZI MELIK MELODIC MELTING MEMBERSHIP MEMO MENDUT MENOE MENORAH MENS MERI MERIDIANS MERPERSON MESI MESSENIAN META METEG METEK METOBELUS METRETES METRIA METRO MEUNJOMNDEUQ MEUQ MEX MEZZO MFAA MFEUAE MFEUQ MFEUT MFIEE MFIYAQ MFO MG MGA MGAP MGAT MGAX MGBASA MGBASAQ MGBE MGBEE MGBEN MGBEUN MGBI MGBIEE MGBO MGBOFUM MGBOO MGBU MGE MGEP MGEX MGIE MGIEX MGOP MGOT MGOX MGU MGUO MGUOP MGUOX MGUP MGUR MGURX MGUT MGUX MH MHZ MI-1 MI-2 MI-3 MI-4 MI-5 MI-6 MI-7 MICRO MICROBE MICROSCOPE MIE MIEP MIEUM-CHIEUCH MIEUM-CIEUC MIEUM-HIEUH MIEUM-NIEUN MIEUM-PIEUP-SIOS MIEUM-RIEUL MIEUM-SSANGNIEUN MIEUM-SSANGSIOS MIEUM-TIKEUT MIEX MII MIIN MIKRI MIKRON MIKURON MIL MILK MILKY MILL MILLET MIME MINDU MINIBUS MINIDISC MINIMIZE MINISTER MINUS-OR-PLUS MINY MIP MIRED MIRI MIRIBAARU MISRA MIX MKPARAQ ML MNYAM MO-1 MO-2 MO-3 MO-4 MO-5 MO-6 MOA MODE MODEL MODELS MODEM MODERN MODESTY MODIFIER-10 MODIFIER-11 MODIFIER-12 MODIFIER-13 MODIFIER-14 MODIFIER-15 MODIFIER-16 MODIFIER-7 MODIFIER-8 MODIFIER-9 MODULO MOHAMMAD MOKHASSAS MOL MONEY-MOUTH MONGKEUAEQ MONI MONITOR MONOCLE MONORAIL MONOSTABLE MONTIEEN MOOMEUT MOOMPUQ MOOSE MOOSE-CREE MORNING MORPHOLOGICAL MORTUUM MOSQUE MOSQUITO MOT MOTORCYCLE MOTORIZED MOTORWAY MOUNT MOUNTAINS MOVED MOVES MOVIE MOX MOYAI MQ MR MRACHNO MRACHNOTIKHAYA MRACHNY MS MU-1 MU-2 MU-3 MU-4 MU-GAAHLAA MUAS MUE MUEN MUGS MUHOR MUIN MUKHA MUKKURUNI MUKPHRENG MULTI MULTIOCULAR MUM MUN MUNAH MUNSUB MUO MUOMAE MUOP MUOT MUOX MUP MUQDAM MUR MURE MURGU2 MURX MUS MUT MUTHALIYA MUUSIKATOAN MUUVUZHAKKU MUX MVEUAENGAM MVI MX MYP MYT MYX MZ N-MU-MO-1 N-MU-MO-2 N001 N002 N003 N004 N005 N006 N007 N008 N009 N010 N011 N012 N013 N014 N015 N016 N017 N018 N018A N018B N019 N020 N021 N022 N023 N024 N025 N025A N026 N027 N028 N029 N030 N031 N032 N033 N033A N034 N034A N035 N035A N036 N037 N037A N038 N039 N040 N041 N042 NA-1 NA-3 NA-4 NA-5 NA-6 NA-7 NA-8 NA-9 NA4 NAAI NAAKSIKYAYA NAGAR NAIL NAIRA NAN NAND NANGMONTHO NANO NANSANAQ NAOS NAP NAU NAUD NAUDIZ NAUSEATED NAUTHS NAX NAXIAN NAY NAZAR NBA NBAP NBAT NBAX NBI NBIEP NBIEX NBIP NBIT NBIX NBO NBOP NBOT NBOX NBU NBUP NBUR NBURX NBUT NBUX NBY NBYP NBYR NBYRX NBYT NBYX NCA NCHAU ND NDAANGGEUAET NDAT NDAX NDEP NDEUAEREE NDEUT NDEUX NDEX NDIAQ NDIDA NDIE NDIEX NDIP NDIQ NDIT NDIX NDOMBU NDON NDOP NDOT NDOX NDUN NDUP NDUR NDURX NDUT NDUX NE-1 NE-3 NE-4 NE-5 NE-6 NE-KO NEBENSTIMME NECKTIE NEEDLE NEGATION NEL NEMKA NENANO NEP NERD NESSUS NESTING NETWORKED NEUTER NEX NEXT NF NGAAI NGAH NGAI NGAN NGANGU NGAP NGAQ NGAR NGAT NGAX NGEADAL NGEP NGEUREUT NGEX NGG NGGAA NGGAAMAE NGGAP NGGEEEE NGGEET NGGEU NGGEUAE NGGEUX NGGUA NGGUAEN NGGUAESHAE NGGUEET NGGUM NGGUOM NGGUON NGGUP NGGURAE NGGWAEN NGIE NGIEP NGIEX NGII NGJA NGKAAMI NGKAP NGKAQ NGKEUAEM NGKEUAEQ NGKEURI NGKEUX NGKIEE NGKINDI NGKUENZEUM NGKUM NGKUN NGKUP NGKYEE NGOO NGOQ NGOT NGOX NGU NGUAE NGUAET NGUAN NGUE NGUN NGUO NGUOT NGUOX NGVE NGYE NH NHAY NHJA NHUE NI-1 NI-2 NI-3 NI-4 NI-5 NI-6 NI-7 NI-TE NI2 NIA NIE NIEP NIEUN-CHIEUCH NIEUN-PIEUP NIEUN-RIEUL NIEUN-THIEUTH NIEX NIGGAHITA NIGIDAESH NIGIDAMIN NIHSHVASA NIKA NIKAHIT NIKHAHIT NIN9 NINE-THIRTY NINJA NINTH NION NIP NIRUGU NISAG NIT NITRE NIX NJAA NJAN NJAP NJAQ NJEEEE NJEUAEM NJEUAENA NJEUT NJIE NJIEE NJIEP NJIET NJIEX NJIP NJIT NJIX NJOP NJOT NJOX NJUO NJUOX NJUP NJUQA NJUR NJURX NJUX NJY NJYP NJYR NJYRX NJYT NJYX NKA NKAU NKINDI NKOM NL001 NL002 NL003 NL004 NL005 NL005A NL006 NL007 NL008 NL009 NL010 NL011 NL012 NL013 NL014 NL015 NL016 NL017 NL017A NL018 NL019 NL020 NLAU NM NNAA NNE NNG NNGA NNGAA NNGI NNGII NNGO NNGOO NNHA NNO NNYA NO-1 NO-2 NO-3 NO-4 NO-5 NOA NOKHUK NOMINAL NOMISMA NON NON-BREAKING NON-JOINER NON-POTABLE NONFORKING NOONU NOP NORDIC NORTHEAST-POINTING NORTHWEST NOTTO NOVEMBER NOVILE NOWC NOX NOY NPA NPLA NPN NQA NQIG NRAP NRAT NRAX NRE NREP NRES NRET NREX NRO NROP NROX NRU NRUA NRUP NRUR NRURX NRUT NRUX NRY NRYP NRYR NRYRX NRYT NRYX NS NSA NSEN NSEUAEN NSHAQ NSHEE NSHUE NSHUET NSHUOP NSIEEP NSIEET NSOM NSUM NSUN NSUOT NTA NTEN NTEUNGBA NTHAU NTIEE NTOQPEN NTSA NTSAU NTU NTUJ NTUM NTXA NTXIV NU-1 NU-2 NU-3 NU001 NU002 NU003 NU004 NU005 NU006 NU007 NU008 NU009 NU010 NU010A NU011 NU011A NU012 NU013 NU014 NU015 NU016 NU017 NU018 NU018A NU019 NU020 NU021 NU022 NU022A NUE NUM NUMBERS NUMERO NUNAVUT NUO NUOP NUOX NUP NUR NURX NUUN NUX NW NXA NXHA NYAEMAE NYAH NYAJ NYAN NYCA NYD NYEN NYIE NYIEP NYIET NYIEX NYIN NYIN-DO NYIR NYIX NYJA NYOA NYON NYOO NYOT NYOX NYUE NYUN NYUO NYUOP NYUOX NYUP NYUT NYUX NYWA NZAP NZAQ NZAT NZAX NZE NZEUM NZEX NZI NZIE NZIEP NZIEX NZIP NZIT NZIX NZOP NZOX NZU NZUN NZUO NZUOX NZUQ NZUR NZURX NZUX NZY NZYP NZYR NZYRX NZYT NZYX O-1 O-2 O-3 O-E O-EO O-O O-O-I O-U O-YA O-YAE O-YE O-YEO O001 O001A O002 O003 O004 O005 O005A O006 O006A O006B O006C O006D O006E O006F O007 O008 O009 O010 O010A O010B O010C O011 O012 O013 O014 O015 O016 O017 O018 O019 O019A O020 O020A O021 O022 O023 O024 O024A O025 O025A O026 O027 O028 O029 O029A O030 O030A O031 O032 O033 O033A O034 O035 O036 O036A O036B O036C O036D O037 O038 O039 O040 O041 O042 O043 O044 O045 O046 O047 O048 O049 O050 O050A O050B O051 OABOAFILI OAK OB OBELOS OBELUS OBJECT OBLACHKO OBLAKO OBOFILI OBOL OBSERVER OBSTRUCTION OC OCCLUSION OCCULTATION OCHKOM OCTAGONAL OCTANT-123 OCTANT-12345 OCTANT-1234567 OCTANT-1234568 OCTANT-1234578 OCTANT-123458 OCTANT-12346 OCTANT-123467 OCTANT-1234678 OCTANT-12347 OCTANT-123478 OCTANT-12348 OCTANT-1235 OCTANT-12356 OCTANT-123567 OCTANT-1235678 OCTANT-123568 OCTANT-12357 OCTANT-123578 OCTANT-12358 OCTANT-1236 OCTANT-12367 OCTANT-123678 OCTANT-12368 OCTANT-1237 OCTANT-12378 OCTANT-1238 OCTANT-124 OCTANT-1245 OCTANT-12456 OCTANT-124567 OCTANT-1245678 OCTANT-124568 OCTANT-12457 OCTANT-124578 OCTANT-12458 OCTANT-1246 OCTANT-12467 OCTANT-124678 OCTANT-12468 OCTANT-1247 OCTANT-12478 OCTANT-1248 OCTANT-125 OCTANT-1256 OCTANT-12567 OCTANT-125678 OCTANT-12568 OCTANT-1257 OCTANT-12578 OCTANT-1258 OCTANT-126 OCTANT-1267 OCTANT-12678 OCTANT-1268 OCTANT-127 OCTANT-1278 OCTANT-128 OCTANT-134 OCTANT-1345 OCTANT-13456 OCTANT-134567 OCTANT-1345678 OCTANT-134568 OCTANT-13457 OCTANT-134578 OCTANT-13458 OCTANT-1346 OCTANT-13467 OCTANT-134678 OCTANT-13468 OCTANT-1347 OCTANT-13478 OCTANT-1348 OCTANT-135 OCTANT-1356 OCTANT-13567 OCTANT-13568 OCTANT-13578 OCTANT-1358 OCTANT-136 OCTANT-1367 OCTANT-13678 OCTANT-137 OCTANT-1378 OCTANT-138 OCTANT-14 OCTANT-145 OCTANT-1456 OCTANT-14567 OCTANT-145678 OCTANT-14568 OCTANT-1457 OCTANT-14578 OCTANT-1458 OCTANT-146 OCTANT-1467 OCTANT-14678 OCTANT-1468 OCTANT-147 OCTANT-1478 OCTANT-148 OCTANT-15 OCTANT-156 OCTANT-1567 OCTANT-15678 OCTANT-1568 OCTANT-157 OCTANT-1578 OCTANT-158 OCTANT-16 OCTANT-167 OCTANT-1678 OCTANT-168 OCTANT-17 OCTANT-178 OCTANT-18 OCTANT-23 OCTANT-234 OCTANT-2345 OCTANT-23456 OCTANT-234567 OCTANT-2345678 OCTANT-234568 OCTANT-23457 OCTANT-234578 OCTANT-23458 OCTANT-2346 OCTANT-23467 OCTANT-234678 OCTANT-23468 OCTANT-2347 OCTANT-23478 OCTANT-2348 OCTANT-235 OCTANT-2356 OCTANT-23567 OCTANT-235678 OCTANT-23568 OCTANT-2357 OCTANT-23578 OCTANT-2358 OCTANT-236 OCTANT-2367 OCTANT-23678 OCTANT-2368 OCTANT-237 OCTANT-2378 OCTANT-238 OCTANT-245 OCTANT-2456 OCTANT-24567 OCTANT-24568 OCTANT-24578 OCTANT-2458 OCTANT-246 OCTANT-2467 OCTANT-24678 OCTANT-247 OCTANT-2478 OCTANT-248 OCTANT-25 OCTANT-256 OCTANT-2567 OCTANT-25678 OCTANT-2568 OCTANT-257 OCTANT-2578 OCTANT-258 OCTANT-26 OCTANT-267 OCTANT-2678 OCTANT-268 OCTANT-27 OCTANT-278 OCTANT-28 OCTANT-3 OCTANT-34 OCTANT-345 OCTANT-3456 OCTANT-34567 OCTANT-34568 OCTANT-3457 OCTANT-34578 OCTANT-3458 OCTANT-346 OCTANT-3467 OCTANT-34678 OCTANT-3468 OCTANT-347 OCTANT-3478 OCTANT-348 OCTANT-356 OCTANT-3567 OCTANT-35678 OCTANT-3568 OCTANT-357 OCTANT-3578 OCTANT-358 OCTANT-36 OCTANT-367 OCTANT-3678 OCTANT-368 OCTANT-37 OCTANT-378 OCTANT-38 OCTANT-4 OCTANT-45 OCTANT-456 OCTANT-4567 OCTANT-45678 OCTANT-4568 OCTANT-457 OCTANT-4578 OCTANT-458 OCTANT-467 OCTANT-4678 OCTANT-468 OCTANT-47 OCTANT-478 OCTANT-48 OCTANT-5 OCTANT-56 OCTANT-567 OCTANT-568 OCTANT-578 OCTANT-58 OCTANT-6 OCTANT-67 OCTANT-678 OCTOBER OCTOPUS ODEN OER OEY OFF OFFICER OG OGRE OJEON OJOD OLE OMALON ON-OFF ONAP ONE-LINE ONE-PIECE ONE-THIRTY ONE-WAY ONESELF ONION ONKAR ONSU OOBOOFILI OOH OOMU OON OOYANNA OOZE OPEN-OUTLINED OPEN-P OPHIUCHUS OPPOSE OPPRESSION OPTION ORANGUTAN ORCHID ORCUS ORE-2 ORIENTATION ORIGIN ORNAMENTS ORR ORTHODOX OTHAL OTHALAN OTHER OTHERS OTSECHKA OTT OTTER OTTHI OUNKIA OUTBOX OUTLINE OUTPUT OUTWARD OVERHEATED OWL OXEIAI OYANNA OYSTER OZ P001 P001A P002 P003 P003A P004 P005 P006 P007 P008 P009 P010 P011 P2 PAAI PAARAE PAARAM PAASENTO PAATU PACKAGE PACKING PADDLE PADMA PAGER PAGODA PAH PAINTBRUSH PAIRTHRA PAIYANNOI PALATALIZATION PALATALIZED PALETTE PALKA PALLAS PALLAWA PALMS PALUTA PAMAAEH PAMENENG PAMEPET PAMINGKAL PAMSHAE PAMUNGKAH PANAELAENG PANAM PANCAKES PANDA PANEULEUNG PANG PANGHULU PANGKAT PANGKON PANGLAYAR PANGLONG PANGRANGKEP PANGWISAD PANOLONG PANONGONAN PANSIOS-KAPYEOUNPIEUP PANSIOS-PIEUP PANYAKRA PANYANGGA PANYECEK PANYIKU PANYUKU PAPERCLIP PAPERCLIPS PAPYRUS PARACHUTE PARAGRAPHUS PARAKLIT PARICHON PARK PARROT PARTIALLY-RECYCLED PARUM PASEQ PASHAE PASHTA PASSED PASSENGER PASSIMBANG PASSIVE-PULL-DOWN-OUTPUT PASSIVE-PULL-UP-OUTPUT PASSPORT PASUQ PAT PATAK PATHAKKU PATHAMASAT PAUK PAUSE PAVIYANI PAX PAY PAZER PC PD PEA PEACH PEACOCK PEANUTS PEAR PEDESTRIANS PEEI PEEKING PEEM PEEP PEESHI PEEZI PEITH PENETRATION PENGKAL PENGUIN PENIHI PENNY PENSIVE PENSU PENTATHLON PEORTH PERFORMING PERMANENT PERSEVERING PERSPECTIVE PERTHO PES PESETA PET PETASMA PETASTI PETASTOKOUFISMA PETRI PEUT PEUTAE PF PG PH PHAARKAA PHAB PHAM PHAN PHEE PHIEUPH-HIEUH PHIEUPH-SIOS PHIEUPH-THIEUTH PHILOSOPHERS PHINTHU PHNAEK PHOA PHOLUS PHONES PHU PHUNG PHUTHAO PHWA PIANO PIASTRE PIASUTORU PICKET PICKUP PIEEQ PIEET PIEP PIET PIEUP-KHIEUKH PIEUP-MIEUM PIEUP-NIEUN PIEUP-RIEUL PIEUP-RIEUL-PHIEUPH PIEUP-SIOS-CIEUC PIEUP-SIOS-PIEUP PIEUP-SIOS-THIEUTH PIEUP-SSANGSIOS PIEX PIKO PIKURU PILE PILL PINARBORAS PINATA PINCHED PINCHING PINE PINEAPPLE PINK PIPING PIR2 PIRACY PIRIEEN PISCES PISTOL PIX PIZZA PIZZICATO PLACARD PLAK PLANET PLANT PLATE PLAYGROUND PLEADING PLETHRON PLHAU PLOW PLUG PLUK PLUM PLUMED PLUNGER PLURAL PLUS-MINUS PM PNP POA POCKET POD PODATUS PODCHASHIEM PODVERTKA POETIC POINTO POINTS POKRYTIE POLKULIZMY POLNAYA POLO POLUPOVODNAYA PONDO POODLE POON POPCORN POPPER POPPING PORTABLE PORTRAIT POSEIDON POSITIONS POSTBOX POSTPOSITION POTABLE POTTED POUCH POULTRY POURING POVODNY POWDER POWDERED POX POY PPA PPM PPV PR PRAYER PRECEDED PRECIPITATE PREFACE PRENKHA PRESCRIPTION PRESENT PRESSED PRETZEL PREVIOUS PRINCE PRINCESS PRINTS PRIVATE PROBING PROFOUND PROGRESS PROHIBITED PROJECTION PROJECTIVE PROJECTOR PROOF PROPERTY PROPORTIONAL PROSERPINA PROTOVARYS PROVE PS PSA PSIFISTOLYGISMA PSIFISTOPARAKALESMA PSIFISTOSYNAGMA PSILON PTE PU2 PUAQ PUB PUBLIC PUCK PUFFED PUM PUMP PUNCTUS PUNG PUNGAAM PUO PUOP PUOX PUQ PUR PURIFY PURITY PURNAMA PURSE PURX PUTNAYA PUTREFACTION PUUT PUX PUZZLE PV PVO PW PWOY PY PYP PYR PYRX PYX PZ Q001 Q002 Q003 Q004 Q005 Q006 Q007 QAAFU QAAI QADMA QAIRTHRA QALA QAPH QAQ QARNEY QASR QAU QAY QEE QETANA QGA QHA QHAA QHAU QHE QHEE QHI QHO QHOPH QHU QHWA QHWAA QHWE QHWEE QHWI QIE QIEP QIET QIEX QIF QIP QIT QIX QN QOA QOP QOPA QOX QP QUADCOLON QUADRANT-1 QUADRANT-12 QUADRANT-123 QUADRANT-1234 QUADRANT-124 QUADRANT-13 QUADRANT-134 QUADRANT-14 QUADRANT-2 QUADRANT-23 QUADRANT-234 QUADRANT-24 QUADRANT-3 QUADRANT-34 QUADRANT-4 QUANTITY QUAOAR QUATERNION QUBUTS QUDDISA QUESTIONED QUF QUICK QUINARIUS QUINCUNX QUINTESSENCE QUINTILE QUK QUOP QUOT QUOX QUP QUR QURX QUSHSHAYA QUT QUUV QUX QWA QWAA QY QYA QYAA QYE QYEE QYI QYO QYP QYR QYRX QYT QYU QYX R001 R002 R002A R003 R003A R003B R004 R005 R006 R007 R008 R009 R010 R010A R011 R012 R013 R014 R015 R016 R016A R017 R018 R019 R020 R021 R022 R023 R024 R025 R026 R027 R028 R029 RA-1 RA-3 RA-4 RA-KARA RA2 RA3 RAAI RAB RACCOON RADIOACTIVE RAEM RAH RAHIMAHU RAHIMAHUM RAHMATULLAH RAIDA RAIDO RAIL RAINBOW RAKHANG RAMBAT RAN RAPISMA RAQ RASHA RASOUL RASWADI RATA RATIO RAU RAVNO RAX RAYANNA RAZOR RAZSEKA RE-1 RE-2 RE-3 RE-4 REAHMUK REALGAR REALGAR-2 RECEIPT RECEPTACLE RECEPTIVE RECITATIVE RECORDER RECORDING RECREATIONAL RECYCLED REFERENCE REFLECTION REGIA REGIA-2 REGISTERED REGULUS-2 REGULUS-3 REGULUS-4 REI REID REIWA RELAA RELATIONAL RELEASE RELIGION REMEDY REMINDER REMU RENTOGEN REP REPH REPRESENT REREKAN RESH-AYIN RESH-AYIN-DALETH RESIDENCE RESISTANCE RESOLUTION RESTROOM RESUPINUS RETORT RETREAT REVERSED-SCHWA REVIA REVMA REVOLUTION REX RH RHINOCEROS RHOTIC RI-1 RI-2 RI-3 RI-4 RI-5 RI-6 RI-7 RIAL RICEM RICKSHAW RIEL RIEUL-CIEUC RIEUL-KIYEOK-HIEUH RIEUL-MIEUM-HIEUH RIEUL-MIEUM-KIYEOK RIEUL-MIEUM-SIOS RIEUL-PIEUP-HIEUH RIEUL-PIEUP-PHIEUPH RIEUL-PIEUP-TIKEUT RIEUL-SSANGPIEUP RIEUL-SSANGSIOS RIEUL-SSANGTIKEUT RIEUL-TIKEUT-HIEUH RIEUL-YEORINHIEUH-HIEUH RIEUL-YESIEUNG RIGHT-HANDED RIGHT-LIGHTED RIGHT-SIDE RIGHTHAND RIGVEDIC RIM RIMGBA RIN RINFORZANDO RINGED RINGING RIP RIRA RITTORU RITUAL RIVER RJES RMT RO-1 RO-2 RO-3 RO-4 RO-5 RO-6 RO2 ROA ROAR ROASTED ROBAT ROGOM ROLL ROLLED-UP ROM ROOF ROOM ROOSTER ROP ROSE ROSH ROT ROUND-TIPPED ROWBOAT ROX RRAX RREP RRET RREX RROP RROT RROX RRRA RRU RRUO RRUOX RRUP RRUR RRURX RRUT RRUX RRY RRYP RRYR RRYRX RRYT RRYX RTE RTHANG RU-1 RU-2 RU-3 RU-4 RU-5 RU-6 RUA RUBLE RUE RUGBY RUIS RUKKAKHA RULAI RULE RULE-DELAYED RUN RUNOUT RUO RUOP RUOX RUP RUPII RUR RURX RUSI RUT RUUBURU RUX RWAHA RWE RWEE RWI RWII RWO RWOO RYA RYP RYR RYRX RYT RYX RYY S-W S001 S002 S002A S003 S004 S005 S006 S006A S007 S008 S009 S010 S011 S012 S013 S014 S014A S014B S015 S016 S017 S017A S018 S019 S020 S021 S022 S023 S024 S025 S026 S026A S026B S027 S028 S029 S030 S031 S032 S033 S034 S035 S035A S036 S037 S038 S039 S040 S041 S042 S043 S044 S045 S046 SA-1 SA-3 SA-4 SA-5 SA-6 SA-7 SA-8 SA-I SAADHU SAAI SAAT SACRIFICIAL SAGA SAGITTARIUS SAIKURU SAIL SAILBOAT SAJDAH SAKE SAKEUAE SAKHA SAKIN SAKOT SAL-AMMONIAC SALA SALAAMUHU SALAD SALAM SALLALLAAHU SALLALLAHU SALT-2 SALTIRES SALUTING SAMKA SAMPHAO SAMVAT SAMYOK SANAH SAND SANDWICH SANGA2 SANNYA SANTIIMU SANYOOGA SAPA SAQ SASH SATCHEL SATKAAN SATKAANKUU SATURN SAUIL SAUROPOD SAVOURING SAWAN SAX SAXIMATA SAXOPHONE SBRUL SBUB SCALES SCARF SCEPTER SCHOLAR SCHROEDER SCORE SCORPION SCORPIUS SCREAMING SCREWDRIVER SCROLL SCRUPLE SCWA SD SDONG SE-1 SE-2 SE-3 SE-4 SE-5 SEAGULL SEAT SECRET SECTOR SEDNA SEE-NO-EVIL SEEDLING SEENU SEEV SELECTOR-1 SELECTOR-10 SELECTOR-100 SELECTOR-101 SELECTOR-102 SELECTOR-103 SELECTOR-104 SELECTOR-105 SELECTOR-106 SELECTOR-107 SELECTOR-108 SELECTOR-109 SELECTOR-11 SELECTOR-110 SELECTOR-111 SELECTOR-112 SELECTOR-113 SELECTOR-114 SELECTOR-115 SELECTOR-116 SELECTOR-117 SELECTOR-118 SELECTOR-119 SELECTOR-12 SELECTOR-120 SELECTOR-121 SELECTOR-122 SELECTOR-123 SELECTOR-124 SELECTOR-125 SELECTOR-126 SELECTOR-127 SELECTOR-128 SELECTOR-129 SELECTOR-13 SELECTOR-130 SELECTOR-131 SELECTOR-132 SELECTOR-133 SELECTOR-134 SELECTOR-135 SELECTOR-136 SELECTOR-137 SELECTOR-138 SELECTOR-139 SELECTOR-14 SELECTOR-140 SELECTOR-141 SELECTOR-142 SELECTOR-143 SELECTOR-144 SELECTOR-145 SELECTOR-146 SELECTOR-147 SELECTOR-148 SELECTOR-149 SELECTOR-15 SELECTOR-150 SELECTOR-151 SELECTOR-152 SELECTOR-153 SELECTOR-154 SELECTOR-155 SELECTOR-156 SELECTOR-157 SELECTOR-158 SELECTOR-159 SELECTOR-16 SELECTOR-160 SELECTOR-161 SELECTOR-162 SELECTOR-163 SELECTOR-164 SELECTOR-165 SELECTOR-166 SELECTOR-167 SELECTOR-168 SELECTOR-169 SELECTOR-17 SELECTOR-170 SELECTOR-171 SELECTOR-172 SELECTOR-173 SELECTOR-174 SELECTOR-175 SELECTOR-176 SELECTOR-177 SELECTOR-178 SELECTOR-179 SELECTOR-18 SELECTOR-180 SELECTOR-181 SELECTOR-182 SELECTOR-183 SELECTOR-184 SELECTOR-185 SELECTOR-186 SELECTOR-187 SELECTOR-188 SELECTOR-189 SELECTOR-19 SELECTOR-190 SELECTOR-191 SELECTOR-192 SELECTOR-193 SELECTOR-194 SELECTOR-195 SELECTOR-196 SELECTOR-197 SELECTOR-198 SELECTOR-199 SELECTOR-2 SELECTOR-20 SELECTOR-200 SELECTOR-201 SELECTOR-202 SELECTOR-203 SELECTOR-204 SELECTOR-205 SELECTOR-206 SELECTOR-207 SELECTOR-208 SELECTOR-209 SELECTOR-21 SELECTOR-210 SELECTOR-211 SELECTOR-212 SELECTOR-213 SELECTOR-214 SELECTOR-215 SELECTOR-216 SELECTOR-217 SELECTOR-218 SELECTOR-219 SELECTOR-22 SELECTOR-220 SELECTOR-221 SELECTOR-222 SELECTOR-223 SELECTOR-224 SELECTOR-225 SELECTOR-226 SELECTOR-227 SELECTOR-228 SELECTOR-229 SELECTOR-23 SELECTOR-230 SELECTOR-231 SELECTOR-232 SELECTOR-233 SELECTOR-234 SELECTOR-235 SELECTOR-236 SELECTOR-237 SELECTOR-238 SELECTOR-239 SELECTOR-24 SELECTOR-240 SELECTOR-241 SELECTOR-242 SELECTOR-243 SELECTOR-244 SELECTOR-245 SELECTOR-246 SELECTOR-247 SELECTOR-248 SELECTOR-249 SELECTOR-25 SELECTOR-250 SELECTOR-251 SELECTOR-252 SELECTOR-253 SELECTOR-254 SELECTOR-255 SELECTOR-256 SELECTOR-26 SELECTOR-27 SELECTOR-28 SELECTOR-29 SELECTOR-3 SELECTOR-30 SELECTOR-31 SELECTOR-32 SELECTOR-33 SELECTOR-34 SELECTOR-35 SELECTOR-36 SELECTOR-37 SELECTOR-38 SELECTOR-39 SELECTOR-4 SELECTOR-40 SELECTOR-41 SELECTOR-42 SELECTOR-43 SELECTOR-44 SELECTOR-45 SELECTOR-46 SELECTOR-47 SELECTOR-48 SELECTOR-49 SELECTOR-5 SELECTOR-50 SELECTOR-51 SELECTOR-52 SELECTOR-53 SELECTOR-54 SELECTOR-55 SELECTOR-56 SELECTOR-57 SELECTOR-58 SELECTOR-59 SELECTOR-6 SELECTOR-60 SELECTOR-61 SELECTOR-62 SELECTOR-63 SELECTOR-64 SELECTOR-65 SELECTOR-66 SELECTOR-67 SELECTOR-68 SELECTOR-69 SELECTOR-7 SELECTOR-70 SELECTOR-71 SELECTOR-72 SELECTOR-73 SELECTOR-74 SELECTOR-75 SELECTOR-76 SELECTOR-77 SELECTOR-78 SELECTOR-79 SELECTOR-8 SELECTOR-80 SELECTOR-81 SELECTOR-82 SELECTOR-83 SELECTOR-84 SELECTOR-85 SELECTOR-86 SELECTOR-87 SELECTOR-88 SELECTOR-89 SELECTOR-9 SELECTOR-90 SELECTOR-91 SELECTOR-92 SELECTOR-93 SELECTOR-94 SELECTOR-95 SELECTOR-96 SELECTOR-97 SELECTOR-98 SELECTOR-99 SELENA SELFIE SEMISEXTILE SEMK SEMUNCIA SENTAGON SENTI SENTO SEP SEPTEMBER SEPTUPLE SERIOUS SERVICE SESQUIQUADRATE SESTERTIUS SETFON SEUAEQ SEUNYAM SEVEN-THIRTY SEVENTH SEVERANCE SEWING SEX SEXTANS SEXTANT-123456 SEXTANT-135 SEXTANT-246 SEXTILE SEYK SG SGOR SGRA SH2 SHAB6 SHAK SHAKER SHAKTI SHALLOW SHALSHELET SHAMROCK SHAP SHAPE SHARA SHARK SHAVED SHAVIYANI SHAX SHAY SHCHOOI SHE-GOAT SHEENU SHEG9 SHEN SHEP SHEQEL SHESH2 SHESHLAM SHEUAE SHEUAEQ SHEUAEQTU SHEUOQ SHEVA SHEX SHIIN SHINDA SHINIG SHINTO SHIRAE SHIRT SHIYYAALAA SHOA SHOCKED SHOES SHOOI SHOOT SHOOTING SHORT-TWIG-AR SHORT-TWIG-BJARKAN SHORT-TWIG-HAGALL SHORT-TWIG-MADR SHORT-TWIG-NAUD SHORT-TWIG-OSS SHORT-TWIG-SOL SHORT-TWIG-TYR SHORT-TWIG-YR SHORTCAKE SHORTENER SHOT SHOU SHOULDERED SHOVEL SHOWER SHOX SHRA SHRAA SHRINE SHRO SHROO SHRUG SHUANGXI SHUBUR SHUENSHUET SHUEQ SHUFFLE SHUL SHUM SHUO SHUOP SHUOX SHUP SHURX SHUT SHUTTLECOCK SHUX SHV SHWOY SHYA SHYE SHYELE SHYER SHYP SHYR SHYRX SHYT SHYX SI-1 SI-2 SI-3 SI-4 SI-5 SI-6 SIA SICKLE SICKNESS SIDDHI SIE SIEE SIEP SIEX SIGEL SILIQUA SILVER SINE SINGAAT SINKING SINOLOGICAL SINUSOID SIOS-IEUNG SIOS-KAPYEOUNPIEUP SIOS-KHIEUKH SIOS-PANSIOS SIOS-PHIEUPH SIOS-PIEUP-KIYEOK SIOS-SSANGSIOS SIP SIRINGU SIRRAH SISA SIT SITE SIX-LINE SIX-PER-EM SIX-STRING SIX-THIRTY SIXTEENTH-1 SIXTEENTH-2 SIXTY-FOURTHS SK SKAN SKATEBOARD SKIER SKIN SKOBA SKUNK SKW SKWA SLAVE SLAVONIC SLED SLEEP SLEEPY SLEUTH SLIDE SLIDER SLIDING SLING SLOPE SLOT SLOTH SLOWLY SMEAR SMIRKING SNA SNAIL SNAP SNEEZING SNOWBOARDER SO-1 SO-2 SO-3 SO-4 SO-5 SO-6 SO-7 SOA SOCCER SOCKS SOFTBALL SOFTNESS SOFTWARE-FUNCTION SON SONG SONJAM SOON SOP SOQ SORI SOS SOUNAP SOW SOWILO SOX SOY SP SPA SPAGHETTI SPARKLER SPARKLES SPARKLING SPATHI SPE SPEAK-NO-EVIL SPEAKING SPEEDBOAT SPENT SPESMILO SPI SPICE SPINE SPIRANT SPLASHING SPLATTER SPLITTING SPO SPONGE SPOOL SPORTS SPOT SPOUTING SPRECHGESANG SPRING SPRINGS SPROUT SPUNGS SPWA SPY SQUEEZED SQUISH SR SSAA SSANGARAEA SSANGCIEUC-HIEUH SSANGMIEUM SSANGRIEUL-KHIEUKH SSANGSIOS-KIYEOK SSANGSIOS-PIEUP SSANGSIOS-TIKEUT SSANGTHIEUTH SSANGTIKEUT-PIEUP SSANGYEORINHIEUH SSAP SSAT SSAX SSEE SSEP SSEX SSHE SSHIN SSIE SSIEP SSIEX SSIP SSIT SSIX SSOP SSOT SSOX SSUP SSUT SSUX SSY SSYP SSYR SSYRX SSYT SSYX ST2 STA STACCATISSIMO STACCATO STACKED STADIUM STALLION STAN STAND STANDSTILL STARK STARRED STARS STARTING STATION STATUE STAUROS STAVROU STEAMING STEAMY STEM-12 STEM-1234 STEM-2 STEM-23 STEM-234 STEM-2345 STEM-3 STEM-34 STEM-4 STEM-45 STENOGRAPHIC STEP-1 STEP-2 STEREO STETHOSCOPE STILL STIMME STIRRUP STOPPAGE STOPPING STOPWATCH STOVE STRAGGISMATA STRAIF STRAIGHTNESS STRAINER STRATIAN STRATUM-2 STRAW STRAWBERRY STREAMER STRENGTH STRETCH STRICTLY STRIDE STRIKETHROUGH STRIPE STROKE-1 STROKE-10 STROKE-11 STROKE-2 STROKE-3 STROKE-4 STROKE-5 STROKE-6 STROKE-7 STROKE-8 STROKE-9 STUDIO STUFFED STUPA STWA SU-1 SU-2 SU-3 SU-4 SU-5 SU-6 SU-7 SU-8 SUAB SUAE SUAEN SUAET SUAM SUBHAANAHU SUBITO SUBJECT SUBLIMATE-2 SUBLIMATE-3 SUBLIMATION SUBPUNCTIS SUBTRACTION SUCK SUCKING SUD SUD2 SUITABLE SUMASH SUMMER SUNFLOWER SUNSET SUO SUOP SUOX SUP SUPERFIXED SUPERHERO SUPERIMPOSED SUPERVILLAIN SUR9 SURE SURFER SURX SURYA SUSHI SUT SUTRA SUTUH SUX SVETLO SVETLY SWAN SWG SWIMMER SWIMMING SWIMSUIT SWORD SWORDS SWUNG SWZ SY SYA SYI SYMBOL-10 SYMBOL-15 SYMBOL-16 SYMBOL-20 SYMBOL-21 SYMBOL-22 SYMBOL-25 SYMBOL-26 SYMBOL-27 SYMBOL-29 SYMBOL-3 SYMBOL-30 SYMBOL-32 SYMBOL-36 SYMBOL-37 SYMBOL-38 SYMBOL-39 SYMBOL-40 SYMBOL-42 SYMBOL-43 SYMBOL-45 SYMBOL-47 SYMBOL-48 SYMBOL-49 SYMBOL-6 SYMBOL-9 SYMMETRY SYNAFI SYNAGOGUE SYNCHRONOUS SYNDESMOS SYNEVMA SYOUWA SYP SYR SYRINGE SYRMA SYRMATIKI SYRX SYT SYX SZ SZA SZAA SZE SZEE SZI SZO SZP SZU SZWA SZWG SZZ T-REX T-SHIRT T001 T002 T003 T003A T004 T005 T006 T007 T007A T008 T008A T009 T009A T010 T011 T011A T012 T013 T014 T015 T016 T016A T017 T018 T019 T020 T021 T022 T023 T024 T025 T026 T027 T028 T029 T030 T031 T032 T032A T033 T033A T034 T035 T036 TA-1 TA-3 TA-4 TA2 TAAALAA TAAF TAAI TAAM TAAQ TAASHAE TABAARAKA TABS TACO TAEN TAHALA TAILLESS TAISYOU TAK TAKE TAKEOUT TAKHALLUS TALENT TAMALE TAMAN TANA TANABATA TANG TANGERINE TAO TAP TAPER TAQ TARTAR TARTAR-2 TARUNG TAS TASHEEL TASLA TASSI TATTOOED TAUM TAURUS TAVIYANI TAWA TAWELLEMET TAX TAY TE-1 TE-3 TE-4 TE-5 TE-6 TE-7 TE-8 TE-9 TE-U TEA TEACUP TEAPOT TEAR TEAR-OFF TEARDROP-BARBED TEARDROP-SHANKED TEDDY TEEEE TEENS TEGEH TEIWS TEK TELESCOPE TELLER TELU TEMPLE TEN-THIRTY TENGE TENTU TENUTO TEP TERMINATOR TESSARON TEST TETRAFONIAS TETRAPLI TEU TEUN TEUT TEUTEUWEN TEUTEUX TEVIR TEX THAALU THAHAN THAJ THAMEDH THANNA THANTHAKHAT THARI THAW THEA THELE THEREFORE THERMODYNAMIC THES THETH THEY THIAB THICK THIGH THING THINKING THIRD-STAGE THIRTY-ONE THITA THIUTH THOA THOJ THOLHOMA THOM THOU THREE-CIRCLE THREE-DOT THREE-EM THREE-HUNDRED-AND-TWENTIETH THREE-LEGGED THREE-LINE THREE-PER-EM THREE-THIRTY THROWING THUNDERSTORM THUNG THURISAZ THURS THWE THWEE THWI THWII THWO THWOO THYOOM THZ TI-1 TI-2 TI-3 TI-4 TI-5 TI-6 TI-7 TI2 TIARA TICKET TICKETS TIEP TIEX TII TIKEUT-CHIEUCH TIKEUT-MIEUM TIKEUT-SIOS-KIYEOK TIKEUT-THIEUTH TILES TILT TIMER TIN TINAGMA TINCTURE TING TINNE TIPEHA TIPPI TIRED TIRTA TIRYAK TITUAEP TIWAZ TIWR TIX TLEE TLHEE TLHOO TLHU TLHWE TLHYA TN TO-1 TO-2 TO-3 TO-4 TO-5 TO-6 TO-RA TOA TOANDAKHIAT TOCHKA TOILET TOKYO TOLONG TOMATO TOMPI TON TONE-B TONE-D TONE-G TONE-J TONE-M TONE-S TONE-V TONG TONPI TOOLBOX TOON TOOTHBRUSH TORCH TORNADO TORSO TORSO-FLOORPLANE TOS TOUCHES TOURNOIS TOV TOWER TOX TOYOR TR TRACKBALL TRACTOR TRADE TRAILING TRAMWAY TRANSPLUTO TRANSVERSAL TRAP TRAPEZIUM TREADING TREDECILE TRESVETLO TRESVETLY TRI TRIA TRIANGLES TRIFOLIATE TRIFONIAS TRIGORGON TRIISAP TRILL TRILLIONS TRION TRIPLI TRIPOD TRITOS TRIUMPH TROLL TROLLEY TROLLEYBUS TROMIKOLYGISMA TROMIKOPARAKALESMA TROMIKOPSIFISTON TROMIKOSYNAGMA TROPHY TRUMP-1 TRUMP-10 TRUMP-11 TRUMP-12 TRUMP-13 TRUMP-14 TRUMP-15 TRUMP-16 TRUMP-17 TRUMP-18 TRUMP-19 TRUMP-2 TRUMP-20 TRUMP-21 TRUMP-3 TRUMP-4 TRUMP-5 TRUMP-6 TRUMP-7 TRUMP-8 TRUMP-9 TRUMPET TRUNCATED TRUTH TRYASKA TRYASOGLASNAYA TRYASOPOVODNAYA TRYASOSTRELNAYA TRYBLION TSAA TSAADIY TSAB TSEEB TSERE TSHAB TSHEEJ TSHOOJ TSHUGS TSIU TSOV TSSA TSWA TSWB TT2 TTEE TTH TTHEE TTHOO TTHU TTHWE TTSA TTSE TTSEE TTSI TTSO TTSU TTTHA TTU TTUDDAG TU-1 TU-2 TU-3 TU-4 TU-TO TUAE TUAEP TUB TUBE TUGRIK TUKWENTIS TULIP TUMAE TUMBLER TUMETES TUNNY TUO TUOP TUOX TUPNI TURKEY TURKISH TURO2 TURU TURX TUT TUTEYASAT TUTTY TUUMU TUX TUXEDO TVIMADUR TWELVE-THIRTY TWENTY-EIGHT TWENTY-NINE TWENTY-SEVEN TWENTY-SIX TWISTED TWISTING TWO-EM TWO-LINE TWO-THIRTY TXA TXHEEJ TYA TYAY TYE TYI TYO TYPE-1 TYPE-1-2 TYPE-2 TYPE-7 TYR TZA TZAA TZE TZEE TZI TZIR TZO TZOA TZU U-1 U-2 U-3 U-4 U-5 U-A U-AE U-EO-EU U-I-I U-U U-YE U-YEO U001 U002 U003 U004 U005 U006 U006A U006B U007 U008 U009 U010 U011 U012 U013 U014 U015 U016 U017 U018 U019 U020 U021 U022 U023 U023A U024 U025 U026 U027 U028 U029 U029A U030 U031 U032 U032A U033 U034 U035 U036 U037 U038 U039 U040 U041 U042 UAN UANG UATH UBHAYATO UBUFILI UDAAT UDARKA UDD UDUG UEA UEC UEE UEI UEN UEQ UEY UHD UIC UILLEANN UIQ UIUC UIUQ UIUX UIUZ UIX UIZ UJ UMBIN UNA UNAMUSED UNAP UNASPIRATED UNBLENDED UNCERTAINTY UNCIA UNDERDOT UNDO UNEVEN UNG UNICORN UNIFORM UNITED UNITY UNKNOWN UNMARRIED UNY UOG UON UOP UOX UPRIGHT UPSIDE-DOWN UQ UR4 URA URI URI3 URINE URN URUS URUZ USE USH2 USHENNA USHUMX USHX USSU USSU3 UTTHI UTUKI UUU UUU2 UUU3 UUUU UUYANNA UWU UX UYANNA UZ UZHAKKU UZU V001 V001A V001B V001C V001D V001E V001F V001G V001H V001I V002 V002A V003 V004 V005 V006 V007 V007A V007B V008 V009 V010 V011 V011A V011B V011C V011D V012 V012A V012B V013 V014 V015 V016 V017 V018 V019 V020 V020A V020B V020C V020D V020E V020F V020G V020H V020I V020J V020K V020L V021 V022 V023 V023A V024 V025 V026 V027 V028 V028A V029 V029A V030 V030A V031 V031A V032 V033 V033A V034 V035 V036 V037 V037A V038 V039 V040 V040A VAAVU VAJ VAKAIYARAA VALLEY VAMPIRE VAP VAPOURS VARAAKAN VARCA VAREIAI VARIKA VARYS VASIS VASTNESS VAT VATHY VAU VAX VAYANNA VC VECTOR VEGETABLE VEHICLE VEIL VELI VER VERDIGRIS VERGE VERSICLE VERTICAL-00-00 VERTICAL-00-01 VERTICAL-00-02 VERTICAL-00-03 VERTICAL-00-04 VERTICAL-00-05 VERTICAL-00-06 VERTICAL-01-00 VERTICAL-01-01 VERTICAL-01-02 VERTICAL-01-03 VERTICAL-01-04 VERTICAL-01-05 VERTICAL-01-06 VERTICAL-02-00 VERTICAL-02-01 VERTICAL-02-02 VERTICAL-02-03 VERTICAL-02-04 VERTICAL-02-05 VERTICAL-02-06 VERTICAL-03-00 VERTICAL-03-01 VERTICAL-03-02 VERTICAL-03-03 VERTICAL-03-04 VERTICAL-03-05 VERTICAL-03-06 VERTICAL-04-00 VERTICAL-04-01 VERTICAL-04-02 VERTICAL-04-03 VERTICAL-04-04 VERTICAL-04-05 VERTICAL-04-06 VERTICAL-05-00 VERTICAL-05-01 VERTICAL-05-02 VERTICAL-05-03 VERTICAL-05-04 VERTICAL-05-05 VERTICAL-05-06 VERTICAL-06-00 VERTICAL-06-01 VERTICAL-06-02 VERTICAL-06-03 VERTICAL-06-04 VERTICAL-06-05 VERTICAL-06-06 VEST VESTA VEUAE VEUAEPEN VEUM VEUX VEX VEYZ VFA VHA VIBRATION VIDEOCASSETTE VIDJ VIDJ-2 VIE VIEP VIEWDATA VIEWER VIEWING VIEX VIGINTILE VILLAGE VINEGAR-2 VINEGAR-3 VIOLIN VIP VIRGA VIRGO VIRIAM VISARGAYA VIT VITAE VITAE-2 VITRIOL VITRIOL-2 VIX VOCALIZATION VOD VOICELESS VOID VOIDED VOLCANO VOLLEYBALL VOLTAGE VOLUME VOM VOMITING VOOI VOP VOT VOW VOWEL-CARRIER VOX VQ VS VUEQ VULCANUS VUP VURX VUT VUX VW VWA VWJ VX VYP VYR VYRX VYT VYX VZ VZMET W001 W002 W003 W003A W004 W005 W006 W007 W008 W009 W009A W010 W010A W011 W012 W013 W014 W014A W015 W016 W017 W017A W018 W018A W019 W020 W021 W022 W023 W024 W024A W025 WA-1 WA-2 WA-3 WA-4 WA-5 WA-AALIH WA-SALLAM WA-TAAALAA WAAALIHEE WAAJIB WAAVU WADDA WAEN WAFFLE WAI WAIST WALLPLANE WAN WAND WANDERER WANGKUOQ WAQFA WARNING WAS-SALAAM WASSALLAM WASTEBASKET WASTING WAT WATERMELON WATTO WB WE-1 WE-2 WE-3 WE-4 WEAPON WEB WEDDING WEDGE WEEN WELL WEN WEP WET WEUX WEX WG WH WHEELED WHITE-FEATHERED WI-1 WI-2 WI-3 WI-4 WI-5 WIANG WIANGWAAK WIDENING WIGGLES WIGNYAN WILTED WIN WING WINGS WINJA WINK WINTER WIRED WIRELESS WO-1 WO-2 WO-3 WO-4 WO-5 WO-6 WO-7 WOA WOE WOLF WOMEN WOMENS WOON WOP WORDSPACE WORKER WORLD WORM WORRIED WORSHIP WOW WOX WRAP WRAPPED WREATH WRESTLERS WRONG WRY WUAEN WUAET WUI WUN WUNJO WUOP WUOX WUP WVA WVE WVI WZ X-RAY X-X X001 X002 X003 X004 X004A X004B X005 X006 X006A X007 X008 X008A XAA XAPH XAU XAUS XEE XESTES XEYN XG XHA XHEYN XIAB XIE XIEP XIET XIEX XIP XIRON XIT XIX XOA XOP XOPH XOR XOT XOX XSHAAYATHIYA XU XUO XUOX XVE XWA XWAA XWE XWEE XWI XY XYAA XYEE XYI XYO XYOO XYOOJ XYP XYR XYRX XYT XYU XYX Y001 Y001A Y002 Y003 Y004 Y005 Y006 Y007 Y008 YA-1 YA-2 YA-3 YA-4 YA-5 YA-O YA-U YAADO YAAI YAARU YAB YABH YACH YAD YADD YADDH YADH YAEMMAE YAF YAFU YAG YAGHH YAGN YAHH YAKASH YAKHH YAL YAMOK YARN YARR YAS YASH YASS YATH YATT YAU YAV YAW YAWNING YAYANNA YAYD YAZZ YEA YEEG YEIN YENAP YEO-O YEO-U YEO-YA YERAH YESIEUNG-HIEUH YESIEUNG-MIEUM YETIV YEUAE YEUAET YEUM YEUQ YEURAE YEUX YEW YEY YHA YI-U YIEE YIEP YIET YIEX YIH YII YING YIP YIX YIZET YO-1 YO-2 YO-3 YO-4 YO-5 YO-6 YO-A YO-AE YO-EO YO-O YO-YEO YO-YO YOA YOMO YOP YORI YOU YOUTHFUL YOUTHFULNESS YOWD YOX YOY YPORROI YPSILI YRY YU-1 YU-2 YU-3 YU-4 YU-A YU-AE YU-E YU-EO YU-O YU-U YUAEN YUAN YUE YUEQ YUI YUN YUO YUOM YUOT YUOX YUP YUPI YUR YURX YUUKALEAPINTU YUX YYAA YYE YYP YYR YYRX YYT YYX Z001 Z002 Z002A Z002B Z002C Z002D Z003 Z003A Z003B Z004 Z004A Z005 Z005A Z006 Z007 Z008 Z009 Z010 Z011 Z012 Z013 Z014 Z015 Z015A Z015B Z015C Z015D Z015E Z015F Z015G Z015H Z015I Z016 Z016A Z016B Z016C Z016D Z016E Z016F Z016G Z016H ZAEF ZAG ZAI ZAKRYTOE ZAMX ZANOZHEK ZAP ZAPYATYMI ZARL ZARQA ZAT ZAVIYANI ZAX ZAYIN-YODH ZE2 ZEBRA ZELO ZEP ZEUS ZEVOK ZEX ZH ZHAA ZHAIN ZHAP ZHAT ZHAX ZHAYIN ZHEP ZHET ZHEX ZHIL ZHOI ZHOO ZHOP ZHOT ZHOX ZHUO ZHUOP ZHUOX ZHUP ZHUR ZHURX ZHUT ZHUX ZHWA ZHY ZHYP ZHYR ZHYRX ZHYT ZHYX ZI3 ZIE ZIEP ZIEX ZIG ZILDE ZINOR ZIP ZIPPER-MOUTH ZIQAA ZIT ZIX ZMEYTSA ZOA ZOMBIE ZOP ZOX ZRA ZSA ZSHA ZUBUR ZUM ZUO ZUOP ZUOX ZURX ZUT ZUX ZWA ZWARAKAY ZWJ ZYGOS ZYP ZYR ZYRX ZYT ZYX ZZAA ZZAP ZZAT ZZAX ZZEE ZZEP ZZEX ZZIE ZZIEP ZZIEX ZZIP ZZIT ZZIX ZZOP ZZOX ZZSA ZZSYA ZZUP ZZUR ZZURX ZZUX ZZY ZZYA ZZYP ZZYR ZZYRX ZZYT ZZYX","entries":"x:0jm 0i0.1e 0gn.1e 010.3 0zy.3 01ae.3 0wy 0v1 0y.cv 0u.cv 0cs 033.3 0ag 01fl 0br.8n 0j9 0h.5o 11g 11q 11w 12d 12k 13e 13l 13d 13o 0fs 0ri 0an.3 0ey.3 0am.3 0h2.1e 017d.d1 08.7.0.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 0y.1d.3v 0kf.j9 0u.1d.3v 07o.9g 03u.7z 099.9g 08.4.0.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 0y.ew.3v 02h.7z 0u.ew.3v 05h y:01us.jm 08w.i0.1e 02b1.3 01ir.3 0to.3 01c8.3 012o.3j 0dd.3 08f 02bs.3 02fk.2t7.fn 0fo.1m.a5.gn.1e 09r.3 0p9.pt 08mq.3 09l 01dr.3 08ea.3 0hg.1q 11w 06i.9g 07es.3 02uo.3 027.1x 0gq 0hg.1g 07bf.2t7.fn 0f3.1m.a5.gn.1e 0lj.60.1g.9a 32j 21w.ji 08w.h2.1e 08.7.0.o.5.99 56i 57o 55h 58f 54s.1a 3fl 36x.5.gq 31t.5.99 56i 57o 58f 31u.5.99 56i 57o 58f 3xe 34j.5.5h 31p.5.99 56i 57o 55h 58f 0q2.3 08.7.0.1p.5.2a 31h.5.99 56i 57o 58f 36h.5.6i 3z6 14.0.11d.32 3o.5.99 56i 57o 55h 58f 54s.1a 3fl 36x.5.gq 31t.5.99 56i 57o 58f 31u.5.99 56i 57o 58f 3xe 34j.5.5h 31p.5.99 56i 57o 55h 58f 0x9.3 08.4.0.1p.5.2a 31h.5.99 56i 57o 58f 36h.5.6i 3z6 36h.5.8f 17.0.o.5.9l 14.0.o.5.9l 17.0.o.5.b1 14.0.o.5.b1 17.0.o.5.o9 14.0.o.5.o9 17.0.6x.5.6i 14.0.6x.5.6i 17.0.6x.5.7o 14.0.6x.5.7o 17.0.6x.5.1x.1a 14.0.6x.5.1x.1a 17.0.6x.5.d3 14.0.6x.5.d3 17.0.5y.5.d3 14.0.5y.5.d3 17.0.5y.5.2a 14.0.5y.5.2a 17.0.1t.5.9l 14.0.1t.5.9l 17.0.1t.5.b1 14.0.1t.5.b1 17.0.1t.5.1x.1a 14.0.1t.5.1x.1a 17.0.1t.5.o9 14.0.1t.5.o9 17.0.1t.5.d3 14.0.1t.5.d3 17.0.5m.5.7o 14.0.5m.5.7o 17.0.5m.5.b1 14.0.5m.5.b1 17.0.5m.5.1x.1a 14.0.5m.5.1x.1a 17.0.5m.5.gq 14.0.5m.5.gq 17.0.61.5.7o 14.0.61.5.7o 17.0.61.5.2a 14.0.61.5.2a 17.0.1u.5.5h 14.0.1u.5.5h 17.0.1u.5.9l 14.0.1u.5.9l 17.0.1u.5.b1 14.0.1u.5.b1 17.0.1u.5.o9 14.0.1u.5.o9 17.0.1u.5.1x.1a 14.0.ka.1u 17.13.2ja 14.13.2ja 17.0.7y.5.7o 14.0.7y.5.7o 17.0.5q.5.gq 14.0.5q.5.gq 36vy 17.0.3g.5.6i 14.0.3g.5.6i 17.0.3g.5.gq 14.0.3g.5.gq 17.0.3g.5.d3 14.0.3g.5.d3 17.0.3g.5.27.1x 14.0.3g.5.27.1x 17.0.3g.5.2a 14.0.3g.5.2a 17.0.4j.5.6i 14.0.4j.5.6i 17.0.4j.5.gq 14.0.4j.5.gq 17.0.4j.5.d3 14.0.4j.5.d3 48fi.qs.v1 17.0.qx 14.0.qx 17.0.1p.5.9l 14.0.1p.5.9l 17.0.1p.5.b1 14.0.1p.5.b1 17.0.1p.5.1m.6i 14.0.1p.5.1m.6i 17.13.db 14.13.db 17.0.30.5.6i 14.0.30.5.6i 17.0.30.5.gq 14.0.30.5.gq 17.0.30.5.d3 14.0.30.5.d3 17.0.32.5.6i 14.0.32.5.6i 17.0.32.5.7o 14.0.32.5.7o 17.0.32.5.gq 14.0.32.5.gq 17.0.32.5.d3 14.0.32.5.d3 17.0.5n.5.gq 14.0.5n.5.gq 17.0.5n.5.d3 14.0.5n.5.d3 17.0.5n.5.2a 14.0.5n.5.2a 17.0.1h.5.5h 14.0.1h.5.5h 17.0.1h.5.9l 14.0.1h.5.9l 17.0.1h.5.b1 14.0.1h.5.b1 17.0.1h.5.4s.1a 14.0.1h.5.4s.1a 17.0.1h.5.1m.6i 14.0.1h.5.1m.6i 17.0.1h.5.o9 14.0.1h.5.o9 17.0.7f.5.7o 14.0.7f.5.7o 17.0.6h.5.7o 14.0.6h.5.7o 17.0.6h.5.8f 368.5.6i 14.0.68.5.6i 17.0.68.5.1x.1a 14.0.68.5.1x.1a 17.0.68.5.d3 14.0.68.5.d3 354.32 321.5.2a 17.0.21.5.2i 51l2 14.0.21.5.1l2 17.0.3w.3e 14.0.3w.3e 17.0.4m.1p 36x.5.2i 14.0.6x.5.2i 17.0.16o.5y 35y.5.2i 51l2 14.0.5y.5.1l2 34t.kn 17.0.73.1t 3rh 34m.1t 38o.5.2i 14.0.8o.5.2i 17.0.5m.5.2i 3js 14.0.1fk 17.0.bj 31u.5.2a 35q.5.2i 14.0.5q.5.2i 33g.5.3j 31gl.5.2a 17.0.4t.55 34j.5.y.2i 14.0.4j.5.54.u.kt 17.0.1p.5.27.5h 5f9 14.0.1p.5.f9 17.0.1a0 14.0.1a0 17.0.76.5.2i 14.0.76.5.2i 10.38o 17.0.3w.1q 14.0.3w.1q 17.0.l7 10.73.l7.ho 14.0.5n.5.gz.2i 17.0.5n.5.2i 14.0.5n.5.2i 17.0.5n.5.dt.2i 31h.5.f9 14.0.1h.5.f9 17.0.cm 35t.5.2i 36h.5.2i 14.0.6h.5.2i 17.0.68.5.2a 14.0.68.5.2a 17.0.qy 473 14.0.qy.73 45.ae 10.1q.5.2a 17.0.3w.2k 14.0.3w.2k 10.8w.f8.8n.5.2a 21lo 21ou.s4 22m7.s4 227h.s4 2dt.s4 17.0.ts.5.d3 35y.5.4.0.68.5.d3 14.0.ts.5.d3 17.0.2mx 33g.5.4.0.7y 14.0.2mx 17.0.2rn 34j.5.4.0.7y 14.0.2rn 17.0.o.5.d3 14.0.o.5.d3 17.0.1u.5.d3 14.0.1u.5.d3 17.0.1p.5.d3 14.0.1p.5.d3 17.0.1h.5.d3 14.0.1h.5.d3 17.0.1h.5.8f.s.9l 14.0.1h.5.8f.s.9l 17.0.1h.5.8f.s.6i 14.0.1h.5.8f.s.6i 17.0.1h.5.8f.s.d3 14.0.1h.5.8f.s.d3 17.0.1h.5.8f.s.99 14.0.1h.5.8f.s.99 34t.1t 17.0.o.5.8f.s.9l 14.0.o.5.8f.s.9l 17.0.o.5.1x.1a.s.9l 14.0.o.5.1x.1a.s.9l 17.0.fl.5.9l 14.0.fl.5.9l 17.0.5m.5.2a 14.0.5m.5.2a 17.0.5m.5.d3 14.0.5m.5.d3 17.0.5q.5.d3 14.0.5q.5.d3 17.0.1p.5.o9 14.0.1p.5.o9 17.0.1p.5.o9.s.9l 14.0.1p.5.o9.s.9l 17.0.qy.5.d3 14.0.qy.5.d3 37y.5.d3 17.0.ts 35y.5.4.0.68 14.0.ts 17.0.5m.5.6i 14.0.5m.5.6i 17.0.2it 31lo 34j.5.99 14.0.4j.5.99 17.0.o.5.4s.1a.s.6i 14.0.o.5.4s.1a.s.6i 17.0.fl.5.6i 14.0.fl.5.6i 17.0.1p.5.2a.s.6i 14.0.1p.5.2a.s.6i 17.0.o.5.1m.99 14.0.o.5.1m.99 17.0.o.5.8w.b1 14.0.o.5.8w.b1 17.0.1t.5.1m.99 14.0.1t.5.1m.99 17.0.1t.5.8w.b1 14.0.1t.5.8w.b1 17.0.1u.5.1m.99 14.0.1u.5.1m.99 17.0.1u.5.8w.b1 14.0.1u.5.8w.b1 17.0.1p.5.1m.99 14.0.1p.5.1m.99 17.0.1p.5.8w.b1 14.0.1p.5.8w.b1 17.0.30.5.1m.99 14.0.30.5.1m.99 17.0.30.5.8w.b1 14.0.30.5.8w.b1 17.0.1h.5.1m.99 14.0.1h.5.1m.99 17.0.1h.5.8w.b1 14.0.1h.5.8w.b1 17.0.32.5.ag.1v 14.0.32.5.ag.1v 17.0.5n.5.ag.1v 14.0.5n.5.ag.1v 17.0.38m 14.0.38m 17.0.61.5.d3 14.0.61.5.d3 17.0.4j.5.54.u.kt 14.0.5y.5.jq 17.0.yg 14.0.yg 17.0.68.5.2i 14.0.68.5.2i 17.0.o.5.1x.1a 14.0.o.5.1x.1a 17.0.1t.5.gq 14.0.1t.5.gq 17.0.1p.5.8f.s.9l 14.0.1p.5.8f.s.9l 17.0.1p.5.5h.s.9l 14.0.1p.5.5h.s.9l 17.0.1p.5.1x.1a 14.0.1p.5.1x.1a 17.0.1p.5.1x.1a.s.9l 14.0.1p.5.1x.1a.s.9l 17.0.6h.5.9l 14.0.6h.5.9l 33g.5.jq 34j.5.jq 35n.5.jq 3ka.7y 32co.g6 38ir.g6 17.0.o.5.2a 36x.5.2a 14.0.6x.5.2a 17.0.3g.5.3j 35n.5.43.2a 14.0.32.5.15w.ae 368.5.15w.ae 17.0.f8.8n 14.0.f8.8n 17.0.21.5.2a 31h.3j 34t.5t 31t.5.2a 14.0.1t.5.2a 17.0.7y.5.2a 14.0.7y.5.2a 17.0.4.aj.5.2i.ae 14.0.aj.5.2i.ae 17.0.30.5.2a 14.0.30.5.2a 17.0.6h.5.2a 14.0.6h.5.2a 34t.o 38t 34t.8t 321.5.2i 34m.1p 36x.5.jq 35y.5.ae 52i 373.1t 3rh 45.2i 34m.1t 373.4m.1t 65.2i 3bv.73.4m.1t 3ka.7y.5.2a 35m.5.2i 3v.5m 10.4.7.5m 14.0.js 31wz.f9 34t.61 361.5.2i 318i.5.2i 31u.5.2a 3bj 10.4.7.1u 14.0.3g.5.27.5h 5s0 5dt.2i 31gr 34t.55 55.54.kt 355.5.2i 34j.5.y.2i 5dt.2i 10.4.7.4j 14.0.rz.1p 10.4.7.db 14.0.bv.8p 3ir 34t.30 55.54.kt 62i 330.5.54.kt 5ae 5xg 373.30.5.xg 10.4.7.30 48w.30 14.0.32.5.2i 3l7 3ka.7y.5.2a.s.2i 331v.73.l7 3l7.5.jq 34t.5n 35n.5.dt.2i 31h.3j 3cm 35t.5.2i 34t.5t 47f 46h 10.4.7.6h 14.0.68.5.dt.2i 5jq 3qy 45.jq 10.f8.8n 2yj.uy.607 28w.f8.8n 2it.6x 21mz.s4 24.7.21 14.0.bv.4m.1t 10.4.7.5m.5.2i 461 14.0.7y.5.ve 34t.5q 10.4.7.3g 14.0.aj.5.2i 10.f8.8n.5.2a 273.f8.8n.5.2a 14.0.ts.g6 31dv.g6 3ts.g6.5.jq 31l5.g6 31kr.g6 333q.g6.5.jq 31pr.g6 32n5.g6 32nf.g6 10.1mz.2u5 249d.2u5 14.0.4t.61.5.xg 7s.ae 01o.0.4.61 45.2i 37y 330 34t.30 55.2i 37.8w.30 37f 36h 2rg 21m.rg 24t.ag 2v1 273.ag 2u.2j.4s 2y.2j.4s 2f8.8n 273.f8.8n 2y.8e 2u.8e 235.8e 23k.8e 27o.9g 0d3 01o.0.2h.7z 29l 26i.9g 299.9g 23u.2h.7z 39l 399.9g 36i.9g 2k6.fs 22j.k6.fs 2v8.u.2j.4s 3y.2j.4s 235.fe 23k.fe 233.3 2i7.3 0b1 01x.1a 04s.1a 0o9 04.5h 01m.6i.9g 01o.0.8np.2i 2bo.9g 24.js 33g 332 375 373.f8.8n 21ek.3w.3j 246.3w.3j 210v.3w.3j 23u.3w.3j 21el.3w.3j 2wu.1ov.3w.1e 2ru.1ov.3w.1e 2375 29ua 21m.v1 23u.3k.8e 335.8e 3y.8e 3u.8e 34s 227.99.9g 31m.99.9g 46i.9g 23u.5h 2f2.fs 2ti.46.3w 2e7.46.3w 2ti.3u.3w 2e7.3u.3w 2302 24m.302 23u.y.t 012.99.9g 16i.9g 17o.9g 15h 19l 1yh 1b1 11x.1a 18f 12i.1a 14s.1a 11m.6i.9g 1d3 12h.7z.1a 11m.2h.7z.1a 299.9g 1f6 18w.b1 14t.ag.1a 1ag.1a 173.ag.1a 1ag.1a.u 199.9g.1v 16i.9g.1v 1y.fe.1v 1u.fe.1v 1y.a5.1a 1f9 1y.2j.4s.1v 135.fe.1v 13k.fe.1v 133.3.1v 1i7.3.1v 189a.2i.1v 1dt.2i.1v 11x.1v 18f.1v 14s.1v 1ag.1v 1gq 1o9 12h.7z.1v 112n.1v 18w.1m.27x.1v 1d3.1v 17o.9g.1v 1b1.1v 18w.b1.1v 15h.1v 19l.1v 13u.7z 11m.3u.7z 15h.j6 18k.2a.j6 154.2a.j6 18k.j9.j6 154.j9.j6 1u.2j.4s.1v 18w.12n.1v 11d.1v 18v7.1v 175.1a 12h.5h 11m.yh 199.3w.1e 16i.3w.1e 114.cq 21sa 2mf.lg 2ep 112n.1a 1ey.3.1v 11m.2h.7z.1v 1y.a5.1v 19r.5h.1a 12im.1a 1mw.50.20.1a 1y.u.t.1v 15j.t.1v 1672.10l 1u.8e.1a 1y.2j.4s.1a 11ps 175.1v 1y.8e.1v 1u.8e.1v 3s.35.8e.1v 22j.4s.1a 11x.1a.u 1cs.1v 11m.4s.1v 1qm.1a 11m.b1.1v 3 29l 31v 25h 28w.b1 22u.t.1v 18.4.0.o 41t 41u 41p 41h 46x 45y 461 455 430 45n 45t 475 014.7.0.2i4 14.0.2i4 17.0.e4.15h 14.0.e4.15h 162.3 123.62.3 17.0.2tn.133 14.0.2tn.133 3:1ep 14.73.ua.id.d 2dq.ua.id.d 273.dq.ua.id.d 1h2.1e 17.0.1c9 5:1lg 1mf.lg 17.0.8t.5.lg 1wz.33t 17.0.ef.5.lg 3b9.5.lg 3bj.5.lg 2:3gl.5.lg 2:3cm.5.lg 38p.5.lg 14.0.bj.5.mf.s.lg 17.0.8t 3l3 3js 3kn 3ef 3ql 3b9 3iu 3bj 3lt 3p2 3dy 3fz 3ol 3gl 3bx 3he 2:3id 3m3 3cm 3ir 3hz 3mn 38p 3bj.5.mf 3cm.5.mf 14.0.8t.5.lg 3ef.5.lg 3b9.5.lg 3bj.5.lg 3cm.5.mf.s.lg 38t 3l3 3js 3kn 3ef 3ql 3b9 3iu 3bj 3lt 3p2 3dy 3fz 3ol 3gl 3bx 3he 31n.id 3id 3m3 3cm 3ir 3hz 3mn 38p 3bj.5.mf 3cm.5.mf 3gl.5.lg 3cm.5.lg 38p.5.lg 17.14b.d 1l3.d 1iu.d 1cm.5.2i.d 36i.s.2i.d 38f.s.2i.d 1ir.d 1bx.d 114b.d 10.e4.14i 14.0.e4.14i 10.1yy 14.0.1yy 10.133 14.0.133 10.14i 14.0.14i 10.15h 14.0.15h 02w.7.0.yt 14.0.yt 17.0.2fj 14.0.2fj 17.0.14e 14.0.14e 17.0.141 14.0.141 17.0.13p 14.0.13p 17.0.11e 14.0.11e 17.0.2d1 14.0.2d1 014.lt.d 1he.d 1ua.id.d 10.1c9 17.iu.d 1ua.ef.d 173.ua.ef.d 17.0.sv 14.0.sv 17.ua.id.d 20.15i 14.0.15i 1he.5.2a.d 17.73.ua.id.d 2dq.ua.id.d 273.dq.ua.id.d 017.7.0.l8.5.99 31rg 31e0 31qk 320v.l8 3vh 3175.1u 3a 3pw 31gt 3yd 335g 32l4 31u.5.99 38k.1h 31pa 3o 3ma 3li 3kb 3j0 3l8 3m6 3jd 31u 38k.1u 32p 3im 3kp 3b3 31p 3cf 3n3 3ny 3eo 31h 3qw 33p 3nm 3hy 380 31xy 3se.3 3pf 3p9.3 31t 3e3 34v 14.0.o 3ma 3li 3kb 3j0 3l8 3m6 3jd 31u 38k.1u 32p 3im 3kp 3b3 31p 3cf 3n3 3ny 3eo 31h 3qw 33p 3nm 3hy 380 31xy 3se.3 3pf 3p9.3 31t 3e3 34v 3l8.5.99 31rg 31e0 31qk 320v.l8 3vh 3175.1u 3a 3pw 31gt 3yd 335g 32l4 31u.5.99 38k.1h 31pa 17.0.8p 14.0.8p 17.0.uz 14.0.uz 17.0.n5.1t 14.0.n5.1t 17.0.93.gg 14.0.93.gg 17.0.n5.93.gg 14.0.n5.93.gg 17.0.nr.gg 14.0.nr.gg 17.0.n5.nr.gg 14.0.n5.nr.gg 17.0.1gd 14.0.1gd 17.0.mn 14.0.mn 17.0.107 14.0.107 17.0.148 14.0.148 17.0.148.5.1m.99.9g 14.0.148.5.1m.99.9g 17.0.ze 14.0.ze 17.0.qc.8p 14.0.qc.8p 17.0.8p.5.1bm 14.0.8p.5.1bm 17.0.1i6 14.0.1i6 17.0.14i 14.0.14i 1z7.3 012.17.1bm 2899 27i.2uz 286.2uz 28em 240.z7.3 210w.3 017.7.0.8k.1u.5.ae 14.0.8k.1u.5.ae 17.0.2y1.3 14.0.2y1.3 17.0.n3.5.lf 14.0.n3.5.lf 17.0.kb.5.1lf 14.0.kb.5.1lf 17.0.kb.5.2a 14.0.kb.5.2a 17.0.kb.5.27.2i 14.0.kb.5.27.2i 17.0.m6.5.dw 14.0.m6.5.dw 17.0.jd.5.dw 14.0.jd.5.dw 17.0.2p.5.dw 14.0.2p.5.dw 17.0.2p.5.2h.2a 14.0.2p.5.2h.2a 17.0.2p.5.2a 14.0.2p.5.2a 17.0.28t.2p 14.0.28t.2p 17.0.b3.5.dw 14.0.b3.5.dw 17.13.b3.kb 14.13.b3.kb 17.0.cf.5.27.2i 14.0.cf.5.27.2i 17.0.wv.3p 14.0.wv.3p 17.0.ny.5.dw 14.0.ny.5.dw 17.0.eo.5.dw 14.0.eo.5.dw 17.0.en.1h 14.0.en.1h 17.0.en.1h.5.2a 14.0.en.1h.5.2a 17.0.3p.5.dw 14.0.3p.5.dw 17.13.eo.nm 14.13.eo.nm 17.0.hy.5.dw 14.0.hy.5.dw 17.0.hy.5.2h.2a 14.0.hy.5.2h.2a 17.0.1jv 14.0.1jv 17.0.wv.hy 14.0.wv.hy 17.0.wv.hy.5.dw 14.0.wv.hy.5.dw 10.1vf 17.0.m6.5.b1 14.0.m6.5.b1 17.0.2p.5.2i 14.0.2p.5.2i 17.0.im.5.ae 14.0.im.5.ae 17.0.b3.5.2i 14.0.b3.5.2i 17.0.b3.5.ae 14.0.b3.5.ae 17.0.2kt.hy 14.0.2kt.hy 17.0.kp.5.ae 14.0.kp.5.ae 31vf 17.0.o.5.b1 14.0.o.5.b1 17.0.o.5.8f 14.0.o.5.8f 17.13.o.l8 14.13.o.l8 17.0.l8.5.b1 14.0.l8.5.b1 17.0.rh 14.0.rh 17.0.rh.5.8f 14.0.rh.5.8f 17.0.m6.5.8f 14.0.m6.5.8f 17.0.jd.5.8f 14.0.jd.5.8f 17.0.wv.vh 14.0.wv.vh 17.0.1u.5.9l 14.0.1u.5.9l 17.0.1u.5.8f 14.0.1u.5.8f 17.0.1p.5.8f 14.0.1p.5.8f 17.0.rz.1p 14.0.rz.1p 17.0.rz.1p.5.8f 14.0.rz.1p.5.8f 17.0.1t.5.8f 14.0.1t.5.8f 17.0.1h.5.9l 14.0.1h.5.9l 17.0.1h.5.8f 14.0.1h.5.8f 17.0.1h.5.1m.6i 14.0.1h.5.1m.6i 17.0.hy.5.8f 14.0.hy.5.8f 17.0.kb.5.dw 14.0.kb.5.dw 17.0.pf.5.8f 14.0.pf.5.8f 17.0.kb.5.2a.s.2i 14.0.kb.5.2a.s.2i 17.0.3p.5.2i 14.0.3p.5.2i 17.0.3p.5.2a 14.0.3p.5.2a 17.0.n7.j0 14.0.n7.j0 17.0.n7.1e0 14.0.n7.1e0 17.0.n7.39e 14.0.n7.39e 17.0.n7.2e8 14.0.n7.2e8 17.0.n7.1gt 14.0.n7.1gt 17.0.n7.yd 14.0.n7.yd 17.0.n7.313 14.0.n7.313 17.0.n7.1kx 14.0.n7.1kx 17.0.73.jd 14.0.73.jd 17.0.im.5.2i 14.0.im.5.2i 17.0.xy 14.0.xy 17.0.wb 14.0.wb 17.0.1c5 14.0.1c5 17.0.k1 14.0.k1 17.0.ik 14.0.ik 17.0.27b.2p 14.0.27b.2p 17.0.im.5.27.2i 14.0.im.5.27.2i 17.0.b3.5.27.2i 14.0.b3.5.27.2i 17.0.cf.5.dw 14.0.cf.5.dw 17.0.1jv.5.dw 14.0.1jv.5.dw 17.0.b3.5.y.2i 14.0.b3.5.y.2i 17.0.2ec 14.0.2ec 17.0.2cp 14.0.2cp 17.0.im.5.dw 14.0.im.5.dw 2:06a.7.0.1mk 31my 31qj 35a 313b 3c6 3s8 3ps 320 3m6 31rc 32mw 321g 37u 314d 3hm 37p 32h3 32b8 3sm 3a 31ht 380 3ux 38u 3w6 32jx 34b 32xy 3211 334k 3em 3qt 321s 31w3 31s1 319z 3eg 3:11o.0.y.2j.4s 1v1 12ew.1e 1i0.1e 1ag 1h2.1e 1ki.1e 14.0.4t.1mk 31mk 31my 31qj 35a 313b 3c6 3s8 3ps 320 3m6 31rc 32mw 321g 37u 314d 3hm 37p 32h3 32b8 3sm 3a 31ht 380 3ux 38u 3w6 32jx 34b 32xy 3211 334k 3em 3qt 321s 31w3 31s1 319z 3eg 213.13b.21s 20.a.5.2a 1br.8n 1pt 3:0ob.6a.1ph.3 0o6.6a.1ph.3 06a.2dx.3 2:045.9g.5u4 21xr 293m 2397.2vm 362o 29lv 28nj 2acx 28am 2a9c 29jp 21qe 37id 22gv 28ht.2tq 233u.63l 28b3 23zx.690 27i5 27a9 22pc 36s7 25d6 28ho 233u.8hy 2a99.1my.aaa 2870 26lq 25el 2aea 11e.7bh.2y 1ht.949 21qt.1xr 31id 31iv 22id 29pb 21xr 21id 21iv 21qz 369v.1c.16a 28jb 2iz.6e.1t8 27d4 159.7b0 1ht.1j1 159.8ak 1ht.fq.1x 21k4.1x 159.31f.8at 11e.28.1x 223.1x 159.ap.691 1ht.1iv.2vm 9:10.3m 212j 2n4 21do 2dx 216a 2ph 22i3 211v 2v0 21n.c1 2c1 21gm 21n.lb 2lb 21n.ap 2ap 2ne 2qp 21n.cf 2cf 21n.20k 220k 21wv 2qb 2fq 21zm 5:1v0.4u 113.1lt.1m.16a 316a.v0 31m.v0 159.1qe 22gv c:09.10.3 13.8u0 12fy.ud 13.2xh 28ty 110.1e.1a 0f5.1od.11a 11ex.11a 09.2w6 0f5.1ad.2pq.3 27e.57.3 03v3.3 09.ag 12cn.ib 18ej.210.3 13.7ft 22xl.16p.a3k 216p.3zh 28lm.16p 215c.3wb.3x6 29ht 14.46.dz 313.3m.5.8l.5.2v 3np 2ow 2s7 2p1 1ri 10.1e 1e7.2f.wm.1e 1a9.1x.59.1e 1h2.1e 10.2kg.2v 27x 23m.5.r9.1a 47x.1a 2dv.5.7x.1a 23m.5.7x.1v 22v.5.7x.1a 23m 2d2 2bu.1h1 3 2ja 25p 251 29i 2km 2z4 2em 2np 2c5 2de 2fi 2fu 2dz 2pg 2d0 2i2 2r4.5.1q.41.1a 41w.41.1v 2ov.2v.5.8w.5t 51q.41.1a 51w.41.1a 115x 10.eg 2f1 2c1 28l 22s 29n 2cc 2dv 23m.9e 22v 1105 117i 118y 1ow 1s7 1p1 1p8 1wk 12oo.1a 17x.1a 21v 19s.3m 18w.s7 11e.9n.18a 1aex 1j.3.4.5t.1a 38w.4.5t.1a 31x.1v 173.s7 1ow.5.1q.41 1t9.7x.1v 0f5.h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 09.1ae.3 11or.ib 1z7.ib 12k.el.ak 10.ka.d2 3f1 2hg.3m 23m.1lj 35.t9.7x.1a 61v 246.7x 43m 4dv 21h.5.7x.1a 246.7x.2v 2165 21br 216y 2bu.5.4s 41w.41.1a.5b 2w6 21bg 216z 251.5.7x.1a 41q.41.2h.1a 219x 217q 251.5.1w.41.1a 211r 21bf 21oo 2km.5.4s 41x.1v 6s.4.dz 21oj 21on 21p7 2km.5.1w.41.1a.5b 42d.41.1a 21xh 2em.5.4.5t 44s 41x.1v 44.5t.1v 41x.1v.s.1x.1a 41q.41.1a 21rn 2em.5.2d.41.1a 2c5.5.1x.1v.s.1x.1a 41w.41.1v 7s.1w.41.1a 2fi.5.1q.41.1v 41w.41.1a 2dz.5.1w.41.1a 2d0.5.1w.41.1a 2ka.eg 2eg.5.1x.7hc.1v 51v 21bz 2eg.5.1w.41.1v 21ab 2f1.5.1x.1a 41w.41.1a 2r4 215w.c1 2c1.5.4s 41x.1a 2kw 2c1.5.1w.41.1v 2u2 35.4s 219s 2u2.5.1q.41.1v 218g 2u2.5.1w.41.1a 28l.5.4.5t 41x.1a 41w.41.1a 61v 29n.5.1x.1v 318a 21aw 29n.5.4s 41w.41.1a 2cc.17n 211r.5.1x.1a 2cc.5.2v.1a 3xk 45.7x.1a 2bu.1h1.xk 2dv.5.4s 2sh.db 2db 21h 2e3 2sh.e3 2dv.5.1q.41.1a 2li 2ov.2v 22v.5.ae 44.5t 2dv.5.1x.1a 21t 22v.5.1w.41.1v 3v4 45.7x.1a 1br.8n 10.fl 14.46.13.fi.5.8l.5.3m.9e 4f1.5.8l.5.3m.9e 32s.2r.k 38l.3m 35p 31w.41 3c5 1e7.2f.28d 1rm.2f.1jj.im.6c8 14.46.og.5o 39ut.1x2.5o 3ka.eh.2f.9i 32s.2e.k 23u.c5 246.r9 2dv 22v 246.2v 39n 1115.2f.8tg 1nw.6c.3u.8n 346.8n 1og.46.8n.5.2fm.6c 14.3u.2s 10.km.5.8w.5t 2em.5.8w.5t 0j2.f5.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 09.0.de.5.1x.1v 2fu.5.1x.1v 2i2.5.1x.1v 13.30t.wy 38f2.sm 10.cc.5.8w.5t 06s.e7.2f.1a8 11za.br.8n 11z8.br.8n 11za.fs 11z8.fs 147.fs 1fs.1k6.y 3u 11za.fs.1k6.y 11z8.fs.1k6.u 1582 11qs.7zy 27d6 23zj 2:1ki.1e 10.279 2hg.279 2mb 22gh 32gk 22ca 2ka.2ca.1xc 2dx 2dv 2np 2o0 2t3 32gk 238s 3dx 2n6 26zy 21ha 2ap 22y3 21n.2y3 21t 2cf 273.cf 2nd 28hr 21xc 2fq 2mt 2bt.29b 364x 35fg 11wk.1a 21v 2dq 1222.1a 21v 2dq 12w7.1a 21v 1dq.39g.47 33x3 12hy.1a 21v 16a4.dq 12f6.1a 21v 18r2 12fk.1x 18jr 18ql 11q.2h.41.1a 41v 11w.41.1a 31v 1mm.7z.1a 31v 11hf 147a 3:10.79.adb 32kw 3qz 09.0.d2.5.1w.41.1r1.1v 41x.1v.s.1w.41.1a 41w.41.8a.5j.1v 9s.1q.41.1a 41q.41.1v.s.1x.1a 48w.4.5t.1v 44.5t 251.5.1q.41.1a 41w.41.8a.5j.1v 2km.5.1q.41.t8.1v.s.4.dz 48w.4.5t.1v 2em.5.2a 2c5.5.2d.41.1a 2d0.5.1q.41.1a 41w.41.8a.5b.1a 41q.41.t8.1a 2eg.5.1q.41.1v 41w.41.8a.5j.1v 2r4.5.1x.1a 41w.41.1a 68a.5j.1v 22s.5.1x.1a 51v 29n.5.1q.41.1v 44.dz 55t 28l.5.3j 2em.5.1q.41.t8.1a 47x.1a 2c5.5.1q.41.t8.1a 251.5.4.9.0.dz.1v 8s.1q.41 2c5.5.4.9.0.dz.s.1q.41 2em.5.4.9.0.dz.s.1q.41 251.5.4.9.0.dz.1a 23m.5.j2.f5.h.1q.1a 71w.1a 2ov.2v.5.j2.f5.h.1q.1a 81w.1a 82d.1v 2dv.5.j2.f5.h.1q.1a 71w.1a 22v.v4.5.j2.f5.h.1q.1a 81w.1a 251.5.j2.f5.h.2d.1v 2c5.5.j2.f5.h.2d.1a 48w.5t 2c1.5.1q.41.1a 0c8.0.sd 293t 27sm 21aq 21cr 271j 26qo 23w7 29xu 27cj 25wu 25fd 21bi 26ya 262m 266b 28ve 25db 2acz 29if 216i 28b0 26nt 24fy 235m 22i6 22kr 29jr 2394 293y 28t7 25ci 220 2rw 23vo 264w 28hm 2a36 13u7 13rk 16jl 15s6 19tj 187c 15s1 15ux 1802 17zu 1wk 10.14v f:0ab.h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 10.o 2ct 21u 21t 21h 2bs 21p 25cp 24j 25w 249 24y 27p 28u 25a 24b 2k2 256 21qb 2d9 22p 24p 24q.37r 24l 294 24q 23p 28h 24v 294.37r 21rp.7p 38u 34b 112.8k.46.3w 33u.3w 3oc.3w 254.1ow.3w 346.3w 33u.3w 3oc.3w 21hj.1e 21m.1x.1a 146.3w.v1 13u.3w.v1 1d.bs.5ew 2638 1ag 1i0.1e 16yr 3:15d4 15hx.3 19hw.3 0ad.0.3vy 229i 262t 25cx 21rk 21cr 21cb 218q 234i 21lw 22k8 26ye 21ha 2ap 296j 29w 2s9 29p8 28je 21xc 2cx 29he 11e.9w 26m2 2807 2iz 11o.0.2f2.1lw 11e.2f2.1lw 1j.3.54.1t 31t 32te.69 354.69 369 32te.o 354.o 3o 11o.0.8k.o 1j.3.8k.o 354.1h 31h 11o.0.1u 1j.3.54.1u 31u 31p 3wk 11e.2r0 3:159.2r0 23v5 23ww 247h 23zw 294h 1ki.1e 159.7cq.2vo 2aed 22vo 2aco 29qo 23yn 231f.7bg 23xd 2:0gx.0.69c 2je 21ce 2ww 2on 29v6 228f 218q 23zz 23vu 212a 2lk 2tf 2eq 2nq 29w 227p 23zq 216t 21me 2b7 2d1 25px 26qu 2d0 13v2.1e 1a10.1e 110d.1e 3:159 2:06s.0.4c.7q 37p 394 3bg 3co 319v 3ch 34b 3gu 310q 3du 6:09.0.3m.5.k9.ow 58g.u.ow 4u.27.2a 4y.27.2a 4k9.p1 59q.u.p1 5qc.1x.1a 5u.qc.1x 5y.qc.1x 5qc.1x.1v 41x.1a 4k9.8g.u.ow.s.1x.1a 4u.27.2a.s.1x.1a 4k9.9q.u.p1.s.1x.1a 58g.u.ow.s.y.4s 4u.27.2a.s.y.4s 4k9.9q.u.p1.s.y.4s 5u.7x 5y.7x 115x.5.2tg.7x 4dv 31q.41.1v 10.1ks.2v 128s.qc.1x 1f2.qc.1x 10.9n.5.8w.4.5t 251.5.8w.4.5t.1v 2dz.5.1x.1v 41w.41.1v 2r4.5.1q.41.t8.1v 12h.ae 2:11ir.1e.1a 18cs.1e.1a 6:11ih 14.46.il.3vw 23u.il.6n9 46ls 49i9 1r9.a35 1hg.3m.7gn 117p.r9 12j.r9.4d.r9 10.d2.5.4.5t.1v 47x.1a 25p.5.1q.41.1a 2dz.5.1q.41.1a 2eg.5.1x.1v.s.1w.41.1a 2f1.5.1x.1v 28l.5.1m.3j 22s.5.1w.41.1a 22v.5.1q.41.1v.s.7x.1a 81x.1a 2em.5.ho 2dv.5.1x.123 2c4.2v 23u.3m 2km.5.1w.41.1v 2fi.5.1w.41.1v 2u2.5.8w.2a 2en.dv 2np.5.8w.5t.1a 2d0.5.1w.41.1v 2c1.5.1x.1v 2f1.5.1x.1v.s.ea.41.1a 2d2.5.4.2s.1a 2w6.5.4.2s.1a 2bu.5.4.bu.1a 2em.5.4.9n.1a 22v.5.1q.41.1v.s.4.9n.1a 216o.eg 3f1 39n 2w6.5.4.5t 2bu.5.4.5t 2165.5.4.5t 211r.5.4.5t 2r4.5.4.5t 2i2.5.1w.41.1a 216o.f1.5.1w.41.1a 25p.5.1w.41.1a 61v 28l.5.4.9.0.dz.1a 266y 14.ov.2v 246.ov.2v 32v.v4.5.1q.41.1v 3il.2xi 3pg 13n.qc.1x.1a 41v 1wk.1v 13n.2y.1v 2qc.1x.l9.2y.1v 14.3u.dv 246.il.3ya 3fi 3d0 3f1 39n.5.p1 23u.9n.5.p1 246.il.3zr 43z6 43wr 42xj 48ii 4a3h 32fy.ud 33.2xh 15gv.e7.2f.28d 14t.s7.1v 1ew.ow 2s7 2p1 2105 217i 218y 13w.1g.1x.1a 21q.41.1a 2ho.1a 21g.1x.1v 21q.41.1v 2ho.1v 14m.105 217i 218y 14.46.dv 1ow.5.4s 31x.1a 1p1.5.1x.1v 1y.8e.1a 1u.8e.1a 1y.8e.1v 1u.8e.1v 11m.u.8e.1a 55.1x 1u.8e.1a.5.1x 1s7.5.1x 11e.ld.9n.18a 03b.3.8w.f6 2f6 2av 2e1 10.8k.o 2o 269 21u 278 21h 288 23h.30 33g 2my.1t 28k.1t 21t 26z 2my.1p 28k.1p 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 219v 249 2aq 25w 2ch 24l 24v 24b 2k2 24p 2gu 210q 2ao 280 2du 256 23p 1j.3.db 32t3 13.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 3my.1t 38k.1t 31t 36z 3my.1p 38k.1p 31p 37t 13.dh 1j.3.1wj.1t 31cq 1oa 11ba.3.1lb 312c 199.9g 16i.9g 1j.3.my.54.1t 3jb 320x 10.k1 22kx 21qh 2c6 22cr 2wb 2d9 21lx 23h.do 3ei 1j.3.3h.3g 4ei 1ex 11m.ex 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1ki.3 13.46.1yn.1x 10.my.o 2db 22t3 21cq 2jb 220x 27bd.bh 2jo 22g.4v 213r 218t 2f8.8n 21dq 2zn 06b.1ma 13.f6 2av 2e1 2:10.o 269 21u 278 21h 288 23h.30 33g 3:21t 26z 3:21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2:24p 4:280 2du 256 23p 3:13.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 3:31t 36z 3:31p 37t 13.dh 10.2ku.4y 9:17t.lu.1e 5:10.k2 2wb 2:21lx 23h.do 3ei 1j.3.3h.3g 4ei 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 10.4b.5.27.43 423.43 1yp.1e 23 1to.151.1g 31q 31w 32d 31g.71a.160.dg.2d3 22d3.sx 12jp 162w.1e 10.c9.av 1ki.3 1wd.1e 3:07w.3.3ui.29f 229f 2e1 2:10.o 269 21u 278 21h 288 5:2ct 26z 3:2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2:24p 2gu 2:2ao 280 2:256 23p 3:13.i8 2:1j.3.69 31u 378 31h 388 5:3ct 36z 3:3bs 37t 13.dh 4:29tk 8:10.2kx 21qh 2c6 2k2 2:2d9 8:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 19lw 13uj 16n2 19ux 113c.87a 13.a8k 1ki.3 b:06l.3.f6 2av 2e1 2:10.o 269 21u 278 21h 288 23h.30 33g 1j.my.1t 2:10.1t 26z 1j.my.1p 2:10.1p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2:24p 2gu 2:2ao 280 2du 256 23p 3:13.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 3my.1t 2:31t 36z 3my.1p 2:31p 37t 13.dh 3:1oa g:10.3h.do 3ei 1j.3.3h.3g 4ei 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1ki.3 1yp.3 8:10.jo 13.wk 2p8 22oo 29kl.i8.1a 22y.i8.1a 220t.i8.1a 2:06p.3.f6 2av 2e1 2:10.o 269 21u 278 21h 288 23h.30 33g 3:21t 26z 3:21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2:24p 2gu 2:2ao 280 2du 256 23p 3:13.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 3:31t 36z 3:31p 37t 13.dh 8:2yh 16z.lu.1e 17t.lu.1e 5:10.k2 2wb 2:21lx 23h.do 3ei 1j.3.3h.3g 4ei 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 12jp 10.8h 160.1g.9a 32j 21w.ji 21g.k4 3ed 21w.1k5 b:048.3.av 2e1 2:10.o 269 21u 278 21h 288 4:21t 2ct 26z 2:21p 2bs 27t 22p 4:27q 27u 2:27p 2:294 2bg 4:2co 24y 4:24q 219v 249 4:24l 24v 24b 2k2 24p 2gu 210q 2ao 280 2du 256 23p 5:1j.3.69 31u 378 31h 388 4:31t 3ct 36z 2:31p 3bs 37t 13.dh 3:1oa 7:17t.lu.1e f:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 21g.40 357 1fv.3 11tv.3 138d.3 15ea.3 11o9.3 1nq.1a.3 1yp.3 110.3 6:05v.3.12.f6.1a 2f6 2av 2e1 212.av.1a 10.o 269 21u 278 21h 288 23h.30 33g 2:21t 2ct 26z 2:21p 2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2k2 24p 2gu 210q 2ao 280 2du 256 23p 3:13.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 2:31t 3ct 36z 2:31p 3bs 37t 13.dh 8:1lu.1e 16z.lu.1e 2:10.gp 2pp 28pt 3:22ql.2v1 3:23h.do 3ei 1j.3.3h.3g 4ei 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 8:13.64 160.h.5o.1c.112.118.2f.2d 31g.1c.112.118.2f.2d 31q.1c.112.118.2f.2d 31w.1c.112.118.2f.2d 31g.1c.13j.118.2f.2d 31q.1c.13j.118.2f.2d 31w.1c.13j.118.2f.2d 13.9qt 06n.3.1yn.f6 2f6 2av 2e1 264 10.o 269 21u 278 21h 288 23h.30 33g 2:21t 2ct 26z 2:21p 2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2k2 24p 2gu 2:2ao 280 2du 256 23p 3:13.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 2:31t 3ct 36z 2:31p 3bs 37t 13.dh 8:1lu.1e 16z.lu.1e 7:10.2ql.2v1 2d9 2:23h.do 3ei 1j.3.3h.3g 4ei 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 2:13.14a 2168 212.av.1a.u d:04c.3.12.av.1a 2f6 2av 2e1 10.c9.av 2o 269 21u 278 21h 288 23h.30 33g 2:21t 2ct 26z 2:21p 2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 219v 249 2aq 25w 2ch 24l 24v 24b 2k2 24p 2gu 210q 2ao 280 2du 256 23p 235r 13.2h.3j.dh 217b.dh 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 2:31t 3ct 36z 2:31p 3bs 37t 13.dh 10.1x.8n6 13.2tq 5:10.va.55 36h 372w 17t.lu.1e 160.1g.2t1 32g0 21w.2ep 21g.35x 31zp 21w.35y 21g.1pt 10.e4.78 23h.do 3ei 1j.3.3h.3g 4ei 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 21g.40 357 160.1g.9a 32j 21w.ji 21g.k4 3ed 21w.1k5 12cn.1e 10.va.19u 34j 3do 33g 3ei 35q 2:05c.3.f6 23xo 2a0t 2:10.40o 23ru 23v1 23uu 26ni 26lk 29vk 29vh 26n5 26n4 26lr 26lp 25uw 25sa 23vr 288d 287g 240f 4:2te.2kh 2ub.2kh 2te.1q9 2ub.1q9 26r6.2qj 21jn.1q9 2te.2av 2ub.2av 2te.1rl 2ub.1rl 21zi.2qj 38u6.7kk 21jn.1rl 2te.35n 2ub.35n 2te.1op 2ub.1op 21u3.2qr 21jn.1op 2te.33p 2ub.33p 2te.1om 2ub.1om 21ok.2qr 2:21jn.1om 2te.2tx 2ub.2tx 2te.1mu 2ub.1mu 27bu 23wj.1mu 2a8z 28m4 2:21ok.2mb 3:29yc 21zi.1xn 21u3.1xn 21ok.1xn 26a3 21u3.2mb 25xm 4:13.3vx 5:1j.3.1m5 31s2.270 3zv.270 31s2.2jo 3zv.2jo 31s2.2ti 2:3zv.2ti 2:32gf 3191 3zv.191 36ve.5en 3191.sd.1m5 5zv.1m5 51qa 31qa 7:1u9.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 3:1j.3.zv.2gf 41qa 159.6wl d:074.i.hn.14b 2r5.2ks 36t9 36tc 36t4 38lr 2111.7ou 2s3.4fr 34gr 34fs 2if.if 2s3.4h3 2g4.a9t 2ko.4fm 220.8av 2kg.160 37kq 38cp 2ea.1ue 2ko.5em 220.9i1 2kg.9ku 39js 3348 2ea.fz 2qr.46u 2lw.1im 2sq.8co 2sc.d9 2sq.8cc 2sc.1pn 2sq.8tx 2k0.4l 2g4.21k 2ia.8qg 2jj 2ku.2mr 2i6 2jc.a38 2if.8tn 38qy 31z7 2hm.13y 2ku.4hb 21p.pi 2hm.7se 2898 2p7.o 2jy.69i 2p7.69 3tf 31u 378 3jb 39tq 31h 388 28ci 5:1to.d.46t 1i.p7.1t 3fl 31p 36z.7ae 47ad 26zx 27ah 27ag 2jy.13c 3kg 39ns 34fw 29jw 27pw 2385 25zl 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1i.3wz 26t3 12:07j.0.hn 2r5.15v 2:311p 2:2q5.bw 2111 2qt 2q5.8u 2if.11p 2:2q5.e8 2w4 2q5.94 3bg 3cz 3bh 3d8 3co 2ko 220 2kg.15v 311p 2q5.bq 2ea 2qr 2lw 2sq.15v 2sc.11p 2sq.11p 2sc.15v 2q5.ch 2k0 2g4 2ku.2mr 2:32n1 2:2jc 22xp.80 3du 2if.15v 2hm.15v 2q5.gu 21p 2hm.11p 1xc 1j.3.o 3jy.14c 369 3tf 31u 378 36h 321w 31h 388 13.q5.dh 1j.3.jy.2lb 12y2.3.ku 3w4 3:1j.3.1t 3tt 31p 3qo 36z 2:1hn.4p 2:13w.jy.13c 3kg 3le 34e9 11d5.1e 17pq 1385 2:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 3:1hm.ea 2k0 10.2kz.oy 3w4 x:02o.6.oa 11e.18f.rv.o7.9p0.o 5225.2x2.291.4l 618f.t5.4l 22r.rv.o7.2p5.4l 212u.rv.o7.2zv.4l 2s2.rv.o7.2uf.nf.4l 2rv.o7.t5.nf.4l 28ul.nf 24bb.rv.o7 24a1.307.rv.o7 26ms.t5 21dt.t5.4bc 2nf 21hy.nf 2t5.nf 21hy.t5.nf 28om.4g9.99l.nf 22wn.2hc.nf 2s2.224.qd.fh.54.oq 218f.t5 12mz.3.4fl.qd 371i.qd 1v2.3.93f.63f.39s.qd 339t.49 38v1.9pf 13.uj.17m.2gq 42h8 41qp 3cn.2gq 42h8 317m.uj.cn 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 22j.1g 31q 31w 32d 32k 33e 33l 33d 33o 35o 11e.4b9.qd 22r3.2aj.p5.39f 2s2.224.qd.1nb.2po.oq 22r3.2aj.93e.qd 2hy.o7 2gp.39u 22hj.qd.2hs 42hr 2pi.2kv.2hs 42hr 13.389.35h 22ow.35h 10.2p 28x 25d 2bw 27q 27u 28u 27p 2:294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 2gp 2oj 2pp 217r 28h 2jo 2c6 2126 24v 24b 24p 280 2du 256 23p 2o 2195 21eq.4b 21s7 2k2 5:1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 3ct 31p 3bs 13.8ov.k5.7q.ia 22x2.291 1j.3.73.1u 478 13.p5.39f.14v.5a 297w.70l 11e.1qr 289g 13.70i.qd 2ru.qd 22mc.gp.oq 21h4.oq 22hh.oq.2wp 37cg.2wp 28w.1h4.oq 17d.3.2mc.gp.oq 31h4.oq 38w.1h4.oq 20.2p 38x 35d 3bw 37q 37u 38u 37p 2:394 3bg 3cz 3bh 3d8 3co 34y 39t 35a 3bq 34q 349 3aq 35w 3ch 34l 3gp 3oj 3pp 317r 38h 3jo 3c6 3126 34v 34b 34p 380 3du 356 33p 3o 3195 31eq.8h 44v 44b 2:1jw.jj.8x 41nb.2po.oq 11d6.3.2g.295 337.295 34dp.9is 38um.39r 1d.5pb.hx 22w8.2x1 2892.63g 22w8.2x1.2wn.2hc 22uf.49 2p3.hx 41hy.1m3 41qp.1m3 41nb.1m3 2:13.uj.cn.uj.17m 41qp 11e.4ba.307.j3.o7.2wo 27fx.rv.j3.o7.2wo 21hy.t5 22r.2a8.2x3.rv.o7.2p5.4l 212u.2a8.2x3.rv.o7.2zv.4l 0ob.1ko.3 0o6.1ko.3 0ob.1ko.3.5.41 0o6.1ko.3.5.41 02o.1e.70n.2p4.qd 29ni.2p4.qd 12:02b.0.2p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 27s7 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 28h 256 23p 2gu 2o 2cx.o 21u 278 21h 288 21t 2q0.1t 21p 27t 1j.3.11n.69 369 31u 378 31h 388 31t 36z 3q0.78 41p 31t.1a 13.av 21x.1v 2e1 2dh 23z9 16j.3.5r.4v 44b 48h 43p 10.13u.56 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 13.93.dd 2dd 1d.734 24m6 23v4 263t 10.80 2du 23h.30 3do 33g 3ei 1j.3.3h.30 4do 43g 4ei 10.q0.7q 3e8 3zn 316x 16j.3.q0.5r.4q 54l 54p 10.1jt.hb.80 1j.3.1jt.hb.tw 13w.1e.1jt.hb.69x 5kd.sq 10.rs.j8.hb.9t 51am 1j.3.rs.j8.hb.tw 6jb 13.rs.j8.hb.1bn 5ut 5wp 511y 5uu 10.ou.j8.hb.co 521u 565g 1j.3.63i.hb.1u 3c2.db 41h 4ct 10.cx.2p 38x 35d 37u 3c6 394 35a 34q 3aq 3d9 35w 39t 33p 16j.3.cx.5r.8h 1j.3.cx.69 41t 51a 41n.6h 13.cx.ut 3wp 3uu 31kz 31o5.ut 4wp 45t0.3w 10.2xa.1i9.d9 13.2xa.1i9.uu 1cx.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 13.io.1bn 3wp 1j.3.129.o 46z 1d.cx.1g 3i0 036.7.0.eq 31cu 310c 31e2 3b3 31li 31cb 31kq 39w 314c 31gn 3jz 319m 39o 31ib 31m0 315d 315i 311q 3wr 31af 31g3 31f2 31an 3fq 31db 3oq 318s 31df 31d9 31lp 31fw 31f9 3dx 318j 3ik 313x 31fh 2:316l 6:3127 3:10.eq 21cu 210c 21e2 2b3 21li 21cb 21kq 29w 214c 21gn 2jz 219m 29o 21ib 21m0 215d 215i 211q 2wr 21af 21g3 21f2 21an 2fq 21db 2oq 218s 21df 21d9 21lp 21fw 21f9 2dx 218j 2ik 213x 21fh 2s9 216l 22es 24t.10c 2d0 11a8.ib 01o.0.36.19m 036.0.127 2se.3 22lu.3 0z.4h.xw 21kg 2yb 2z8 21kj 2yo 2y6 2yl 21kh 2yv 21ki 2vt 2vb 21kf 2x3 2xv 2z5 2yk 2xp 22rj 21ys 21un 27pm 234c 22wu 231z 21j9 22ke 21tn 21ru 22uk 28d2 21w0 21ik 22um 21vz 28d6 28d8 28d5 21vy 22ui 22un 22ul 21rw 22kf 21y8 230y 21ya 230z 230x 21y9 296s 296t 296n 21y7 230v 296p 2310 296r 230w 24gy 24h0 24fc 24fe 21vh 22j8 26lf 26l7 26la 26lc 26l8 21yr 26l4 26l3 26le 26l9 221p 24hv 24gx 24gz 24fb 24fd 24gm 24gl 24gw 24fa 22uc 21rv 231y 221o 26uk 21um 21hp 21hq 234e 2ty 16g.ty 2o 2fl 24v 21c5 217u 21t 221n 2no 21p 28h 2213 2db 2g4 21h 2217 2ik 2k7 2e3 2tw 2a 21u 239z 23a0 2a81 2382 25th 25ti 25tg 2a96 2a97 27xj 27xi 27xp 27xk 27xm 238k 238l 2aa7 2aa6 238j 29rx 29ry 29rz 29s2 29s1 2aaq 2aat 2aas 238r 238q 2aav 238p 25ub 25u9 2a9m 26im 26iu 26ir 26it 26ip 26in 227w 23yd 23yf 23ye 299s 239y 2a82 2a98 27xn 27xo 142.xw 21kg 21s6 2yb 21hp 21hq 2z8 2yo 21ja 21jb 21jc 21jd 21x8 21x7 21j9 2y6 2yl 21ik 2yv 21ki 2vt 2vb 2x3 2xv 2z5 2yk 2xp 26ui 26uj 22rj 21un 21um 22rk 27po 234c 234e 22wt 22wu 21x9 28oc 231z 28o4 28o5 22ww 28o6 22wr 28oa 22wv 22ws 22wy 22pm 27f2 21tn 21to 27f4 22pn 27ex 27ez 21ru 28d3 22ul 22uj 21rw 21y8 21ya 230z 21y9 21vh 22j8 26ld 21yr 26l6 221p 238f 238e 22uc 21rv 26bx 26bz 26bw 26by 221o 26ug 26uh 26ud 26uf 26ue 21ys 015.6.3p 2oz 2er 2sd 21ff 2dx 2hm 26ev 24p 2i6 29y 2196 21go 2cd 2ku 21t1 2vr 26b9 26b7 22i6 26b6 26b5 26b8 22i7 24l 2dy 2gj 21t3 21th 2fh 2k0 21hg 29fo 29fv 29fs 29fp 29fr 29fq 29ft 29fw 24b 2jj 2nb 21aq 21as 2lx 2ia 22xb 256 2k5 2jk 21jm 211b 2k3 2if 21ze 280 2oh 215m 22zx 21ju 2cy 2sv 21y4 2k1 21ap 21ao 21wt 28hx 21iw 21ix 28in 28jv 2:22vy 28jw 22vx 22vw 3:28i0 28i8 28i5 28i1 28i4 28i3 28i6 2:28i9 2:28id 28ia 28ic 28ib 3:25w 2hx 2l4 21cr 212h 2ma 2qr 22ag 2ao 2122 2ws 236u 2zf 2li 2ux 2a1q 24y 2iv 2le 211l 215y 2eo 220 220q 27u 21oc 21de 21nc 22b0 2v7 2qt 21og 2m5 2a71 2ol 2a6b 2a6f 216h 237y 2a6u 2a75 2:2a79 2a76 2a78 2a77 3:24q 2fz 2fb 214v 21ud 2fa 2ea 21hw 294 21v3 2p5 22sj 22sk 21v1 2w4 27wk 2f8.o 31h 31u 369 3ct 31t 31p 38h 22p 2jw 2j5 21fz 21s0 2kd 2hn 26v5 21se 2:21gi 21gg 22lp 21gh 3:21sf 26xg 26xe 26xb 26xd 26xc 26xf 2:26xh 2:26xl 26xi 26xk 26xj 3:28h 2tc 2k7 21c1 21lk 2ik 2jc 2a50 2yj.o 31h 31u 369 3ct 31t 31p 2:2c6 2rx 2td 2394 21ca 2jd 2rw 2aew 2jo 2221 221y 2ada 21m1 2m6 2220 2adx 24v 2e3 2a 216i 216j 2no 2g4 2aa9 25a 2l6 2l5 22c8 2131 2j0 2ko 25q8 2bh 22cw 22cv 22cq 25dj 22cs 21oq 25e7 27p 210m 2xt 22js 2149 2pw 2sf 22k6 25d 2mg 2j3 2187 2188 2u3 2oy 266c 22hn 2:22hq 267y 22hp 22ho 3:213r 22h0 22gx 2642 2646 21qg 22gy 264q 29t 21zy 211w 21bi 21bj 2dg 2kg 2200 28u 21dd 2hz 22b5 21da 2hy 2s3 24hk 2aq 28cn 2ir 22ub 28cd 21vv 2sq 28cq 2gp 21l7 2120 29p7 235f 2nm 21l6 29pj 29rj 29rr 29rn 29rk 29rm 29rl 29rp 29rq 2d9 2vn 2s9 21en 2106 2qz 2sc 22gb 249 2q9 2bx 21i8 2w5 2cf 2lw 21am 28r9 214u 260p 3:112.10d.s.j.lu.1e 2j.lu.1e 210d.1e 1dd.1e 1a57 1br.8n 1ag 1ri 1fs 18fk.fs 1h2.1e 11a8.ib 1h.1g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 2cg 2go 2hj 2f7 2mq 2fj 2nv 2ek 240 27e.57 4:16.1jq.1hg 21hh 22qc 21u5 21jq.2ag 22ai 22ah 24c4 21jq.2gb 22ge 22gd 260n 21jq.1am 21iu 22vh 21ws 1pb.1e.a9w 35f2 32wz 38k.2wz 35g6 36sb 34gu 36bu 35f3 36wv 7:038.0.o 21t 21u 21p 21h 25t 25d 22p 2u3 2j3 2oy 2mg 22hm 23p 2dx 2er 2hm 2oz 21fk 24p 2cd 29y 2ku 2i6 22n7 24l 2fh 2gj 2k0 2dy 24q 21qy 21hi 2fa 2fb 2ea 2fz 21uz 22vq 22vr 22vs 21wx 21wy 22vv 256 232 2k3 2jk 2if 2k5 21zd 25a 24y 2j0 2eo 2l5 2le 2ko 2l6 22e4 21e1 2205 2206 2208 2209 220a 234o 2gp 2nm 2120 21l6 21l7 235k 28h 2ik 2k7 2jc 2tc 237x 24v 2no 2a 2g4 2e3 238x 219k 3:14.0.no 3a 3g4 3e3 338x 319k 3:0m.n.pt 21t 226q 21u 278 21p 2bs 2rt.bs 231.ct 31u 2o 269 2ik 26t.ik 2k7 26t.k7 237n 26t.37n 2jc 26t.jc 21c4 26t.1c4 2o8.1c4 28h 26t.8h 21c1 26t.1c1 2o8.1c1 26z 2rt.7f 2f8.8n 21n.6i 399 39q.2j.4s 38g.2j.4s 3u.2j.4s 34s 31m.6i 48k.2h.1z5 327.1x 38k.47.2a 333 33k.fe 2b3 29w 29o 2eq 2cf 288u 2bx 21ag 2lw 21ak 2rt.1ak 231.1ff 3er 249 21i8 21ws 26t.1ws 21iu 26t.1iu 22vi 26t.2vi 2j8 26t.j8 22vj 26t.2vj 21am 26t.1am 21wr 26t.1wr 2rt.1wr 276 26t.76 231.61 2eo 29hf 2le 29li 220 2163 2rt.163 231.131 3l5 24y 211l 21bu 26t.1bu 2363 26t.363 2364 26t.364 21q 26t.1q 2366 26t.366 220q 26t.20q 220r 26t.20r 2o8.20r 25n 21bq 235q 220o 2bg 2kd 26qp 2j5 26tv 2hn 2192 2rt.192 22p 21fz 21gh 26t.1gh 21gi 26t.1gi 22lq 26t.2lq 22lr 26t.2lr 22ls 26t.2ls 21se 26t.1se 21gg 26t.1gg 2o8.1gg 25q 21sd 21k9.1s1 36tu 36va 32kc 2v7 24d5 21de 24hz 2qt 21o4 2rt.1o4 27u 21nc 22c0 26t.2c0 21oi 26t.1oi 22c1 26t.2c1 22c2 26t.2c2 22c3 26t.2c3 21og 26t.1og 21oh 26t.1oh 2o8.1oh 26x 2mp.z2 2fh 279r 2gj 27f7 2k0 21tw 2rt.1tw 24l 21t3 21u5 26t.1u5 21hh 26t.1hh 22qd 26t.2qd 22qe 26t.2qe 22qf 26t.2qf 21hg 26t.1hg 21u4 26t.1u4 2o8.1u4 255 26t.55 27ej 2287.55 2mp.55 2fa 27kj 2fb 22rl 2ea 21ut 2rt.1ut 24q 214v 22sd 26t.2sd 21hw 26t.1hw 21v0 26t.1v0 2o8.1v0 24j 231.kw 27p5 2cd 26y9 29y 2722 2ku 214o 2rt.14o 24p 2196 22n9 26t.2n9 22na 26t.2na 22nb 26t.2nb 22nc 26t.2nc 22nd 26t.2nd 21t1 26t.1t1 22n8 26t.2n8 23g 26t.3g 25r.3g 2k3 28t8 2jk 21b6 2if 21b9 2rt.1b9 256 21jm 232o 26t.32o 232q 26t.32q 232r 26t.32r 232s 26t.32s 232t 26t.32t 21ze 26t.1ze 21zf 26t.1zf 2o8.1zf 232 2287.32 232m 2ll.32 27h0.977 2o8.97e 38rg 399m 39cr 397f 38uz 2cy 215m 21jw 2sv 21y2 280 22zx 211h 26t.11h 230h 26t.30h 230i 26t.30i 230j 26t.30j 230k 26t.30k 21y4 26t.1y4 230g 26t.30g 211c 2no 2a84 2a 2a9s 2g4 21lu 2rt.1lu 24v 216i 238y 26t.38y 238z 26t.38z 2390 26t.390 2391 26t.391 2392 26t.392 221u 26t.21u 221v 26t.21v 2o8.21v 26h 2499.6h 26t.6h 2mp.a 2lx 22vz.lx 26t.cd 28le 2nb 21jh 2ia 22x6 26t.ku 24b 21aq 26t.4p 22xc 26t.2xc 230 26t.30 25r.30 2qz 25wv 2s9 25yb 2sc 21q2 2d9 21en 22gc 26t.2gc 28o 2dg 21u6.dg 211w 21u6.11w 21zs 21u6.1zs 2kg 21zv 29t 21bi 2201 26t.201 2z2 235o 235p 21l8 2cz 29pn 29rb 29rc 29rd 29r9 2ye.dx 3er 32ia 3hm 318k 33p 3sd 361 27vf.61 26ca 28hn 21ao 22vn 21ix 21ww 2k1 21wt 2aj 234l 234m 234n 2207 26t.lx 3nb 3ia 34b 27na 21ho 27oa 2111 27oq 27q 21hn 2kw 27ry 2mp.cy 315m 3sv 380 2qk.dg 311w 3kg 39t 3z2 22mn 271m 22mo 271n 2xy 22mm 21st 2z3.dg 311w 31zs 3kg 31zv 39t 31bi 3z2 23vq.21 2ll.1t 31u 31p 3o 3ik 3k7 3jc 38h 3fa 3fb 3ea 34q 3kd 3j5 3hn 32p 2mp.dx 3er 3hm 33p 231.65f 32h5 3kb 3652 365b 3bw 3jj 3ia 3lx 31as 3nb 34b 3tc 3jc 3ik 31lk 3k7 38h 36hi 36hh 31r4 36hf 36hg 36hd 31zy 3kg 3dg 31bj 311w 39t 39pz 320o 31bq 39pm 335q 3bg 3q9 3lw 3cf 3w5 3bx 349 376 3mg 3oy 3u3 3188 3j3 35d 36t8 3r5 31s3 36t0 31g4 38x 36up 36uo 36ul 36um 36un 31s7 31g7 3fz 3ea 3fa 31ud 3fb 34q 3dy 3k0 3fh 31th 3gj 34l 3e3 3g4 3no 316j 3a 34v 310m 2mp.10m 231.sf 3pw 3149 3xt 2mp.xt 231.7p 32k2 32k1 36oh 36oi 32jz 318t 3i6 3ku 3cd 31go 39y 34p 35hi 35hh 35hc 35hd 35hg 31e1 371o 32mo 371k 371l 32mn 3xy 39m7 334n 334l 39m5 334m 3207 320a 3209 3206 39m4 3208 3205 3rx 3rw 3jd 31ca 3td 3c6 368 32r.68 32ea 32e9 3vh 32e6 32e7 3pp 3k5 3if 3k3 311b 3jk 356 3oh 3sv 3cy 31ju 315m 380 311c 31l7 31l6 3nm 335f 3120 3gp 31dd 3s3 3hy 31da 3hz 38u 39px 39pw 39pt 39pu 39pv 39ps 2hz.3 2br.8n 22vl 27nc 27s1 27s2 27s3 27s4 27rz 27s0 2qk.9ky 39kz 39l0 39l1 39l2 3200 3201 31n.z2 2ll.7f 0gy.jm.1e 10.48q 2740 25xp 28te 27q1 29th 25cw 29lu 24lt 24f4 27hx 266t 27nk 29bz 28qk 23vm 22t2 2t7 25rx 26my 25rw 26e 29tx 26li 25ry 28bi 11eo.1e 173.1eo.1e 4:06u.0.5xt.5xw.qz.8o 25t 29v3.t7.1h 238o 26h 27f 29kv.9kw.z6 2xe 23xg.o 22ta.1p 21cc.o 2274 273f.1p 294t.1p 21p 2db 29o 28lo.1j0.8mv.30 26rn 24f8 26rm.5q 25m 2qx 263j.686.5m 2gs 2a5p.1lo.7f 2693.61 268z.61 273d.61 294q.61 27kx.7vw.7kw.4j 294s.4j 25p3 26n7.10k.6nb.1u 21t 26o0.7y 263w 273c.fl 294o.o 26ng.5tj 28bw.8br.76 23w6.5tk 298o.32 296f.73g.32 294u.32 26x 268 29m1.11x.9ri.5n 294v.5n 25y 248x.48v.4a0.21 294p.21 25p4 287j 25sd.s8.1t 27as.jz.55 273e.55 294r.55 270e.6yn.737.3g 25p2 26mg 21rb 25co.5ck.5y 287y.5u3.1p 2100 26n0 259n 24dg 24ez 29az 273h 294w 26jm 2aj 275 17r.59 1q1.59 1bo.59 13yp.d 19qw.d 148r.d 10.5q 211c 2bs 2184.177.2ta 410k 4s8 41cc 4274 8:0jn.0.o 21u 21h 22p 25d 27q 24y 25a 24q 249 25w 24l 24v 24b 24p 28h 256 23p 1j.3.1u 31h 13.dh 22to a:10.e4.4b 0kc.0.o 21u 21h 22p 25d 27q 24y 25a 24q 249 25w 24l 24v 24b 24p 28h 256 23p 1j.3.1u 31h 13.2to 02ud.7r.59 11m.59 a:0kj.0.o 21u 21h 22p 25d 27q 24y 25a 24q 249 25w 24l 24v 24b 24p 28h 256 23p 1j.3.1u 31h d:0m2.0.o 21u 21h 22p 25d 27q 24y 25a 24q 249 25w 24l 24v 2:24p 28h 256 2:1j.3.1u 31h d:03r.0.2p 28x 2hn 2r5 2111 27u 28u 2qt 2s3 2w4 25a 2cz 2ko 21l8 27s6 24y 29t 220 2kg 2ea 25w 2aq 2lw 2sq 2k0 2g4 2ia 2ku 2ux 280 21yu 256 23p 24p 2k1 1j4.j.8hs 31wt 31ao 32vn 31ap 38jk 31wy 38jt 32xd 38rf 31t2 374n 31iw 32vl 31ww.at.1g 51q 38hv 1j.2jg.16t 369 23.69 31u 378 36h 321w 31h 388 3167 3db 34v 3l8 31t 3fl 36z 3bs 37t 13.7pv 28mb 2aba 27il 29ny 2474 28p7 29mj 26r0 23vi 28tz.8u4 2a0s 24lq 247g 26sy 2478 24dj.1ag.6x0 2sl.163 248z 28cj.2q7 26vg 1to.d.8o0 13.40h 2402 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:1d.sl.th.98e 41u2 41ag 41mx 41n9 41wd 41wg 41wh 41we 41wf 7:03a.oo 1xc 1ag 1br.8n 1fs 12d.41 1h4.p9.pt 1jl.6.4al.ud 1ke.ag 2br.8n 17q3 1185.24.1b1.1g 41q 41w 1j.ib 1185.24.1b1.2d 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:10.o 21t 21u 21p 21h 2db 2jb 2ct 24q 2pi 25w 249 2k1 25d 24l 24p 256 280 24y 25a 28u 27p 24v 24b 28h 2d9 22p 28x 2gp 2c6 2sd 2ael 2xy 221y 2hz 2h4.54.j.3 31t 31u 31p 31h 3db 3jb 3pi 35w 349 3k1 35d 34l 34y 35a 38u 37p 3gp 34v 38h 32p 3187 3sd 36o8 37pi 3pp 2jl.1t 31u 31rk 3jb 31h 3pi 32p 35d 33p 349 380 34y 35a 37p 3d9 3187 3sd 3gp 3c6 31aq 38u 3jo 2ke.1u 32p 34b 3d9 3jo 28u.5.1q.41 8:2di.dk.av.1g 4e1.1g 45d0 436e 48w.36e 428r 41w.28r 4o 41u 42p 47q 47u 4bg 4cz 4bh 4co 44y 45a 449 4aq 4du 4jo 4c6 4on 2h4.di.dk.4y 5jo 2ke.di.dk.bw 57q 57u 5e8 5bg 5d8 54y 5bq 5du 52c5 5jo 5c6 2di.dk.2j.1h 54v 2ke.di.dk.ch 2di.dk.5cn 2ke.di.dk.xy 6:0m.n.1a6 2qo 226s 21c3 28fc 28b2 28h8 29ij 21rz 26x6 22oz 27sw 27l2 270g 298q 22xt 230a 293v 295r 2aai 238b 22w6 22se 2rf.2se 22sf 2rf.2sf 22sg 2rf.2sg 22sh 2rf.2sh 28r4 28r5 28r6 28r7 28r8 22xb 2rf.76 35n 35q 36x 355 34j 332 311c 2ou.7f 2rs.7f 21n.4.4s 3f2.1x 22vz.8r3 26t.14o 3196 29kx 2200 29pr 29pp 220n 29m8 29m6 2mp.11h 31y2 318k 231.67z 31ot.188 3187 32hn 2mp.6ps 231.2k6 21mv.1ot.3g 430 231.1ou.32 b:09k.a1f.0 10.2p 28x 25d 2bw 27q 27u 28u 27p 2e8 2386 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 28h 280 2du 256 23p 2683 220e 2:1j.3.o 31u 31h 3ct 36z 3bs 37t 31t 31p 17d.0.4v 34b 38h 5:14.0.2p 37q 3av 34y 34q 349 34l 34b 34p 13.7i0 26sa 28t6 5:214o 4:1i0.1e 1h2.1e 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 01s.cd.0.2p 3m5 37q 3gp 356 34v 34y 39t 34p 349 3aq 34l 3d9 3ao 33p 3k1 38x 3oj 34q 3o 31u 3ct 3s8 31h 3bs 31p 3jb 31t 3289 36z 3:3ut 3wp 311y 3uu 31kz c:071.1s.7b.0.46.k1 43u.k1 446.2p 5m5 57q 43u.2p 5m5 57q 446.gp 556 54v 43u.gp 556 54v 446.4y 59t 54q 43u.4y 59t 54q 446.49 5aq 54l 43u.49 5aq 54l 446.d9 5ao 54p 43u.d9 5ao 54p 446.3p 55a 55w 43u.3p 55a 55w 446.2lo 537z 43u.2lo 537z 446.1z7 43u.1z7 5:3j.3.j.94y 569 578 51h 588 51t 5fl 51p 519y 5jb 5qo 526s 536s 51a6 52sq 59tu 51rk 30.1n.5t 5kw 54j 555 55q 55y 521 33w.19c 419d 7:3h.5o 41g 41q 41w 42d 42k 43e 43l 43d 43o 33y.h.1g 4:33.2lw 46ym 03r.d.8ax 21u2.o3 21ag.o3 21mx.o3 21n9.o3 21wd.o3 21wg.o3 21wh.o3 21we.o3 21wf.o3 21ol.o3 22cf.o3 22cg.o3 22cd.o3 22ce.o3 22ch.o3 29qr 21u2.od 21ag.od 21mx.od 21n9.od 21wd.od 21wg.od 21wh.od 21we.od 21wf.od 21ol.od 22cf.od 22cg.od 22cd.od 22ce.od 22ch.od 0gi.0.2p 25d 27q 22rc 249 25w 24l 22q5 24y 25a 24q 21uu 27u 27p 294 27vv 24v 24b 24p 2ao 256 2o 23p 1j.3.1u 31h 31t 31p 3fl 3:189e 1e7.2f.dd 01s.3y.0.46.2p 48x 41sf 33u.2p 41sf 48x 37q 346.7u 48u 33u.7u 456 48u 394 38lz 346.1x1 35a 33u.1x1 32w5 346.4y 49t 33u.4y 49t 34q 35w 346.49 4aq 4d9 33u.49 4d9 4aq 34l 33u.4v 346.4v 34b 38qi 34p 37b 38h 346.80 4du 456 43p 3gu 3o 33u.3p 31u 378 31h 388 3ct 3bs 32lw 313u.56 26j.3.5r.4b 54p 44p.9hz.1gk 23.jy.1g0.1gk 26j.3.1n.7q 43u.49 446.1x1.6e.3u.49 44l 45w 456 2:23.8tl 2j.3.o 4jy.1xl 469 411n.69 41u 478 4jb 420x 41h 488 41p 419y.1v 41a6 41t 4fl 4bs 46z 43y.6z 419y.1a 23.jy.1g0 31bn 3ut 31s4.wp 411y 4uu 34b.68w 3jy.1xk 36tb.6rb 3:212.vf.1x 2u5.h.5o 41g 41q 41w 42d 42k 43e 43l 43d 43o 7:23y.h.5o 41g 41q 41w 42d 42k 43e 43l 43d 43o 7:23.a4f 3a4g 38uh 36sc 36gp 35hp 373.a4.2w5 3jy.a8n 36qq 36qr 38ub 38uc 369n 34d6 3:012.17p.7o.9g 15fx 1144 15b.t 1a9.1x 1a5y.1v 116f.7z.1v 14m.1e.1v 11m.4m.1e.1v 137.1d8.2a.1v 1329.1d8.2a.1v 11ic.1a 11m.1ic.1a 11ic.1v 2j6 18.4.0.7f.1v 44t.7f.1v 1y.cv.1a.y 1u.cv.1a.u 1y.cv.1v.y 1u.cv.1v.u 11d.4at.1a 110.3.1a 18w.1m.27x.1a 133.3.1a 11m.33.3.1a 41v 1a9.6i.9g 18.4.0.kr.5m 530 55n 1e:04f.3.1ld.8ny 3my 24f0 232l 249r 10.277 3rn 22jc 3rn 236h 3rn 24b.15e 4rn 24p.1gp 4rn 25sj 23vl 22sv 3rn 22p 3y4 25d 366p 27q 27u 36yi 27p 36nz 294 24y.70a 3rb.y4 25a.rb.3wd 4y4 24q.8ls 24y 39ig 25a 379w 24q 249 36r7 25w 36s9 24l 24v 24b 24p 28h 256.8tb 38u7 3 23p 13.8n8 1j.3.rn 31ld 42xr 31kl 46lo 34b.15e 5rn 34p.1gp 5rn 31be 415e 4rn 415e.rn 31ih 4rn 116n.16n 10.c1.yq 26t6.yq 29ro.yq 2qw.yq 2li.yq 21ly.yq 23zp.yq 2e4.1ro 2:18w.176.30q 32tt 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 11vi 12tm 137p 1176.89m 230q 22tt 189i 116.d.2dq 35ev 32e3 31dp 432l 35gl 35cl 35f7 35cv 31dp.63k 312.9j3 45t5 42kl 42kk 41rm 42kl.5.1rm 42kk.5.1rm 448t 466j 31je.4m.ff 5hi 4bv.35t 59hq 3198.4m.89s 58go 4bv.8dv 58e5 44m.1w1 11vi.2m5 12tm.2m5 11vi.47i 090.3.8a6 289w 289z 10.o 21u 21h 2fl 21p 21t 2tw 22p 2k1 25d 27q 27u 27p 2c6 294 24y 25a 24q 249 2d9 2ao 25w 24l 24v 24b 24p 28h 256 2m5 23p 16j.3.89k 38a4 38a7 1j.3.89t 38a8 389n 38a0 389j 389r 13.89h 2dh 16j.3.2tv.4l 48h 10.8x 29eg 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1m9 10.2wl 22mk 2ch 21n.5q 355 0b8.0.o 2sw.o 23p 2sw.3p 21t7.3p 25w 21rx.5w 249 2sw.49 24q 21t7.4q 28h 2sw.8h 22tl.8h 25d 2sw.5d 27p 25a 24b 2sw.4b 24l 2sw.4l 231l.4y 22ry.4y 256 2sw.56 21t7.56 24v 2sw.4v 27q 24p 2sw.4p 294 27u 2110 214q 21u 21h 13.9mp 1j.3.1t 32tl.1t 3ct 31u 31rx.1u 31p 31rx.1p 31h 41c.sw.56 16j.3.kw 361 12tp 18a1 9:1d.pl.4q.7d5 38de 36pd 32tp 08m.0.2p 26ur 28x 25d 2664 27q 27u 28u 27p 294 24y 29t 25a 24q 249 21im 2aq 2d9 25yv 25w 24a2 24l 22pr 2gp 2oj 2pp 24v 24b 24p 23p 22ig 2ao 256 280 28h 2o 17d.0.4v 34b 1j.3.69 31u 31p 3bs 31h 388 31t 16j.3.5q 355 33g 34j 376 330 35n 37w3 31g0 13.8lt 2i8 4:159.33g 21v2.9l3.33g 22b3 235i.2b3 3 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 4:10.bg 2cz 2bh 06k.ci.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 20.4p 3d1 31ce 3pi 3lk 3196 33rm 33rl 33ro 33rt 39y 310k 31fo 36mw 318p 3i6 31bw 3h5 336m 336s 3cd 31eg 35s3 3b3 31eh 3ku 3882 37zw 32td 319z 2dy.9q0 262n.35s 27hr.35s 28mx 28c9 23vd 259.2q8 31m.2q8 017.4.0.og.li 373i.j0 314x.1p 3qj.ny 311n.eo 39ko.eo 311n.se.3 4uz 39ub.ze 17.0.1kx 14.0.1kx 6:036.cu.7.0.eq 41cu 410c 41e2 4b3 41li 41cb 41kq 49w 414c 41gn 4jz 419m 49o 41ib 41m0 415d 415i 411q 4wr 41af 41g3 41f2 41an 4fq 41db 4oq 418s 41df 41d9 41lp 41fw 41f9 4dx 418j 4ik 413x 41fh 4s9 416l 42es 44t.10c 4d0 3:4127 4se.3 42lu.3 090.59.pl.9dy 389x 38gx 32al 32mk.1jo 32p.1jo 35a.1jo 35w.1jo 9:0c9.3w.6rg 293q 28fl 13.7pt 21c6.2pk.t1 13w.1c6.3va.j4.t1 3j4.t1 31ry.j4.t1 2my.1v 21c6.1ry.j4.t1.8ur 21m.t1 2a9.t1 21ry.12c 21x.1v 21q.41.1v 21w.41.1v 28oj.2kg.j4.t1 23zs.j4.t1 13.e1.t1 31lb 273.e1.1lb 2e1.12c 273.e1.12c 2e1.1lb.5.ae 312c.5.ae 2av.27m 346s 336v 45.ae 29lz 26b3.54.av 254.av 28q9.54.av 2av.9ti.7hy 227y 2a4.27y 13w.my.1a 13.14a 2168 23zu 13w.4s.1a 21m.4s.1a 13.1m.av.27m 6:08.0.4.7.o 4fl 14.0.4t.fl 10.4.7.rz.21 46x 45y 4xe 41t 14.0.4t.4m.1t 41u 10.4.7.7y 45q 43g.5.2a 455 473.4j 41p 44m.1p 14.0.ld.1p 44m.1p 41p.5.2a 34t.db 10.4.7.yg 14.0.8g.2j.1p 39q.2j.1p 10.4.7.76 473.30 44t.30 45n 41h 14.0.ld.1h 45fy.1h 44t.55 10.4.7.5t 47f 468 4qy 2uy.707.997 2d0 014.0.4.7.js 4p2 4bx 4he 4mn 017.0.4.7.im 01o.0.7.o 3fl 321 3rz.21 35y 31t 373.1t 35m 361 31u 37y 35q 33g 355 34j 373.4j 31p 3yg 376 330 35n 31h 37f 24.o 34t.o 38t 34t.fl 321 35y 31t 3rh 34m.1t 34t.4m.1t 35m 34t.1u 35q 355 3qx 31p 34m.1p 38g.2j.1p 39q.2j.1p 376 35n 31h 3ld.1h 34t.55 35t 3d0 3l3 314.js 3kn 314.ir 3hz 08.9s.4.0.1u 430 41h 45t 014.9s.4.0.l3 4js 4he 4ir 4hz 08.4.0.jb 321.5.27.5h 35y.5.27.5h 38o.5.27.5h 355.5.27.5h 34j.5.27.5h 376.5.27.5h 330.5.27.5h 5xg.s.27.5h 332.5.27.5h 35n.5.27.5h 368.5.27.5h 34t.5m 01o.0.17.b3 08.4.0.kr.5m 3z2.5.9cb 27.0.1u.5.2a 20.bj.5.2a 376.5.2a 27.0.1h.5.2a 20.cm.5.2a 321.5.gz.2i 35y.5.gz.2i 38o.5.gz.2i 35m.5.gz.2i 35q.5.gz.2i 33g.5.gz.2i 355.5.gz.2i 34j.5.gz.2i 376.5.gz.2i 330.5.gz.2i 332.5.gz.2i 3l7.5.gz.2i 35t.5.gz.2i 375.5.gz.2i 368.5.gz.2i 3o.5.dt.2i 38t.5.dt.2i 35y.5.2i.s.ae 31t.5.dt.2i 34m.1t.5.dt.2i 373.4m.1t.5.dt.2i 3rh.5.dt.2i 31u.5.dt.2i 34m.1p.5.dt.2i 3l7.5.dt.2i 31h.5.dt.2i 3qy.5.dt.2i 01o.0.4.4t.8t 36x 45.jq 3xe 373.4m.1t 38o 3ka.7y.5.2a 3v.5m 34t.61 31u.5.2a 3bj 37.1u 55.2a 37y.5.ve 33g.5.dt.2i 5gz.2i 37.3g 355.5.2i 34t.55.5.54.kt 34j.5.y.2i 5dt.2i 37.4j 3rz.1p 3ir 332.5.2i 3l7 35n.5.gz.2i 31h.3j 3cm 37.1h 35t.5.2i 34t.5t 368 45.dt.2i 5jq 3qy 3iu 012.dq.99.9g 26i.9g 1rl.1v 11zc.1e 179t 1675 179v 13uh 1674 13ug 18.4.0.30.1v 14b0 179u 11m.7o.1a 1o9.1a 1qm.1v 110k.1v 1t7.1a 11lg.1a 18.4.0.182.4m.o.1a 4fl 41ci 412e 46x.gq 4kr.5y 4xe 45m 20.4.7.5m 24.0.5q 43g 20.4.7.3g 555 24.0.4j 20.4.7.4j 530 24.0.30.1ax 432 454.32 468 48t 421 4l3 4rh 48o 43g.5.1m.27.5h 41p.5.37.1d8.2a 476 4l7 41h.5.37.1d8.2a 47f 4o.5.8f 41p.5.8f 41h.5.8f 135.fe.1a 1vw.1a.u 3y 11x.1a.y 1qj.8w.12n.1v 11x.1v.y 15eo.1e 11m.8w.b1.1v 1mw.50.20.1v 1y.8e.1a 1u.8e.s.3k.8e.1v 08.7.0.o.5.4s.1v 14.0.o.5.4s.1v 17.0.21.5.1x.1a 14.0.21.5.1x.1a 17.0.21.5.1x.1v 14.0.21.5.1x.1v 17.0.21.5.7z.1v 14.0.21.5.7z.1v 17.0.6x.5.gq.s.6i 14.0.6x.5.gq.s.6i 17.0.5y.5.1x.1a 14.0.5y.5.1x.1a 17.0.5y.5.1x.1v 14.0.5y.5.1x.1v 17.0.5y.5.7z.1v 14.0.5y.5.7z.1v 17.0.5y.5.gq 14.0.5y.5.gq 17.0.5y.5.7o.1v 14.0.5y.5.7o.1v 17.0.1t.5.9l.s.99 14.0.1t.5.9l.s.99 17.0.1t.5.9l.s.6i 14.0.1t.5.9l.s.6i 17.0.1t.5.7o.1v 14.0.1t.5.7o.1v 17.0.1t.5.5h.1v 14.0.1t.5.5h.1v 17.0.1t.5.gq.s.b1 14.0.1t.5.gq.s.b1 17.0.8o.5.1x.1a 14.0.8o.5.1x.1a 17.0.5m.5.9l 14.0.5m.5.9l 17.0.61.5.1x.1a 14.0.61.5.1x.1a 17.0.61.5.1x.1v 14.0.61.5.1x.1v 17.0.61.5.8f 14.0.61.5.8f 17.0.61.5.gq 14.0.61.5.gq 17.0.61.5.b1.1v 14.0.61.5.b1.1v 17.0.1u.5.5h.1v 14.0.1u.5.5h.1v 17.0.1u.5.8f.s.6i 14.0.1u.5.8f.s.6i 17.0.5q.5.6i 14.0.5q.5.6i 17.0.5q.5.1x.1v 14.0.5q.5.1x.1v 17.0.5q.5.7z.1v 14.0.5q.5.7z.1v 17.0.3g.5.1x.1v 14.0.3g.5.1x.1v 17.0.3g.5.1x.1v.s.9l 14.0.3g.5.1x.1v.s.9l 17.0.3g.5.7z.1v 14.0.3g.5.7z.1v 17.0.3g.5.7o.1v 14.0.3g.5.7o.1v 17.0.55.5.6i 14.0.55.5.6i 17.0.55.5.1x.1a 14.0.55.5.1x.1a 17.0.55.5.1x.1v 14.0.55.5.1x.1v 17.0.4j.5.1x.1a 14.0.4j.5.1x.1a 17.0.4j.5.1x.1v 14.0.4j.5.1x.1v 17.0.4j.5.7z.1v 14.0.4j.5.7z.1v 17.0.4j.5.7o.1v 14.0.4j.5.7o.1v 17.0.1p.5.5h.s.6i 14.0.1p.5.5h.s.6i 17.0.1p.5.5h.s.8f 14.0.1p.5.5h.s.8f 17.0.1p.5.9l.s.99 14.0.1p.5.9l.s.99 17.0.1p.5.9l.s.6i 14.0.1p.5.9l.s.6i 17.0.76.5.6i 14.0.76.5.6i 17.0.76.5.1x.1a 14.0.76.5.1x.1a 17.0.30.5.1x.1a 14.0.30.5.1x.1a 17.0.30.5.1x.1v 14.0.30.5.1x.1v 17.0.30.5.1x.1v.s.9l 14.0.30.5.1x.1v.s.9l 17.0.30.5.7z.1v 14.0.30.5.7z.1v 17.0.32.5.1x.1a 14.0.32.5.1x.1a 17.0.32.5.1x.1v 14.0.32.5.1x.1v 17.0.32.5.6i.s.1x.1a 14.0.32.5.6i.s.1x.1a 17.0.32.5.d3.s.1x.1a 14.0.32.5.d3.s.1x.1a 17.0.32.5.1x.1v.s.1x.1a 14.0.32.5.1x.1v.s.1x.1a 17.0.5n.5.1x.1a 14.0.5n.5.1x.1a 17.0.5n.5.1x.1v 14.0.5n.5.1x.1v 17.0.5n.5.7z.1v 14.0.5n.5.7z.1v 17.0.5n.5.7o.1v 14.0.5n.5.7o.1v 17.0.1h.5.8f.1v 14.0.1h.5.8f.1v 17.0.1h.5.5h.1v 14.0.1h.5.5h.1v 17.0.1h.5.7o.1v 14.0.1h.5.7o.1v 17.0.1h.5.5h.s.6i 14.0.1h.5.5h.s.6i 17.0.1h.5.9l.s.8f 14.0.1h.5.9l.s.8f 17.0.5t.5.5h 14.0.5t.5.5h 17.0.5t.5.1x.1v 14.0.5t.5.1x.1v 17.0.7f.5.99 14.0.7f.5.99 17.0.7f.5.6i 14.0.7f.5.6i 17.0.7f.5.8f 14.0.7f.5.8f 17.0.7f.5.1x.1a 14.0.7f.5.1x.1a 17.0.7f.5.1x.1v 14.0.7f.5.1x.1v 17.0.75.5.1x.1a 14.0.75.5.1x.1a 17.0.75.5.8f 14.0.75.5.8f 17.0.6h.5.1x.1a 14.0.6h.5.1x.1a 17.0.68.5.7o 14.0.68.5.7o 17.0.68.5.1x.1v 14.0.68.5.1x.1v 17.0.68.5.7z.1v 14.0.68.5.7z.1v 361.5.7z.1v 35n.5.8f 37f.5.4s.1a 36h.5.4s.1a 3o.5.u.2j.4s 354.32.5.1x.1a 643.2a 646.2a 17.0.11d.32 14.0.kn 17.0.o.5.1x.1v 14.0.o.5.1x.1v 17.0.o.5.2i.1a 14.0.o.5.2i.1a 17.0.o.5.7o.s.6i 14.0.o.5.7o.s.6i 17.0.o.5.7o.s.99 14.0.o.5.7o.s.99 17.0.o.5.7o.s.2i.1a 14.0.o.5.7o.s.2i.1a 17.0.o.5.7o.s.5h 14.0.o.5.7o.s.5h 17.0.o.5.7o.s.1x.1v 14.0.o.5.7o.s.1x.1v 17.0.o.5.b1.s.6i 14.0.o.5.b1.s.6i 17.0.o.5.b1.s.99 14.0.o.5.b1.s.99 17.0.o.5.b1.s.2i.1a 14.0.o.5.b1.s.2i.1a 17.0.o.5.b1.s.5h 14.0.o.5.b1.s.5h 17.0.o.5.b1.s.1x.1v 14.0.o.5.b1.s.1x.1v 17.0.1t.5.1x.1v 14.0.1t.5.1x.1v 17.0.1t.5.2i.1a 14.0.1t.5.2i.1a 17.0.1t.5.5h 14.0.1t.5.5h 17.0.1t.5.7o.s.6i 14.0.1t.5.7o.s.6i 17.0.1t.5.7o.s.99 14.0.1t.5.7o.s.99 17.0.1t.5.7o.s.2i.1a 14.0.1t.5.7o.s.2i.1a 17.0.1t.5.7o.s.5h 14.0.1t.5.7o.s.5h 17.0.1t.5.7o.s.1x.1v 14.0.1t.5.7o.s.1x.1v 17.0.1u.5.2i.1a 14.0.1u.5.2i.1a 17.0.1u.5.1x.1v 14.0.1u.5.1x.1v 17.0.1p.5.1x.1v 14.0.1p.5.1x.1v 17.0.1p.5.2i.1a 14.0.1p.5.2i.1a 17.0.1p.5.7o.s.6i 14.0.1p.5.7o.s.6i 17.0.1p.5.7o.s.99 14.0.1p.5.7o.s.99 17.0.1p.5.7o.s.2i.1a 14.0.1p.5.7o.s.2i.1a 17.0.1p.5.7o.s.5h 14.0.1p.5.7o.s.5h 17.0.1p.5.7o.s.1x.1v 14.0.1p.5.7o.s.1x.1v 17.0.1p.5.f9.s.6i 14.0.1p.5.f9.s.6i 17.0.1p.5.f9.s.99 14.0.1p.5.f9.s.99 17.0.1p.5.f9.s.2i.1a 14.0.1p.5.f9.s.2i.1a 17.0.1p.5.f9.s.5h 14.0.1p.5.f9.s.5h 17.0.1p.5.f9.s.1x.1v 14.0.1p.5.f9.s.1x.1v 17.0.1h.5.1x.1v 14.0.1h.5.1x.1v 17.0.1h.5.2i.1a 14.0.1h.5.2i.1a 17.0.1h.5.f9.s.6i 14.0.1h.5.f9.s.6i 17.0.1h.5.f9.s.99 14.0.1h.5.f9.s.99 17.0.1h.5.f9.s.2i.1a 14.0.1h.5.f9.s.2i.1a 17.0.1h.5.f9.s.5h 14.0.1h.5.f9.s.5h 17.0.1h.5.f9.s.1x.1v 14.0.1h.5.f9.s.1x.1v 17.0.6h.5.99 14.0.6h.5.99 17.0.6h.5.1x.1v 14.0.6h.5.1x.1v 17.0.6h.5.2i.1a 14.0.6h.5.2i.1a 17.0.6h.5.5h 14.0.6h.5.5h 17.0.1h9.ei 14.0.1h9.ei 17.0.1h9.5t 14.0.1h9.5t 17.0.6h.5.ho 14.0.6h.5.ho 014.4.0.8t.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 17.0.8t.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 14.0.ef.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 3:17.0.ef.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 3:14.0.b9.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 17.0.b9.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 14.0.bj.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 17.0.bj.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 14.0.gl.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 3:17.0.gl.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 3:14.0.cm.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 2:17.0.cm.5.7i 2:6s.af 2:7ac 2:7cq 14.0.8p.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 17.0.8p.5.86 57i 586.s.af 57i.s.af 586.s.ac 57i.s.ac 586.s.cq 57i.s.cq 14.0.8t.5.af 5ac 3ef.5.af 5ac 3b9.5.af 5ac 3bj.5.af 5ac 3gl.5.af 5ac 3cm.5.af 5ac 38p.5.af 5ac 3:38t.5.86.s.ep 57i.s.ep 586.s.af.s.ep 57i.s.af.s.ep 586.s.ac.s.ep 57i.s.ac.s.ep 586.s.cq.s.ep 57i.s.cq.s.ep 17.0.8t.5.86.s.hd 57i.s.hd 586.s.af.s.hd 57i.s.af.s.hd 586.s.ac.s.hd 57i.s.ac.s.hd 586.s.cq.s.hd 57i.s.cq.s.hd 14.0.b9.5.86.s.ep 57i.s.ep 586.s.af.s.ep 57i.s.af.s.ep 586.s.ac.s.ep 57i.s.ac.s.ep 586.s.cq.s.ep 57i.s.cq.s.ep 17.0.b9.5.86.s.hd 57i.s.hd 586.s.af.s.hd 57i.s.af.s.hd 586.s.ac.s.hd 57i.s.ac.s.hd 586.s.cq.s.hd 57i.s.cq.s.hd 14.0.8p.5.86.s.ep 57i.s.ep 586.s.af.s.ep 57i.s.af.s.ep 586.s.ac.s.ep 57i.s.ac.s.ep 586.s.cq.s.ep 57i.s.cq.s.ep 17.0.8p.5.86.s.hd 57i.s.hd 586.s.af.s.hd 57i.s.af.s.hd 586.s.ac.s.hd 57i.s.ac.s.hd 586.s.cq.s.hd 57i.s.cq.s.hd 14.0.8t.5.16c 59l 5af.s.ep 5ep 5ac.s.ep 2:5cq 6s.ep 17.0.8t.5.16c 59l 5af 5ac 5hd 11sa 1hd 186 1cq 1mf.s.cq 14.0.b9.5.af.s.ep 5ep 5ac.s.ep 2:5cq 6s.ep 17.0.ef.5.af 5ac 3b9.5.af 5ac 5hd 186.s.af 3ac 3cq 14.0.bj.5.16c 59l 5mf.s.af 7ac 3:5cq 5mf.s.cq 17.0.bj.5.16c 59l 5af 5ac 2:17i.s.af 3ac 3cq 14.0.cm.5.16c 59l 5mf.s.af 7ac 3he.5.86 57i 3cm.5.cq 5mf.s.cq 17.0.cm.5.16c 59l 5af 5ac 3he.5.7i 1mf.s.af 3ac 1af 3:14.0.8p.5.af.s.ep 5ep 5ac.s.ep 2:5cq 6s.ep 17.0.gl.5.af 5ac 38p.5.af 5ac 5hd 1ac 17i 2:0b3.is 0kp.is 0b3.jm 0kp.jm 09kq.jm 05zy.jm 0971.jm 0sa.jm 059.jm 01ks.jm 0xm.jm 05o.ta.jm 27sj 210l 0199.1e 01jg.1e 0pt 07si.pt 0sa.dj 0b3.dj 0kp.dj 047.3j 01m.2h.7z 13u.7z 0y.7r.gn.1e 0u.7r.gn.1e 07r.2n3.gn.1e 12i8.gn.1e 0y.1m.gn.1e 0u.1m.gn.1e 01m.2n3.gn.1e 12i8.gn.1e 0zs 01m.zs 0op 0k6.op 01g.1x.1sn 01q.1x.1sn 047.xc 02iy.ht 07z.ib 01a8.ib 0199.2eu 01jg.2eu 01wa.2dh.5zt 0199.2tf 01jg.2tf 014x.1us.jm 01ad.2pq.3 17e.57.3 0rg 01m.rg 0a9.rg 073.rg 11m.rg 1a9.rg 0s2 07r.fo.a5.gn.1e 1f3.a5.gn.1e 08mm.1e 01m.i0.1e 018o 0yh 036j 0i.162 0s2.1rd.ht 03zl 0pt.op 060.ni 0y.1d.3v.5.1iy 0u.1d.3v.5.1iy 01m.h2.1e 0h2.i0.1e 0i0.h2.1e 034h.3.ps 073.2uo.3 01r.3f.op 12u.op 03u.cs 073.ri 01nq.35 01q.3zk.27d.t8 017d.i7.3 09ed.dj 08w.36j 013n.59.1e 01w.1x.59 0sr.rg 02d.1x.59 02k.1x.59 01q.1x.59 02d.1x.1e 0dq.bo 0357 02h.2d.41 05f.e.jm 0il.10l 02g8.3y1 01rf.q 1ib 133 2:0199.1fs 01jg.1fs 0vk.329.1fs 01wa.2dh.1fs 02jh.33e.32n 026w.33e.32n 02jh.9.k.300 026w.9.k.300 02qq.h.2zz 07sf.h.2zz 0hg.5o 18.4.0.1u 3:12d 12k 13e 13l 13d 13o 133.3 1i7 1ey.3 1y.cv 1u.cv 18.4.0.4j 09s.5o 11g 11q 11w 12d 12k 13e 13l 13d 13o 133.3 1i7 1ey.3 1y.cv 1u.cv 2:08.9s.4.0.o 41t 41p 475 4rh 461 45q 43g 455 44j 476 432 45n 4:05ud.3 0fs.3 0596.3 02g5.605.3 02mu.3 07ff.3 07kn.3 08by.3 0yp.3 021b.3 071.942.3 02dq.3 02fc.3 02l2.3 09qa.3 01p5.3 063x.8bn.3 02u9.3 067e.3 040b.3 06gs.3 04f1.3 072q.9n9.3 0993.3 09jb.3 06mb.yp.3 09qm.2mu.3 07so.1e.3 07ao.3 08qh.3 0706.3 049w.3 031i.3 g:012.y.a2.1a 1u.a2.1a 154.2h.7z.j6 18k.2h.7z.j6 1k8.t.1a 1n1.t.1a 1y.t.1a 1u.t.1a 14s.j6 1n1.4s.j6 1k8.4s.j6 11w.41.1a 12d.41.1a 1101.2y 21d 2cj 22y.zl 1y.u.t.1a 1101.1b0 22kp 236p.8a.4u 1kf.j9.j6 11m.2h.2a.j6 13xe.d 1a9.9ue 1qj.12n.1a 13f.t.j6 154.1m.j9.j6 12u.a2.5.5i.5b 13f.a2.5.5i.5b 1y.t.1v 1u.t.1v 1cs.1a g:026u.2f 03ul.20.dg.9d7 066.7.6x 01dr.4f6 06c.7z.d 04dz.2f 04db.9u7 05uc.1o0 08uy 01dr.5x6 0v.4.5m 17.61 0171.7.61 066.7.61 02uw.1o0 24d.1q.bx 0v.7.1u 0171.7.1u 0v.7.3g 14.3g 03g.21.3j.d 066.7.4j 07ve.3 0mr.8mj.2bs 0v.7.76 066.7.76 2aj 0v.7.30 0171.7.30 066.7.30 08fm.9hr 02wj 092w.1e 0ro.3 09nh.1e.3 09ym 066.7.68 02tc.3 01i0.3 08w.1i0.3 0171.7.68 04t.14.4.0.bj 06s8.3 03x1.3 0v.7.21 0171.7.6x 05u0.d 0v.4.1t 17.1t 28o 04t.7.8o 0v.7.55 14.1p 03m.d 012j.d 0n4.d 01do.d 01ra.1ym 0a4.7.aj 05x4.3 066.4.bx 2js 17.js 2bx 1ml.1bc 04t.1l.7.5m 33g 073.1l.7.3g 04t.1l.7.6h 066.1f.7.5y 24.5y 31t 31u 37y 08g3.7z 04t.wy 01ad.3 03vv 04t.4.8o 0d.1c.ad.1ym 0lj.60.1g.933 37q0 31zp 3mu 21q.us 21g.1pt 21q.1pu 21w.1pu 22d.1pu 21g.1yb 22k.311 21g.ed 21w.nu 22k.nu 23l.nu 060.151.1g 0by.62.1g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2pr 2nn 2f7 21g.40 22k.40 21g.57 04.by.62.1g 31q 31w 32d 32k 33e 33l 33d 33o 37e 3pr 3nn 3f7 31g.40 32k.40 31g.57 0by.62.1g.57.6x.5y 22k.57 27e.57 273.1g.40 08.4.0.73.6x 0by.62.3e.709.k 2f7.5rz.k 357 21g.40.57 0lj.60.5o.us 04t.h.1q 21w 5:03f.t 05j.t 02u.t 05b.t 0y.u.t 035.3k.t 05g.b6.t 19v.t 06r.9v.t 1b6.t 03f.t.5.2a 02u.t.5.2a 03f.ev.t 02u.ev.t 03f.1q.1fc.t 05j.1q.1fc.t 02u.1q.1fc.t 05b.1q.1fc.t 03f.t.5.ae 02u.t.5.ae 03f.t.ck.3j 05j.t.ck.3j 02u.t.ck.3j 05b.t.ck.3j 035.3k.t.5.1cw 03f.t.5.2i 02u.t.5.2i 03f.t.5.ho 02u.t.5.ho 0y.u.ev.t 2t.5.2a 05b.qm.t 05j.t.5.kh.3f 42u 05b.t.5.kh.3f 42u 02u.t.5.d7.5b 05b.t.5.d7.3f 0k8.8g.1b2.t 0n1.8g.1b2.t 05g.b6.t.20.54.3j 03f.t.20.3j.4d.2u.t.20.3j 0k8.4m.2y.t 0n1.4m.2y.t 03f.a2.5.5i.5j 45b 05j.a2.5.5i.2u 43f 02u.a2.5.5i.5j 45b 05b.a2.5.5i.2u 43f 02u.t.4d.3f.t 05j.t.3f.2f.5b.t 03f.t.4d.2u.t 1yi.m8 05j.yi.m8 02u.yi.m8 05b.yi.m8 03f.a2.4d.2u.a2 02u.a2.4d.3f.a2 03f.1m.t.5.2a 0y.u.1m.t.5.2a 02u.1m.t.5.2a 03f.1m.t 05j.1m.t 02u.1m.t 05b.1m.t 0y.u.1m.t 035.3k.1m.t 05g.b6.1m.t 19v.1m.t 06r.9v.1m.t 1b6.1m.t 03f.a9.t 02u.a9.t 03f.1kd.t 02u.1kd.t 05j.t.5.1m.2a 05b.t.5.1m.2a 03f.po.t 05j.po.t 02u.po.t 05b.po.t 03f.t.20.3j 02u.t.20.3j 03f.1y.t 05j.1y.t 02u.1y.t 05b.1y.t 05j.1y.t.ck.3j 39o.1ie 55.47.3j 62h.3j 21m.t 49o.1ie 02u.1y.t.ck.m4 05g.b6.t.20.d7 06r.9v.t.20.d7 035.3k.1y.t 0u.t.5.4.2y 05b.t.3f.2f.5j.t 01w.2u.m8 03f.t.5.2h.2a 02u.t.5.2h.2a 0y.u.t.5.2h.2a 03f.t.5.1m.2h.2a 02u.t.5.1m.2h.2a 0y.u.t.5.1m.2h.2a 03f.1v8.t 02u.1v8.t 0y.u.1v8.t 01c.16q 04m5 0156.132 0345.5up 1qu.9r.5uo 0nw.wf 06ma 014w 0pq.2f 09r.eq.pq.2f 04.pq.2f 0vc.nq.1h6 0qu.9r.1o2.nq.1h6 04.vc.nq.1h6 0e7.2f.8g2 0ml.q8 12br 11bc 0i7.3 07fn.3 01x.33 0x9.ni 0wf.i7 0cs.cp 04s.cp 0op.cp 01d.11a 01od.11a 01ex.11a 08g4.20 0144 0u.a5 0a5 0ra.a5 01yo.a5 05h5 0qu.9r.1oz 0uh.20 09r.uh.20 0gv.s 16e 0ls 0ky 0in 01m.in 0a9.in 01o3.in 01zb.in 0a18.in 0n1.in 11o3.in 0k8.1o3.in 09k1 048j 08m0 02vc 01x.i7 05uj 063v.2vc 02im 05h.cp 073.5h 08w.1sm.32 096i.ev 0a5h.q8 09r.5h 0i7.5h 0286.50.20 09r.286.50.20 012d.50.20 1tl.9r.26x.50.20 0w2.12d.p3.26x.50.20 0mw.50.20 09r.mw.50.20 0mw.50.6e.50.20 0a9.5h 016q.50.20 0nx.20 02gt.nx.20 05g7.hw 03y3.dg.728 02gt.50.20 012d.50.20.6e.dg.vu.2f 0vu.2f.6e.12d.50.20 0fs.ey 0ey.fs 04s.9w.50.20 150.20 058j.20 05u1 05to.20 0ak.ey 0kn.50.20 050.20.qs.5ek 0ra.qs 08jd.50.20 09r.50.20 01fn.20 09r.1fn.20 09c9.nx.20 0an.6e.50.20 0am.6e.50.20 0an.4d.50.20 0am.4d.50.20 0an.tl.9r.50.20 0am.tl.9r.50.20 019j.an 1am 0hw 09r.nx.20 1an 1am 0w2.an.p3.50.20 1am.p3.50.20 0an.6e.nx.20 0am.6e.nx.20 0w2.an.p3.nx.20 1am.p3.nx.20 0an.6e.am 0am.6e.an 0w2.an.p3.am 1am.p3.an 0q7 0qh 0q7.6e.50.20 0qh.6e.50.20 0q7.6e.nx.20 0qh.6e.nx.20 0qu.9r.2v5 232d 0ig.2f 0ih.2f 09r.o.ig.2f 2ih.2f 0ig.2f.6e.50.20 0ih.2f.6e.50.20 0w2.o.ig.2f.p3.50.20 2ih.2f.p3.50.20 0ig.2f.5.9r.50.20 0ih.2f.5.9r.50.20 01u1 1q2 1ky 01d.vu.2f 11a2.2f 1vu.2f.6e.50.20 11a2.2f.6e.50.20 11d7 117g 01j.33 1i7 1q 1x9.ni 11x.cp 14s.cp 1cs.cp 1ey 1dj 034.33 1i7 1q 11x.cp 0u.fe 0y.fe 03k.fe 035.fe 03zi 07g7 020j 05zr 0a9.2h.3j.u.zd 01m.2h.3j.1m.u.zd 0qu.9r.8g7 09r.20j 0qu.9r.5zq 02qx.1m.2h.3j.1m.u.zd 0q7.t6.1j7 0qh.t6.1j7 0ue.yy.2f 0vc.nq.ue.yy 0ue.yy.2f.6e.50.20 0vc.nq.ue.yy.6e.50.20 01a2.2f 0vu.2f 01u0 06b0.57t.7bo 06mp 0a6x 07kp 0p3 0u.a5.5.h8 14u 0ml.gv.s 26e 1ls 1ky 0cj.cp 01x.cp 0ak.cp 0x9.q 01d2 0y.ue.1pm.1b3.q8 0u.ue.1pm.1b3.q8 0y.1b3.q8 0u.1b3.q8 073.5h.ey 0ew.gv.6e 2s 01m.ig 1ih 1ls 1ky 02uu 050.s.uh.20 0an.5.1x 0am.5.1x 0g3.19j.an 2am 0an.50.20.6e.am 0am.50.20.6e.an 050.20.6e.an 3am 3q7 3qh 0qu.9r.2v5.6e.50 232d.6e.50 09r.1d.vu.2f.6e.50.20 21a2.2f.6e.50.20 01d.vu.2f.6e.9r.50.20 11a2.2f.6e.9r.50.20 0an.tl.9r.nx.20 0am.tl.9r.nx.20 0q7.tl.9r.nx.20 0qh.tl.9r.nx.20 09r.ue.yy.2f 0qu.9r.1o2.nq.ue.yy 09r.ue.yy.2f.6e.50.20 0qu.9r.1o2.nq.ue.yy.6e.50 02h.xc 02pk.47.xc 035.u.43.xc 03k.u.43.xc 0pq.2f.5.54.47.2a 32h.3j.d1.e7.2f.47.2a 04.pq.2f.5.2h.3j.d1.e7.2f.47.2a 0pq.2f.5.1x.1a 3q3 04.pq.2f.5.q3 0pq.2f.5.iw 31q.47.1z5 0vc.5.54.47.2a 22h.3j.d1.e7.2f.47.2a 04.vc.5.2h.3j.d1.e7.2f.47.2a 0vc.5.q3 04.vc.5.q3 068.85.1cs.7cs 05g0.3 01ec.t 0142 035.8e 03k.8e 08g0 08bv 0t9.7z 0y.mc 0u.mc 0y.ln 0u.ln 09q.u.1dj 1y.1dj 08g.u.1dj 1y.1dj 073.9r.3 01d.px 0h8 0ys 08va 0ro.8mi 015a.fn 0a0g.1d 0115.2f.6mq.3 04t.9r.3 037e 01fi 08g.y.d7 1u.d7 09q.y.d7 1u.d7 08g.2j.in 09q.2j.in 01ez 01b8 035.8e.hw.1q.47.16w 087n.vx 02f3.20.dg.u 075.9w.o.uk.2q 0190 0fo.a5.3v 0f3.a5.3v 02f3.20.dg.y 0298.4s 059r 016q.3yt 09f8 034t.8qq 05ge.87t 057s.9i3 097q 058m 058n 097.98.d.6io 399p.is 3is.50 41oz 4cj 4xu 42y 32y.15s 4xu 3ni.3j 3zl.3j 3is.ni 4zl 4an 4am 33f.1lh 32u.1lh 3is.3f.t 42u.t 32y.zl 33k.fe.iw 3kn.15s 3is.3k.s2 4kn 33k.fe.xu 35j.1lh 3is.5j.t 335.fe.q3 31ds.15s 3is.35.s2 41ds 335.fe.xu 35b.1lh 3is.5b.t 32vu.iw 3kn.iw 3cj.iw 3xu.iw 32y.iw 335.11g.xu 32vu.is 32y.ak 3is.fs 335.fe.8f 31ds.8f 3ak.8f 3xu.8f 32y.8f 33k.11g.15s 3y.11g.15s 35h.8f 3am.8f 3ag.3j 31ds.5h 3ae9 315s.5h 3ri.iw 3is.9r.50 4h2 33k.s2.5h 335.s2.5h 3bj 3he 38p 38t.iw 3ef.iw 3bj.iw 38p.iw 38t 09r.or.1e 0u.a5.5.5b.qm.t 0951.4m.2q 0zo.d 02h.7z.5.27.1x 01rd.d 0580.36i.d 05gs.36i.d 02ew.d 01ny.d 01y.1d.5.6c.2h.7z 02f0.d 01m8.vx.d 06au.d 01j.47.3j.5.2rz 14u.3k 012o.2y.5.7sq.t 09uf.d 07gv.d 06i9.d 02t4.68a.d 16xu.d 08aq.d 08ar.d 01oy.1oe.d.k.1q 098d.d 097.98.d.is 01or.ib.vx.d 08fq.ug 07n8.ug 02v8.1b0.d 04if.1b0.d 0y.cv.28.2i 2xf 223.2i 0u.cv.28.2i 2xf 223.2i 0y.1d.3v.28.d7 3xf 323.d7 0u.1d.3v.28.d7 3xf 323.d7 0y.ew.3v.28.2i 327.a8 323.2i 0ew.3v.xf 0u.ew.3v.28.2i 327.a8 323.2i 0in.xf 047.7z.xf 028.y.6e.23.u.ew.3v.dd 1u.6e.23.y.ew.3v.dd 01bc.8g 19q 08g.1d.3v 09q.1d.3v 34d.8g.1d.3v 01k.d.9q 0y.2h.2q.7z 0u.2h.2q.7z 047.1jp.72d 272e 272f 272g 0nt.d.37.2h.s.8g.u 59q.u 45.2y 33k.s.47.5.2y 335.s.47.5.2y 32h.5.4u 33k.s.47.5.4u 335.s.47.5.4u 32h.s.ev 33k.s.47.5.ev 335.s.47.5.ev 33k.s.47 335.s.47 32h.s.8g.y 59q.y 01d.1eu 01au.d 05sh.d 02h.7z.xf 0w0.b1 154.4d.8k 18k.4d.54 154.4d.1q.1k0 11q.1k0.4d.54 318u 1359 133z 12u2 0n2.2hf 060k 08g.cv 09q.cv 08g.ew.3v 09q.ew.3v 08g.ii.g1.3v 09q.ii.g1.3v 01y.9nn 0298.4s.5.2y 09c0 05z5 01cc.1oe 05so.ls 01or.5ur.d 01r.f3.1m.4u 1fo.1m.4u 1hu.1m.4u 1jr.1m.4u 1f3.1m.4u.5.2h.3j 1fo.1m.4u.5.2h.3j 1f3.4u.5.1m.2h.3j 03w0.hh 09bw 09lp.hh 01fi.5.5zb.8u1 01r.5f.fo.4u 2f3.4u 2hu.4u 2jr.4u 01m.2h.3j 01r.1d.1c.8n 12y.1c.2wb 015b.d 1872.d 19o.d 197j.d 0804.tx.d 0d.1c.2sa 2rm.2f.6ag 4wm 2e7.2f.wm 4350 25ta 226v 2zo 246h 247.33h 27z.1pq 22h.33h 2k.1pq 24e3.1au 2305.n9 39w 25d9.2ms.2f7 21du.12w.1g 41q 41w 42d 25s.26v 29fb.6l0 2e7.2f.350.18 22ao 2e7.2f.5f 232c 22f7 2180.ib 22hg.ib 22wb.ib 2rp.ib 2jm 217j 01cz.d 04m.2q 0d.1c.1uf 217j.k.1q 232c.k.1q 217j.1d.12s.zq.k 31x2.12s.zq.k 35f.ng.k n:0so.2i 12b6 11ev 18w.1ev 1s0.4be 112m.162 11n3.1mr.2j4 13wn.2f.or 1dj 159k.26u.10 11m.zl m:01j.h.1g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 2pr 2nn 2wo 2vl 2r0 2sx 2wg 2tu 2w3 2cg 03x.h.1g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 2pr 2nn 2wo 2vl 2r0 2sx 2wg 2tu 2w3 2cg 0h.1g.br.8n 11q.br.8n 11w.br.8n 12d.br.8n 12k.br.8n 13e.br.8n 13l.br.8n 13d.br.8n 13o.br.8n 010.7e.br.8n 1pr.br.8n 1nn.br.8n 1wo.br.8n 1vl.br.8n 1r0.br.8n 1sx.br.8n 1wg.br.8n 1tu.br.8n 1w3.br.8n 1cg.br.8n 03x.8.4.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 01j.8.7.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 24.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1h.5o 05s.1j.10.pr 3nn 3wo 3vl 3r0 3sx 3wg 3tu 3w3 3cg 01m.1j.h.1g 31q 31w 32d 32k 33e 33l 33d 33o 210.7e 05s.1j.h.5o 02q.39.37.47 22g.47 237.2h 22g.2h 237.a9.dj.47 22g.a9.dj.47 237.a9.dj.2h 22g.a9.dj.2h 237.sr.dj.47 22g.sr.dj.47 237.sr.dj.2h 22g.sr.dj.2h 237.3k.s.u 23k.37.s.u.2g 32g.s.u.37 22g.3k.s.u 237.3k.s.y 23k.37.s.y.2g 32g.s.y.37 22g.3k.s.y 237.35.s.u 235.37.s.u.2g 32g.s.u.37 22g.35.s.u 237.35.s.y 235.37.s.y.2g 32g.s.y.37 22g.35.s.y 237.2h.s.u 22h.37.s.u.2g 235.2g.s.u.3k.37 23k.2g.s.u.35.37 22h.2g.s.u.37 23k.37.s.u.35.2g 235.37.s.u.3k.2g 22g.2h.s.u 237.2h.s.y 22h.37.s.y.2g 235.2g.s.y.3k.37 23k.2g.s.y.35.37 22h.2g.s.y.37 23k.37.s.y.35.2g 235.37.s.y.3k.2g 22g.2h.s.y 237.3k.s.47 2y.2g.s.u.3k.37 2u.2g.s.y.3k.37 23k.37.s.47.2g 32g.s.47.37 2u.37.s.y.3k.2g 2y.37.s.u.3k.2g 22g.3k.s.47 237.35.s.47 2y.2g.s.u.35.37 2u.2g.s.y.35.37 235.37.s.47.2g 32g.s.47.37 2u.37.s.y.35.2g 2y.37.s.u.35.2g 22g.35.s.47 237.2h.s.47 2y.2g.s.u.2h.37 2u.2g.s.y.2h.37 22h.37.s.47.2g 235.2g.s.3k.47.37 23k.2g.s.35.47.37 22h.2g.s.47.37 2y.35.2g.s.u.3k.37 2u.35.2g.s.y.3k.37 2y.3k.2g.s.u.35.37 2u.3k.2g.s.y.35.37 23k.37.s.35.47.2g 235.37.s.3k.47.2g 2u.37.s.y.2h.2g 2y.37.s.u.2h.2g 22g.2h.s.47 237.1m.dj.47 22g.1m.dj.47 237.1m.dj.2h 22g.1m.dj.2h 21m.47 32h 23k.7r.s.u.1m 31m.s.u.7r 21m.3k.s.u 23k.7r.s.y.1m 31m.s.y.7r 21m.3k.s.y 235.7r.s.u.1m 31m.s.u.7r 21m.35.s.u 235.7r.s.y.1m 31m.s.y.7r 21m.35.s.y 22h.7r.s.u.1m 31m.s.u.7r 21m.2h.s.u 22h.7r.s.y.1m 31m.s.y.7r 21m.2h.s.y 23k.7r.s.47.1m 31m.s.47.7r 21m.3k.s.47 235.7r.s.47.1m 31m.s.47.7r 21m.35.s.47 22h.7r.s.47.1m 31m.s.47.7r 21m.2h.s.47 237.h8.3k.s.u 6y 435.s.y 6u 343.28.u.20.23.y 5y.20.23.u 4bo 3y 335 3u 33k 22g.y 335 3u 33k 237.y.s.2g.u 335.s.2g.3k 22g.y.s.37.u 335.s.37.3k 028.2j.18 023.1g.ed.18 29a.18 11w.nu.18 12j.18 12k.nu.18 11w.ji.18 13l.nu.18 0br.18 0y.3l.nu.18 11w.ji.18 12k.nu.18 12j.18 11w.nu.18 11g.9a.18 2ed.18 0u.2j.18 037.ng 05f.ng 02ck.ng 028.1g.ed.18 0u.1g.ed.18 08z.23.y 2u 128.y 3s.23.y.s.23.u 5u 428.u.s.23.y 8u 2u 3s.23.y 6s.23.u 01r.1d 01y.1d 25.og.12y 2s6.1r.4.1d 01d.5.47.i1 22h.i1 22t9.1dk.i1 228.y.20.23.u.i1 3u.20.23.y.i1 243.1dk.i1 01r.4.1d 01y.4.1d 01r.uk 01y.uk 01r.2h.uk 01y.2h.uk 01r.2tr 01y.2tr 01r.hu.4u 01y.hu.4u 01r.hu.4.4u 01y.hu.4.4u 01r.f3.4u 01y.f3.4u 01r.f3.4.4u 01y.f3.4.4u 01r.f3.117 01y.f3.117 01r.jr.4u 01y.jr.4u 01r.jr.4.4u 01y.jr.4.4u 01r.fo.4u 01y.fo.4u 01r.fo.4.4u 01y.fo.4.4u 01r.fo.117 01y.fo.117 01r.cj 01y.cj 2s6.1r.4.cj 05ym 0px 01y.2y 0dq.2y 02y.5.2h.i1 04bk 01r.2y 02y.5.y.2j.1r 2u.2j.1r 223.2j.1r 228.2j.1r 3u.8z.1r 216q.tl.28.y.8z.1r 0y.2j.1r.2y 0u.2j.1r.2y 0pv.op 11y.2y 028.2j.pv.1y.2y 023.2j.pv.1y.2y 028.y.8z.17b.h8 1u.8z.17b.h8 023.u.8z.17b.h8 1y.8z.17b.h8 028.2j.2y 023.2j.2y 01r.23.u.4u 2y.4u 128.y.4u 2u.4u 01y.op 01d.5.y.2j.1r 2u.2j.1r 228.y.43.2j.1r 223.u.43.2j.1r 01y.1d.5.2h.49s.7z 1hu.4u.5.1x 0hu.4u.5.y.2j.1r 3u.2j.1r 03n.2y 01y.1d.5.28.y.8z 323.y.8z 4u.8z 328.u.8z 12y.5.28.y.8z 323.y.8z 4u.8z 328.u.8z 028.y.4u 1u.4u 023.y.4u 01y.5f.1d 01r.5f.1d 01y.5f.4.1d 01r.5f.4.1d 023.u.4u 01r.nj.5.qa 0s5 01by 01yk 04m0 01r.ak 01y.ak 019a 09kt 0nj 0283.2rx 01ow.2rx 057u 01v9 01r.ro 01y.ro 0pk.2q 25.or 375 0su 01by.5.119.5pf 018l.29a 01y.1jy.a8 01r.1jy.a8 093n 073.a4.1py.fm.op 01r.y.8a.3c 1u.8a.3c 01y.y.8a.3c 135.8a.3c 1u.8a.3c 13k.8a.3c 01ye.s.2bv 04ec.3 08lh.3 049n.3 02ak 03xb 087w.bo 0hz.he 0bo.2f.73m 26o1 0ak.s.12z 0ov.d 03un.93k 01fa.s.968 01vp.d 0wu.ru 0za.1c.1fe 22m0 2sb 21zz 2tb 2pc 2y7 2n2 01ll.2f.5fj 01y.13o.2x 1ie.2x 01r.ie.2x 01y.nj.5.qa 0vk.9a.gk 01sl.9a.gk 01h7 013l.3 0n2 0uc.3 06po 08ud 036q 02qz 01ah 03ym 09ie 063p 04dl 0717 0a0r 071s 08uu 08tc 04dv 03y7 08dp 01y.4r.jv 2kx 2nc 2mx 2ez 2na 01r.4r.jv 2kx 2nc 2mx 2ez 2na 131m.wj 01y.fm.wj 1cj.wj 01r.1nt.wj 01y.31m.wj 01r.fm.wj 1cj.wj 01y.1nt.wj 018l.99j 09a.hs 0ed.hs 01cx.ed.19w 1k4.19w 01hf.108.3 11u8.3 111d.3 0b6.6s.bo 09v.6s.bo 036k.ul.d 0ul.d.1c.9re.116 39rg.116 3368.116 3369.116 336a.116 336b.116 39rh.116 363r.7bn 01r.36k.ul.d 08ml.1ia.d 08ai.1ia.d 08bt.1ia.3 0219.d 0x8.5wx 15wy 15wz 15x0 15x1 15x2 01y.2y.5.1x.u 31q.41 01r.2y.5.1y.1x.u 31q.1y.41 0w1.1c.ru 2wu 0vg.1c.2hd.ru 22mj.wu 3ru 22hd.wu 01y.r1 01r.r1 01fa.s.1vw 027j 0pn.9ec 0yw.2f.3v0 08un 027a 013n 01qd 0yw.2f.6az 03zy.d 05z6 0dm.1y.ak 01w.1sv.2bp.u 3y 0a3i.3 046.a17.3 017p.13l.3 1uc.3 06mr.13l.s.uc.3 0uc.s.13l.3 15.2a.3 3s.uc.s.13l.3 02h.uc.5.2a.3 047.uc.5.2a.3 05f.1y.2y 11r.2y 14.1y.2y 07b9.d 05h7.d 09un.2tu.d 04lr 060g.9v1 07n6 04fi 089d 06pi 0a01 04gv 01r.gk.724 093b 092m 08jh 092x 0989.qq 047c 034.vx 01y.1e4.jz 2jv 01r.1e4.jz 2jv 01yk.16g.1yi 0nj.1mw.s5 0119 01r.1yk 01zz.s5.s.119 04t.1y.1jy.a8 11r.1jy.a8 01y.cj.9w.1d 0ft.2m4 05gr.mz 087k 01vw 0mz.97o 01fg.5.1y.bo 01j.ft.2m4 04fn 0ea.1pf 0dp.877.y.1c3.1bo 01r.365.y.1c3.1bo 01y.365.y.1c3.1bo 01r.y.2m3.2pb 01y.y.2m3.2pb 02e0.318.3 02g.1y.jr.4u 0y.bv.1pf 034.su 0104.43.9w.1y.2y.9w.1r.1d 01r.20i 02wk.y.5td 25te 03zo.d.1c.36q 02g.2y.5.2a.s.1q.41.1a 01ig 08of.2jk.1ig 070s.2jk.1ig 08w.1ig 01r.bo.9o.1y1 094e.957 02bc 01ng 06c7.96z 01qd.16g.6gz 15.69l 019b.d.1c.721 0y7 01by.9o.2hf 02g2 0r1.9w.2ij 05xy 08tf 01d.2d.12y 097a 0xr.314 0j7.5.qq 01zo 0xs.1mr.d 02hz.676.d 060c.8gm 017g.9o.1r.1d 01y.r1.5.47.27.1r.9cc 01r.1xj.15k 028.29k.15k 01r.15k 023.29k.15k 01y.15k 12g.or.1e 0ro.y1.3 033m.2e0 0ry 0vj 0f2.1pw 1fg 036y.fg 037u.fg 023.u.1if 01if 028.u.1if 01y.2ri 01r.2ri 0or.1e 02g.or.1e 0q2.75 02g.q2.75 0pk.75 02g.pk.75 0dm.14.bo 02g.14.bo 04m.6c.bo 02g.4m.6c.bo 08.bo 0qe.1y.8.bo 0dm.8.bo 07al.bo 0ak.2f.5da 02d.11s.cs 11mp.cs 02g.2d.1mp.cs 02d.4it.cs 01r.2d.el.ak 01y.2d.el.ak 098v 01ba.dm.1y.ak 01j.1y.ak 04m.6c.1r.ak 01r.6c.1y.ak 0dm.1r.ak 02g.dm.1r.ak 0w7.ak 0qe.1y.ak 02g.cs 04m.6c.cs 03d.m0.cs 1el.1r.ak 2w7.ak 03e.el.1r.ak 03d.el.2wc.1r.ak 02g.3d.el.2wc.1r.ak 0nn.el.1r.ak 0sx.el.cs 011s.cs 04m.6c.11s.cs 02g.11s.cs 03e.2ua.1r.s.1y.1es 01r.1es 01y.1es 03d.2ua.dm.1r.1es 01j.4m.6c.3d.el.ak 02g.11s.w7.cs 01yj 0202.9nv.1yj 02g.1nj.1yj 031n 02g.31n 01mp.cs 03d.11s.2vb.cs 02g.3d.11s.2vb.cs 0bo.1e 0qe.1y.2y 05s.34.bo.1e 023.u.2e1.1y.1d 028.u.2e1.1y.1d 023.u.qe.1y.1d 028.u.qe.1y.1d 01r.h2.1e.a0 01y.h2.1e.a0 1i0.1e.a0 01r.cj.i7.1y.75 02g.i0.1e.d 037.2h.3j 05f.2h.3j 02g.2h.3j 17r.4t.ag.gn.1e.a0 2ag.gn.1e.a0 11m.4t.ag.gn.1e.a0 2ag.gn.1e.a0 13u.7r.ag.gn.1e.a0 21m.ag.gn.1e.a0 0kl.m1.1a8.3.a0 02g.i0.1e.a0 1fm.i0.1e.a0 11r.fm 0a4.2g.1r.fm.op 01py.fm 0a4.1py.fm.op 05f.y.cv.a0 1u.cv.a0 1182.y.cv.a0 2u.cv.a0 1fo.a5.3v.a0 1f3.a5.3v.a0 02g.fo.a5.gn.1e.a0 1f3.a5.gn.1e.a0 1fo.a5.3v.a0 1f3.a5.3v.a0 037.y.ii.g1.3v.a0 1u.ii.g1.3v.a0 05f.y.ew.3v.a0 1u.ew.3v.a0 0fw.5s.1j.h.1g 41q 41w 42d 42k 43e 43l 43d 43o 310.7e 11j.1l.h.1g 41q 41w 42d 42k 43e 43l 43d 43o 310.7e 15s.1j.1l.h.1g 51q 51w 52d 52k 53e 53l 53d 53o 410.7e 02g.e2.2u.t 133.3 1i7.3 1x9.3 16r.9v.t 12u.t 15g.9v.t 05pa.ht.2u.t 02g.8pj.2u.t 08d.2u.t 02g.8d.2u.t 0po.8d.2u.t 02g.po.8d.2u.t 01r.2u.t 0161.20c.2u.8e 14aj.2u.8e 01r.2u.8e 02g.1r.kl.5b.s.2u.t 35j.s.2u.t 031v.1r.2u.t 02g.57m.1r.2u.t 01xa.1y.2u.t 01sq.1y.2u.t 01mm.qe.1y.2u.t 01q7.qe.1y.2u.t 02g.23.1jf.1y.2u.t 128.1jf.1y.2u.t 0uf.23.1jf.1y.2u.t 0ew.ho 0uf.28.1jf.1y.2u.t 01j.2g.1y.2u.t 0a49.2u.t 012k.6r.9v.t 12u.t 15g.9v.t 02g.12k.6r.9v.t 22u.t 25g.9v.t 09iy.2u.t 02g.9iz.2u.t 037k.2u.t 02g.37k.2u.t 087i.2u.t 01m.ew.ho 01w.5gf.a5 01y.4u.s6.4.1y.4u 01vs 04m.ig 1ih 0y.2xe.1cs.1dt 0u.2xe.1cs.1dt 06e.5.1x.l9 0kf.j9.2v6.ig 0ih.2v6.j9 02h.3j.5.47.2a 0e.oc.43 054.x9 0e.104.43 034.gv.s 26e 01y.cj.5.v8.1x 0s.5.1x 0pq.2f.113.5j 023.u.d7.5.1x 028.y.d7.5.1x 0y.1vb.1fx 0u.1vb.1fx 0br.1vb.1fx 03n.35.fe 13k.fe 0y.s.u.1m.zd 3fe 11u0 054.u.fe 1y.fe 035.fe.5.2y.1a 0px.1p0.qs.47.8qn 01y.1nz.cj 35.3f.lf 42u.lf 11d.5.3f.lf 32u.lf 0e.y.1y.1d.3v 1u.1y.1d.3v 1y.a5.3v 1u.a5.3v 1y.1m.a5.3v 1u.1m.a5.3v 1y.1y.ii.g1.3v 1u.1y.ii.g1.3v 1y.182.cv 1u.182.cv 05j.sr.t 05b.sr.t 0k8.2gj.2y.t 0n1.2gj.2y.t 0u.t.5.1j.33 054.3f.t 12u.t 1y.u.t 13f.1m.t 12u.1m.t 1y.u.1m.t 13f.t.ck.3j 12u.t.ck.3j 13f.1m.t.ck.3j 12u.1m.t.ck.3j 21kd.t 026.25.1cz 25hz 25lj 25i0 25nb 25js 25lk 25i1 25o7 25ko 25mg 25ix 25nc 25jt 25ll 25i2 25on 25l4 25mw 25jd 25ns 25k9 25m1 25ii 25o8 25kp 25mh 25iy 25nd 25ju 25lm 25i3 25ov 25lc 25n4 25jl 25o0 25kh 25m9 25iq 25og 25kx 25mp 25j6 25nl 25k2 25lu 25ib 25oo 25l5 25mx 25je 25nt 25ka 25m2 25ij 25o9 25kq 25mi 25iz 25ne 25jv 25ln 25i4 25oz 25lg 25n8 25jp 25o4 25kl 25md 25iu 25ok 25l1 25mt 25ja 25np 25k6 25ly 25if 25os 25l9 25n1 25ji 25nx 25ke 25m6 25in 25od 25ku 25mm 25j3 25ni 25jz 25lr 25i8 25ow 25ld 25n5 25jm 25o1 25ki 25ma 25ir 25oh 25ky 25mq 25j7 25nm 25k3 25lv 25ic 25op 25l6 25my 25jf 25nu 25kb 25m3 25ik 25oa 25kr 25mj 25j0 25nf 25jw 25lo 25i5 25p1 25li 25na 25jr 25o6 25kn 25mf 25iw 25om 25l3 25mv 25jc 25nr 25k8 25m0 25ih 25ou 25lb 25n3 25jk 25nz 25kg 25m8 25ip 25of 25kw 25mo 25j5 25nk 25k1 25lt 25ia 25oy 25lf 25n7 25jo 25o3 25kk 25mc 25it 25oj 25l0 25ms 25j9 25no 25k5 25lx 25ie 25or 25l8 25n0 25jh 25nw 25kd 25m5 25im 25oc 25kt 25ml 25j2 25nh 25jy 25lq 25i7 25p0 25lh 25n9 25jq 25o5 25km 25me 25iv 25ol 25l2 25mu 25jb 25nq 25k7 25lz 25ig 25ot 25la 25n2 25jj 25ny 25kf 25m7 25io 25oe 25kv 25mn 25j4 25nj 25k0 25ls 25i9 25ox 25le 25n6 25jn 25o2 25kj 25mb 25is 25oi 25kz 25mr 25j8 25nn 25k4 25lw 25id 25oq 25l7 25mz 25jg 25nv 25kc 25m4 25il 25ob 25ks 25mk 25j1 25ng 25jx 25lp 25i6 02u.lh.t.5.2h.2a 41m.2h.2a 03f.1m.t.5.2h.2a 02u.1m.t.5.2h.2a 0y.u.1m.t.5.2h.2a 02u.lh.t.ck.3j 03f.1m.t.ck.3j 02u.1m.t.ck.3j 05b.t.5.47.2a 05j.t.5.47.2a 1a9.t 05b.a9.t 03f.1m.dj.t 02u.1m.dj.t 03f.a9.dj.t 02u.a9.dj.t 1lh.a9.dj.t 1t.5.dq.m1 05j.t.20.3j 05b.t.20.3j 02u.t.5.ae.5.2h.2a 51m.2h.2a 1lh.t.5.ae 55.2h.2a 61m.2h.2a 03f.1cl 02u.1cl 03f.1m.1cl 02u.1m.1cl 03f.t.20.1r.cj 02u.t.20.1r.cj 03f.t.ck.3j.20.1r.cj 02u.t.ck.3j.20.1r.cj 05g.b6.s.6r.9v.t 19v.s.6r.b6.t 1b6.t.5.2i 19v.t.5.2i 06r.9v.t.5.2i 1b6.t.5.2i 05g.b6.t.s.5g.9v.t 19v.t.s.6r.9v.t 06r.9v.t.s.6r.b6.t 1b6.t.s.5g.b6.t 0oc.43.ft.104.43 0104.43.ft.oc.43 06r.9v.t.ft.5g.9v.t 05g.9v.t.ft.6r.9v.t 0104.43.ft.5g.9v.t 0oc.43.ft.6r.9v.t 05g.9v.t.ft.5g.b6.t 1b6.t.ft.5g.9v.t 0ev.t.8a.2di.u 0t.8a.2u.wn.17h.5j 55b 25b.wn.17h.3f 52u 08oh.h8.n1.t 070u.h8.k8.t 08g.h8.k8.t 09q.h8.k8.t 08g.h8.n1.t.5.i7 2k8.t.5.33 023.u.1xu.n1.t 1y.1xu.k8.t 0k8.bv.2y.t 0n1.bv.2y.t 02u.t.1a.8k.3f.t 03f.t.1a.8k.2u.t 08k.2u.t.1a.3f.t 02u.t.5.33.1v 03f.t.5.33.1v 02u.t.oi.75 0y.u.t.oi.4.2y 05j.lh.t.ck.4.2y 0y.5i.35.u.5i.3k.a2 23k.u.5i.35.a2 035.5i.u.3k.5i.y.a2 2y.3k.5i.u.a2 0y.5i.35.u.5i.35.a2 035.5i.u.3k.5i.u.a2 0y.5i.3k.u.5i.3k.a2 035.5i.y.3k.5i.y.a2 03f.a2.5.5i.35.20.3j 02u.a2.5.5i.35.20.3j 05j.a2.5.5i.u.20.3j 05b.a2.5.5i.u.20.3j 03f.a2.5.5i.3k.20.3j 02u.a2.5.5i.3k.20.3j 05j.a2.5.5i.y.20.3j 05b.a2.5.5i.y.20.3j 03f.a2.5.5i.35.ck.3j 02u.a2.5.5i.35.ck.3j 05j.a2.5.5i.u.ck.3j 05b.a2.5.5i.u.ck.3j 03f.a2.5.5i.3k.ck.3j 02u.a2.5.5i.3k.ck.3j 05j.a2.5.5i.y.ck.3j 05b.a2.5.5i.y.ck.3j 03f.a2.5.5i.35.1a.3f.a2.5.5i.3k 05j.a2.5.5i.y.s1.5j.a2.5.5i.u 02u.a2.5.5i.35.1a.2u.a2.5.5i.3k 05b.a2.5.5i.y.s1.5b.a2.5.5i.u 03f.a2.5.5i.35.1a.2u.a2.5.5i.35 43k.1a.2u.a2.5.5i.3k 02u.a2.5.5i.35.1a.3f.a2.5.5i.35 43k.1a.3f.a2.5.5i.3k 03f.a2.5.5i.35.1a.54.dj 43k.1v.54.dj 02u.a2.5.5i.35.1a.54.dj 43k.1v.54.dj 05j.a2.5.5i.y.s1.5b.a2.5.5i.u 05b.a2.5.5i.y.s1.5j.a2.5.5i.u 0u.1m.t.5.og.eh 0ey.3.1a.2u.t 05h.cp.1a.2u.t 03f.t.1a.5h.cp 02u.t.1a.5h.cp 3mw.50.20 0an.1a.3f.t 03f.t.oi.an 0am.1a.2u.t 0ig.1a.2u.t 03f.t.oi.ig 0ih.1a.3f.t 0y.ox.ae 0u.ox.ae 035.ox.ae 03k.ox.ae 0a9.2h.3j.1dt 068.85.99f 2at.fs 0y.1y.ew.3v 0u.1y.ew.3v 0y.1y.cv 0u.1y.cv 068.85.y.vu.3v 2u.vu.3v 2y.29g.3v 2u.29g.3v 0y.1d.3v.5.iw 0u.1d.3v.5.iw 0y.1d.3v.5.lf.9w.8g.d7 0u.1d.3v.5.lf.9w.9q.d7 0y.1d.3v.5.lf.9w.9q.d7 0u.1d.3v.5.lf.9w.8g.d7 0y.a5.3v.5.1x 0u.a5.3v.5.1x 0y.h8.an.3v 0u.h8.am.3v 01m.y.h8.am.3v 1u.h8.an.3v 0y.1r.ii.g1.3v 0u.1r.ii.g1.3v 0dq.17z 02h.qm.7z 0ra.a5.113.y 0u.a5.g2.5.1d 0ra.u.a5.5.1x 0a5.5.32.l9 06i.a5 01yo.a5.113.y 335 04t.a5 073.a5 0a5.5.iw 073.a5.5.iw 0mm.a5.113.35 33k 0ra.a5.5.4m.ix.xd.9w.t.8a.35.s.u by 93k.s.u by 9u.s.35 9y.s.35 9u.s.3k 9y.s.3k 073.nw.wf 0nw.wf.5.q3 34.2y.1a 3u.t.1a 3y.t.1a 02y.5.47.3j 01j.2h.3j 1uh 1kf.j9 11vs 02y.1p0.qs.47.3j.s.8g.2j.1p0.qs.2h.3j 15.9ds.75 01j.3xi.x9.3 035.t.oi.2y 01j.1y.op 1op 1an 1am 02y.5.4.2y.20.dg.u 21q.47.1z5.20.dg.u 034.oc.43.ni 1104.43.ni 1cs 14.2y 11d 01q.18u.1kc 04u.5.1x.1a 2iw 032.9w.4u 04u.5.1js.d1.9q 0u.4u.1a.y.4u 0y.4u.s1.2h.3j 02h.3j.s1.u.4u 01d2.5.y.2j.1r 2u.2j.1r 01r.1d2 0q.5.y.2j.1r 2u.2j.1r 01y.1fi 01r.1fi 0y.16f.17z 0u.16f.17z 0y.1m.16f.17z 0u.1m.16f.17z 06m8.144 0162.4d.144 0144.2qx.5.2h.3j 05p5.1u0 01d.5.581.887 06m9.nq 095f.q8 0ey.3.s.hf.uh 55.5h.1a 01fn.20.s.hf.uh 0666.9b2 09k2 0jr.4u.5.y.2j.1r 3u.2j.1r 01r.cj.5.3k.t 1px 01y.2y.5.3k.t 01r.2y.5.3k.t 013i.1y.1d 11r.1d 11y.cj 11r.cj 11y.2y 11r.2y 08qo 0kf.j9.cp 0j9.5.q3 0kf.j9.5.47.2a 0nr.j9 1kf.j9 01m.33 0a9.33 0fo.kl.a5.3v 0f3.kl.a5.3v 01bl 07fo 0ml.1j.1x.cp 233.cp 2q.cp 1ky.cp.5.1x 433 11d.ls.cp 2ky.cp 01q.gv.s.cp 26e.cp 0ml.q.cp 07gl.1q.15u 01bc.5.in 0sr.in.cp 05yg.1vm.in 0in.5.1m.2a 140i.5.ni 04i2.2g8 0k8.1fq 07z.1fq.5.1x2.1aa.1mg.1ai 31xu.1aa.1mg.1ai 29r.6m6.dg.1ai 0in.1mg.o.ht.cp 08ja.in.cp 0in.5.3f.t.5.2i 2q.3 2ls 2ky 2q3 2iw 01fx 03n.y.4u.cp 068.85.1xo.1ny 38dl 38fz 033.3.5.4.2y.1a 37o.9g.1a 35h.1a 31x.1v 35h.1v 39s.1q 31r.4u 0i7.3.5.ag.1a 31x.1v 3104.41 3oc.41 033.3.9w.y.2j.2y 3u.2j.2y 09ye.6e.bo.q8 0q2.3.5.1x.1a 3iw 01b3.q8.5.9q.bv 031b.q8 0q2.3.9w.y.2j.2y 3u.2j.2y 01j.q2.3.5.7o.9g 0q2.3.9w.1m.2y 01j.x9.3 033.3.9w.4u 0i7.3.9w.4u 0q2.3.9w.4u 02jj.q8 08oi.2jj.q8 068.85.8my.1ny 03wi.6e.2br 0ls.5.1x 0ky.5.i7.3 2q3 0ls.5.q3 2gv.s 0ky.5.gv.6e 11a.ls 0ls.1a.ky 0ky.1a.3j.1a.ls 0ls.1a.3j.1a.ky 0ky.s1.s.18u.5.ky 0ls.s1.s.18u.5.ls 0bv.ky.5.1js 1ls.5.1js 01m.1d.ls 2ky 0bv.ky.5.1js.s.31b.q8 0gv.s.5.1x.1a 16e.5.1x.1a 01m.gv.s 26e 01q.2jm.gv.s 36e 0317.3n.6e 2s 0gv.6e.1a4.gv.s 1s.5.27.m1 16e.5.27.m1 1s.5.47.dj 16e.5.47.dj 1s.5.1m.q3 3iw 31m.iw 04.zf.5.iw 0gv.6e.5.1m.q3 4iw 068.85.5hs.27o 21ar.27o 0ey.3.5.1x.1v 01fn.5.1x.1a 0a9.47.3j.5.1m.2h.2a 4a9.2h.2a 05h.cp.5.1x.1a 3oc.41 0up.i7.up 057r.5.1x.1a 0ey.5.cs 0mw.50.20.5.7o.9g 012d.50.6e.50.20 0ey.3.1a.33.3 033.3.1a.ey.3 0ey.3.1a.5h.cp 01m.fs.50 01q.2bo.ey.30o 01w.2bo.ey.30o 0ey.3.5.1q.41.1a.s.1q.41.1v 0nx.5.2d.41.1a 0an.5.2y.l9 0am.5.2y.l9 0an.5.h2.1e.1a 0am.5.h2.1e.1a 0an.6e.hf.50.20 0am.6e.hf.50.20 0an.6e.hf.50.20.5.1x.l9 0am.6e.hf.50.20.5.1x.l9 0an.6e.hf.50.20.5.1x.1a 0am.6e.hf.50.20.5.1x.1a 0an.6e.hf.50.20.5.1x.1a.u 0am.6e.hf.50.20.5.1x.1a.y 0an.6e.1cj 0am.6e.1cj 0an.s.15p.9r.50.20 0am.s.15p.9r.50.20 0an.s.9r.1cj 0am.s.9r.1cj 0an.1a.tq.50.1a.am 0am.1a.tq.50.1a.an 0an.1a.up.6e.50 0am.1a.up.6e.50 0an.1a.up.1a.am 0am.1a.up.1a.an 0an.1a.am.1a.tq.50 0am.1a.an.1a.tq.50 0an.1a.hf.50.1a.am.1a.hf.50 0am.1a.hf.50.1a.an.1a.hf.50 0hf.50.20.6e.an 4am 4an.5.1x.l9 4am.5.1x.l9 0tq.50.20.6e.an 4am 1hf.50.20.6e.an 5am 0up.6e.an 2am 11a.an.1a.ey.3 2am.1a.ey.3 01m.19q.an 2am 2an.5.iw 0am.1a4.an 1s1.an 0an.bv.qs.ec 0am.bv.qs.ec 0an.bv.qs.ec.1a.hf.50 0am.bv.qs.ec.1a.hf.50 031a.160 02m6.160 031a.160.6e.50.20 02m6.160.6e.50.20 0ey.3.5.4bl.1a 0q7.1a.15p.ey.3 0qh.1a.15p.ey.3 0q7.1a.15p.9r.50.20 0qh.1a.15p.9r.50.20 0q7.1a.ey.3 0qh.1a.ey.3 0q7.1a.9r.50.20 0qh.1a.9r.50.20 0q7.1a.mw.50.20 0qh.1a.mw.50.20 0q7.1a.9r.mw.50.20 0qh.1a.9r.mw.50.20 01m.q7 1qh 0ig.5.1x 0ih.5.1x 0ig.5.33.3.1v 0ih.5.33.3.1v 0ig.5.q2.3.1v 0ih.5.q2.3.1v 0ig.2f.6e.50.20.5.1x.1a 0ih.2f.6e.50.20.5.1x.1a 0ig.2f.1a.ey.3 0ih.2f.1a.ey.3 0ig.2f.1a.5h.cp 0ih.2f.1a.5h.cp 0ig.2f.1a.mw.50.20 0ih.2f.1a.mw.50.20 0ig.2f.1a.9r.50.20 0ih.2f.1a.9r.50.20 01d.y.4m.2q.cp 1u.4m.2q.cp 0bv.ig 1ih 1ig.6e.50.20 1ih.6e.50.20 0ig.1a.ih 0ih.1a.ig 0ig.1a.ig 0ih.1a.ih 1s1.ig 2s.18u.qs.dj.5.ig 0pq.2f.113.5b 02uu.5.15y.8g 09nl.ls 05zs 07sl 08k.y.fe 13k.fe 135.fe 01vs.5.32 02h.3j.a9.u.zd 01m.2h.3j.y.zd 02h.3j.1m.y.zd 01m.2h.3j.1m.y.zd 054.dj.ck.y.1h6.2f.1m.2h 08k.3k.fe.5.q3 135.fe.5.iw 31a.8k.3k.fe 01m.3k.fe 135.fe 12a.9r.3 073.1m.2a.9r.3 0qu.9r.1oz.5.73.7mx.ni 02h.7z.5.2y.1a 41v 03k.fe.5.2y.1v 0uh.5.47.2a 25h.cp 0a9.2h.3j.29e.1j7 35.47.2a 1fs.cp 119q.an 2am 0tq.hf.an.6e.50.20 2am.6e.50.20 0a9.j9.29e.1j7 03n.a9.2h.3j.cp 01m.j9.cp 01y.2h.3j 0ml.1y.2h.3j 05g.9v.1y.t 1b6.1y.t 06r.9v.1y.t 1b6.1y.t 0y.u.1y.t 03f.1r.t 05j.1r.t 05b.1r.t 05g.9v.1r.t 1b6.1r.t 06r.9v.1r.t 1b6.1r.t 0y.u.1r.t 035.3k.1r.t 02u.t.5.kh.5b 45j 03f.t.5.kh.5b 45j 01d.5.8g.2j.1r 29q.2j.1r 228.u.43.2j.1r 223.y.43.2j.1r 0cj.5.y.2j.1r 2u.2j.1r 28g.2j.1r 29q.2j.1r 0dq.1d 01r.3n.1d 01y.3n.1d 01r.g3.4.1d 01y.g3.4.1d 01r.1ac 01y.1ac 11qw 01r.1qw 047.1r.1qw 01r.3n.2y 15f.cj 01y.5f.cj 01r.5f.px 01y.5f.px 01r.4.cj 2px 01y.4.px 01r.47.13d 01y.47.13d 01r.2h.13d 01y.2h.13d 0y.t.5.4.2y 01w.3f.m8 0y.t.5.1j.33 054.3f.1kd.t 03f.lh.t.5.2h.2a 41m.2h.2a 3ck.3j 2a9.dj.t 1t.5.dq.m1 3ae.5.2h.2a 51m.2h.2a 1lh.t.5.ae 55.2h.2a 61m.2h.2a 1t.oi.75 0ev.t.8a.2di.y 0ey.3.1a.3f.t 0kf.5h.cp.1a.3f.t 03f.t.1a.kf.mw.50.20 02u.t.oi.am 3ih 03f.sr.t 02u.sr.t 0kf.5h.cp.1a.2u.t 02u.t.1a.kf.mw.50.20 05h.cp.1a.3f.t 03f.t.1a.mw.50.20 3kf.5h.cp 02u.t.1a.kf.5h.cp 05b.8d.qm.t 08k.hf.5g.t 11mn.6r.t 01y.5f.ak 01r.4.ak 01y.4.ak 01r.f3.1ac 01y.f3.1ac 02g.3n.2y 11a3.5.1a3.l9 12y.5.2y.l9 2 11j.su 0hf.5g.t.5.140.eh 01mn.6r.t.5.140.ae 0hf.5g.t.5.47.ae 01mn.6r.t.5.47.ae 0gh.t.8a.5b.wn.5g.9v 08k.gh.t.8a.5b.wn.5g.9v 03f.8d.t 05j.8d.t 02u.8d.t 05b.8d.t 0y.u.8d.t 035.3k.8d.t 05g.b6.8d.t 19v.8d.t 06r.9v.8d.t 1b6.8d.t 03f.8d.po.t 05j.8d.po.t 02u.8d.po.t 05b.8d.po.t 0n1.8d.4m.2y.t 0k8.8d.4m.2y.t 03f.8d.t.20.3j 05j.8d.t.20.3j 02u.8d.t.20.3j 05b.8d.t.20.3j 3:05g.b6.8d.t.20.3j 19v.8d.t.20.3j 06r.9v.8d.t.20.3j 1b6.8d.t.20.3j 03f.8d.t.5.1m.47.2a 05j.8d.t.5.1m.47.2a 02u.8d.t.5.1m.47.2a 05b.8d.t.5.1m.47.2a 047.uq.vx 02h.uq.vx 03f.8d.t.4d.2u.8d.t 05j.8d.t.3f.2f.5b.8d.t 02u.8d.t.4d.3f.8d.t 05b.8d.t.3f.2f.5j.8d.t 03f.8d.yi.m8 05j.8d.yi.m8 02u.8d.yi.m8 05b.8d.yi.m8 03f.1r.1j.1y.t 05j.1r.1j.1y.t 02u.1r.1j.1y.t 05b.1r.1j.1y.t 0k8.8d.u.1bv.t 29q.1bv.t 2y.1bv.t 28g.1bv.t 01au.y 1u 01uf.y 1u 02d.d7.m8.2be.k8 02u.1r.t 2:0d.1c.at.o.5sp 0161.20c.3f.j1.8e 18og.5j.j1.8e 120c.2u.j1.8e 170t.5b.j1.8e 01r.3f.j1.8e 15j.j1.8e 12u.j1.8e 15b.j1.8e 05b.8d.t.5.54.kh.3f 62u 05j.8d.t.5.54.kh.3f 62u 03f.8d.t.5.54.kh.5j 02u.8d.t.5.54.kh.5j 03f.8d.t.5.54.kh.5b 02u.8d.t.5.54.kh.5b 01r.kl.5b.s.3f.t 42u.t 25j.s.3f.t 42u.t 23f.s.5j.t 22u.s.5j.t 23f.s.5b.t 22u.s.5b.t 0ss.t.3k.y 3u 235.y 3u 2y.35 2u.35 2y.3k 2u.3k 05j.1y.t.ck.3j.5.47.3j 035.8e.9w.o.uk.2q 01a4.1y.1kc 2s.1r.1kc 11r.1kc 0pk.2q.5.37.75 01j.75 1w.75 01r.1d.v8 1cj.v8 04t.1r.1ac 047.1r.2sr 01r.2sr 15f.hu.4u.v8 2jr.4u.v8 2fo.4u.v8 2f3.4u.v8 02qz.k.1q 08g.2j.1r.2y 09q.2j.1r.2y 037.2d.el.1r.1dn 0a4.37.2d.el.1r.1dn 01y.2d.el.1dn 0a4.1y.2d.el.1dn 01d.15a.fn 09uc.3 02hg.1e 01ah.k.1q 21w 22d 22k 09nk 08g5 03zn 06i6 08cl 07n3 01y.gk.92k 01r.cj.9o.bo 020j.37.gk.3z1 059d 068y 0ad6 06w3 03xx 03uo 0a1k 08ez 0y.2j.1r.ak 0u.2j.1r.ak 0ak.5.y.2j.1r 2u.2j.1r 03f.lh.t.5.4u.1cm 05j.lh.t.5.4u.1cm 02u.lh.t.5.4u.1cm 05b.lh.t.5.4u.1cm 02f5.k.1g 21q 08vb 015g.v2.d.a0k 37st 38jj 349m 392p 39np 0ey.3.5.144.1v 09uk.d 087.d 017p.d 08an.d 073.u.a5 06at.8az.d 044.7.0.1ml 31n8 320z 31ql 31p4 321q 321z 31e7 321x 3147 32r.147 31u 31p2 31rt 31sx 319l 31u7 31v7 31w7 31xd 31yg 320p 320w 31q6 31qv 32tb 3cf 31k1 3120 317a 380 3pf 31ls 321l 331s.3p 3e3 34.gg 55.ae 3g4 3146.4.gg 3nr.gg 3146.nr.gg 3107 3148 330e 335c.o 32m8.19l 32at.17a 14.0.1ml 31n8 320z 31ql 31p4 321q 321z 31e7 321x 3147 32r.147 31u 31p2 31rt 31sx 319l 31u7 31v7 31w7 31xd 31yg 320p 320w 31q6 31qv 32tb 3cf 31k1 3120 317a 380 3pf 31ls 321l 331s.3p 3e3 34.gg 55.ae 3g4 3146.4.gg 3nr.gg 3146.nr.gg 3107 3148 330e 335c.o 32m8.19l 32at.17a 08.7.0.3g.5.1m.3j 14.0.3g.5.1m.3j 17.0.3g.5.27.5h 376.5.2a 330.5.ae 14.0.o.5.2a 35n.5.43.2a 17.0.61.5.dw 14.0.61.5.dw 17.0.5q.5.dw 14.0.5q.5.dw 17.0.68.5.dw 14.0.68.5.dw 17.0.8t 355.5.2i 34t.o 48t 14.0.5t.5.u.2i 17.0.7f.5.2i 14.0.7f.5.2i 35t.5.jq 17.0.2j.61 14.0.2j.61 39ho.ir 31t.5.2rz 34t.30.5.ae 31p.5.3u.4s.l9 10.4.7.4t.1t 19s.4.0.7y 01o.0.7.5t 08.7.0.32.5.15w.ae 368.5.15w.ae 02w.7.0.27c 14.0.27c 17.0.36z 14.0.36z 17.0.js 14.0.js 17.0.2cb 14.0.2cb 17.0.1ea 14.0.1ea 17.0.31k 14.0.31k 17.0.1lz 14.0.1lz 17.0.2hw 14.0.2hw 17.0.347 14.0.347 17.0.2j1 14.0.2j1 17.0.1g1 14.0.1g1 17.0.2m9 14.0.2m9 17.0.gj 14.0.gj 17.0.fb 14.0.fb 17.0.1gd 14.0.1gd 17.0.1p 14.0.1p 17.0.bx 14.0.bx 17.0.ia 14.0.ia 17.0.1y6 14.0.1y6 17.0.m3 14.0.m3 17.0.167 14.0.167 17.0.s9 14.0.s9 17.0.1g4 14.0.1g4 17.0.mn 14.0.mn 17.0.1i4 14.0.1i4 17.0.x7.3m 14.0.x7.3m 17.0.19.2w.d0 14.0.19.2w.d0 17.0.vf.1ea 14.0.vf.1ea 17.0.x7.1g1 14.0.x7.1g1 17.0.x7.fb 14.0.x7.fb 17.0.vf.fb 14.0.vf.fb 17.0.19.2w.1i4 14.0.19.2w.1i4 17.0.15h 14.0.15h 17.0.pn.yt 14.0.pn.yt 17.0.19.2w.yt 14.0.19.2w.yt 17.0.19.2w.l7 14.0.19.2w.l7 17.0.278.14e 14.0.278.14e 17.0.x7.141 14.0.x7.141 17.0.19.2w.141 14.0.19.2w.141 17.0.19.2w.3p 14.0.19.2w.3p 17.0.2lt.3p 14.0.2lt.3p 17.0.19.2w.2i1 14.0.19.2w.2i1 17.0.19.2w.10h 14.0.19.2w.10h 17.0.19.2w.13p 14.0.19.2w.13p 17.0.19.2w.2dn 14.0.19.2w.2dn 17.0.19.2w.11e 14.0.19.2w.11e 17.0.19.rd.11e 14.0.19.rd.11e 17.0.19.rd.1ho 14.0.19.rd.1ho 17.0.19.rd.p5 14.0.19.rd.p5 17.0.19.rd.214 14.0.19.rd.214 1d.14b 2gj.ia 2bx.ia 29b8 2m3.ia 21g4.ia 211e.1y6 17.0.vf.yt 14.0.vf.yt 17.0.vf.13p 14.0.vf.13p 112.fb.1a 231t.3zf 32mh 17.0.29z.14e 14.0.29z.14e 6:119.rd.br.8n 31oy.h2.1e 36md.h2.1e 3210.134 160.1g.2j 1br.8n 17h2.134 036.4.0.eq 31cu 310c 31e2 3b3 31li 31cb 31kq 39w 314c 31gn 3jz 319m 39o 31ib 31m0 315d 315i 311q 3wr 31af 31g3 31f2 31an 3fq 31db 3oq 318s 31df 31d9 31lp 31fw 31f9 3dx 318j 3ik 313x 31fh 2:316l 6:3127 3:0as.0.4v 2a86 2a87 2a8g 2a8h 2299.26t.21j 221j 2a89 2a8c 2a8a 2a8b 2a9k 2a8e 221k 2zb.21k 2a8l 21lr 2299.26t.1lr 2zb.1lr 2a8j 216i 2383 2zb.383 2388 2zb.388 2a 221m 23ve.21m 2zb.21m 2a8m 2384 2386 2zb.a8i 3ru 2387 2e3 2389 2a8p 221i 2zb.21i 240p.21i 2a8q 2a8s 2a8r 2uz 2a8t 2a88 2a8u 2a8w 2a8x 238b 238c 29ih.38c 2a91 2no 2g4 8:11o.0.6yg.1e 1ib.1e f:16j.10l 015.6.72z 27g4 28p4 2988 294i 24a8 29mi 24ll 27sd 27w7 2f8.19y 2aeh 25hl 25dw 26p2 29kf 24h1 28ck 28ed 264p 264t 264s 264r a:2du 21yv 21yt 299r 29a5 2320 21yu 2:24ef 24ey 24ew 24eg 24ei 24eh 24ex 2:21m2 239q 239n 2af5 2af9 239m 239p 2:24ej 24ev 24et 24ek 24el 21nh 24eu 2:28jy 28k8 28k2 28jz 28k1 28k0 28k3 2:21sg 26xs 26xp 26xm 21gj 26xo 26xr 2:2380 2a7l 2a7d 2a7b 2a7c 2381 2a7e 2:2681 2689 2687 2682 2685 2684 2688 2:012.17.0.ma 3li 3kb 3j0 3m6 3jd 32p 3im 3kp 3b3 31p 3cf 3n3 3ny 3eo 33p 3nm 3hy 380 31xy 3107 35tv 3o 3l8 31p1 31tu.ze 3uz 3e3 3n5.o 393.gg 3nr.gg 3n5.nr.gg 0u.a5.15t.ud 2dq.15t.ud 0y.15t.3v 0u.15t.3v 0y.dq.15t.3v 0u.dq.15t.3v 0f2.2jl.ud 1dq.2jl.ud 0dq.20g.ud 0y.20g.3v 0u.20g.3v 0f2.1d 0y.f2.2t0.3v 0u.f2.2t0.3v 05s5.58f 01vj 02fz.1vj 073.2fz.1vj 06i8 0dq.7zx 05b.27k 05j.27k 0dq.f3.a5 01m.mm.pt 08w.18o 0155.1n3 0pt.5.8f 05h.5.4s.1a 0y.3u.2ts.3v 0u.3u.2ts.3v 05h.5.1x.1a 31v 0y.2h.3j.5.1iy 0u.2h.3j.5.1iy 08g.y.2j.3v 1u.2j.3v 09q.y.2j.3v 1u.2j.3v 0y.ld.1h.3v 0u.ld.1h.3v 0y.1m.cv 0u.1m.cv 01q.41.4d.1g.1x.59 01g.1x.4d.1q.41.59 034.2d.1x.59 02k.1x.1e 073.h2.1e 02h.5h 04s.ht 0il.ib.27.1x 04t.ag 0f2.1x 1ag 04t.ri 0zs.5.y.2hi 2u.2hi 04t.zs 08g.2j.dd.3 09r4.dj 09km.dj 09bm.br.8n 02h.3e.41 016f.2h.7z 04ds 01m.pt 073.ag 01m.73v.gn.1e 0dj.5.y.1lf 01m.1zc.1e 08w.3u.vw 35.vw.1a 03u.vw 25.1x 01m.9aw.ag 0dq.j9 0a9.zs 01tg.ag 08ad.1e 08gn.5sr.1e 058e.210.134 0bo.2tw.5.u.vd 3y.vd 034h.3.7.ps 01tg.i0.1e 1h2.1e 0y.1d.3v.5.2a 0u.1d.3v.5.2a 0y.1d.3v.5.1m.2a 0u.1d.3v.5.1m.2a 08g.2j.y.cv 2u.cv 09q.2j.y.cv 2u.cv 0mm.pt z:0c.1k.wa 21np 2we.1g 31q 31w 2j7 22q 21zj 214h.1g 31q 22dl 21xq 24.1g 31q 2197.1g 31q 31w 32d 2rl 21zx 21yh.1g 31q 2fm.1g 31q 2fg 21x0 2:24h4 2nj 2gk 22cy 22q2 24i6 2pc.1g 31q 2sb 21vo.1g 31q 21b7.2j.t4.35e 217e 2135 22jt 21n1.2f.1nr 2tx 21kb.1g 31q 21mq 21y5 2jp.1y5 214y.1g 31q 31w 32d 22pd 21xz 21j3 22fe 219 212p.1g 31q 21h5 22q1 21f5.1g 31q 31w 21ku 21ns 2b6.1g 31q 2jp.11b 21b7.f9 2f9 2jp.11j 3g1 21eu 2jp.2as 21b7.1c2 21c2.1g 31q 22bf 2jp.1f4 254.1g 31q 2jp.54 3xj 21ty.1g 31q 2119 2v5 2jp.33l.1so 3jx 3tb 31q0 2139.1g 31q 31w 2jp.139 2eh 2jp.vs 21d0 21qi 2jp.ox 3170 3un 21b7.218 31c7 2jp.186 21fu.13j 2jp.13j 21fu.1l1 2jp.1l1 21fu.xb 2jp.xb 21bt 21fu.1bt 2jp.1bt d:02l.1k.1g 27z 21x 2ni 2we 22i 21q 22mp 2jz 270w 22f0 23d 23k.2q 21o6 2xr 21zj 24m.2q 214h 215b 2a5f 21yp 2u.4m.2q 26bv.102 27e 22dl 21xq 21np 28fu 23v7 2ah 2102 2n2 28uq 2oy 397t 25uf 2nr 2zh 21nl 28pc 26m5 24 2197 258h 299k 2y7 28ou 221d 2878 235w 21p6 28k.1zx 2dq.1np 254.9ca 21q.vq 294m 212m 21yh 24b5 21yx 2fm 2698 22ds 2fg 21n3 21x0 2v 25go 21mj 21d 29r 2nj 22xt 2gk 2t4 26yj 28n 22cy 2a3v 2ko.9r 24m3 22g9 2kk 2325 2pc 2sb 24ie 22fi 21m.75 22j.t4.35e 2316 25xf 217e 2135 28fw 22jt 22p9 23s 232p 271y 29v4 22fl 21n1.2f.1nr 2969 2dq.1zo 21y 297b 2jg 2tx 231p 2t 21z0 21kb 234w 266z 24ed 29b0 21mq 215f 21y5 22ju 214y 21xz 21eo 219 2s 28e3 2100 212p 21h5 27fm 22y0 23yx 22q1 2mv 287l 229x 29bv 24lv 21f5 21ku 26mo 229t 21c2.102 21ns 2b6 211b 2f9 211j 29xx 248f 21il 228p 2g1 2lc 28qp 21eu 229y 22as 249y 27h1 21c2 22bf 21lm 25gz 2a0l 21f4 254 2xj 21ty 297g 28k.nk.170 2119 2v5 2a5j 22x 21so 233l.1so 270r 2mr 2jx 2tb 21q0 2139 2eh 2602 2vs 21d0 211n 2xm 25y7 28ta.1lm 22au 21qi 2ox 2170 2un 21os 2218 26av 21c7 27fg 21r 25sz 2186 29o3 2136 21j4 2sn 213j 21l1 2xb 21bt 21pz r:04i.me.i.y.20.u 31a.20.1v 3y.20.27.s.u 31a.20.27.s.1v 3br.wl 3wl.ck.1a 51v 5y 528.y 6u 523.y 31vc 3wl.ck.u 523.u 347.8mn 3mo 1jm 1ag 1br.8n 05h2.1e 0xs.6me.323.d 04i.vv.1e 112u.1e 110.5o 0y.a5.3v 0u.a5.3v 0y.1m.a5.3v 0u.1m.a5.3v 0y.d7.3v 0u.d7.3v 0y.1y.d7.3v 0u.1y.d7.3v 0y.1r.xx.3v 0u.1r.xx.3v 01ip.1e 063z.1e 0y.ii.g1.3v 0u.ii.g1.3v 0y.1y.xx.3v 0u.1y.xx.3v 0y.1y.ii.g1.3v 0u.1y.ii.g1.3v 0y.1y.1d.3v 0u.1y.1d.3v 0ev.dj 073.1m.rg.gn.1e 01m.rg.gn.1e 03u.1m.rg.gn.1e 01ip.1e.2x 0r2.62.1g 21q 21w 22d 22k 23e 23l 23d 23o 04i.2ml.3w.1e 1oc.3w.1e 11ov.3w.1e 15tb.3w.1e 0z.7r.1x.3w.1e 11m.1x.3w.1e 0t9.dj 02h.18x.wa.1e 35.uy.mr.1e 31e.28.2j 35.uy.mr.1e.28.2j 31e.23.2j 01j.1ip.1e 04i.9f.7z.1pq.ib.d 0r2.62.7e 2cg 2go 02h.4i.vv.1e 07bk.1e 01vm.3wf.1e 04i.24.fn 12j.i1.jm 2:06d.0.4.o 2o 24.1u 21u 24.1h 21h 24.1t 21t 24.1p 21p 22p 25d 2j5 2j3 2jw 2mg 2kd 2u3 2hn 2oy 256 2c6 2jk 2td 2k5 2rx 2k3 2jd 2if 2rw 24y 25a 2le 2l5 24.iv 2iv 2l6 2eo 2j0 220 2ko 24q 2fb 2fz 2fa 2ea 23p 25w 249 2er 2l4 2bx 2oz 2hx 2q9 2dx 2ma 2cf 2hm 2qr 2lw 24l 2gj 2dy 2fh 2k0 24.4v 24v 24.e3 2e3 24.g4 2g4 24b 2nb 2jj 2lx 2ia 24.8h 28h 2k7 2ik 2jc 24j 2122 24.2p 3kd 3:012.10n.uy.mr.1e 21xs.mr.1e 010n.uy.mr.1e 11xs.mr.1e 06d.vv.1e 1uy.vv.1e 1g6.aac 010n.1m.pt 02c.0.4.o 2o 24.1u 21u 24.1h 21h 24.1t 21t 24.1p 21p 22p 25d 2j5 2j3 2jw 2mg 2kd 2u3 2hn 2oy 256 2c6 2jk 2td 2k5 2rx 2k3 2jd 2if 2rw 24y 25a 2le 2l5 24.iv 2iv 2l6 2eo 2j0 220 2ko 24q 2fb 2fz 2fa 2ea 23p 25w 249 2er 2l4 2bx 2oz 2hx 2q9 2dx 2ma 2cf 2hm 2qr 2lw 24l 2gj 2dy 2fh 2k0 24.4v 24v 24.e3 2e3 24.g4 2g4 24b 2nb 2jj 2lx 2ia 24.8h 28h 2k7 2ik 2jc 24j 2122 24.2p 3kd 2ao 2ws 2li 2ux 127.1x 010n.2va.mr.1e 02c.vv.1e 1uy.vv.1e 1g6.2le 6:08i.0.21 276 255 28o 25y 25n 24j 23g 25m 25q 261 27y 2aj 275 2ad9 22b4 211c 230 268 26x 232 2o 21p 21t 2s8 26z 2tt 27t 2yg 2eq 2b3 2pi 2qx 2n3 21u 21h 218r 25t 2kw 266a 21fo 21p.5.1x.1a 219u 2:0z.0.xw 21kg 21s6 2yb 21hp 21hq 2z8 21kj 2yo 21ja 21jb 21jc 21jd 21x8 21x7 21j9 2y6 2yl 21kh 21ik 2yv 21ki 2vt 2vb 21kf 2x3 2xv 2z5 2yk 2xp 2o 2fl 24v 21c5 217u 21t 221n 2no 21p 28h 2213 2db 2g4 21h 2217 2ik 2k7 2e3 2tw 2a 21u 1ty 10.1ys 21un 21um 22rk 22wt 21x9 22ww 22wv 22wy 21tn 21to 22pn 21ru 22uk 21w0 22um 21vz 21vy 22un 21rw 22kf 21y8 230y 21ya 21y9 21y7 21vh 21yr 221p 238f 238e 21rv 231y 221o 238k 238l 238j 238r 238q 238p 227w 23yg 2:04i.l0.72j.1e 2kf.1e 21g.1e 21q.1e 21w.1e 22d.1e 28g.1e 227.1e 29q.1e 2vk.1e 2we.1e 2mu.1e 21ex.1e 21fe.1e 2n2.1e 2jz.1e 08i.0.hx 2td 2xt 2mg 2ct 217t 2bs 22t2 218p 23xc 26mk 236m 2o1 27no 23vn 2406 2tf 2oa 21i3 26ml 11n.0.76 35n 35q 361 10.64u 21st 239l 11n.0.5m 10.67x 21sd 2db 2on 0c.2a.5n 2a46 2a6i 24c5 232m 26ie 26ia 21fj 26id 29fx 26ib 26if 26gr 26ic 26ig 24j 261 232 276 298r 25y 22iz 22i5 29fn 29ee 21yw 293d 28b5 28he 29ma 29fy 29e7 26i4 26ih 28c7 2aj 26hq 29fu a:04i.me.i.9dc 02c.0.4.jw 3jk 3k5 320 3fz 33p 3er 3oz 3dx 3hm 3dy 34b 3nb 3jj 3lx 3ia 03x.z.xw 2yb 2z8 2yo 2y6 2yl 2yv 2vt 2vb 2x3 2xv 2z5 2yk 2xp 2xw.o 2yb.o 2z8.o 2yo.o 2y6.o 2yl.o 2yv.o 2vt.o 2vb.o 2x3.o 2xv.o 2z5.o 2yk.o 2xp.o 2vb.1h 1193.i.86y 31p.oz 2:1f.1g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2gk 2sb 2pc 221c 22pf 2n2 2nj 21yz 22hx 231e 2ya 231q 22fo 22bl 22lv 28n7 21nf 232a 232k 22f1 22wi 227g 25xz 2ly 22y0 22w9 01j.f.h2 26tz 21xp 22le 110.7e.9o.1r.1d 2cg.9o.1r.1d 2go.9o.1r.1d 2hj.9o.1r.1d 2f7.9o.1r.1d 2mq.9o.1r.1d 2fj.9o.1r.1d 2nv.9o.1r.1d 02tu.3 01j.10.cg.1g 31q 31w 32d 32k 33e 33l 33d 33o 2go 31g 31q 31w 32d 32k 1z.xw 2yb 2z8 2yo 2y6 2yl 2yv 2vt 2vb 2x3 2xv 2z5 2yk 2xp 2xw.o 2yb.o 2z8.o 2yo.o 2y6.o 2yl.o 2yv.o 2vt.o 2vb.o 2x3.o 2xv.o 2z5.o 2yk.o 2xp.o 1193.i.4fq 36pe 1z.vt.1h 0193.323.d 01j.f.1g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2gk 2sb 2pc 221c 22pf 2n2 2nj 21yz 22hx 231e 2ya 231q 22fo 22bl 22lv 28v9 2uc 213l 29dh 25ui 22v8 2401 26nc 2ly 258a 258i 246 26c 23u 2y 2u 27ci 28n0 232a 232k 22f1 22wi 227g 21hr 110.go.3e 33l 33d 33o 2hj 31g 31q 31w 32d 32k 33e 33l 33d 33o 2f7 04i.9f.d.1c.6nr 45xq 47b5 43y4 42oz 46ph 46pg 4405 492t 486p 47ss 45ec 01d.2i5 15tq 11pi 072a.71q.3 01j.2c.o 21u 21h 21t 21p 22p 2j5 2jw 2kd 2hn 256 2jk 2k5 2k3 2if 24y 2le 2iv 2eo 220 24q 2fb 2fz 2fa 2ea 23p 2er 2oz 2dx 2hm 24l 2gj 2dy 2fh 2k0 24v 2e3 2g4 24b 2nb 2jj 2lx 2ia 28h 2k7 2ik 2jc 01d.17v.ya.8mw 13xs 13z5 13xf 13rr 16mi 16mt 19uq 15u2 15s8 187b 187e 16qy 16rc 16rf 1632 162x 165q 165u 16xt 165z 16u2 16u3 16u4 16u5 167p 167q 16wx 16wu 16s5 16vm 16vh 18td 18u5 196v 192q 192r 15cj 15f4 15hy 19mq 17kr 17sr 1697 188x 188y 146g 18ct 18db 18da 149q 16gy 16h0 14bx 16h8 16aq 12u9 18bm 16b1 18bp 18bh 148m 18ek 14af 11r0 18er 16f5 16f3 17ac 17af 17aa 17bc 17av 17fb 17fr 17fs 11tj 17cn 17ck 1a83 1a85 1aax 18os 18or 18qv 18r0 18n3 18n4 1a3p 04i.9f.d.1c.i4.5o 51g 51q 51w 52d 52k 53e 53l 53d 53o 57e 5pr 5nn 5wo 5vl 5r0 5sx 5wg 5tu 5w3 5cg 5361 520s 5362 5360 01d.6gq 15a 17t 13j 12td 18b4 11p3 234 217f 118r 117v.ya.6ap 39fe 39hp 37co 158g 149.3wp 14q 1dy.o 14l 12p 16rt 11ta 1637 14df 16ru 18c6 17n9 1dy.8o 25m 17dl 12kq 12iz 16td 17ek 165h 19l4 1dy.3g 17fw 15hb 16uq 15zd 17rv 1dy.55 11hc 11nu 11g9 11hc.34 11nu.34 155.34 11g9.34 11hc.17f 11nu.17f 155.17f 11g9.17f 155.4d.32 434 149 1194 12q5 166v 11j0 24d.32 434 18g8 17tq 1dy.32 17hm 18h5 11uz 1dy.5t 119k 16x4 119k.1tj 18h7 17vo 1dy.7f 12qb 11sd 12qb.1tj 15q.1i0 155.1i0 1tf 14ar 12ax 12ay 16x.4d.2kq 1qt 12co 1680 13p 11fj 19w 11g7 11g9.7 16w5 172x 172y 1736 174e 11ta.4 17fc 17go 18c8 18eb 18fe 18fg 199q 11zd 1a3q 15t.4d.55 1o.4d.55 04i.9f.d.1c.fv.1g 51q 51w 52d 52k 53e 53l 53d 53o 57e 5pr 5nn 5wo 5vl 5r0 5sx 5wg 5tu 5w3 5cg 5361 520s 5362 5360 51la 59r1 59r0 59qy 59qz 5go 59kc 01d.vo 535:0a3.1c.dg.58t.1fe 38mg.n2 25g9.d1.dg.48p 2aae.5zi 2379 257o 2dg.3ys 213z.1ky 24.33i 29no 21vp 29b1 25xu 213u.2v3 27ga 25tc 22fv 221d.9o.dg.5eb 23y2 257w 229j.oi 21qn 299a.3xt 21au 26mm 213u.33i 2ah.12y 213u.2v7 2dg.3ua.pc 34il.sb 26mf 25pv 28nh 213u.15b 28fx 22cl.2f.dg.37 2dg.2fh 21v9 2805 25eq 22d0 21r8 24ay 24m1.20.2p8 21q8.1ky 21wn.36p 287m 2dg.a40 28nl 2dg.2au 33yv.1zz 32kj.9br.y7 25f8 2dg.7ba.7ab 23u9 2dg.a3f 363u.tb 36p9.2m0 25gu 2729 22ji.9p1 24.2v7 23v6.1nx 248n.1nx g75:0a.6.18q 22jq 21u 22jn 26l2 26lg 2l8 26l1 2d1 228c 2o 227p 29us 236n 29ur 21i6 21i7 21p 21i5 21ei 21t 2tc 229i 249z 2l4 249o 249g 249h 249e 249f 21ms 247j 25w 2475 24bq 24bo 24bp 24ai 22q 2qr 24ab 248y 2ma 248w 2tl 24c3 2hx 24bs 24bv 2tk 24c9 24ca 2qs 24c6 24c8 24c7 22ut 28dr 2bx 21w2 28d9 22uh 28cy 28au 28b1 249 2lv 28gs 28gq 28gr 21iq 28fb 2lw 21wa 21wq 28h3 2q9 22vg 28gz 28gu 22vk 28hd 28h9 28ha 28hc 28hb 247x 247y 228x 247w 247u 247v 247s 247t 247n 247o 2zn 247m 2484 2482 2483 2480 2481 228y 247z 247r 216x 247q 2290 2488 228z 2485 2487 2486 248b 248c 2489 248a 27lc 27ld 27l8 27lb 27la 22qs 27l9 27l6 27l7 27l4 27l5 27lg 27lh 27le 27lf 27lm 27ln 27li 27lj 27ll 27lk 27ls 27lt 27lo 27lp 27lr 27lq 26di 26dj 26dd 26dh 26dg 26de 26df 26da 26db 26d8 26d9 26dq 26do 26dp 26dl 26dm 22ih 26dk 26du 26dv 26dn 26dr 26dt 26ds 26e0 26dw 26dx 26dz 26dy 21ts 27fu 2gj 27fp 27f6 27ev 27ew 27bl 27br 24l 219b 27ia 27ib 27i7 27i9 27h6 27hf 2k0 22q0 27dc 2fh 27ij 27in 2dy 27ic 27ih 27ie 27is 27it 22qg 27ir 25yp 25yt 2s9 25yh 25xk 21pp 2d9 25xg 22g3 2sc 25zp 260l 260m 2vn 260i 260j 22g9 260r 260s 260o 260q 2a0u 2a0z 2ws 2a0p 28r 2a0j 2a0e 2a0f 29y8 29yb 2ao 29xz 2a1d 2a1g 2ux 2a1c 2a06 236x 2a1n 2a1o 2122 2a1l 2a1m 2378 2a1w 2a1x 2212 2a1t 2a1v 2a1u 25h1 25h8 2l5 25gm 25g5 2x8 25g3 22cm 25dd 25a 21ol 25pq 25pp 21x 25p9 2ko 25hw 25fa 2j0 25ex 25pz 25q1 2l6 25pr 25pw 25pt 234i 29m3 2le 2kh 29lh 2162 29lg 233n 29ii 24y 29i2 235u 29qj 29qh 29qi 234s 29nc 220 28g 29jq 2eo 29je 29qq 29qu 2iv 235v 29qp 2166 25du 25dv 22cv 25dt 25ds 25dq 25dr 25dh 25di 2bh 25dg 25e2 25e0 25e1 25dy 25dz 21oq 25dx 25dl 22cs 25dk 25e5 25e6 22cw 25e3 25e4 22cx 27mb 27mc 21ub 27m9 27m8 27m7 27ly 27lz 2110 21u9 27mg 27mh 21uc 27mf 27m4 21hl 27m0 27mm 27mn 21hm 27mj 27ml 27mk 26ee 26ef 26e8 26ed 26eb 26ec 26e9 26ea 26e2 26e4 21qy 26e1 26el 26ek 26eh 26ei 26eg 26e7 26e5 26e6 26em 27q5 27q7 2fb 27q2 27pp 27pj 27pk 27l0 24q 27ku 27vi 27vg 27vh 29r 27sv 2ea 27sn 27n7 2fa 27n1 22sb 27vn 2fz 27vj 27vl 27vk 26cn 26co 21qx 26cm 26cl 26cj 26ck 26cd 26cf 22ig 26cc 26cv 26ct 26cu 26cr 26cp 26cq 26ci 26cg 26ch 26cz 26d0 26cs 26cw 26cy 26cx 26d5 26d6 26d1 26d2 26d4 26d3 272o 272r 29y 21gs 271w 271x 22mq 271v 2708 270f 24p 21sk 2746 2747 2744 2745 22n2 273w 2ku 273l 271h 2cd 2719 274c 274d 2i6 2748 274a 2749 274l 274m 21t2 274j 274k 22ne 2661 2662 2j3 265v 265m 265n 265k 265l 2634 2636 25d 213q 267m 267n 267k 267l 22hb 266u 2oy 266o 263y 2640 2u3 22gu 267u 267v 2mg 267o 267t 21f8 22l3 26uc 2j5 22l2 26tt 26tq 26ts 26rh 26rs 22p 22kd 26wq 26wn 21sc 26vn 26vr 2hn 26vj 210p 26st 2kd 26sd 21gf 26x2 2jw 26wr 26wy 2la 264d 264e 22gx 264c 264a 264b 2644 2645 213r 2643 264i 264j 22h1 264h 264f 264g 22gy 22gz 2648 2649 21qg 2647 264n 264o 22h0 264k 264m 264l 27e6 27e5 27do 27dp 27dm 27dn 27ed 27eb 27ec 27e8 27e9 2o7 27e7 27e4 27e2 27e3 27eh 27ei 27ea 27ee 27eg 27ef 22iu 26hx 26hr 26hw 26hu 26hv 26hs 26ht 26hl 26hm 26hj 26hk 26i2 26i3 22iw 26i1 26hz 26i0 26hy 22iv 26hp 26hn 26ho 27o9 27o7 27o8 27ni 27nj 27q 27nf 27p1 27p2 27p0 27os 27ot 2111 22rg 27nn 22r4 27nl 22ie 26c1 218j 210h 26a1 23p 269p 26h6 26h7 26h4 26h5 218l 26go 2hm 26f7 26b2 2dx 26aw 2a3n 237g 28h 237c 2a5r 237w 2a5q 2a5e 2jc 2a56 2a45 2ik 2a42 2aee 2aef 2td 2aeb 2ae7 2ae5 2ae6 2acy 2ad0 2c6 2acu 2aes 2aeq 2aer 239i 2aek 2rw 2aej 2ad8 2jd 2ad5 2aeu 2aev 2rx 239j 2aet 239k 2af3 2af4 239l 2af0 2af2 2af1 24i4 24i7 21de 22bd 24hu 24hy 24hs 24ht 2pm 24ee 27u 21d7 259b 259a 22by 258k 258q 2qt 2588 24fk 2v7 24ff 21of 259m 21oc 217g 259i 259e 22c7 259w 22c4 22c6 259v 259t 2afg 2afh 239n 2aff 239o 2afe 2afc 2afd 2af7 2af8 21m2 2af6 2afj 239p 2afi 2afb 239m 2afa 2afp 239q 2afm 2afo 2afn 2afv 2afw 2afq 2afs 2afu 2aft 27wx 27wy 27ws 27ww 27wv 27wt 27wu 27wn 27wo 21v4 27wl 27x4 27x3 27x0 27wz 27wr 27wp 27x8 27x1 22sp 27x7 27x6 27xd 27xe 27x9 27xa 27xc 27xb 296y 23e 2jk 296u 296e 296b 296d 21xl 28ui 256 22xq 29do 29dm 29dn 21yl 298p 2if 298i 2936 2k3 292s 29e0 29e3 2k5 29dp 29dx 21km 29fl 29fm 29ef 29ff 29fk 29fg 29ae 29af 21yt 29ad 29ac 29aa 29ab 29a3 29a4 2du 29a2 29ah 29ai 21yu 29ag 29a7 2320 29a6 29ak 29al 21yv 29aj 29aq 29ar 29am 29an 29ap 29ao 2add 2ade 2jo 2adc 2adr 2adp 2adq 2adn 2ado 2220 2adm 2adh 2adi 2m6 2adg 2adv 2adw 2221 2ads 2adu 2adt 2ae2 2ae3 2ady 2adz 2ae1 2ae0 22b7 24fz 28u 24fu 24he 24hf 24hc 24hd 24h7 24h8 2s3 24h5 24gg 24gh 2hy 24ga 24hj 21dd 24hg 24hi 24hh 24hq 24hr 24hm 24hn 24hp 24ho 28pm 2k2 28pw 28pv 28pr 28ps 22x9 28pq 28po 28pp 22x8 28pn 28q0 28q1 28pu 28px 28pz 28py 28q6 28q7 28q2 28q3 28q5 28q4 27t3 27t4 21uu 27t2 27tc 27ta 27tb 27t8 27t9 27t5 27t6 27ti 27tj 27td 27tf 27th 27tg 27to 27tp 27tk 27tl 27tn 27tm 2301 293u 280 293o 295k 295i 295j 294z 2954 2sv 2308 2303 294a 2cy 2941 295n 295p 2oh 295l 295m 230f 295z 2960 230l 295w 295y 295x 21j4 28m3 24b 21x0 28qt 28qr 28qs 28pi 28pl 2ia 28pf 28nm 2lx 28n5 28qz 28r1 2jj 28qu 28qx 28qw 28rd 28re 22xd 28ra 28rc 28rb 26of 26og 2xt 26oe 26ob 26oc 26o9 26oa 26pl 26pm 26pj 26pk 2xu 26p8 2sf 26p6 26pr 26pt 210m 26pn 26pq 26pp 26py 26pz 22k7 26pv 26px 26pw 28ik 28il 21ao 28ij 28ig 28ih 28ie 28if 28jm 28jn 21wx 28jl 22vp 28iq 21ix 28io 28js 28ju 21ap 28jo 28jq 28jp 28k7 28k9 28jx 28k4 28k6 28k5 26on 26oo 22jz 26om 26ok 26ol 22k0 26oj 26ou 26os 26ot 26oq 26or 22k1 26op 22k3 26oy 22k2 26ov 26ox 26ow 26p0 26p1 22k4 26oz 27qm 27qn 2150 27ql 27qj 27qk 27qg 27qi 27qs 27qr 27qp 27qq 22rs 27qo 27qx 21ur 27qt 27qw 27qv 27r2 27r3 27qy 27qz 27r1 27r0 22sn 27w5 2p5 22sm 27w0 27w1 27vy 27vz 27wg 27we 27wf 27wa 27wb 2w4 22so 27wi 27wj 21v3 27wh 2a6s 2a6t 2ol 2a6q 2a6o 2a6p 2a6m 2a6n 2a73 2a72 2a6y 2a6z 237y 2a6v 2a7k 2a7m 2a7a 2a7h 2a7j 2a7i 221r 2a9v 2a 2a9u 2a9p 2a9q 238i 2a9o 2ab4 2ab5 2ab2 238v 21c9 2aah 2g4 2aab 21lw 2abb 2e3 2ab6 2ab9 2ab8 2abh 2abi 221w 2abe 2abg 2abf 4:11k.2vp 29y 22l3 22sm 22c6 21yt 22gz 22gu 2gj 22iu 22ne 2290 22q0 2g4 21wq 22iw 233n 25d 239j 22c7 22cx 2tk 22h1 22so 2iv 21i5 22k3 239i 22vk 22ih 221r 2378 230l 236x 2c6 2sf 22sp 22k4 22hb 22k0 2jc 2l6 230f 22mq 22c4 22by 22bd 22iv 2301 239k 2308 2hy 239o 22qs 2kd a:0ce.0.5w 249 2aq 25a 24y 29t 25d 22p 28x 27p 27u 28u 2pp 2gp 2oj 24l 24q 24p 256 2jo 2c6 27q 23p 2m5 2vr 2d9 28h 280 24v 2bw 2o 2fl 21t 2tw 21u 21p 21h 2jb 220u 2db 23w.14u.le 34q.lw 314u.2c5 4qr 44q 46o2 159.ag 2br.8n 01z.6.ct 25s9 21ff 21lk 2a3z 2w5 2494 212h 21h3 22lh 27dt 22gm 2106 2zf 215y 21bj 25fk 25fn 21go 21as 2131 21ua 211b 21ju 21ca 21m1 22b0 2149 219t 216j 21s0 22r7 2188 21th 21ud 22sk 21u 29w 2er 22ib 2k7 2a4l 2bx 2495 2l4 21tb 22li 27dw 22gn 2s9 2ws 2le 211w 25fs 25fo 29y 2nb 2l5 21ub 2jk 215m 2td 221y 21de 2xt 2150 2a 2j5 22r9 2j3 2gj 2fb 2p5 2o 2eq 27nd 23p 22ht 28h 2a3d 249 2ch 25w 214q 2194 26vt 22ph 21qb 2d9 2ao 24y 29t 2bq 25fl 24p 24b 25a 2110 256 280 2c6 2jo 27u 27p 22ro 24v 22p 214c 219r 25d 24l 24q 294 2bs 287f 218k 21c4 2a55 21ak 2496 22a0 21te 22lj 27e0 22gp 21q2 2376 2163 21zv 25fu 25fq 214o 22x6 22dr 22qu 21b9 21y2 239h 2adl 21o4 22k5 22rt 21lu 2192 21uj 266l 21tw 21ut 27w9 21h 2wr 2oz 22is 2tc 2a5o 2q9 2497 2hx 21tf 22lk 27e1 21qc 2vn 2122 2iv 21zy 25fw 25fr 2i6 2jj 2l6 21hm 2k5 2oh 2rx 2221 21oc 210m 21ur 2e3 2jw 21uk 2mg 2dy 2fz 21v3 21p 29o 22rf 2hm 21r0 2jc 221b 2lw 229c 2qr 21td 21gb 27dy 22go 263e 2sc 2ux 220 2kg 22db 25fp 2ku 2ia 2ko 21uc 2if 2sv 2rw 2220 2qt 2sf 22rs 2g4 2hn 21ui 2oy 2k0 2ea 2w4 21t 2b3 22r5 2dx 22i2 2ik 2a41 2cf 21cy 2ma 21h2 22lg 26vv 27ds 21f1 263a 2qz 2li 2eo 2dg 217k 25fm 2cd 2lx 2j0 21hl 2k3 2cy 2jd 2m6 2v7 2pw 2yd 2no 2kd 21ug 21uh 2u3 263q 2fh 2fa 21v1 2kw 21gq 1ag 1br.8n 1h2.1e 16.19o.d9 32p 31b9 1d.5xs 26s4 29lt 22rl 2472 21en 211l 21dp 25hv 26wm 29my 25hk 26p5 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 16.19o.4l 3ko l:017.7.0.399 14.0.399 17.0.1e7 14.0.1e7 17.0.73.vh 14.0.73.vh 17.0.bj 14.0.bj 17.0.1p1 14.0.1p1 17.0.1tu.ze 14.0.1tu.ze 17.0.2ac.8p 14.0.2ac.8p 17.0.d5.16k 14.0.d5.16k 17.0.pf.5.pj.16k 14.0.pf.5.pj.16k 17.0.n5.uz 14.0.n5.uz 17.0.73.e3 14.0.73.e3 17.0.n5.o 14.0.n5.o 17.0.bv.93.gg 14.0.bv.93.gg 17.0.29l.gg 14.0.29l.gg 17.0.n5.bv.93.gg 14.0.n5.bv.93.gg 17.0.16l 14.0.16l 17.0.73.nm 14.0.73.nm 17.0.p9.j0 14.0.p9.j0 17.0.p9.im 14.0.p9.im 17.0.p9.kp 14.0.p9.kp 17.0.1hd.1p 14.0.1hd.1p 17.0.29h.1p 14.0.29h.1p 17.0.1m.1hd.1p 14.0.1m.1hd.1p 10.7i2.1p 012.17.a1z 27e.10w.3 240.10w.3 257.10w.3 097h.cs 012.17.0.20v.l8 31u 3a 31h 3se.3 3pf 3p9.3 38p 2vw 22ty 017.vw 12ty 17.0.1p9 14.0.1p9 17.0.2eb 14.0.2eb 17.0.39a 14.0.39a 17.0.1nh 14.0.1nh 17.0.1pb 14.0.1pb 17.0.eo.5.27.2i 14.0.eo.5.27.2i 17.0.1bu 14.0.1bu 17.0.35l 14.0.35l 17.0.35j 14.0.35j 17.0.33r 14.0.33r 17.0.1r4 14.0.1r4 17.0.11h 14.0.11h 17.0.1m.1p 14.0.1m.1p 17.0.pn.1p 14.0.pn.1p 01o.0.17.se.3 3p9.3 012.17.0.qw 3n5.1t 0r.0.o 22p 21h 2jw 2ct 21as 21zk 21p 2p5 21u 24p 249 21jh 22wq 22me 21ti 211l 21hk 21uq 255 21kn 2dy 21jw 2jk 2304 21xw 21gj 210p 22s8 2fz 22ru 21lv 2oh 221t 24v 21uv 22ko 21vu 219t 21ux 22vf 221f 2w5 2106 2jj 2i6 2gj 2fb 21x6 215d 214d 22re 219r 27q 2sv 21wl 2vn 21q1 28h 24q 29y 2bx 21gw 2hn 22p1 21j8 2sm 24l 2le 2j5 2k0 214r 211v 2194 27e 22s6 22xn 25ww 26vq 26v9 112.1e.6vk 39qb 12rp 1br.8n 1fs 1ag 1ri 1h2.1e 9:01o.0.tm.3w.wu.1w1 4ru.1w1 4wu.2zy 4ru.2zy 4wu.1ap 4ru.1ap 4wu.jj 4ru.jj 21ek.dq.3w.3j 246.dq.3w.3j 210v.dq.3w.3j 23u.dq.3w.3j 21el.dq.3w.3j 21ek.dq.u8.3w.3j 246.dq.u8.3w.3j 210v.dq.u8.3w.3j 23u.dq.u8.3w.3j 21el.dq.u8.3w.3j 21ek.u8.3w.3j 246.u8.3w.3j 210v.u8.3w.3j 23u.u8.3w.3j 21el.u8.3w.3j 21x.2h.3j 3ni 347.3j 223.u.d7.a5 2f2.35.t 33k.t 3i0.1e 38w.i0.1e 23u.8w.i0.1e 21ba.s.46.3w 43u.3w 08.7.0.1e9.3m 14.0.1e9.3m 17.0.1e9.d0 14.0.1e9.d0 17.0.18i 14.0.18i 17.0.36c 14.0.36c 17.0.355 14.0.355 17.0.1dm 14.0.1dm 17.0.1dm.5.ag 14.0.1dm.5.ag 10.4.7.8o 432 17.0.69 14.0.69 17.0.1ci 14.0.1ci 17.0.7t 14.0.7t 17.0.12e 14.0.12e 17.0.12e.5.47.3j 14.0.12e.5.47.3j 17.0.qo 14.0.qo 17.0.73.6x.5.1x 14.0.73.6x.5.1x 17.0.5q.5.2a 14.0.5q.5.2a 17.0.5q.5.43.2a 14.0.5q.5.43.2a 17.0.5q.5.2a.s.43.2a 14.0.5q.5.2a.s.43.2a 17.0.12o.3g 14.0.12o.3g 17.0.3g.5.46.2a 14.0.3g.5.46.2a 17.0.1p.5.54.2a.j6 14.0.1p.5.54.2a.j6 17.0.1p.5.ho 14.0.1p.5.ho 17.0.bs 14.0.bs 17.0.76.5.2a.oi.dw 14.0.76.5.2a.oi.dw 17.0.76.5.183 14.0.76.5.183 17.0.76.5.31w.ae 14.0.76.5.31w.ae 17.0.aj.5.2a.oi.dw 14.0.aj.5.2a.oi.dw 17.0.aj.5.43.2a 14.0.aj.5.43.2a 17.0.30.1ax 14.0.30.1ax 17.0.1jl.1ax 14.0.1jl.1ax 17.0.5t.5.43.2a 14.0.5t.5.43.2a 17.0.212 14.0.212 17.0.373.68 14.0.373.68 17.0.z6.5.2a 14.0.z6.5.2a 17.0.z6.5.2a.oi.dw 14.0.z6.5.2a.oi.dw 17.0.36w 14.0.36w 17.0.ps 14.0.ps 17.0.10k 14.0.10k 17.0.2bk 14.0.2bk 01o.0.1lg 08.4.0.5pm 3r8 37i3 37vc 31jl 10.4.7.1jl 14.0.1bs 3wq 17.0.kr.5y 14.0.kr.5y 17.0.kr.8o 14.0.kr.8o 17.0.kr.5m 34t.kr.5m 14.0.4t.kr.5m 17.0.4t.3g 14.0.4t.3g 17.0.kr.30 14.0.kr.30 17.0.kr.32 14.0.kr.32 17.0.kr.5n 14.0.kr.5n 01o.0.3u.7o.9g 2fs 28k.ey.3 08.7.0.2xm 14.0.2xm 17.0.4t.61 14.0.3g.5.dt.2i.s.s0 10.96l.1x 17.0.4j.5.dw 14.0.4j.5.dw 17.0.6x.5.3j 14.0.6x.5.3j 5gz.2i 361.5.gz.2i 17.0.21.5.183 14.0.21.5.183 17.0.8o.5.2a 14.0.8o.5.2a 17.0.16b.fl 14.0.16b.fl 17.0.16b.db 14.0.16b.db 17.0.16b.jb 14.0.16b.jb 17.0.5m.5.mm.2a 14.0.5m.5.mm.2a 17.0.5q.5.mm.2a 14.0.5q.5.mm.2a 17.0.4j.5.mm.2a 14.0.4j.5.mm.2a 17.0.30.5.mm.2a 14.0.30.5.mm.2a 17.0.32.5.mm.2a 14.0.32.5.mm.2a 17.0.61.5.2i 373.4m.1t 3v.5m 33g.5.s0 34.7.1u 10.4.7.aj 17.0.4t.5q 45n 37y.5.ve 3hz 3l3 14.0.l3 17.0.8p 14.0.8p 17.0.1h.5.2a 14.0.1h.5.2a 17.0.f8.o 14.0.f8.o 17.0.f8.1u 14.0.f8.1u 17.0.f8.1h 14.0.f8.1h 17.0.19.1w8.1p 14.0.19.1w8.1p 17.0.27l.7f 14.0.27l.7f 17.0.6x.5.gz.2i 332.5.2i 368.5.gz.2i 35y.5.8k.2a.j6 14.0.5y.5.8k.2a.j6 17.0.32.5.8k.2a.j6 14.0.32.5.8k.2a.j6 17.0.1wz.f9 332.5.43.2a 14.0.32.5.43.2a 3:17.0.bv.kr.5m 14.0.bv.kr.5m 2:31m.z6 2:41lo 17.0.27.2xw.32 14.0.27.2xw.32 17.0.30n.32 14.0.30n.32 17.0.1gl 14.0.1gl 17.0.1gl.5.2a m:01o.0.7.6x 38o 3aj 08.7.0.73.2j.61 14.0.73.2j.61 113f.0.ld.1u 01o.0.7.61.5.2a 24.13.db 08.0.4.7.4t.55 113f.0.73.8o 476 38w.55 31u.1gv 3e4.55 0d6.d4.0.o 31u 23.5q4 20.1h 31t 31p 23.2hv 20.hn 3r5 3oy 32h5 23.av 20.qt 3s3 3sf 36o6 320o 31l8 31oq 32cu 320 3kg 3ko 32db 3ea 3lw 3sq 3qr 329c 3k0 3ia 3ku 32x9 3if 3hm 2j.3.o 41u 41h 41t 4bs 21in.19c 319d 32ox 37b7 23.dp.2hv 4:05g.89.60.1g.9a 42j 31w.ji 31g.k4 4ed 31w.1k5 29a.1e 21w4.1e 2yp.1e 28j8.1e 7:0bc.0.2p 28x 25d 27q 27u 28u 27p 294 24y 29t 25a 24q 249 2aq 25w 24l 2gp 2oj 2pp 28h 2jo 2c6 24.o 24v 24b 24p 280 256 23p 2o 21u 21h 21t 21p 2k1 2m5 2d9 213r 2ct 17d.0.8h 34v 10.bg 2cz 2bh 2co 2dp.4v 2a12.80 2uy.3p 23zg.d9 17d.0.4b 19dq.0.4b 10.f6 17r.eh.1e 11m.eh.1e 11e.nf 21m.nf 9:07m.3.av 2e1 10.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 2ct 26z 21p 2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 2gu 16j.3.68x 1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 3ct 36z 31p 3bs 37t 13.dh 2f6 9:1ex 11m.ex 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:012.3b.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 20.o 31h 32p 34q 349 34b 3ws 23.m9 03b.3.1yn.f6 2f6.dh 21m.f6.dh 2f6.1q 31w 3m9 21wo 113q.ty 1s2 11fd 13.64 16no.oa 10.qo 1j.3.qo 0c2.9y.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 20.2p 38x 35d 37q 356 380 3c6 394 34y 32iq 34q 349 3aq 34l 35a 35w 34b 34v 34p 38h 39t 33p 3ao 37u 3o 3db 31u 3bs 2j.jb 31t 31h 3ct 31p 23w.2uy 32am 42uy 23.1oi 395s 0et.0.2p 25d 27q 24y 25a 24q 249 25w 24l 27u 27p 294 256 24b 24p 24v 28h 23p 214q 219r 2110 27w6 2o 1j.3.1u 31h 31t 36z 31p 37t 3tw 31pc 16j.3.kw 34j 330 361 1dh c:1dd.1e 0z.4h.9lk 234d 234f 234b 21ja 22wx 21x9 28ob 21jb 21jc 28o9 22wr 21jd 28o1 22ws 22pm 27f5 21to 28d7 28d0 22uj 299x 26lb 26l5 299t 299z 28ce 26c0 29a1 4:06m.3.8a5 22az 270h 2a4j 10.o 21u.6y 3 278 21h 249.4fg 27q.2mg 48ly 21t 26z 21p 22p 3yq 3rb 25d 3rb 27q 27u 3rb 27p 294.rb 27p.y4 294 2bg 3y4 2bh 3y4 24q.rb 24y 3rb 25a 3y4 24q 249 3rb 25w 3rb 24l 24v 24b 33vc 24p 28h 256.rb 3y4 3 23p 13.2az.9j8 1j.3.9i7 39mn 337v 47cp 31kl 47cu 31be 35gq.7if 31ih 16j.3.6se 38bk 32al 189v 1y.2wg 1u.2wg 1q4.3wv 279x 273z 237p 289u 272h 2743 216n 316n 22us 14t.q4.2us 2:189y 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 5:1q4.9ly.9qf 26n8 02b.0.cx.bw 38u 3e8 3co 3ch 13.cx.1xm 11o.0.cx.1x3 10.1s.i5.94 4d9 45d 4bw 47p 4e8 4bh 4d8 4co 11s.i5.h.5o 41g 41q 41w 42d 42k 43e 43l 43d 43o 10.1s.i5.gu 45a 4bq 45w 4ch 2:07h.0.o 21u 21h 21t 26z 21p 22p 28x 25d 2bw 27oy 27q 28u 24gi 27p 2e8 27p8 214z 27p7 24y 29t 25a 2bq 27vb 24q 2bh 249 28fd 2aq 25w 2ch 27ht 24l 2zn 24v 24b 24p 2ao 2du 256 23p 1j.3.69 31u 378 3tt 31h 3db 31p 36z 37t 3jb 16j.3.4v 34b 34p 38h a:10.1n.5q 35m 3kw 16j.3.1n.kw 10.1n.2b4 35n 34j 376 36h 330 33g 31ke 16j.3.1n.55 461 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 3:159.qg 2ex 21m.ex 2a9.ex 02b.0.io.5d 37u 38u 37p 3e8 394 3bg 3cz 3bh 3d8 3bq 34q 356 33p 3vr 3d9 11o.0.io.1x3 10.io.m5 3c6 34b 1y2.io.2sq 38im 36d7 1d.129.i0 31g 31q 10.129.4b 13.sp.hb.3w 21s.i5.ut 4uu 10.11h.1i9.8u 480 01s.8r.0.3u.hn 346.hn 33u.r5 346.r5 33u.2ky 346.2ky 33u.oy 346.oy 33u.111 346.111 33u.qt 346.qt 33u.s3 346.s3 33u.if 346.if 33u.w4 346.w4 33u.ko 346.ko 33u.20 346.20 33u.kg 346.kg 33u.ea 346.ea 33u.qr 346.qr 33u.lw 346.lw 33u.sq 346.sq 33u.sc 346.sc 33u.k0 346.k0 33u.g4 346.g4 33u.ia 346.ia 33u.ku 346.ku 33u.ux 346.ux 33u.hm 346.hm 33u.1p 346.1p 2jy.1g0 2j.69 31u 3jb 31h 31t 31p 2jy.6t2 2j.1fm 39to 3167 3289 3qo 3eq 3tf 23w.jy.13c 42s9 4kg 498f p:2d.2lb 32s9 31xk 3hm.6ey 31s9.1s9 083.82.0.1t 31p 38u 394 3bg 3cz 3bh 3d8 3co 380 3du 2j.3.78 488 426q 47t 43rs 24g4 23vf.6ta 21ma 26.1at.1e 2il.1at.1e 2j.3.e1 2dh b:015.6.9pq 235p 220n 29po 235o 21l8 3:25dp 25do 22ct 25dn 25dm 22cu 3:22ea 22e7 25qb 22e6 2vh 22e9 a:24em 24es 24eq 24en 24ep 24eo 24er 2:2zn 228z 228x 247l 247p 216x 228y 2:08.4.0.rz.8t 3o.8ni 31n0.1t 3rz.1t 31t.5.183 32mh.8o 3v.5m.5.ve 33g.5.8w.1sm.32 51m.27.5h 527.4s 355.5.ve 34j.5.ve 3qx.5.ve 31n0.1p 55.2a 34m.1p.5.2a 38w.db 34t.db.5.2a 647.2a 41p.2t5 65.2a 39bt.30 10.4.7.30.5.u.kt 14.0.30.16g.2hu 31m.30 330.5.ve 31m.30.5.ve 3v.30 55.4s 328s.l7 31h.5.8k.u.kt 43j.5.8k.u.kt 31lc 34t.1lc 31h.5.y.2i 3hz 45.3u.u.4s 6y.2y4 375.5.3u.u.4s 554.y.kt 8s.3u.u.4s 85.2y4 36h.5.8k.u.kt 01o.b1.5.8w.b1 10.4.18i 33g.5.8w.1sm.32 527.5h 31h.5.y.2i 08.4.0.8tj.uz 3n5.1t 34m.db 336n 38w.8t 014.0.4.7.8p 08.4.0.ts.g6.5.dt.2i 31l5.g6.5.dt.2i 34t.30.5.27.5h 01o.0.4.4t.7f 2y.fe 2u.fe 5:038.4.0.o 31t 31u 31p 31h 35t 35d 32p 3u3 3j3 3oy 3mg 32hm 33p 3dx 3er 3hm 3oz 31fk 34p 3cd 39y 3ku 3i6 32n7 34l 3fh 3gj 3k0 3dy 34q 31qy 31hi 3fa 3fb 3ea 3fz 31uz 32vq 32vr 32vs 31wx 31wy 32vv 356 332 3k3 3jk 3if 3k5 31zd 35a 34y 3j0 3eo 3l5 3le 3ko 3l6 32e4 31e1 3205 3206 3208 3209 320a 334o 3gp 3nm 3120 31l6 31l7 335k 38h 3ik 3k7 3jc 3tc 337x 34v 083.82.0.2la 31xk 31gk 31ts 349 34q 34gn 3203 36t7 32rh 39kj 3a3a 3ru 36h1 3wr 31u 38cb 33zv 366h 36o4 3ar 35w 318s 35gd 365e 35fv 3492 32la.y3 31gk.y3 31ts.y3 349.y3 34q.y3 3203.y3 32rh.y3 31u.y3 2j.3.873 46m3 43ws 4a95 498m 49u9 44g6 41uy 24g5 2r8.2jr 23y5.2jr 3:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 8mv:0z.6g.7xq 27xl 2aa3 2aa4 2aa5 29s3 29s0 2aar 2aau 25u6 25u8 25u7 25ua 26iv 26iw 26iy 26ix 26is 26iz 26j0 26iq 23yb 23yc 5:142.7pn 27pl 21kj 29a0 234d 234f 29ll 234b 29lj 29lm 22wx 28o2 299v 28o3 28o8 28o7 28oe 28od 22ke 27f0 27f3 299u 27f1 27ey 21w0 28d4 28d1 21kh 21vz 21vy 22ui 230x 296o 299w 299y 296q 21y7 230v 2310 230w 28a3 28a2 2a9b 2a9a 24hw 24hx 21kf 28cf 28cg 6it:0c.g.f# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3:3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 13:08.4.13.5y3 3s9 35yu 35y4 35y5 354.32.5n 31yw d:06a.4.13.sm.1ht 413b 41rc 3211.1ht 3sm.21g 6:045.0.v0.5.2id 1ht.6pb.9y4 113.1lt.v0.v0.1id 10.1m8.qp 2qj.3m 31do 3dx 3c1 31gm 31n.lb 3qb 31zm 21m8.33.3 2fq.5.fq.1x 41k4.1x 4iz.s.fq.1x 61k4.1x 23m.5.1id 41iv 41t8 212j.5.iz 2n4.5.iz 21do.5.iz 2dx.5.1t8 216a.5.iz 2ph.5.iz 2:211v.5.iz 2v0.5.iz 21n.c1.5.iz 2c1.5.iz 21gm.5.iz 2:2lb.5.iz 2:2ap.5.iz 2ne.5.iz 2:21n.cf.5.iz 2cf.5.iz 2:220k.5.iz 21wv.5.iz 2qb.5.iz 2fq.5.iz 21zm.5.iz 216a.5.1qz 212j.5.1j1 2c1.5.1j1 2cf.5.1j1 113.3m.1gm 09.0.3m.1lj.2e.k 41n.k 216y.2e.k 31n.k 32r.k 35r.k 2w6.2e.k 31n.k 32r.k 35r.k 216z.2e.k 31n.k 32r.k 35r.k 21br.2e.k 31n.k 32r.k 35r.k 21bg.2e.k 31n.k 32r.k 35r.k 2165.2e.k 31n.k 32r.k 35r.k 21bz.2e.k 31n.k 32r.k 35r.k 21ab.2e.k 31n.k 32r.k 35r.k 217q.2e.k 31n.k 32r.k 35r.k 219x.2e.k 31n.k 32r.k 35r.k 211r.2e.k 31n.k 32r.k 35r.k 21bf.2e.k 31n.k 32r.k 35r.k 21on.2e.k 31n.k 21oj.2e.k 31n.k 21p7.2e.k 31n.k 21oo.2e.k 31n.k 21rn.2e.k 31n.k 21xh.2e.k 31n.k 2r4.2e.k 31n.k 32r.k 35r.k 2u2.2e.k 31n.k 32r.k 35r.k 218g.2e.k 31n.k 32r.k 35r.k 219s.2e.k 31n.k 32r.k 35r.k 29n.18a.2e.k 41n.k 21aw.2e.k 31n.k 32r.k 35r.k 2cc.5.2v.1a.2e.k 61n.k 3xk.2e.k 41n.k 42r.k 45r.k 317n.2e.k 41n.k 42r.k 45r.k 22v.v4.2e.k 41n.k 45.7x.1a.2e.k 71n.k 1d.1x.1a 31v 21q.41.1a 41v 21w.41.1a 41v 48a.5b.1a 61v 22d.41.1a 41v 21m.2h.3j.1v 21q.41.t8.1a 51v 24s 24.dz.1a 41v 21lj.1a h:10.kw.2e.k 31n.k 32r.k 35r.k 21h.2e.k 31n.k 2db.2e.k 31n.k 2e3.2e.k 31n.k 21h.5.7x.1a.2e.k 2li.2e.k 31n.k 2sh.db.2e.k 41n.k 3e3.2e.k 41n.k 21t.2e.k 31n.k 32r.k 35r.k 21bx.2ki.sh.3m.9e.2r.k 75r.k 113.2v.5.7x.1a.5.3m.2e.k 81n.k 7fl.2e.k 81n.k 7dv.2e.k 81n.k 71h.2e.k 81n.k 7db.2e.k 81n.k 7e3.2e.k 81n.k 71t.2e.k 81n.k 82r.k 21bx.sh.2v.5.7x.1a.5.3m.9e.2e.k b1n.k b2r.k 10.ov.2v.2e.k 41n.k 42r.k 45r.k 113.2v.5.7x.1a.5.5p.2e.k 751.2e.k 72s.2e.k 73m.9e.2e.k 72v.2e.k 2d2.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 2bu.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 2ja.5.5p.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 25p.5.51.2e.k 42s.2e.k 251.5.5p.2e.k 42s.2e.k 29i.5.5p.2e.k 451.2e.k 42s.2e.k 2c5.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 2fi.5.51.2e.k 42s.2e.k 2fu.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 2dz.5.51.2e.k 42s.2e.k 2pg.5.2s.2e.k 2d0.5.5p.2e.k 42s.2e.k 2i2.5.5p.2e.k 42s.2e.k 2eg.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 2f1.5.51.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 2c1.5.3m.2e.k 45p.2e.k 451.2e.k 49i.2e.k 48l.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 28l.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 22s.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 29n.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 2cc.5.5p.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 22v.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 43m.9e.2e.k 42v.2e.k 2z4.5.hg.3m.2e.k 2em.5.hg.3m.2e.k 23m.9e.5.hg.3m.2e.k 2p8.5.17i.2e.k 418y.2e.k 4ow.2e.k 4s7.2e.k 4p1.2e.k 4hg.3m.2e.k 22v.5.7x.1a.5.em.1n.k 7np.1n.k 72s.1n.k 79n.1n.k 73m.9e.1n.k 72v.1n.k 2d2.5.em.1n.k 4np.1n.k 42s.1n.k 49n.1n.k 43m.9e.1n.k 42v.1n.k 2bu.5.em.1n.k 4np.1n.k 42s.1n.k 49n.1n.k 43m.9e.1n.k 42v.1n.k 2ja.5.em.1n.k 4np.1n.k 42s.1n.k 49n.1n.k 43m.9e.1n.k 42v.1n.k 2eg.5.3m.9e.1n.k 42v.1n.k 2f1.5.3m.9e.1n.k 42v.1n.k 2c1.5.3m.1n.k 48l.1n.k 42s.1n.k 43m.9e.1n.k 42v.1n.k 28l.5.2s.1n.k 43m.9e.1n.k 42v.1n.k 22s.5.3m.1n.k 42s.1n.k 29n.5.em.1n.k 4np.1n.k 42s.1n.k 49n.1n.k 43m.9e.1n.k 42v.1n.k 23m.9e.5.hg.3m.1n.k 22v.5.em.1n.k 4np.1n.k 42s.1n.k 49n.1n.k 43m.9e.1n.k 42v.1n.k 47x.1a.5.5p.2r.k 751.2r.k 79i.2r.k 72s.2r.k 7cc.2r.k 2d2.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 4cc.2r.k 2bu.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 4cc.2r.k 2ja.5.2s.2r.k 25p.5.51.2r.k 42s.2r.k 251.5.5p.2r.k 42s.2r.k 29i.5.5p.2r.k 42s.2r.k 2c5.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 2fi.5.51.2r.k 49i.2r.k 42s.2r.k 2fu.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 2dz.5.51.2r.k 2pg.5.2s.2r.k 2d0.5.5p.2r.k 42s.2r.k 2i2.5.5p.2r.k 42s.2r.k 2eg.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 2f1.5.51.2r.k 42s.2r.k 2c1.5.5p.2r.k 451.2r.k 49i.2r.k 48l.2r.k 42s.2r.k 28l.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 4cc.2r.k 22s.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 29n.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 4cc.2r.k 2cc.5.5p.2r.k 42s.2r.k 4hg.3m.2r.k 22v.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 4cc.2r.k 47x.1a.5.2s.5r.k 7cc.5r.k 2d2.5.2s.5r.k 4cc.5r.k 2bu.5.2s.5r.k 4cc.5r.k 2ja.5.2s.5r.k 4cc.5r.k 2c5.5.2s.5r.k 4cc.5r.k 2de.5.2s.5r.k 4cc.5r.k 2c1.5.8l.5r.k 42s.5r.k 28l.5.2s.5r.k 29n.5.2s.5r.k 4cc.5r.k 22v.5.2s.5r.k 4cc.5r.k 2p8.5.ow.5r.k 4s7.5r.k 4p1.5r.k 2dz.5.3m.9e.2e.k 42v.2e.k 2d0.5.3m.9e.2e.k 42v.2e.k 2i2.5.3m.9e.2e.k 42v.2e.k 2c5.5.3m.9e.2e.k 42v.2e.k 2de.5.3m.9e.2e.k 42v.2e.k 251.5.3m.9e.2e.k 42v.2e.k 25p.5.3m.9e.2e.k 42v.2e.k 29i.5.3m.9e.2e.k 42v.2e.k 2fi.5.3m.9e.2e.k 42v.2e.k 2fu.5.3m.9e.2e.k 42v.2e.k 2de.5.5p.2e.k 451.2e.k 49i.2e.k 42s.2e.k 4em.2e.k 2c5.5.em.2e.k 2fi.5.em.2e.k 2fu.5.em.2e.k 2dz.5.3m.9e.1n.k 42v.1n.k 2d0.5.3m.9e.1n.k 42v.1n.k 2i2.5.3m.9e.1n.k 42v.1n.k 2c5.5.3m.9e.1n.k 42v.1n.k 2de.5.3m.9e.1n.k 42v.1n.k 251.5.3m.9e.1n.k 42v.1n.k 25p.5.3m.9e.1n.k 42v.1n.k 29i.5.3m.9e.1n.k 42v.1n.k 2fi.5.3m.9e.1n.k 42v.1n.k 2fu.5.3m.9e.1n.k 42v.1n.k 2de.5.5p.1n.k 451.1n.k 49i.1n.k 42s.1n.k 4em.1n.k 2c5.5.em.1n.k 2fi.5.em.1n.k 2fu.5.em.1n.k 2de.5.5p.2r.k 451.2r.k 49i.2r.k 42s.2r.k 2c5.5.cc.2r.k 2de.5.cc.2r.k 2dz.5.2s.2r.k 2c5.5.5p.5r.k 451.5r.k 49i.5r.k 2de.5.5p.5r.k 451.5r.k 49i.5r.k 2dz.5.2s.5r.k 2pg.5.2s.5r.k 23m.5.105.1n.k 52e.k 02t8.y.cv 1u.cv 09.13.8lk.27e 215c.16r.3x4 43x5 43x7 43x8 43x9 28tr.1cf.a31 21cf.1co 23w2.1co 23w3.1co 21cf.3z7.a3j 28jc.96w 28ts.1cf.a34.a32 23w1.1co 29hj.a33 28ll.27e 2bu.5.5p.5.2s.2r.k 451.5.5p.1n.k 72r.k 62s.2r.k 49i.5.2s.2r.k 42s.5.5p.2r.k 651.2r.k 69i.2r.k 25p.5.2s.5.51.1n.k 72r.k 251.5.2s.5.2v.1n.k 63m.9e.1n.k 2c5.5.51.5.5p.2r.k 45p.5.51.2r.k 63m.9e.1n.k 42s.5.51.1n.k 72r.k 65p.2r.k 62s.1n.k 72r.k 2fi.5.51.5.51.1n.k 72r.k 42s.5.2s.1n.k 2de.5.51.5.2s.1n.k 72r.k 45p.5.2v.1n.k 42s.5.9i.1n.k 72r.k 62s.1n.k 72r.k 2fu.5.51.5.3m.9e.1n.k 49i.5.2s.1n.k 72r.k 2dz.5.2s.5.51.1n.k 72r.k 62s.2r.k 62v.1n.k 2d0.5.5p.5.2s.1n.k 42s.5.2s.1n.k 72r.k 63m.9e.1n.k 2i2.5.2s.5.2s.1n.k 62v.1n.k 63m.9e.1n.k 2eg.5.9i.5.2s.1n.k 72r.k 2f1.5.2s.5.51.1n.k 62s.1n.k 28l.5.51.5.2s.1n.k 62v.1n.k 63m.9e.1n.k 45p.5.5p.2r.k 71n.k 49i.5.2s.1n.k 72r.k 42s.5.51.1n.k 72r.k 22s.5.51.5.5p.2r.k 62s.2r.k 62v.1n.k 45p.5.51.2r.k 62s.2r.k 49i.5.5p.2r.k 62s.2r.k 3:45p.5.9i.2r.k 2cc.5.2s.5.5p.2r.k 62s.2r.k 29n.5.51.5.2s.2r.k 63m.9e.1n.k 45p.5.2s.1n.k 72r.k 63m.9e.1n.k 42s.5.2v.1n.k 63m.9e.1n.k 22v.5.2s.5.2s.1n.k 72r.k 2d2.5.9i.5.2v.1n.k 2bu.5.5p.5.2v.1n.k 63m.9e.1n.k 49i.5.2v.1n.k 63m.9e.1n.k 42s.5.2v.1n.k 63m.9e.1n.k 25p.5.2s.5.2v.1n.k 451.5.3m.9e.1n.k 42s.5.3m.9e.1n.k 2c5.5.9i.5.3m.9e.1n.k 2fi.5.51.5.2v.1n.k 2de.5.51.5.2v.1n.k 2fu.5.51.5.2v.1n.k 28l.5.5p.5.2v.1n.k 42s.5.2v.1n.k 22v.5.51.5.2v.1n.k 45p.5.2v.1n.k 42s.5.2v.1n.k 22s.5.2s.5.2v.1n.k 2f1.5.2s.5.2v.1n.k 29n.5.51.5.2v.1n.k 2f1.5.2s.5.51.2r.k 28l.5.51.5.2s.2r.k 2d0.5.2s.5.2v.1n.k 2c1.5.2s.5.2v.1n.k 29n.5.5p.5.51.2r.k 22s.5.9i.5.2v.1n.k 28l.5.5p.5.2s.2r.k 2c1.5.2s.5.2s.1n.k 28l.5.5p.5.2s.1n.k 29n.5.5p.5.51.1n.k 25p.5.51.5.2v.1n.k 251.5.5p.5.2v.1n.k 22s.5.5p.5.2v.1n.k 2eg.5.2s.5.2v.1n.k 2d2.5.51.5.2v.1n.k 2c1.5.2s.5.2s.2r.k 2d0.5.5p.5.2s.2r.k 2fi.5.2s.5.2s.2r.k 2c5.5.9i.5.2v.1n.k 29n.5.5p.5.2v.1n.k 8:28to.3w4 x:22xk.36r.nq.2ld.8n.3.2e.k 28hq.36r.nq.2ld.8n.3.2e.k 23wa.2e.k 23vt.2e.k 27gm.2e.k 28tq.2e.k 28lx.2e.k 216p.2e.k 237d.2e.k 22xk.2e.k 22xl.16p.37d 26nq 08nx.3 09.13.49t.3y9.3y8 29d5.8h.9hd 240r.8h.6np 024.8vg 18yj 190f 190q 1911 191c 191n 191y 1929 18vh 18vs 18w3 18we 18wp 18x0 18xb 0fp.k.1c.2h.ag 44i.ag 5br.8n 4fs 4ri 4i0.1e 4h2.1e 4y.1y.xx.3v 4u.1y.xx.4av 447.xc 7:012.13.y.2j 2u.2j 11m.5h.y.2j 3u.2j 19l.y.2j 2u.2j 12bn.9l 113.y.2j.1v 2u.2j.1v 15h.y.2j.1v 2u.2j.1v 19l.y.2j.1v 2u.2j.1v 12bn.9l.1v 117.1bm.y.2j 3u.2j 0fp.k.1c.2h.1q.1x.1sn 4kp.dj 4b3.dj 43u.7z 4t9.3u.7z 4y.cv 4u.cv 4y.ew.3v 4u.ew.3v 4y.ii.g1.3v 4u.ii.g1.3v 4y.1r.xx.3v 4u.1r.xx.3v 4y.1m.a5.3v 4u.1m.a5.3v 4y.a5.3v 4u.a5.3v 4y.d7.3v 4u.d7.3v 4y.1y.d7.3v 4u.1y.d7.3v 02y5.1x 01y.2y5.1x 0fp.k.1c.2h.y.1d.3v 4u.1d.3v 0po.yh 02b2.yh 0t9.yh 01m.t9.yh 0po.3u.7z 02b2.3u.7z 0t9.3u.7z 04.ag 14i.ag 1br.8n 2:1ri 1fs 1h2.1e 1i0.1e 1kp.dj 1y.cv 1u.cv 1y.ew.3v 1u.ew.3v 1y.ii.g1.3v 1u.ii.g1.3v 110.3 1wy 1cs 133.3 11fl 1an.3 1am.3 1ey.3 2:1kf.j9 1zy.3 11ae.3 117d.d1 5:09.105.2e.k 115x.5.105.1a 117i.2e.k 1ae.601 118y.2e.k 2:1ow.2e.k 25r.k 1s7.2e.k 25r.k 1p1.2e.k 25r.k 1p8.2e.k 25r.k 1wk.2e.k 25r.k 10.7x.2e.k 23m.5.r9.1a.2e.k 61n.k 47x.1a.2e.k 61n.k 2dv.5.7x.1a.2e.k 61n.k 23m.5.7x.1v.2e.k 61n.k 22v.5.7x.1a.2e.k 61n.k 62r.k 65r.k 23m.2e.k 31n.k 2d2.2e.k 31n.k 32r.k 35r.k 2bu.1h1.2e.k 41n.k 32e.k 31n.k 32r.k 35r.k 2ja.2e.k 31n.k 32r.k 35r.k 25p.2e.k 31n.k 32r.k 35r.k 251.2e.k 31n.k 32r.k 35r.k 29i.2e.k 31n.k 32r.k 35r.k 2km.2e.k 31n.k 2z4.2e.k 31n.k 2em.2e.k 31n.k 2np.2e.k 31n.k 2c5.2e.k 31n.k 32r.k 35r.k 2de.2e.k 31n.k 32r.k 35r.k 2fi.2e.k 31n.k 32r.k 35r.k 2fu.2e.k 31n.k 32r.k 35r.k 2dz.2e.k 31n.k 32r.k 35r.k 2pg.2e.k 31n.k 32r.k 35r.k 2d0.2e.k 31n.k 32r.k 35r.k 2i2.2e.k 31n.k 32r.k 35r.k 2eg.2e.k 31n.k 32r.k 35r.k 2f1.2e.k 31n.k 32r.k 35r.k 2c1.2e.k 31n.k 32r.k 35r.k 28l.2e.k 31n.k 32r.k 35r.k 22s.2e.k 31n.k 32r.k 35r.k 29n.2e.k 31n.k 32r.k 35r.k 2cc.2e.k 31n.k 32r.k 35r.k 2dv.2e.k 31n.k 23m.9e.2e.k 41n.k 22v.2e.k 31n.k 32r.k 35r.k 113.8l.5.3m.5.r9.1a.2e.k 81n.k 67x.1a.2e.k 81n.k 71v.2e.k 81n.k 52e.k 51n.k 3:05o.ta.1us.jm 2:05l.i0.1e 1gn.1e 110.3 1zy.3 11ae.3 1wy 1v1 1y.cv 1u.cv 1cs 133.3 1ag 11fl 1br.8n 1j9 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1fs 1ri 1an.3 1ey.3 1am.3 1h2.1e 117d.d1 18.7.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1y.1d.3v 1kf.j9 1u.1d.3v 17o.9g 13u.7z 199.9g 18.4.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1y.ew.3v 12h.7z 1u.ew.3v 15h 1y.1y.cv 1u.1y.cv 04n.4i.br.8n 1y.d7.3v 1u.d7.3v 14i.ag 12c.27.1x 20.jc 34.o 41u 41h 41t 41p 44v 4e3 4g4 4iv 110n.2va.mr.1e 12c.0.o 31u 31h 31t 31p 32p 3j5 3jw 3kd 3hn 356 3jk 3k5 3k3 3if 34y 3le 3iv 3eo 320 34q 3fb 3fz 3fa 3ea 33p 3er 3oz 3dx 3hm 34l 3gj 3dy 3fh 3k0 34v 3e3 3g4 34b 3nb 3jj 3lx 3ia 38h 34j 2uy.mr.1e 21xs.mr.1e 1z.ty 20.xw 31kg 31s6 3yb 31hp 31hq 3z8 31kj 3yo 31ja 31jb 31jc 31jd 31x8 31x7 31j9 3y6 3yl 31kh 31ik 3yv 31ki 3vt 3vb 31kf 3x3 3xv 3z5 3yk 3xp 4:3o 3fl 34v 31c5 317u 31t 3:321n 3no 31p 38h 3213 3db 3:3g4 31h 3217 3ik 3k7 3e3 3:3tw 3a 31u 4:05l.2b1.3 11ir.3 19r.3 19l 112o.3j 11c8.3 121b.3 2:04n.5zu.37.2h 13f.t 15j.t 12u.t 15b.t 11r.1d 11y.2y b:01re.l0.27j 2ib 29jf 07zz.2wf.i 02wf.i 3:011.21.6.28n.o 341k.1t 341b.1u 3427.1p 340t.1h 328g.5a 341r.j0 328m.l5 340x.ko 341x.l6 3423.7p 341s.pw 2:341i.sf 342b.10m 342n.2p 341q.kd 342d.j5 342g.hn 342r.jw 342q.4l 340w.fh 342j.gj 340y.k0 3416.dy 328l.4q 3417.fa 341d.fb 341y.ea 3421.fz 328i.49 342i.cf 341l.bx 340u.lw 341w.q9 340z.k1 342o.1iw 3414.1ao 341f.1ix 2:3426.4b 341a.lx 341z.nb 328h.ia 3419.jj 341e.56 328o.k3 341n.jk 340v.if 3424.k5 3425.4y 328j.eo 341j.le 328k.20 342f.iv 3420.8h 342l.ik 341m.k7 341o.jc 2:3410.c6 342k.jd 2:3413.rw 3418.1m4 341p.3hu 342u.7t 342h.1p9 342y.5q9 341u.1hw 341c.8gf 3428.8ge 342m.8lc 341g.8ld 342e.8p3 342c.9hc 342w.1bu 342z.1q 3:2d.411 3412 3415 341h 341t 341v 3422 3429 342a 342p 342s 342t 342v 342x z:24w.430.jz 3431.zh 3432.1os 3433.5tp 3434.7b6 3435.9ay 3436.2fe 3437.1j3 3438.93x 3439.6ae 343a.98n 343b.29w 343c.17e 343d.4bi 343e.218 343f.479 343g.2sy 343h.995 343i.59s 2w1.43j.6r8 343k.6r4 24w.43l.1i1 343m.1lm 343n 2w1.43o.3yj 343p.7cy 24w.43q.4b7 343r.1f4 343s 343t.37s 343u 343v 343w.f9 343x 343y 343z 2w1.441.9qn 24w.442 3443 3444.1nr 3445 3446 3447.631 3448.3yq 3449 344a 344b 344c 344d 344e 344f 344g 344h 344i.1tv 344j 344k.t4 344l 344m 344n 344o 344p 344q 344r 344s 344t 344u 344v 344w.1fg 345h.5zo 345k.28v 345p.31p 345q.t 345r 345s.9eb 345t 345u 345v.a48.178 345w.178 345x.178.1ey 345y.1ll 345z 3460 2w1.461.5gp 24w.462 3463 3465 3466 3467 3468.5d7 3469 346a 346b 346c 346d 3h6.440 444x 444y 444z 4450 4451 4452 4453 4454 4455 4456 4457 4458 4459 445a 445b 445c 445d 445e 445f 445g 445i 445j 445l 445m 445n 445o 4464 446e 6:0b0.il.ib.7z 31x 1or.1e 5:110.1g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2cg 2go 2hj 2f7 2mq 2fj 2nv 2ek 21g.40 21q.40 21w.40 22d.40 22k.40 23e.40 23l.40 23d.40 23o.40 21g.57 21q.57 21w.57 22d.57 22k.57 23e.57 23l.57 23d.57 23o.57 27e.57 2cg.57 2go.57 2hj.57 2f7.57 2mq.57 2fj.57 2nv.57 2ek.57 4:116e.1cw.rp 2vk.yz 2we.yz 2mu.yz 21ex.yz 11p6.10u.vk.yz 12mt.10u.vk.yz 110u.we.yz 2mu.yz 014.bl.iy.1g.9a 42j 41p5 32k 3f7 32k.40 457 3f7.57 32k.11m 37e.11m 3f7.11m 31g.40.11m 32k.40.11m 31g.57.11m 32k.57.11m 4yx 37e.yx 3f7.yx 31g.40.yx 32k.40.yx 31g.57.yx 37e.57.yx 3f7.57.yx 37e.1tt 26ax.1g.8e1 2ur.1g 21qu.1g 21pg.1q 2ur.1q 259u.1q.2dw 21pg.1q.2dw 2164.2k 37e 4dp.k 21qu.7e 27d2.7e 2ur.7e 3go 2164.f7 4dp.k 21qu.f7 2ur.f7 31g.40 31w.40 21pg.2k.40 2164.2k.40 2ur.2k.40 24e8.2k.40 27l1.2k.40 2ur.1g.57 32k.57 25es.2k.1tt 29c2.f7.1tt 11g.2j.3 4dp.k 11q.us.3 11w.ji.3 138d.3 19hu.3 11p5.3 1803.3 11q.1hz.3 11w.1hz.3 12d.1hz.3 12k.1hz.3 17d7.3 16xn.1cw.3 172p.3 1885.3 1a6g.3 13z2.3 13yu.3 1670.3 19p6.1cw.3 15o.3 11g.9a.3 196m.3 16mc.3 07sg.3 2:0by.937.3 19ud.3 192o.3 12zu.3 15gg.2zu.3 196g.3 15eu.3 18jg.3 192y.3 15ps.3 1nq.3 14f9.3 03zb.d 4:014.d.m3.he 1c:0cw.cb.3.2tz 38e7.eh 39ic.eh 34dw 31nl 3zh 31fg 3635 39ld 3t 312m 31y1 31nt 37an 37bp 31xm 32mp 32a2 32ar.2ux 35hq 34lx 397p 34lw 348l 311f 3f9 36bt 34bj.kt 3pm 31j3 32ed 32du 39qg 312h 32ux.t4 3wt 38ab 31xg 3725 31i7.pj 31pz 3673 39c1 34.1mj 3t9.470 312.mm.2a 3n:0gw.0.o 21t 221 2490 25m 25y 21u 27f 268 2z2 27y 25q 2aj 23g 255 24j 21hc 219u 21h 276 21g7 230 232 25n 220m 2eq 2b3 261 275 4:0ca.0.o 288t 25y 23g 29vd 230 270j 21m4 2aj 221 255 21p 25ch 25n 211c 293g 232 24cb 21h 219u 275 24j 29pl 276 21ke 21u 21t 29vg 25q 26q8 27lw 288 25m 262l 21yw 29as 2kw 278 24cc 220m 29ve 2do 21ta 27bv 27bw 27bx 270k 2qv 29vf g:02w.ha.z7.1e 2h.1g 31q 31w 32d 32k 33e 33l 33d 33o 210.7e 3cg 3go 3hj 3f7 3mq 3fj 3nv 3ek 31g.40 31q.40 31w.40 32d.40 32k.40 33e.40 33l.40 33d.40 33o.40 5:019.1f.0.o 3ma 3kd 3j0 31t 3li 3jd 3dx 3dg 31u 32p 3im 3kp 3b3 3l7 31p 3cf 3cy 3jw 3n3 3ny 3eo 31h 35sl 31vv 31s3 3qw 35tr 3hy 378 388 35tz 262.1g 32k 37e 3f7 a:20.no 32ry.nm 331l.nm 0hk.0.3vh 246v 265i 25cq 23vk 28hp 26nf 2692 29ke 25sg 26wz 26yo 27ar 27kz 26ny 29v2 2897 2ek 28ln 28ue 29j4 2a4o 25x8 26lj 22it 287x 23o.40 6:019.dn.0.eq 3tk 362q 32do 31t 3adk 35qd 31lz 35qe 31u 36vc 370x 37cv 32qy 3a1b 38bc 38mu 31b6 31s 31h 34ge 394l 393w 3aal 3pf 31p 3bs 3qw 33p 39pg 39yj 316k 31ls 3uz 3l8 3e3 34v 31fm 012.19.dn.0.eq 42do 41lz 42qy 41b6 6:0ge.0.3wc 2l3 262v 28x 2kn 2hm 2jc 2ql 26gn 211v 2v0 2c1 2fq 2p2 2lb 25ff 2ap 2rx 28tw 2d0 2q9 22xg 28ip 28lw 29jv 2i2 220 21u 21h 21yv 2:1il.134 019.bt.3.o 31u 31h 32p 3jw 35d 3mg 3m5 37u 37p 3xt 34y 3iv 35a 3l5 3l6 39t 349 35w 3d9 34q 3fz 34l 3gj 3dy 34v 3ao 3ws 34b 3jj 34p 356 3c6 380 3du 33p 5:3407 3408 3409 3a70 35cs 35ct 346n 34c2 2il.134 210.1g 31q 37e 3cg 340 17:07v.7.0.54.1u 41t 4o 4on 41p 4bs 38k.1u 41t 4o 4on 41p 4bs 3qo 31a5 3tc 316j 361 3w5 312h 315y 3131 31da 3149 31rz 32gl 3qw 3zf 3xe 31bj 3ny 31ca 3l7 31m1 3n3 3im 3kp 3b3 3qx 31a0 31pj 14.0.54.1u 41t 4o 4on 41p 4bs 38k.1u 41t 4o 4on 41p 4bs 3qo 31a5 3tc 316j 361 3w5 312h 315y 3131 31da 3149 31rz 32gl 3qw 3zf 3xe 31bj 3ny 31ca 3l7 31m1 3n3 3im 3kp 3b3 3qx 31a0 31pj 0cl.0.8bf 234s 26tp 2106 29k8 2if 29dv 22bc 2a92 26h3 2498 25e8 262p 2a1e 29k5 239h 210u 26pc 2a51 268v 2738 27fh 26lh 22ei 2b7 23uq 29o 237s 2n9 2on 28p5 2ap 2139 23v9 2xr 235 27zv 287h 21i1 240l 23yi 26e 2128 21eh 23yw 2100 22j0 2a9j 0eb.0.3m 25w 24y 27p 2m5 28x 25eh 24b 256 294b 2bq 22aw 25d 2d9 21wu 22k8 26yb 27f8 27vm 2dv 23p 24v 2o 21t 21u 21p 21h 269 2ct 2bs 3:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:08y.7.0.o 36z 3d0 3on 32a7 38u 32ek 31t 32eq 33p 32ix 31u 32p 32el 31sg 34p 34l 34q 31p 32su 349 32em 356 380 34y 32en 3gp 32eo 3oj 3bq 31h 38h 38x 3bw 3c6 3jo 5:14.0.o 36z 3d0 3on 32a7 38u 32ek 31t 32eq 33p 32ix 31u 32p 32el 31sg 34p 34l 34q 31p 32su 349 32em 356 380 34y 32en 3gp 32eo 3oj 3bq 31h 38h 38x 3bw 3c6 3jo 5:0e6.0.o 2ma 2v7 2hy 2j0 21hl 217k 2tt 21t 2qz 2u3 21qk 2dx 21u 2pw 2kd 2cd 272u 2fh 2fa 24q 2yd 21p 2cf 21iw 2lx 22x8 2k3 2cy 2eo 2dg 21h 2li 216h 26h 2jd 2m6 2kb 264y 21s3 9:0bn.bm.0.3we 312j 31qj 32cm 31pd 3acw 32ff 3adj 39i8 38u 3aag 3jo 36n1 380 32m2 36mx 3a6h 35qa 3mz 36o7 36ra 374i 36b4 38hw 33xq 34h9 3hz 359p 32ov 31an 37su 35qf 393i 36nv 39o 39ra 35xe 35qc 32b7 3158 365a 31j4 393c 3a07 39m2 330a 36nh 359o 32aw 3a90 31w3 36ua c:24i5.1e 09b.7.0.o 316x 3ma 3v7 3hy 3j0 317k 3tt 31t 3qz 35d 2:33p 3vr 31u 32jb 3pw 32p 34p 3gu 3fh 3fa 3yd 31p 3cf 3k1 3lx 2:3k3 3cy 3eo 3dg 31h 3li 316h 2:36h 3jd 2:14.0.o 316x 3ma 3v7 3hy 3j0 317k 3tt 31t 3qz 35d 2:33p 3vr 31u 32jb 3pw 32p 34p 3gu 3fh 3fa 3yd 31p 3cf 3k1 3lx 2:3k3 3cy 3eo 3dg 31h 3li 316h 2:36h 3jd 4:0bz.0.o 2nq 25w 214q 27u 28u 25a 2110 2bq 2tt 21t 2d9 25d 27q 2663 27ob 23p 26c9 21u 27p 22p 24p 2gu 24l 24q 27q9 21p 249 2k1 24b 2k2 256 280 21k1 24y 29t 21h 2ao 2m5 27vp 2a6j 27vq 26h 22k7 2c6 2jo 2bw 29at 2978 28x 28g9 2bs d:011.o.3.3rx 33ry 33rz 33s0 33s1 33s2 33s3 33s4 33s5 33s6 33s7 33s8 33s9 33sa 33sb 33sc 33sd 33se 33sf 33sg 33sh 33si 33sj 33sk 33sl 33sm 33sn 33a9 33so 33sp 33sq 33sr 33ss 33st 33su 33sv 33sw 33sx 33sy 33sz 33t0 33t1 33t2 33t3 33t4 33t5 33t6 33t7 33t8 33t9 33ta 33tb 33tc 33td 33te 33tf 33tg 33th 33ti 33tj 33tk 33tl 33tm 33tn 33to 33tp 33tq 33tr 33ts 33tt 33tu 33bh 33tv 33tw 33cg 33tx 33ty 33tz 33u0 33ct 33u1 33u2 33u3 33u4 33u5 3245 3246 3247 3248 3249 324a 324b 324c 324d 33hx 33hy 324e 324f 324g 33i0 33i1 33i2 324h 324i 324j 324k 324l 324m 324n 324o 324p 324q 324r 324s 324t 324u 324v 324w 324x 324y 33i4 324z 3250 3251 3252 3253 3254 3255 3256 3257 3258 3259 325a 325b 325c 325d 325e 325f 325g 325h 325i 325j 325k 325l 325m 325n 325o 325p 325q 325r 325s 325t 325u 325v 325w 325x 325y 325z 3260 3261 33jb 33jd 33jf 33jh 33jj 33jl 33jn 33jp 33jr 33jt 33jv 33jy 33k0 33k2 33k4 33k6 33k8 33ka 33kc 3262 3263 3264 3265 3266 3267 3268 3269 326a 326b 326c 326d 326e 326f 326g 326h 326i 326j 326k 326l 326m 326n 326o 326p 33ms 33mt 33mu 33mv 33mw 33mx 33my 33mz 33n0 33n1 33n2 33n3 33n4 33n5 33n6 33n7 33n8 33n9 33na 33nb 33nc 33nd 33ne 33nf 33ng 33nh 33ni 33nj 33nk 33nl 33nm 33nn 33no 33np 33nq 33nr 33ns 33nt 33nu 33nv 33nw 33nx 33ny 33nz 33o0 33o1 33o2 33o3 33o4 33o5 33o6 33o7 33o8 33o9 33oa 33ob 33oc 33od 33oe 33of 33og 33oh 33oi 33oj 33ok 33ol 33om 33on 33oo 33op 33oq 33or 33os 33ot 33ou 33ov 33ow 33ox 33oy 33oz 33p0 33p1 33p2 33p3 33p4 33p5 33p6 33p7 33p8 33p9 33pa 33pb 33pc 33pd 33pe 33pf 33pg 33ph 33pi 33pj 33pk 33pl 33pm 33pn 33po 33pp 33pq 33pr a:33ps.o 33pt.21 33pu.5y 33pv.1t 33pw.8o 33px.61 33py.7y 33pz.5q 33q0.3g 33q1.6y5 33q2.6y6 33q3.6y7 33q4.6y8 33q5.7f 33q6.75 33q7.6h 33q8.8p 33q9.3u8 33qa.47k 33qb.5df 33qc.5v0 33qd.pw b:33qe 33qf 33qg 33qh 33qi 33qj 33qk 33ql p:01o.0.4.7.69 2hg.k6.fs 32j.k6.fs 24.fl 37.21 321.5.2i 2:3ts.g6 55.dt.2i 6jq 31dv.g6 35y.5.ae 52i 6s.ae 373.1t 3bv.73.4m.1t 31pr.g6 31wz.f9 37.5m 35m.5.2i 37.5m.5.2i 361.5.2a 37.61 318i.5.2i 3ka.7y.5.2a.s.2i 32n5.g6 32nf.g6 33g.5.s0 37.3g.5.s0 33g.5.dt.2i.s.s0 31gr 45.dt.2i 34t.6h 55.s0 31p.5.2a 37.db 3bv.8p 3aj 34t.30.5.54.kt 8s.dt.2i 330.5.ae 5xg 37.30 333q.g6.5.jq 31l5.g6 55.dt.2i 31kr.g6 35n.5.dt.2i 35t.5.u.2i 2:37.6h 2f8.8n.5.2a 273.f8.8n.5.2a 21mz.s4 21ou.s4 22m7.s4 227h.s4 2dt.s4.5.dt.2i 24.32.5.jq 1y:0bf.6.o 21t 21u 21p 21h 27p 3:2sf 2:22p 2kd 2j5 2hn 2jw 24p 2cd 29y 2ku 2i6 24l 2fh 2gj 2k0 2dy 24q 2fa 2fb 2ea 2fz 249 2cf 2bx 2lw 2q9 24b 2lx 2nb 2ia 2jj 256 2k3 2jk 2if 2k5 24y 2eo 2le 220 2iv 28h 2ik 2k7 2jc 2:2m5 216h 4:2c6 3:2rw 0gb.g5.0.m7 3mb 3n4 3tp 3dx 3dv 3ph 3o0 3t3 3om 3n6 3o5 3lb 3ap 3ne 3qp 3cf 3nd 3yn 3qb 3fq 3mt 2:2dd.3 210.1g 31q 31w 37e 3cg 31g.40 457 37e.57 0g0.0.m7 2mb 2n4 2tp 2dx 2dv 2ph 2o0 2t3 2om 2n6 2o5 2lb 21n.ap 2ap 2ne 2qp 2cf 2nd 2yn 2qb 2fq 2mt 1fo.1px 1f3.1px 110.1g 21q 21w 22d 22k 27e 2cg 0e9.0.1n.m7 2m7 21n.mb 2mb 2n4 2tp 21n.dx 2dx 2dv 2ph 2o0 2t3 21n.om 2om 21n.n6 2n6 21n.o5 2o5 21n.lb 2lb 21n.ap 2ap 2ne 2qp 2cf 2nd 2yn 2qb 21n.fq 2fq 2mt 9:110.1g 21q 21w 22d 1594.10.2d 110.2k 27e 2cg 21g.40 1d:0i3.0.m7 2mb 2n4 25cy 2dx 2dv 2398 2o0 2t3 2om 2n6 2o5 2lb 2ap 2ne 228e 2cf 2nd 2yn 2:2fq 2mt 6:110.1g 22k 27e 2cg 21g.40 0h0.0.3w5 212j 262u 25et 2dx 2214 2acq 22i3 211v 2v0 2c1 26zz 2lb 2ap 292n 2d0 2cf 22xg 21wv 28ph 2fq 2m3 110.1g 27e 2cg 21g.40 21q 21w 4:1il.ib 0hp.0.o 221 25m 25y 21t 25t 21u 26h 25q 23g 255 24j 21p 230 21ke 25n 21h 28o 2aj 232 220m 2eq 2b3 21t2 219u 26x 6:1k6.1e 1t:04o.fx.0.o 31t 31u 31p 34v 38h 35w 346f 349 34l 34q 32qh 3fa 32qv 34b 32w0 34p 38x 3vr 356 32xf 3k3 32p 3k1 34y 333f 3eo 333s 320 35a 2d.a0c 3a0d 16q.0.o 31t 31u 31p 34v 38h 35w 349 34l 34q 3fa 34b 34p 38x 3vr 356 3e4.56 3k3 32p 3k1 34y 3eo 320 35a 5:260.pr.uw 31g.2j 2y2.8ow 36m0 210.1g 31q 31w 32d 32k 33e 33l 33d 33o 37e 3cg 3go 3hj 3f7 3mq 3fj 3:31g.40 31q.40 31w.40 32d.40 32k.40 33e.40 33l.40 33d.40 33o.40 31g.57 31q.57 31w.57 32d.57 32k.57 33e.57 33l.57 33d.57 33o.57 37e.57 3cg.57 3go.57 3hj.57 3f7.57 3mq.57 3fj.57 3nv.57 3ek.57 31g.40.57 31q.40.57 31w.40.57 32d.40.57 32k.40.57 33e.40.57 33l.40.57 33d.40.57 33o.40.57 260.1g.qi 31q.uw 31w.uw 32d.uw 32k.uw 33e.uw 33l.uw 33d.uw 33o.uw 37e.uw 09j.0.o 1j.3.1u 31h 33h.30 2:31t 31p 6:2lu.1e 13.1m.4s.1v 2av 2e1 10.2p 28x 25d 2bw 2:27u 28u 27p 2:294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 2c6 23p 21s7 29py 235r 2a09 3:13.3j.1a 24eb 21x.1v 5:1dh 1h.1g 21q 21w 22d 110.7e 2cg 21g.40 357 160.1g.2j 8:159.1x 24.2y 22y 212z.3j 27ap 21gy 2ex 21m.ex 21sv 8:019.6r.a1.0.dx 4o5 4o0 4lb 4yn 4dv 4fq 4qb 4mb 4mt 41xl 4n6 4ap 46t1 4nd 4ne 4qz 43m 428e 45fe 4n4 4tp 4651 4t3 4398 45fh 4om 49jy 49k4 310.1g 4f7 358.fn 15g.a1.0.cc 48l 451 42s 4f1 4dv 45tt 4em 4d2 4bu 45ts 4c1 49n 49i 4fi 45tu 4eg 43m 4d0 4fu 463m 4km 4i2 4dz 4np 4z4 42v 4ja 4pg 310.1g 47e 4cg x:0c3.0.m7 2mb 229b 2n4 265c 2tp 2dx 2dv 13.h5 10.ph 2adf 26nu 26o5 2o0 2t3 2om 2n6 2a6c 22kw 2o5 25fi 29ju 2lb 2ap 2ne 2qp 23rv 2cf 2qz 2nd 2yn 2a6w 28i7 2qb 2fq 29a9 2mt 1ki.1e.1a 31v 5:110.1g 22k 27e 2cg 21g.40 159.ak 21px 21m.1x.123.1x 21x.123.1x 3 21q.41 27z.ty a:0be.0.o 269 21ci 23rq 2eq 226r 2fl 2271 21t 2ct 21p 2bs 21u 278 21h 288 2kd 216h 2381 2a74 2u3 21qg 2kb 2v7 2pw 2eo 2dg 2j0 217k 21bq 2cf 2qz 2ma 21cy 22r4 27p4 27p3 2fa 21v1 27rx 2fh 26dc 2abd 2no 2li 2lx 2cd 2k3 2jd 2cy 2m6 295t 29a8 2dx 4:1ki.1e 01bl.1q.41.4d.1g.1x.59 04.1q.41.4d.1g.1x.59 03n.1q.41.4d.1g.1x.59 11g.1x.4d.1q.41.59 11q.1xb.4d.1g.4s.59 11g.4s.4d.1q.1xb.59 0b4.gm.0.m7 3mb 3n4 3tp 3dx 3dv 3ph 3o0 3t3 3om 3n6 3o5 3lb 3ap 3ne 3qp 3cf 3nd 3yn 3qb 3fq 3mt 3:210.1g 31q 31w 32d 37e 3cg 31g.40 457 1bb.0.m7 3mb 3n4 3tp 3dx 337f 3ph 3o0 3t3 3om 3n6 3o5 32pa 3ap 3ne 3cf 3nd 3fq 3mt 6:210.1g 31q 31w 32d 37e 3cg 31g.40 457 0h1.bb.0.m7 3mb 3n4 3tp 3dx 337f 3ph 3o0 3om 3n6 3o5 32pa 3ap 3ne 3cf 3nd 3fq 3mt 8:2dd.1e 24t.dd.1e 22d.41.5.bo 51x d:210.1g 31q 31w 32d 37e 3cg 31g.40 29:019.8q.0.ds.o 3gf.o 4fl 3ds.1u 3gf.1u 41t 3ds.1p 4db 3gf.db 3ds.je 3gf.je 3ds.26z 3gf.26z 3ds.1ce 3gf.1ce 3ds.272 3gf.272 3ds.ww 3gf.ww 3ds.3ut 417x 3gf.17x 3ds.qo 3gf.qo 3ds.276 3gf.276 3ds.273 3gf.273 3ds.2st 3gf.2st 3ds.lk 3gf.lk 3ds.3uv 45sw 4kp 4eq 4127 3gf.127 3ds.1ef 3gf.1ef 3ds.1ed 3gf.1ed 3ds.13e 3gf.13e 4pi 3ds.qx 3gf.3uw 3ds.1eg 41i5 41r6 413a 3gf.13a 3ds.16t 3gf.16t 3ds.1rh 3gf.1rh 3ds.1va 3gf.1va 3ds.1me 3gf.1me 3ds.3ux 4nq 43uz 4b7 3gf.b7 3ds.l7 3gf.l7 3ds.d1 3gf.d1 3ds.275 3gf.275 3ds.1i6 447d 1k:15e.7.0.o 469 41pd 427i 413a 41ed 42eg 42eh 4s 41t 41nq.1t 4ct 4qw 41e8 42ej 4s8 41u 478 42er 413c 412a 436l 4im 42et 4kp 4b3 413e 41p 4bs 41hs.db 41jk.db 42ss 41eg 42ev 4n3 48k.n3 4ny 42f9 4ps 41ef 42fb 413b 41h 488 41hs.jb 41jk.jb 41pi 417x 42fg 42ez.3 41lg e:24.0.o 469 41pd 427i 413a 41ed 42eg 42eh 4s 41t 41nq.1t 4ct 4qw 41e8 42ej 4s8 41u 478 42er 413c 412a 436l 4im 42et 4kp 4b3 413e 41p 4bs 41hs.db 41jk.db 42ss 41eg 42ev 4n3 48k.n3 4ny 42f9 4ps 41ef 42fb 413b 41h 488 41hs.jb 41jk.jb 41pi 417x 42fg 42ez.3 41lg 8:210.1g 32k 37e 3f7 31g.40 457 0c7.c4.0.o 35w 349 34y 3bg 37p 37u 33p 38x 3d9 35a 3bh 34b 3k2 3c6 356 380 32p 35d 34p 34l 34q 38h 32l1.8h 34v 32l1.4v 37q 394 3ao 2j.o 31u 31h 31t 31p 21e.8tk 34q.6t5 23.69r 39hn 39hx 39ib 9:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 7:09c.h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1j.3.o 31u 31p 3ct 2lu.1e 1wk 17.0.o 37u 34l 32p 35w 37p 356 38h 34p 35d 35a 3m5 34v 34y 34b 394 3d9 34q 349 33p 319.2p 44q 4:1j.3.1t 16j.10d.1e 112.1x.1a 21m.1x.1a 16j.1hj.1e 1pt 11x3.1e 14.0.o 37u 34l 32p 35w 37p 356 38h 34p 35d 35a 3m5 34v 34y 34b 394 3d9 34q 349 33p 319.2p 44q 9:133.3 1i7.3 5t:0gc.h.1g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 2cg 2go 2hj 2f7 2mq 2fj 2nv 2ek 21g.40 21q.40 21w.40 22d.40 22k.40 23e.40 23l.40 23d.40 23o.40 160.1g.2j 39a 3mu 21q.us 2:0cr.0.5su 2ma 2cf 21vv 2dg 2k3 2n0 24gp 24gj 2vr 2m5 2km 21ly 24b 2wb 2c6 27p 21k4 2fq 2fi 2fu 24y 2jd 22ff 2a6k 2d9 2ao 3dp.k 2f1 2c1 26sw 2u2 28l 21ha 2ap 2wq 2dv 21a5 21pj 26a2 21c9 2ps 2:112.7x.1e 2r9.1e 12iy.1e 3:10.8l.5.1x.1a 21c9.5.7o.1a h:09.0.km.5.1q.41.t8.1v 2dz.5.1q.41.t8.1v 2c1.5.1q.41.t8.1v 1k:112.3m.j6 14.3u.il.2xj 48hu 4r9 019.79.0.m7 31n.m7 3mb 31n.mb 3n4 3dx 31n.dx 3dv 3ph 3o0 3om 3n6 3o5 3lb 3ap 31n.ap 55.2h.ae 3ne 3qp 3dp.qp 3cf 3nd 31n.nd 55.2h.ae 38na 3fq 3mt 31n.mt 55.2h.ae 210.1g 31q 31w 32d 32k 37e 3cg 3go 31g.40 260.1g.2j 213.40q 9:079.0.m7 2mb 2n4 2dx 2dv 2ph 2o0 2om 2n6 2o5 2lb 2ap 2ne 2qp 2cf 2nd 28n9 2fq 2mt 25y0 22mi 1j4.fq 112.1x.1v 21q.41.1v 21x.1a 21q.41.1a 2ec.1a 31v 22i.1a 31v 254.2i.1v 2qb.1v 22a.1v 110.1g 27e 2cg 21g.40 159.1q.2h.16w 55.41 22y.5.1x 21q.md.5.41 22j.2y.5.1x n:019.ij.0.m7 3mb 365s 3dv 3ph 31n.o0 3om 3n6 3o5 3lb 3ap 3ne 3cf 3nd 3qb 3fq 3mt 32mi 212.1x.1a 41v 31q.41.1a 51v 259.3j 31q.16w 441 32d.41 13:0h9.0.m7 24.m7 2mb 2n4 2tp 2dx 2dv 259f.dv 2ph 2o0 2om 2n6 2o5 2lb 2ap 2ne 2qp 2cf 2qb 2fq 2mt 110.1g 21q 21w 22d 27e 2cg 21g.40 l:0jh.0.m7 2mb 2n4 2tp 2dx 2dv 2ph 2o0 2t3 2om 2n6 2o5 2lb 2ap 2ne 2qp 2cf 2nd 2yn 2qb 2fq 2mt 113.ad1 a:053.3.f6 2av 2e1 214a 2168 10.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 2gu 219.48.10q 4k2 419v 1j.3.69 3493.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 36z 31p 37t 1dh 1ex 11m.ex 159.1x 21m.1x 27z 212z.3j 21gy 5:110.1g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2cg 2go 2hj 2f7 2mq 2fj 2nv 2ek 21g.40 357 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 13.19.48.dh 10.19.48.8k.1t 51p 1j.3.19.48.8k.1t 61p 10.19.48.gu a:110.10l 09h.3.f6 2av 2e1 10.o 269 21u 278 21h 288 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 22cr 2d8 2wb 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 1j.3.69 31u 378 31h 388 31t 36z 31p 37t 13.dh 2i8 1ki.3 15tf.3 110.3 1dd.1e 11m.dd.1e 1ex 11m.ex 1j.3.3h.30 b:110.3.1a 3:0fd.fc.0.2xi 3dz 346r 34dd 35cr 32gg 32os 37nb 36yp 31hi 3eu 3895 31lr 38lj 351 32kc 36nn 37vs 3on 35s7 31fo 320u 319z 3s8 32op 8:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 7:092.3.f6 2av 2e1 10.69 21u 21h 21t 21fz 22kr 2187 22h2 21hn 21nc 22b5 22js 26o3 22sj 235m 220n 22cq 22ct 27rw 211l 21bi 22c8 25fc 214v 21i8 22ub 21cr 2491 21t3 2abc 216i 21aq 2196 21c1 21jm 2sd 1j.3.o 31u 378 31h 388 31t 36z 31p 37t 31a0 11p.1e 17t.1e 1dh 179s 2:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1dd.1e 1ex 11m.ex 1h2.1e 10.2mm 1j.3.69 3tt 10.36u 9:0ee.0.o 21u 21h 21t 21p 22p 28x 25d 2bw 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24b 24p 2ao 256 23p 2k2 13.i8 1ki.3 1dd.1e 113.30b a:06f.3.f6 2av 2e1 10.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2gu 2ao 280 2du 256 23p 1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 36z 31p 37t 13.dh 2m9 214a 2168 1oa 1ex 11m.ex 1ki.3 1ib 1wd.1e 13.i8 1j.1o.1e 15uu.8k.j.1e 19e1.1e 1j.3.1wj.1t 13.8w.f6 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 15si 13.64 11fd 157y.3 1dd.19c 219d 2:05c.e4.h.1g 31q 31w 32d 32k 33e 33l 33d 33o 210.7e 3cg 3go 3hj 3f7 3mq 3fj 3nv 3ek 31g.40 457 c:09x.0.o 269 21u 21h 21t 26z 21p 27t 22p 28x 25d 213r 2bw 27q 27u 28u 27p 218t 2:294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 21dq 2bq 24q 249 2aq 25w 2zn 2ch 24l 24v 24b 24p 2ao 256 23p 2gu 1j.3.69 31u 378 31h 31t 36z 31p 37t 13.av 2dh 2i8 2p8 1ex 11m.ex 1il.ib 1dd.1e 11m.dd.1e 1ki.3 13.wk 10.k1 28k.1u 1j.3.3h.30 1r:0ej.0.o 21u 21h 21t 22p 28x 25d 2:2bw 2:27u 28u 27p 218t 2:294 2bg 2cz 2bh 21dq 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2:2ch 24l 24v 24b 24p 2ao 256 23p 2k2 2wb 1dd.1e 7:09d.0.o 269 21u 278 21h 288 21t 26z 21p 27t 22p 28x 25d 213r 2bw 27q 27u 28u 27p 218t 2e8 294 2bg 2cz 2bh 21dq 2k2 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2zn 2ch 24l 24v 24b 24p 2ao 280 256 23p 13.av 1j.3.69 31u 378 31h 388 31t 36z 31p 37t 13.i8 2dh 6:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:077.3.12.av.1a 2f6 2av 2e1 2:10.o 269 21u 278 21h 288 23h.30 33g 3:2ct 26z 3:2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 2:249 2aq 25w 2ch 24l 24v 24b 2:24p 2gu 2:2ao 280 2du 256 23p 2:012.pl.1v 077.3.i8 2m9 1j.3.69 31u 378 31h 388 33h.30 4do 3:3ct 36z 3:3bs 37t 13.dh 3:1oa 7:17t.lu.1e 6:13.1w5 10.c9.av 31m.av 23h.do 3ei 1j.3.3h.3g 4ei 3:012.77.h.5o 31g 31q 31w 32d 32k 33e 4:20.o 32p 34q 3ws 349 c:081.0.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 2:2ct 3:26z 2:2bs 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 2gu 2k2 210q 2:13.m9 1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 2:3ct 3:36z 2:3bs 37t 17t.lu.1e 13.my.3xn 2:2av 2e1 2dh 2hc.dh 12bm 11x5 110d.1e 13.1w5 1ex 11m.ex 2:13.oa.1wo 230c.1wo 9:1c9.3w.t1 312c u:067.0.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 27t 22p 28x 25d 2bw 27q 22rb 27u 28u 27p 2e8 294 22sl 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 214z 249 2aq 25w 2ch 24l 22pi 24v 24b 2wb 24p 2xy 28h 280 2du 256 23p 1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 36z 31p 37t 13.dh 2f6 2av 2e1 2i8 2m9 21n.av 1oa 196a 1ex 11m.ex 1ag 113q.ty 1ki.3 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 11m.ag 11w4.1e 2:11rd.3 1wd.1e 10.c9.av 13.14a 2168 v:07n.1ma 10.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 38k.1t 36z 31p 38k.1p 37t 13.f6 2av 2e1 2dh 2i8 2m9 167w 1ki.3 1oa 9:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 4n:064.0.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 1j.3.69 31u 378 31h 388 33h.30 4do 3:31t 36z 31p 37t 13.f6 2av 2e1 2dh 2i8 264 1ex 11m.ex 1ib.1x 23j 11at.19c 219d 22ox 1e7.2f.wm.1e 1dd.1e.5.1bp.s.1bv.87u 6dq.x5 4qa.s.dq.x5 71m.x5 7a9.x5 31m.4s 55.qa 35.1m.x5 4a9.x5 4sr.x5 492u.x5 4md.s.qa 61q.2ex 62d.2ex 10.9kk.dp.1u 220t.dp.1u 478 2dp.1h 1j.3.dp.1h 488 z:084.0.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 2gu 1j.3.69 31u 378 31h 388 33h.30 4do 43g 4ei 31t 36z 31p 37t 13.av 2e1 2dh 23yh 1ex 11m.ex 1ki.3 13.6hc c:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:03a.oo.5.a0 1a4.oo 11m.oo.5.a0 1a9.oo.5.a0 1oo.5.1m.a0 1a4.oo.5.a0 41m.a0 18w.oo 35.1m.a0 11bd.oo 35.a0 41m.a0 14t.1bd.oo.5.1m.a0 k:09p.0.o 269 21u 278 21h 288 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 256 23p 2k2 13.av 2e1 1j.3.69 31u 378 31h 388 31t 36z 31p 37t 13.dh 2i8 10.e4.8x 1ki.3 7:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:02b.sp.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 1ou.j8.hb.h.5o 51g 51q 51w 52d 52k 53e 53l 53d 53o t:09u.0.2p 28x 27q 24q 24y 2dp.4y 249 2aq 25w 24l 27p 28u 29t 24b 24p 256 294 23p 2o 25a 2bq 25d 2dp.5d 2bw 2ch 2e8 2dp.5w 3:16j.3.5r.4p 44b 4720.4b 1j.3.o 369 31u 378 31h 388 31t 31cq 31p 36z 3tf 13.2l0 5:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 2cg 13.4.dd 2dd 28qm 1d.ws 10.7u 2bg 2cz 2bh 2d8 2co 2gu 56:0al.0.o 269 21u 278 21h 288 21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 2k2 1j.3.69 31u 378 31h 388 33h.30 4do 31t 36z 31p 37t 13.av 2e1 2dh 2i8 1ki.3 2t:07g.7a.7.0.1hn 4o 4k7 4e3 44v 4g4 478 488 41t 41p 4pi 45d 4hn 413e 438t 41bw 417t 4112 41bq 41uy 45a 4d1 4tf 4hx 4q9 42if 42il 42io 413x 4321 41b6 4374 24.0.1hn 4o 4k7 4e3 44v 4g4 478 488 41t 41p 4pi 45d 4hn 413e 438t 41bw 417t 4112 41bq 41uy 45a 4d1 4tf 4hx 4q9 42if 42il 42io 413x 4321 41b6 4374 2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 210.7e 3cg 3go 3hj 3f7 3mq 3fj 3nv 3ek d:2oa 08v.8s.0.o 369 31u 378 31h 388 31t 3:31p 3:32p 38x 35d 3bw 37q 37u 38u 37p 2:394 3bg 2:3bh 3d8 3co 34y 39t 35a 3bq 34q 349 3aq 35w 3ch 34l 34v 31lx 34b 34p 3ao 380 3du 356 33p 3gu 3c6 2j.3.69 41u 478 41h 488 41t 2:46z 41p 3:23.av 3f6 31qr 2dh 2ui.19n.3 25r.4v 22r.4b 25r.4b 23.i8 21m.ex 213q.ty 2e7.2f.wm.1e a:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 1z:09z.0.o 269 21u 278 21h 288 23h.30 3do 3:21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 2gu 2k2 1j.3.69 31u 378 31h 388 33h.30 4do 3:31t 36z 31p 37t 13.av 2e1 2dh 2m9 264 11fd 1j.3.1wj.1t s:091.1d.0.o 2j.3.1u 4jb 41h 41t 4db 41p 46z 47t 473.1u 3lu.1e 20.2p 38x 35d 3bw 37q 37u 38u 37p 394 3bg 3cz 3bh 3d8 3co 34y 39t 35a 3bq 34q 349 3aq 35w 3ch 34l 3gp 3oj 3pp 317r 3jo 3c6 3126 34v 34b 34p 3ao 380 3du 356 33p 3195 21n.6j.1e 23.dh 3f6 45.a0 3my.5.a0 3av 3e1 217c.0.4b 21dg.0.4v 44b 44p 4ao 22r.eh.1e 212u.eh.1e 21e.t5 3nf 31m.nf 354.t5 22r.2dt.eh.1e 212u.2dt.eh.1e 232b 9:07l.0.o 1j.3.1u 3jb 31h 31t 31p 3db 36z 37t 33h.30 43g 2lu.1e 10.2p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 2gp 2oj 2pp 2jo 2c6 2126 24v 24b 24p 2ao 280 2du 256 23p 2195 13.14a 2168 117c.0.4b 34p 380 356 11n.6j.3.5m 45q 4kw 45y 44j 421 455 430 43g 411c 432 4126 13.av 2e1 110d.1e 132b 11e.t5 2nf 21m.nf 21w5 1eh.1e.5.gk.s.nj.s.a9.2fq 82fq 7 115z.19c 219d e:0m.n.rc.er 32ia 3hm 318k 33p 3sd 330b 330c 3958 3959 3955 3956 298y 2994 299b 298s 0b5.b2.ax.0.49 42p 44p 44l 45a 4c6 4ao 47q 43p 45d 48x 456 45w 47u 44y 49t 44q 4aq 44b 4d9 48u 4o 41t 41u 41p 41h 4167 41fm 41n.76 55q 55n 555 54j 53g 57f 5kw 56h 3oc.3w.54 5 3wd.f8.8n 3oc.3w.54.1n 51n 3wd.f8.8n.1n 43w.54 5 554.1n 51n 31tm.3w 3f8.8n.g2 31tm.3w.54.1n 51n 31gz.3w.54 5 3f8.8n 31gz.3w.54.1n 51n 3f8.8n.1n 8:03b.eh.1e 35.1fd 13.zp 35.2i 2j2.zp 45.2i 2rs.5yq.zp 32rm.zp 273.2rm.zp 27fi 53:0df.0.5f9 29ia 25sk 26lt 22wl 29vb 26tx 24l 23y0 21w2 265r 269g 24e0 21hi 2tk 26pu 2730 2884 295u 29y2 2uz 240g 23rn 25ht 29jx 21af 27nh 28x 295v 24g7 29jc 29k0 26ut 13.8h6 f:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:065.0.o 269 21u 278 21h 288 23h.30 3do 33g 2:21t 26z 21p 27t 22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 2ao 280 2du 256 23p 1j.3.69 31u 378 31h 388 33h.30 4do 43g 2:31t 36z 31p 37t 13.f6 2av 2e1 2dh 2m9 1ex 11m.ex 1il.ib 113q.5yc 25yd b:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 110.1g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2cg 2go 2hj 2f7 2mq 2fj 2nv 2ek 11r3.rp.1e 4:09m.eh.1e 11e.nf 10.2p 28x 25d 27q 27u 28u 27p 294 24y 29t 25a 24q 249 2aq 25w 24l 2gp 2oj 2pp 28h 2jo 2c6 2126 24v 24b 24p 280 256 23p 2o 3:17d.0.2p 38x 35d 37q 37u 38u 37p 394 34y 39t 35a 34q 349 3aq 35w 34l 3gp 3oj 3pp 38h 3jo 3c6 2:34v 34b 34p 380 356 33p 3o 1j.3.69 31u 31h 31t 31p 13.av 2f6 22:08j.3z.0.o 369 31u 378 31h 388 31t 2:36z 31p 2:37t 32p 38x 35d 3bw 37q 37u 38u 37p 3e8 394 3bg 3cz 3bh 3d8 3co 34y 39t 35a 3bq 34q 349 3aq 35w 3ch 34l 34v 34b 34p 3ao 380 3du 356 33p 3gu 3195 31ro 320e 2j.3.69 41u 478 41h 488 43h.30 4:41t 2:46z 41p 2:47t 23.av 3e1 3i8 3my 31qr 2dh 21x5 28lb 9:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 7:0a6.3z.0.o 369 31u 378 31h 388 2:3ct 36z 2:3bs 37t 34v 3ao 35w 3ch 34l 32p 38x 34y 39t 34p 35d 3bw 35a 3bq 34q 37u 38u 3bg 3cz 3gu 37p 3e8 3bh 3d8 37q 349 3aq 33p 34b 356 2j.3.69 41u 478 41h 488 2:4ct 46z 2:4bs 47t 23.av 3e1 2dh 2oa 8:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 8n:0ip.0.2p 25d 27q 249 25w 24l 24y 25a 24q 27u 27p 294 24v 24b 24p 2ao 256 2o 13wy 1j.3.1u 31h 31t 31p 18ap 1e7.2f.dd 8:06y.3.f6 2av 21x5 2e1 10.o 269 21u 278 21h 288 23h.30 3do 33g 3ei 21t 26z 21p 2:22p 28x 25d 2bw 27q 27u 28u 27p 2e8 294 2bg 2cz 2bh 2d8 2co 24y 29t 25a 2bq 24q 249 2aq 25w 2ch 24l 24v 24b 24p 28h 280 2du 256 23p 21ro 1j.3.69 3dp.69 31u 378 31h 388 33h.30 4:31t 36z 3tw 13.2l0 12bm 1ex 11m.ex 159.dd.ud 2dp.dd.ud 213n 2jm.ty 21x 21m.1x 2a9.1x 22y 22fm.2y 2qg 212u.qg 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 13.i8 2e:0ce.0.a9l g:048.60.1g.9kn 32t1 35sf 31yc 32g0 31zu 21w.2ep 3976 21g.35x 3974 3975 31zp 3ed 21w.35y 31k5 21g.1pt 39a 3699 369a 21w.ji 25p8.1pm.6tw 13.7my 24fj 23rw 29vm 27im 26ww 28aw 27hz 26qn 289o 21aj 29y1 288w 26x3 29yi 1a43.2bx.3 11p6.2bx.3 1700.3 1un.1vg.3 134x.1o9.3 210.3 11oe.3 1s.112.3 1992.3 134t.3 19w.2v3.3 19b5.ck.3 13.7ik 29xw e:159.e7.2f.wm 0b.3.o 3q.o 4l2 4jt.e0 43p 4fy 4o4.ba 4mk 4h3 21m4 2je 3q.tg 4zz.ba 4vo 4jt.e0 43p 4fy.ba 41fp 4a7 41y0 41h.33.1h.33.1h 3ba 2kz 3q.1ct 4jt.e0 4fh.33.b3 4rj 4nl 2ww 212a 3q.13h 41jx.33.ju 2lk 3q.lk 41ox 4ju 43p 418v 4j5 4cy 4rr 23vz 2m7 21ch 3q.cy 2eq 34d.eq 31w.q 333.y9.yf.eq.33.y9 534 21mb 23xv 227v 3q.la 23yo 23z8 2b7 339c.e0 32ka.e0 34d.b7.zc.4d.zc.zc.4d.zc.lv 54d.b7 7ft.b7.4d.b7.4d.b7 2tg 21mh 25w 2l2 246m 216u 216v 34d.16v 21ct 23j 2476 2l4 3q.o 4gs 4fy.ba 2hx 34d.hx.je 5wr 3ft.hx 21d3 34d.1d3 2tk 24bt 25a 2hi 3gt.q.o.33.10t 51ch 51ct 5l4 55d 633.10t 5j3 510f 5mh 53p 518p 633.i6 5u6 54p 5i6 633.2oy 5r8 5fa 5lv.33.lv 5jk 5nl 5ok.33.10f 5rr 25cz 22ci 22cj 25d5 2l5 22dc 2zw 3q.cy 21ox 21dy 3o2.1h.ba.jg 2jg 2l6 34d.l6 3ba 3nh 2137 3q.tv 25ph 2ff 25pk 25pl 21p8 2zz 3ba 4ba 25po 25pu 21t 3q.lv 34d.1t.ap.4d.ap 2qv 3q.o.33.3p.33.5a 4gs 4gj 4um 4cy 41h 25s4 25sc 2im 2b3 3q.jt 5e0 4fh 3ft.b3 3yf.b3 334 22f4 213h 2tv 2g8 3q.o 533.r7 7q.r7 4eq 4l2 4zz.ba 6ba 43p 5ba 4fy.ba 4o2 534 414j 44p 4r7.q.r7 49y 4i6 4ok 4h5 25d 3ba 28b 3q.o.33.5a.33.3p 63p 6fy 4kz.e0.33.uq 4eq 4b7 4tg.33.vo 4l2 43j.33.4b 4tk 533.4b 45a 4l5 4zw.q.cy 4137 4im 533.4p 4b3 5q.jt.e0 4jt.e0 4gs 4j3 410e 533.o 410f.33.k5 43p.33.i6.33.tv 413w 533.4p 4er.33.9y 4xq 4fy.ba 41ri.33.oz.33.b7 4u6 4o2 41g5 533.r7 414j.33.eq 44p 4fh.33.b3 4gj 4ap 54d.ap 449 4um 415j 4cy 533.166 415n 415u 4nl 41h 4h5 533.l6 34d.8b 21f0 3ft.1f0 2u1 34d.u1.gs.4d.gs 2vo 3u1.4d.u1.gs.4d.gs 262r 262s 210c 2jt 3e0 34d.jt 3ft.jt 2gs 262y 2633 21qf 3q.la 2j3 3q.1t 41h 3ft.j3 210e 34d.10e 3ft.10e 265j 210f 3ba 213s 3q.o.33.fy 4jt.e0 4fy 4i6.33.fy 449 2660 2ju 3ft.ju 3q.l2 4nl 3e0 2mg 3ft.mg 210g 3q.u6 5q.fy.ba 4ap 4um.33.zc 3ba 2mh 3q.o.33.la 4la 34d.mh.10r 22hk 21qq 3q.cy 21f8 22hl 267r 267s 23p 3e0 3ba 213w 2er 3q.b7 4tg 4l2 4jg 4u1 41s5 4ap 4cy 41h 2oz 2xq 3q.eq 413w 4o2 41sw 4h5 26h2 21u 3o 21r5 218m 34d.18m.tk 534 22j9 2fy 32dc 3nb 34d.fy.15o.4d.15o.h5.4d.h5 3ba 22je 3q.jt.e0 26ll 2o1 3q.nl 3ft.o1 3yf.o1 334 21fp 29w 218p 21ri 22p 3q.o 4ww 533.14j 4tg 4l2 41ct 43j 4l4 413h 4tv 45d 4vo 4jt.e0 4gs 533.rj.33.o 4j3 410f 4ju.33.15j 5ft.ju 4mg 42hl 4fy 4o1 4u6 4j5 41g5 49y 4i6 4fh 533.l6 6j3 6eo 4gj 533.p4 4fa 4ap 4bx 4jj 456 415j 480 4cy 415n 4oh 430m 432g 411q 41h 4ok 4h5 41le.q.49 4rr 4td 21rr 3ft.1rr 22k9 22kb 218v 26qv 21rs 34d.1rs 2u6 3q.fy.ba 218w 3q.l2 3ft.18w 26r2 26r3 2o2 3a7.q.1h.4d.a7.q.1h 34d.o2.a7.q.1h.4d.a7.q.1h 22km 2j5 3q.l2 41h 4h5 21g5 21s5 26u6 26u7 2gt 34d.gt 2jw 34d.er.q.tg.jw.4d.er.q.tg 214j 22lm 3g2.k 26wd 21ge 3ba 22ln 2la 3yf.la 214k 26x9 24p 2a7 3q.o 533.5a.33.3p 6gs 6r7 4lk 4eq 4b7.39c.e0 4l2 4l4 42ci 4b3 45d 4gs 4mh 533.mh 43p 413w 4er.q.ap 4fy.ba 4o1 533.3p 6i6 4j5 41s5 414j 41ge 533.er.33.o 4a7 41sw 4i6 41t0 4fh 533.b3 4mk 4fa 4cy.33.15u 41jx.33.ju.33.13h 7e0 4wh 533.wh 415u 45k 4nl 4eo.33.o.33.k5.33.4q 41h 533.o 61h.33.1h 4ok.33.b7 4h5 4rr 334 2o4 3q.cy 533.15u 3ba 44d.o4.ba.cy 26yq 2r7 3q.r7 28l 3q.la 533.jj 29y 2723 272b 21sw 2i6 3q.l2 2f0 3q.lk 4l2 4tv 5e0 4jt.e0 4er.q.l2 4o1 42kb 418v 533.b7 4j5 44p.33.b7 4a7 4fh.33.b3 4fa 4fz 4jk.33.b7 430p.33.hx 4zc 3e0 3ft.f0 3yf.f0 334 3nh 214p 210r 34d.10r 3yf.10r 3nh 21sz 21t0 2r8 34d.r8 5gs.4d.gs 24l 3q.nl 3ba 279q 22os 22ow 210t 22oy 2fh 21tk 2gj 21hb 2dy 34d.dy 21he 3ba 27i6 27ig 2mk 3q.o 4la 4c6 34d.mk 5q.o.33.4q 3ft.mk 214t 3q.o 533.l5 4l5 3ba 24q 22qi 2y9 38w 3q.oh.e0 3yf.y9 27kl 22qm.2sc 3 22qn 2fa 3q.o 4h5 3nh 2fb 3q.1t 27ph 21uo 3q.jt.e0 4gs.33.jt.e0 2hr 3q.eq 4b7 533.b7 4mh 4fh.33.jt.e0 4fa 4ap 4cy 533.o.eq 6b7 733.b7 4ok.33.b7 4rr 27q4 2fz 22s7 2ap 3o4.q.gs 510t 5um 64d.ap.o4.q.um 5rr 3e0 34d.ap 3ft.ap 5o4.4d.o4 2p4 3kz.q.1mh 5l4 5ff 5mh 5fy.ba 518v 54p 5fa 530r 5ok 3gt.q.l4 61h 249 21a7 21vg 2lv 22u8 2bx 3q.o 4je 4l4 4hx 41t 41u 41r5 41h 4ok 3ft.bx 2159 3q.18w 4h5 4c6 3yf.159 24b 28lf 2nb 2jj 256 2h3.2sc 3 3q.o 4l6 4137 43p 4u6 4la 4r8 4gj 4ap 4um 415n 4uq 4ok 436d 4wq 4t7 4rr 34d.h3 3ba 2um 3a7.q.tg 28u3 215j 280 2rj 3q.o 4l2 4ju 4fa 4wh 4166 41h 533.o 22zw 293h 2rk 2cy 3oz 34d.cy.u1.4d.u1.gs.4d.gs 5uq.4d.uq.gs.4d.gs 293z 2940 21y0 2943 2944 215n 3q.o 4o1 2qf 3q.o 416v 41d3 41dy 4gs 4fy 5ba 414k 41t0 41he 4um 294d 215o 3e0 34d.15o.tk.4d.tk 21jx 2oh 34d.8w.oh 2wh 295c 2jk 3ba 230m 21k2 34d.1k2.wh 230p 230r 2k5 34d.k5 29df 29dg 232g 215u 29di 21km 29du 24y 3cs 3q.er 4gj 3ba 2uq 34d.uq.fb.4d.fb.jg.4d.jg 334 25k 3q.l4 4mh 4cy 4oh 4zc 4h5 2nl 211q 2eo 3ba 2le 3e0 2203 211x 3q.nl 34d.11x 5u1.4d.u1.gs.4d.gs 2iv 2zc 235t 21bs 2166 34d.166.c6.4d.c6 21h 3mh 31h.1h 34d.1h.49.4d.49.gs.4d.gs 51km.4d.1km 51h.73.4d.1h.73 2ok 236d 2h5 314k 3q.l2 4gj 41h.33.1h.33.1h 9ba 3ba 3nh 4q.l2 29tn 2wq 3q.a7 4fh.33.5a 4rj 41h 29u6 21le 3q.o2 449 2wr 3ba 2t7 3ft.t7 3nh 2rq 3q.o.33.3p 64q 4lk 43p 4ap 4ok 533.b7 6l4 29uw 29uy 29uz 2hv 3q.o 41mh 43j 41p8 45d 4vo 4jt.e0 4gs 4mg 43p 4fy 4o1 41ri 4j5 4r8 41hb 449 4cy 41k2 4iv 41h.33.mh 4h5 4169 2169 3q.1h 2rr 3q.o 4jw 4la 4nl 29v8 29v5 29v7 29vc 236t 3q.o2 29vn 2c6 3e0 334.q.la 2acp 2acs 2ad2 2td 34d.td 2ae4 239b 32ka.e0 2ae8 239d 2rx 2223 3q.o 2aeo 2aep 22kd.17s 2je.q.ap 2kz.q.o 21ch.q.6wk 2hi.gt.q.ok.33.10t 25cm 2jg.33.oh 2137.q.cy 2g8.q.mh 4cy 28b.q.eq.33.u6.33.o 4tg 263h 265p 26h9 22p.q.1mb 43zc 4ju 4mh 4er.q.tg 4r8 449 495g 4iv 4rq 2a7.q.j3 2f0.nh.q.l2 3q.tv.33.r7 4oh 22pd 214t.q.c6 27ki 21up 27px 2hr.q.16v 4j3 22s7.a4.ek.bp 22u8.cs 28dm 2h3.q.fy.ba 29lc 2wq.q.fh 21h.1h 2v:158.3.1q.b7 31w.b7 32d.b7 32k.b7 33e.b7 33l.b7 33d.b7 33o.b7 31w.jg 32d.jg 32k.jg 33e.jg 33l.jg 33d.jg 33o.jg 32d.1h 32k.1h 33e.1h 33l.1h 33d.1h 33o.1h 31g.vp 31q.vp 31w.vp 32d.vp 32k.vp 33e.vp 33l.vp 33d.vp 33o.vp 31g.189 31q.189 31w.189 32d.189 32k.189 31q.rk 31w.rk 5g2.k 32d.rk 32k.rk 33e.rk 33l.rk 33d.rk 33o.rk 31g.15l 31q.15l 31w.15l 5g2.k 32d.15l 32k.15l 3rk.q.vo.33.jg 71hb 31g.12q 31q.12q 31w.12q 5g2.k 32d.12q 32k.12q 31w.g2.k.5tw 65tx 32d.g2.k.1su 672c 61su.o 721 33e.g2.k.3zd 33l.g2.k.6ly 61fp.o 721 33d.g2.k.9v9 69va 33o.g2.k.2jf 66lm 66ln 62jf.o 31q.b7.e0 31w.b7.e0 32d.b7.e0 32k.b7.e0 33e.b7.e0 31g.zm 31q.zm 31w.zm 32d.zm 5g2.k 32k.zm 5g2.k 37ps 37pr 31g.2f8 31q.2f8 31g.mu.jg 31q.us.jg 32k.311.jg 31g.mu.g2.k.o 31q.us.g2.k.o 31g.ed.b7 49a.b7 319.1mi.1g.1yb 69a 31g.9a.1f8 42j.1f8 317s.1g.mu 41q.us 4hj 4f7 32d.1h.g2.k 32k.1h.g2.k 33e.1h.g2.k 33l.1h.g2.k 33d.1h.g2.k 33o.1h.g2.k 2:159.3.19.1mi.il.134 32h.fs 343.fs 4357 48is c:13.je.q.ap.e0 4wh 2ww.q.tv 2l2.q.jg.e0 216u.q.kz 4fb 4c6 2hx.4d.hx.q.2qi 25a.q.nl 2hi.q.la 2zw.q.fy 41h.1h.1h 21ox.q.h5 2ff.q.1mb 4b7 5d1.y 41dy 41p8 413h 45d 4j3 410f.ba 4ju 43p 4er 4fy.ba 4o2 4la 414k 533.o2 46yt 48l 5q.la 41sz.33.ju 410t 41tk 4gj 4fb 4bx 4cy 4jk.ba 2qv.q.la 4lv 213h.75 2tv.ft.tv 2g8.nh.q.b7 5er 5fy.ba 54p 5r7 5fh 51tk 5k5 3q.k5 28b.q.16u 4zw.ba 4ff.q.fy.ba 6o2 42f4 45d 4gs.33.l5 6fa 43p.33.o 414k.33.o2 48l 5q.la 41sz 4mk 4fa 533.qv 6j3 4qf 439d 21f0.a4.ek.bp 21qf.q.1h 2ju.q.ju.ft.ju 210g.q.fy.ba 2mh.33.ju.q.nl 23p.e0.ba 2er.q.b7.4d.er.q.b7 22p.q.hx 42p 41h.1h.1h 4t7 2a7.q.rx.4d.rx 26ys 26yu 26yv 26yw 22lx 26yx 26yy 22ly.4d.2ly.ba 26yz 22lz.4d.2lz 26z0 26z1 26z2 26z3 26z4 26z5 26z6 26z7 26z8 26z9 26za 26zb 26zc 26zd 26ze 26zf 26zg 26zh 214l 3q.mg 4fy 4lv.33.14p 6lv.33.14p 4ok.33.5w 26zi 26zj 26zk 26zl 26zm 26zn 26zo 26zp 26zq 26zr 2sk 3q.b7 4l2 4zz.ba.ba 414j 44p 411q 4eo 4ok 4h5 4169 26zs 2u7 3q.137 45d 4fy 5ba 4fb 4lv.33.lv.33.14p 41y0.33.j5 4h5 4169 26zu 26zv 2f0.ba.q.b7 3q.jg 413w 4lv 533.lv.33.14p 4nl 2gj.33.393 2mk.4d.mk.q.5d 6u6 2hr.q.zw.ba 4ju 42hk 4er 42km 42lx 410t 4lv.33.lv 41h 533.1h 4169 2h3.ba.q.3p 3q.b3 4cy.d1.y 4nl 22zw.e0 2cy.4d.cy 333.xq 42qn 415j 2wh.33.ff.q.fb 4qv.q.eq 2jk.q.nl 2nl.33.h3 21bs.q.jt.e0 41w.jg 2rq.8w 3q.h5 2hv.q.2cj 46zt 414p 2393 2rx.4d.rx.33.15j 2223.q.1w.jg.e0 219:05x.3.4iu 24iv 24iw 24ix 24iy 24iz 24j0 24j1 24j2 24j3 24j4 24j5 24j6 24j7 24j8 24j9 24ja 24jb 24jc 24jd 24je 24jf 24jg 24jh 24ji 24jj 24jk 24jl 24jm 24jn 24jo 24jp 24jq 24jr 24js 24jt 24ju 24jv 24jw 24jx 24jy 24jz 24k0 24k1 24k2 24k3 24k4 24k5 24k6 24k7 24k8 24k9 24ka 24kb 24kc 24kd 24ke 24kf 24kg 24kh 24ki 24kj 24kk 24kl 24km 24kn 24ko 24kp 24kq 24kr 24ks 24kt 24ku 24kv 24kw 24kx 24ky 24kz 24l0 24l1 24l2 24l3 24l4 24l5 24l6 24l7 24l8 24l9 24la 24lb 24lc 24ld 24le 24lf 24lg 24lh 24li 24lj 24lk e:02.1.226 2227 2228 2229 222a 23a2 222b 23a3 23a4 222c 222d 222e 222f 222g 222h 222i 222j 23a6 222k 222l 222m 23a7 222n 222o 222p 222q 222r 222s 222t 222u 222v 222w 222x 222y 222z 2230 2231 23aa 2232 2233 2234 2235 2236 2237 2238 2239 23ac 223a 223b 23ae 223c 23af 223d 223e 223f 223g 223h 223i 223j 223k 223l 223m 223n 223o 223p 223q 223r 223s 223t 223u 223v 223w 223x 223y 223z 2240 2241 2242 2243 2244 228g 228h 228i 228j 228k 240s 228l 228m 228n 228o 24cd 24ce 24cf 24cg 24ch 24ci 24cj 24ck 24cl 24cm 24cn 24co 24cp 24cq 24cr 24cs 24ct 24cu 24cv 24cw 24cx 24cy 24cz 24d0 24d1 24d2 24d3 24d4 259x 259y 259z 25a0 25a1 25a2 25a3 25a4 25a5 25a6 25a7 25a8 25a9 25aa 25ab 25ac 25ad 25ae 25af 25ag 25ah 25ai 25aj 25ak 25al 25am 25an 25ao 25ap 25aq 25ar 25as 25at 25au 25av 25aw 25ax 25ay 25az 25b0 25b1 25b2 25b3 25b4 25b5 25b6 25b7 25b8 25b9 25ba 25bb 25bc 25bd 25be 25bf 25bg 25bh 25bi 25bj 25bk 25bl 25bm 25bn 25bo 25bp 25bq 25br 25bs 25bt 25bu 25bv 25bw 25bx 25by 25bz 25c0 25c1 25c2 25c3 25c4 25c5 25c6 25c7 25c8 25c9 25ca 25cb 25cc 25cd 25ce 25cf 25cg 25qo 25qp 25qq 25qr 25qs 25qt 25qu 25qv 25qw 25qx 25qy 25qz 25r0 25r1 25r2 25r3 25r4 25r5 25r6 25r7 25r8 25r9 25ra 25rb 25rc 25rd 25re 25rf 25rg 25rh 25ri 25rj 25rk 25rl 25rm 25rn 25ro 25rp 25rq 25rr 25rs 25rt 25ru 25rv 25v1 25v2 25v3 25v4 25v5 25v6 25v7 25v8 25v9 25va 25vb 25vc 25vd 25ve 25vf 25vg 25vh 25vi 25vj 25vk 25vl 25vm 25vn 25vo 25vp 25vq 25vr 25vs 25vt 25vu 25vv 25vw 25vx 25vy 25vz 25w0 25w1 25w2 25w3 25w4 25w5 25w6 25w7 25w8 25w9 25wa 25wb 25wc 25wd 25we 25wf 25wg 25wh 25wi 25wj 25wk 25wl 25wm 25wn 25wo 25wp 25wq 25wr 25ws 25wt 260t 260u 260v 260w 260x 260y 260z 2610 2611 2612 2613 2614 2615 2616 2617 2618 2619 261a 261b 261c 261d 261e 261f 261g 261h 261i 261j 261k 261l 261m 261n 261o 261p 261q 261r 261s 261t 261u 261v 261w 261x 261y 261z 2620 2621 2622 2623 2624 2625 2626 2627 2628 2629 262a 262b 262c 262d 262e 262f 262g 262h 262i 262j 262k 268b 268c 268d 268e 268f 268g 268h 268i 268j 26j1 26j2 26j3 26j4 26j5 26j6 26j7 26j8 26j9 26ja 26jb 26jc 26jd 26je 26jf 26jg 26jh 26ji 26jj 26q0 26q1 26q2 26q3 26q4 26q5 26q6 26q7 26xv 26xw 26xx 26xy 26xz 26y0 26y1 26y2 26y3 26y4 22ng 274o 274p 22nh 22ni 274q 22nj 22nk 22nl 22nm 22nn 22no 22np 274r 22nq 22nr 274s 274t 274u 274v 274w 274x 274y 274z 22ns 22nt 22nu 2750 22nv 2751 22nw 2752 22nx 22ny 22nz 22o0 22o1 2753 22o2 22o3 2754 22o4 22o5 22o6 22o7 2755 22o8 22o9 22oa 2756 22ob 22oc 2757 2758 22od 22oe 22of 22og 22oh 22oi 22oj 2759 22ok 22ol 22om 22on 27ix 27iy 27iz 27j0 27j1 27j2 27j3 27j4 27j5 27j6 27j7 27j8 27j9 27ja 27jb 27jc 27jd 27je 27jf 27jg 27jh 27ji 27jj 27jk 27jl 27jm 27jn 27jo 27jp 27jq 27jr 27js 27jt 27ju 27jv 27jw 27jx 27jy 27jz 27k0 27k1 27k2 27k3 27k4 27k5 27k6 27k7 27k8 27k9 27r8 27r9 27ra 27rb 27rc 27rd 27re 27rf 27rg 27rh 27ri 27rj 27rk 27rl 27rm 27rn 27ro 27rp 27rq 27rr 27rs 27rt 27ul 27um 27un 27uo 27up 27uq 27ur 27us 27ut 27uu 27uv 27uw 27ux 27uy 27uz 27v0 27v1 27v2 27v3 27v4 27v5 27v6 27v7 27v8 27v9 27va 27xr 27xs 27xt 27xu 27xv 27xw 27xx 27xy 27xz 27y0 27y1 27y2 27y3 27y4 27y5 27y6 27y7 27y8 27y9 27ya 27yb 27yc 27yd 27ye 27yf 27yg 27yh 27yi 27yj 27yk 27yl 27ym 27yn 27yo 27yp 27yq 27yr 27ys 27yt 27yu 27yv 27yw 27yx 27yy 27yz 27z0 27z1 27z2 27z3 27z4 27z5 27z6 27z7 27z8 27z9 27za 27zb 27zc 27zd 27ze 27zf 27zg 27zh 27zi 27zj 27zk 27zl 27zm 27zn 27zo 27zp 27zq 27zr 27zs 27zt 288g 288h 288i 288j 288k 288l 288m 288n 288o 288p 288q 288r 288s 28hf 28hg 28hh 28hi 28hj 28hk 28hl 28ka 28kb 28kc 28kd 28ke 28kf 28kg 28kh 28ki 28kj 28kk 28kl 28km 28kn 28ko 28kp 28kq 28kr 28ks 28kt 28ku 28kv 28kw 28kx 28ky 28kz 28l0 28l1 28l2 28l3 28l4 28l5 28l6 28l7 28rh 28ri 28rj 28rk 28rl 28rm 28rn 28ro 28rp 28rq 28rr 28rs 28rt 28ru 28rv 28rw 28rx 28ry 28rz 28s0 28s1 28s2 28s3 28s4 28s5 28s6 28s7 28s8 28s9 28sa 28sb 28sc 28sd 28se 28sf 28sg 28sh 28si 28sj 28sk 28sl 28sm 28sn 28so 28sp 28sq 28sr 28ss 28st 28su 28sv 28sw 28sx 28sy 29g1 29g2 29g3 29g4 29g5 29g6 29g7 29g8 29g9 29ga 29gb 29gc 29gd 29ge 29gf 29gg 29gh 29gi 29gj 29gk 29gl 29gm 29gn 29go 29gp 29gq 29gr 29gs 29gt 29gu 29gv 29gw 29gx 29gy 29gz 29h0 29h1 29h2 29h3 29h4 29h5 29h6 29h7 29h8 29s4 29s5 29s6 29s7 29s8 29s9 29sa 29sb 29sc 29sd 29se 29sf 29sg 29sh 29si 29sj 29sk 29sl 29sm 29sn 29so 29sp 29sq 29sr 29ss 29st 29su 29sv 29sw 29sx 29sy 29sz 29t0 29t1 29t2 29t3 29t4 29t5 29t6 29t7 29t8 29t9 29ta 29tb 29tc 29td 29te 29vo 29vp 29vq 29vr 29vs 29vt 29vu 29vv 29vw 29vx 29vy 29vz 29w0 29w1 29w2 29w3 29w4 29w5 29w6 29w7 29w8 29w9 29wa 29wb 29wc 29wd 29wf 29wg 29wh 29wi 29wj 29wk 29wl 29wm 29wn 29wo 29wp 29wq 29wr 29ws 29wt 29wu 29wv 29ww 29wx 29wy 29wz 29x0 29x1 29x2 29x3 29x4 29x5 29x6 29x7 29x8 29x9 29xa 29xb 29xc 29xd 29xe 29xf 29xg 29xh 29xi 29xj 29xk 29xl 29xm 29xn 29xo 29xp 29xq 29xr 29xs 29xt 2a20 2a21 2a22 2a23 2a24 2a25 2a26 2a27 2a28 2a29 2a2a 2a2b 2a2c 2a2d 2a2e 2a2f 2a2g 2a2h 2a2i 2a2j 2a2k 2a2l 2a2m 2a2n 2a2o 2a2p 2a2q 2a2r 2a2s 2a2t 2a2u 2a2v 2a5z 2a60 2a61 2a62 2a63 2a64 2a65 2a66 2a67 2a68 2a69 2a6a 2a7n 2a7o 2a7p 2a7q 2a7r 2a7s 2a7t 2a7u 2a7v 2abj 2abk 2abl 2abm 2abn 2abo 2abp 2abq 2abr 2abs 2abt 2abu 2abv 2abw 2abx 2aby 2abz 2ac0 2ac1 2ac2 2ac3 2ac4 2ac5 2ac6 2ac7 2ac8 2ac9 2aca 2acb 2acc 2acd 2ace 2acf 2acg 2ach 2aci 2acj 2ack 2acl 2acm 2acn 23qm 23qn 23qo 23qp 23qq 23qr 23qs 23qt 23qu 23qv 23qw 23qx 23qy 23qz 23r0 23r1 23r2 23r3 23r4 23r5 23r6 23r7 23r8 23r9 23ra 23rb 23rc 23rd 23re 23rf 23rg 23rh 23ri 23rj 29we 22h.10l 247.10l 210j.d1.8g.rm 49q.rm 48g.e7 49q.e7 2j6.27 2ti.ys 2e7.ys 210j.d1.27 48g 49q 2ti.102 2e7.102 2ti.37a.102 2e7.37a.102 21tr.1r1 2br.1cz 22j.1cz 21gx.3 22j.1gx.3 211n.1gx.3 2qj.1gx.3 21o.ns.d1.8g.rm 59q.rm 5rm 58g.e7 6 59q.rm.s.8g.e7 5rm.s.8g 59q.e7 58g.rm.s.9q.e7 59q 5rm.s.9q 5e7 58g.s.e7 59q.s.e7 4 b:2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 6:0x.1.226 2227 2228 2229 222a 222b 222c 222d 222e 222f 23a5 222g 222h 222i 222j 222k 222l 222m 222n 222o 222p 222q 222r 222s 222t 222u 222v 23a8 222w 222x 222y 222z 2230 2231 2232 2233 2234 2235 2236 2237 2238 23ab 2239 223a 23ad 223b 223c 223d 223e 223f 223g 23ag 23ah 223h 223i 223j 223k 223l 223m 223n 223o 223p 223q 223r 223s 223t 223u 223v 223w 223x 223y 223z 2240 23ai 23aj 23ak 2241 2242 2243 2244 23al 23am 23an 23ao 23ap 23aq 23ar 23as 23at 23au 23av 23aw 23ax 23ay 23az 23b0 23b1 23b2 23b3 23b4 23b5 23b6 23b7 23b8 23b9 23ba 23bb 23bc 23bd 23be 23bf 23bg 23bi 23bj 23bk 23bl 23bm 23bn 23bo 23bp 23bq 23br 23bs 23bt 23bu 23bv 23bw 23bx 23by 23bz 23c0 23c1 23c2 23c3 23c4 23c5 23c6 23c7 23c8 23c9 23ca 23cb 23cc 23cd 23ce 23cf 23ch 23ci 23cj 23ck 23cl 23cm 23cn 23co 23cp 23cq 23cr 23cs 23cu 23cv 23cw 23cx 23cy 23cz 23d0 23d1 23d2 23d3 23d4 23d5 23d6 23d7 23d8 23d9 23da 23db 23dc 23dd 23de 23df 23dg 23dh 23di 23dj 23dk 23dl 23dm 23dn 23do 23dp 23dq 23dr 23ds 23dt 23du 23dv 23dw 23dx 23dy 23dz 23e0 23e1 23e2 23e3 23e4 23e5 23e6 23e7 23e8 23e9 23ea 23eb 23ec 23ed 23ee 23ef 23eg 23eh 23ei 23ej 23ek 23el 23em 23en 23eo 23ep 23eq 23er 23es 23et 23eu 23ev 23ew 23ex 23ey 23ez 23f0 23f1 23f2 23f3 23f4 23f5 23f6 23f7 23f8 23f9 23fa 23fb 23fc 23fd 23fe 23ff 23fg 23fh 23fi 23fj 23fk 23fl 23fm 23fn 23fo 23fp 23fq 23fr 23fs 23ft 23fu 23fv 23fw 23fx 23fy 23fz 23g0 23g1 23g2 23g3 23g4 23g5 23g6 23g7 23g8 23g9 23ga 23gb 23gc 23gd 23ge 23gf 23gg 23gh 23gi 23gj 23gk 23gl 23gm 23gn 23go 23gp 23gq 23gr 23gs 23gt 23gu 23gv 23gw 23gx 23gy 23gz 23h0 23h1 23h2 23h3 23h4 23h5 23h6 23h7 23h8 23h9 23ha 23hb 23hc 23hd 23he 23hf 23hg 23hh 23hi 23hj 23hk 23hl 23hm 23hn 23ho 23hp 23hq 23hr 23hs 23ht 23hv 2245 2246 2247 2248 2249 224a 224b 224c 23hw 224d 224e 224f 224g 23hz 224h 224i 224j 224k 224l 224m 224n 224o 224p 224q 224r 224s 224t 224u 224v 224w 23i3 224x 224y 23i5 23i6 23i7 224z 2250 2251 2252 23i8 23i9 23ia 2253 2254 2255 2256 2257 2258 2259 225a 225b 225c 225d 225e 225f 225g 225h 225i 225j 225k 225l 225m 225n 225o 225p 23ib 225q 225r 225s 225t 225u 23ic 225v 225w 225x 225y 23id 225z 2260 2261 23ie 23if 23ig 23ih 23ii 23ij 23ik 23il 23im 23in 23io 23ip 23iq 23ir.4b.6e.nb 23is 23it 23iu 23iv 23iw 23ix 23iy 23iz 23j0 23j1 23j2 23j3.3d 23j4 23j5 23j6 23j7 23j8 23j9 23ja 23jc 23je 23jg 23ji 23jk 23jm 23jo 23jq 23js 23ju.ti.y2.1e 23jw.e7.y2.1e 23jx 23jz 23k1 23k3 23k5 23k7 23k9 23kb 23kd 23ke 23kf 23kg 23kh 23ki 23kj 23kk 23kl 23km 23kn 23ko 23kp 23kq 23kr 23ks 23kt 23ku 23kv 23kw 23kx 23ky 23kz 23l0 23l1 23l2 23l3 23l4 23l5 23l6 23l7 23l8 23l9 23la 23lb 23lc 23ld 23le 23lf 23lg 23lh 23li 23lj 23lk 23ll 23lm 23ln 23lo 23lp 23lq 23lr 23ls 23lt 23lu 23lv 23lw 23lx 23ly 23lz 23m0 23m1 23m2 23m3 23m4 23m5 23m6 23m7 23m8 23m9 23ma 23mb 23mc 23md 23me 23mf 23mg 23mh 23mi 23mj 23mk 23ml 2262 2263 2264 2265 2266 2267 23mm 2268 2269 226a 226b 226c 226d 23mn 226e 226f 23mo 23mp 23mq 226g 226h 23mr 226i 226j 226k 226l 226m 226n 226o 226p 5a2:0aw.ay.0.o 32p 38x 35d 3bw 37q 37u 38u 37p 3e8 33p 3bg 3cz 3bh 3d8 3ao 34y 39t 35a 3bq 34q 349 3aq 35w 3ch 34l 34v 34b 34p 356 2j.3.69 41u 478 41h 488 41t 4ct 46z 41p 4bs 47t 3lu.1e 26j.3.5r.4v 5ao 53p 23.av 26j.3.5r.4b 23.9kh 2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 1c7:0r.0.72.2rd.y5 363d.5zj 31aj.y5.2ur 52uq 314v.y5 395d 334j.y5 31v4.y5 394c.49.150 31aj.49.150.2ur 62uq 37a0 3iv.1t6 37ne 37a3 37au 37io 3931 37ua 36sl 37r6 31kn 37ol 3704 31sr.1gf 31hu.7de 379y 38al 3655 389l 3q0.2r8 37x2.1tl 31h.21t.2qk 3654 31hu.2s4 396x 37dq 37da 37gy 36qw 349.1sp 3110.1sp 38bz 37a2 37pu 32vg 39q7 373x 398g 39jn 37a5 310p 37lx 36wp 37gx 395h 373b 35yl 38pb 36vx 398j 319b.8cx 394f 31hu 31y3.1uw.38u 32sn.7gq 388v 32rw 39um 31uh 32oq 32rq 32p0 31v2 3341 31yl 32tj 32s2 31t5 3p5 36r9 31uv 3zf 3i6 31ue 32qp 37c0 2bd.7tx 3iv.7a1 396c 3wf.iv 32n0.1hv 314q.79z 36tr 3a9h 37bz 36r1 38bg 3a8f.1sp 38l.1uw.1hx 37u9.948 31hm.7q8 3657 32ut 3iv.2s3 3303.7qb 3947 3y5.342 31tc.7by 3p5.1hv 36so 3656 36sr 36yc 38aj 3a04 37ok.2qa 37nu.1tf 3a5m 38ti 39hg 37db 32ra 43n 37dj 332f 37c3 37gw 37vr 38gp 31tl.7nt 35y2 37ca 3106 36sh 34l.7qe 47qu 31sr 32r6 37ts 34l 36u1 31ul 263.2rd.1t6 31v4 338u 3a3g 31uh 37m1 37oe 3650 37c1 3639 37w4.7fv.2pg 37ud.1tc 32p2 38do 37md 314r.4d7 36sq 364z 36sk 3e3.7i8 37wq 37c8 37tt 31tc 3a9g 36vu 31fz 31xw 37m6 39hi 32rv 334j.aay 39d3 37ny.1hx 3a05 37ks 34l.6si 32s4 37o3 31sk 37c5 37dr 37u7 39jo 37o1 32g7 37m2 37tr 37tu 34bm 3a03 37c2 3jj 31uq 38l 39m0 37u4.1ul 37qc 310p 31uk 32oq 37c7 3i6 31gf 32rq 31ul 3a5s 37o0 37u1 37u6 31sc.2rw 37u3 32qt 34l.2s3 316i 31u9 395e 392z 31tb 31t6 32p0 36sp 37c4 32kn 314r.8cu 338w 32rr 32pl 32q6 3306 314d.2ma 45xl 37ng 32qp 372m 32up 3158 311v 24x.7c9 337c 3150 3y5 37qh 371u 37qf 37tv 37nq 31hx 3a5l 37on 31ju 37od 36sj 39jm 3945 37qa 332f 310p 3a8d 36wo 32xq 37dh 37m3 37ak 31tl 3930 31c8 37qd 36sm.7c6 37oh 3iv 32h2 37op 35y1 31ua 37dz 371c 37me 37gr 37dv 38h2 37dx 37dk 3r8 37tz 314r 36x5 31v2 3341 31yl 338w 32kn 38li 39j1 37og 37df 37u0 36sn 31w2 38c5 37wc 31sr 32r6 37di 37o6 3ab3 3lv 338v 32qt 31hv 39d1 32ln 37nw 37oj 335u 32pg 36wt 37u2 39jl 37a4 37nr 371d 37o2 31uw 32rv 32h4 3jw 31j8.19 31zk 334p 3p5 31jh 32me 31ti 355 31kn 3dy 31jw 3304 31gj 3fz 3oh 31ux 3w5 3fb 31y3 38gt 32qa 31gw 31j8.19j 3le 32s6 314r.3l 38u8 31en 23i.1u9 39n1 32p2 31sk 3a19 373k 31i8 331i 38lv 37ty 37mi 31wl 311p 32rc 36vw 337w 311b 32r8 32tj 3163 31sc 32n0 32s2 32rg 31t5 37oi 37or 37tw 38ol 32rr 38be 31jm 37o5 32ph 3659 37of 32rp 319b 32n1 37ns 37ma 39hm.1hv 3wf 38gl 31hk.98c 37nz.1hx 3a9n 3658 39q6 3a9d 3lw 39qd 36sg 39d2 3342 3a02 3a44 31sh 3q9 39hh 364v 37nm 3946 37du 31h3 37wm 37r7 363b 31bs 36wi 3387 3p5.4ig 321r 37dg 37m5 38cw 3aaz 371b 32g7 363c 37oo 310p 32op 37oc 3653 3d9 37uf 38c4 3a9f 37nv 3p5.hw 37x5 38et 32pl 360d 32qk 32q6 32h4 3vn.1u 37ip 38gg 37om 31gf 38cz 31hu 3a9e 37o4 349.2u3 3vn.1nf 31q1 319t 3o 334p 31p 31u 3705 349.8e9 311l 39i4 31hk.2qg.142 3306 3a9i 37ov 3aaw 31lv.9e9 41o6 321t 3ab1 32ko 31vu 319t.5tm 32vf 321f 3106 3zf 3i6 3gj 31x6 315d 37ow 37q 3sv 31y3 3vn.8n1 34q 3bx 31gw 3hn 3sm 34l 32ov 39jk 3j5 3q0 37e 35xh 365d 2bk.2p 31h 3jw 3ct 31as 31zk 3p5 34p 31jh 32wq 31ti 311l 31hk 31uq 355 31kn 31jw 3jk 31xw 31gj 310p 32s8 3fz 32ru 31lv 3oh 34v 31uv 31vu 31ux 321f 3w5 3jj 3fb 31x6 314d 32re 319r 3sv 31wl 31q1 38h 39y 31gw 3hn 32p1 31j8 34l 3k0 314r 311v 3194 32xn 3a1j 8:0dl.0.4y 21ho 2g4 21ha 25w 25a 2o 2ir 22ks 269o 25cu 21dd 26s1 26k 21t5 21up 249 2bs 21p 2ia 215m 29jz 21pc 28h 21t 2hn 22m2 24p 2694 2nb 29j5 2:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 5:1ex 11m.ex 06v.0.88f 2806 21va 21i7 228f 21cc 216t 228c 2a1y 29yd 2a1h 2a1s 217x 213a 25tn 21ei 26nj 21r6 21rh 22jq 29vl 21bw 29uv 29vj 240n 240k 240m 228b 29u4 29tw 29ty 29u3 21n.kw 254.36f 28k.36g 328b 29tp 236g 29tt 236f 29u2 29tz 29u0 29u1 27iu 22p3 27hh 27iq 22p 28x 25d 27q 256 24v 28h 249 294 2aq 25w 24l 24q 23p 24p 22iq 24y 25a 24b 214z 280 27u 2gp 2bw 26gt 29t 2m5 2d9 2bq 28u 2c6 2:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:0e5.eu.0.5t8 32p 3k3 3d9 31h2 338i 32gg 35ft 36vs 3sf 36he 38h 3rw 31qc 3ko 3v7 39vi 320 35w 3122 3a94 349 3a37 3o 31p 3bs 31h 3ct 31t 31u 3:212.46.3w 33u.3w 310v.3w 373u.3w 36c3.3w 2br.8n b:04g.2t.j.6s3 36s6 36to 36u9 36rl 36ro 36wh 36x1 36s2 36ss 36qx 36qz 36vf 36vi 36rq 36rr 36wf 36wg 36v7 36vp 36tm 36tn 32k9 36rp 36x7 36xa 36ql 36qs 26j.9ya 37uc 370b 3ax 37ru 38m1 37r5 38i2 3a8v 36ce 37bq 34fx 37lv 36e3 38e2 37u8 37kv 37t 3a6d 34ea 21e.n0.9q8 4if 46sf 46sz 49d4 46f0 49id 23.121.9ki 49pc.4f2 3n0.4g1 3121.9k6 45xr 31lq.7uh 4he 49na 45x7 3121.8vf 32p7.9d0 3121.7te 31r5.384 3a6e 3n0.9ph.1xf b:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 2:210.t2 31r3 37e.z7 310w 340.10w 37e.49l 39o0 2:23.121.73y 3a7f 31qx 39kb.1qx 3aey.9jt 36ej 37t1 3a6l 37ue 312e 39r8.4f3 32p7.9pa 3m3 373o 37ii 3n0.696.74b.2s5.2s5 4598.9pe 4367 54hl 48gh.5dc 47t7.9n7 6:2kk.3.9pd 4a93 472n 470d 4a7g 4192 46a0 47hs 49kg 49p9 48ca 46sv 469d 49xv 45xb 421j 49pk 46x8 4a1r c1:0az.ar.3.av 39mz 3e1 20.o 32p 38x 35d 3bw 37q 37u 38u 37p 3e8 394 3bg 3cz 3bh 3d8 34y 39t 35a 3bq 34q 349 3aq 35w 3ch 34l 34v 34b 34p 3ao 356 380 33p 2j.3.69 41u 41h 4jb 41t 46z 41p 47t 23.dh 38t9 3ab7 2ex 21m.ex 2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 5j:06o.7.0.55 332 35t 37f 3288 368 32lf 376 35n 35m 38o 31u 35q 3o 37y 31t 321 36x 31h 3e3 33g 3aj 31fj 32si 375 35y 3db 34j 330 31p 36z 36h 14.0.55 332 35t 37f 3288 368 32lf 376 35n 35m 38o 31u 35q 3o 37y 31t 321 36x 31h 3e3 33g 3aj 31fj 32si 375 35y 3db 34j 330 31p 36z 36h 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 110.7e 2pr 2nn 2wo 2vl 2r0 2sx 2wg 2tu 2w3 1h.1g.dp.k 21q.dp.k 21w.dp.k 1ag 1br.8n 1d.3vp 1i0.19z 2u:03q.0.49 25w 2a.49 21im 24l 22pi 2e4.4l 2d9 2ao 2a08 24y 25a 2a.bg 34y 2bg 2bh 24q 214z 2a.co 2e4.4q 2co 27s5 24p 274f 2xy 271p 2207 25he 29m9 25hf 22p 25d 2a.2p 2k1 28hz 27q 22rb 2e4.7q 23p 2m5 2bw 21qh 29pi 25qh 294 22sl 2oj 217r 2a.oj 317r 2w9.oj 280 2du 2jo 2aen 2gp 2pp 2a.gp 256 2c6 2aem 21m2 2afk 2e4.1m2 2afr 2afl 28h 2on 2vr 24b1 29eh 25qg 2eo 2nm 28q8 5:13.6j.1o.3j 10.1hj 13.285 2w9.375 3285 1j.3.o 369 33vg 3eq 3pi 31p 3bs 3jc 37f 31t 3b3 3qx 386t 31u 31fm 32j0 36jk 31rg 3l8 378 318r 31rb 31h 3167 39tf 39tg 388 39tr 39uh 36h 3a 3fl 3271 31eh 3og.1eh 3n3 3og.n3 36z 3tt 37t 3yg 34j 3kw 39up 3ab0 386w 386s 3a1p 32j9 31pc 36mz 31lc 8:13w.u 28g.u 21a 21v 10.ut 2wp 211y 2uu 21kz 220b 21l0 2w9.1bn 3ut 311y 3uu 31kz 31l0 1t:0l.vv.1e 01i.vv.1e 019.tm.2i.1e 2vv.1e 01b.4.v.ty c:0371.dp.2wa.1e.7u 47p6 4r3:0l.4m8 14m9 14ma 14mb 14mc 14md 14me 14mf 14mg 14mh 14mi 14mj 14mk 14ml 14mm 14mn 14mo 14mp 14mq 14mr 14ms 14mt 14mu 14mv 14mw 14mx 14my 14mz 14n0 14n1 14n2 14n3 14n4 14n5 14n6 14n7 14n8 14n9 14na 14nb 14nc 14nd 14ne 14nf 14ng 14nh 14ni 14nj 14nk 14nl 14nm 14nn 14no 14np 14nq 14nr 14ns 14nt 14nu 14nv 14nw 14nx 14ny 14nz 14o0 14o1 14o2 14o3 14o4 14o5 14o6 14o7 14o8 14o9 14oa 14ob 14oc 14od 14oe 14of 14og 14oh 14oi 14oj 14ok 14ol 14om 14on 14oo 14op 14oq 14or 14os 14ot 14ou 14ov 14ow 14ox 14oy 14oz 14p0 14p1 14p2 14p3 14p4 14p5 14p6 14p7 14p8 14p9 14pa 14pb 14pc 14pd 14pe 14pf 14pg 14ph 14pi 14pj 14pk 14pl 14pm 14pn 14po 14pp 14pq 14pr 14ps 14pt 14pu 14pv 14pw 14px 14py 14pz 14q0 14q1 14q2 14q3 14q4 14q5 14q6 14q7 14q8 14q9 14qa 14qb 14qc 14qd 14qe 14qf 14qg 14qh 14qi 14qj 14qk 14ql 14qm 14qn 14qo 14qp 14qq 14qr 14qs 14qt 14qu 14qv 14qw 14qx 14qy 14qz 14r0 14r1 14r2 14r3 14r4 14r5 14r6 14r7 14r8 14r9 14ra 14rb 14rc 14rd 14re 14rf 14rg 14rh 14ri 14rj 14rk 14rl 14rm 14rn 14ro 14rp 14rq 14rr 14rs 14rt 14ru 14rv 14rw 14rx 14ry 14rz 14s0 14s1 14s2 14s3 14s4 14s5 14s6 14s7 14s8 14s9 14sa 14sb 14sc 14sd 14se 14sf 14sg 14sh 14si 14sj 14sk 14sl 14sm 14sn 14so 14sp 14sq 14sr 14ss 14st 14su 14sv 14sw 14sx 14sy 14sz 14t0 14t1 14t2 14t3 14t4 14t5 14t6 14t7 14t8 14t9 14ta 14tb 14tc 14td 14te 14tf 14tg 14th 14ti 14tj 14tk 14tl 14tm 14tn 14to 14tp 14tq 14tr 14ts 14tt 14tu 14tv 14tw 14tx 14ty 14tz 14u0 14u1 14u2 14u3 14u4 14u5 14u6 14u7 14u8 14u9 14ua 14ub 14uc 14ud 14ue 14uf 14ug 14uh 14ui 14uj 14uk 14ul 14um 14un 14uo 14up 14uq 14ur 14us 14ut 14uu 14uv 14uw 14ux 14uy 14uz 14v0 14v1 14v2 14v3 14v4 14v5 14v6 14v7 14v8 14v9 14va 14vb 14vc 14vd 14ve 14vf 14vg 14vh 14vi 14vj 14vk 14vl 14vm 14vn 14vo 14vp 14vq 14vr 14vs 14vt 14vu 14vv 14vw 14vx 14vy 14vz 14w0 14w1 14w2 14w3 14w4 14w5 14w6 14w7 14w8 14w9 14wa 14wb 14wc 14wd 14we 14wf 14wg 14wh 14wi 14wj 14wk 14wl 14wm 14wn 14wo 14wp 14wq 14wr 14ws 14wt 14wu 14wv 14ww 14wx 14wy 14wz 14x0 14x1 14x2 14x3 14x4 14x5 14x6 14x7 14x8 14x9 14xa 14xb 14xc 14xd 14xe 14xf 14xg 14xh 14xi 14xj 14xk 14xl 14xm 14xn 14xo 14xp 14xq 14xr 14xs 14xt 14xu 14xv 14xw 14xx 14xy 14xz 14y0 14y1 14y2 14y3 14y4 14y5 14y6 14y7 14y8 14y9 14ya 14yb 14yc 14yd 14ye 14yf 14yg 14yh 14yi 14yj 14yk 14yl 14ym 14yn 14yo 14yp 14yq 14yr 14ys 14yt 14yu 14yv 14yw 14yx 14yy 14yz 14z0 14z1 14z2 14z3 14z4 14z5 14z6 14z7 14z8 14z9 14za 14zb 14zc 14zd 14ze 14zf 14zg 14zh 14zi 14zj 14zk 14zl 14zm 14zn 14zo 14zp 14zq 14zr 14zs 14zt 14zu 14zv 14zw 14zx 14zy 14zz 1500 1501 1502 1503 1504 1505 1506 1507 1508 1509 150a 150b 150c 150d 150e 150f 150g 150h 150i 150j 150k 150l 150m 150n 150o 150p 150q 150r 150s 150t 150u 150v 150w 150x 150y 150z 1510 1511 1512 1513 1514 1515 1516 1517 1518 1519 151a 151b 151c 151d 151e 151f 151g 151h 151i 151j 151k 151l 151m 151n 151o 151p 151q 151r 151s 151t 151u 151v 151w 151x 151y 151z 1520 1521 1522 1523 1524 1525 1526 1527 1528 1529 152a 152b 152c 152d 152e 152f 152g 152h 152i 152j 152k 152l 152m 152n 152o 152p 152q 152r 152s 152t 152u 152v 152w 152x 152y 152z 1530 1531 1532 1533 1534 1535 1536 1537 1538 1539 153a 153b 153c 153d 153e 153f 153g 153h 153i 153j 153k 153l 153m 153n 153o 153p 153q 153r 153s 153t 153u 153v 153w 153x 153y 153z 1540 1541 1542 1543 1544 1545 1546 1547 1548 1549 154a 154b 154c 154d 154e 154f 154g 154h 154i 154j 154k 154l 154m 154n 154o 154p 154q 154r 154s 154t 154u 154v 154w 154x 154y 154z 1550 1551 1552 1553 1554 1555 1556 1557 1558 1559 155a 155b 155c 155d 155e 155f 155g 155h 155i 155j 155k 155l 155m 155n 155o 155p 155q 155r 155s 155t 155u 155v 155w 155x 155y 155z 1560 1561 1562 1563 1564 1565 1566 1567 1568 1569 156a 156b 156c 156d 156e 156f 156g 156h 156i 156j 156k 156l 156m 156n 156o 156p 156q 156r 156s 156t 156u 156v 156w 156x 156y 156z 1570 1571 1572 1573 1574 1575 1576 1577 1578 1579 157a 157b 157c 157d 157e 157f 157g 157h 157i 157j 01b.4.v.i# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 4# 16:4# 6wh:02c.0.pz.ut 3wp 311y 3uu 2:320b 31l0 310z.1bn 4ut 4wp 411y 4uu 2:420b 41l0 2:2e4.1t 06d.0.e4.no 022.0.39v 239w 239x 23a1 26ii 26ij 26ik 26il 29rs 29rt 29ru 29rv 29rw 25qi 25qj 25qk 25ql 25qm 27xf 27xg 27xh 26q9 26qc 26qd 26qe 26qf 26qg 26qh 26qi 26qj 26qa 26qb 26qk 26te 26tf 26tg 26th 26ti 26tj 26tk 26tl 26w6 26w7 26w8 26w9 26wa 26wb 26wc 26rv 26rw 26rx 26ry 26rz 26s0 26v1 26v2 26v3 26v4 28sz 22xf 28t0 28t1 28t2 28t3 28t4 28t5 2961 2962 2963 2964 2965 2966 29cs 29ct 29cu 29cv 29cw 29cx 29cy 29cz 28v2 28v3 28v4 28v5 28v6 2981 2982 2983 2984 2985 2986 2987 29h9 233f 29ha 29hb 29l5 29l6 29l7 29l8 29l9 29la 29lb 29q1 29q2 29q3 29q4 29q5 29ik 233s 29il 29im 29in 29io 29ip 29iq 29ir 29mb 29mc 29md 29me 29mf 29mg 29mh 27ka 22qh 27kb 27kc 27kd 27ke 27kf 27kg 27kh 27p9 27pa 27pb 27pc 27pd 27pe 27pf 27pg 27ui 27uj 27uk 27mo 22qv 27mp 27mq 27mr 27ms 27mt 27s8 27s9 27sa 27sb 27sc 268k 268n 268o 268p 268q 268r 268s 268t 268u 268l 268m 26bk 26bl 26bm 26bn 26bo 26bp 26bq 26gu 26gv 26gw 26a7 26a8 26a9 26aa 26ab 26ac 26ad 26en 26eo 26ep 26eq 26er 26es 26et 26eu 279j 279k 279l 279m 279n 279o 279p 27el 27em 27en 27eo 27ep 27eq 27er 27hn 27ho 27hp 27hq 27cd 27ce 27cf 27fy 27fz 27g0 27g1 27g2 27g3 2a7w 2a7x 2a7y 2a7z 2a80 2382 2aam 2aan 2aao 2aap 2a9x 2a9y 2a9z 2aa0 2aa1 2aa2 28l8 22w0 28l9 28la 28nq 28nr 28ns 28nt 28nu 28nv 28nw 28qa 28qb 28qc 28qd 28qe 28qf 28m7 28m8 28m9 28ma 28ox 28oy 28oz 28p0 28p1 28p2 2a2w 2a2x 2a2y 2a2z 2a30 2a4a 2a4b 2a4c 2a4d 2a4e 2a3r 2a3s 2a3t 2a3u 2a4t 2a4u 2a4v 2a4w 2a4x 2a4y 2a4z 27iv 27iw 06d.0.e4.tc 02c.0.e4.a 3no 3tc g:06d.0.4.hn u:3k7 3ik 3jc 3:02c.0.4.hn f:3k7 3ik 3jc 34j 9:01i.i# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 2# 1s5:03t.0.61 275 276 25n 28o 25q 23g 221 25y 25t 25m 230 276.4j 25y.32 28o.4j 25q.55 230.32 2z2 2wi.2da 22da 21g7 2wi.7y 26cb 21st 28nn 255 24j 27y 232 255.4j 24j.55 27y.55 232.7y 255.5.1x 24j.5.1x 27y.5.1x 441.l9.s.1a 232.5.1x 51v 255.32 24j.32 27y.32 232.32 255.4j.32 24j.55.32 27y.55.32 232.7y.32 27y.32.5.1x 34j 432 232.5n 430 376 430 25n.32 330.32 27f 2a47 27f.30 232.4j 355 25q.30.32 25m.30.32 232.5q 430 2o 2wi.1a5 219y 21p 23xr 21u 21t 2l8 28k.1u 21lc 2ct 2wi.s8 22x5.1u 2wi.ct 254.1u 2no 21h 2tw 221h 21h.4j 254.1h 22x5.1h 220u 2wi.1h 287d 21a5 2yg 28h 2jc 2k7 237l 2a5d 219n.1h 31p 31u 3o 22u7.eq 3tf 2wi.b3 3eq 39o 23h.55 6:1fr.y.47.yr 210v.47.yr 2u.47.yr 23u.2h.yr 210v.2h.yr 246.2h.yr 2k9.yr 3199.yr 333j 3ae 31t.2i 31u.2i 333j.2i 4:246.6i 3202.6i 399 354.99 31x 32y 37z 3ev 32h 8:23u.6i 3202.6i 399 354.99 31x 32y 37z 3ev 32h 3t 3:13.1p.5.bo 19k7.0.1b1 11m.1e 159.4gs.br.8n 01jz.1ew.0.1vd 257z.1vd 23k.1yx 235.1yx 319:0hu.1qm 0f3.1qm 0fo.t0.sa 0f3.t0.sa 0jr.t0.sa 023.47.1ay.ys 0u.2h.1ay.ys 023.u.1ay.ys 01mc 047.2wh.ys 02h.2wh.ys 0y.mu.1r9 027.mu.1r9 0u.mu.1r9 0fo.2dg 0f3.2dg 07sz.34z 08ec.34z 08mf 047.2aq 02h.2aq 014n.xj.6e 2s 28w.6mn 3888 22ad 35.8w.145 02q.39.37.47.s.28.u 523.u 38g.s.28.y 39q.s.23.y 21m.43.28.u.20.23.y 5y.20.23.u 087.18.8it 28j1 28iu 28j5 28iy 28j2 28iv 28j7 28j0 28j4 28ix 28j6 28iz 28j3 28iw 028.y.qi.2y 16c.y.qi.2y 2u.qi.2y 1u.qi.2y 127.y.qi.2y 1y.9a.2y 1u.9a.2y 127.u.qi.2y 023.27.y.qi.2y 1y.9a.2y 1u.9a.2y 127.u.qi.2y 1y.qi.2y 16c.y.qi.2y 2u.qi.2y 1u.qi.2y 031o.47.i1 12h.i1 02t9.1dk.i1 043.1dk.i1 02d4.2h.i1 147.i1 031r.i1.xh 2xi 0o6.28u 0ob.28u 0109.1az.5.293 216g.293 0qn.19i.4m.2jw 2bv.2jw 11yq.4m.33x 2bv.33x 11o8.326.u 3y 11ka.58y 2ms 119i.9bn 29bo 0fo.st.11f 0hu.st.11f 0f3.st.11f 0jr.st.11f 08g.2j.o6.wc 210b.wc 2ob.wc 09q.2j.o6.wc 210b.wc 2ob.wc 0fo.1cp.172 0hu.1cp.172 0f3.1cp.172 0jr.1cp.172 02q9.s5 0fo.1av 0hu.1av 0f3.1av 0jr.1av 03d.qa.6mv 2889 01r.3n.2y.i7.y.9a.dd 428.9a.dd 4u.9a.dd 423.9a.dd 1d5.2x 0o6.rl.eh.5.4m.ah 036o.rl.eh.5.4m.ah 0ob.rl.eh.5.4m.ah 02dv.rl.eh.5.4m.ah 0o6.rl.eh.5.bv.ah 036o.rl.eh.5.bv.ah 0ob.rl.eh.5.bv.ah 02dv.rl.eh.5.bv.ah 0fo.1ee.ev 0hu.1ee.ev 0f3.1ee.ev 0jr.1ee.ev 01d.qg.ck.8g.y 4u 39q.u 4y 01kk.fo.4u 1hu.4u 1f3.4u 1jr.4u 02h.1si 047.1si 01y.23.y.117 2u.117 01q.1xb.27d.1r1 01d.2d.d7.8tu 35fz 31r.9nu 13xu 0pv.1r.cj 0y.s.28.1g.ed.18.s6.1r.4.1d 0pv.1r.4.1d 02h.7z.5.2d.lf.vz 047.7z.5.2d.lf.vz 0o6.ox 0ob.ox 0o6.ox.5.4m.ah 0ob.ox.5.4m.ah 05z3.170 0fo.w8.mz 0hu.w8.mz 0f3.w8.mz 0jr.w8.mz 047.w8.mz 02h.w8.mz 11qm 0fo.33k 0f3.33k 0fo.st.2a3 0f3.st.2a3 0fo.1ji.1nv.mz 0f3.1ji.1nv.mz 0y.2j.109.1az 0u.2j.109.1az 028.y.8z.2x.5.4m.g7 1u.8z.2x.5.4m.g7 1y.8z.2x.5.bv.g7 1u.8z.2x.5.bv.g7 023.y.8z.ie.2x 1u.8z.ie.2x 1y.8z.d5.2x 1u.8z.d5.2x 1y.8z.2x.5.4m.ah 1u.8z.2x.5.4m.ah 1y.8z.13o.2x 1u.8z.13o.2x 028.y.8z.1bh 1u.8z.1bh 023.y.8z.1bh 1u.8z.1bh 028.y.8z.1h8 1u.8z.1h8 023.y.8z.1h8 1u.8z.1h8 028.y.8z.4r.jv 1u.8z.4r.jv 023.y.8z.4r.jv 1u.8z.4r.jv 028.y.8z.4r.kx 1u.8z.4r.kx 023.y.8z.4r.kx 1u.8z.4r.kx 028.y.8z.4r.nc 1u.8z.4r.nc 023.y.8z.4r.nc 1u.8z.4r.nc 028.y.8z.4r.mx 1u.8z.4r.mx 023.y.8z.4r.mx 1u.8z.4r.mx 028.y.8z.4r.ez 1u.8z.4r.ez 023.y.8z.4r.ez 1u.8z.4r.ez 028.y.8z.4r.na 1u.8z.4r.na 023.y.8z.4r.na 1u.8z.4r.na 028.y.8z.11k.ez 1u.8z.11k.ez 023.y.8z.11k.ez 1u.8z.11k.ez 0dm.8.7.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 7:018.857 183k 180b 1861 182p 1812 1858 181x 183l 186g 1835 184s 181i 182d 1841 180n 1862 182q 184g 1813 1859 181y 183m 180c 186m 183d 1850 181q 185u 182j 1849 180v 182y 184m 181b 185g 1826 183u 180h 186h 1836 184t 181j 185n 182e 1842 180o 1863 182r 184h 1814 185a 181z 183n 183h 1854 181u 185y 182m 184d 180z 186d 1832 184p 181f 185k 182a 183y 180k 183a 184x 181n 185r 1846 180s 1867 182v 1818 185d 1823 183r 186n 183e 1851 181r 185v 182k 184a 180w 186a 182z 184n 181c 185h 1827 183v 180i 186i 1837 184u 181k 185o 182f 1843 180p 1864 182s 184i 1815 185b 1820 183o 180d 183j 1856 181w 1860 182o 184f 1811 186f 1834 184r 181h 185m 182c 1840 180m 186l 183c 184z 181p 185t 182i 1848 180u 1869 182x 184l 181a 185f 1825 183t 180g 183g 1853 181t 185x 184c 180y 186c 1831 181e 185j 1829 183x 186j 1839 184w 181m 185q 182g 1845 180r 1866 182u 184j 1817 185c 1822 183q 180e 183i 1855 181v 185z 182n 184e 1810 186e 1833 184q 181g 185l 182b 183z 180l 186k 183b 184y 181o 185s 182h 1847 180t 1868 182w 184k 1819 185e 1824 183s 180f 186o 183f 1852 181s 185w 182l 184b 180x 186b 1830 184o 181d 185i 1828 183w 180j 1838 184v 181l 185p 1844 180q 1865 182t 1816 1821 183p 08g.2j.11k.j7 09q.2j.11k.j7 08g.2j.ob.p6.xh 09q.2j.ob.p6.xh 08g.2j.ob.p6.xi 09q.2j.ob.p6.xi 08g.2j.o6.p6.xh 09q.2j.o6.p6.xh 08g.2j.o6.p6.xi 09q.2j.o6.p6.xi 08g.2j.10b.p6 09q.2j.10b.p6.xh 4xi 42g4 4603 0gk.701 08g.2j.2fp.wc.xh 4xi 0jr.ry 0fo.ry 04.hu.ry 0hu.186 0jr.186 01ej.xh 1xi 12g4 0u.2j.s.y.2j.1y.2y 023.2j.s.28.2j.1y.2y 01ej.d1.6f8 028.2j.2g.1y.1d 023.2j.2g.1y.1d 02g.1y.1d.s6.1r.g3.4.1d 01y.2h.uk.5.47.3j 08g.y.1r.fo.4.4u 060h 02q.39.1m.43.23.y.20.27.6c.20.23.u 428.y.20.27.6c.20.28.u 0y.2j.1y.13d 0u.2j.1y.13d 0y.2j.a9.dj.47 0u.2j.a9.dj.47 047.7z.5.lf.1e 0y.2j.47.7z.5.1w.lf.vz 0u.2j.47.7z.5.1w.lf.vz 047.7z.5.1w.lf.vz 023.2j.2h.7z.5.1w.lf.vz 028.2j.2h.7z.5.1w.lf.vz 02h.7z.5.1w.lf.vz 02q.39.37.2h.s.8g.u 59q.u 58g.y 59q.y 03n.at.a8.28.y.h8 5d7 415z 4y.1dl 3y.ix 3vd 45.23.m1 328.2j.1c0.2f.55 343.23.y 38k.28.15z 328.u.h8 3u.ix 328.u.1dl 5d7 3m1.5.u.vd 4 343.28.u.s.23.u 6 423.u 38k.23.15z 323.y.s.28.y.h8 36c.2f.5q 323.2j.1c0.2f.55 328.2j.1c0.2f.7f 36c.2f.75 56h 568.5.vd 3f2.28.y.h8 3m1.5.y.vd 323.u.s.28.u.h8 343.28.y.s.23.y 3m1.5.y.6p3 5vd 343.28.y 323.15z 4y.d7 5h8 51dl 3vd.5.28.m1 31c0.2f.5t 323.2j.1c0.2f.7f 4u.h8 5d7 5h8.5.ae 51dl 39bl 39bh 39bk 39bj 39bg 39bd 39bi 39bf 39be 39bc 087.18.2y6 22z0 22y7 22zf 22ym 22z1 22y8 22zn 22yt 22z9 22yf 22zg 22yn 22z2 22y9 22zr 22yx 22zc 22yj 22zk 2939 22z6 22yc 22zo 22yu 22za 22yg 22zh 22yo 22z3 22ya 22zt 22yz 22ze 22yl 22zm 22ys 22z8 22ye 22zq 22yw 293a 22yi 22zj 22yq 22z5 22yb 22zs 22yy 22zd 22yk 22zl 22yr 22z7 22yd 22zp 22yv 22zb 22yh 22zi 22yp 22z4 2938 028.y.1g.k4.18 16c.y.1g.k4.18 2u.1g.k4.18 1u.1g.k4.18 127.y.1g.k4.18 26c.y.1g.k4.18 3u.1g.k4.18 2u.1g.k4.18 023.27.y.1g.k4.18 26c.y.1g.k4.18 3u.1g.k4.18 2u.1g.k4.18 1y.1g.k4.18 16c.y.1g.k4.18 2u.1g.k4.18 1u.1g.k4.18 0u.2j.23.1g.9a.18 11w.ji.23.1g.9a.18 0y.1w.ji.23.1g.9a.18 12j.23.1g.9a.18 023.2j.y.1g.9a.18 11w.ji.y.1g.9a.18 028.1w.ji.y.1g.9a.18 12j.y.1g.9a.18 0y.2j.28.1g.9a.18 11w.ji.28.1g.9a.18 0u.1w.ji.28.1g.9a.18 12j.28.1g.9a.18 028.2j.u.1g.9a.18 11w.ji.u.1g.9a.18 023.1w.ji.u.1g.9a.18 12j.u.1g.9a.18 047.qm.7z 06su 019.1vt.1di.5.7gs.9w.8ey.87s 01r.u.4u.s2 25:02z.12.1e.18c.yc.32.r6.9o.y 3yc.32.r6.9o.y 320l.9o.y 318c.yc.9o.y 3yc.9o.y 331x.9o.y 310s.q6.9o.y 3q6.9o.y 316d.9o.y 310s.q6.32.14f.9o.y 3q6.32.14f.9o.y 316d.32.14f.9o.y 318c.yc.32.r6.9o.u 3yc.32.r6.9o.u 320l.9o.u 318c.yc.9o.u 3yc.9o.u 331x.9o.u 310s.q6.9o.u 3q6.9o.u 316d.9o.u 310s.q6.32.14f.9o.u 3q6.32.14f.9o.u 316d.32.14f.9o.u 320l.32.r6 310s.q6.32.r6 31z2.10s.q6 3q6.32.r6 41z2 316d.32.r6 310s.q6.1z2 318c.16d 3ad4 39o 38m2 31kv 34ag 39tl 38ei 373a 36ws 36qt 3ad7 397c 38m6 31gc.9o.y 3:2pb.1ar.1e.7hj 59e4 59nq 21e.395 32d2.395 3881 31w6 45.2h.2a 31ni 48eo 3800 331j.2s1 39mk 35q6 2400.2h.2sz 21e.kl.2sz 31gc 223.pb.1ar.fn 11al.1o.71e 371f 31dz.2ft 31gc 31xf a:152.2ll 334g 28ae 25q2.5t.4g8 22l5 2act 21z1 332.809 22u6 319p 21z1.5.31j.2s1 22b9 289c 2zi 218b.4ah 334g 37hl 39e5 39nr 2zg.1it 31tz 3z0 31l3 3si.1it 41tz 4z0 41l3 21m.zi 273.2b9 25f0 26sx 21ni 21w6 2sy.1tz 3z0 31l3 31kv 22d2.2l5 2sy.si.z0 32l6 3si.1kv 3138.1it 4z0 419p 4si 21k8 332.16m 3acr 332.r6 21gc 21xf 2107 26v8 2aeg 2sz 332.16m 4r6 416m.1u.r6 4r6.1u.16m 3396 432.16m 332.8p8 45q7.acv 416m.1u.8eh 28en 2sz.19p 2fk.1it 37hk 36w4 38eq 31is 319p 36uv 32l6 31kv.8h0 3138 35q5 32e5 3138.si 32e5.si 31f6.5.7r.zi 313v.5.7r.zi 31f6 313v 45.1m.zi 31f7 41is 219e 38f8 36ux 36uw 36uu 2fk.9p3 39p4 39p5 2153 3z0 31l3 3sj.z0 3si.z0 419p 2fk.sj 41is 41f6.5.7r.zi 413v.5.7r.zi 41f6 413v 55.1m.zi 41f7 51is 49p2 26wj 2801 25pj 27mz 28ay 1p:029.16.d.86 35d8 3cq 31ve.1eb 4zx 320y.1eb 4zx 36rk 39fj 31vl 338n 4zx 36w2 327q.1eb 31pk.1eb 333t 318z 31md 4zx 39fd 39kd 32sx.l1 318d.l1 38gd 34fp 39y9 31rj.l1 31g2.l1 318z.l1 38uj 38af 3324.3xw 388c.l1 39y3.l1 327s.l1 33xy 31g8 38nk 32ug.l1 39lr 33wu 32xz 31zh.l1 47d3.9b9 32th.l1 3343 370y 31e6 39nt 31zq 36vz 327q.1pk.hq 3lp.l1 36lw 31l4.l1 36ri.1l4 32u0 32ve 32lc 32ba.l1 38lu 31vk.l1 31vl.l1 36jn 32qo 38c0 32lc.1m7 31l4.1m7 39by 367a 31rj.hq 32sx.hq 31ve.hq 38c1 36vo 38c2 36w0 32u0.hq 318z.hq.wz 31g2.hq.wz 3aak 31md.hq 327t.9fc.hq 3aaj 36w1 35sn 34fo 37fa.1rj 320y.hq 32ug.hq 32ve.hq 3871 33xl 374g 31vl.hq 31vk.hq 32fa.1vk 36xq 33xk 31l4.hq 35sm 31zh.hq 39fi 32ba.hq 35tl 32xz.hq 3a6r.1g8 39ob 38ga 39o9 39oa 38gb 39oc 38gc 366q 3280 32fa.280 32th.hq 3344.5ty 41pk 3343.27r 39k3.14b.3xz 36rj 35t6 338g.10o 4wz 3324 31g8.wz 3zx.l1 31sb.l1 41m7 4hq 327s.hq 316s 3zx 39o2 39jj 31sa 314m.5t9.2bb 41e6.1no 49o1.1no 49jg.1no 46lz.2bb 318d.hq.wz 41a9.1mf 52d8 31dx 41a9.1mf.10o 6wz 52d8 39nx 33yk 36lu 35g1 3wx.2v0.27z 43yl 427z 47d8 47d1 42h9 466r 42v0.2h9 3py.2vd.pu 427f.2vd.pu 42d9.pu 427f.2d9.pu 49o4.pu 49nw 41zr.pu 52mf.pu 42mf.pu 42uv.pu 36n6.33v.2j2 327t.33v.2j2 31po.9ji 42py 42dd 3py.9y5.pu 48g6.pu 42uv.1zr.pu 32ha.4j.27r 55gn 35t2.14b.lp.377 36lv 36lx 3lp.l1.5fb.6jo 4zt.49 52qo 47kt.pu 4zt.l5 41yd.5g2.l5 4zt.kd 5rw 5fb.10o 6wz 42ot.1dc.2dd 62py 35y6.1yd.1dc.9y6 3lp.1yd.1dc.9f9 47n0 31nn.aez 46us 498x 3lp.1u.125.33y 45t1.3xj 3125.35b 3zu.35b 433y 416s.1e6.xa 42pz.1zq.xa 42de.1ei.xa 4358.2sw.xa 3125.16s.1e6.xa 42pz.1zq.xa 42de.1ei.xa 4358.2sw.xa 32gs.zu 4125 31dw.16s.7f9 57cl 4zx 41bk 3yu.1bk 52dk 535a 5340 41cn 52dk 535a 5340 35gc.641 35ga.yg 31yy 3zk.49 4377 45d 4l5 4kd 4rw 4fb 318z.hq.2pe 31g2.hq.2pe 318z.hq.10o 31g2.hq.10o 31g8.10o 318d.hq.10o b:016.d.7r.12g 21m.12g 21n.12g 2kf.1n.12g 2po.12g 28k.12g 2y.wa.3 2u.wa.3 2wa.41 2km.2xx 25a.4dt 22xx 24lp 21x4.5y8 35y9 35ya 21ps 31v 21n4.1e 24dc 24as 23v 2874.yw 29r5.yw 29kp.yw 25zx.yw 25yr.yw 2970.yw 2972.2g6 25zz.2g6 25m.tn 4154.1cg 5e5 26x.tn 28o.tn 4154.1cg 5e5 2136.4ih 34ii 3:2q1.10u.ly 21m.11d 3108 2108.35 33k 21u8.35 33k 211d.35 33k 29a.3w.11d 4108 24m2.204 21of.204 2154.1cg 3e5 22vt.1cg 3e5 27i1.ly 221a.ly 22j.ly 29a.ly 2ed.ly 2k4.ly 21zu.ly 21yc.ly 21g.40.35z.ly 275.iq 233.iq 22y.75.iq 21d.iq.1y 41r 24u.iq.35.1y 51r 4y.1y 51r 4u.1y 51r 43k.1y 51r 435.u.1y 61r 2gk.iq.1y 41r 2356.iq.3k.1y 51r 2cv.iq 2a13.iq 2iq.1r 22sa.iq 22bi.iq.1y 41r 2b1 221a.hs 22j.hs 29a.hs 2ed.hs 2k4.hs 21zu.hs 21yc.hs 21g.40.35z.hs 212.m1 399h.m1 3352 3353 3354 21pv.352 3353 3354 212.404.1x 35yw 35yx 35yy 35yz 35z0 2ti.292 2e7.292 2ti.162 2e7.162 2ti.319 2e7.319 2ti.2ue 2e7.2ue 212.9g 39av 39jd 39au 37b3 37b4 33ub 373t 2281.35 33k 212.5ho 38oq 32ft 397u 312i 31m.mv 3a9.mv 28on 29d6 268 28cr 27dd 25zv 258u 25eg 21qn.hs.ni 4ea.ni 29ne 21l9 28w.1l9 21l9.ni 335 2a0.9cd 39cg 39ch 39ci 39cj 39ck 39cl 39cm 39cn 39ce 39cf 269z 27mu 2e7.2f.9bs 21dr.ni 212.3k.12m 335.12m 369t 397y.8dt 21vq.1e 335.1e 22j.1vq.1e 22h7.35 33k 25.5ye 22cc 316q 27bs 21gv 22aa 21xt.1y 31r 21tq 31r 21xv.1y 31r 22ga.1y 31r 21gv.1ii.ly 3143.ly 22aa.ly 21xt.ly 21tq.ly 21xv.ly 2z1.1vr.x6.ym.1ii 6143 61ii.2df 318n.x6.ym.1ii 6143 72df 75gi 75gj 258x 22he.6x.tn 38o.tn 21d.21 2a0q 28eg 24in 22xu 24ij 234q 22v2 32fs 22xu.2fs 234q.8nf 28bx.9db 2sg.6x.tn 3e7.2f.a8 31n.hs 38mh.1e 321a.hs 32j.hs 39a.hs.m1.3k 635 3ed.hs.m1.3k 635 3108.3 298k 26vl m:014.h7.85.32u 3332 39es 3335 3336 39f6 333c 333d 39f7 39ei 332v 332w 332x 332y 39ej 39ek 332z 3330 3331 39el 39em 39en 3333 3334 3337 3338 3339 333a 333b 1es.85.32u 3332 3335 3336 333c 333d 332v 332w 332x 332y 332z 3330 3331 3333 3334 39eo 39ep 39eq 39er 39et 39eu 39ev 39ew 39ex 39ey 39ez 39f0 39f1 39f2 39f3 39f4 39f5 3337 3338 3339 333a 333b 012.14.16.359 333z 32u2 014.16.14m 3f:0ks.62.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2pr 2nn 2wo 2vl 2r0 2sx 2wg 2tu 2w3 d:0kv.62.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 27e 2pr 2nn 2wo 2vl 2r0 2sx 2wg 2tu 2w3 d:0w1.1c.n2 0vg.1c.6al.n2 21r2.n2 22ef.1fe 31r2 2n2 07s.1c.6c 2br.2y 27fq 247b 22kj.4 2583 23za 21v9 24ax.n9 25ej.6e.5h0 25h3 2aaf 21r8 28bj 22w9 212v 213z.pj 2379 22fv 23ur 28mz 28nc 25s0 21rq 257x 25t4 25q0 24ft 25ee 2w.8nd 2890 270v 24io 26u0 21q8 29c7 28gw 260f 28nb 22ma.6e.7g6 22wj 266g.20.2p8 25t3 29bx 2677 25t7 225 28ot 25z8 29y7.6e.a3m 257v 210u 21ph 29ul 25gh 2bv.ah 267f 21q8.9w 27bj 23uf 25sx 25p6 237e 296k 22ji 22d5 22cl 25gk 25un 2934 29bu 269s 21nx 24iq 25x9 23vb 24m7 29o.dg.9yl 25g8 26yh 25zw a:0lm.lz.rp.h.1g 41q 41w 42d 42k 43e 43l 43d 43o 2t2.h.1g 41q 41w 42d 42k 43e 43l 43d 43o 04i.11o.1e.1g 31q 31w 32d 32k 011o.1e.1g 22k 3s:0e.w.7.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 24.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 11f.7.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 24.o 321 36x 35y 31t 38o 35m 2:31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 1w.1f.7.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 34.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1v.7.o 2:36x 35y 3:35m 3:37y 35q 3:34j 31p 376 3aj 2:332 35n 31h 35t 37f 375 36h 368 24.o 321 36x 35y 2:38o 2:361 31u 37y 35q 33g 355 34j 2:376 3aj 330 332 35n 31h 35t 37f 375 36h 368 1w.v.7.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 34.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 15z.7.o 321 2:35y 31t 38o 35m 3:37y 35q 33g 355 34j 31p 376 3aj 2:332 35n 31h 35t 37f 375 36h 2:24.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 166.7.o 321 2:35y 31t 38o 35m 2:31u 37y 35q 33g 355 2:31p 4:332 35n 31h 35t 37f 375 36h 2:24.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 1w.5z.7.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 34.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 11l.7.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 24.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 2w.7.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 34.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 21f.7.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 34.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 2w.1f.7.o 521 56x 55y 51t 58o 55m 561 51u 57y 55q 53g 555 54j 51p 576 5aj 530 532 55n 51h 55t 57f 575 56h 568 44.o 521 56x 55y 51t 58o 55m 561 51u 57y 55q 53g 555 54j 51p 576 5aj 530 532 55n 51h 55t 57f 575 56h 568 1aa.7.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 24.o 321 36x 35y 31t 38o 35m 361 31u 37y 35q 33g 355 34j 31p 376 3aj 330 332 35n 31h 35t 37f 375 36h 368 11f.4.ka.1u 47y 3:1w.7.8t 3l3 3js 3kn 3ef 3ql 3b9 3iu 3bj 3lt 3p2 3dy 3fz 3ol 3gl 3bx 3he 3iu.d 3id 3m3 3cm 3ir 3hz 3mn 38p 214w 24.8t 3l3 3js 3kn 3ef 3ql 3b9 3iu 3bj 3lt 3p2 3dy 3fz 3ol 3gl 3bx 3he 31n.id 3id 3m3 3cm 3ir 3hz 3mn 38p 2156.132 2ef.d 2iu.d 2lt.d 2ir.d 2he.d 2bx.d 11f.7.8t 3l3 3js 3kn 3ef 3ql 3b9 3iu 3bj 3lt 3p2 3dy 3fz 3ol 3gl 3bx 3he 3iu.d 3id 3m3 3cm 3ir 3hz 3mn 38p 214w 24.8t 3l3 3js 3kn 3ef 3ql 3b9 3iu 3bj 3lt 3p2 3dy 3fz 3ol 3gl 3bx 3he 31n.id 3id 3m3 3cm 3ir 3hz 3mn 38p 2156.132 2ef.d 2iu.d 2lt.d 2ir.d 2he.d 2bx.d 1w.1f.7.8t 4l3 4js 4kn 4ef 4ql 4b9 4iu 4bj 4lt 4p2 4dy 4fz 4ol 4gl 4bx 4he 4iu.d 4id 4m3 4cm 4ir 4hz 4mn 48p 314w 34.8t 4l3 4js 4kn 4ef 4ql 4b9 4iu 4bj 4lt 4p2 4dy 4fz 4ol 4gl 4bx 4he 41n.id 4id 4m3 4cm 4ir 4hz 4mn 48p 3156.132 3ef.d 3iu.d 3lt.d 3ir.d 3he.d 3bx.d 11l.w.7.8t 4l3 4js 4kn 4ef 4ql 4b9 4iu 4bj 4lt 4p2 4dy 4fz 4ol 4gl 4bx 4he 4iu.d 4id 4m3 4cm 4ir 4hz 4mn 48p 314w 34.8t 4l3 4js 4kn 4ef 4ql 4b9 4iu 4bj 4lt 4p2 4dy 4fz 4ol 4gl 4bx 4he 41n.id 4id 4m3 4cm 4ir 4hz 4mn 48p 3156.132 3ef.d 3iu.d 3lt.d 3ir.d 3he.d 3bx.d 31f.7.8t 5l3 5js 5kn 5ef 5ql 5b9 5iu 5bj 5lt 5p2 5dy 5fz 5ol 5gl 5bx 5he 5iu.d 5id 5m3 5cm 5ir 5hz 5mn 58p 414w 44.8t 5l3 5js 5kn 5ef 5ql 5b9 5iu 5bj 5lt 5p2 5dy 5fz 5ol 5gl 5bx 5he 51n.id 5id 5m3 5cm 5ir 5hz 5mn 58p 4156.132 4ef.d 4iu.d 4lt.d 4ir.d 4he.d 4bx.d 1w.7.133 24.133 3:2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 166.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 11l.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 2w.h.5o 41g 41q 41w 42d 42k 43e 43l 43d 43o 1aa.h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 0p.4k.3c 1mi.3c 1nz.3c 1xo.3c 1ga.3c 1lr.3c 14k.3c.gh 1mi.3c.gh 14k.4a.t6.3c.gh 23c.f2.1ga 3130 3kq 43u 1mi.3c.2ic 14k.3c.27 1mi.3c.27 14k.3c.27.gh 4f2.1s8 4kq 335.27.kq 3kq.27.35 327.gr 53c.gh 527.gh 5130 5kq 4pn 1mi.3c.27.pn 14k.27.gh.4d.3c 23c.gh.4d.27 327.4a 1mi.3c.27.4a 14k.3c.27.en.4a.gh 4gh.4a.en 44a.gh 4kq.ms.4a.f4 335.27.kq.4a.f4 7gr 3kq.27.35.4a.f4 327.35.ms.4a.lo 44a.130 51j 5140 5kq 24a.hw.3c.27.en 23c.27.gr.4a.f4 7gr 7gh 227.4a.140.3c.35 23c.4a.140.27.35 327.gr.kq.4a.f4 4pn.4a.f4 4gr.4a.lo 5130.4a.lo 227.4a.130.3c.35 23c.4a.130.27.35 227.4a.1j.3c.35 6kq 23c.4a.zj.n9.27.35 59w.27.35 41j.27.35 327.4a.gr.kq 5zj.n9 6 227.4a.zj.n9.3c.35 7pn 53c.35 23c.4a.140.27.kq 1hl.2d.g9 4gh 4kq 4gr 515q 1xn.2d.g9.gr 14k.2d.g9.gr.gh 1ga.2d.g9.gr 1hl.2k.g9.ms 210i.2k.g9.ms 22k.g9.ms.2d.gh 210i.2k.g9.ms.2d.gh 22k.g9.ms.gh 210i.2k.g9.ms.gh 22k.g9.ms.4a.lo 1nz.2k.g9.ms 54m 1ga.2k.g9.ms.4m 1xo.2k.g9.ms 1hl.2k.g9.ms.kq 64a.f4 6ea.4a 2 2hw.155.5x3 210i 24a.f4 210i.4a.f4 24a.gh 3lo 215q.3c.4a.f4 36c 44a.f4 6gh 393 1xn 24a.f4 2ea.4a 24a.lo 1u4.2bz 2 1nz.4m 2 24m.4a.f4 24a.f4 24m.ea.4a 2ea.4a 24m.4a.lo 24a.lo 11fb.4m 2 1mi 1xo 24a.f4 2ea.4a 24a.lo 1ga.4m 34a.lo 2 24 24m.4a.f4 24a.f4 24m.ea.4a 2ea.4a 24a.f4.34u.3c 3hw.27.4s 1lr 14k.3c.27.4s 1mi.3c.27.4s 1ga.3c.27.4s 1lr.3c.27.4s 1ga.93 14k.3c.27.4s.gh 5gr 1ga.3c.27.4s.gr 14k.93.3k 42x0.en 5kl 4880.1j 335 24a.t6.93.35 1mi.93.35 1xo.93.35 1lr.93.35 14k.93.f2.1ga 3gh 39n8.4a 34a 1ga.93.4a 14k.93.3c.4a 1ga.93.3c.4a 1lr.93.3c.4a.3c.4a.n9 7 14k.93.3c 1mi.93.3c 1ga.93.3c 1lr.93.3c 14k.3c.27.93 1mi.3c.27.93 1ga.3c.27.93 24s 1lr.3c.27.93 14k.3c.27.bo.93 1mi.3c.27.bo.93 14k.4s.3k 1ga.4s.3k.3c.4a.2i.27 1lr.4s.3k.27.4a.3c.bo 14k.4s.35 3f2.1ga 393 1mi.4s.93 1xo.4s.93 1lr.4s.93 14k.4s.27 4gr 4f2.1s8 33c 34a 1u4.4s.4a 14k.3c.4s.93 1mi.3c.4s.93 11fb.3c.4s.93.9o 1u4.3c.4s.93.n9 59w 5t6 1nz.3c.4s.93 1ga.3c.4s.93 1lr.3c.4s.93.n9 5 14k.27.3k 1ga.27 14k.27.35 1mi.27.35 14k.27.f2.1ga 335.4a.f4 1u4.27.4a 14k.27.4a.93 393 34s.93 1mi.27.4s.93 11fb.27.4s.93.9o 1nz.27.4s.93 1ga.27.4s.93 1lr.27.4s.93.n9 59w 5 1mi.27.4s.93.gh 1xn.27.4s.93.gr 6f4 1u4.27.4s.93.gr.n9 69w 6 1ga.3c.kq 14k.3c.4a.f4 1ga.3c.4a.f4 14k.3c.4a.f4.4a.43 6gr 6gh 53c.gh 52a5.gh 53c.2ic 4lo.3c.en 6gh 42i 42bz 4ec.4a.l9 1xn.3c.4a.ec.4a.l9 14k.3c.4a.ec.4a.t6 42y 1nz.3c.4a 44m 1ga.3c.4a.4m 43n 4 44 1lr.3c.4a.n9 49w 4 14k.4a 310i 3f4.43 4gr 4gh 3lo 3hw.3c.27 427.4s 44s.93 3t6.1q.g9 34d.1q.g9 3t6.1w.g9 42d.g9 34d.2d.f2.1s8 2 210i 120d.7r 2q1 2hw 11qo.7r 2q1 2hw 11z4.7r 2q1 2hw 112p.7r 2q1 2hw 11jj.7r 2q1 2hw 11zb.1zg 2hw 115r.3n.7r 24.7r 23n.q1 24.q1 21jr 113m.3n.7r 24.7r 23n.q1 24.q1 21jr 115r.13m.jf 110y.35.3k.3n 44 31jr 23k.1jr 235.3k.jf.3n 54 2f4.20.f4.15k 17c.tz.12v 18c.tz.12v 17c.7r.en.4 45f 43n 4vy 3pd.u0 21m.en 3pd.u0 3jf 4pd.u0 2bo 2a9.en.y8 3pd.u0 3jf 4pd.u0 212i.4 35f 33n 2d7.4 35f 33n 3mo 2or.4 35f 33n 22q.4 35f 33n 2qm.4 35f 33n 2157.4 35f 33n 1uv.of.7r 31m 3jf 2oe.7r 31m 3jf 21b4 2ix.qg.7r 41m 4a9 1n8.x0.4 35f 33n 3vy 2z9.4 35f 33n 3vy 2hw.x0.4 45f 43n 4vy 3z9.4 45f 43n 4vy 18c.7r.en.4 45f 43n 4vy 3pd.u0 21m.en 3pd.u0 3jf 4pd.u0 2bo 2a9.en.y8 3pd.u0 3jf.y8 4pd.u0 212i 2d7.4 35f 33n 2or 22q.4 35f 33n 2qm.4 35f 33n 2157.4 35f 33n 111z.oe.7r 31m 3jf 2of.7r 31m 3jf 21b4 17c.ec.9a.4 45f 43n 4vy 318h.4 45f 43n 4vy 3349.2y.4 55f 2p0.4 35f 33n 2ho.4 35f 33n 34.1m 2ev.ec.1m.4 55f 53n 4a9.4 55f 53n 2ec.wn.en 2kl.bo.4 45f 1of.7r 21m 2dp 17c.1b4 2ec.bi.vm.m4 2p0.bi.vm.m4 2ho.bi.vm.m4 2ev.bi.vm.m4 1of.7r.bi.vm.m4 21m.bi.vm.m4 2jf.bi.vm.m4 17c.ec.bi.zr 2p0.bi.zr 2ho.bi.zr 2ev.bi.zr 1of.7r.bi.zr 21m.bi.zr 2jf.bi.zr 17c.ev.43.1aa.4 55f 53n 18c.ec.bi.mc.4 53n 2p0.bi.mc.4.1m 53n.1m 54.a9 53n.a9 2ho.bi.mc.4.7r 53n.7r 54.1m 53n.1m 2ev.bi.mc.4 53n 1oe.7r.bi.mc 21m.bi.mc 2jf.bi.mc 18c.ec.bi.ln.4 53n 2p0.bi.ln.4.1m 53n.1m 5a9.4.a9 63n.a9 2ho.bi.ln.4.7r 53n.7r 54.1m 53n.1m 2ev.bi.ln.4 53n 1oe.7r.bi.ln 21m.bi.ln 2jf.bi.ln 18c.ec.4 35f 33n 3vy 34lz 2p0.4 2ho.4 2ev.rl 34 33n 1oe.7r 21m 2jf 18c.1b4.uh 17c.ix.2y.4.7r 45f.7r 44.1m 45f.1m 18c.ix.2y.bi.m4.4.7r 65f.7r 63n.7r 64.1m 65f.1m 63n.1m 17c.pd.2y.vm.7r 51m 18c.pd.2y.bi.m4.7r 61m 17c.tz.md.7r 41m 18c.tz.md.bi.m4.7r 61m 1tr.8e.4 33n 25xj 2318 211u 22wd 230s 3jf 25uh.87z.204 266w 1eh 28ok 27c.en 39lo 28c.en 27c.ec 28c.ec 2y8.2y 12x.1dz.15a.sn.lo.1kw 535.6e.3k 81kw 1103.en.35 3d5 33k 11e5.103.d5.3k 33k.d5 335.d5 3d5.35 11q3.d5 212v 2124 1g7.4m 299o 2bv 1tx.29m.7r 3q1 1g7.2j.4m 2qj.4m 22j.bv 2a4h.y8 1tx.a4p 11pl.35 23k 22fu 117w.en 31m 3jf 11em.en 31m 3jf 117w.kl 11em.kl 117w.2be 112t.8gk 2d5 232e 111u.12t.46 327 33u 12ee 1sn.d5 212v 221e 2a4i 1128.29v.n9 29de.9w 24a5.4.2x7 29dd.4.2x7 11n4.6mh 25um 1ah.bv.d5 3lo 312v 21b8 3124 34m 21ez 3124 34m 24m.2y 3lo 3124 31a3 4124 438a 3uk 4124 438a 214g 3lo 3124 211u 3lo 332e 1y0.8fo.1ky 11gs.23.4d.28 228.4d.23 1ah.12y 221e.7r 31m 1mv.327.n9.5xi 271t.y0 2kh.hw.y0 334u.l9.ah 2l9.ah.2wd 27hd.3v8.4g0 26c.327.n9 3l9.ah 111t 2y8 29o.mv 4y8 3y0 4y8 249x.y0 17c.2jv 18c.2jv 12qw 1xm 15ul 11b5.13y.996 38f0 1a3c.1b5.13y.2q4 15z9.1b5.13y.2q4 11b5.1kw.ck.a3b 134r.en.9c8 2kl.12i 19n6.9r3 128.29y.1kw.ck.13y.6p4 1xz.4ly 2710 2711 2712 2713 2714 2715 2716 1tz 1733.jm 1732.jm 1y1.6ao 2ta 25ez 2eh.2qw 29n5 2726.5gb 1ag 1br.8n 1ri 1fs 1cv g:1i1.2ps 22pt 22pu 22pv 22pw 2:1mo.2ps 22pt 22pu 22pv 22pw 27gi 27gj 27gk 27gb 27gc 27gd 27ge 27gf 27gg 27gh up:08.4.0.1pr.g6.5.9nz 373.v.5m 10.4.7.4t.5m 14.0.73.5q 10.4.7.3g.5.s0 14.0.1gr.5.dt.2i 34t.6h.5.s0 373.qx 34t.30.5.54.kt.s.dt.2i 35n.5.2i.s.dt.2i 10.dt.s4.5.dt.2i 14.0.l7.5.1m.3j 7s.jq 34t.5n.5.jq 10.8w.f8.8n.5.jq 2it.6x.5.jq 24.7.4t.5q 14.0.3g.5.xg 31dv.g6.5.gz.2i 33g.5.s0.s.gz.2i 3qx.5.gz.2i 34t.30.5.gz.2i 330.5.xg.s.gz.2i 31kr.g6.5.gz.2i 3qy.5.gz.2i 31dv.g6.5.dt.2i 31u.5.2a.s.dt.2i 31p.5.dt.2i 31kr.g6.5.dt.2i 36x.5.dt.2i 332.5.jq 7:35y.5.14s.y.2i 33g.5.14s.y.2i 34j.5.14s.y.2i 330.5.14s.y.2i 332.5.14s.y.2i 35n.5.14s.y.2i 5y:012.44.0.1ml 31n8 320z 31ql 31p4 321q 321z 2:321x 3147 32r.147 31u 31p2 31rt 31sx 319l 31u7 31v7 31w7 31xd 31yg 320p 320w 31q6 31qv 3:31k1 3120 317a 380 3pf 31ls 321l 2:3e3 34.gg 2:3g4 3146.4.gg 3nr.gg 3146.nr.gg 3107 6:01o.0.17.4.o 4ma 4li 4kb 4j0 4l8 4m6 4jd 41u 42p 4im 4kp 41p 4cf 4n3 4ny 4eo 41h 4qw 43p 4nm 4hy 480 4pf 41t 4e3 41pb 4rh 4175.1u 4pw 4rz.1p 4en.1h 41vf 017.9s.4.0.o 4ma 4li 4kb 4j0 4l8 4m6 4jd 41u 42p 4im 41p 4cf 4ny 41h 4qw 43p 4nm 4hy 480 4se.3 4pf 4kb.5.1lf 4175.1u 4vh 41pa 01o.0.17.4.ny.5.dw 4pf.5.pj.16k 4en.1h.5.2a y:012.17.4.0.175.1u 35:095.96.2t.0.4l 4gp 47u5 44y 43p 44q 4m5 47r4 47u 44p 456 4c6 47lu 47ub 42p 45a 494 41uu 4ao 47ug 49r7 4d9 44b 4k1 44v 47t0 449 4380 47sx 41e1 47sy 451 42pr 41im 45d 4k2 4o 469 41u 41h 41p 4bs 41t 4ct 47f 4:39mr 39mv 39mu 39mx 39mw 39mt 39ms 33.1c.j7 59k9 5y1 53xa 56mu 421h.21h 36.1gq 3:3h.5o 41g 41q 41w 42d 42k 43e 43l 43d 43o 5:3y2.7vt 31j.7u 8x:0gd.0.49 25w 24y 25a 22p 25d 24l 24q 27q 256 28u 24v 28h 27p 23p 24b 24p 21u 2173.1u 218r 2173.18r 21h 21t 2173.1t 217u 2173.17u 21p 2fl 2173.fl 2o 13.oc.3w i:0au.0.69 2o 25w 27u 25a 25d 24v 2aq 24p 24q 249 24y 29t 2d9 256 280 27p 2c6 28h 2ao 22p 21p 27t 24b 24l 28x 23p 21t 21u 27q 21h 272v 2gp 220e 21i3 23rp 2pi 21rb 29o 2b3 226r 294 29ts 2a9r 13w.35v 29qk 21s9 26vb 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 6:17oz.3 cx:0cn.dr.0.1p 31i5 36k 31a6 31i3 3o 33vs 3je 33xp 3on 31u 310k 36jp 318q 31fo 31h 31bw 3h5 3ze 3t7 31t 317t 31e8 3kp 3b3 35u5 35sv 23.86z 37hw 39nd 32jd 39e2 2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 5z:06k.dc.0.1p 3oa 31i3 387v 3bs 31a6 3o 3ww 3je 3on 3lk 31cq 31u 318q 32jn 36ne 32j3 39w 31h 3ze 39tm 39u5 39uo 3t7 31t 3ny 3s8 313a 317t 31e8 23.dy 32jd 36ex 2h.5o 31g 31q 31w 32d 32k 33e 33l 33d 33o 5:2ki.3 dd:015.6.6bd 26bj 26bh 26be 26bg 26bf 26bi 2:2lq.2i7 26bc 26bb 26ba 2:2lq.1hh 32qc 2:32vy 32vx 32vw 32ai 32ah 31gi 32lp 31gh 32hq 32hp 32ho 32ge 32gd 31iu 32vh 2:02n.2m.6.2ng.j5 32nh.2p 32ni.jw 375u.1s0 376o.kd 3765.192 375d.hn 3790.6we 32nj.k7 32nk.8h 32nl.tc 377j.1lk 377b.ik 3777.1c4 375a.jc 379f.a5n 3780.37l 375q.a5v 375e.a5t 377w.a5u 32nm.1hb 32nn.jz 32no.7i4 375o.sm 376n.q0 378b.2q7 379a.7hu 32np.l4 32nq.5w 32nr.hx 3787.12h 376q.ma 376w.2a0 377v.qr 32ns.1u 32nt.o 32nu.1h 378k.ct 376t.1t 378m.bs 3784.1p 377u.tt 377o.9w 377s.9w 379g.eq 378z.b3 32ny.jk 32nz.56 32o0.k5 378j.11b 3779.k3 377t.1b9 3768.if 379h.967 32o4.9y 32o5.4p 32o6.i6 376d.1go 3762.cd 375j.14o 378a.ku 3773.54.cd 32nv.l5 32nw.5a 32nx.l6 376i.131 3791.2dr 3792.ko 32o1.le 32o2.4y 32o3.iv 376k.15y 375k.eo 376x.163 375y.20 32o7.xt 32o8.7p 32o9.10m 378e.149 3776.pw 378h.2k5 375s.sf 378w.54.sf 32oa.a 32ob.4v 32oc.e3 3772.16j 3769.no 377y.1lu 377e.g4 32od.s9 32oe.d9 32of.vn 3767.106 3764.qz 377q.1q2 376h.sc 379i.60b 376u.1pn 32og.1up 32oh.7ko 32oi.ap 377a.1ue 378q.7sh 378x.er 32ok.3p 3797.oz 32oj.1ff 376p.dx 32ol.18k 377x.hm 376c.6an 377l.6f6 375i.2ib 377n.2ht 376g.2is 375h.2i2 379e.1r0 375b.6gx 376j.2r9 32om.19r 376b.1uk 3778.2r7 3783.1ug 378d.1uj 377d.1ui 378g.7np 377k.7nx 376f.54.1ug 376z.54.1uj 3794.54.1ui 378c.j3 3774.5d 378p.mg 379b.188 378n.67h 378o.67d 3795.2r5 375m.2rf 378y.7ox 375x.bx 376s.49 375f.q9 376a.w5 375g.cf 376v.1ak 375v.lw 3782.1tb 375r.14q 377f.1tf 375c.1h3 3799.1h3 3761.1h2 378t.1te 378v.1td 3798.7cb 378i.54.1h2 376y.54.1te 377z.54.1td 377p.2li 376l.194 3763.2lk 32on.2lh 3771.2lg 3775.2lj 378f.1gb 377h.2gn 375l.1qb 3785.1qc 376m.2gm 3770.1f1 3760.2gp 375z.2go 378s.4b 377g.1ub 377m.110 377i.1hm 379c.1ua 377c.1hl 375w.2qu 375t.1uc 3789.2ro 379d.1ur 3786.19t 377r.2rt 3793.ws 3796.ao 3788.122 378u.zf 376e.li 3781.376 3766.ux 378l.7w2 375n.7vu 378r.7wd 376r.7vx 375p.7w8 3:2h.1g 31q 31w 32d 32k 33e 33l 33d 33o 212.10.9j2 4t2 41r3 4z7 47e.z7 440.z7 410w 16:06w.7.0.1m6 32c9 31sh 32pp 35w 330u 3cf 31cy 34b 31t 3d9 31u 31p 3bq 338h 3dv 3ap 3c1 34v 31h 32jy 3hz 33p 31wu 35d 394 3iv 314z 3ao 38x 31f1 31ly 31gb 380 14.0.1m6 32c9 31sh 32pp 35w 330u 3cf 31cy 34b 31t 3d9 31u 31p 3bq 338h 3dv 3ap 3c1 34v 31h 32jy 3hz 33p 31wu 35d 394 3iv 314z 3ao 38x 31f1 31ly 31gb 380 11m6.1gq 1j.1gq 110d.1e 17x 16j.1o 163o.6j.1o 1i8 11hj.1e 5:1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 5:12r.i0.1e 2h2.1e lu:089.4e.10.1g 31q 31w 32d 32k 33e 33l 33d 33o 37e 3cg 3go 3hj 3f7 3mq 3fj 3nv 3ek 31g.40 31q.40 31w.40 32d.40 32k.40 33e.40 33l.40 33d.40 33o.40 31g.57 31q.57 31w.57 32d.57 32k.57 33e.57 33l.57 33d.57 33o.57 37e.57 3cg.57 3go.57 3hj.57 3f7.57 3mq.57 3fj.57 3nv.57 3ek.57 31sj 36zw 21sj.1e 210.6rd 36re 3ui.1g 41q 41w 42d 42k 43e 43l 43d 43o 21w4 260.1g.9a 42j 31w.ji 2yp.1e 210.dp.1g 41q 47e.57 2dp.1sj.1e 25:0ai.4e.10.1g 31q 31w 32d 32k 33e 33l 33d 33o 37e 3cg 3go 3hj 3f7 3mq 3fj 3nv 3ek 31g.40 31q.40 31w.40 32d.40 32k.40 33e.40 33l.40 33d.40 33o.40 31g.57 31q.57 31w.57 32d.57 32k.57 33e.57 33l.57 33d.57 33o.57 37e.57 3cg.57 3go.57 3hj.57 3f7.57 3mq.57 3fj.57 3nv.57 3ek.57 27b8 2dp.10.1q 41w 42d 42k 43e 43l 43d 43o 47e 42d.40 43e.40 41q.57 47e.57 260.1g.2j 41yb 5f:09.e.3m 2d2 25p 2km 2:2dv 2np 251 2dz 22v 2c1 28l 22s 29n 2c5 2d0 2eg 2fi 2f1 2em 2de 2bu 2ja 29i 2z4 2fu 2pg 2i2 2ka.d2 39n 3eg 3f1 2:22r.d2 35p 2:3cc 3:351 2:32v 3c1 38l 32s 39n 3c5 3d0 3eg 3fi 3f1 2:3de 3bu 3ja 39i 2:3fu 2:3i2 7:2nk.5p 5:351 2:32v 2:38l 2:39n 3c5 3d0 2:3fi 3f1 2:3de 3:39i 2:3fu 2:3i2 2:3ka.9n 2:4f1 2:2it.d2 35p 2:3cc 3:351 3dz 32v 3c1 2:32s 39n 3c5 3d0 3eg 3fi 3f1 2:3de 3bu 3ja 39i 2:3fu 3pg 3i2 3ka.d2 2:4eg 2:2hc.3m 3d2 35p 3km 3cc 3dv 3np 351 3dz 32v 2:38l 32s 39n 3c5 3d0 3eg 3fi 3f1 3em 3de 3bu 3ja 39i 3z4 3fu 3pg 3i2 6:266.d2 35p 3km 2:3dv 3np 351 3dz 32v 2:38l 32s 39n 3c5 3d0 3eg 3fi 3f1 3em 3de 3bu 3ja 39i 3z4 3fu 3pg 3i2 1h:2cp.2s.5.51.5.15x 351.5.km 7j:0da.3s.9v.tb 26r.tb 2b6.tb 25g.tb 2lc.xb 2xl.xb 21y.xb 21g.2f.v9 21q.2f.v9 21w.2f.v9 22d.2f.v9 22k.2f.v9 23e.2f.v9 23l.2f.v9 23d.2f.v9 23o.2f.v9 21g.2f.v3 21q.2f.v3 21w.2f.v3 22d.2f.v3 22k.2f.v3 23e.2f.v3 23l.2f.v3 23d.2f.v3 23o.2f.v3 21g.2f.md 21q.2f.md 21w.2f.md 22d.2f.md 22k.2f.md 23e.2f.md 23l.2f.md 23d.2f.md 23o.2f.md 28e6 287p 21mq 24ha 299i 29dj 240e 2a4q 21fy 2pj 5:05u.3s.47.pj 26f9 26fa 26fb 26fc 26fd 26fe 26ff 26fg 26fh 26fi 26fj 26fk 26fl 26fm 26fn 26fo 26fp 26fq 26fr 26fs 26ft 26fu 26fv 26fw 26fx 26fy 26fz 26g0 26g1 26g2 26g3 26g4 26g5 26g6 26g7 26g8 26g9 26ga 26gb 26gc 26gd 26ge 26gf 26gg 26gh 26gi 26gj 26gk 26gl 22h.pj 29yn 29yo 29yp 29yq 29yr 29ys 29yt 29yu 29yv 29yw 29yx 29yy 29yz 29z0 29z1 29z2 29z3 29z4 29z5 29z6 29z7 29z8 29z9 29za 29zb 29zc 29zd 29ze 29zf 29zg 29zh 29zi 29zj 29zk 29zl 29zm 29zn 29zo 29zp 29zq 29zr 29zs 29zt 29zu 29zv 29zw 29zx 29zy 29zz d:07k.70.pj 21cd.2f.pa 21q.2f.pa 21w.2f.pa 22d.2f.pa 22k.2f.pa 23e.2f.pa 23l.2f.pa 23d.2f.pa 23o.2f.pa 27e.2f.pa 21fv.2f.pa 2ez.2f.pa 2kx.2f.pa 2jv.2f.pa 3:21cd.2f.mj 21q.2f.mj 21w.2f.mj 22d.2f.mj 22k.2f.mj 23e.2f.mj 23l.2f.mj 23d.2f.mj 23o.2f.mj 27e.2f.mj 21fv.2f.mj 2ez.2f.mj 2kx.2f.mj 2jv.2f.mj 2lc.1fy 2:21cd.2f.ot 21q.2f.ot 21w.2f.ot 22d.2f.ot 22k.2f.ot 23e.2f.ot 23l.2f.ot 23d.2f.ot 23o.2f.ot 27e.2f.ot 21fv.2f.ot 2ez.2f.ot 2kx.2f.ot 2jv.2f.ot 21r.1fy 2:21cd.2f.os 21q.2f.os 21w.2f.os 22d.2f.os 22k.2f.os 23e.2f.os 23l.2f.os 23d.2f.os 23o.2f.os 27e.2f.os 21fv.2f.os 2ez.2f.os 2kx.2f.os 2jv.2f.os 21y.1fy 25zm 29oe 29op 29os 29ot 29ou 29ov 29ow 29ox 29oy 29of 29og 29oh 29oi 29oj 29ok 29ol 29om 29on 29oo 29oq 29or b:0h.5o.br.8n 2ag 11g.ag 11q.ag 11w.ag 12d.ag 12k.ag 13e.ag 13l.ag 13d.ag 13o.ag 0fw.1j.1l.h.5o 15s.1j.1l.h.5o 01j.5o.5.ni 1k8.t 1zy.3.5.1vc.zl 03x.8.7.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 0ii.g1.tj.8.7.0.32 01j.1f.8.7.0.6x 530 12ay 1a5w 058b.d 034.8.7.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 11fk 119k 18v0 11ke 18ff 137i 05s.1j.8.7.0.o 521 56x 55y 51t 58o 55m 561 51u 57y 55q 53g 555 54j 51p 576 5aj 530 532 55n 51h 55t 57f 575 56h 568 0f2.2p3.3 17cc.3 17hi.3 01j.2ax 16x.5.1vc.zl 11r2.sa 05s.34.8.7.0.o 521 56x 55y 51t 58o 55m 561 51u 57y 55q 53g 555 54j 51p 576 5aj 530 532 55n 51h 55t 57f 575 56h 568 0pn.5s.34.8.7.0.76 05s.34.1r6 249 256 2je 237i 01d.5ha 034.4i8 1587 1185 12j3 171 1kw 11i2 198l 135.5.i0.1e 1a1i 11w.5y 1we.1b0 11q.5q 12d.5q 13d.5q 12k.ht.1g 13l.ht.1g 120s.ht.1q 1mq.76 11g.40.cg.76 18.4.0.5y 16a5 16a6 16br 173p 195q 19tv 1a11 01t9.21d.d 1l:0i9.fn.d.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 01d.6d.6ez 034.2c.6vd 256 e:1c.c0.6ka 36k6 36jy 12c.j0 1c.c0.2j6 36k4 36kv 36k5 36js 36kh 36ko 36kf 36jv 36k9 36jt 36kg 36ju 36ku 36kp 36kw 36k3 36k1 36km 36kb 36kd 36jq 32j5 36ky 36k8 36jr 36jz 36kc 36kx 32j7 36ks 36kt 36k0 36kl 36kj 36ki 36kq 36jw 36k2 36kz 5:0ii.g1.tj.c.c0.6kk 52j5 52j6 56k7 56kn 52j7 56kr 56jx 56ke 8:01j.f.3us 23uc f:0og.d.1c.vn 3i6 3950 3ol 395b 34de 4b:059q 05zf 0bv.1by 01hr.5.9b4 032i.4d.7hb 1 02bg.d1.5py 09dl.4d.2ae 08lq 012n.d1.1hr 0pc.ev 0a15 07fe.1c3 0n2.1f3.5ue 23wm 23ze 01f3.5.7cz 071.gk.d 037h.12z.gk.d 0vk.9a.gk.d 037h.2h6.gk.d 0br.gk.d 037b.2h6.gk.d 01sl.9a.gk.d 037b.12z.gk.d 012z.gk 071.gk.5.2x 0vk.9a.gk.5.2x 01sl.9a.gk.5.2x 0br.gk.5.2x 0nj.5.2x 0669.ak 094n.ak 0346 01r.2e2 01y.nj 25.4.s5 21mw.s5 45.119 0s5.5.119 21yi 219a 29n4 05ze 0tb.29v.2x 018l.135 09hl 04bu 04gf 08vd 05ug.t4 05ed.t4 0155.t4 04da 018l.2u4 09qc 04gd.29u 08pg 06bs 09dk 029u 0100.2f.7ai 215f 06ay 02d.jx.4ir 07az.jx 05xd.jx 0jx.2fu.9w.tb 02q9 09mo 0403 0671 02p9 0a3o 09i0 070z 046z 08dj 0lc.27u 0xl.27u 08ba 08b7 04gc 09c5 069e 0316.2f.8ds 01h5.9o.1d0 08f6.kt 015f.58r 1qq 0585.15f 059h.s.15f 09ba.1n2 098t 02a9 02g5.609 08p6.32p.2v4 05d3 086r 09dz 0608.30d 0ox.1nd.5.1bd.5f5 0p9.xr.2bt 093s.xr 0xr.2bt 05p7 02bq 04h2.3j 04dn 0739 059j 06f1.1iq 094x 048u.2q 01iq.2f.1et 0586 01ev.s.14h 09iu.16g.2hu 08th.1d1.s.17g 01lm.13t 04ln.13t 035d.2dz 0296.1he 02bh.296.7hv 012f.1d1 01ev.s.14h.5.8dy 01d1.5.8ew.58d 08eu 0ss 0a5g.8fn 049p.1nd 06nl 01nm.t4 02fi.1nm 05yk 05yj.98u 01mo 01vn.8ev 057n.qq 09hy.t4 0pn.5z1 08di.2cz 0xs.2dp 04e2.9c6 0tb.4gq 0gk.a0i.4fh 01xp.8ua 066x.1d7 0fm.5.kh.9o.dg.y 02a6.2f.5za 01tp.19f 08n2.ss 016.190.5.6nm 09co.2pj 02ml.97n 012w.6uz 01cx.283.16.19w 11ow.16.19w 02fn.604 03up.9lf 04e1.vs 05xx.1ll 01ji.1nv 05yn.1ai.s.ox 02pj 07he.1d4 04i0 06ah 03z4.89b 08g.10h 04i3.1zo 09le 04ib.zq 08bs.282 0370.2gi 01oy.2ie 097r.1t4 049k 02gi.x8 04an 013n.7k.4dy 016.hs 0q1.16.19w 08uk 067j 016.190 09oz 0a0o 016.8us 01xi.94g.5.8u9 033w.2w2.s.qq 0315.s.315.2a4 047f.s.6f4 04gb.r1 0980 0p6 09dw 099e.19f 09od 0vs.w8 03wl.2fx 08qj.2fx 09e8 016e.71z 066i 0w8.7h7 1mz 02bu.1ms.s.qq 0a16 02fl.2ii.t0.s.qq 0xr.2ii.t0.s.8gj 01zj.33w.891.s.qq 01yi.4du.y7 04dk 048d.5.1by 0174.1o1 0142.2ae 02bg 05f1.142.174 04id.174 02d6 16na 02qq.8ag 09ax 0142.174 15.62z 01v5.174 0xs.1wb.1v5 02fd.1wb.1v5 06gm 01mr 040d.9j7.1t4 02ip 01sy.2ip 0584.328 01xp 05ey.328 05x5 06nk.703 0xs.1ng 02fd.1ng 01y.2u1 01r.2u1 0216.1y.r1 11r.r1 01xg 01r.1xg 06yf 046l.2w2.s.95o 012m.s.t 03wo 0vi.1o.181.9rf 3368 3369 336a 336b 01j4 010x 01i7 0pc.4bf 017e 01ku 0718 02w1 0pm 0xb 058v 037m 097x 0rl 0vs 01j3 066d 01xz 019h 08pe 04gk 0135 01il 029w 01pe 086q 0qg.g1 04bg 03xh 06f2 06yl.297 0ox 035d.ox 04a6 01bt 069w.1nk 012f.1nk 060a.12f.1nk 0170 08bl 06v6 08es 05pc.2an 046j.2an 05hr 010x.2x 017e.2x 01ku.2x 02w1.2x 0pm.2x 0xb.2x 099g.37m 0vs.2x 019h.2x 0135.2x 01il.2x 0186.2x 069h.2x 0a52.2x 0294.2x 089q.2x 01il.sn 01vo.8ft 04gt 0g7 0tx 0100 0sn 0ah 0mv 01y.35.8a.x1.3c 13k.8a.x1.3c 1y.8a.x1.3c 1u.8a.x1.3c 05yo.fg.3 0216.fg.3 01i2.fg.3 01kt.35.3 13k.3 04ic.vq.3 04m.vq.3 02bw 01ln.10h 05uz 07mv 09g0 06nw 02dy 06ty 049i 01ln.1ns 08gy 069j 08f5 07at.11g 03zt.11g 06c2.11g 01ln.2xo 14aa 05zn 04by.9w.1k3 04bz.9w.1k3 04ap 065x 0jz 0zh 02fh 0jz.s.zh.13z.vq 01q.sm.13z.vq 1a53.13z.vq 01io.86v 0zh.5.4bn.2ee 04b2.5.9yh 0j7.5.4a4.xm 0jz.5.67c.bx.7ay 235w 01v6.jz 1zh 012f 01o1.a58 08fs 0xs.86x 166e 01qi 012f.3wx 05uv.qn 0qn.19i 06m1 01ye 01ra.5f6.j7 067g 05d1 072l 07km.1w8 02x.7bi 0695 0477.1ai 09fh 08dd 014g.1e 01sy.0 04s 063n.1z0 014g 02a6 058o.5.fm 0a3x 048i.fm 012o.fm 01q.mj 098w.fm 067b.fm 0fm.5.t 0v5.fm 0xl.fm 01c7.fm 01wm.fm 0fm.5.ss 02wm.mj 0fm.2cz 0cj.93p.5.o.1x.l9 01ec.37.4bh 01m9.d 0172 01yf.d 04lu.d 0998.1kp.d 02e2 0dj.d 08dc.2f.1ak 05z7.49a 02dm.d 011j.1mo 01zw.1mo 01y.13n 040.8el.d 02px.1cs 0to.5uk 02g.zy.3 01o9.70 01cv.5.1c8.3 2zy.3 22fc.3 21ir.3 02px.5.a4n 0179.5.5j.20h.s.1c8.3 08v8 01vt.1di 04b3 07fk 01er.17l 02t6.cb 05q3 0180.10a 04m.180.10a 0ug.5.jq 117y.35 01ne 09ix.1ne 070.3c 0179.5.5j.20h 25b.20h 03j.179 04im 01wp 0qc.1wp 08a9 0en.1ay 0k6.1ay 02a1.9hk 070q 02s0 15.5ef.1o6 0bv.12l 04m.12l 0xl.12l 0v5.12l 0152.12l 04a9 0ya.46k 08ux 07ct 0ro.1j5 0893 01pp.1t4 02xs.1mc 08gi.3uk.73s 04g2.7cm 0886.351 06m4.351 088z 05qn.d 06m7.vj 0vj.5.5b.t.1a 0bv.1h0.5.2n4.r1 3f2.r1 04m.1h0.5.f2.r1 32n4.r1 08f1 01ip.f9 02r2 019g.1ij 25.2u.t.d1.y 0a0a.7g5 019g.1ij.86u 0ea.19g.8cm 01mc.5.16w 01d4 15.5z4 0370.1d4 01bh 02w3 0a0b 02fn.8g1 08ex.9bp 08fh.48e 09r2.2u.m8 0n1.2u.s.3f.4m.2y.m8 75.1j.1g.j6 15b.s.5j.4m.2y.m8 0k8.5b.s.5j.4m.2y.m8 03u.2ab.d 046.2ab.d 011i.5.1d5.2a 1 15.1g.mr.ev 21w.mr.215 028w 01ec.8e4 0fo.2or.13t 0f3.2or.13t 01gu.5.6mj.158 0bv.1gu.5.vx 0vx 01gu 04m.1gu 0zo 15.1d5.2a 02a1 02ms.d 02w3.12r 0pj.5.3f.t.1a 0e7.5.3f.t.1a 09o.5.i0.1e.5.y.u.t.1a 098h.5.2u.t.1a 08g.5.5j.t.1a 0ea.1g.t6.tu.d 02kp.7e 0145.d.1c.8.7.1ss 44.1ss 37vd 31zg 38.1ss 0sb 01ec.9n3 037t 01fa 02sb.s.1n1 06ew 08dq 07eu 09j6 0597.qq 03e.el.ak.5.27.1x 0xs.d.1c.48o 01bp.5sy 01r.1d.12r 01y.1d.12r 03n.lc.2y 1v5.2y 1152.cj 1v5.cj 04.152.cj 1v5.cj 0hu.lc.4u 0jr.lc.4u 0hu.4.lc.4u 0jr.4.lc.4u 023.u.qe.1y.2y 028.u.qe.1y.2y 01j.bo.1w9 0bo.1w9.5.18h.1v 2 0uf.y.1b2.5.1w.41 1u.1b2.5.1w.41 0d.1c.vz.4fv 01y.8.bo 02g.8.bo 04f7.bo 0oa.d 02du.2f.1vp 06qm 07h4 09fa 07cw.5.3o.4aw 01n2.2f.6i7 0hh.2x.1g.re 21q.re 21w.re 22d.re 22k.re 23e.re 23l.re 23d.re 23o.re 27e.re 2pr.re 2nn.re 2876 29r6 29kr 2600 25ys 2973 2932 25se 27py 29ja 25ss 29qx 0u.11i 25.1g.mr.ev 31w.mr.215 02af 15.mr.215 08op.zo 012l 04dm 07aw.hh 01r.1ye.s.2bv 0ea.8dn 02ij 0jz.9w.4bw.wj.71g 097l.6e.99n 02ck.32h 01ka 1a3w 06pa 0jz.5d2 0y.fg.ro.1j5 0ro.1j5.5.ug 0u.fg.ro.1j5 01y.34v.ro 01r.34v.ro 0ro.9o.8g.2f.7g8 04ia.19g.1ij 0pj.2f.vj 0322.vj 0vj.5.19a 0109.vj 0158.4d.322.vj 072i.8aa 01r.1wp 023.y.1if 246y.158 22g2.158 2896 258s 0y.37u.fg 04t.1i2.fg.3 0f2.fg.5.g9.31u 073.f2.fg.5.g9.31u 11kt.35.3 23k.3 136y.fg 1fg.5.27.tz.j2 0f2.fg.5.1vm.hw.27.s.4s.g9 01y.3k.8a.y.fg.3c 0ld.1y.y.8a.3c 2u.8a.3c 11r.y.8a.3c 2u.8a.3c 01r.y.8a.x1.3c 1u.8a.x1.3c 0ld.1y.35.8a.3c 23k.8a.3c 11r.35.8a.3c 23k.8a.3c 01r.35.8a.x1.3c 13k.8a.x1.3c 1fm 02d7.1di 0190.s.10x 01w.7n5.57l 02v9 08ee.4dh 01r.se.g1.1er.17l 01y.se.g1.1er.17l 0p9.g1.1er.17l 033m.4e6 0a4r.190 01g.12r.10x 01q.12r.10x 01w.12r.10x 09nf 019.1vt.1di 0se.17l 01b0 02v9.1r7 01pp.1r7 02t6.cb.1r7 017o.5.wm 3s.1vx 21vx 01ey.5.1vx 29ln 2eq.75 01r.10a 010a 04m.10a 070.3c.5h4 1180.2q 0180.4d8 0nw.hs 2ug 21a7 0hs 1ug 11a7 0nw.17o 1ug 12tk 017o 0ug 02tk 0a3l 0qg.hs.1a7 11ne.1a7 02d7.37o 07fl 07bt 01vd 0n1.u.s.y.1b2.m8 01d5.75 01r8.2fw.312.d 02d0.2fw.312.d 057k 019.vx 08pa.2r2 0ug.5.1j.wm 01yz.179 0zs.14h 0y0 0990.eh.9w.1k3 01w.qa.1a 21v 2y 2u 0y.11j.v6 0u.11j.v6 01q.11j.1n7 01w.11j.1n7 0y.1zw.v6 0u.1zw.v6 0y.1m9.v6 0u.1m9.v6 01tx.v6 019a.1tx.v6 2 0pk.2q.5.pk 1v.75 12q.5.v.75 1w.v.75 12q.5.w.v.75 037.or.1e 0pk.2q.5.w.or 0a59.19b 07ha.60e 09mm.9nb 09b7.2f.71r 01k3.2f.6ns 07hg 018e.2x 25.ie.g7 02x.5.1zn.2f.1rq 0ie.2x.5.4m.ah 5s.ie.g7 61nw.1kp 634a.g7 369b 32in 037q.2x 0ie.2x.5.ie.g7 02x.8ug.5ep.1et 02we.2x 0ie.2x.5.2i0.g7 332h 097v.2x 0d5.2x 05us.2x 09u8.2x 02x.5.1nw.1kp 08bo.2x 057q.2x 057p.2x 01g6.2x 02x.9ks.o.14g 01g6.2x.5.ie.g7 3bv.g7 02x.5.1z6.mv 4s.37q.tx 534a.g7 02dj.2x 0a5b.2x 03x0.2x 01wc.2x 01ob.2x 08bu.2x 02x.5.73j.2f.9o5 02dj.tl.2we.2x 013o.2x.5.4m.ah 03x2.2x 05xo.2x 037j.2x 097k.2x 09lx.2x 0679.2x 073r.1ob.2x 02x.5.4m.ah 06ha.2x 02x.5.4m.ah.s.1nw.1kp 18uv.9w.5xn 03zm.2x 05zc.2x 01yf.2x 02dm.2x 02x.16g.ah 15.7ch.1t9 018e.pm.2x.5.ie.g7 0pm.2x.5.1zn.2f.1rq 0ie.pm.2x.5.4m.ah 42i0.g7 0pm.2x.5.a5k.1b8 01g6.pm.2x.5.bv.g7 01wc.pm.2x 01ob.pm.2x 037j.pm.2x 01k7.13o.2x 1ie.2x 09uu.2x 02x.5.2x4.g7 2ea.66m.2gw 21i2.2gw 0j7.4am.5ei 08vc.19h 06aj.19h 098z.19h 069q.j7.2w4.1g.fg 0j7.2w4.2a5.vq.9w.4f5 113o 15.1wc.2x 25zg.vq 05g.b6.8a.jx 06r.b6.8a.jx 05g.9v.8a.jx 06r.9v.8a.jx 04t.5g.b6.8a.jx 16r.b6.8a.jx 15g.9v.8a.jx 16r.9v.8a.jx 05g.b6.8a.wt.jx 06r.b6.8a.wt.jx 05g.9v.8a.wt.jx 06r.9v.8a.wt.jx 02g.5g.b6.8a.wt.jx 16r.b6.8a.wt.jx 15g.9v.8a.wt.jx 16r.9v.8a.wt.jx 05g.b6.8a.x2 06r.b6.8a.x2 05g.9v.8a.x2 06r.9v.8a.x2 02g.5g.b6.8a.x2 16r.b6.8a.x2 15g.9v.8a.x2 16r.9v.8a.x2 02ik.1iz.1d.a0 49w.1r.1d 031h.1iz.1d.a0 49w.1r.1d 03f.st 05j.st 02u.st 05b.st 0v.13.ps.a0 02g.v.13.ps.a0 013.4m.ps.a0 02g.13.4m.ps.a0 1wy.a0 015w.wy.a0 01l.2g.1m.4t.ag.gn.1e.a0 3ag.gn.1e.a0 23u.1m.ag.gn.1e.a0 02g.18o.a0 01l.18o.a0 02g.1l.18o.a0 0g3.2g.j9 2kf.j9 012s.zq 0kf.12s.zq 0st 06ar 0325.2my 01j2.mz 02i9.20f 25.op.sn 020f 07d9 037.8lp 09b6 034y 1mz 01na 01a1.1na 09o8 01na.8n 07fj 03wk 0sb.2ey 01io.mz 01a1.1io.mz 033o 01a1.33o 028a 01a1.28a 08mk.9yg 05er.20i 03z3.73n 09ng 07gu 0y7.1j2 01zc.1j2 0y7.4d9 03uy.9nj 011f 08pk 0991 047.1bo.37 02h.1bo.37 01o1.3 01io.4e5.2wm.37 0k6.r1.9o.1wb 02ds 0ea.1pf.3 031c.d 0ea.31c.d 01wq.2mv.9w.6nd.115.d 0ko.9r.2mv.d 08f3.pc.d 07sk.pc.d 049b 0ea.49c 029d 0y7.29d 02tz 0ea.8bb 04go.ft 07cx.d 0a54.d 08ne 012f.d 09ml 0pc.4ip 0953 01mt 028v 08as.12w 059l 046p.4i9 0y.2n6 04u.5.og.12y 08fy.3 01j.1ra.1ym 04aq.d 065y.d 058l.s.2m1 01yf.3ud 0309.28q 048s.zo 048k 0115.2f.a5c 080a.3 0309.9o7 09cq 0894 06c5.9j9 06hb 05sq 5:0a4s 08dz.97m 01ll 04s.4br 01fa.s.37t 01y1 01i1.136 07h9 01j2.34w 02q3.29x 0hu.1tp.ry 1ry 14.ry 04.ry 07sp.ry 0ry.2d5 13yy 4:02xs 01a1.sb.2ey 05g4.2my 08ao.11f 02xv 02q3.2xv 04dr 097i 0109.1az 0979 040c.8nz 08cv.20i 01ji.314 4:04z.d.1c.8ji 3128 3sb 3n2 3pc 33y6 31ck.8mo 48mp 4a0v 4a0w 3372 3a0m 3a0n 31z9 38ch.1z9 31r.1z9 31h7.1bb 49d8 49d9 34i1 3un 37q6 3a0x 3a0y 31xe.un 48tt 31f4 396h 31fr.114 487r 31oa.2f.1fr 31j6.2f.1fr 312x.114 36n3.114 31bb.2f.12x 31oa.2f.12x 5589 312x.27n 3un.2f.12x.27n 31bb.2f.un.2f.12x 39yk 39lq.114 370m.114 312b.114 31bb.2f.12b 3un.2f.12b 31bb.2f.un.2f.12b 3372.2f.12b 31j6.2f.12b 53xm 4 38mr 38ms 38mt 33w8 33w9 37b2 38tm 33z0 38mc 38md 340a 349u.114 39i5 39i6 38jf.727 34ac 34ad 34ae 33wg 31i1 31kb 39ls 31qq 337g 38f9 34di 39qs 34dx.7h3 38up.2f.6p7 32ak 31bp 39b3.1bp 3735 331d 39v0 3vs.2e3 3284 31iq.284 31n5 38fa.1n5 33wh 31z3.32j.1z3 59c3 39da 38fj 35gy 35gw 35gx 38gv 38h1 358z 3590 3591 3592 3593 327a 31mt.2f.7be 59y0 38ng 3i4 31hr 35de 31tv 32j.2dx 42tc 02n2.2f.2g1 0808 0741.5s2 5:069y 07aj 066k 08j9 087q 01r.fo.1ft.u.4u 1hu.1ft.u.4u 1f3.1ft.u.4u 1jr.1ft.u.4u 11k7.4.2y 05f.w.1y.2y 0w.1y.2y 02g.1y.2y 0g3.2g.1y.2y 013k.2g.1y.2y 01y.2y.s6.1r.4.2y 0qc.1zl 01r.1bl.1d 11k7.4.1d 037.1y.1d 05f.1y.1d 0w.1y.1d 02g.1y.1d 0g3.2g.1y.1d 013k.2g.1y.1d 01y.1d.s6.1r.g3.4.1d 45f.1d 01d.1zl 01r.1bl.cj 1g3.4.cj 15f.4.cj 01y.cj.s6.1r.g3.4.cj 45f.cj 0cj.1zl 01r.1bl.px 1g3.4.px 15f.4.px 01y.px.s6.1r.4.px 01ks.14.bo 037.14.bo 05f.14.bo 0w.14.bo 0g3.w.14.bo 12g.14.bo 013k.2g.14.bo 01ks.su 037.su 05f.su 0w.su 02g.su 0g3.2g.su 013k.2g.su 037.2k.m0.cs 05f.2k.m0.cs 0w.2k.m0.cs 02g.2k.m0.cs 0g3.2g.2k.m0.cs 013k.2g.2k.m0.cs 037.3e.m0.cs 05f.3e.m0.cs 0w.3e.m0.cs 02g.3e.m0.cs 0g3.2g.3e.m0.cs 013k.2g.3e.m0.cs 037.3d.m0.cs 05f.3d.m0.cs 0w.3d.m0.cs 02g.3d.m0.cs 0g3.2g.3d.m0.cs 037.1w.el.1r.ak 05f.1w.el.1r.ak 01w.el.1r.ak 05f.1w.el.w7.ak 037.2d.el.1r.ak 05f.2d.el.1r.ak 02d.el.1r.ak 05f.2d.el.w7.ak 0kf.37.2d.el.w7.ak 037.2k.el.1r.ak 02g.2k.el.1r.ak 05f.3e.el.1r.ak 02g.3e.el.1r.ak 03e.el.w7.ak 05f.3d.el.1r.ak 02g.3d.el.1r.ak 0g3.2g.3d.el.1r.ak 02g.3d.el.w7.ak 037.nn.el.1r.ak 02g.nn.el.1r.ak 3w7.ak 01j.4u 05s.1j.4u 01j.1d 05s.1j.1d 03o.el.1y.ak 7:03n.152.2y 11c7.2y 1xl.2y 11wm.2y 11n6.2y 1lc.1d 1v5.1d 1152.1d 11c7.1d 1xl.1d 11wm.1d 11n6.1d 5:02g.ey.3 g:03f.t.5.4.4u.8e 05j.t.5.4.4u.8e 02u.t.5.4.4u.8e 05b.t.5.4.4u.8e 03f.t.5.5f.4u.8e 05j.t.5.5f.4u.8e 02u.t.5.5f.4u.8e 05b.t.5.5f.4u.8e 03f.t.5.3n.4u.8e 05j.t.5.3n.4u.8e 02u.t.5.3n.4u.8e 05b.t.5.3n.4u.8e 5:03f.t.5.4.j1.8e 05j.t.5.4.j1.8e 02u.t.5.4.j1.8e 05b.t.5.4.j1.8e 03f.t.5.j1.8e 05j.t.5.j1.8e 02u.t.5.j1.8e 05b.t.5.j1.8e 02g.3f.t.5.j1.8e 15j.t.5.j1.8e 12u.t.5.j1.8e 15b.t.5.j1.8e 13f.t.5.3n.j1.8e 15j.t.5.3n.j1.8e 12u.t.5.3n.j1.8e 15b.t.5.3n.j1.8e 03f.8d.t.5.14x.ic 05j.8d.t.5.14x.ic 02u.8d.t.5.14x.ic 05b.8d.t.5.14x.ic 03f.8d.t.5.5f.ic 05j.8d.t.5.5f.ic 02u.8d.t.5.5f.ic 05b.8d.t.5.5f.ic 03f.8d.t.5.w.ic 05j.8d.t.5.w.ic 02u.8d.t.5.w.ic 05b.8d.t.5.w.ic 03f.8d.t.5.2g.ic 05j.8d.t.5.2g.ic 02u.8d.t.5.2g.ic 05b.8d.t.5.2g.ic 03f.8d.t.5.g3.2g.ic 05j.8d.t.5.g3.2g.ic 02u.8d.t.5.g3.2g.ic 05b.8d.t.5.g3.2g.ic 03f.1ep.t 05j.1ep.t 02u.1ep.t 05b.1ep.t 03f.34.t 05j.34.t 02u.34.t 05b.34.t 03f.x4.t 05j.x4.t 02u.x4.t 05b.x4.t 03f.2g.x4.t 05j.2g.x4.t 02u.2g.x4.t 05b.2g.x4.t 03f.2g.t 05j.2g.t 02u.2g.t 05b.2g.t 9:03f.1l.t 05j.1l.t 02u.1l.t 05b.1l.t 05g.b6.1l.t 19v.1l.t 06r.9v.1l.t 1b6.1l.t 0y.u.1l.t 035.3k.1l.t 7:0e2.3f.37.5i.t 15j.37.5i.t 12u.37.5i.t 15b.37.5i.t 15g.b6.37.5i.t 29v.37.5i.t 16r.9v.37.5i.t 2b6.37.5i.t 13f.5i.t 15j.5i.t 12u.5i.t 15b.5i.t 15g.b6.5i.t 29v.5i.t 16r.9v.5i.t 2b6.5i.t 13f.5f.5i.t 15j.5f.5i.t 12u.5f.5i.t 15b.5f.5i.t 15g.b6.5f.5i.t 29v.5f.5i.t 16r.9v.5f.5i.t 2b6.5f.5i.t 13f.2g.5i.t 15j.2g.5i.t 12u.2g.5i.t 15b.2g.5i.t 15g.b6.2g.5i.t 29v.2g.5i.t 16r.9v.2g.5i.t 2b6.2g.5i.t 13f.g3.2g.5i.t 15j.g3.2g.5i.t 12u.g3.2g.5i.t 15b.g3.2g.5i.t 15g.b6.g3.2g.5i.t 29v.g3.2g.5i.t 16r.9v.g3.2g.5i.t 2b6.g3.2g.5i.t 9:03f.4u.8e 05j.4u.8e 02u.4u.8e 05b.4u.8e 03f.1y.t.123.4u.8e 05j.1y.t.123.4u.8e 02u.1y.t.123.4u.8e 05b.1y.t.123.4u.8e 03f.t.5.uf.ae 05j.t.5.uf.ae 02u.t.5.uf.ae 05b.t.5.uf.ae 02g.t.ic.ta.1g 41q.us 41g.2j 5mu 03f.4ak.1y.t 02u.9q.1xx.1y.t 03f.8g.1xx.1y.t 02u.8g.1xx.1y.t 03f.1sq.1y.t 02u.1xa.1y.t 03f.1xa.1y.t 02u.1sq.1y.t 03f.1mm.qe.1y.t 02u.1mm.qe.1y.t 03f.1q7.qe.1y.t 02u.1q7.qe.1y.t 01y.t.ic.ta.1g 41q.us 3:0t.8a.5j.wn.5g.b6 22u.wn.17h.6r.b6 02u.t.5.23.2i 05b.1r.t.20.3j 05s.34.3f.t 25j.t 22u.t 25b.t 05g.b6.t.ck.3j 19v.t.ck.3j 06r.9v.t.ck.3j 1b6.t.ck.3j 5:03f.t.ck.5b.t 02u.t.ck.5b.t 1r:01j.bo.1q4.5.2d.41 41q.41 3 0y.2j.2y.5.2d.41 41w.41 41q.41 41x 3 01e3.17y.2i 2uf.2i 22i.5.1x 2uf.2i.5.1x 08dg.g9 01y.fm 01n6.fm 08dh.fg 0aec.2x 07gp.2x 02x.5.346 07n2.2x 09ka.2x 02x.5.6af 0wc.2x 02ir.2x 03.2f.dg.2in 01nf.fh.fg 0f2.pj.2f.fg 0o6.1pw 0ob.1pw 069m 0fg.5.3c.s.27.g9.pn 01u.1sy.aad.fg.3 02x.5.58p.10h 04is.2x 07ky.2x 02x4.9o.dg.ln.70c 05pd.2x 074h.2x 02x.155 097z.2x 02x.5.1g.5uy.f2 018e.2x.5.ak.g7 31g.3n.s.1g.4.tx 02x.5.tz.1o7.bv.y0 092v.2x.5.1zg.1o7.ah 0ie.2x.5.ie.g7.s.fg.1o7.ah 02x.5.4m.ah.a1a 094j.2x.5.5uq.eh 01wi.zh 04az 089f.35.1ky 092l 08fr 0jz.9w.9qv 02q2.1nm 095a 0j7.5hn.4e7 06pf 05xv 07g9.8bq 0a5i 0pc.8ep 069k 05h6.1t9 0a4k.13n 0136.5.5pg 02bh.665 09qe.13t 01yp 0xk.14y 01av 0vk.115.19f 0we.115.19f 0mu.115.19f 04ao.667 07bb.282.9uj 059g.1z0 06yk.t0.s.qq 098b 0109.cb 058w 040j 0599 046i 02v4 04e4 046q.2a9 0xl.8tp 093l.1vg.2f.1et 09cp.2fr 02ei 013t.2f.7fd 08b9 06ub 089p 05pn 02g1.2bq 09hs.2q 04h6 01n2.5.1yp 017g.5.9c4 04lo 04b6 02uh 08fp 01of.2f.1h5 08u2 04dq.1et 070p.xl 07aq 0gk.1nd 046o 0ie.2x.5.ie.g7.s.1w.mj 0a8y.2x 0ie.2x.5.9iw 02x.5.1vn.f9.s.1vn.10h 29ug.g7.s.t9.ah 088a.2x 0606.2x 07pz 05gt.2x 02x.13z.pj.1zn 15.8e0.g7 02xr 06yd.2bj 066f 06c4.2a4 0108.11g 01o8 072k.2x 08ut 09ql 09ui.2x 02ed 05pi 01ms 093r 088b 02g3.2x 04c1 01os 066s 072s 08no 030d 01yq 065w.2x 0ad3.2x 06am 08uf 09fz 02bu 06r5 072t 08b8 06c6 08ah 08lg 0731 07h5 07et 028p 09e6 07am 05hm 097s 0883 087o 097d 05z2 088e 01mv 049v 01xq 067i.135 08fv.4do 0vi.1dh.lc.xm 2ew.xm 246w 21y.xm 01d0 0kt 01eu 01l1 09dr 09dt 01xj.a00 0100.5.6ak.3vj 07h8.219 07ax.219 02p6.ix 1kt 04g3.a3y 059c 0un.93j 029a.2q 0630 0879 05xc 0a39 04c0 07bm.2dz 0xr.1od 0v6.9it 09o6 011k.j7 06uy.j7 05e9.j7 02x.5.7gt 026y 01nl 01v6.26y 048h.j7 0j7.5.6ai 19w.9bb.8pd 14ik 19w.1gy.15a 07a6 05xa 09xy 07d0 05st 063s 0aei 04au 0152.fm 049j.1d7 08uo 0668 02bj 098a 0lc.65o.vj 05yi 06od.8h4.a8 09jh.9q9 08c3.jg 05hj.1m.6as 04m4 03u6 0sb.5ut 09n0 01n5 07a8 02n6 073q.1d1 099d.2f.1zx 0qq.2f.a8o 01xj.2up 09j0.294 04b8 047e 08p9.2f.1ia 03j.2f.31d 099c 08me 07l3.3wq 0d5.4r.jv 2kx 2nc 2mx 2ez 2na 01y.4r.ez.a4.1q5.bp 01r.4r.ez.a4.1q5.bp 0d5.4r.ez.a4.1q5.bp 01y.4r.jv.a4.ek.bp 2kx.a4.ek.bp 2nc.a4.ek.bp 2mx.a4.ek.bp 2ez.a4.ek.bp 2na.a4.ek.bp 01r.4r.jv.a4.ek.bp 2kx.a4.ek.bp 2nc.a4.ek.bp 2mx.a4.ek.bp 2ez.a4.ek.bp 2na.a4.ek.bp 0d5.4r.jv.a4.ek.bp 2kx.a4.ek.bp 2nc.a4.ek.bp 2mx.a4.ek.bp 2ez.a4.ek.bp 2na.a4.ek.bp 01y.4r.ez.a4.1g.40.1zt.bp 01r.4r.ez.a4.1g.40.1zt.bp 0d5.4r.ez.a4.1g.40.1zt.bp 01y.4r.4t.jv 3kx 3nc 3mx 3ez 3na 01r.4r.4t.jv 3kx 3nc 3mx 3ez 3na 0d5.4r.4t.jv 3kx 3nc 3mx 3ez 3na 01y.4r.ez.a4.1q.40.1la.bp 01r.4r.ez.a4.1q.40.1la.bp 0d5.4r.ez.a4.1q.40.1la.bp 01y.4r.jv.a4.1q.40.fj.bp 2kx.a4.1q.40.fj.bp 2nc.a4.1q.40.fj.bp 2mx.a4.1q.40.fj.bp 2ez.a4.1q.40.fj.bp 2na.a4.1q.40.fj.bp 01r.4r.jv.a4.1q.40.fj.bp 2kx.a4.1q.40.fj.bp 2nc.a4.1q.40.fj.bp 2mx.a4.1q.40.fj.bp 2ez.a4.1q.40.fj.bp 2na.a4.1q.40.fj.bp 0d5.4r.jv.a4.1q.40.fj.bp 2kx.a4.1q.40.fj.bp 2nc.a4.1q.40.fj.bp 2mx.a4.1q.40.fj.bp 2ez.a4.1q.40.fj.bp 2na.a4.1q.40.fj.bp 01y.4r.ez.a4.1w.40.r0.bp 01r.4r.ez.a4.1w.40.r0.bp 0d5.4r.ez.a4.1w.40.r0.bp 01y.4r.13g 01r.4r.13g 0d5.4r.13g 01y.4r.13g.a4.ek.bp 01r.4r.13g.a4.ek.bp 0d5.4r.13g.a4.ek.bp 01y.4r.2l8 22l9 22l7 01r.4r.2l8 22l9 22l7 d:0pe.lc.2gr 22ou 21pe 2vs 2178 22ap 231g 11r.2gr 22ou 21pe 2vs 2178 22ap 231g 3:046x.94k 0875.9ea 04b4 01k0 0348.2xo 037.v5.fm 0678.fm 08dk.fm 05pe.2f.29t 03um.471 09bq 0a5x 0595 4:0aa8 06u8 08ac 02a2 07a7.a3e 08df 07n4.2dp 07b1 01pz 069u 6:0952 08oo.8dw 02b6 08m5 01mj 05h9.2m1 0473 01tp.1fg 03ue 054.136 04ls 02ar.1xm 08uw 01si 02i 01tr 037o 08e8 0935.7mw 06v0 04bd 010x.9nm 09n2 02hz 08du 01xe 01tr.qq 02j4.70 03u.28w 069f 05zh.fg.1pn 0xm.1vw 02ku 01q0 0a5a 0297 04lm 08f4.8dx 021c 01eo 01gy 058c 0nw.2r1 02r1.5.5sb 06i5 06nx 0a4m 070o.t4 066n 03wt.fm 0742 02u3.2ir 01wi.jz 1j7 0j7.5.2bw 05yf 8:07gz 05hu 04a7 0zo.2u4 02sy 02fr 09hv 05zk 09iv 08f7.2mt 048g 02ju 065t.11a 08b6.8ef 011a.9yf 3:0999 07cr.2x 08tv.2x 02x.5.4m.g7.s.fg.4d.ah 28bd.tx 243.ah 0dq.7z.2x 029j.1gs 01n7 01b4.2x 02x.5.28q.t6.g7 7:0fg.5.3c.tz.s.4a.pn 02u.fg 03f.fg 0155.3k.fg 135.fg 03c.8a.d1.dg.a0h 0fm.vq 03f.1wn.fg 02u.1wn.fg 8:018.2y6 12z0 12y7 12zf 12ym 12z1 12y8 12zn 12yt 12z9 12yf 12zg 12yn 12z2 12y9 12zr 12yx 12zc 12yj 12zk 12z6 12yc 12zo 12yu 12za 12yg 12zh 12yo 12z3 12ya 12zt 12yz 12ze 12yl 12zm 12ys 12z8 12ye 12zq 12yw 12yi 12zj 12yq 12z5 12yb 12zs 12yy 12zd 12yk 12zl 12yr 12z7 12yd 12zp 12yv 12zb 12yh 12zi 12yp 12z4 023.y.18.43.23.27.y.20.23.6c 9u 428.27.y.20.23.6c 9u 5y.20.23.6c 1u.18.43.28.27.y.20.28.6c 9u 423.27.y.20.28.6c 9u 5y.20.28.6c 527.y.20.28.27.u 56c.20.23.27.u 5y.20.23.27.u 56c.20.28.27.u 5y.20.28.27.u 56c.20.28.u 1y.18.43.28.6c.20.28.27.u 5y.20.28.27.u 56c.20.23.27.u 5y.20.23.27.u 56c.20.23.u 527.y.20.23.27.u 028.u.18.43.23.27.y.20.23.6c 9u 428.27.y.20.23.6c 9u 5y.20.23.6c 1y.18.43.28.27.y.20.28.6c 9u 423.27.y.20.28.6c 9u 5y.20.28.6c 527.y.20.28.27.u 56c.20.23.27.u 5y.20.23.27.u 56c.20.28.27.u 5y.20.28.27.u 56c.20.28.u 1u.18.43.28.6c.20.28.27.u 5y.20.28.27.u 56c.20.23.27.u 5y.20.23.27.u 56c.20.23.u 527.y.20.23.27.u 1s.u.s.23.k6.1w.ji.18 0y.s.23.s.u.k6.1w.ji.18 028.s.y.s.23.k6.1w.ji.18 0y.s.28.s.u.k6.1w.ji.18 1k6.1g.9a.18 028.k6.1g.9a.18 0u.k6.1g.9a.18 023.k6.1g.9a.18 02h.1g.ed.29n 329o 329p 329q 329r 329s 047.1g.ed.29n 329o 329p 329q 329r 329s 0y.s.23.1g.ed.18 228.1g.ed.18 0u.s.28.1g.ed.18 223.1g.ed.18 028.s.23.1g.ed.18 047.1g.ed.4a3 028.1g.9a.18 11w.nu.18 12k.nu.18 11w.ji.18 13l.nu.18 0u.1g.9a.18 11w.nu.18 12k.nu.18 11w.ji.18 13l.nu.18 0y.2j.5f.ng 0u.2j.5f.ng 028.2j.5f.ng 023.2j.5f.ng 0pv.5f.ng 028.2j.18.s.23.2j.pv.5f.ng 2pv.5f.ng.s.23.2j.18 2:0y.2j.pv.5f.ng.s.u.2j.18 012s.zq.i1 0pv.12s.zq.i1 02g.47.i1 028.y.20.23.u.i1 1u.20.23.y.i1 1s.23.k6.2j.18 0y.s.u.k6.2j.18 028.y.k6.5f.ng 1u.k6.5f.ng 023.u.k6.5f.ng 1y.k6.5f.ng 02q.39.37.43.28.6c.20.27.y 8u 427.y.20.23.6c 5u.20.23.6c 428.6c.20.27.y.20.23.6c 8u.20.23.6c 427.y.20.23.6c.20.27.u 728.6c.20.27.u 428.6c.20.27.y.s.27.u.20.23.6c 8u.s.27.y.20.23.6c 920.23.6c.20.27.y 8y.20.23.6c.20.27.u 427.y.20.28.6c.20.27.u.20.23.6c 5u.20.28.6c.20.27.y.20.23.6c 4cj 347.5.2h.2a 03yz.117 0pv.or.1e 0y.2j.1xi.jz 0u.2j.1xi.jz 0pv.5b.t.5.kh.3f 03f.t.s.28.s.23.1g.ed.18 02u.t.s.28.s.23.1g.ed.18 05b.t.s.u.1g.ed.18 05j.t.s.u.1g.ed.18 0y.2j.10a 0u.2j.10a 0a14.14.bo 0u.4m.34.1x 05s.43.bo 227.u.20.23.6c 2cj 01y.2g.su.5.og.12y 0y.mu.1y.u.8a.3c 027.mu.1y.u.8a.3c 0u.mu.1y.u.8a.3c 05s.34.h2.1e 0t0.sa 25.3yr.f2 22md.y 3u 25.2dy 01y.hu.1nj 1bo.1e 0f2.4.y.1d.3v 01r.4.hu.1nj 0y.1q.us.18 11g.mu.18 02q.39.37.43.27.u.20.23.y 428.u.20.27.y 5y.20.27.u 427.y.20.23.u 428.y.20.23.6c 56c.20.23.u 5u.20.23.6c 56c.20.23.y 5y.20.27.6c.20.28.u 5u.20.27.6c.20.23.u 423.y.20.27.6c.20.23.u 428.y.20.27.6c.20.23.y 723.6c.20.28.u 5u.20.27.y.20.23.u 423.y.20.28.6c.20.23.u 428.y.20.27.u.20.23.y 08g.r3.23.2j.1y.2y 0u.r3.y.2j.1y.2y 09q.r3.28.2j.1y.2y 0y.r3.u.2j.1y.2y 028.6c.1g.9a.18 023.6c.1g.9a.18 027.y.1g.9a.18 1u.1g.9a.18 08g.r3.23.2j.1r.2y 0u.r3.y.2j.1r.2y 09q.r3.28.2j.1r.2y 0y.r3.u.2j.1r.2y 08g.u.r3.23.y.9a.1r.2y 09q.y.r3.28.u.9a.1r.2y 1u.r3.28.y.9a.1r.2y 08g.y.r3.23.u.9a.1r.2y 0uo.h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1ds7:0c.g.f# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# 3# fhes:0702.5k v:05k.jm 1i0.1e 1gn.1e 110.3 1zy.3 11ae.3 1wy 1v1 1y.cv 1u.cv 1cs 133.3 1ag 11fl 1br.8n 1j9 1h.5o 21g 21q 21w 22d 22k 23e 23l 23d 23o 1fs 1ri 1an.3 1ey.3 1am.3 1h2.1e 117d.d1 18.7.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1y.1d.3v 1kf.j9 1u.1d.3v 17o.9g 13u.7z 199.9g 18.4.0.o 421 46x 45y 41t 48o 45m 461 41u 47y 45q 43g 455 44j 41p 476 4aj 430 432 45n 41h 45t 47f 475 46h 468 1y.ew.3v 12h.7z 1u.ew.3v 15h 02ao.5k 3l:024.8xm 18xx 18y8 18yk 18yv 18z6 18zh 18zs 1903 190b 190c 190d 190e 190g 190h 190i 190j 190k 190l 190m 190n 190o 190p 190r 190s 190t 190u 190v 190w 190x 190y 190z 1910 1912 1913 1914 1915 1916 1917 1918 1919 191a 191b 191d 191e 191f 191g 191h 191i 191j 191k 191l 191m 191o 191p 191q 191r 191s 191t 191u 191v 191w 191x 191z 1920 1921 1922 1923 1924 1925 1926 1927 1928 192a 192b 192c 192d 192e 192f 192g 192h 192i 192j 18vi 18vj 18vk 18vl 18vm 18vn 18vo 18vp 18vq 18vr 18vt 18vu 18vv 18vw 18vx 18vy 18vz 18w0 18w1 18w2 18w4 18w5 18w6 18w7 18w8 18w9 18wa 18wb 18wc 18wd 18wf 18wg 18wh 18wi 18wj 18wk 18wl 18wm 18wn 18wo 18wq 18wr 18ws 18wt 18wu 18wv 18ww 18wx 18wy 18wz 18x1 18x2 18x3 18x4 18x5 18x6 18x7 18x8 18x9 18xa 18xc 18xd 18xe 18xf 18xg 18xh 18xi 18xj 18xk 18xl 18xn 18xo 18xp 18xq 18xr 18xs 18xt 18xu 18xv 18xw 18xy 18xz 18y0 18y1 18y2 18y3 18y4 18y5 18y6 18y7 18y9 18ya 18yb 18yc 18yd 18ye 18yf 18yg 18yh 18yi 18yl 18ym 18yn 18yo 18yp 18yq 18yr 18ys 18yt 18yu 18yw 18yx 18yy 18yz 18z0 18z1 18z2 18z3 18z4 18z5 18z7 18z8 18z9 18za 18zb 18zc 18zd 18ze 18zf 18zg 18zi 18zj 18zk 18zl 18zm 18zn 18zo 18zp 18zq 18zr 18zt 18zu 18zv 18zw 18zx 18zy 18zz 1900 1901 1902 1904 1905 1906 1907 1908 1909 190a","ranges":[[13312,19903,"CJK UNIFIED IDEOGRAPH-"],[19968,40959,"CJK UNIFIED IDEOGRAPH-"],[94208,100343,"TANGUT IDEOGRAPH-"],[101632,101640,"TANGUT IDEOGRAPH-"],[131072,173791,"CJK UNIFIED IDEOGRAPH-"],[173824,177977,"CJK UNIFIED IDEOGRAPH-"],[177984,178205,"CJK UNIFIED IDEOGRAPH-"],[178208,183969,"CJK UNIFIED IDEOGRAPH-"],[183984,191456,"CJK UNIFIED IDEOGRAPH-"],[191472,192093,"CJK UNIFIED IDEOGRAPH-"],[196608,201546,"CJK UNIFIED IDEOGRAPH-"],[201552,205743,"CJK UNIFIED IDEOGRAPH-"]]};
@@ -0,0 +1,12 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/UnicodeData.txt, data/ucd/CompositionExclusions.txt
+
+/** Canonical_Combining_Class 구간 테이블 */
+export const CANONICAL_COMBINING_CLASS = {"values":["0","1","10","103","107","11","118","12","122","129","13","130","132","14","15","16","17","18","19","20","202","21","214","216","218","22","220","222","224","226","228","23","230","232","233","234","24","240","25","26","27","28","29","30","31","32","33","34","35","36","6","7","8","84","9","91"],"width":2,"runs":"lc00 l0w 10x 40q 10x 10n 50q 20k 40q 20k b0q 501 40q 80w 111 10w 30q 30w 20q 100 30w 40q 10w 10x 20q 10w 10y 20z 10y 20z 10y d0w 7n00 50w 7d00 10q 40w 10q 30w 10r 10q 60w 60q 20w 10q 20w 10r 10u 10w 102 105 107 10a 10d 10e 10f 10g 10h 20i 10j 10l 10p 100 10v 100 110 112 100 10w 10q 100 10h 2000 80w 117 118 119 1c00 114 115 116 117 118 119 11a 11b 20w 20q 50w 10q 20w 10q g00 11c 2t00 70w 200 40w 10q 10w 200 20w 100 10q 20w 10q z00 11d u00 10w 10q 20w 10q 20w 30q 10w 20q 10w 10q 30w 10q 10w 10q 10w 10q 10w 10q 20w 4g00 70w 10q 10w 900 10q o00 40w 100 90w 100 30w 100 50w 1700 30q 1n00 20w 30q 40w 1600 50w 50q e0w 100 10q 20w 10q 20w 10q 30w 30q 114 115 116 30w 10q 20w 20q 50w 1o00 11f g00 11i 300 10w 10q 20w 2v00 11f g00 11i 1c00 10w 1p00 11f g00 11i 3200 11f g00 11i 3200 11f g00 11i 3j00 11i 3200 11f g00 11i 700 11h 11j 2t00 11f g00 11i 3100 21i g00 11i 3g00 11i 3100 203 11i d00 404 3000 206 11i d00 408 2400 20q r00 10q 100 10q 100 10n 1j00 109 10b 100 10c 500 40b 200 10b 100 20w 11i 100 20w 1q00 10q 3400 11f 100 21i 2a00 10q jz00 30w qc00 21i u00 11i 4d00 11i a00 10w 5n00 10u 3z00 10r 10w 10q 6300 10w 10q 1z00 11i k00 80w 200 10q 1c00 50w 60q 20w 10q 100 20q 20w 20q 50w 10q 40w 2t00 11f f00 11i 1200 10w 10q 70w 1i00 21i 1m00 11f b00 21i 1v00 11f 4800 30w 100 101 50q 20w 40q 10w 100 701 400 10q 600 10w 300 20w 5i00 20w 10q 70w 10q 20w 10z 10m 10q 10k 110w 10x 20u 10q 10o 10w 10y 10q 10w 10q k000 20w 201 40w 301 20w 400 10w 300 201 10w 10q 10w 201 40q 10w 2da00 30w 3x00 11i 2o00 w0w fe00 10o 10u 10x 10r 20s 2x00 21g n9w00 10w 400 a0w w00 20w 2800 20w 7o00 11i 1100 11i 4700 11i r00 i0w 1l00 30q 1100 11i 2n00 11f c00 11i 6n00 10w 100 20w 10q 200 20w 500 20w 100 10w 1g00 11i 6u00 11i fn400 113 ld00 70w 70q 20w r100 10q 6a00 10q 4500 50w 1aq00 10q 100 10w 1400 10w 101 10q 400 11i 4l00 10w 10q fx00 40w 1t00 50w 8t00 20w 2800 30q 1y00 20q 30w 10q 10w 40q 1d00 10w 10q 10w 10q 5c00 11i 1500 11i e00 11i 1l00 11i 11f 1x00 30w 1c00 21i 1q00 11f 2400 11i 900 11f 2y00 11i 11f 4y00 11f 11i 2800 21f g00 11i o00 70w 300 50w 2h00 31i 3500 11i 300 11f n00 10w 2r00 11i 11f 6z00 11i 11f 3i00 11i 3a00 11i 11f 3700 11i 7h00 11i 11f 7600 21i 400 11f 4c00 11i 2b00 11i i00 11i 2900 11i bp00 11i 7600 11f 100 21i 2900 11i bt00 21i d0s00 11i 1xc00 501 1n00 70w xl00 21e f5800 101 43q00 20n 301 300 10t 50n 800 80q 200 50w 20q u00 40w 4400 30w 2pn00 70w 100 h0w 200 70w 100 20w 100 50w 2s00 10w 4g00 70w af00 10w 1p00 40w e400 20x 10q 10w 7200 10w 10q kg00 70q 3100 60w 11f l70500"};
+
+/** 분해 매핑(원본 → 분해 결과, 호환 분해는 ~) */
+export const DECOMPOSITIONS = {"sources":"4h 8 2 5 3 1 1 1 3 1 1 2 1 1 2 1 1 1 1 1 2 1 1 1 1 1 1 1 1 2 1 1 1 1 1 3 1 1 1 1 3 1 1 1 1 1 2 1 1 1 1 1 1 1 1 2 1 1 1 1 1 3 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 2 1 1 1 1 1 2 1 1 1 1 1 1 1 3 1 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 x 1 e 1 k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 7 1 1 1 1 1 1 1 1 1 1 1 1 1 3h 1 1 1 1 1 1 1 1 w 1 1 1 1 1 3 1 1 1 1 2k 1 2 1 1c 6 4 6 1 1 1 1 1 1 2 2 1 1 q 1 1 1 1 1 1 q 1 1 1 1 2 1 1 1 1 1 1 q 1 1 2 1 4 7 1 2 4 5 1 1 b w n 1 2 4 5 1 1 o 1 22 1 e 1 1 1 3 1 3 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 3 1 3y 4b 1 1 1 1 27 1 1 1 20 2 h gm 8 3 10 1 1 1 1 1 1 1 30 1 g 1 2 2c 3 z 1 1 3 6i 3 1 g 1 1j 1i 1 1 3g 3c 7 1 2 1 3j 1 1 3y 2 1 1 2d 3k 15 1 1b 1j a 5 5 5 d a 2 1 1 1 1 8 i a 5 5 5 d 31 5y 1ze 2 2 2 2 4 15 2 3 1 2 dl 1 1 2 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 e z 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1t 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 1 2 2 2 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 2 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 7 6 d 1 1 9 4 1 2 1 5 2 9 1 1 e 8 h 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 c 2g 1 1 1 2 1 1 2 1 1 1 1 1 1 1 1 1 1 2 1 3 1 1 1 1 3 1 1 2 2 2 2 1 1 1 2 1 1 2 1 1 1 1 1 1 2 1 1 1 1 1 5 1 1 1 1 7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 a h 1 j v 1 1 1h 5 3 o 2 6 1 2 1 h 3 3 2 n 2 b 1 1 1 1 3 1 3 1 7 1 3 1 3 1 z 1 1 1 1d 1 1 1 7 1 1 1 1o 1 8m 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 10i 2w 1 1 2u bk 1 6q 8g 2c d 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 17 1i 2 1 1 i 2 2 2 2 2 2 2 2 2 2 2 3 2 2 7 1 2 1 2 1 2 1 2 1 n 7 1 2 1 d 2 2 2 2 2 2 2 2 2 2 2 3 2 2 7 1 2 1 2 1 2 1 2 1 n 3 1 1 1 4 1 1e 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1 1 1 1 1 1 1 1 1 1 1 1 1 2p 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 9 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 mn1 1 5v 3m 1 1 4 1 o3 1 1 1 a fbr 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 2 3 1 1 1 1 1 1 1 1 1 2 2 3 1 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 13 1 1 1 1 1 1 d 1 1 1 1 6 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 2 2 1 2 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 y 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 j 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 15 1 1 1 1 1 1 1 1 1 1 1 1 k 1 1 1 1 1 1 1 1 1 n 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 5 1 1 2 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 3 1 1 4 1 1 1 1 1 1 2 1 1 1 1 1 1 15n r bh 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1r4 2 f 3n 1 f0 1 1j 2 9 3 1g 2 1 6r 1 2 70 1 ot e7d 1 1 1 1 1 1 1 2f4 1 1 iuk 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 v9 1 1 1 1 1 1 2f 1 1 1 1 1 g0 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 3 3 1 3 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 2 2 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 3 1 1 1 1 1 1 1 2 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 2 1 1 1 1 2 4 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1m9 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2oj 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 2 3 2 1 1 1 1 1 1 1 1 1 2 1 1 1 2 2 7 5 2 2 2 1 1 2 1 2 3 2 2 2 2 2 1 2 3 1 1 1 2 1 1 1 1 1 1 2 1 1 1 2 1 1 1 2 2 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 6 1 1 2 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 g5 1 1 1 1 1 1 1 1 1 1 6 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 r 1 1 10 34 1 1 e 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5 1 1 1 1 1 1 1 1 8 1 1wf 1 1 1 1 1 1 1 1 1 1ds7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1","targets":"~w ~w.lk ~2p ~w.lg ~1e ~1f ~w.ld ~qk ~w.mf ~1d ~33 ~1d.6dg.1g ~1d.6dg.1e ~1f.6dg.1g 1t.lc 1t.ld 1t.le 1t.lf 1t.lk 1t.lm 1v.mf 1x.lc 1x.ld 1x.le 1x.lk 21.lc 21.ld 21.le 21.lk 26.lf 27.lc 27.ld 27.le 27.lf 27.lk 2d.lc 2d.ld 2d.le 2d.lk 2h.ld 2p.lc 2p.ld 2p.le 2p.lf 2p.lk 2p.lm 2r.mf 2t.lc 2t.ld 2t.le 2t.lk 2x.lc 2x.ld 2x.le 2x.lk 32.lf 33.lc 33.ld 33.le 33.lf 33.lk 39.lc 39.ld 39.le 39.lk 3d.ld 3d.lk 1t.lg 2p.lg 1t.li 2p.li 1t.mg 2p.mg 1v.ld 2r.ld 1v.le 2r.le 1v.lj 2r.lj 1v.lo 2r.lo 1w.lo 2s.lo 1x.lg 2t.lg 1x.li 2t.li 1x.lj 2t.lj 1x.mg 2t.mg 1x.lo 2t.lo 1z.le 2v.le 1z.li 2v.li 1z.lj 2v.lj 1z.mf 2v.mf 20.le 2w.le 21.lf 2x.lf 21.lg 2x.lg 21.li 2x.li 21.mg 2x.mg 21.lj ~21.22 ~2x.2y 22.le 2y.le 23.mf 2z.mf 24.ld 30.ld 24.mf 30.mf 24.lo 30.lo ~24.53 ~30.53 26.ld 32.ld 26.mf 32.mf 26.lo 32.lo ~jg.32 27.lg 33.lg 27.li 33.li 27.ln 33.ln 2a.ld 36.ld 2a.mf 36.mf 2a.lo 36.lo 2b.ld 37.ld 2b.le 37.le 2b.mf 37.mf 2b.lo 37.lo 2c.mf 38.mf 2c.lo 38.lo 2d.lf 39.lf 2d.lg 39.lg 2d.li 39.li 2d.lm 39.lm 2d.ln 39.ln 2d.mg 39.mg 2f.le 3b.le 2h.le 3d.le 2h.lk 2i.ld 3e.ld 2i.lj 3e.lj 2i.lo 3e.lo ~37 27.m3 33.m3 2d.m3 39.m3 ~1w.al ~1w.am ~2s.am ~24.22 ~24.2y ~30.2y ~26.22 ~26.2y ~32.2y 1t.lo 2p.lo 21.lo 2x.lo 27.lo 33.lo 2d.lo 39.lo 64.lg 70.lg 64.ld 70.ld 64.lo 70.lo 64.lc 70.lc 5g.lg 6c.lg fa.lg fb.lg 5i.lg 6e.lg 1z.lo 2v.lo 23.lo 2z.lo 27.mg 33.mg dm.lg dn.lg c7.lo ia.lo 2y.lo ~1w.2i ~1w.3e ~2s.3e 1z.ld 2v.ld 26.lc 32.lc 5h.ld 6d.ld 5i.ld 6e.ld 60.ld 6w.ld 1t.lr 2p.lr 1t.lt 2p.lt 1x.lr 2t.lr 1x.lt 2t.lt 21.lr 2x.lr 21.lt 2x.lt 27.lr 33.lr 27.lt 33.lt 2a.lr 36.lr 2a.lt 36.lt 2d.lr 39.lr 2d.lt 39.lt 2b.me 37.me 2c.me 38.me 20.lo 2w.lo 1t.lj 2p.lj 1x.mf 2t.mf 5y.lg 6u.lg 5x.lg 6t.lg 27.lj 33.lj fi.lg fj.lg 2h.lg 3d.lg ~2w ~h2 ~2y ~36 ~hl ~hn ~ht ~3b ~3d ~w.li ~w.lj ~w.lm ~w.mg ~w.lf ~w.ln ~gz ~30 ~37 ~3c ~id lc ld lv lk.ld jd ~w.n9 1n ~w.ld 4o.ld pd.ld 53 ph.ld pj.ld pl.ld pr.ld px.ld q1.ld qy.ld pl.lk px.lk q9.ld qd.ld qf.ld qh.ld qz.ld qh.lk qt.lk qn.ld qt.ld qx.ld ~qa ~qg ~px r6.ld r6.lk ~qu ~qo ~qi ~qp ~qq ~pk ~qd ~pv t1.lc t1.lk sz.ld sm.lk t6.ld t4.lc tf.li t4.li u0.li tx.lc tx.lk tv.ld uu.lk u2.ld u0.lc ub.li vo.lr vp.lr t2.li ty.li sw.li ts.li sw.lk ts.lk t1.li tx.li yg.lk yh.lk t2.lk ty.lk t3.lk tz.lk t4.lg u0.lg t4.lk u0.lk ta.lk u6.lk yw.lk yx.lk tp.lk ul.lk tf.lg ub.lg tf.lk ub.lk tf.ln ub.ln tj.lk uf.lk tn.lk uj.lk ~12d.136 17r.18z 17r.190 18o.190 17r.191 18q.190 ~17r.19w ~18o.19w ~1c7.19w ~18q.19w 1cl.190 1c1.190 1ci.190 1t4.1to 1tc.1to 1tf.1to 1sl.1to 1sm.1to 1sn.1to 1ss.1to 1sx.1to 1sy.1to 1t7.1to 1tb.1to 1xj.1xa 1xj.1xz 1wh.1x8 1wi.1x8 1wv.1x8 20i.20s 20o.20s 1zq.20s 1zr.20s 1zw.20s 20b.20s 287.28m 287.27y 287.28n 275.27w 276.27w 2aa.2c7 2bq.2bi 2br.2bi 2bq.2c7 2fa.2fq 2in.2j9 2iu.2j9 2iu.2ja 2iu.2iq 2iy.2j9 2me.2m6 2mf.2m6 2me.2mv 2qh.2q2 2qh.2q7 2qk.2q2 2qh.2qn ~2tp.2sy ~2x9.2wi ~2wb.2vt ~2wb.2w1 ~2yz 30i.33r 30s.33r 30x.33r 312.33r 317.33r 30g.33p 31t.31u 31t.31w 33m.328 ~33m.329 33n.328 ~33n.329 31t.328 32q.33r 330.33r 335.33r 33a.33r 33f.33r 32o.33p 36t.372 ~3bw 5c5.5dh 5c7.5dh 5c9.5dh 5cb.5dh 5cd.5dh 5ch.5dh 5dm.5dh 5do.5dh 5dq.5dh 5dr.5dh 5du.5dh ~1t ~5i ~1u ~1w ~1x ~b2 ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~f6 ~28 ~2a ~2c ~2d ~2f ~2p ~gg ~gh ~5qa ~2q ~2s ~2t ~gp ~gr ~gs ~2v ~2z ~31 ~97 ~33 ~gk ~5qu ~5qv ~34 ~38 ~39 ~5r1 ~hb ~3a ~5r9 ~qa ~qb ~qc ~qu ~qv ~2x ~36 ~39 ~3a ~qa ~qb ~qp ~qu ~qv ~u5 ~gi ~2r ~gl ~6o ~gs ~2u ~gv ~gx ~h1 ~h4 ~h5 ~h6 ~5tn ~il ~h9 ~5tx ~in ~hd ~hc ~he ~hf ~hg ~hh ~hk ~hu ~hv ~bv ~i1 ~i2 ~5r0 ~i3 ~i4 ~3e ~i8 ~i9 ~ia ~qg 1t.md 2p.md 1u.lj 2q.lj 1u.mb 2q.mb 1u.mp 2q.mp 5j.ld 6f.ld 1w.lj 2s.lj 1w.mb 2s.mb 1w.mp 2s.mp 1w.mf 2s.mf 1w.ml 2s.ml 7m.lc 7n.lc 7m.ld 7n.ld 1x.ml 2t.ml 1x.mo 2t.mo fc.li fd.li 1y.lj 2u.lj 1z.lg 2v.lg 20.lj 2w.lj 20.mb 2w.mb 20.lk 2w.lk 20.mf 2w.mf 20.mm 2w.mm 21.mo 2x.mo 5r.ld 6n.ld 23.ld 2z.ld 23.mb 2z.mb 23.mp 2z.mp 24.mb 30.mb 5yu.lg 5yv.lg 24.mp 30.mp 24.ml 30.ml 25.ld 31.ld 25.lj 31.lj 25.mb 31.mb 26.lj 32.lj 26.mb 32.mb 26.mp 32.mp 26.ml 32.ml 5x.ld 6t.ld 5x.lk 6t.lk 98.lc 99.lc 98.ld 99.ld 28.ld 34.ld 28.lj 34.lj 2a.lj 36.lj 2a.mb 36.mb 5zu.lg 5zv.lg 2a.mp 36.mp 2b.lj 37.lj 2b.mb 37.mb 9m.lj 9n.lj 9s.lj 9t.lj 602.lj 603.lj 2c.lj 38.lj 2c.mb 38.mb 2c.mp 38.mp 2c.ml 38.ml 2d.mc 39.mc 2d.mo 39.mo 2d.ml 39.ml a0.ld a1.ld a2.lk a3.lk 2e.lf 3a.lf 2e.mb 3a.mb 2f.lc 3b.lc 2f.ld 3b.ld 2f.lk 3b.lk 2f.lj 3b.lj 2f.mb 3b.mb 2g.lj 3c.lj 2g.lk 3c.lk 2h.lj 3d.lj 2i.le 3e.le 2i.mb 3e.mb 2i.mp 3e.mp 2w.mp 38.lk 3b.lm 3d.lm ~2p.ji an.lj 1t.mb 2p.mb 1t.ll 2p.ll 5e.ld 6a.ld 5e.lc 6a.lc 5e.ll 6a.ll 5e.lf 6a.lf 61s.le 61t.le 76.ld 77.ld 76.lc 77.lc 76.ll 77.ll 76.lf 77.lf 61s.li 61t.li 1x.mb 2t.mb 1x.ll 2t.ll 1x.lf 2t.lf 5m.ld 6i.ld 5m.lc 6i.lc 5m.ll 6i.ll 5m.lf 6i.lf 62g.le 62h.le 21.ll 2x.ll 21.mb 2x.mb 27.mb 33.mb 27.ll 33.ll 5w.ld 6s.ld 5w.lc 6s.lc 5w.ll 6s.ll 5w.lf 6s.lf 630.le 631.le bk.ld bl.ld bk.lc bl.lc bk.ll bl.ll bk.lf bl.lf bk.mb bl.mb 2d.mb 39.mb 2d.ll 39.ll bz.ld c0.ld bz.lc c0.lc bz.ll c0.ll bz.lf c0.lf bz.mb c0.mb 2h.lc 3d.lc 2h.mb 3d.mb 2h.ll 3d.ll 2h.lf 3d.lf q9.lv q9.lw 64g.lc 64h.lc 64g.ld 64h.ld 64g.n6 64h.n6 pd.lv pd.lw 64o.lc 64p.lc 64o.ld 64p.ld 64o.n6 64p.n6 qd.lv qd.lw 64w.lc 64x.lc 64w.ld 64x.ld ph.lv ph.lw 654.lc 655.lc 654.ld 655.ld qf.lv qf.lw 65c.lc 65d.lc 65c.ld 65d.ld 65c.n6 65d.n6 pj.lv pj.lw 65k.lc 65l.lc 65k.ld 65l.ld 65k.n6 65l.n6 qh.lv qh.lw 65s.lc 65t.lc 65s.ld 65t.ld 65s.n6 65t.n6 pl.lv pl.lw 660.lc 661.lc 660.ld 661.ld 660.n6 661.n6 qn.lv qn.lw 668.lc 669.lc 668.ld 669.ld pr.lv pr.lw 66g.lc 66h.lc 66g.ld 66h.ld qt.lv qt.lw 66o.lc 66p.lc 66o.ld 66p.ld 66o.n6 66p.n6 px.lw 66x.lc 66x.ld 66x.n6 qx.lv qx.lw 674.lc 675.lc 674.ld 675.ld 674.n6 675.n6 q1.lv q1.lw 67c.lc 67d.lc 67c.ld 67d.ld 67c.n6 67d.n6 q9.lc q4 qd.lc q5 qf.lc q6 qh.lc q7 qn.lc r0 qt.lc r1 qx.lc r2 64g.n9 64h.n9 64i.n9 64j.n9 64k.n9 64l.n9 64m.n9 64n.n9 64o.n9 64p.n9 64q.n9 64r.n9 64s.n9 64t.n9 64u.n9 64v.n9 65c.n9 65d.n9 65e.n9 65f.n9 65g.n9 65h.n9 65i.n9 65j.n9 65k.n9 65l.n9 65m.n9 65n.n9 65o.n9 65p.n9 65q.n9 65r.n9 674.n9 675.n9 676.n9 677.n9 678.n9 679.n9 67a.n9 67b.n9 67c.n9 67d.n9 67e.n9 67f.n9 67g.n9 67h.n9 67i.n9 67j.n9 q9.li q9.lg 67k.n9 q9.n9 q4.n9 q9.n6 69i.n9 pd.li pd.lg pd.lc p2 pd.n9 ~w.lv qh ~w.lv ~w.n6 4o.n6 67o.n9 qf.n9 q6.n9 qf.n6 69y.n9 ph.lc p4 pj.lc p5 pj.n9 69r.lc 69r.ld 69r.n6 qh.li qh.lg qy.lc pc qh.n6 qy.n6 pl.li pl.lg pl.lc p6 6bi.lc 6bi.ld 6bi.n6 qt.li qt.lg qz.lc q8 qp.lv qp.lw qt.n6 qz.n6 px.li px.lg px.lc pa pt.lw 4o.lc p1 2o 67w.n9 qx.n9 r2.n9 qx.n6 6ba.n9 pr.lc p8 q1.lc pb q1.n9 50 ~w.lw 6bm 6bn ~w ~w ~w ~w ~w ~w ~w ~w ~w ~6c0 ~w.mr ~1a ~1a.1a ~1a.1a.1a ~w ~6cy.6cy ~6cy.6cy.6cy ~6d1.6d1 ~6d1.6d1.6d1 ~x.x ~w.lh ~1r.1r ~1r.x ~x.1r ~6cy.6cy.6cy.6cy ~w ~1c ~2x ~1g ~1h ~1i ~1j ~1k ~1l ~17 ~6qa ~1p ~14 ~15 ~32 ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~17 ~6qa ~1p ~14 ~15 ~2p ~2t ~33 ~3c ~gp ~2w ~2z ~30 ~31 ~32 ~34 ~37 ~38 ~2a.37 ~2p.1b.2r ~2p.1b.37 ~1v ~4w.1v ~2r.1b.33 ~2r.1b.39 ~b4 ~4w.1y ~2v ~20 ~20 ~20 ~2w ~87 ~21 ~21 ~24 ~30 ~26 ~26.33 ~28 ~29 ~2a ~2a ~2a ~2b.25 ~2c.1x.24 ~2c.25 ~2i q1 ~2i 23 5h ~1u ~1v ~2t ~1x ~1y ~25 ~33 ~15c ~15d ~15e ~15f ~2x ~1y.1t.2g ~qo ~qb ~pf ~ps ~6q9 ~1w ~2s ~2t ~2x ~2y ~1d.6dg.1j ~1d.6dg.1l ~1d.6dg.1d.1c ~1d.6dg.1f ~1e.6dg.1f ~1d.6dg.1h ~1e.6dg.1h ~1f.6dg.1h ~1g.6dg.1h ~1d.6dg.1i ~1h.6dg.1i ~1d.6dg.1k ~1f.6dg.1k ~1h.6dg.1k ~1j.6dg.1k ~1d.6dg ~21 ~21.21 ~21.21.21 ~21.2e ~2e ~2e.21 ~2e.21.21 ~2e.21.21.21 ~21.2g ~2g ~2g.21 ~2g.21.21 ~24 ~1v ~1w ~25 ~2x ~2x.2x ~2x.2x.2x ~2x.3a ~3a ~3a.2x ~3a.2x.2x ~3a.2x.2x.2x ~2x.3c ~3c ~3c.2x ~3c.2x.2x ~30 ~2r ~2s ~31 ~1c.6dg.1f 6mo.mw 6mq.mw 6ms.mw 6og.mw 6ok.mw 6oi.mw 6pv.mw 6q0.mw 6q3.mw 6qr.mw 6qt.mw ~6qz.6qz ~6qz.6qz.6qz ~6r2.6r2 ~6r2.6r2.6r2 6rg.mw 6rn.mw 6rp.mw 6rs.mw 1p.mw 6sh.mw 6rx.mw 1o.mw 1q.mw 6sk.mw 6sl.mw 6sy.mw 6sz.mw 6t2.mw 6t3.mw 6t6.mw 6t7.mw 6te.mw 6tf.mw 6ti.mw 6tj.mw 6ua.mw 6ug.mw 6uh.mw 6uj.mw 6t8.mw 6t9.mw 6tt.mw 6tu.mw 6uq.mw 6ur.mw 6us.mw 6ut.mw 9hk 9hl ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~1d.1c ~1d.1d ~1d.1e ~1d.1f ~1d.1g ~1d.1h ~1d.1i ~1d.1j ~1d.1k ~1d.1l ~1e.1c ~14.1d.15 ~14.1e.15 ~14.1f.15 ~14.1g.15 ~14.1h.15 ~14.1i.15 ~14.1j.15 ~14.1k.15 ~14.1l.15 ~14.1d.1c.15 ~14.1d.1d.15 ~14.1d.1e.15 ~14.1d.1f.15 ~14.1d.1g.15 ~14.1d.1h.15 ~14.1d.1i.15 ~14.1d.1j.15 ~14.1d.1k.15 ~14.1d.1l.15 ~14.1e.1c.15 ~1d.1a ~1e.1a ~1f.1a ~1g.1a ~1h.1a ~1i.1a ~1j.1a ~1k.1a ~1l.1a ~1d.1c.1a ~1d.1d.1a ~1d.1e.1a ~1d.1f.1a ~1d.1g.1a ~1d.1h.1a ~1d.1i.1a ~1d.1j.1a ~1d.1k.1a ~1d.1l.1a ~1e.1c.1a ~14.2p.15 ~14.2q.15 ~14.2r.15 ~14.2s.15 ~14.2t.15 ~14.2u.15 ~14.2v.15 ~14.2w.15 ~14.2x.15 ~14.2y.15 ~14.2z.15 ~14.30.15 ~14.31.15 ~14.32.15 ~14.33.15 ~14.34.15 ~14.35.15 ~14.36.15 ~14.37.15 ~14.38.15 ~14.39.15 ~14.3a.15 ~14.3b.15 ~14.3c.15 ~14.3d.15 ~14.3e.15 ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1c ~6qz.6qz.6qz.6qz ~1m.1m.1p ~1p.1p ~1p.1p.1p 8gt.mw ~2y ~2e ~8yp ~lal ~vj3 ~feo ~ffs ~fg6 ~fgf ~fh5 ~fid ~fik ~fj4 ~fju ~g1r ~g2t ~g2z ~g3m ~g46 ~g4r ~g68 ~g6t ~g74 ~gbf ~ge1 ~get ~gey ~gfs ~gg1 ~ggs ~gh5 ~ghu ~gja ~gjs ~gkj ~h5j ~h7j ~hkb ~hky ~hl6 ~hlh ~hlz ~ho3 ~i1c ~i2o ~i60 ~i6n ~i76 ~i7s ~i9a ~i9d ~ijf ~ijp ~ik1 ~ike ~inm ~inu ~inz ~ir8 ~iri ~irv ~is3 ~its ~iu9 ~iur ~iwz ~jd4 ~jee ~jez ~jzj ~jzo ~k1z ~k2f ~k2s ~k3d ~k4g ~k4l ~kc0 ~kco ~kdk ~l5s ~l7m ~l89 ~l9v ~laj ~las ~laz ~lcf ~lck ~ldg ~m7f ~mju ~mk6 ~mkb ~mkf ~mkn ~ml5 ~ml7 ~mng ~mtg ~mtl ~n30 ~n3a ~n4o ~n4v ~n54 ~n5c ~n7v ~n82 ~nee ~nel ~nfy ~ngf ~nhq ~nob ~noi ~noz ~ny2 ~o1k ~o1q ~o6s ~o97 ~oah ~okz ~ooo ~p4m ~p5d ~p6y ~p8d ~pa9 ~pak ~paq ~pbn ~pdr ~pe1 ~pnn ~pnu ~po3 ~poc ~pos ~pp7 ~ppb ~pri ~prm ~prs ~qj1 ~qjv ~qww ~qx8 ~qxv ~r5q ~r63 ~r82 ~r9c ~rp3 ~rpi ~rpx ~rqw ~rrx ~rxg ~rxs ~rzn ~s6j ~s7e ~sd7 ~sds ~sdx ~sk1 ~sp5 ~ssm ~sss ~ssx ~tiv ~tj4 ~tng ~trq ~trt ~tt4 ~tw1 ~twe ~twi ~twp ~tzf ~u0d ~u0j ~u0x ~u5k ~u6z ~u73 ~uc6 ~uc9 ~ucs ~ujs ~ul4 ~ulb ~un9 ~unj ~unm ~unw ~uoq ~uzp ~vat ~vb3 ~vc5 ~vcr ~vcz ~vd9 ~vdd ~veh ~vel ~vf2 ~vf7 ~vfk ~vgb ~vgq ~vgy ~vil ~vj0 ~vj4 ~w ~9hu ~gg1 ~gg4 ~gg5 9jf.9ll 9jh.9ll 9jj.9ll 9jl.9ll 9jn.9ll 9jp.9ll 9jr.9ll 9jt.9ll 9jv.9ll 9jx.9ll 9jz.9ll 9k1.9ll 9k4.9ll 9k6.9ll 9k8.9ll 9kf.9ll 9kf.9lm 9ki.9ll 9ki.9lm 9kl.9ll 9kl.9lm 9ko.9ll 9ko.9lm 9kr.9ll 9kr.9lm 9ja.9ll ~w.9ll ~w.9lm 9lp.9ll ~9l4.9l6 9m3.9ll 9m5.9ll 9m7.9ll 9m9.9ll 9mb.9ll 9md.9ll 9mf.9ll 9mh.9ll 9mj.9ll 9ml.9ll 9mn.9ll 9mp.9ll 9ms.9ll 9mu.9ll 9mw.9ll 9n3.9ll 9n3.9lm 9n6.9ll 9n6.9lm 9n9.9ll 9n9.9lm 9nc.9ll 9nc.9lm 9nf.9ll 9nf.9lm 9ly.9ll 9nz.9ll 9o0.9ll 9o1.9ll 9o2.9ll 9od.9ll ~9mb.9mw ~3cw ~3cx ~3hm ~3cy ~3ho ~3hp ~3cz ~3d0 ~3d1 ~3hs ~3ht ~3hu ~3hv ~3hw ~3hx ~3dm ~3d2 ~3d3 ~3d4 ~3dt ~3d5 ~3d6 ~3d7 ~3d8 ~3d9 ~3da ~3db ~3dc ~3dd ~3de ~3fl ~3fm ~3fn ~3fo ~3fp ~3fq ~3fr ~3fs ~3ft ~3fu ~3fv ~3fw ~3fx ~3fy ~3fz ~3g0 ~3g1 ~3g2 ~3g3 ~3g4 ~3g5 ~3fk ~3dg ~3dh ~3if ~3ig ~3ik ~3im ~3ir ~3iv ~3ix ~3do ~3j1 ~3j3 ~3dp ~3dq ~3ds ~3du ~3dv ~3dz ~3e1 ~3e3 ~3e4 ~3e5 ~3e6 ~3e7 ~3ea ~3ee ~3eo ~3ev ~3f0 ~3jl ~3jm ~3fb ~3fc ~3fd ~3gk ~3gl ~3go ~3gx ~3gy ~3h0 ~3ha ~3hd ~feo ~fik ~fex ~h5n ~fey ~ffx ~fez ~n5e ~fh5 ~ffd ~fep ~hm1 ~h80 ~fju ~14.3cw.15 ~14.3cy.15 ~14.3cz.15 ~14.3d1.15 ~14.3d2.15 ~14.3d3.15 ~14.3d5.15 ~14.3d7.15 ~14.3d8.15 ~14.3da.15 ~14.3db.15 ~14.3dc.15 ~14.3dd.15 ~14.3de.15 ~14.3cw.3fl.15 ~14.3cy.3fl.15 ~14.3cz.3fl.15 ~14.3d1.3fl.15 ~14.3d2.3fl.15 ~14.3d3.3fl.15 ~14.3d5.3fl.15 ~14.3d7.3fl.15 ~14.3d8.3fl.15 ~14.3da.3fl.15 ~14.3db.3fl.15 ~14.3dc.3fl.15 ~14.3dd.3fl.15 ~14.3de.3fl.15 ~14.3d8.3fy.15 ~14.3d7.3ft.3d8.3fp.3hn.15 ~14.3d7.3ft.3de.3fy.15 ~14.feo.15 ~14.fik.15 ~14.fex.15 ~14.h5n.15 ~14.fis.15 ~14.g31.15 ~14.fer.15 ~14.g2z.15 ~14.fh9.15 ~14.gg1.15 ~14.kco.15 ~14.m7f.15 ~14.ldg.15 ~14.kdk.15 ~14.ssx.15 ~14.h7j.15 ~14.k4l.15 ~14.kkq.15 ~14.kcp.15 ~14.ny6.15 ~14.glp.15 ~14.mm1.15 ~14.rs1.15 ~14.nz1.15 ~14.gc4.15 ~14.fkz.15 ~14.gos.15 ~14.i1y.15 ~14.nhf.15 ~14.flt.15 ~14.rt3.15 ~14.ggk.15 ~14.nzh.15 ~14.fm9.15 ~14.pnu.15 ~14.po3.15 ~gun ~inw ~k1z ~oen ~28.2c.1x ~1e.1d ~1e.1e ~1e.1f ~1e.1g ~1e.1h ~1e.1i ~1e.1j ~1e.1k ~1e.1l ~1f.1c ~1f.1d ~1f.1e ~1f.1f ~1f.1g ~1f.1h ~3cw ~3cy ~3cz ~3d1 ~3d2 ~3d3 ~3d5 ~3d7 ~3d8 ~3da ~3db ~3dc ~3dd ~3de ~3cw.3fl ~3cy.3fl ~3cz.3fl ~3d1.3fl ~3d2.3fl ~3d3.3fl ~3d5.3fl ~3d7.3fl ~3d8.3fl ~3da.3fl ~3db.3fl ~3dc.3fl ~3dd.3fl ~3de.3fl ~3da.3fl.3hz.3cw.3ft ~3d8.3fy.3d7.3g4 ~3d7.3fy ~feo ~fik ~fex ~h5n ~fis ~g31 ~fer ~g2z ~fh9 ~gg1 ~kco ~m7f ~ldg ~kdk ~ssx ~h7j ~k4l ~kkq ~kcp ~ny6 ~glp ~mm1 ~rs1 ~nz1 ~gc4 ~o2g ~n5j ~ho3 ~six ~g16 ~ghc ~lig ~u11 ~fm9 ~g49 ~l7n ~fey ~ffx ~fez ~ijq ~gkz ~gfv ~i3b ~i1y ~nhf ~flt ~rt3 ~ggk ~hlo ~1f.1i ~1f.1j ~1f.1k ~1f.1l ~1g.1c ~1g.1d ~1g.1e ~1g.1f ~1g.1g ~1g.1h ~1g.1i ~1g.1j ~1g.1k ~1g.1l ~1h.1c ~1d.kco ~1e.kco ~1f.kco ~1g.kco ~1h.kco ~1i.kco ~1j.kco ~1k.kco ~1l.kco ~1d.1c.kco ~1d.1d.kco ~1d.1e.kco ~20.2v ~2t.36.2v ~2t.2e ~24.2c.1w ~9lu ~9lw ~9ly ~9m0 ~9m2 ~9m3 ~9m5 ~9m7 ~9m9 ~9mb ~9md ~9mf ~9mh ~9mj ~9ml ~9mn ~9mp ~9ms ~9mu ~9mw ~9my ~9mz ~9n0 ~9n1 ~9n2 ~9n3 ~9n6 ~9n9 ~9nc ~9nf ~9ni ~9nj ~9nk ~9nl ~9nm ~9no ~9nq ~9ns ~9nt ~9nu ~9nv ~9nw ~9nx ~9nz ~9o0 ~9o1 ~9o2 ~fl0.gp8 ~9lu.9n5.9oc.9mw ~9lu.9nv.9n9.9lt ~9lu.9o3.9ne.9lu ~9lu.9oc.9nv ~9lw.9mz.9o3.9m8 ~9lw.9o3.9mp ~9ly.9m1.9o3 ~9m0.9mh.9m7.9oc.9mx ~9m0.9oc.9m3.9oc ~9m2.9o3.9mh ~9m2.9oc.9nk ~9m3.9lw.9nu ~9m3.9nt.9mr.9mw ~9m3.9nx.9nu.9oc ~9m4.9nx.9o3 ~9m4.9o3.9ni ~9m6.9m4 ~9m6.9mz.9oc ~9m5.9np.9nu.9oc ~9m6.9nv.9mo.9oc ~9m5.9nx ~9m5.9nx.9m8.9nt.9nk ~9m5.9nx.9nl.9oc.9mw.9nv ~9m5.9nx.9nz.9mr.9mw ~9m8.9nt.9nk ~9m8.9nt.9nk.9mw.9o3 ~9m7.9nv.9mk.9lw.9nx ~9m7.9nx.9oc.9n1 ~9m9.9oc.9mh ~9mb.9nv.9my ~9mb.9oc.9nh ~9md.9lw.9m7.9nv ~9md.9o3.9mp.9oc.9nk ~9mf.9nu.9o3.9m8 ~9mj.9o3.9mp ~9mj.9o3.9mw ~9mo.9oc.9mh ~9mv.9mf ~9mx.9nv ~9mw.9o3 ~9my.9n2 ~9n2.9mr.9mw ~9n3.9lw.9ms ~9n5.9oc.9mj.9o3.9mw ~9n5.9oc.9ms ~9n4.9oc.9nw.9nv ~9n8.9lu.9mh.9mw.9nv ~9n8.9m7.9nv ~9n8.9mb ~9n7.9nv ~9n9.9lt.9nt.9mr.9mx ~9n9.9lv.9oc.9mw ~9na.9mr.9mf.9lz.9nv ~9n9.9nt.9o3 ~9nc.9m7.9mn.9oc.9nv ~9ne.9ml ~9ne.9mz.9n6 ~9nc.9nv.9ms ~9ne.9o3.9mh ~9ne.9oc.9mg ~9nd.9oc.9mn ~9nh.9lw.9o3.9mw ~9ng.9nv.9mw ~9nf.9o3 ~9nh.9o3.9mx ~9nf.9oc.9nv ~9nf.9oc.9o3 ~9ni.9lw.9m7.9nx ~9ni.9lw.9nv ~9ni.9mr.9n3 ~9ni.9nv.9m7 ~9ni.9o3.9mf.9nr.9o3 ~9nj.9m7.9nx.9o3 ~9nj.9nu ~9nj.9nu.9n4.9oc.9nv ~9nl.9m4 ~9nl.9m4.9mw.9o3 ~9nl.9oc.9mw.9nv ~9no.9oc.9mx ~9no.9oc.9nv ~9nq.9lu.9o3 ~9nu.9mr.9mw.9nv ~9nu.9nt ~9nv.9n8.9oc ~9nv.9oc.9na.9nv ~9nw.9nk ~9nw.9o3.9mw.9ma.9o3 ~9nz.9mr.9mw ~1c.m9l ~1d.m9l ~1e.m9l ~1f.m9l ~1g.m9l ~1h.m9l ~1i.m9l ~1j.m9l ~1k.m9l ~1l.m9l ~1d.1c.m9l ~1d.1d.m9l ~1d.1e.m9l ~1d.1f.m9l ~1d.1g.m9l ~1d.1h.m9l ~1d.1i.m9l ~1d.1j.m9l ~1d.1k.m9l ~1d.1l.m9l ~1e.1c.m9l ~1e.1d.m9l ~1e.1e.m9l ~1e.1f.m9l ~1e.1g.m9l ~2w.28.2p ~2s.2p ~1t.2d ~2q.2p.36 ~33.2e ~34.2r ~2s.31 ~2s.31.4y ~2s.31.4z ~21.2d ~inn.jdc ~k6l.gp8 ~hlz.l7n ~k5q.lh7 ~kkq.irz.fmi.ny6 ~34.1t ~32.1t ~qk.1t ~31.1t ~2z.1t ~23.1u ~25.1u ~1z.1u ~2r.2p.30 ~2z.2r.2p.30 ~34.1y ~32.1y ~qk.1y ~qk.2v ~31.2v ~2z.2v ~20.3e ~2z.20.3e ~25.20.3e ~1z.20.3e ~2c.20.3e ~qk.6j7 ~31.6j7 ~2s.6j7 ~2z.6j7 ~2u.31 ~32.31 ~qk.31 ~31.31 ~2r.31 ~2z.31 ~31.31.4y ~2r.31.4y ~31.4y ~2z.31.4y ~31.31.4z ~2r.31.4z ~31.4z ~2z.31.4z ~31.6qd.37 ~31.6qd.37.4y ~28.2p ~2z.28.2p ~25.28.2p ~1z.28.2p ~36.2p.2s ~36.2p.2s.6qd.37 ~36.2p.2s.6qd.37.4y ~34.37 ~32.37 ~qk.37 ~31.37 ~34.2e ~32.2e ~qk.2e ~31.2e ~2z.2e ~25.2e ~34.2f ~32.2f ~qk.2f ~31.2f ~2z.2f ~25.2f ~2z.q1 ~25.q1 ~2p.1a.31.1a ~1u.35 ~2r.2r ~2r.2s ~1v.6qd.2z.2v ~1v.33.1a ~2s.1u ~1z.3d ~2w.2p ~20.28 ~2x.32 ~23.23 ~23.25 ~2z.38 ~30.31 ~30.32 ~30.33.2v ~30.3c ~31.2q ~31.2x.30 ~31.33.30 ~28.20 ~34.1a.31.1a ~28.28.25 ~28.2a ~37.36 ~2b.3a ~2f.2q ~2e.6qd.31 ~1t.6qd.31 ~1d.k4l ~1e.k4l ~1f.k4l ~1g.k4l ~1h.k4l ~1i.k4l ~1j.k4l ~1k.k4l ~1l.k4l ~1d.1c.k4l ~1d.1d.k4l ~1d.1e.k4l ~1d.1f.k4l ~1d.1g.k4l ~1d.1h.k4l ~1d.1i.k4l ~1d.1j.k4l ~1d.1k.k4l ~1d.1l.k4l ~1e.1c.k4l ~1e.1d.k4l ~1e.1e.k4l ~1e.1f.k4l ~1e.1g.k4l ~1e.1h.k4l ~1e.1i.k4l ~1e.1j.k4l ~1e.1k.k4l ~1e.1l.k4l ~1f.1c.k4l ~1f.1d.k4l ~2v.2p.30 ~ui ~uk ~x2n ~1v ~1y ~29 ~86 ~9f ~x0n ~xtj ~h7 ~xua ~i5 rpk kc4 s7e rt4 lw1 fg2 gkl vj0 vj0 hn5 ssx gw7 hmw jcm ne1 p6t qin qt6 r20 sjz kxu ljv mah mvy q4d sq2 uep fia ghh l50 mjf qi5 v8e ifk m3v qfh r50 jih pnc qvz iq2 kd3 lm2 mpo slq fpi g53 gda jwk l3n mj4 nhj pa9 qh2 qjg s1b tv6 upb v7e nt8 nzz otc q15 t1g vb3 rfa hjz iro okg pdq mle nuy rsy ttj hjs i8y kyb lp6 lxr oq7 oxj tor gcy pe3 g64 g5o o4c ou6 q29 tpx rk0 jin kxu rge fg9 i5j iz6 mtj n74 gev nwb fr3 iw9 ff1 lho k1k opu gjn hge ni9 q4p re2 la2 sds lfs jjy put jog n6t fji g2x g5l kn5 oo7 prj rf6 ssv gdx gn6 ho3 ir0 k3p m4e nxm tkd ui2 vbr vda gbf kau l87 sbm ino j9s jcw jve lyb mdl n0p o22 ovo pdb s9y q9a sgz t3e g7r gbn gql ma0 r0i re2 iq1 iyd jnf l9q oji mt1 fl0 h6h i5j iii izg muq mzt p7e pc6 svo tti tvs u1k fpn o1a ss4 trs j4x fie fyy i5q i7z k2h kxu mha ncy q9o sjg vil k94 tny gax kfv kj7 lkx luk mx5 n6h nsb opc u3i g31 je6 tq0 fu3 ie1 lpm sa2 ivf j7o kk7 mtj tqe g89 glr i91 k5v kem ko8 lid mx2 naa p6h r0v r1d sss tsy gfz lve gm5 mhc n14 qgq tr7 uvr vbz kgn lor pns o97 obk olu mo0 m8p riw fk0 px2 g8q g7b ip2 jir onq i2t ljy kac saj qx8 tot r63 iqb g1s gxs hga k8k g66 mqy ngq ny4 nz2 nz9 o0f tw6 on2 p8d qhe rg8 shk sn1 u7j u7w u94 v5g sm6 trr fqm fzb g25 gcp gdg ggh gwt gzq h2g hfk hig i90 i9a j2s j8o j9q jci k0f k4i k9d kn9 lmf lqy lya mem mjv mxu ntd ny6 nyh nyg nyo nyu nz1 o0d o0e o5c o75 og0 ovo ow9 oxt p6a pad pnx prt prt q53 r2o r6e rgh ri1 rtf ruw sdy shk tsz u0v u2j j1x 36cu pp4 ffq g51 g2w fpc g1x g3k gcn ge2 gwt gut gwp gyq hga hir hms hn8 huq i08 iqa iqh iuh iwd j4o j7y j60 j9q j8g jci jec jpg jrw jte k0m k8k kd3 kd7 keu l89 la2 lkx lwb lvv lya m5a mem nmv mk5 mnj mqy n01 n46 n5n nbx nbz ngq nh7 nhw nka nk0 nv0 o8h og0 ol7 orf ovo p4u pad pxu q27 qrd r41 r5y r6e ren rg8 rez rgh rge rfx ri1 rka ruw sag sj6 srd sxi tq4 tsz tw6 tzv u0v u17 u2j umq vj0 313e 3138 33dh brx cns cop 39e1 3bgw 3i6r vgj vim ~2u.2u ~2u.2x ~2u.30 ~2u.2u.2x ~2u.2u.30 ~an.38 ~37.38 ~12s.12u ~12s.12d ~12s.12j ~132.12u ~12s.12l 15l.14k 16a.14n ~15u ~15c ~15f ~15g ~15n ~15o ~15p ~160 ~162 ~17 161.14x 161.14y 1dmx.14x 1dmx.14y 15c.14n 15c.14o 15c.14s 15d.14s 15e.14s 15f.14s 15g.14s 15h.14s 15i.14s 15k.14s 15l.14s 15m.14s 15n.14s 15o.14s 15q.14s 15s.14s 15t.14s 15v.14s 15w.14s 15y.14s 15z.14s 160.14s 161.14s 162.14s 15h.14p 15d.14v 15n.14v 15w.14v ~15c.15o ~19t ~19t ~1a3 ~1a3 ~1a3 ~1a3 ~1a6 ~1a6 ~1a6 ~1a6 ~1a8 ~1a8 ~1a8 ~1a8 ~1a2 ~1a2 ~1a2 ~1a2 ~1a7 ~1a7 ~1a7 ~1a7 ~1a1 ~1a1 ~1a1 ~1a1 ~1b8 ~1b8 ~1b8 ~1b8 ~1ba ~1ba ~1ba ~1ba ~1ac ~1ac ~1ac ~1ac ~1ab ~1ab ~1ab ~1ab ~1ae ~1ae ~1ae ~1ae ~1af ~1af ~1af ~1af ~1al ~1al ~1ak ~1ak ~1am ~1am ~1ag ~1ag ~1aw ~1aw ~1ap ~1ap ~1bd ~1bd ~1bd ~1bd ~1bj ~1bj ~1bj ~1bj ~1bn ~1bn ~1bn ~1bn ~1bl ~1bl ~1bl ~1bl ~1bu ~1bu ~1bv ~1bv ~1bv ~1bv ~1c0 ~1c0 ~1c1 ~1c1 ~1c1 ~1c1 ~1by ~1by ~1by ~1by ~1ci ~1ci ~1cj ~1cj ~1bh ~1bh ~1bh ~1bh ~1c7 ~1c7 ~1c6 ~1c6 ~1c8 ~1c8 ~19z ~1cb ~1cb ~1c5 ~1c5 ~1c9 ~1c9 ~1cg ~1cg ~1cg ~1cg ~18p ~18p ~17q.17r ~17q.17r ~17q.1cl ~17q.1cl ~17q.18o ~17q.18o ~17q.1c7 ~17q.1c7 ~17q.1c6 ~17q.1c6 ~17q.1c8 ~17q.1c8 ~17q.1cg ~17q.1cg ~17q.1cg ~17q.18p ~17q.18p ~17q.18p ~1cc ~1cc ~1cc ~1cc ~17q.17w ~17q.17x ~17q.18l ~17q.18p ~17q.18q ~17s.17w ~17s.17x ~17s.17y ~17s.18l ~17s.18p ~17s.18q ~17u.17w ~17u.17x ~17u.17y ~17u.18l ~17u.18p ~17u.18q ~17v.17w ~17v.18l ~17v.18p ~17v.18q ~17w.17x ~17w.18l ~17x.17w ~17x.18l ~17y.17w ~17y.17x ~17y.18l ~183.17w ~183.17x ~183.17y ~183.18l ~185.17x ~185.18l ~186.17w ~186.17x ~186.17y ~186.18l ~187.17x ~187.18l ~188.18l ~189.17w ~189.18l ~18a.17w ~18a.18l ~18h.17w ~18h.17x ~18h.17y ~18h.18l ~18h.18p ~18h.18q ~18i.17x ~18i.18l ~18i.18p ~18i.18q ~18j.17r ~18j.17w ~18j.17x ~18j.17y ~18j.18k ~18j.18l ~18j.18p ~18j.18q ~18k.17w ~18k.17x ~18k.17y ~18k.18l ~18k.18p ~18k.18q ~18l.17w ~18l.17x ~18l.17y ~18l.18l ~18l.18p ~18l.18q ~18m.17w ~18m.17x ~18m.17y ~18m.18l ~18m.18p ~18m.18q ~18n.17w ~18n.18l ~18n.18p ~18n.18q ~18q.17w ~18q.17x ~18q.17y ~18q.18l ~18q.18p ~18q.18q ~180.19s ~181.19s ~18p.19s ~w.18s.18x ~w.18t.18x ~w.18u.18x ~w.18v.18x ~w.18w.18x ~w.18x.19s ~17q.181 ~17q.182 ~17q.18l ~17q.18m ~17q.18p ~17q.18q ~17s.181 ~17s.182 ~17s.18l ~17s.18m ~17s.18p ~17s.18q ~17u.181 ~17u.182 ~17u.18l ~17u.18m ~17u.18p ~17u.18q ~17v.181 ~17v.182 ~17v.18l ~17v.18m ~17v.18p ~17v.18q ~18h.18p ~18h.18q ~18i.18p ~18i.18q ~18j.17r ~18j.18k ~18j.18l ~18j.18p ~18j.18q ~18k.18l ~18k.18p ~18k.18q ~18l.17r ~18l.18l ~18m.181 ~18m.182 ~18m.18l ~18m.18m ~18m.18p ~18m.18q ~18p.19s ~18q.181 ~18q.182 ~18q.18l ~18q.18m ~18q.18p ~18q.18q ~17q.17w ~17q.17x ~17q.17y ~17q.18l ~17q.18n ~17s.17w ~17s.17x ~17s.17y ~17s.18l ~17s.18n ~17u.17w ~17u.17x ~17u.17y ~17u.18l ~17u.18n ~17v.18l ~17w.17x ~17w.18l ~17x.17w ~17x.18l ~17y.17w ~17y.18l ~183.17w ~183.17x ~183.17y ~183.18l ~185.17x ~185.17y ~185.18l ~186.17w ~186.17x ~186.17y ~186.18l ~187.17x ~188.18l ~189.17w ~189.18l ~18a.17w ~18a.18l ~18h.17w ~18h.17x ~18h.17y ~18h.18l ~18i.17x ~18i.18l ~18j.17w ~18j.17x ~18j.17y ~18j.18k ~18j.18l ~18k.17w ~18k.17x ~18k.17y ~18k.18l ~18k.18n ~18l.17w ~18l.17x ~18l.17y ~18l.18l ~18m.17w ~18m.17x ~18m.17y ~18m.18l ~18m.18n ~18n.17w ~18n.18l ~18n.19s ~18q.17w ~18q.17x ~18q.17y ~18q.18l ~18q.18n ~17q.18l ~17q.18n ~17s.18l ~17s.18n ~17u.18l ~17u.18n ~17v.18l ~17v.18n ~183.18l ~183.18n ~184.18l ~184.18n ~18j.18k ~18j.18l ~18k.18l ~18m.18l ~18m.18n ~18q.18l ~18q.18n ~18g.18u.18x ~18g.18v.18x ~18g.18w.18x ~187.18p ~187.18q ~189.18p ~189.18q ~18a.18p ~18a.18q ~183.18p ~183.18q ~184.18p ~184.18q ~17x.18p ~17x.18q ~17w.18p ~17w.18q ~17y.18p ~17y.18q ~185.18p ~185.18q ~186.18p ~186.18q ~184.17w ~184.17x ~184.17y ~184.18l ~184.181 ~183.181 ~185.181 ~186.181 ~187.18p ~187.18q ~189.18p ~189.18q ~18a.18p ~18a.18q ~183.18p ~183.18q ~184.18p ~184.18q ~17x.18p ~17x.18q ~17w.18p ~17w.18q ~17y.18p ~17y.18q ~185.18p ~185.18q ~186.18p ~186.18q ~184.17w ~184.17x ~184.17y ~184.18l ~184.181 ~183.181 ~185.181 ~186.181 ~184.17w ~184.17x ~184.17y ~184.18l ~183.18n ~184.18n ~187.18l ~183.17w ~183.17x ~183.17y ~184.17w ~184.17x ~184.17y ~187.18l ~188.18l ~17r.18r ~17r.18r ~17u.17w.18l ~17u.17x.17w ~17u.17x.17w ~17u.17x.18l ~17u.17y.18l ~17u.18l.17w ~17u.18l.17x ~17u.18l.17y ~17w.18l.17x ~17w.18l.17x ~17x.18l.18q ~17x.18l.18p ~183.17x.17w ~183.17w.17x ~183.17w.18p ~183.18l.17x ~183.18l.17x ~183.18l.17w ~183.18l.18l ~183.18l.18l ~185.17x.17x ~185.17x.17x ~185.18l.18l ~184.17x.18l ~184.17x.18l ~184.17w.18q ~184.18l.17y ~184.18l.17y ~184.18l.18l ~184.18l.18l ~186.17x.18p ~186.17y.18l ~186.17y.18l ~187.18l.17x ~187.18l.17x ~187.18l.18l ~187.18l.18q ~189.17w.18l ~189.18l.18l ~189.18l.18l ~189.18l.18p ~18a.18l.18l ~18a.18l.18q ~18a.18l.18p ~18h.17y.18l ~18h.17y.18l ~18i.18l.17x ~18i.18l.18l ~18k.17x.18l ~18k.17x.18q ~18k.17x.18p ~18k.17w.17w ~18k.17w.17w ~18k.17y.18l ~18k.17y.18l ~18k.18l.17x ~18k.18l.17x ~18l.17x.17w ~18l.17x.18l ~18l.17x.18q ~18l.17w.17x ~18l.17w.18l ~18l.17y.17w ~18l.17y.18l ~18l.17w.17y ~18n.18l.17w ~18n.18l.18l ~18m.17x.18l ~18m.17x.18p ~18m.17w.18l ~18m.17w.18l ~18m.17w.18p ~18m.18l.18q ~18m.18l.18p ~18q.18l.18l ~18q.18l.18l ~17s.17y.18q ~17u.17w.18q ~17u.17w.18p ~17u.17y.18q ~17u.17y.18p ~17u.18l.18q ~17u.18l.18p ~17w.18l.18q ~17w.17x.18p ~17w.18l.18p ~183.17y.18p ~185.17x.18q ~184.17x.18q ~186.17x.18q ~18k.17w.18q ~18k.18l.18q ~18q.17x.18q ~18q.17w.18q ~18q.18l.18q ~18l.18l.18q ~18i.18l.18q ~18m.17x.18q ~18i.18l.17x ~18k.17x.18l ~189.18l.18q ~18j.18l.18q ~18m.17w.17x ~18l.17y.18q ~18k.17w.18l ~18j.18l.18l ~18k.17w.18l ~18m.17w.17x ~17w.17x.18q ~17x.17w.18q ~18l.17w.18q ~18h.18l.18q ~17s.17x.18q ~18j.18l.18l ~189.17w.18l ~185.18l.18l ~183.17y.18q ~18m.17w.18q ~185.18k.1ci ~18i.18k.1ci ~17r.18k.18k.18n ~17r.18j.17s.181 ~18l.17x.18l.17z ~185.18k.189.18l ~181.183.18o.18k ~189.18k.18q.18n ~18o.183.18k.18l ~185.18k.18p ~185.18k.18p.w.17r.18k.18k.18n.w.189.18k.18q.18n.w.18o.183.18k.18l ~17w.18k.w.17w.18k.17r.18k.18n ~181.1cc.17r.18k ~18 ~9hd ~9he ~1m ~1n ~x ~1r ~9hy ~9hz ~6cm ~6cl ~6c4 ~6c3 ~2n ~2n ~14 ~15 ~3f ~3h ~9hw ~9hx ~9hs ~9ht ~9hm ~9hn ~9hk ~9hl ~9ho ~9hp ~9hq ~9hr ~2j ~2l ~6da ~6da ~6da ~6da ~2n ~2n ~2n ~18 ~9hd ~1a ~1n ~1m ~1r ~x ~6c4 ~14 ~15 ~3f ~3h ~9hw ~9hx ~z ~12 ~16 ~17 ~19 ~1o ~1q ~1p ~2k ~10 ~11 ~1s ~w.18r ~18g.18r ~w.18s ~w.18t ~w.18u ~18g.18u ~w.18v ~18g.18v ~w.18w ~18g.18w ~w.18x ~18g.18x ~w.18y ~18g.18y ~17l ~17m ~17m ~17n ~17n ~17o ~17o ~17p ~17p ~17q ~17q ~17q ~17q ~17r ~17r ~17s ~17s ~17s ~17s ~17t ~17t ~17u ~17u ~17u ~17u ~17v ~17v ~17v ~17v ~17w ~17w ~17w ~17w ~17x ~17x ~17x ~17x ~17y ~17y ~17y ~17y ~17z ~17z ~180 ~180 ~181 ~181 ~182 ~182 ~183 ~183 ~183 ~183 ~184 ~184 ~184 ~184 ~185 ~185 ~185 ~185 ~186 ~186 ~186 ~186 ~187 ~187 ~187 ~187 ~188 ~188 ~188 ~188 ~189 ~189 ~189 ~189 ~18a ~18a ~18a ~18a ~18h ~18h ~18h ~18h ~18i ~18i ~18i ~18i ~18j ~18j ~18j ~18j ~18k ~18k ~18k ~18k ~18l ~18l ~18l ~18l ~18m ~18m ~18m ~18m ~18n ~18n ~18n ~18n ~18o ~18o ~18p ~18p ~18q ~18q ~18q ~18q ~18k.17m ~18k.17m ~18k.17n ~18k.17n ~18k.17p ~18k.17p ~18k.17r ~18k.17r ~x ~y ~z ~10 ~11 ~12 ~13 ~14 ~15 ~16 ~17 ~18 ~19 ~1a ~1b ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~1m ~1n ~1o ~1p ~1q ~1r ~1s ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2j ~2k ~2l ~2m ~2n ~2o ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~3f ~3g ~3h ~3i ~879 ~87a ~9he ~9ho ~9hp ~9hd ~9ob ~9o2 ~9lt ~9lv ~9lx ~9lz ~9m1 ~9nn ~9np ~9nr ~9mr ~9oc ~9lu ~9lw ~9ly ~9m0 ~9m2 ~9m3 ~9m5 ~9m7 ~9m9 ~9mb ~9md ~9mf ~9mh ~9mj ~9ml ~9mn ~9mp ~9ms ~9mu ~9mw ~9my ~9mz ~9n0 ~9n1 ~9n2 ~9n3 ~9n6 ~9n9 ~9nc ~9nf ~9ni ~9nj ~9nk ~9nl ~9nm ~9no ~9nq ~9ns ~9nt ~9nu ~9nv ~9nw ~9nx ~9nz ~9o3 ~9ll ~9lm ~9r8 ~9pt ~9pu ~9pv ~9pw ~9px ~9py ~9pz ~9q0 ~9q1 ~9q2 ~9q3 ~9q4 ~9q5 ~9q6 ~9q7 ~9q8 ~9q9 ~9qa ~9qb ~9qc ~9qd ~9qe ~9qf ~9qg ~9qh ~9qi ~9qj ~9qk ~9ql ~9qm ~9qn ~9qo ~9qp ~9qq ~9qr ~9qs ~9qt ~9qu ~9qv ~9qw ~9qx ~9qy ~9qz ~9r0 ~9r1 ~9r2 ~9r3 ~9r4 ~9r5 ~9r6 ~9r7 ~4i ~4j ~4s ~4v ~4m ~4l ~6g9 ~7b6 ~6mo ~6mp ~6mq ~6mr ~7fk ~7gr 1fpu.lj 1fq2.lj ~k0 ~k1 ~6e ~ih ~gj ~ir ~xuu ~it ~is ~gm ~gn ~5u9 ~go ~gu ~ix ~h0 ~gy ~gw ~ij ~87 ~ik ~h3 ~hw ~iy ~iz ~h8 ~2mmc ~x3i ~ha ~2mmd ~i6 ~2mme ~6w ~hi ~hj ~35 ~hm ~2mmg ~hp ~hq ~hs ~iw ~iu ~xuv ~iv ~i0 ~8s1 ~i7 ~ip ~iq ~ig ~cg ~ch ~ci ~2mmi ~2mn2 1huh.1hve 1huj.1hve 1hut.1hve 1hyp.1hyf 1hyq.1hyf 1idj.1ida 1idj.1idz 1if6.1ih5 1if8.1igr 1iff.1igy 1ifk.1ih5 1igy.1igy 1igy.1igo 1igy.1ih5 1int.1inu 1int.1ink 1int.1inx 1iuw.1iun 1iux.1iun 1jjp.1jjk 1xr2.1xr2 1xr2.1xrd 1xr2.1xr3 1xrd.1xr3 1xr2.1xr4 1xr5.1xr3 1xr6.1xr3 1xr5.1xr4 206f.206f 206b.206f 206h.206f ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l 2jx3.2jxh 2jx4.2jxh 2jxb.2jxq 2jxb.2jxr 2jxb.2jxs 2jxb.2jxt 2jxb.2jxu 2jzt.2jxh 2jzu.2jxh 2jzv.2jxq 2jzw.2jxq 2jzv.2jxr 2jzw.2jxr ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1v ~1w ~1z ~22 ~23 ~26 ~27 ~28 ~29 ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2u ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1w ~1x ~1y ~1z ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1w ~1x ~1y ~1z ~21 ~22 ~23 ~24 ~25 ~27 ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~2p ~2q ~2r ~2s ~2t ~2u ~2v ~2w ~2x ~2y ~2z ~30 ~31 ~32 ~33 ~34 ~35 ~36 ~37 ~38 ~39 ~3a ~3b ~3c ~3d ~3e ~8h ~fr ~pd ~pe ~pf ~pg ~ph ~pi ~pj ~pk ~pl ~pm ~pn ~po ~pp ~pq ~pr ~ps ~pt ~s4 ~pv ~pw ~px ~py ~pz ~q0 ~q1 ~6pz ~q9 ~qa ~qb ~qc ~qd ~qe ~qf ~qg ~qh ~qi ~qj ~qk ~ql ~qm ~qn ~qo ~qp ~qq ~qr ~qs ~qt ~qu ~qv ~qw ~qx ~6pu ~s5 ~r5 ~s0 ~r9 ~s1 ~ra ~pd ~pe ~pf ~pg ~ph ~pi ~pj ~pk ~pl ~pm ~pn ~po ~pp ~pq ~pr ~ps ~pt ~s4 ~pv ~pw ~px ~py ~pz ~q0 ~q1 ~6pz ~q9 ~qa ~qb ~qc ~qd ~qe ~qf ~qg ~qh ~qi ~qj ~qk ~ql ~qm ~qn ~qo ~qp ~qq ~qr ~qs ~qt ~qu ~qv ~qw ~qx ~6pu ~s5 ~r5 ~s0 ~r9 ~s1 ~ra ~pd ~pe ~pf ~pg ~ph ~pi ~pj ~pk ~pl ~pm ~pn ~po ~pp ~pq ~pr ~ps ~pt ~s4 ~pv ~pw ~px ~py ~pz ~q0 ~q1 ~6pz ~q9 ~qa ~qb ~qc ~qd ~qe ~qf ~qg ~qh ~qi ~qj ~qk ~ql ~qm ~qn ~qo ~qp ~qq ~qr ~qs ~qt ~qu ~qv ~qw ~qx ~6pu ~s5 ~r5 ~s0 ~r9 ~s1 ~ra ~pd ~pe ~pf ~pg ~ph ~pi ~pj ~pk ~pl ~pm ~pn ~po ~pp ~pq ~pr ~ps ~pt ~s4 ~pv ~pw ~px ~py ~pz ~q0 ~q1 ~6pz ~q9 ~qa ~qb ~qc ~qd ~qe ~qf ~qg ~qh ~qi ~qj ~qk ~ql ~qm ~qn ~qo ~qp ~qq ~qr ~qs ~qt ~qu ~qv ~qw ~qx ~6pu ~s5 ~r5 ~s0 ~r9 ~s1 ~ra ~pd ~pe ~pf ~pg ~ph ~pi ~pj ~pk ~pl ~pm ~pn ~po ~pp ~pq ~pr ~ps ~pt ~s4 ~pv ~pw ~px ~py ~pz ~q0 ~q1 ~6pz ~q9 ~qa ~qb ~qc ~qd ~qe ~qf ~qg ~qh ~qi ~qj ~qk ~ql ~qm ~qn ~qo ~qp ~qq ~qr ~qs ~qt ~qu ~qv ~qw ~qx ~6pu ~s5 ~r5 ~s0 ~r9 ~s1 ~ra ~rg ~rh ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l ~ts ~tt ~tu ~tv ~tw ~tx ~ty ~tz ~u0 ~u2 ~u3 ~u4 ~u6 ~u7 ~u8 ~u9 ~ua ~ub ~uc ~ud ~ue ~uf ~ug ~uj ~ul ~um ~ww9 ~yh ~uu ~uw ~yx ~xb ~y7 ~ts ~tt ~tu ~tv ~tw ~tx ~ty ~tz ~u0 ~u2 ~u3 ~u6 ~u7 ~u9 ~ub ~uc ~ud ~ue ~uf ~ug ~ui ~uj ~wh ~uu ~ut ~v3 ~x7 ~wup ~xd ~17r ~17s ~17w ~17z ~18o ~182 ~17x ~187 ~18q ~18j ~18k ~18l ~18m ~183 ~189 ~18h ~185 ~18i ~181 ~184 ~17u ~17v ~17y ~180 ~186 ~188 ~18a ~19q ~1bu ~1b5 ~19r ~17s ~17w ~18n ~17x ~18q ~18j ~18k ~18l ~18m ~183 ~189 ~18h ~185 ~18i ~184 ~17u ~17v ~17y ~186 ~18a ~17w ~17x ~18q ~18k ~18m ~183 ~189 ~185 ~18i ~184 ~17y ~186 ~18a ~1bu ~19r ~17s ~17w ~18n ~17x ~187 ~18q ~18j ~18l ~18m ~183 ~189 ~18h ~185 ~18i ~184 ~17u ~17v ~17y ~186 ~188 ~18a ~19q ~1b5 ~17r ~17s ~17w ~17z ~18n ~18o ~182 ~17x ~187 ~18q ~18k ~18l ~18m ~183 ~189 ~18h ~185 ~18i ~181 ~184 ~17u ~17v ~17y ~180 ~186 ~188 ~18a ~17s ~17w ~17z ~18o ~182 ~17x ~187 ~18q ~18k ~18l ~18m ~183 ~189 ~18h ~185 ~18i ~181 ~184 ~17u ~17v ~17y ~180 ~186 ~188 ~18a ~1c.1a ~1c.18 ~1d.18 ~1e.18 ~1f.18 ~1g.18 ~1h.18 ~1i.18 ~1j.18 ~1k.18 ~1l.18 ~14.1t.15 ~14.1u.15 ~14.1v.15 ~14.1w.15 ~14.1x.15 ~14.1y.15 ~14.1z.15 ~14.20.15 ~14.21.15 ~14.22.15 ~14.23.15 ~14.24.15 ~14.25.15 ~14.26.15 ~14.27.15 ~14.28.15 ~14.29.15 ~14.2a.15 ~14.2b.15 ~14.2c.15 ~14.2d.15 ~14.2e.15 ~14.2f.15 ~14.2g.15 ~14.2h.15 ~14.2i.15 ~9hw.2b.9hx ~1v ~2a ~1v.1w ~2f.2i ~1t ~1u ~1v ~1w ~1x ~1y ~1z ~20 ~21 ~22 ~23 ~24 ~25 ~26 ~27 ~28 ~29 ~2a ~2b ~2c ~2d ~2e ~2f ~2g ~2h ~2i ~20.2e ~25.2e ~2b.1w ~2b.2b ~28.28.2e ~2f.1v ~25.1v ~25.1w ~25.2a ~1w.22 ~9kr.9jf ~9mb.9mb ~9md ~jez ~i1j ~gjw ~9mv ~fik ~hlm ~r8j ~hm1 ~fj8 ~k68 ~mch ~k2h ~g99 ~ivg ~g3x ~k34 ~g7x ~oqq ~n4v ~rs9 ~hkg ~gmx ~lxw ~jh1 ~jmd ~feo ~fex ~si2 ~ijq ~ffx ~gkz ~jk7 ~rxs ~jf7 ~o01 ~o6y ~glk ~lts ~kcp ~kco ~n5f ~gaa ~gxi ~sp9 ~9hw.kdo.9hx ~9hw.fex.9hx ~9hw.fik.9hx ~9hw.i2x.9hx ~9hw.m9l.9hx ~9hw.jf7.9hx ~9hw.nh3.9hx ~9hw.gd9.9hx ~9hw.k0n.9hx ~ivr ~gkv ~1c ~1d ~1e ~1f ~1g ~1h ~1i ~1j ~1k ~1l fgd fg8 fgh 2tcy fog fqm fqz fsy fwa fx5 fzb fyn ae6 2ud6 g25 g2c g2s g3b 2u58 aex g2v g3x 2u6j g47 g4k fkc g4s g51 3ly7 g6t g77 afz g8r g92 gaa gaf ahh gcn gcp gdg ge2 ged gee gev gg9 ggh ggq ghf ghp ghr ghr ghr 2v58 m7k gju gkf 2vdv gkr gkx gli gpq gmw gnc go8 gpu gs6 gsw gur gv7 gw4 gw4 gwp gx7 gxf gxu h7a gzq h7b h1t h2s g7b hke hce hdg he5 haj hf6 hf5 hik 2x9g hki hkn hl2 hlm hlu hnm 2xm0 2xnu hrg hsr ht3 hqw huu aum av0 hzc i0u i0u 2y88 i4j i54 i5j i5v 2yhk i67 i6e itv i76 ayp i8w i9a ibk ia5 2z1g if7 2z1i ige igb igs ijl ijm b3j ikd ilk im5 ind b4y 2zr7 b5o ipc ipf ipi iq2 3pg2 iri 3035 3035 poh isi isi b7r 335k 3cgq iua iuj b8j ivu ix9 ixj iyh j29 bay ba4 j2s 30t0 j47 j7s j7w j7y j7w j96 j9q jaq jac jan jby jci jcm jdc jdn jfh jht jis jm8 31n0 jlp jjw jmw jnn jqc 31td js2 jph jop bhq ju1 jum jvh juf bjg k0f k18 32mi k4j kc8 k7d bo9 k9d bns bms g42 g45 kcg k9o pf1 deh kd3 kd7 kdd kf2 ker 33cz bpl kje kg5 klu kn9 33hp kni kkf kr8 brx ksi kv7 kx6 l2g 33xf l3v bvc l5t 34br l78 bwu l82 l9b la2 la3 34p9 2yvf 34sa le6 354s lhb lhp lev ljq lku lmf lkx lm1 lmg lmt 357i lkk lrj lta c37 lvv lvr 35jl lq1 m0e 35ni 35ou m2u m61 m5a m57 c5y m6i m7x m7r m99 2u5h mdh 368z mfw 36i3 mjs mk5 mkw 36yw mm8 mmt 3779 37dg mt6 mtn cdo mud ce0 ce0 myv mzg n01 n0l n2i cgr n50 386u n5q 389e n74 2zrz nbk 38v5 38vs 38zo cn0 cnc nhw 394j 394i 395l 396b nj2 nj3 nj3 nka cop nm3 cp2 cra 39r1 nri nt8 nv0 ctf 3a5i nyu 3a8q 3a9x o0f o2z cvj o5c o5m o5r 3at8 3b1j 3b1j oa6 d1e 3b8r og6 og9 d2f 3beo onm d5s oo8 oo3 oow 3c06 orn d8h ouf ow2 oxx d9w 3ciw 3cjr dax 3cnt p6i 3cqm p79 pa2 pad 3d22 3d43 pcw 3d7s pdc 33a7 ded pf6 phf dfv pj2 hx1 3dlz 3dmd 33bn 33bw poh pok sda dij psh psb pst gc3 ptd ptf ptp puu 3ebg put pwd pyb q0d pwj q0t q1z q53 pxv q16 q18 q1o 3eie 3eqz 3emt dnv q9d q9f qae 3g0a qck 3f3g dp9 dpd 3f75 3ff6 dpn qj4 qjg qjr qjt qll qko qoe qn6 qrd qp4 qqz qrq dsn qu9 qv5 dtl qxs qxv 3giv r13 r1a dv9 r22 aez 3gz2 3h46 dz2 dzb rds rfx rka rpx 3hrc rsb rsx rvf rxz 3i9b 2upw s0b rzw s1c 2uvy s7o sag 3jki 3jl9 sk4 smp snl 3ju6 snv svs t07 t08 sxo t89 t91 3ksa tjf ej9 tkn 3l2v eli ts3 iia tur 3ltx 3lzu epa epi u00 3mdm er6 3mhi u17 u17 u21 3mpi u76 eur u95 ucn ude uf2 ez2 3nsg umq uv4 v0d f66 f71 v3b 3owe f7c 3oxx 3p5a 3p8x vcr f9y veh vem vet vf3 vfa vgb 3pxc"};
+
+/** Full_Composition_Exclusion 범위 집합 */
+export const COMPOSITION_EXCLUSIONS = "n4.2 1.2 1b.1 9.1 8.1 15c.8 3g.2 1.1 2b.1 2.1 y.3 2.1 71.2 rp.1 9.1 4.1 4.1 4.1 c.1 9.1 1.2 1.1 8.1 h.1 9.1 4.1 4.1 4.1 c.1 33r.1 1.1 1.1 1.1 1.1 1.1 1.1 1p.1 2.1 a.1 1.1 7.1 7.1 7.1 7.1 2.2 9.1 1.1 1.1 2.2 84.1 3.2 e5.2 1ip.1 14pv.7i 2.1 1.1 2.a 1.1 1.1 2.2 3.1w 2.2y 1v.1 1.1 a.d 1.5 1.1 1.2 1.2 1.9 16a7.7 2e.6 1m4f.f2";
@@ -0,0 +1,6 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/DerivedNumericValues.txt, data/ucd/UnicodeData.txt
+
+/** Numeric_Type/Numeric_Value 구간 목록(d: Decimal, g: Digit, n: Numeric) */
+export const NUMERIC_VALUES = "1c.a.d0 3c.2.g2 5.1.g1 2.1.n1/4 0.1.n1/2 0.1.n3/4 141.a.d0 3q.a.d0 5i.a.d0 bg.a.d0 3a.a.d0 4.1.n1/16 0.1.n1/8 0.1.n3/16 0.1.n1/4 0.1.n3/4 0.1.n16 30.a.d0 3a.a.d0 3a.a.d0 2.1.n1/4 0.1.n1/2 0.1.n3/4 0.1.n1/16 0.1.n1/8 0.1.n3/16 32.a.d0 0.1.n10 0.1.n100 0.1.n1000 37.a.d0 8.4.n0 0.3.n1 2v.a.d0 2w.1.n1/160 0.1.n1/40 0.1.n3/80 0.1.n1/20 0.1.n1/10 0.1.n3/20 0.1.n1/5 7.a.d0 0.1.n10 0.1.n100 0.1.n1000 0.1.n1/4 0.1.n1/2 0.1.n3/4 0.1.n1/16 0.1.n1/8 0.1.n3/16 31.a.d0 2o.a.d0 3a.a.d0 1y.a.d0 0.1.n1/2 0.1.n3/2 0.1.n5/2 0.1.n7/2 0.1.n9/2 0.1.n11/2 0.1.n13/2 0.1.n15/2 0.1.n17/2 0.1.n-1/2 7g.a.d0 1y.a.d0 jz.9.g1 0.1.n10 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n10000 oh.3.n17 6n.a.d0 6.a.n0 m.a.d0 8c.a.d0 3k.a.d0 0.1.g1 4l.a.d0 6.a.d0 52.a.d0 2e.a.d0 3q.a.d0 6.a.d0 t2.1.g0 3.6.g4 6.a.g0 5i.1.n1/7 0.1.n1/9 0.1.n1/10 0.1.n1/3 0.1.n2/3 0.1.n1/5 0.1.n2/5 0.1.n3/5 0.1.n4/5 0.1.n1/6 0.1.n5/6 0.1.n1/8 0.1.n3/8 0.1.n5/8 0.1.n7/8 0.1.n1 0.c.n1 0.1.n50 0.1.n100 0.1.n500 0.1.n1000 0.c.n1 0.1.n50 0.1.n100 0.1.n500 0.1.n1000 0.1.n1000 0.1.n5000 0.1.n10000 2.1.n6 0.1.n50 0.1.n50000 0.1.n100000 0.1.n0 k6.9.g1 0.b.n10 0.9.g1 0.b.n10 0.9.g1 0.b.n10 26.1.g0 0.a.n11 0.9.g1 0.1.n10 0.1.g0 hi.9.g1 0.1.n10 0.9.g1 0.1.n10 0.9.g1 0.1.n10 12h.1.n1/2 ll.1.n0 p.9.n1 e.1.n10 0.1.n20 0.1.n30 9j.4.n1 3u.a.n1 u.1.n10 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 1.f.n21 w.a.n1 13.f.n36 91.1.n5 3h.1.n2 py.1.n5 ma.1.n7 3oy.1.n1 2.1.n7 3.1.n10000 1.1.n3 q.1.n2 1k.1.n9 1a.1.n2 7.1.n5 1.1.n4 l.1.n10000000000000000 i.1.n100000000 0.1.n10 u.1.n1000 8.1.n3 10.1.n5 2q.1.n100 3c.1.n2 s.1.n2 71.1.n100000000 1t.1.n1000000 y.1.n2 1.1.n8 1.1.n6 cz.1.n10 1.1.n1000 0.1.n20 0.1.n30 6.1.n40 38.1.n3 0.1.n3 0.1.n3 0.1.n3 ly.1.n4 et.1.n1 7.1.n1 134.1.n1 3n.1.n9 0.1.n20 c.3.n1 1.1.n2 qn.1.n7 19.1.n10 25.1.n8 w5.1.n7 11n.1.n0 dj.1.n7 wf.1.n9 kn.1.n100 m.1.n200 nr.1.n1000000000 1aw.1.n4 px.1.n10000 1oh.1.n2 4.1.n2 3g.1.n2 yl.1.n9 ii.1.n9 af.1.n1000 10.1.n6 5.1.n100 17.1.n6 3h.1.n0 2zt.a.d0 58.9.n1 0.1.n0 8w.1.n1/4 0.1.n1/2 0.1.n3/4 0.1.n1/16 0.1.n1/8 0.1.n3/16 4a.a.d0 12.a.d0 5i.a.d0 m.a.d0 2e.a.d0 ba.a.d0 fap.1.n3 7.1.n10 4.1.n2 1l.1.n0 u.1.n6 1.1.n6 15.1.n10 102.a.d0 dp.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n200 0.1.n300 0.1.n400 0.1.n500 0.1.n600 0.1.n700 0.1.n800 0.1.n900 0.1.n1000 0.1.n2000 0.1.n3000 0.1.n4000 0.1.n5000 0.1.n6000 0.1.n7000 0.1.n8000 0.1.n9000 0.1.n10000 0.1.n20000 0.1.n30000 0.1.n40000 0.1.n50000 0.1.n60000 0.1.n70000 0.1.n80000 0.1.n90000 c.1.n1/4 0.1.n1/2 0.1.n1 0.1.n5 0.1.n50 0.1.n500 0.1.n5000 0.1.n50000 0.1.n5 0.1.n10 0.1.n50 0.1.n100 0.1.n500 0.1.n1000 0.1.n5000 0.1.n5 0.1.n10 0.1.n50 0.1.n100 0.1.n500 0.1.n1000 0.1.n10000 0.1.n50000 0.1.n10 0.1.n1 0.1.n1 0.2.n1 0.1.n2 0.1.n2 0.1.n2 0.1.n5 0.1.n10 0.1.n10 0.1.n10 0.1.n10 0.1.n10 0.1.n30 0.1.n50 0.1.n50 0.1.n50 0.1.n50 0.1.n100 0.1.n300 0.1.n500 0.1.n500 0.1.n500 0.1.n500 0.1.n500 0.1.n1000 0.1.n5000 0.1.n5 0.1.n50 0.1.n1/2 0.1.n1/2 0.1.n2/3 0.1.n3/4 h.1.n0 0.1.n1/4 9h.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n200 0.1.n300 0.1.n400 0.1.n500 0.1.n600 0.1.n700 0.1.n800 0.1.n900 10.1.n1 0.1.n5 0.1.n10 0.1.n50 t.1.n90 8.1.n900 3q.2.n1 0.1.n10 0.1.n20 0.1.n100 5m.a.d0 q6.3.n1 0.1.n10 0.1.n20 0.1.n100 0.1.n1000 0.1.n10000 p.5.n1 0.1.n10 0.1.n20 13.4.n1 0.2.n4 0.1.n10 0.1.n20 0.1.n100 23.1.n1 0.1.n5 0.1.n10 0.1.n20 0.1.n100 m.1.n1 0.1.n10 0.1.n20 0.1.n100 0.2.n2 4g.1.n11/12 0.1.n1/2 2.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 2.1.n100 0.1.n200 0.1.n300 0.1.n400 0.1.n500 0.1.n600 0.1.n700 0.1.n800 0.1.n900 0.1.n1000 0.1.n2000 0.1.n3000 0.1.n4000 0.1.n5000 0.1.n6000 0.1.n7000 0.1.n8000 0.1.n9000 0.1.n10000 0.1.n20000 0.1.n30000 0.1.n40000 0.1.n50000 0.1.n60000 0.1.n70000 0.1.n80000 0.1.n90000 0.1.n100000 0.1.n200000 0.1.n300000 0.1.n400000 0.1.n500000 0.1.n600000 0.1.n700000 0.1.n800000 0.1.n900000 0.1.n1/12 0.1.n1/6 0.1.n1/4 0.1.n1/3 0.1.n5/12 0.1.n1/2 0.1.n7/12 0.1.n2/3 0.1.n3/4 0.1.n5/6 1s.4.g1 0.1.n10 0.1.n20 0.1.n100 0.1.n1000 0.1.n1/2 1g.1.n1 0.1.n50 u.1.n1 0.1.n10 0.1.n20 23.1.n1 0.1.n5 0.1.n10 0.1.n20 0.1.n100 2w.4.n1 0.1.n10 0.1.n20 0.1.n100 0.1.n1000 o.4.n1 0.1.n10 0.1.n20 0.1.n100 0.1.n1000 15.4.n1 0.1.n10 0.1.n20 0.1.n100 96.1.n1 0.1.n5 0.1.n10 0.1.n50 0.1.n100 0.1.n1000 1c.a.d0 6.a.d0 7q.9.g1 0.1.n10 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n200 0.1.n300 0.1.n400 0.1.n500 0.1.n600 0.1.n700 0.1.n800 0.1.n900 0.1.n1/2 0.1.n1/4 0.1.n1/3 0.1.n2/3 4e.5.n1 0.1.n10 0.1.n20 0.1.n30 0.1.n100 0.1.n1/2 16.1.n1 0.1.n10 0.1.n20 0.1.n100 34.4.n1 0.1.n10 0.1.n20 0.1.n100 3q.9.g1 0.1.n10 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n1000 0.a.d0 3k.a.d0 1o.a.d0 40.a.d0 7.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n1000 6z.a.d0 9i.a.d0 3a.a.d0 ae.a.d0 2u.a.d0 6.a.d0 0.a.d0 24.a.d0 0.1.n10 0.1.n20 bo.a.d0 0.1.n10 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 2l.a.d0 ie.a.d0 2e.a.d0 0.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 6b.a.d0 1y.a.d0 bq.a.d0 2u.1.n1/320 0.1.n1/160 0.1.n1/80 0.1.n1/64 0.1.n1/40 0.1.n1/32 0.1.n3/80 0.1.n3/64 0.1.n1/20 0.1.n1/16 0.1.n1/16 0.1.n1/10 0.1.n1/8 0.1.n3/20 0.1.n3/16 0.1.n1/5 0.1.n1/4 0.1.n1/2 0.1.n1/2 0.1.n3/4 0.1.n1/320 tn.8.n2 0.7.n3 0.6.n4 0.9.n1 0.5.n1 0.2.n2 0.7.n3 0.3.n1 0.3.n3 0.1.n216000 0.1.n432000 0.3.n1 0.3.n3 0.1.n3 0.2.n3 0.1.n4 0.1.n4 0.1.n4 0.2.n6 0.1.n7 0.2.n7 0.2.n8 0.1.n9 0.1.n9 0.1.n9 0.5.n2 0.4.n1 0.2.n4 0.1.n5 0.2.n2 0.2.n1 0.1.n1/3 0.1.n2/3 0.1.n5/6 0.1.n1/3 0.1.n2/3 0.1.n1/8 0.1.n1/4 0.1.n1/6 0.1.n1/4 0.1.n1/4 0.1.n1/2 0.1.n1/3 0.1.n2/3 0.1.n40 0.1.n50 0.6.n4 c01.a.d0 1t2.a.d0 2e.a.d0 3q.a.d0 1.1.n10 0.1.n100 0.1.n10000 0.1.n1000000 0.1.n100000000 0.1.n10000000000 0.1.n1000000000000 em.a.d0 7a.k.n0 0.3.n1 imx.a.d0 152.k.n0 c.k.n0 30.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.5.n1 0.1.n1 0.1.n5 ut.a.d0 0.a.d0 0.a.d0 0.a.d0 0.a.d0 1ts.a.d0 bq.a.d0 dy.a.d0 6v.a.d0 jw.9.n1 3k.a.d0 lz.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n200 0.1.n300 0.1.n400 0.1.n500 0.1.n600 0.1.n700 0.1.n800 0.1.n900 0.1.n1000 0.1.n2000 0.1.n3000 0.1.n4000 0.1.n5000 0.1.n6000 0.1.n7000 0.1.n8000 0.1.n9000 0.1.n10000 0.1.n20000 0.1.n30000 0.1.n40000 0.1.n50000 0.1.n60000 0.1.n70000 0.1.n80000 0.1.n90000 0.1.n100000 0.1.n200000 0.1.n100000 0.1.n10000000 0.1.n20000000 0.9.n1 1.1.n1/4 0.1.n1/2 0.1.n3/4 1.2.n1 0.1.n10000 0.1.n100000 24.a.n1 0.1.n20 0.1.n30 0.1.n40 0.1.n50 0.1.n60 0.1.n70 0.1.n80 0.1.n90 0.1.n100 0.1.n200 0.1.n300 0.1.n400 0.1.n500 0.1.n600 0.1.n700 0.1.n800 0.1.n900 0.1.n1000 0.1.n2000 0.1.n3000 0.1.n4000 0.1.n5000 0.1.n6000 0.1.n7000 0.1.n8000 0.1.n9000 0.1.n10000 0.1.n20000 0.1.n30000 0.1.n40000 0.1.n50000 0.1.n60000 0.1.n70000 0.1.n80000 0.1.n90000 1.9.n2 0.1.n400 0.1.n600 0.1.n2000 0.1.n10000 0.1.n1/2 0.1.n1/6 qq.1.g0 0.a.g0 0.1.n0 0.1.n0 25f.a.d0 sn.1.n7 2q.1.n4 3h.1.n4 1q.1.n5 1l4.1.n1 2g.1.n30 8.1.n40 f.1.n40 99.1.n6 i.1.n3 r.1.n3 4ty.1.n2 16v.1.n3 3gi.1.n3 7rl.1.n4 tnm.1.n9";
@@ -0,0 +1,33 @@
+// 자동 생성 파일 — 직접 수정하지 마세요.
+// 생성: scripts/generate-unicode-data.js (Unicode 16.0.0)
+// 원본: data/ucd/DerivedGeneralCategory.txt, data/ucd/Scripts.txt, data/ucd/ScriptExtensions.txt, data/ucd/emoji-data.txt, data/ucd/DerivedCoreProperties.txt, data/ucd/PropertyValueAliases.txt
+
+/** 테이블의 유니코드 버전 */
+export const UNICODE_VERSION = "16.0.0";
+
+/** General_Category 구간 테이블 */
+export const GENERAL_CATEGORY = {"values":["Cc","Cf","Cn","Co","Cs","Ll","Lm","Lo","Lt","Lu","Mc","Me","Mn","Nd","Nl","No","Pc","Pd","Pe","Pf","Pi","Po","Ps","Sc","Sk","Sm","So","Zl","Zp","Zs"],"width":1,"runs":"w0 1t 3l 1n 3l 1m 1i 1l 1p 1l 1h 2l ad 2l 3p 2l q9 1m 1l 1i 1o 1g 1o q5 1m 1p 1i 1p x0 1t 1l 4n 1q 1l 1o 1q 17 1k 1p 11 1q 1o 1q 1p 2f 1o 15 2l 1o 1f 17 1j 3f 1l n9 1p 79 o5 1p 85 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 25 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 25 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 29 15 19 15 19 35 29 15 19 15 29 15 39 25 49 15 29 15 39 35 29 15 29 15 19 15 19 15 29 15 19 25 19 15 29 15 39 15 19 15 29 25 17 19 35 47 19 18 15 19 18 15 19 18 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 25 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 25 19 18 15 19 15 39 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 75 29 15 29 25 19 15 49 15 19 15 19 15 19 15 19 1x5 17 r5 i6 4o c6 eo 56 7o 16 1o 16 ho 34c 19 15 19 15 16 1o 19 15 22 16 35 1l 19 42 2o 19 1l 39 12 19 12 29 15 h9 12 99 z5 19 25 39 35 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 55 19 15 1p 19 15 29 25 1f9 1c5 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 1q 5c 2b 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 29 15 19 15 19 15 19 15 19 15 19 15 19 25 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 12 129 22 16 6l 155 1l 1h 22 2q 1n 12 19c 1h 1c 1l 2c 1l 2c 1l 1c 82 r7 42 47 2l b2 61 3p 2l 1n 2l 2q bc 1l 11 3l w7 16 a7 lc ad 4l 27 1c 2r7 1l 17 7c 11 1q 6c 26 2c 1q 4c 27 ad 37 2q 17 el 12 11 17 1c u7 rc 22 2h7 bc 17 e2 ad x7 9c 26 1q 3l 16 22 1c 2n m7 4c 16 9c 16 3c 16 5c 22 fl 12 p7 3c 22 1l 12 b7 52 o7 1o 67 12 21 52 9c 157 16 oc 11 wc 1a 1i7 1c 1a 1c 17 3a 8c 4a 1c 2a 17 7c a7 2c 2l ad 1l 16 f7 1c 2a 12 87 22 27 22 m7 12 77 12 17 32 47 22 1c 17 3a 4c 22 2a 22 2a 1c 17 82 1a 42 27 12 37 2c 22 ad 27 2n 6f 1q 1n 17 1l 1c 22 2c 1a 12 67 42 27 22 m7 12 77 12 27 12 27 12 27 22 1c 12 3a 2c 42 2c 22 3c 32 1c 72 47 12 17 72 ad 2c 37 1c 1l a2 2c 1a 12 97 12 37 12 m7 12 77 12 27 12 57 22 1c 17 3a 5c 12 2c 1a 12 2a 1c 22 17 f2 27 2c 22 ad 1l 1n 72 17 6c 12 1c 2a 12 87 22 27 22 m7 12 77 12 27 12 57 22 1c 17 1a 1c 1a 4c 22 2a 22 2a 1c 72 2c 1a 42 27 12 37 2c 22 ad 1q 17 6f a2 1c 17 12 67 32 37 12 47 32 27 12 17 12 27 32 27 32 37 32 c7 42 2a 1c 2a 32 3a 12 3a 1c 22 17 62 1a e2 ad 3f 6q 1n 1q 52 1c 3a 1c 87 12 37 12 n7 12 g7 22 1c 17 3c 4a 12 3c 12 4c 72 2c 12 37 22 17 22 27 2c 22 ad 72 1l 7f 1q 17 1c 2a 1l 87 12 37 12 n7 12 a7 12 57 22 1c 17 1a 1c 5a 12 1c 2a 12 2a 2c 72 2a 62 27 12 27 2c 22 ad 12 27 1a c2 2c 2a 97 12 37 12 157 2c 17 3a 4c 12 3a 12 3a 1c 17 1q 42 37 1a 7f 37 2c 22 ad 9f 1q 67 12 1c 2a 12 i7 32 o7 12 97 12 17 22 77 32 1c 42 3a 3c 12 1c 12 8a 62 ad 22 2a 1l c2 1c7 1c 27 7c 42 1n 67 16 8c 1l ad 2l 112 27 12 17 12 57 12 o7 12 17 12 a7 1c 27 9c 17 22 57 12 16 12 7c 12 ad 22 47 w2 17 3q fl 1q 1l 3q 2c 6q ad af 1q 1c 1q 1c 1q 1c 1m 1i 1m 1i 2a 87 12 107 42 ec 1a 5c 1l 2c 57 bc 12 10c 12 8q 1c 6q 12 2q 5l 4q 2l 112 177 2a 4c 1a 6c 1a 2c 2a 2c 17 ad 6l 67 2a 2c 47 3c 17 3a 27 7a 37 4c d7 1c 2a 2c 6a 1c 17 1a ad 3a 1c 2q 129 12 19 52 19 22 175 1l 16 35 957 12 47 22 77 12 17 12 47 22 157 12 47 22 x7 12 47 22 77 12 17 12 47 22 f7 12 1l7 12 47 22 1v7 22 3c 9l kf 32 g7 aq 62 2e9 22 65 22 1h h87 1q 1l h7 1t q7 1m 1i 32 237 3l 3e 87 72 i7 3c 1a 92 j7 2c 1a 2l 92 i7 2c c2 d7 12 37 12 2c c2 1g7 2c 1a 7c 8a 1c 2a bc 3l 16 3l 1n 17 1c 22 ad 62 af 62 6l 1h 4l 3c 11 1c ad 62 z7 16 1h7 72 57 2c y7 1c 17 52 1y7 a2 v7 12 3c 4a 2c 3a 42 2a 1c 6a 3c 42 1q 32 2l ad u7 22 57 b2 187 42 q7 62 ad 1f 32 yq n7 2c 2a 1c 22 2l 1h7 1a 1c 1a 7c 12 1c 1a 1c 2a 8c 6a ac 22 1c ad 62 ad 62 7l 16 6l 22 ec 1b gc 1d2 4c 1a 1b7 1c 1a 5c 1a 1c 5a 1c 2a 87 12 2l ad 7l aq 9c 9q 3l 2c 1a u7 1a 4c 2a 2c 1a 3c 27 ad 187 1c 1a 2c 3a 1c 1a 3c 2a 82 4l 107 8a 8c 2a 2c 32 5l ad 32 37 ad u7 66 2l 95 19 15 52 179 22 39 8l 82 3c 1l dc 1a 7c 47 1c 67 1c 27 1a 2c 17 52 185 1r6 d5 16 y5 116 1sc 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 95 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 95 89 65 22 69 22 85 89 85 89 65 22 69 22 85 12 19 12 19 12 19 12 19 85 89 e5 22 85 88 85 88 85 88 55 12 25 49 18 1o 15 3o 35 12 25 49 18 3o 45 22 25 49 12 3o 85 59 3o 22 35 12 25 49 18 2o 12 bt 51 6h 2l 1k 1j 1m 2k 1j 1m 1k 8l 1r 1s 51 1t 9l 1k 1j 4l 2g 3l 1p 1m 1i bl 1p 1l 1g al 1t 51 12 a1 1f 16 22 6f 3p 1m 1i 16 af 3p 1m 1i 12 d6 32 xn f2 dc 4b 1c 3b cc f2 2q 19 4q 19 2q 15 39 25 39 15 1q 19 2q 1p 59 6q 19 1q 19 1q 19 1q 49 1q 15 49 15 47 15 2q 25 29 5p 19 45 1q 1p 2q 15 1q gf ze 19 15 4e 1f 2q 42 5p 5q 2p 4q 1p 2q 1p 2q 1p 7q 1p vq 2p 2q 1p 1q 1p vq 7gp 8q 1m 1i 1m 1i kq 2p 7q 1m 1i 29q 1p uq pp 14q 6p 20q m2 bq l2 1of 26q mf 53q 1p 9q 1p 1iq 8p 33q 1p 6wq 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i uf 18q 5p 1m 1i vp 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i gp 74q 3np 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1rp 1m 1i 1m 1i wp 1m 1i 76p 1cq lp 2q 6p 13q 22 wq 12 2xq 1c9 1c5 19 15 39 25 19 15 19 15 19 15 49 15 19 25 19 65 26 39 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 25 6q 19 15 19 15 3c 19 15 52 4l 1f 2l 125 12 15 52 15 22 1k7 72 16 1l e2 1c n7 92 77 12 77 12 77 12 77 12 77 12 77 12 77 12 77 12 wc 2l 1k 1j 1k 1j 3l 1k 1j 1l 1k 1j 9l 1h 2l 1h 1l 1k 1j 2l 1k 1j 1m 1i 1m 1i 1m 1i 1m 1i 5l 16 al 2h 4l 1h 1l 1m dl 2q 3l 1m 1i 1m 1i 1m 1i 1m 1i 1h y2 qq 12 2hq c2 5yq q2 gq 1t 3l 1q 16 17 1e 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 2q 1m 1i 1m 1i 1m 1i 1m 1i 1h 1m 2i 1q 9e 4c 2a 1h 56 2q 3e 16 17 1l 2q 12 2e7 22 2c 2o 26 17 1h 2i7 1l 36 17 52 177 12 2m7 12 2q 4f aq w7 12q 92 1q g7 vq 12 af uq 8f 1q ff wq af 13q ff 8wq 5347 1sq g7p7 16 vr7 32 1jq 92 147 66 2l 7g7 16 3l g7 ad 27 k2 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 17 1c 3b 1l ac 1l 16 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 26 2c 1y7 ae 2c 6l 82 no 96 2o 19 15 19 15 19 15 19 15 19 15 19 15 19 35 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 16 85 19 15 19 15 29 15 19 15 19 15 19 15 19 15 16 2o 19 15 19 15 17 19 15 19 35 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 59 15 59 15 19 15 19 15 19 15 19 15 19 15 19 15 19 15 49 15 19 15 29 15 22 19 15 12 15 12 15 19 15 19 15 19 15 19 l2 36 19 15 17 26 15 77 1c 37 1c 47 1c n7 2a 2c 1a 4q 1c 32 6f 2q 1n 1q 62 1g7 4l 82 2a 1e7 ga 2c 82 2l ad 62 ic 67 3l 17 1l 27 1c ad s7 8c 2l n7 bc 2a b2 1l t7 32 3c 1a 1b7 1c 2a 4c 2a 2c 3a dl 12 16 ad 42 2l 57 1c 16 97 ad 57 12 157 6c 2a 2c 2a 2c 92 37 1c 87 1c 1a 22 ad 22 4l g7 16 67 3q 17 1a 1c 1a 1e7 1c 17 3c 27 2c 57 2c 17 1c 17 o2 27 16 2l b7 1a 2c 2a 2l 17 26 1a 1c a2 67 22 67 22 67 92 77 12 77 12 175 1o 46 95 16 2o 42 285 z7 2a 1c 2a 1c 2a 1l 1a 1c 22 ad 62 8mc7 c2 n7 42 1d7 42 1kw4 4xs3 a67 22 2y7 122 75 c2 55 52 17 1c a7 1p d7 12 57 12 17 12 27 12 27 12 307 ho g2 a37 1i 1m gq 1s7 22 1i7 72 1q w2 c7 1n 3q gc 7l 1m 1i 1l 62 gc 1l 2h 2g 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 1m 1i 2l 1m 1i 4l 3g 3l 12 4l 1h 1m 1i 1m 1i 1m 1i 3l 1p 1h 3p 12 1l 1n 2l 42 57 12 3r7 22 11 12 3l 1n 3l 1m 1i 1l 1p 1l 1h 2l ad 2l 3p 2l q9 1m 1l 1i 1o 1g 1o q5 1m 1p 1i 1p 1m 1i 1l 1m 1i 2l a7 16 197 26 v7 32 67 22 67 22 67 22 37 32 2n 1p 1o 1q 2n 12 1q 4p 2q a2 31 2q 22 c7 12 q7 12 j7 12 27 12 f7 22 e7 y2 3f7 52 3l 42 19f 32 9q 1he 4f hq 2f 3q 12 dq 32 1q 1b2 19q 1c 3m2 t7 32 1d7 f2 1c rf 42 w7 4f 92 k7 1e 87 1e 52 127 5c 52 u7 12 1l 107 42 87 1l 5e 162 149 145 267 22 ad 62 109 42 105 42 147 82 1g7 b2 1l b9 12 f9 12 79 12 29 12 b5 12 f5 12 75 12 25 32 1g7 c2 8n7 92 m7 a2 87 o2 66 12 166 12 96 1x2 67 22 17 12 187 12 27 32 17 22 n7 12 1l 8f n7 2q 7f v7 82 9f 1c2 j7 12 27 52 5f m7 6f 32 1l q7 52 1l 1s2 1k7 42 2f 27 gf 22 1af 17 3c 12 2c 52 4c 47 12 37 12 t7 22 3c 42 1c 9f 72 9l 72 t7 2f 1l t7 3f w2 87 1q s7 2c 42 5f 7l 92 1i7 32 7l m7 22 8f j7 52 8f i7 72 4l c2 7f 282 217 1j2 1f9 d2 1f5 72 6f 107 4c 82 ad 62 ad 47 16 17 m9 32 5c 1h 16 m5 82 2p 5s2 vf 12 167 12 2c 1h 22 27 g2 37 1j2 4c t7 af 17 82 m7 bc 4f 5l m2 i7 4c 4l 122 l7 7f k2 n7 92 1a 1c 1a 1h7 fc 7l 42 kf ad 1c 27 2c 17 92 3c 1a 197 3a 4c 2a 2c 2l 11 4l 1c a2 11 22 p7 72 ad 62 3c 107 5c 1a 8c 12 ad 4l 17 2a 17 82 z7 1c 2l 17 92 2c 1a 1c7 3a 9c 2a 47 4l 4c 1l 1a 1c ad 17 1l 17 3l 12 kf b2 i7 12 p7 3a 3c 2a 1c 1a 2c 6l 1c 27 1c 1q2 77 12 17 12 47 12 f7 12 a7 1l 62 1b7 1c 3a 8c 52 ad 62 2c 2a 12 87 22 27 22 m7 12 77 12 27 12 57 12 2c 17 2a 1c 4a 22 2a 22 3a 22 17 62 1a 52 57 2a 22 7c 32 5c b2 a7 12 17 22 17 12 127 12 17 3a 6c 12 1a 22 1a 12 4a 12 2a 1c 1a 1c 17 1c 17 2l 12 2l 82 2c t2 1h7 3a 8c 2a 3c 1a 1c 47 5l ad 2l 12 1l 1c 37 u2 1c7 3a 6c 1a 1c 4a 2c 1a 2c 27 1l 17 82 ad 4m2 1b7 3a 4c 22 4a 2c 1a 2c nl 47 2c y2 1c7 3a 8c 2a 1c 1a 2c 3l 17 b2 ad 62 dl j2 177 1c 1a 1c 2a 6c 1a 1c 17 1l 62 ad 62 kd s2 r7 22 1c 1a 1c 2a 4c 1a 5c 42 ad 2f 3l 1q 77 552 187 3a 9c 1a 2c 1l 2s2 w9 w5 ad 9f c2 87 22 17 22 87 12 27 12 o7 6a 12 2a 22 2c 1a 1c 17 1a 17 1a 1c 3l 92 ad 1y2 87 22 137 3a 4c 22 2c 4a 1c 17 1l 17 1a r2 17 ac 147 6c 1a 17 4c 8l 1c 82 17 6c 2a 3c 1a7 dc 1a 2c 3l 17 5l d2 217 72 al 522 x7 1l e2 ad 62 97 12 117 1a 7c 12 6c 1a 1c 17 5l a2 ad jf 32 2l u7 22 mc 12 1a 7c 1a 2c 1a 2c 212 77 12 27 12 127 6c 32 1c 12 2c 12 7c 17 1c 82 ad 62 67 12 27 12 w7 5a 12 2c 12 2a 1c 1a 1c 17 72 ad 8m2 j7 2c 2a 2l 72 2c 17 1a d7 12 y7 2a 5c 32 2a 1c 1a 1c dl ad 1c 2d2 17 f2 lf 8q 4n hq d2 1l pm7 2u2 33e 12 5l b2 5g7 2182 2p7 2l d2 ts7 g1 1c 67 fc a2 32z7 52 g77 5a12 u7 cc 3a 3c ad 1c62 ft7 72 v7 12 ad 42 2l 277 12 ad 62 u7 22 5c 1l a2 1c7 7c 5l 4q 46 1l 1q a2 ad 12 7f 12 l7 52 j7 c02 36 147 26 3l ad 5i2 w9 w5 nf 4l 2t2 237 42 1c 17 1ja 72 4c d6 1s2 26 1l 16 1c b2 2a e2 4qg7 82 ye7 152 a7 6w72 46 12 76 12 26 12 837 f2 17 t2 37 22 17 e2 47 82 b07 1s42 2z7 52 d7 32 97 72 a7 22 1q 2c 1l 41 3182 6oq ad 62 c4q 242 1ac 22 nc 92 38q 1o2 6uq a2 13q 22 1oq 2a 3c 3q 6a 81 8c 2q 7c uq 4c 1pq l2 1uq 3c 1q 3e2 kf c2 kf c2 2fq 92 pf 3r2 q9 q5 q9 75 12 i5 q9 q5 19 12 29 22 19 22 29 22 49 12 89 45 12 15 12 75 12 b5 q9 q5 29 12 49 22 89 12 79 12 q5 29 12 49 12 59 12 19 32 79 12 q5 q9 q5 q9 q5 q9 q5 q9 q5 q9 q5 q9 s5 22 p9 1p p5 1p 65 p9 1p p5 1p 65 p9 1p p5 1p 65 p9 1p p5 1p 65 p9 1p p5 1p 65 19 15 22 1ed e8q 1jc 4q 1ec 8q 1c eq 1c 2q 5l f2 5c 12 fc uo2 a5 17 k5 62 65 5x2 7c 12 hc 22 7c 12 2c 12 5c 52 1q6 x2 1c 342 197 32 7c 76 22 ad 42 17 1q 8w2 u7 1c h2 187 4c ad 52 1n cw2 r7 16 4c ad 5y2 u7 2c 17 ad 42 1l dc2 77 12 47 12 27 12 f7 12 5h7 22 9f 7c 152 y9 y5 7c 16 42 ad 42 2l lt2 1nf 1q 3f 1n 4f 242 19f 1q ff 5e2 47 12 r7 12 27 12 17 22 17 12 a7 12 47 12 17 12 17 62 17 42 17 12 17 12 17 12 37 12 27 12 17 22 17 12 17 12 17 12 17 12 17 12 27 12 17 22 47 12 77 12 47 12 47 12 17 12 a7 12 h7 52 37 12 57 12 h7 1g2 2p 7i2 18q 42 2sq c2 fq 22 fq 12 fq 12 11q a2 df 4hq 1k2 tq d2 18q 42 9q 72 2q e2 6q 4a2 6zq 5o k8q 42 hq 32 dq 32 3bq 42 2nq 62 cq 42 1q f2 cq 42 1kq 82 aq 62 14q 82 uq 22 cq 42 2q 1q2 9gq c2 eq 22 dq 32 aq 52 1kq 72 fq 22 bq 62 9q 72 43q 12 2kq ad sm2 wyo7 w2 37e7 62 667 22 4g27 e2 5rl7 f2 ha7 1wi2 f27 15u2 3t77 52 38g7 f9752 11 u2 2o1 3k2 6oc 1e6o2 1eke3 22 1eke3 22"};
+
+/** Script 구간 테이블(값은 긴 이름) */
+export const SCRIPT = {"values":["Adlam","Ahom","Anatolian_Hieroglyphs","Arabic","Armenian","Avestan","Balinese","Bamum","Bassa_Vah","Batak","Bengali","Bhaiksuki","Bopomofo","Brahmi","Braille","Buginese","Buhid","Canadian_Aboriginal","Carian","Caucasian_Albanian","Chakma","Cham","Cherokee","Chorasmian","Common","Coptic","Cuneiform","Cypriot","Cypro_Minoan","Cyrillic","Deseret","Devanagari","Dives_Akuru","Dogra","Duployan","Egyptian_Hieroglyphs","Elbasan","Elymaic","Ethiopic","Garay","Georgian","Glagolitic","Gothic","Grantha","Greek","Gujarati","Gunjala_Gondi","Gurmukhi","Gurung_Khema","Han","Hangul","Hanifi_Rohingya","Hanunoo","Hatran","Hebrew","Hiragana","Imperial_Aramaic","Inherited","Inscriptional_Pahlavi","Inscriptional_Parthian","Javanese","Kaithi","Kannada","Katakana","Kawi","Kayah_Li","Kharoshthi","Khitan_Small_Script","Khmer","Khojki","Khudawadi","Kirat_Rai","Lao","Latin","Lepcha","Limbu","Linear_A","Linear_B","Lisu","Lycian","Lydian","Mahajani","Makasar","Malayalam","Mandaic","Manichaean","Marchen","Masaram_Gondi","Medefaidrin","Meetei_Mayek","Mende_Kikakui","Meroitic_Cursive","Meroitic_Hieroglyphs","Miao","Modi","Mongolian","Mro","Multani","Myanmar","Nabataean","Nag_Mundari","Nandinagari","New_Tai_Lue","Newa","Nko","Nushu","Nyiakeng_Puachue_Hmong","Ogham","Ol_Chiki","Ol_Onal","Old_Hungarian","Old_Italic","Old_North_Arabian","Old_Permic","Old_Persian","Old_Sogdian","Old_South_Arabian","Old_Turkic","Old_Uyghur","Oriya","Osage","Osmanya","Pahawh_Hmong","Palmyrene","Pau_Cin_Hau","Phags_Pa","Phoenician","Psalter_Pahlavi","Rejang","Runic","Samaritan","Saurashtra","Sharada","Shavian","Siddham","SignWriting","Sinhala","Sogdian","Sora_Sompeng","Soyombo","Sundanese","Sunuwar","Syloti_Nagri","Syriac","Tagalog","Tagbanwa","Tai_Le","Tai_Tham","Tai_Viet","Takri","Tamil","Tangsa","Tangut","Telugu","Thaana","Thai","Tibetan","Tifinagh","Tirhuta","Todhri","Toto","Tulu_Tigalari","Ugaritic","Unknown","Vai","Vithkuqi","Wancho","Warang_Citi","Yezidi","Yi","Zanabazar_Square"],"width":2,"runs":"1t0o q21 60o q21 1b0o 121 f0o 121 50o n21 10o v21 10o ch21 130o 521 50o 20c k0o 341l 418 10o 318 24j 418 10o 118 44j 118 10o 118 10o 318 14j 118 14j k18 14j 1r18 e0p g18 3p0t 21l 4p0t 14j 1204 24j 1e04 24j 304 14j 1j1i 84j r1i 44j 61i b4j 503 10o 603 10o e03 10o 303 10o w03 10o a03 b1l q03 11l 3003 10o y03 e3z 14j 1o3z 24j 33z 1c03 1e4a e4j 1n2w 24j 32w 1a3m 24j f3m 14j s2c 24j 12c 14j b3z 54j v03 14j 203 54j 2303 10o t03 290v 41l f0v 20o q0v 40a 14j 80a 24j 20a 24j m0a 14j 70a 14j 10a 34j 40a 24j 90a 24j 20a 24j 40a 84j 10a 44j 20a 14j 50a 24j p0a 24j 31b 14j 61b 44j 21b 24j m1b 14j 71b 14j 21b 14j 21b 14j 21b 24j 11b 14j 51b 44j 21b 24j 31b 34j 11b 74j 41b 14j 11b 74j h1b a4j 319 14j 919 14j 319 14j m19 14j 719 14j 219 14j 519 24j a19 14j 319 14j 319 24j 119 f4j 419 24j c19 74j 719 14j 33b 14j 83b 24j 23b 24j m3b 14j 73b 14j 23b 14j 53b 24j 93b 24j 23b 24j 33b 74j 33b 44j 23b 14j 53b 24j i3b a4j 246 14j 646 34j 346 14j 446 34j 246 14j 146 14j 246 34j 246 34j 346 34j c46 44j 546 34j 346 14j 446 24j 146 64j 146 e4j l46 54j d49 14j 349 14j n49 14j g49 24j 949 14j 349 14j 449 74j 249 14j 349 24j 149 24j 449 24j a49 74j 949 d1q 14j 31q 14j n1q 14j a1q 14j 51q 24j 91q 14j 31q 14j 41q 74j 21q 64j 21q 14j 41q 24j a1q 14j 31q c4j d2b 14j 32b 14j 1f2b 14j 32b 14j 62b 44j g2b 24j q2b 14j 33s 14j i3s 34j o3s 14j 93s 14j 13s 24j 73s 34j 13s 44j 63s 14j 13s 14j 83s 64j a3s 24j 33s c4j 1m4b 44j 10o s4b 114j 220 14j 120 14j 520 14j o20 14j 120 14j n20 24j 520 14j 120 14j 720 14j a20 24j 420 w4j 204c 14j 104c 44j 134c 14j 104c 14j f4c 14j 74c 40o 24c 114j 4g2q 1214 14j 114 54j 114 24j 1714 10o 414 741e 2112 14j 412 24j 712 14j 112 14j 412 24j 1512 14j 412 24j x12 14j 412 24j 712 14j 112 14j 412 24j f12 14j 1l12 14j 412 24j 1v12 24j w12 34j q12 64j 2e0m 24j 60m 24j hs0h t2z 34j 233l 30o b3l 74j m40 94j 140 l1g 20o 94j k0g c4j d41 14j 341 14j 241 c4j 2m1w 24j a1w 64j a1w 64j 22n 20o 12n 10o k2n 64j 2h2n 74j 172n 54j 1y0h a4j v23 14j c23 44j c23 44j 123 34j c23 u42 24j 542 b4j 182u 44j q2u 64j b2u 34j 22u w1w s0f 24j 20f 1r43 14j t43 24j b43 64j a43 64j e43 24j v1l 1d4j 2506 14j 1e06 1s3w 1g09 84j 409 1k22 34j f22 34j 322 1c30 b0t 54j 1714 24j 314 83w 84j 31l 10o d1l 10o 71l 40o 11l 60o 11l 30o 21l 10o 54j 1221 518 10t 1d21 518 421 518 d21 10t 1y21 118 1s1l 7421 m18 24j 618 24j 1218 24j 618 24j 818 14j 118 14j 118 14j 118 14j v18 24j 1h18 14j f18 14j e18 24j 618 14j j18 24j 318 14j 918 14j c0o 21l 2f0o 14j b0o 121 24j b0o 121 f0o 14j d21 34j x0o f4j x1l f4j 120o 118 30o 221 60o 121 r0o 121 h0o 1521 30o 44j ii0o m4j b0o l4j ps0o 740e hg0o 24j w0o 14j 2x0o 2o15 w21 380p 54j 70p 1214 14j 114 54j 114 24j 1k4d 74j 24d e4j 14d n12 94j 712 14j 712 14j 712 14j 712 14j 712 14j 712 14j 712 14j 712 14j w0t 2m0o y4j q1d 14j 2h1d c4j 5y1d q4j l0o 11d 10o 11d p0o 91d 41l 21e 80o 41d 40o 14j 2e1j 24j 21l 20o 31j 10o 2i1r 20o 31r 54j 170c 14j 2m1e 14j g0o w0c 120o 94j 10o g1r v1e 14j 1s0o v1e 290o 1b1r 10o 2g1r 4o0o 5341d 1s0o g741d wd4p 34j 1j4p 94j 1c26 8c4k k4j 2o0t 2g07 84j y0o 2u21 30o 1v21 24j 221 14j 121 14j 821 l4j e21 193y 34j a0o 64j 1k3h 84j 1y3n 84j c3n 64j w0v 1a1t 10o 11t 103k b4j 13k t1e 34j 261o 14j 10o a1o 44j 21o v2q 14j 1j0l 94j e0l 24j a0l 24j 40l w2q 1v44 o4j 544 n2h a4j 612 24j 612 24j 612 94j 712 14j 712 14j 1721 10o 921 118 421 20o 44j 280m 1a2h 24j a2h 64j 8mc1e c4j n1e 44j 1d1e 6is4j a61d 24j 2y1d 124j 721 c4j 504 54j q1i 14j 51i 14j 11i 14j 21i 14j 21i 14j a1i 3703 g4j a303 20o 2803 24j 1i03 74j 103 w4j g03 g1l a0o 64j e1l 20t z0o 14j j0o 14j 40o 44j 503 14j 3r03 24j 10o 14j w0o q21 60o q21 b0o a1r 10o 191r 20o v1e 34j 61e 24j 61e 24j 61e 24j 31e 34j 70o 14j 70o a4j 50o 24j c25 14j q25 14j j25 14j 225 14j f25 24j e25 y4j 3f25 54j 30o 44j 190o 34j 90o 2718 14j d0o 34j 118 1b4j 190o 11l 3m4j t27 34j 1d0i f4j 11l r0o 44j 1033 94j 333 r16 54j 1735 54j u4i 14j 14i 1036 44j e36 164j 280u 1c3p u3d 24j a3d 64j 103c 44j 103c 44j 1410 84j 1g0j b4j 10j b4l 14j f4l 14j 74l 14j 24l 14j b4l 14j f4l 14j 74l 14j 24l 34j 1g4f c4j 8n24 94j m24 a4j 824 o4j 621 14j 1621 14j 921 1x4j 60r 24j 10r 14j 180r 14j 20r 34j 10r 24j 10r m1k 14j 91k w3f v2r 84j 92r 1c4j j1h 14j 21h 54j 51h s3i 34j 13i q28 54j 128 1s4j w2k o2j 44j k2j 24j 1a2j 41u 14j 21u 54j 81u 14j 31u 14j t1u 24j 31u 44j a1u 74j 91u 74j w38 w34 w4j 132d 44j c2d 94j 1i05 34j 705 m1n 24j 81n j1m 54j 81m i3j 74j 43j c4j 73j 284j 2139 1j4j 1f32 d4j 1f32 74j 632 141f 84j a1f 64j 1213 34j t13 84j 213 5s4j v03 14j 164o 14j 34o 24j 24o g4j 303 1j4j 403 1437 84j 163t m4j q3a 124j s0n k4j n11 94j 260d 44j 100d 94j 10d 1v1p a4j 11p 24j p3u 74j a3u 64j 1h0k 14j i0k 84j 1329 94j 2o3o 14j k3s b4j i1x 14j 1b1x 1q4j 72p 14j 12p 14j 42p 14j f2p 14j b2p 64j 1n1y 54j a1y 64j 417 14j 817 24j 217 24j m17 14j 717 14j 217 14j 517 14j 11l 917 24j 217 24j 317 24j 117 64j 117 54j 717 24j 717 34j 517 b4j a4h 14j 14h 24j 14h 14j 124h 14j a4h 14j 14h 24j 14h 14j 44h 14j a4h 14j 24h 84j 24h t4j 2k2v 14j 52v u4j 204e 84j a4e 4m4j 1i3q 24j 123q y4j 1x2m b4j a2m 64j d2n j4j 1m45 64j a45 64j k2q s4j r01 24j f01 44j n01 554j 1o0x 2s4j 2b4n c4j 14n 70w 24j 10w 24j 80w 14j 20w 14j u0w 14j 20w 24j c0w 94j a0w 1y4j 82t 24j 1a2t 24j b2t r4j 204q 84j 2b3v d4j g0h 1l3g 74j a0v 524j y3x e4j a3x 64j 90b 14j 190b 14j e0b a4j t0b 34j w2e 24j m2e 14j e2e 214j 72f 14j 22f 14j 182f 34j 12f 14j 22f 14j 92f 84j a2f 64j 61a 14j 21a 14j 111a 14j 21a 14j 61a 74j a1a 8m4j p2a 74j h1s 14j 151s 34j t1s 2d4j 126 f4j 1e46 d4j 146 pm0q 2u4j 330q 14j 50q b4j 5g0q 2184j 2r0s d4j uu0z a4j 32z0z 54j g702 5a14j 1m1c 1c64j ft07 74j v2o 14j a2o 44j 22o 2747 14j a47 64j u08 24j 608 a4j 1y3e a4j a3e 14j 73e 14j l3e 54j j3e c04j 1m1z 5i4j 2j2g 2t4j 232l 44j 1l2l 74j h2l 1s4j 148 12x 21d 11v b4j 21d e4j 4qg48 84j lc48 d21v 154j 11v 948 6w74j 41r 14j 71r 14j 21r 14j 11r 7z1j 31r f4j 11j t4j 31j 24j 11r e4j 41r 84j b02x 1s44j 2z0y 54j d0y 34j 90y 74j a0y 24j 40y 40o 3184j 6y0o 64j c40o 244j 1a1l 24j n1l 94j 380o 1o4j 6u0o a4j 130o 24j 1q0o 31l h0o 81l 20o 71l u0o 41l 1p0o l4j 1y18 3e4j k0o c4j k0o c4j 2f0o 94j p0o 3r4j 2d0o 14j 1z0o 14j 20o 24j 10o 24j 20o 24j 40o 14j c0o 14j 10o 14j 70o 14j 1t0o 14j 40o 24j 80o 14j 70o 14j s0o 14j 40o 14j 50o 14j 10o 34j 70o 14j 9g0o 24j 840o 24j 1e0o i43r f4j 53r 14j f3r uo4j v21 64j 621 5x4j 715 14j h15 24j 715 14j 215 14j 515 54j 1q0t x4j 10t 344j 192y 34j e2y 24j a2y 44j 22y 8w4j v4g h4j 1m4m 54j 14m cw4j 162s 5y4j 1731 44j 131 dc4j 712 14j 412 14j 212 14j f12 14j 5h2i 24j g2i 154j 2400 44j a00 44j 200 lt4j 1w0o 244j 1p0o 5e4j 403 14j r03 14j 203 14j 103 24j 103 14j a03 14j 403 14j 103 14j 103 64j 103 44j 103 14j 103 14j 103 14j 303 14j 203 14j 103 24j 103 14j 103 14j 103 14j 103 14j 103 14j 203 14j 103 24j 403 14j 703 14j 403 14j 403 14j 103 14j a03 14j h03 54j 303 14j 503 14j h03 1g4j 203 7i4j 180o 44j 2s0o c4j f0o 24j f0o 14j f0o 14j 110o a4j 4u0o 1k4j q0o 11j 20o d4j 180o 44j 90o 74j 20o e4j 60o 4a4j rc0o 44j h0o 34j d0o 34j 3b0o 44j 2n0o 64j c0o 44j 10o f4j c0o 44j 1k0o 84j a0o 64j 140o 84j u0o 24j c0o 44j 20o 1q4j 9g0o c4j e0o 24j d0o 34j a0o 54j 1k0o 74j f0o 24j b0o 64j 90o 74j 430o 14j 2u0o sm4j wyo1d w4j 37e1d 64j 661d 24j 4g21d e4j 5rl1d f4j ha1d 1wi4j f21d 15u4j 3t71d 54j 38g1d f9754j 10o u4j 2o0o 3k4j 6o1l 47bk4j"};
+
+/** Script_Extensions 구간 테이블(값은 공백으로 구분한 짧은 이름, 빈 값은 Script와 같음) */
+export const SCRIPT_EXTENSIONS = {"values":["","Adlm Arab","Adlm Arab Gara Nkoo Rohg Syrc Thaa Yezi","Adlm Arab Hung","Adlm Arab Mand Mani Ougr Phlp Rohg Sogd Syrc","Aghb Cher Copt Cyrl Goth Grek Latn Osge Syrc Tfng Todr","Aghb Cher Goth Latn Sunu Thai","Aghb Latn Todr","Arab Copt","Arab Gara Nkoo Rohg Syrc Thaa Yezi","Arab Nkoo","Arab Rohg","Arab Syrc","Arab Syrc Thaa","Arab Thaa","Arab Thaa Yezi","Armn Cyrl Dupl Goth Grek Hebr Latn Perm Syrc Tale","Armn Geor Glag","Avst Cari Copt Dupl Elba Geor Glag Gong Goth Grek Hani Latn Lydi Mahj Perm Shaw","Avst Cari Geor Hung Kthi Lydi Samr","Avst Orkh","Beng","Beng Cakm Sylo","Beng Cyrl Deva Latn Lisu Thai Toto","Beng Deva","Beng Deva Dogr Gong Gonm Gran Gujr Gukh Guru Knda Limb Mahj Mlym Nand Onao Orya Sind Sinh Sylo Takr Taml Telu Tirh","Beng Deva Dogr Gong Gonm Gran Gujr Guru Knda Mahj Mlym Nand Onao Orya Sind Sinh Sylo Takr Taml Telu Tirh","Beng Deva Gran Gujr Guru Knda Latn Mlym Orya Shrd Taml Telu Tirh","Beng Deva Gran Gujr Guru Knda Latn Mlym Orya Taml Telu Tirh","Beng Deva Gran Knda","Beng Deva Gran Knda Mlym Nand Orya Sinh Telu Tirh Tutg","Beng Deva Tutg","Bopo Hang Hani Hira Kana","Bopo Hang Hani Hira Kana Lisu Mong Tibt Yiii","Bopo Hang Hani Hira Kana Mong Phag Yiii","Bopo Hang Hani Hira Kana Mong Tibt Yiii","Bopo Hang Hani Hira Kana Mong Yiii","Bopo Hang Hani Hira Kana Yiii","Bopo Hani","Bopo Latn","Bugi Java","Buhd Hano Tagb Tglg","Cakm Mymr Tale","Cari Geor Glag Hung Lyci Orkh","Cari Grek Hung Mero","Cher Copt Cyrl Grek Latn Perm Sunu Tale","Cher Cyrl Grek Latn Osge Sunu Tale Todr","Cher Cyrl Latn Osge","Cher Cyrl Latn Tfng","Cher Dupl Kana Latn Syrc","Cher Dupl Latn Syrc","Cher Latn Syrc","Cher Latn Tale","Copt Dupl Hebr Latn Perm Syrc Tale Tfng Todr","Copt Elba Glag Goth Kana Latn","Copt Grek","Copt Latn","Cpmn Cprt Linb","Cprt Lina Linb","Cprt Linb","Cyrl Glag","Cyrl Grek Latn Perm","Cyrl Latn","Cyrl Latn Syrc","Cyrl Latn Todr","Cyrl Perm","Deva","Deva Dogr Gujr Guru Khoj Knda Kthi Mahj Mlym Modi Nand Shrd Sind Takr Tirh Tutg","Deva Dogr Gujr Guru Khoj Knda Kthi Mahj Modi Nand Shrd Sind Takr Tirh Tutg","Deva Dogr Gujr Guru Khoj Kthi Mahj Modi Shrd Sind Takr Tirh","Deva Dogr Gujr Guru Khoj Kthi Mahj Modi Sind Takr Tirh","Deva Dogr Kthi Mahj","Deva Gran","Deva Gran Knda","Deva Gran Knda Tutg","Deva Gran Latn","Deva Knda Mlym Orya Taml Telu","Deva Nand","Deva Shrd","Deva Taml","Dupl","Dupl Latn Syrc","Ethi Latn","Geor Glag Latn","Glag Latn Sunu Syrc Thai","Gran Taml","Grek","Grek Latn Perm Todr","Gujr Khoj","Guru Mult","Hani","Hani Hira Kana","Hani Latn","Hani Tang","Hira Kana","Kali Latn Mymr","Knda Nand Tutg","Latn","Latn Lisu","Latn Mong Phag","Latn Osge","Latn Sunu","Latn Sunu Syrc","Latn Syrc","Latn Tfng","Latn Thai","Mani Ougr","Mong Phag","Nand","Runr","Syrc"],"width":2,"runs":"5300 10i ec00 10n a00 113 100 313 100 12q 900 12x 100 113 1200 119 11a 11c 12c 105 11i 11p 11h 10g 12w 129 11b 11g 12t 12a 100 12t 11s 100 12f c00 12v 200 11d 11e 12v 700 12u 12v 100 11f 106 g00 12e 200 12e i00 12s 500 107 400 d2p 400 21j 7h00 11t 11o 21q 11o 7500 10h 3m00 109 e00 109 10d 200 102 w00 104 a00 b0c a00 a0f 600 10c 2r00 10b ho00 10r 10s h00 10q 10p a1z 3a00 a0m 3a00 a2h 3a00 a2g 6u00 e2d 6q00 a2o nk00 a16 4x00 12b 16700 331 1z00 215 5n00 22z 100 12z y200 10t 11u 10t 121 11u 20o 126 10o 126 124 11u 226 21u 126 10o 71u 125 10o 21u 10o 41u 10u 120 122 20o 10l 220 130 5h00 22e 1i00 11r 100 132 fo00 12r v00 101 a00 117 200 118 4200 123 2li00 11k o00 10k 10j a00 128 400 103 100 11o bw00 g2l 100 110 10y 10w 200 12i 100 20z 20x 611 100 10w 811 40w a00 412 200 10w 52m 100 10w 400 22j 22i 2h00 42m 300 12m 2i00 111 12m 4300 g2i w00 122i 900 12l 1c00 142i 1k00 1d2i f00 c2i 1f00 12i 2g00 p2i a00 52i 2o00 v2i mls00 11o 4000 82k 8800 31v 31w 21y 11x 11y 5300 10v 100 127 1m00 12n 4g00 114 gha00 20a 4y00 10e a00 10e 1z00 20w 7u00 511 a00 12m 1900 22m 9s00 21l 11n 400 191m 300 91n bk00 s08 1km00 12y 1la00 12d 100 12d 1j00 22d 2hf00 22d 100 12d uz000 428 4ho00 i2i 63i00 22i l57y00"};
+
+/** Script 짧은 이름/별칭 → 긴 이름 */
+export const SCRIPT_ALIASES = {"Adlm":"Adlam","Aghb":"Caucasian_Albanian","Ahom":"Ahom","Arab":"Arabic","Armi":"Imperial_Aramaic","Armn":"Armenian","Avst":"Avestan","Bali":"Balinese","Bamu":"Bamum","Bass":"Bassa_Vah","Batk":"Batak","Beng":"Bengali","Bhks":"Bhaiksuki","Bopo":"Bopomofo","Brah":"Brahmi","Brai":"Braille","Bugi":"Buginese","Buhd":"Buhid","Cakm":"Chakma","Cans":"Canadian_Aboriginal","Cari":"Carian","Cham":"Cham","Cher":"Cherokee","Chrs":"Chorasmian","Copt":"Coptic","Qaac":"Coptic","Cpmn":"Cypro_Minoan","Cprt":"Cypriot","Cyrl":"Cyrillic","Deva":"Devanagari","Diak":"Dives_Akuru","Dogr":"Dogra","Dsrt":"Deseret","Dupl":"Duployan","Egyp":"Egyptian_Hieroglyphs","Elba":"Elbasan","Elym":"Elymaic","Ethi":"Ethiopic","Gara":"Garay","Geor":"Georgian","Glag":"Glagolitic","Gong":"Gunjala_Gondi","Gonm":"Masaram_Gondi","Goth":"Gothic","Gran":"Grantha","Grek":"Greek","Gujr":"Gujarati","Gukh":"Gurung_Khema","Guru":"Gurmukhi","Hang":"Hangul","Hani":"Han","Hano":"Hanunoo","Hatr":"Hatran","Hebr":"Hebrew","Hira":"Hiragana","Hluw":"Anatolian_Hieroglyphs","Hmng":"Pahawh_Hmong","Hmnp":"Nyiakeng_Puachue_Hmong","Hrkt":"Katakana_Or_Hiragana","Hung":"Old_Hungarian","Ital":"Old_Italic","Java":"Javanese","Kali":"Kayah_Li","Kana":"Katakana","Kawi":"Kawi","Khar":"Kharoshthi","Khmr":"Khmer","Khoj":"Khojki","Kits":"Khitan_Small_Script","Knda":"Kannada","Krai":"Kirat_Rai","Kthi":"Kaithi","Lana":"Tai_Tham","Laoo":"Lao","Latn":"Latin","Lepc":"Lepcha","Limb":"Limbu","Lina":"Linear_A","Linb":"Linear_B","Lisu":"Lisu","Lyci":"Lycian","Lydi":"Lydian","Mahj":"Mahajani","Maka":"Makasar","Mand":"Mandaic","Mani":"Manichaean","Marc":"Marchen","Medf":"Medefaidrin","Mend":"Mende_Kikakui","Merc":"Meroitic_Cursive","Mero":"Meroitic_Hieroglyphs","Mlym":"Malayalam","Modi":"Modi","Mong":"Mongolian","Mroo":"Mro","Mtei":"Meetei_Mayek","Mult":"Multani","Mymr":"Myanmar","Nagm":"Nag_Mundari","Nand":"Nandinagari","Narb":"Old_North_Arabian","Nbat":"Nabataean","Newa":"Newa","Nkoo":"Nko","Nshu":"Nushu","Ogam":"Ogham","Olck":"Ol_Chiki","Onao":"Ol_Onal","Orkh":"Old_Turkic","Orya":"Oriya","Osge":"Osage","Osma":"Osmanya","Ougr":"Old_Uyghur","Palm":"Palmyrene","Pauc":"Pau_Cin_Hau","Perm":"Old_Permic","Phag":"Phags_Pa","Phli":"Inscriptional_Pahlavi","Phlp":"Psalter_Pahlavi","Phnx":"Phoenician","Plrd":"Miao","Prti":"Inscriptional_Parthian","Rjng":"Rejang","Rohg":"Hanifi_Rohingya","Runr":"Runic","Samr":"Samaritan","Sarb":"Old_South_Arabian","Saur":"Saurashtra","Sgnw":"SignWriting","Shaw":"Shavian","Shrd":"Sharada","Sidd":"Siddham","Sind":"Khudawadi","Sinh":"Sinhala","Sogd":"Sogdian","Sogo":"Old_Sogdian","Sora":"Sora_Sompeng","Soyo":"Soyombo","Sund":"Sundanese","Sunu":"Sunuwar","Sylo":"Syloti_Nagri","Syrc":"Syriac","Tagb":"Tagbanwa","Takr":"Takri","Tale":"Tai_Le","Talu":"New_Tai_Lue","Taml":"Tamil","Tang":"Tangut","Tavt":"Tai_Viet","Telu":"Telugu","Tfng":"Tifinagh","Tglg":"Tagalog","Thaa":"Thaana","Thai":"Thai","Tibt":"Tibetan","Tirh":"Tirhuta","Tnsa":"Tangsa","Todr":"Todhri","Toto":"Toto","Tutg":"Tulu_Tigalari","Ugar":"Ugaritic","Vaii":"Vai","Vith":"Vithkuqi","Wara":"Warang_Citi","Wcho":"Wancho","Xpeo":"Old_Persian","Xsux":"Cuneiform","Yezi":"Yezidi","Yiii":"Yi","Zanb":"Zanabazar_Square","Zinh":"Inherited","Qaai":"Inherited","Zyyy":"Common","Zzzz":"Unknown"};
+
+/** Extended_Pictographic 범위 집합 */
+export const EXTENDED_PICTOGRAPHIC = "4p.1 4.1 68d.1 c.1 60.1 m.1 2i.6 f.2 a7.2 c.1 2n.1 1y.1 p.b 4.3 5j.1 6f.2 a.1 9.1 1m.4 1.6 1.c 1.36 a.3a 2.b 1.1 1.1 6.1 3.1 6.1 a.2 f.1 2.1 4.1 1.1 4.3 1.1 b.5 19.3 9.1 e.1 e.1 ac.2 cv.3 j.2 1f.1 4.1 yi.1 c.1 gp.1 1.1 2fza.74 d.3 v.1 1o.6 c.2 e.1 2.a i.1l r.f a.1 k.1 2.9 1.4 9.c2 5.8u 8.7e 1c.3k 38.c 2d.17 c.4 1k.8 a.6 14.8 u.2a c.1b 1.a 1.c9 74.se";
+
+/** Emoji 범위 집합 */
+export const EMOJI = "z.1 6.1 5.a 33.1 4.1 68d.1 c.1 60.1 m.1 2i.6 f.2 a7.2 c.1 4m.1 p.b 4.3 5j.1 6f.2 a.1 9.1 1m.4 1.5 9.1 2.1 2.2 2.1 4.1 2.1 1.2 2.1 3.1 3.2 8.3 5.1 1.1 5.c b.2 2.1 1.2 1.1 i.1 2.2 i.6 1.1 1.2 3.2 5.1 2.2 4.2 b.2 5.2 2.1 5.2 1.1 1.2 k.2 5.6 1.4 2.1 4.1 2.1 2.6 1.1 2.1 1.1 1.1 6.1 3.1 6.1 a.2 f.1 2.1 4.1 1.1 4.3 1.1 b.2 1c.3 9.1 e.1 e.1 ac.2 cv.3 j.2 1f.1 4.1 yi.1 c.1 gp.1 1.1 2fze.1 5m.1 4g.2 c.2 e.1 2.a 23.q 1.2 n.1 k.1 2.9 l.2 4u.y 2.34 2.2 1.3 2.2b 2.3 1.7b 1.1r b.6 1.o 7.2 2.8 c.1 2.4 2.1 4.2 d.2 2.1 8.2 9.1 5.3 c.3 8.3 2.1 1.1 4.1 6.1 3.1 6.2e 1c.1y 5.8 2.3 4.a 3.1 1.2 3.1 2.a 6b.c 4.1 7v.1b 1.a 1.55 34.d 3.a 5.1k 7.f 2.b 6.9";
+
+/** Emoji_Component 범위 집합 */
+export const EMOJI_COMPONENT = "z.1 6.1 5.a 6ab.1 5x.1 17or.1 1c5y.q e3.5 14g.4 gw30.2o";
+
+/** Default_Ignorable_Code_Point 범위 집합 */
+export const DEFAULT_IGNORABLE = "4t.1 ip.1 jw.1 282.2 18z.2 2d.5 1kr.5 q.5 1d.g 3ck.1 14ez.g 6n.1 4g.1 27.9 119j.4 43z.8 h405.35s";
+
+/** Grapheme_Extend 범위 집합 */
+export const GRAPHEME_EXTEND = "lc.34 7n.7 7b.19 1.1 1.2 1.2 1.1 20.b 1c.l g.1 2t.7 2.6 2.2 1.4 z.1 u.r 2j.b 1m.9 9.1 o.4 1.9 1.3 1.5 17.3 1n.9 16.o 1.w 1j.1 1.1 4.8 4.1 3.7 a.2 t.1 1m.1 1.1 2.4 8.1 9.1 a.2 q.1 2.2 1l.1 4.2 4.2 2.3 3.1 u.2 3.1 b.2 1l.1 4.5 1.2 4.1 k.2 m.6 1.1 1m.1 1.2 1.4 8.1 7.3 a.2 u.1 1n.1 1.1 c.1 9.1 14.1 3.1 1j.1 1.3 5.3 1.4 7.2 b.2 t.1 1m.1 2.2 1.1 3.3 1.4 7.2 b.2 s.2 1l.2 1.1 2.4 8.1 9.1 a.2 t.1 20.1 4.1 2.3 1.1 8.1 29.1 2.7 c.8 2q.1 2.9 b.7 21.2 r.1 1.1 1.1 1j.e 1.5 1.2 5.b 1.10 9.1 2u.4 1.6 1.2 2.2 p.2 4.3 g.4 d.1 2.2 6.1 f.1 jj.3 qa.4 s.3 t.2 u.2 1s.2 1.7 8.1 2.b 9.1 19.3 1.1 39.2 y.1 3a.3 4.2 9.1 6.3 63.2 2.1 1m.1 1.7 1.1 1.1 2.8 6.a 2.1 1c.v 1d.4 1c.a 4.3 12.9 c.2 w.4 2.6 1k.1 1.2 3.1 1.5 1k.8 2.2 48.3 1.d 1.7 4.1 6.1 3.2 5i.1s ek.1 5f.x 2da.3 3x.1 2o.w fe.6 2x.2 n9w.4 1.a w.2 28.2 7k.1 3.1 4.1 p.2 5.1 47.2 q.i d.1 12.8 p.b 1.1 18.3 1c.1 2.4 2.2 2.1 10.1 1v.6 2.2 2.2 c.1 8.1 1b.1 1f.1 1.3 2.2 5.2 1.1 16.2 8.1 6m.1 2.1 4.1 fn4.1 kh.g g.g a6.2 gt.1 6a.1 45.5 1ae.3 1.2 5.4 14.3 4.1 4l.2 fx.4 1t.5 8t.2 27.4 1y.b 1d.4 3f.1 1i.f 15.1 2.2 a.3 1d.4 2.2 7.1 1p.3 10.5 1.8 1q.1 c.2 1g.9 1.1 8.4 2.1 2n.3 2.4 6.1 2.1 4d.1 3.8 l.2 1l.2 1.1 1.1 c.1 9.1 e.7 3.5 1v.1 2.6 1.1 2.1 1.3 4.3 1.1 e.2 2d.8 2.3 1.1 n.1 29.1 2.6 1.1 2.1 1.2 1.2 6j.1 2.4 6.2 1.2 r.2 2d.8 2.1 1.2 2y.1 1.1 2.8 2t.1 1.1 2.4 1.5 77.9 1.2 6t.1 a.4 4.1 40.4 2.2 4.1 w.a 14.6 2.4 8.1 9.6 2.3 1a.d 1.2 ba.7 1.6 1.1 2a.m 2.7 1.2 1.2 3e.6 3.1 1.2 1.7 1.1 20.2 3.1 1.1 9n.2 b.2 1g.5 5.3 n.1 44l.1 6.f 8ug.c 3.3 1xc.5 1n.7 t4.1 1r.4 29.1 b.2 f57.2 3mp.1a 2.n f2.5 3.6 8.8 2.7 u.4 44.3 1iz.1j 4.1e 8.1 e.1 m.5 1.f 11s.7 1.h 2.7 1.2 1.5 2s.1 4g.7 af.1 1p.4 e4.4 72.2 kg.7 31.7 gzbp.2o 3k.6o";
@@ -0,0 +1,252 @@
+// GlyphScope — 이모지 시퀀스 구조 분석(parseEmoji)
+// - 국기(Regional Indicator 쌍, 🏴 + 태그 시퀀스), 키캡, 피부색 수식 시퀀스, ZWJ 시퀀스를 하나의 이모지로 묶고
+//   기본 이모지·피부색·성별·머리 모양 구성 요소를 꺼냅니다(UTS #51).
+// - RGI 여부와 한정 상태(fully/minimally/unqualified)는 내장 emoji-test 테이블(src/data/emoji-sequences.js)로
+//   판별합니다.
+//
+// 주의:
+// - 단독 이모지는 기본 표시가 이모지인 문자(완전 한정)이거나 뒤에 U+FE0F가 붙은 경우만 찾습니다.
+//   '©', '1'처럼 기본 표시가 텍스트인 문자나 U+FE0E가 붙은 문자는 이모지로 보지 않습니다.
+
+'use strict';
+
+import { _lazy, _isEmoji, _isExtendedPictographic } from './tables.js';
+import { FULLY_QUALIFIED_EMOJI, EMOJI_COMPONENTS } from './data/emoji-sequences.js';
+
+/** 시퀀스 구성 문자 */
+const _ZWJ = 0x200D;
+const _VS15 = 0xFE0E;
+const _VS16 = 0xFE0F;
+const _KEYCAP = 0x20E3;
+const _BLACK_FLAG = 0x1F3F4;
+const _CANCEL_TAG = 0xE007F;
+
+/** ZWJ 시퀀스의 성별 기호 → 성별 */
+const _GENDERS = Object.freeze({ 0x2640: 'female', 0x2642: 'male' });
+
+/** 머리 모양 구성 요소 → 이름 */
+const _HAIR = Object.freeze({ 0x1F9B0: 'red', 0x1F9B1: 'curly', 0x1F9B2: 'bald', 0x1F9B3: 'white' });
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. emoji-test 테이블
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 생성 테이블의 시퀀스 하나를 문자열로 복원합니다('!' = U+FE0F, '+' = ZWJ).
+ * @param {string} encoded
+ * @returns {string}
+ */
+function _decodeSequence(encoded) {
+    return encoded.split('+').map((part) => part.split('.')
+        .map((t) => (t.endsWith('!') ? String.fromCodePoint(parseInt(t, 36), _VS16) : String.fromCodePoint(parseInt(t, 36))))
+        .join('')).join('\u200D');
+}
+
+/** @param {string} s @returns {string} - U+FE0F를 뺀 문자열 */
+function _stripVS16(s) {
+    return s.replace(/\uFE0F/g, '');
+}
+
+/**
+ * 완전 한정 시퀀스 집합과 U+FE0F를 뺀 형태 → 완전 한정 시퀀스 매핑
+ * @returns {{ fully: Set<string>, byStripped: Map<string, string>, components: Set<string> }}
+ */
+function _emojiTest() {
+    return _lazy('emojiTest', () => {
+        const fully = new Set(FULLY_QUALIFIED_EMOJI.split(' ').map(_decodeSequence));
+        const byStripped = new Map();
+        for (const s of fully) byStripped.set(_stripVS16(s), s);
+        return { fully, byStripped, components: new Set(EMOJI_COMPONENTS.split(' ').map(_decodeSequence)) };
+    });
+}
+
+/**
+ * emoji-test.txt 기준 한정 상태
+ * - 최소 한정(minimally-qualified): 완전 한정이 아니지만 첫 문자는 한정됨(필요한 U+FE0F가 있음)
+ * - 비한정(unqualified): 첫 문자부터 U+FE0F가 빠짐
+ * @param {string} s
+ * @returns {'fully-qualified' | 'minimally-qualified' | 'unqualified' | 'component' | null} - 목록에 없으면 null
+ */
+function _qualificationOf(s) {
+    const test = _emojiTest();
+    if (test.fully.has(s)) return 'fully-qualified';
+    if (test.components.has(s)) return 'component';
+
+    const full = test.byStripped.get(_stripVS16(s));
+    if (!full) return null;
+    const firstNeedsVS16 = full.codePointAt(String.fromCodePoint(full.codePointAt(0)).length) === _VS16;
+    const firstHasVS16 = s.codePointAt(String.fromCodePoint(s.codePointAt(0)).length) === _VS16;
+    return !firstNeedsVS16 || firstHasVS16 ? 'minimally-qualified' : 'unqualified';
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 시퀀스 파싱
+ * ------------------------------------------------------------------------------------------------ */
+
+/** @param {number} cp @returns {boolean} */
+function _isRegionalIndicator(cp) {
+    return cp >= 0x1F1E6 && cp <= 0x1F1FF;
+}
+
+/** @param {number} cp @returns {boolean} - 피부색 수식 문자(Fitzpatrick 1-2..6) */
+function _isSkinTone(cp) {
+    return cp >= 0x1F3FB && cp <= 0x1F3FF;
+}
+
+/** @param {number} cp @returns {boolean} - 키캡 기본 문자(0-9, #, *) */
+function _isKeycapBase(cp) {
+    return (cp >= 0x30 && cp <= 0x39) || cp === 0x23 || cp === 0x2A;
+}
+
+/** @param {number} cp @returns {boolean} - 태그 문자(CANCEL TAG 제외) */
+function _isTag(cp) {
+    return cp >= 0xE0020 && cp < _CANCEL_TAG;
+}
+
+/**
+ * cps[i]에서 시작하는 이모지 요소(ZWJ로 이어지는 한 단위)를 읽습니다.
+ * @param {number[]} cps
+ * @param {number} i
+ * @returns {{ end: number, kind: 'flag' | 'keycap' | 'emoji', presentation: 'emoji' | 'text' | null,
+ *             tones: number[], tags: number[] | null } | null}
+ */
+function _readElement(cps, i) {
+    const cp = cps[i];
+    if (_isRegionalIndicator(cp)) {
+        if (!_isRegionalIndicator(cps[i + 1])) return null;
+        return { end: i + 2, kind: 'flag', presentation: null, tones: [], tags: null };
+    }
+    if (_isKeycapBase(cp)) {
+        let j = i + 1;
+        if (cps[j] === _VS16) j++;
+        if (cps[j] !== _KEYCAP) return null;
+        return { end: j + 1, kind: 'keycap', presentation: j > i + 1 ? 'emoji' : null, tones: [], tags: null };
+    }
+    if (!_isEmoji(cp) && !_isExtendedPictographic(cp)) return null;
+
+    let j = i + 1;
+    let presentation = null;
+    if (cps[j] === _VS16 || cps[j] === _VS15) {
+        presentation = cps[j] === _VS16 ? 'emoji' : 'text';
+        j++;
+    }
+    const tones = [];
+    if (_isSkinTone(cps[j]) && !_isSkinTone(cp)) tones.push(cps[j++]);
+
+    let tags = null;
+    if (_isTag(cps[j])) {
+        let k = j;
+        while (_isTag(cps[k])) k++;
+        if (cps[k] === _CANCEL_TAG) {
+            tags = cps.slice(j, k);
+            j = k + 1;
+        }
+    }
+    return { end: j, kind: 'emoji', presentation, tones, tags };
+}
+
+/**
+ * 텍스트에서 이모지 시퀀스를 찾습니다(parseEmoji 본체).
+ * @param {string} text
+ * @returns {Array<{
+ *   text: string, start: number, end: number,
+ *   type: 'basic' | 'flag' | 'keycap' | 'modifier' | 'zwj',
+ *   base: string, skinTones: string[], gender: 'female' | 'male' | null,
+ *   hair: 'red' | 'curly' | 'bald' | 'white' | null, region: string | null,
+ *   rgi: boolean, qualification: 'fully-qualified' | 'minimally-qualified' | 'unqualified' | 'component' | null,
+ * }>}
+ *   - start/end: UTF-16 위치(end 미포함)
+ *   - base: 첫 요소에서 이형 선택자·피부색·태그를 뺀 문자(국기는 Regional Indicator 두 글자, 키캡은 '1' 같은 기본 문자)
+ *   - region: 국기의 지역 코드('KR', 태그 국기는 'gbsct' 같은 하위 지역 코드), 국기가 아니면 null
+ *   - rgi: emoji-test 기준 완전 한정 RGI 시퀀스인지
+ */
+function _parseEmoji(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+
+    const cps = Array.from(text, (ch) => ch.codePointAt(0));
+    const out = [];
+    let offset = 0;
+    /** cps 인덱스 → UTF-16 위치 */
+    const at = [];
+    for (const cp of cps) {
+        at.push(offset);
+        offset += cp > 0xFFFF ? 2 : 1;
+    }
+    at.push(offset);
+
+    let i = 0;
+    while (i < cps.length) {
+        const first = _readElement(cps, i);
+        if (!first) {
+            i++;
+            continue;
+        }
+
+        const elements = [{ start: i, ...first }];
+        let end = first.end;
+        while (cps[end] === _ZWJ && end + 1 < cps.length) {
+            const next = _readElement(cps, end + 1);
+            if (!next) break;
+            elements.push({ start: end + 1, ...next });
+            end = next.end;
+        }
+
+        const seq = text.slice(at[i], at[end]);
+        const single = elements.length === 1 ? first : null;
+        const qualification = _qualificationOf(seq);
+
+        // 단독 문자는 기본 표시가 이모지(완전 한정)이거나 U+FE0F가 붙은 경우만 이모지로 봅니다.
+        const plain = single && single.kind === 'emoji' && single.tones.length === 0 && !single.tags;
+        if (plain && (single.presentation === 'text' ||
+            (single.presentation === null && qualification !== 'fully-qualified' && qualification !== 'component'))) {
+            i = first.end;
+            continue;
+        }
+
+        const tones = [];
+        let gender = null;
+        let hair = null;
+        for (const el of elements) {
+            for (const t of el.tones) tones.push(String.fromCodePoint(t));
+            const cp = cps[el.start];
+            if (elements.length > 1 && Object.prototype.hasOwnProperty.call(_GENDERS, cp)) gender = _GENDERS[cp];
+            if (elements.length > 1 && Object.prototype.hasOwnProperty.call(_HAIR, cp)) hair = _HAIR[cp];
+        }
+
+        let type;
+        let region = null;
+        if (elements.length > 1) {
+            type = 'zwj';
+        } else if (first.kind === 'flag') {
+            type = 'flag';
+            region = String.fromCharCode(cps[i] - 0x1F1E6 + 0x41, cps[i + 1] - 0x1F1E6 + 0x41);
+        } else if (first.tags) {
+            type = cps[i] === _BLACK_FLAG ? 'flag' : 'basic';
+            if (type === 'flag') region = String.fromCharCode(...first.tags.map((t) => t - 0xE0000));
+        } else if (first.kind === 'keycap') {
+            type = 'keycap';
+        } else {
+            type = tones.length ? 'modifier' : 'basic';
+        }
+
+        out.push({
+            text: seq,
+            start: at[i],
+            end: at[end],
+            type,
+            base: first.kind === 'flag' ? text.slice(at[i], at[i + 2]) : String.fromCodePoint(cps[i]),
+            skinTones: tones,
+            gender,
+            hair,
+            region,
+            rgi: qualification === 'fully-qualified',
+            qualification,
+        });
+        i = end;
+    }
+    return out;
+}
+
+export { _parseEmoji };
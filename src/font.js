@@ -0,0 +1,407 @@
+// GlyphScope — 글꼴 글리프 지원 범위(loadFontCoverage, checkCoverage)
+// - TrueType/OpenType(.ttf, .otf), 글꼴 모음(.ttc, .otc), WOFF의 cmap 표를 읽어 글꼴에 글리프가 있는
+//   코드포인트 범위를 구합니다. 순수 JS이므로 브라우저(fetch → arrayBuffer)와 Node.js(fs.readFile)에서 똑같이 동작합니다.
+// - checkCoverage는 글꼴에 없는 글자(두부 문자, tofu)를 analyzeText와 같은 분류 라벨별로 모읍니다.
+//
+// 주의:
+// - WOFF2는 Brotli 압축과 표 변환을 풀어야 하므로 지원하지 않습니다. TTF/OTF나 WOFF로 변환해 넘기세요.
+// - cmap만 봅니다. 합자(GSUB)로만 그리는 시퀀스(ZWJ 이모지, 국기 등)는 구성 코드포인트가 모두 있으면 지원으로 봅니다.
+// - 글리프가 필요 없는 코드포인트(제어 문자 Cc, 줄/문단 구분자 Zl·Zp, Default_Ignorable_Code_Point)는
+//   검사하지 않습니다.
+
+'use strict';
+
+import { _forEachUnit, _labelOf, _normalizeAnalyzeOptions } from './analyzer.js';
+import { _inflate } from './inflate.js';
+import { _labelId, _localizeLabel } from './labels.js';
+import { _generalCategoryOf, _isDefaultIgnorable } from './tables.js';
+
+/** sfnt 버전 / 파일 서명 */
+const _TRUETYPE = 0x00010000;
+const _OPENTYPE = 0x4F54544F; // 'OTTO'
+const _APPLE_TRUE = 0x74727565; // 'true'
+const _COLLECTION = 0x74746366; // 'ttcf'
+const _WOFF = 0x774F4646; // 'wOFF'
+const _WOFF2 = 0x774F4632; // 'wOF2'
+
+/** 'cmap' 표 태그 */
+const _CMAP = 0x636D6170;
+
+/** 손상되었거나 잘린 글꼴 데이터 */
+function _invalid(what) {
+    return new RangeError(`Invalid font data: ${what}.`);
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 글꼴 컨테이너(sfnt / 모음 / WOFF)
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 입력을 Uint8Array로 바꿉니다(복사하지 않음).
+ * @param {ArrayBuffer | ArrayBufferView} buffer
+ * @returns {Uint8Array}
+ */
+function _toBytes(buffer) {
+    if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+    if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    throw new TypeError('loadFontCoverage expects an ArrayBuffer or a typed array (e.g. a Node.js Buffer).');
+}
+
+/**
+ * 범위를 확인하며 읽는 DataView
+ * @param {Uint8Array} bytes
+ */
+function _createView(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    /** @param {number} offset @param {number} size */
+    function check(offset, size) {
+        if (offset < 0 || offset + size > bytes.length) throw _invalid('unexpected end of data');
+    }
+    return {
+        length: bytes.length,
+        /** @param {number} offset @returns {number} */
+        u16(offset) {
+            check(offset, 2);
+            return view.getUint16(offset);
+        },
+        /** @param {number} offset @returns {number} */
+        u32(offset) {
+            check(offset, 4);
+            return view.getUint32(offset);
+        },
+        /** @param {number} offset @param {number} length @returns {Uint8Array} */
+        slice(offset, length) {
+            check(offset, length);
+            return bytes.subarray(offset, offset + length);
+        },
+    };
+}
+
+/**
+ * sfnt 표 디렉터리에서 cmap 표를 찾습니다.
+ * @param {ReturnType<typeof _createView>} view
+ * @param {number} base - 표 디렉터리(sfnt 헤더)의 위치
+ * @returns {Uint8Array}
+ */
+function _sfntCmap(view, base) {
+    const numTables = view.u16(base + 4);
+    for (let i = 0; i < numTables; i++) {
+        const record = base + 12 + i * 16;
+        if (view.u32(record) === _CMAP) return view.slice(view.u32(record + 8), view.u32(record + 12));
+    }
+    throw _invalid("no 'cmap' table");
+}
+
+/**
+ * WOFF 표 디렉터리에서 cmap 표를 찾아 압축을 풉니다.
+ * @param {ReturnType<typeof _createView>} view
+ * @returns {Uint8Array}
+ */
+function _woffCmap(view) {
+    const numTables = view.u16(12);
+    for (let i = 0; i < numTables; i++) {
+        const entry = 44 + i * 20;
+        if (view.u32(entry) !== _CMAP) continue;
+        const data = view.slice(view.u32(entry + 4), view.u32(entry + 8));
+        const size = view.u32(entry + 12);
+        // 압축해도 작아지지 않는 표는 압축하지 않고 그대로 둡니다(compLength === origLength).
+        return data.length === size ? data : _inflate(data, size);
+    }
+    throw _invalid("no 'cmap' table");
+}
+
+/**
+ * 글꼴 파일에서 cmap 표를 꺼냅니다.
+ * @param {Uint8Array} bytes
+ * @param {number} fontIndex - 글꼴 모음에서 읽을 글꼴의 번호
+ * @returns {Uint8Array}
+ */
+function _readCmap(bytes, fontIndex) {
+    const view = _createView(bytes);
+    const tag = view.u32(0);
+    if (tag === _WOFF2) {
+        throw new RangeError('WOFF2 fonts are not supported; convert the font to TTF, OTF or WOFF first.');
+    }
+    if (tag !== _COLLECTION && fontIndex !== 0) {
+        throw new RangeError('fontIndex is only valid for font collections (.ttc, .otc).');
+    }
+    if (tag === _TRUETYPE || tag === _OPENTYPE || tag === _APPLE_TRUE) return _sfntCmap(view, 0);
+    if (tag === _WOFF) return _woffCmap(view);
+    if (tag === _COLLECTION) {
+        const numFonts = view.u32(8);
+        if (fontIndex >= numFonts) {
+            throw new RangeError(`fontIndex ${fontIndex} is out of range (the collection has ${numFonts} fonts).`);
+        }
+        return _sfntCmap(view, view.u32(12 + fontIndex * 4));
+    }
+    throw _invalid('not a TrueType, OpenType or WOFF font');
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. cmap 하위 표
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 유니코드 문자 부호를 쓰는 하위 표인지(플랫폼 0 Unicode, 플랫폼 3 Windows의 BMP(1)·전체(10))
+ * - 플랫폼 0 인코딩 5는 이형 선택자 시퀀스(형식 14), 플랫폼 3 인코딩 0은 기호 글꼴(U+F0xx로 옮긴 부호)입니다.
+ * @param {number} platform
+ * @param {number} encoding
+ * @returns {boolean}
+ */
+function _isUnicodeEncoding(platform, encoding) {
+    return (platform === 0 && encoding !== 5) || (platform === 3 && (encoding === 1 || encoding === 10));
+}
+
+/**
+ * 하위 표 하나에서 글리프가 있는(글리프 번호가 0이 아닌) 코드포인트 범위를 모읍니다.
+ * - 형식 0, 4, 6, 10, 12, 13을 읽습니다. 그 밖의 형식(2, 8, 14)은 건너뜁니다.
+ * @param {ReturnType<typeof _createView>} view - cmap 표
+ * @param {number} offset - 하위 표의 위치
+ * @param {Array<[number, number]>} out - [시작, 끝](끝 포함) 범위를 덧붙입니다(정렬·병합 전).
+ */
+function _readSubtable(view, offset, out) {
+    /** 코드포인트 하나를 덧붙입니다(이전 범위와 이어지면 늘림). */
+    function add(cp) {
+        const last = out[out.length - 1];
+        if (last && last[1] === cp - 1) last[1] = cp;
+        else out.push([cp, cp]);
+    }
+
+    const format = view.u16(offset);
+    if (format === 0) {
+        const glyphs = view.slice(offset + 6, 256);
+        for (let cp = 0; cp < 256; cp++) {
+            if (glyphs[cp] !== 0) add(cp);
+        }
+    } else if (format === 4) {
+        const segCount = view.u16(offset + 6) >> 1;
+        const ends = offset + 14;
+        const starts = ends + segCount * 2 + 2;
+        const deltas = starts + segCount * 2;
+        const rangeOffsets = deltas + segCount * 2;
+        for (let s = 0; s < segCount; s++) {
+            const start = view.u16(starts + s * 2);
+            // 마지막 구간(0xFFFF)은 표의 끝을 알리는 자리표시자입니다.
+            const end = Math.min(view.u16(ends + s * 2), 0xFFFE);
+            const delta = view.u16(deltas + s * 2);
+            const rangeOffsetAt = rangeOffsets + s * 2;
+            const rangeOffset = view.u16(rangeOffsetAt);
+            for (let cp = start; cp <= end; cp++) {
+                let glyph;
+                if (rangeOffset === 0) {
+                    glyph = (cp + delta) & 0xFFFF;
+                } else {
+                    glyph = view.u16(rangeOffsetAt + rangeOffset + (cp - start) * 2);
+                    if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+                }
+                if (glyph !== 0) add(cp);
+            }
+        }
+    } else if (format === 6 || format === 10) {
+        const wide = format === 10;
+        const first = wide ? view.u32(offset + 12) : view.u16(offset + 6);
+        const count = wide ? view.u32(offset + 16) : view.u16(offset + 8);
+        const glyphs = offset + (wide ? 20 : 10);
+        for (let i = 0; i < count; i++) {
+            if (view.u16(glyphs + i * 2) !== 0) add(first + i);
+        }
+    } else if (format === 12 || format === 13) {
+        const numGroups = view.u32(offset + 12);
+        for (let g = 0; g < numGroups; g++) {
+            const group = offset + 16 + g * 12;
+            let start = view.u32(group);
+            const end = Math.min(view.u32(group + 4), 0x10FFFF);
+            const glyph = view.u32(group + 8);
+            // 형식 12는 글리프 번호가 start부터 1씩 늘고, 형식 13은 구간 전체가 같은 글리프입니다.
+            if (glyph === 0) {
+                if (format === 13) continue;
+                start++;
+            }
+            if (start > end) continue;
+            const last = out[out.length - 1];
+            if (last && last[1] === start - 1) last[1] = end;
+            else out.push([start, end]);
+        }
+    }
+}
+
+/**
+ * 범위 목록을 정렬하고 겹치거나 이어지는 범위를 합칩니다.
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+function _mergeRanges(ranges) {
+    ranges.sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const [start, end] of ranges) {
+        const last = out[out.length - 1];
+        if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+        else out.push([start, end]);
+    }
+    return out;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. loadFontCoverage
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 코드포인트 범위 목록으로 지원 범위 객체를 만듭니다.
+ * @param {Array<[number, number]>} ranges - 정렬·병합된 범위
+ * @returns {Readonly<{ has: (char: string | number) => boolean, ranges: ReadonlyArray<readonly [number, number]>,
+ *                      size: number }>}
+ */
+function _createCoverage(ranges) {
+    const starts = Uint32Array.from(ranges, (r) => r[0]);
+    const ends = Uint32Array.from(ranges, (r) => r[1]);
+    let size = 0;
+    for (const [start, end] of ranges) size += end - start + 1;
+
+    /**
+     * 글꼴에 코드포인트(문자열이면 첫 코드포인트)의 글리프가 있는지
+     * @param {string | number} char
+     * @returns {boolean}
+     */
+    function has(char) {
+        const cp = typeof char === 'string' ? char.codePointAt(0) : char;
+        if (typeof cp !== 'number') {
+            throw new TypeError('has expects a non-empty string or a code point.');
+        }
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >>> 1;
+            if (cp < starts[mid]) hi = mid - 1;
+            else if (cp > ends[mid]) lo = mid + 1;
+            else return true;
+        }
+        return false;
+    }
+
+    return Object.freeze({
+        has,
+        /** 글리프가 있는 코드포인트 범위([시작, 끝], 끝 포함, 오름차순) */
+        ranges: Object.freeze(ranges.map((r) => Object.freeze(r))),
+        /** 글리프가 있는 코드포인트 수 */
+        size,
+    });
+}
+
+/**
+ * 글꼴 파일의 cmap을 읽어 지원 범위를 만듭니다(loadFontCoverage 본체).
+ * - 유니코드 하위 표(플랫폼 0, 플랫폼 3 인코딩 1·10)를 모두 합칩니다.
+ * @param {ArrayBuffer | ArrayBufferView} buffer - 글꼴 파일 내용
+ * @param {{ fontIndex?: number }} [options] - fontIndex: 글꼴 모음(.ttc)에서 읽을 글꼴(기본 0)
+ * @returns {Readonly<{ has: (char: string | number) => boolean, ranges: ReadonlyArray<readonly [number, number]>,
+ *                      size: number }>}
+ */
+function _loadFontCoverage(buffer, { fontIndex = 0 } = {}) {
+    const bytes = _toBytes(buffer);
+    if (!Number.isInteger(fontIndex) || fontIndex < 0) {
+        throw new RangeError('fontIndex must be a non-negative integer.');
+    }
+    const cmap = _createView(_readCmap(bytes, fontIndex));
+
+    const numTables = cmap.u16(2);
+    /** 같은 하위 표를 여러 인코딩 레코드가 가리킬 수 있으므로 한 번만 읽습니다. */
+    const seen = new Set();
+    const ranges = [];
+    for (let i = 0; i < numTables; i++) {
+        const record = 4 + i * 8;
+        const offset = cmap.u32(record + 4);
+        if (!_isUnicodeEncoding(cmap.u16(record), cmap.u16(record + 2)) || seen.has(offset)) continue;
+        seen.add(offset);
+        _readSubtable(cmap, offset, ranges);
+    }
+    return _createCoverage(_mergeRanges(ranges));
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 4. checkCoverage
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 글리프가 필요 없는 코드포인트인지(Cc, Zl, Zp, Default_Ignorable_Code_Point)
+ * @param {number} cp
+ * @returns {boolean}
+ */
+function _needsNoGlyph(cp) {
+    if (cp < 0x20 || (cp >= 0x7F && cp < 0xA0)) return true;
+    if (cp < 0xAD) return false;
+    const gc = _generalCategoryOf(cp);
+    return gc === 'Zl' || gc === 'Zp' || _isDefaultIgnorable(cp);
+}
+
+/**
+ * 지원 범위 인자(하나 또는 대체 글꼴 순서의 배열)를 검증합니다.
+ * @param {any} coverage
+ * @returns {Array<{ has: (cp: number) => boolean }>}
+ */
+function _normalizeCoverages(coverage) {
+    const list = Array.isArray(coverage) ? coverage : [coverage];
+    if (list.length === 0 || list.some((c) => !c || typeof c.has !== 'function')) {
+        throw new TypeError('coverage must be a font coverage (loadFontCoverage) or an array of them.');
+    }
+    return list;
+}
+
+/**
+ * 텍스트에서 글꼴에 글리프가 없는 글자를 분류 라벨별로 모읍니다(checkCoverage 본체).
+ * - coverage가 배열이면 대체 글꼴 목록으로 보고, 어느 글꼴에도 없는 글자만 보고합니다.
+ * - unit: 'grapheme'이면 클러스터의 코드포인트 중 하나라도 없을 때 클러스터 전체를 보고합니다.
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, data: 'native' | 'bundled' }} classifier
+ * @param {string} text
+ * @param {object | object[]} coverage - loadFontCoverage의 결과(또는 그 배열)
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string }} [options]
+ * @returns {{ covered: boolean, total: number, missing: number,
+ *             breakdown: Record<string, { id: string, count: number, chars: string[], positions: number[] }> }}
+ *   - total: 검사한 단위 수(글리프가 필요 없는 단위 제외), missing: 글리프가 없는 단위 수
+ *   - positions: UTF-16 시작 위치
+ */
+function _checkCoverageWith(classifier, text, coverage, options) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const coverages = _normalizeCoverages(coverage);
+    const opts = _normalizeAnalyzeOptions(options);
+    const getType = classifier.getCharacterType;
+
+    /** @type {Record<string, { id: string, count: number, chars: Set<string>, positions: number[] }>} */
+    const groups = Object.create(null);
+    let total = 0;
+    let missing = 0;
+
+    _forEachUnit(text, opts.unit, 0, (ch, at) => {
+        let checked = false;
+        let found = true;
+        for (let i = 0; i < ch.length && found; i++) {
+            const cp = ch.codePointAt(i);
+            if (cp > 0xFFFF) i++;
+            if (_needsNoGlyph(cp)) continue;
+            checked = true;
+            found = coverages.some((c) => c.has(cp));
+        }
+        if (!checked) return;
+        total++;
+        if (found) return;
+
+        missing++;
+        const { label } = _labelOf(getType, ch, opts);
+        let group = groups[label];
+        if (!group) group = groups[label] = { id: _labelId(label), count: 0, chars: new Set(), positions: [] };
+        group.count++;
+        group.chars.add(ch);
+        group.positions.push(at);
+    }, classifier.data);
+
+    const breakdown = Object.create(null);
+    for (const label in groups) {
+        const g = groups[label];
+        const key = opts.locale ? _localizeLabel(label, opts.locale) : label;
+        breakdown[key] = { id: g.id, count: g.count, chars: Array.from(g.chars).sort(), positions: g.positions };
+    }
+    return { covered: missing === 0, total, missing, breakdown };
+}
+
+export { _loadFontCoverage, _checkCoverageWith };
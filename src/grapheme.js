@@ -0,0 +1,279 @@
+// GlyphScope — 그래프림 클러스터(사용자가 인식하는 “한 글자”) 분할
+// - Intl.Segmenter가 있으면 이를 우선 사용합니다(결과는 런타임의 유니코드 버전을 따름).
+// - Intl이 없는 런타임(경량 워커 등)이나 data: 'bundled'에서는 UAX #29 확장 그래프림 클러스터 규칙(GB1~GB999)을
+//   내장 구현으로 따릅니다.
+//
+// 주의:
+// - 내장 구현의 Grapheme_Cluster_Break 속성은 내장 테이블(tables.js의 General_Category, Grapheme_Extend,
+//   Extended_Pictographic, Default_Ignorable_Code_Point)과 GraphemeBreakProperty.txt·DerivedCoreProperties.txt에서
+//   옮긴 소량의 목록(Prepend, SpacingMark 예외, InCB)으로 구성합니다. \p{...}를 쓰지 않습니다.
+
+'use strict';
+
+import { _inRanges, _inSingles } from './util.js';
+import { _generalCategoryOf, _isGraphemeExtend, _isExtendedPictographic, _isDefaultIgnorable } from './tables.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. Grapheme_Cluster_Break 속성값
+ * ------------------------------------------------------------------------------------------------ */
+
+/** Grapheme_Cluster_Break 속성값(내부 상수) */
+const _GCB = Object.freeze({
+    OTHER: 0,
+    CR: 1,
+    LF: 2,
+    CONTROL: 3,
+    EXTEND: 4,
+    ZWJ: 5,
+    REGIONAL_INDICATOR: 6,
+    PREPEND: 7,
+    SPACING_MARK: 8,
+    L: 9,
+    V: 10,
+    T: 11,
+    LV: 12,
+    LVT: 13,
+});
+
+/** GraphemeBreakProperty.txt의 Prepend 항목 */
+const _PREPEND_RANGES = Object.freeze([
+    [0x0600, 0x0605], [0x0890, 0x0891], [0x111C2, 0x111C3], [0x11A84, 0x11A89],
+]);
+const _PREPEND_SINGLES = Object.freeze([
+    0x06DD, 0x070F, 0x08E2, 0x0D4E, 0x110BD, 0x110CD, 0x113D1, 0x1193F, 0x11941, 0x11A3A, 0x11D46, 0x11F02,
+]);
+
+/** gc=Mc이지만 SpacingMark가 아닌 문자(UAX #29 표 2의 예외, 주로 미얀마 문자) */
+const _SPACING_MARK_EXCEPTION_RANGES = Object.freeze([
+    [0x102B, 0x102C], [0x1062, 0x1064], [0x1067, 0x106D], [0x1087, 0x108C], [0x109A, 0x109C], [0x1A63, 0x1A64],
+    [0x11720, 0x11721],
+]);
+const _SPACING_MARK_EXCEPTION_SINGLES = Object.freeze([0x1038, 0x1083, 0x108F, 0x1A61, 0xAA7B, 0xAA7D]);
+
+/**
+ * 코드 포인트의 Grapheme_Cluster_Break 속성값을 구합니다.
+ * @param {number} cp
+ * @returns {number} - _GCB 값
+ */
+function _graphemeBreakProperty(cp) {
+    if (cp === 0x000D) return _GCB.CR;
+    if (cp === 0x000A) return _GCB.LF;
+    if (cp === 0x200D) return _GCB.ZWJ;
+
+    // 한글(자모/음절)은 알고리즘으로 판정합니다.
+    if ((cp >= 0x1100 && cp <= 0x115F) || (cp >= 0xA960 && cp <= 0xA97C)) return _GCB.L;
+    if ((cp >= 0x1160 && cp <= 0x11A7) || (cp >= 0xD7B0 && cp <= 0xD7C6)) return _GCB.V;
+    if ((cp >= 0x11A8 && cp <= 0x11FF) || (cp >= 0xD7CB && cp <= 0xD7FB)) return _GCB.T;
+    if (cp >= 0xAC00 && cp <= 0xD7A3) return (cp - 0xAC00) % 28 === 0 ? _GCB.LV : _GCB.LVT;
+
+    if (cp >= 0x1F1E6 && cp <= 0x1F1FF) return _GCB.REGIONAL_INDICATOR;
+    if (_inRanges(cp, _PREPEND_RANGES) || _inSingles(cp, _PREPEND_SINGLES)) return _GCB.PREPEND;
+
+    // Extend = Grapheme_Extend + Emoji_Modifier(피부색 U+1F3FB..1F3FF)
+    // Extend를 Control보다 먼저 봅니다. gc=Cf 중 ZWNJ(U+200C)와 태그 문자(U+E0020..E007F)는
+    // Grapheme_Extend이므로 Control이 아닙니다(태그 시퀀스 깃발이 한 클러스터가 되어야 함).
+    if (_isGraphemeExtend(cp) || (cp >= 0x1F3FB && cp <= 0x1F3FF)) return _GCB.EXTEND;
+
+    // Control: gc=Cc/Cf/Zl/Zp + 기본 무시 가능한 미할당 코드포인트
+    const gc = _generalCategoryOf(cp);
+    if (gc === 'Cc' || gc === 'Cf' || gc === 'Zl' || gc === 'Zp' || (gc === 'Cn' && _isDefaultIgnorable(cp))) {
+        return _GCB.CONTROL;
+    }
+
+    // SpacingMark: gc=Mc 중 Grapheme_Extend가 아닌 것(예외 제외) + 태국어/라오어 SARA AM
+    if (cp === 0x0E33 || cp === 0x0EB3) return _GCB.SPACING_MARK;
+    if (gc === 'Mc' && !_inRanges(cp, _SPACING_MARK_EXCEPTION_RANGES) &&
+        !_inSingles(cp, _SPACING_MARK_EXCEPTION_SINGLES)) {
+        return _GCB.SPACING_MARK;
+    }
+
+    return _GCB.OTHER;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. Indic_Conjunct_Break(GB9c) — DerivedCoreProperties.txt의 InCB 항목
+ * ------------------------------------------------------------------------------------------------ */
+
+/** InCB=Linker(비라마) */
+const _INCB_LINKER_SINGLES = Object.freeze([0x094D, 0x09CD, 0x0ACD, 0x0B4D, 0x0C4D, 0x0D4D]);
+
+/** InCB=Consonant(데바나가리/벵골/구자라트/오리야/텔루구/말라얄람 자음) */
+const _INCB_CONSONANT_RANGES = Object.freeze([
+    [0x0915, 0x0939], [0x0958, 0x095F], [0x0978, 0x097F],
+    [0x0995, 0x09A8], [0x09AA, 0x09B0], [0x09B2, 0x09B2], [0x09B6, 0x09B9], [0x09DC, 0x09DD],
+    [0x09DF, 0x09DF], [0x09F0, 0x09F1],
+    [0x0A95, 0x0AA8], [0x0AAA, 0x0AB0], [0x0AB2, 0x0AB3], [0x0AB5, 0x0AB9], [0x0AF9, 0x0AF9],
+    [0x0B15, 0x0B28], [0x0B2A, 0x0B30], [0x0B32, 0x0B33], [0x0B35, 0x0B39], [0x0B5C, 0x0B5D],
+    [0x0B5F, 0x0B5F], [0x0B71, 0x0B71],
+    [0x0C15, 0x0C28], [0x0C2A, 0x0C39], [0x0C58, 0x0C5A],
+    [0x0D15, 0x0D3A],
+]);
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 내장 분할기(UAX #29)
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 분할 상태를 만듭니다.
+ * - 이전 코드포인트의 속성과 GB9c/GB11/GB12~13 판정에 필요한 문맥을 보관합니다.
+ * @returns {{ prev: number, emoji: number, incb: number, ri: number }}
+ */
+function _createBreakState() {
+    // prev: 직전 GCB(-1이면 텍스트 시작)
+    // emoji: 0=해당 없음, 1=ExtPict Extend* 직후, 2=ExtPict Extend* ZWJ 직후
+    // incb: 0=해당 없음, 1=Consonant [Extend]* 직후, 2=Consonant [Extend|Linker]*(Linker 포함) 직후
+    // ri: 직전까지 연속된 Regional_Indicator 개수
+    return { prev: -1, emoji: 0, incb: 0, ri: 0 };
+}
+
+/**
+ * 다음 코드포인트 앞에서 클러스터를 끊어야 하는지 판정하고 상태를 갱신합니다.
+ * @param {{ prev: number, emoji: number, incb: number, ri: number }} state
+ * @param {string} ch
+ * @param {number} cp
+ * @returns {boolean} - true면 ch 앞에서 경계(÷), false면 결합(×)
+ */
+function _advanceBreakState(state, ch, cp) {
+    const cur = _graphemeBreakProperty(cp);
+    const prev = state.prev;
+    const isPicto = _isExtendedPictographic(cp);
+    const isLinker = _inSingles(cp, _INCB_LINKER_SINGLES);
+    const isConsonant = _inRanges(cp, _INCB_CONSONANT_RANGES);
+
+    let brk;
+    if (prev === -1) {
+        brk = true; // GB1
+    } else if (prev === _GCB.CR && cur === _GCB.LF) {
+        brk = false; // GB3
+    } else if (prev === _GCB.CR || prev === _GCB.LF || prev === _GCB.CONTROL) {
+        brk = true; // GB4
+    } else if (cur === _GCB.CR || cur === _GCB.LF || cur === _GCB.CONTROL) {
+        brk = true; // GB5
+    } else if (prev === _GCB.L &&
+        (cur === _GCB.L || cur === _GCB.V || cur === _GCB.LV || cur === _GCB.LVT)) {
+        brk = false; // GB6
+    } else if ((prev === _GCB.LV || prev === _GCB.V) && (cur === _GCB.V || cur === _GCB.T)) {
+        brk = false; // GB7
+    } else if ((prev === _GCB.LVT || prev === _GCB.T) && cur === _GCB.T) {
+        brk = false; // GB8
+    } else if (cur === _GCB.EXTEND || cur === _GCB.ZWJ || cur === _GCB.SPACING_MARK) {
+        brk = false; // GB9, GB9a
+    } else if (prev === _GCB.PREPEND) {
+        brk = false; // GB9b
+    } else if (isConsonant && state.incb === 2) {
+        brk = false; // GB9c
+    } else if (prev === _GCB.ZWJ && isPicto && state.emoji === 2) {
+        brk = false; // GB11
+    } else if (prev === _GCB.REGIONAL_INDICATOR && cur === _GCB.REGIONAL_INDICATOR) {
+        brk = state.ri % 2 === 0; // GB12, GB13
+    } else {
+        brk = true; // GB999
+    }
+
+    // 문맥 갱신
+    if (isPicto) state.emoji = 1;
+    else if (cur === _GCB.EXTEND && state.emoji === 1) state.emoji = 1;
+    else if (cur === _GCB.ZWJ && state.emoji === 1) state.emoji = 2;
+    else state.emoji = 0;
+
+    if (isConsonant) state.incb = 1;
+    else if (isLinker && state.incb > 0) state.incb = 2;
+    else if (cur !== _GCB.EXTEND && cur !== _GCB.ZWJ) state.incb = 0; // InCB=Extend는 상태 유지
+
+    state.ri = cur === _GCB.REGIONAL_INDICATOR ? state.ri + 1 : 0;
+    state.prev = cur;
+    return brk;
+}
+
+/**
+ * 내장 UAX #29 구현으로 문자열을 그래프림 클러스터로 분할합니다.
+ * @param {string} text
+ * @returns {Array<{ segment: string, index: number }>} - index는 UTF-16 오프셋
+ */
+function _segmentGraphemesBuiltin(text) {
+    /** @type {Array<{ segment: string, index: number }>} */
+    const out = [];
+    const state = _createBreakState();
+    let start = 0;
+    let i = 0;
+
+    for (const ch of text) {
+        const cp = ch.codePointAt(0);
+        if (_advanceBreakState(state, ch, cp) && i > start) {
+            out.push({ segment: text.slice(start, i), index: start });
+            start = i;
+        }
+        i += ch.length;
+    }
+    if (i > start) out.push({ segment: text.slice(start, i), index: start });
+
+    return out;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 4. Intl.Segmenter 우선 사용
+ * ------------------------------------------------------------------------------------------------ */
+
+/** Intl.Segmenter 인스턴스(지연 생성, 미지원이면 null) */
+let _intlSegmenter;
+
+/**
+ * Intl.Segmenter(grapheme) 인스턴스를 반환합니다.
+ * @returns {{ segment(text: string): Iterable<{ segment: string, index: number }> } | null}
+ */
+function _getIntlSegmenter() {
+    if (_intlSegmenter === undefined) {
+        try {
+            _intlSegmenter = (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function')
+                ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+                : null;
+        } catch {
+            _intlSegmenter = null;
+        }
+    }
+    return _intlSegmenter;
+}
+
+/**
+ * Intl.Segmenter에 한 번에 넘기는 길이(UTF-16)
+ * - V8의 Intl.Segmenter는 클러스터마다 입력 문자열 전체를 복사(segment 데이터의 input)하므로, 긴 문자열을
+ *   한 번에 넘기면 시간이 길이의 제곱으로 늘어납니다.
+ */
+const _INTL_WINDOW = 256;
+
+/**
+ * 문자열을 그래프림 클러스터로 분할합니다(Intl.Segmenter → 내장 구현 순).
+ * @param {string} text
+ * @param {'auto' | 'native' | 'bundled'} [data] - 'bundled'이면 Intl.Segmenter를 쓰지 않고 내장 구현으로 나눕니다.
+ * @returns {Array<{ segment: string, index: number }>}
+ */
+function _segmentGraphemes(text, data = 'auto') {
+    const seg = data === 'bundled' ? null : _getIntlSegmenter();
+    if (!seg) return _segmentGraphemesBuiltin(text);
+
+    const out = [];
+    let start = 0;
+    let size = _INTL_WINDOW;
+    while (start < text.length) {
+        let end = start + size;
+        // 서러게이트 쌍 가운데서 자르지 않습니다(창 끝 직전 경계가 다음 글자에 따라 달라질 수 있음).
+        while (end < text.length && text.charCodeAt(end - 1) >= 0xD800 && text.charCodeAt(end - 1) <= 0xDBFF) end++;
+        const parts = Array.from(seg.segment(end >= text.length ? text.slice(start) : text.slice(start, end)));
+        // 창 끝의 클러스터는 창 밖 글자와 이어질 수 있으므로 다음 창에서 다시 나눕니다.
+        if (end < text.length) {
+            if (parts.length < 2) {
+                // 창 전체가 한 클러스터(결합 문자가 매우 긴 경우 등)이면 창을 넓혀 다시 나눕니다.
+                size *= 2;
+                continue;
+            }
+            parts.pop();
+        }
+        for (const { segment, index } of parts) out.push({ segment, index: start + index });
+        const done = out[out.length - 1];
+        start = done.index + done.segment.length;
+        size = _INTL_WINDOW;
+    }
+    return out;
+}
+
+export { _segmentGraphemes, _segmentGraphemesBuiltin, _createBreakState, _advanceBreakState };
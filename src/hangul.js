@@ -0,0 +1,282 @@
+// GlyphScope — 한글 도우미(음절 분해/합성, 자모 역할, 초성 검색, 한글 표기 분석)
+// - 현대 한글 음절(U+AC00–D7A3)은 유니코드 3장(Hangul Syllable Decomposition)의 산술식으로
+//   초성(19)·중성(21)·종성(27+없음)으로 분해/합성합니다.
+// - 초성 검색용 문자열은 사용자가 입력하는 호환용 자모(ㄱ, ㄴ, …, U+3131–314E)로 다룹니다.
+//
+// 주의:
+// - 옛한글(현대 음절로 합성되지 않는 첫가끝 자모 조합)은 분해/합성 대상이 아니며,
+//   analyzeHangul에서 위치와 함께 따로 보고합니다.
+// - 런타임 의존: 초성 검색과 analyzeHangul은 String.prototype.normalize('NFC')를 쓰고,
+//   analyzeHangul의 음절 경계는 Intl.Segmenter(없으면 내장 UAX #29 분할기)를 따릅니다.
+
+'use strict';
+
+import { _segmentGraphemes } from './grapheme.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 자모 표
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 현대 한글 음절 산술(유니코드 3.12절) */
+const _S_BASE = 0xAC00;
+const _L_BASE = 0x1100;
+const _V_BASE = 0x1161;
+const _T_BASE = 0x11A7;
+const _L_COUNT = 19;
+const _V_COUNT = 21;
+const _T_COUNT = 28;
+const _N_COUNT = _V_COUNT * _T_COUNT;
+const _S_COUNT = _L_COUNT * _N_COUNT;
+
+/** 호환용 자모: 초성 19자, 중성 21자, 종성 27자(인덱스 순서가 첫가끝 자모와 같음) */
+const _COMPAT_CHOSEONG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const _COMPAT_JUNGSEONG = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const _COMPAT_JONGSEONG = 'ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ';
+
+/** @param {number} cp @returns {boolean} - 현대 한글 음절(U+AC00–D7A3) */
+function _isSyllable(cp) {
+    return cp >= _S_BASE && cp < _S_BASE + _S_COUNT;
+}
+
+/**
+ * 첫가끝(conjoining) 자모의 역할을 반환합니다.
+ * - 초성: U+1100–115F, U+A960–A97C / 중성: U+1160–11A7, U+D7B0–D7C6 / 종성: U+11A8–11FF, U+D7CB–D7FB
+ * @param {number} cp
+ * @returns {'Choseong' | 'Jungseong' | 'Jongseong' | null}
+ */
+function _jamoRole(cp) {
+    if ((cp >= 0x1100 && cp <= 0x115F) || (cp >= 0xA960 && cp <= 0xA97C)) return 'Choseong';
+    if ((cp >= 0x1160 && cp <= 0x11A7) || (cp >= 0xD7B0 && cp <= 0xD7C6)) return 'Jungseong';
+    if ((cp >= 0x11A8 && cp <= 0x11FF) || (cp >= 0xD7CB && cp <= 0xD7FB)) return 'Jongseong';
+    return null;
+}
+
+/**
+ * 자모 한 글자(첫가끝 또는 호환용)를 역할별 인덱스로 바꿉니다.
+ * @param {string} jamo
+ * @param {'L' | 'V' | 'T'} role
+ * @returns {number} - 현대 자모가 아니면 -1(종성의 '' 은 0)
+ */
+function _jamoIndex(jamo, role) {
+    if (role === 'T' && jamo === '') return 0;
+    if (typeof jamo !== 'string' || jamo.length !== 1) return -1;
+    const cp = jamo.charCodeAt(0);
+
+    if (role === 'L') {
+        if (cp >= _L_BASE && cp < _L_BASE + _L_COUNT) return cp - _L_BASE;
+        return _COMPAT_CHOSEONG.indexOf(jamo);
+    }
+    if (role === 'V') {
+        if (cp >= _V_BASE && cp < _V_BASE + _V_COUNT) return cp - _V_BASE;
+        return _COMPAT_JUNGSEONG.indexOf(jamo);
+    }
+    if (cp > _T_BASE && cp < _T_BASE + _T_COUNT) return cp - _T_BASE;
+    const t = _COMPAT_JONGSEONG.indexOf(jamo);
+    return t < 0 ? -1 : t + 1;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 음절 분해/합성
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 현대 한글 음절 하나를 초성·중성·종성으로 분해합니다.
+ * @param {string} syllable - 예: '각'
+ * @param {{ compatibility?: boolean }} [options]
+ *   - compatibility: true면 호환용 자모(ㄱ, ㅏ)로, 기본은 첫가끝 자모(U+1100 블록)로 반환
+ * @returns {{ initial: string, medial: string, final: string } | null}
+ *   - final: 받침이 없으면 ''
+ *   - 현대 한글 음절 한 글자가 아니면 null
+ */
+function _decomposeHangul(syllable, options = {}) {
+    if (typeof syllable !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const cp = syllable.codePointAt(0);
+    if (syllable.length !== 1 || !_isSyllable(cp)) return null;
+
+    const s = cp - _S_BASE;
+    const l = Math.floor(s / _N_COUNT);
+    const v = Math.floor((s % _N_COUNT) / _T_COUNT);
+    const t = s % _T_COUNT;
+
+    if (options.compatibility) {
+        return {
+            initial: _COMPAT_CHOSEONG[l],
+            medial: _COMPAT_JUNGSEONG[v],
+            final: t ? _COMPAT_JONGSEONG[t - 1] : '',
+        };
+    }
+    return {
+        initial: String.fromCharCode(_L_BASE + l),
+        medial: String.fromCharCode(_V_BASE + v),
+        final: t ? String.fromCharCode(_T_BASE + t) : '',
+    };
+}
+
+/**
+ * 초성·중성·(종성)을 현대 한글 음절로 합성합니다(_decomposeHangul의 역).
+ * - 첫가끝 자모와 호환용 자모를 모두 받습니다.
+ * @param {{ initial: string, medial: string, final?: string }} parts
+ * @returns {string|null} - 현대 음절로 합성할 수 없으면(옛한글 자모 등) null
+ */
+function _composeHangul(parts) {
+    if (!parts || typeof parts !== 'object') {
+        throw new TypeError('parts must be an object with initial and medial jamo.');
+    }
+    const l = _jamoIndex(parts.initial, 'L');
+    const v = _jamoIndex(parts.medial, 'V');
+    const t = _jamoIndex(parts.final === undefined ? '' : parts.final, 'T');
+    if (l < 0 || v < 0 || t < 0) return null;
+
+    return String.fromCharCode(_S_BASE + (l * _V_COUNT + v) * _T_COUNT + t);
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 초성 검색
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 한 글자의 초성(호환용 자모)을 반환합니다.
+ * @param {number} cp
+ * @returns {string|null} - 현대 한글 음절·현대 첫가끝 초성이 아니면 null
+ */
+function _choseongOf(cp) {
+    if (_isSyllable(cp)) return _COMPAT_CHOSEONG[Math.floor((cp - _S_BASE) / _N_COUNT)];
+    if (cp >= _L_BASE && cp < _L_BASE + _L_COUNT) return _COMPAT_CHOSEONG[cp - _L_BASE];
+    return null;
+}
+
+/**
+ * 텍스트의 한글 음절을 초성으로 바꿉니다(예: '한국어' → 'ㅎㄱㅇ').
+ * - 조합형(첫가끝)으로 쓴 현대 음절도 NFC로 합성한 뒤 처리합니다.
+ * - 한글 음절이 아닌 문자는 그대로 둡니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function _extractChoseong(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    let out = '';
+    for (const ch of text.normalize('NFC')) {
+        const cho = _choseongOf(ch.codePointAt(0));
+        out += cho === null ? ch : cho;
+    }
+    return out;
+}
+
+/**
+ * 검색어의 한 글자가 본문의 한 글자와 일치하는지 판정합니다.
+ * @param {string} q - 검색어 글자
+ * @param {string} c - 본문 글자
+ * @param {boolean} last - 검색어의 마지막 글자인지(입력 중인 음절 허용)
+ * @returns {boolean}
+ */
+function _matchesChar(q, c, last) {
+    if (q === c) return true;
+    const qc = q.codePointAt(0);
+    const cc = c.codePointAt(0);
+
+    // 초성만 입력: 'ㄱ'은 '가', '국' 등과 일치
+    if (_COMPAT_CHOSEONG.indexOf(q) !== -1) return _choseongOf(cc) === q;
+
+    // 입력 중인 마지막 음절: 받침 없는 '구'는 '국', '군' 등과 일치
+    if (last && _isSyllable(qc) && _isSyllable(cc) && (qc - _S_BASE) % _T_COUNT === 0) {
+        return cc - ((cc - _S_BASE) % _T_COUNT) === qc;
+    }
+    return false;
+}
+
+/**
+ * 초성 검색: 검색어가 본문의 어느 위치에서든 일치하는지 검사합니다.
+ * - 검색어에는 초성(ㅎㄱ), 완성 음절(한국), 둘의 혼합(한ㄱ)을 쓸 수 있습니다.
+ * - 검색어의 마지막 음절에 받침이 없으면 받침이 있는 음절과도 일치합니다(입력 중 검색).
+ * @param {string} query
+ * @param {string} text
+ * @returns {boolean}
+ */
+function _matchesChoseong(query, text) {
+    if (typeof query !== 'string' || typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const q = Array.from(query.normalize('NFC'));
+    const t = Array.from(text.normalize('NFC'));
+    if (q.length === 0) return true;
+
+    for (let i = 0; i + q.length <= t.length; i++) {
+        let k = 0;
+        while (k < q.length && _matchesChar(q[k], t[i + k], k === q.length - 1)) k++;
+        if (k === q.length) return true;
+    }
+    return false;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 4. 한글 표기 분석
+ * ------------------------------------------------------------------------------------------------ */
+
+/** @param {number} cp @returns {boolean} - 옛한글 호환용 자모(U+3165–318E: ㅥ, ㅿ, ㆍ 등) */
+function _isArchaicCompatibilityJamo(cp) {
+    return cp >= 0x3165 && cp <= 0x318E;
+}
+
+/** @param {number} cp @returns {boolean} - 현대 호환용 자모(U+3131–3163) */
+function _isCompatibilityJamo(cp) {
+    return cp >= 0x3131 && cp <= 0x3163;
+}
+
+/**
+ * 한글이 완성형(precomposed)과 조합형(decomposed, 첫가끝 자모) 중 어느 쪽으로 쓰였는지,
+ * 옛한글 자모 시퀀스가 있는지 분석합니다.
+ * @param {string} text
+ * @returns {{ form: 'none' | 'precomposed' | 'decomposed' | 'mixed', precomposed: number, decomposed: number,
+ *             compatibilityJamo: number, archaic: Array<{ text: string, start: number, end: number }> }}
+ *   - precomposed: 완성형 음절 수, decomposed: 첫가끝 자모로 쓴 음절(옛한글 포함) 수
+ *   - compatibilityJamo: 낱자로 쓴 현대 호환용 자모 수(ㅋㅋ 등)
+ *   - archaic: 현대 음절로 합성되지 않는 자모 시퀀스와 옛한글 호환용 자모(UTF-16 위치, end 미포함)
+ */
+function _analyzeHangul(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    let precomposed = 0;
+    let decomposed = 0;
+    let compatibilityJamo = 0;
+    const archaic = [];
+
+    for (const { segment, index } of _segmentGraphemes(text)) {
+        let syllable = false;
+        let jamo = false;
+        let oldCompat = false;
+        for (const ch of segment) {
+            const cp = ch.codePointAt(0);
+            if (_isSyllable(cp)) syllable = true;
+            else if (_jamoRole(cp)) jamo = true;
+            else if (_isCompatibilityJamo(cp)) compatibilityJamo++;
+            else if (_isArchaicCompatibilityJamo(cp)) oldCompat = true;
+        }
+
+        if (jamo) {
+            decomposed++;
+            // 현대 자모만으로 이루어져 있으면 NFC가 음절 하나(+ 결합 부호 등)로 합성합니다.
+            const nfc = Array.from(segment.normalize('NFC'), (ch) => ch.codePointAt(0));
+            if (!_isSyllable(nfc[0]) || nfc.some((cp) => _jamoRole(cp))) {
+                archaic.push({ text: segment, start: index, end: index + segment.length });
+            }
+        } else if (syllable) {
+            precomposed++;
+        } else if (oldCompat) {
+            archaic.push({ text: segment, start: index, end: index + segment.length });
+        }
+    }
+
+    let form = 'none';
+    if (precomposed && decomposed) form = 'mixed';
+    else if (precomposed) form = 'precomposed';
+    else if (decomposed) form = 'decomposed';
+
+    return { form, precomposed, decomposed, compatibilityJamo, archaic };
+}
+
+export { _jamoRole, _decomposeHangul, _composeHangul, _extractChoseong, _matchesChoseong, _analyzeHangul };
@@ -6,10 +6,132 @@
  * Character type classification result
  */
 export interface CharacterType {
-  /** Main category (e.g., 'Latin', 'Hangul', 'Han Ideograph', 'Emoji') */
-  main: string;
-  /** Optional sub-category (e.g., 'Uppercase', 'Lowercase', 'Syllable') */
-  sub?: string;
+  /**
+   * Main category (e.g., 'Latin', 'Hangul', 'Han Ideograph', 'Emoji').
+   * Other strings come from custom `ranges`, `overrides` and `scripts` of {@link createClassifier}.
+   */
+  main: MainLabel | (string & {});
+  /**
+   * Optional sub-category (e.g., 'Uppercase', 'Lowercase', 'Syllable').
+   * Other strings come from custom `ranges` and `overrides` of {@link createClassifier}.
+   */
+  sub?: SubLabel | (string & {});
+  /**
+   * Stable machine ID that does not change when the display label is reworded
+   * (e.g., 'latin.uppercase', 'hangul.syllable'; see {@link CategoryId})
+   */
+  id: string;
+}
+
+/**
+ * Where Unicode properties come from
+ * - 'native': `\p{...}` regular expressions, following the runtime's Unicode version
+ * - 'bundled': Tables generated from the bundled UCD files (same results on every runtime)
+ * - 'auto': 'native' when the runtime supports `\p{...}`, otherwise 'bundled'
+ */
+export type DataSource = 'auto' | 'native' | 'bundled';
+
+/**
+ * Sub-category scheme
+ * - 'v1': The original labels (`Latin:Letter`, `Digit:Decimal`, `Punctuation:ASCII`, no sub for other punctuation/symbols)
+ * - 'v2': Letters by case ({@link LetterSubLabel}), digits by script ({@link DigitSubLabel}),
+ *   punctuation and symbols by General_Category ({@link PunctuationSubLabel}, {@link SymbolSubLabel}),
+ *   conjoining Hangul jamo by role ({@link HangulSubLabel})
+ */
+export type Taxonomy = 'v1' | 'v2';
+
+/**
+ * Main labels of the built-in script list (letters of other scripts are labelled `'Letter'`)
+ */
+export type ScriptLabel =
+  | 'Hangul' | 'Han Ideograph' | 'Hiragana' | 'Katakana' | 'Bopomofo'
+  | 'Latin' | 'Greek' | 'Cyrillic' | 'Hebrew' | 'Arabic'
+  | 'Devanagari' | 'Bengali' | 'Gurmukhi' | 'Gujarati' | 'Odia' | 'Tamil' | 'Telugu' | 'Kannada' | 'Malayalam' | 'Sinhala'
+  | 'Thai' | 'Lao' | 'Khmer' | 'Myanmar' | 'Tibetan' | 'Mongolian'
+  | 'Armenian' | 'Georgian' | 'Ethiopic' | 'Cherokee' | 'Canadian Aboriginal' | 'Runic' | 'Ogham' | 'Yi';
+
+/**
+ * Main labels produced by the built-in stages (custom `ranges`, `overrides` and `scripts` can add more)
+ */
+export type MainLabel =
+  | ScriptLabel | 'Letter' | 'Whitespace' | 'Emoji' | 'Control' | 'Format' | 'Mark'
+  | 'Digit' | 'Number' | 'Punctuation' | 'Symbol' | 'Separator' | 'Other';
+
+/**
+ * `sub` of letters with `taxonomy: 'v2'` (General_Category Lu / Ll / Lt / Lm / Lo)
+ */
+export type LetterSubLabel = 'Uppercase' | 'Lowercase' | 'Titlecase' | 'Modifier' | 'Other';
+
+/**
+ * `sub` of `Digit` with `taxonomy: 'v2'`: the digit's script.
+ * `'Common'` covers ASCII, fullwidth and mathematical digits; `'Other Script'` scripts missing from the list.
+ */
+export type DigitSubLabel = ScriptLabel | 'Common' | 'Other Script';
+
+/**
+ * `sub` of `Punctuation` with `taxonomy: 'v2'` (Ps / Pe / Pd / Pi and Pf / Pc / Po)
+ */
+export type PunctuationSubLabel = 'Open' | 'Close' | 'Dash' | 'Quote' | 'Connector' | 'Other';
+
+/**
+ * `sub` of `Symbol` with `taxonomy: 'v2'` (Sc / Sm / Sk / So)
+ */
+export type SymbolSubLabel = 'Currency' | 'Math' | 'Modifier' | 'Other';
+
+/**
+ * `sub` values of `taxonomy: 'v1'` that differ from 'v2': `'Letter'` (letters of the built-in scripts),
+ * `'Other Script'` (other letters), ASCII letter case, `'ASCII'` (digits and punctuation) and `'Decimal'` (other digits)
+ */
+export type V1SubLabel = 'Letter' | 'Other Script' | 'Uppercase' | 'Lowercase' | 'ASCII' | 'Decimal';
+
+/**
+ * `sub` of `Whitespace` (both taxonomies)
+ */
+export type WhitespaceSubLabel =
+  | 'Space Separator' | 'Fixed-Width Space' | 'Control:Tab' | 'Control:Line Break' | 'Invisible:Zero Width';
+
+/**
+ * `sub` of `Emoji` (`'Flag'` and `'Keycap'` only with `unit: 'grapheme'`)
+ */
+export type EmojiSubLabel = 'Variation Selector' | 'Extended Pictographic' | 'Emoji Component' | 'Flag' | 'Keycap';
+
+/**
+ * `sub` of `Hangul`: syllables, compatibility jamo, and conjoining jamo by block
+ * (the blocks use U+2011 NON-BREAKING HYPHEN, e.g. `'Jamo Ext‑B'`).
+ * With `taxonomy: 'v2'` conjoining jamo also carry their role (e.g. `'Jamo Ext‑B:Jongseong'`).
+ */
+export type HangulSubLabel =
+  | 'Syllable' | 'Compatibility Jamo'
+  | 'Jamo' | 'Jamo:Choseong' | 'Jamo:Jungseong' | 'Jamo:Jongseong'
+  | 'Jamo Ext‑A' | 'Jamo Ext‑A:Choseong' | 'Jamo Ext‑A:Jungseong' | 'Jamo Ext‑A:Jongseong'
+  | 'Jamo Ext‑B' | 'Jamo Ext‑B:Choseong' | 'Jamo Ext‑B:Jungseong' | 'Jamo Ext‑B:Jongseong';
+
+/**
+ * `sub` of `Format` (other format characters have no `sub`)
+ */
+export type FormatSubLabel = 'ZWJ' | 'ZWNJ' | 'BOM/ZWNBS';
+
+/**
+ * Every `sub` produced by the built-in stages (either taxonomy)
+ */
+export type SubLabel =
+  | LetterSubLabel | DigitSubLabel | PunctuationSubLabel | SymbolSubLabel | V1SubLabel
+  | WhitespaceSubLabel | EmojiSubLabel | HangulSubLabel | FormatSubLabel;
+
+/**
+ * Options for {@link getCharacterType}
+ */
+export interface CharacterTypeOptions {
+  /**
+   * Unicode property source
+   * @default 'auto'
+   */
+  data?: DataSource;
+  /**
+   * Sub-category scheme
+   * @default 'v1'
+   */
+  taxonomy?: Taxonomy;
 }
 
 /**
@@ -23,35 +145,87 @@ export interface AnalyzeOptions {
    * @default 'main'
    */
   granularity?: 'main' | 'sub';
+  /**
+   * Unit that counts as one character
+   * - 'codepoint': Each Unicode code point is counted separately
+   * - 'grapheme': Each grapheme cluster (user-perceived character) is counted once and
+   *   labelled by its base character. Uses `Intl.Segmenter` when available, otherwise a
+   *   built-in UAX #29 segmenter. Classifiers with `data: 'bundled'` always use the built-in
+   *   segmenter, so cluster boundaries follow the bundled UCD like the categories do.
+   * @default 'codepoint'
+   */
+  unit?: 'codepoint' | 'grapheme';
+  /**
+   * Maximum number of unique characters collected in each category's `chars`
+   * (the first ones seen are kept). Use `0` to skip collecting them, e.g. for very large inputs.
+   * @default Infinity
+   */
+  maxChars?: number;
+  /**
+   * Record the UTF-16 start offset of every occurrence in each category's `positions`
+   * @default false
+   */
+  positions?: boolean;
+  /**
+   * Language of the `breakdown` keys: 'en', 'ko', 'ja' or one added with {@link registerLabels}
+   * ('ko-KR' falls back to 'ko'). Each entry's `id` stays the same.
+   * @default 'en'
+   */
+  locale?: string;
+  /**
+   * Unicode property source (global `analyzeText` only; a {@link Classifier} uses its own `data` option)
+   * @default 'auto'
+   */
+  data?: DataSource;
+  /**
+   * Sub-category scheme (global `analyzeText` only; a {@link Classifier} uses its own `taxonomy` option)
+   * @default 'v1'
+   */
+  taxonomy?: Taxonomy;
 }
 
 /**
  * Statistics for a single character category
  */
 export interface CategoryStats {
+  /** Stable machine ID of the category (see {@link CategoryId}) */
+  id: string;
   /** Number of characters in this category */
   count: number;
   /** Percentage ratio of total characters (0-100, rounded to 2 decimal places) */
   ratio: number;
-  /** Unique characters found in this category, sorted alphabetically */
+  /** Unique characters found in this category, sorted alphabetically (limited by `maxChars`) */
   chars: string[];
+  /** UTF-16 start offsets of every occurrence, in text order (only with `positions: true`) */
+  positions?: number[];
 }
 
 /**
  * Complete text analysis result
  */
 export interface TextAnalysis {
-  /** Total number of characters analyzed */
+  /** Total number of characters analyzed (code points or grapheme clusters, depending on `unit`) */
   total: number;
   /** Per-category breakdown of character statistics */
   breakdown: Record<string, CategoryStats>;
+  /**
+   * Unicode version of the data that produced this result, as `'major.minor.patch'`
+   * (`null` when the runtime does not report the version of its `\p{...}` data)
+   */
+  unicodeVersion: string | null;
 }
 
+/**
+ * Unicode version of the bundled data tables (used with `data: 'bundled'`)
+ */
+export const unicodeVersion: string;
+
 /**
  * Classify a single character into Unicode categories.
  * 
  * @param char - A non-empty string (only the first code point is used)
- * @returns Character type classification with main and optional sub-category
+ * @param options - Classification options
+ * @returns Character type classification with main and optional sub-category (a frozen object shared between calls)
  * @throws {TypeError} When input is not a non-empty string
  * 
  * @example
@@ -59,9 +233,91 @@ export interface TextAnalysis {
  * getCharacterType('A'); // { main: 'Latin', sub: 'Uppercase' }
  * getCharacterType('가'); // { main: 'Hangul', sub: 'Syllable' }
  * getCharacterType('😀'); // { main: 'Emoji' }
+ * getCharacterType('É', { taxonomy: 'v2' }); // { main: 'Latin', sub: 'Uppercase' }
+ * getCharacterType('५', { taxonomy: 'v2' }); // { main: 'Digit', sub: 'Devanagari' }
+ * ```
+ */
+export function getCharacterType(char: string, options?: CharacterTypeOptions): Readonly<CharacterType>;
+
+/**
+ * Raw Unicode properties of a character, from {@link getCharacterInfo}
+ */
+export interface CharacterInfo {
+  /** The character (first code point of the input) */
+  char: string;
+  /** Code point as `U+XXXX` (at least four uppercase hex digits) */
+  codePoint: string;
+  /** Two-letter General_Category, e.g. `'Lu'`, `'Mn'`, `'Zs'` */
+  generalCategory: string;
+  /** Script long name, e.g. `'Latin'`, `'Canadian_Aboriginal'` (`'Unknown'` when unassigned) */
+  script: string;
+  /** Script_Extensions long names (`[script]` when the character has none) */
+  scriptExtensions: string[];
+  /** Block name, or `null` outside any block */
+  block: string | null;
+  /** Unicode version the character was added in, e.g. `'1.1'`, or `null` when unassigned */
+  age: string | null;
+  /**
+   * Official character name, or `null` when it has none (controls, private use, unassigned)
+   * or the name table has not been loaded yet (see {@link loadCharacterNames})
+   */
+  name: string | null;
+}
+
+/**
+ * Look up the raw Unicode properties of a character in the bundled tables.
+ *
+ * @param char - A non-empty string (only the first code point is used)
+ * @returns General_Category, Script, Script_Extensions, Block, Age and Name
+ * @throws {TypeError} When input is not a non-empty string
+ *
+ * @example
+ * ```typescript
+ * getCharacterInfo('A');
+ * // { char: 'A', codePoint: 'U+0041', generalCategory: 'Lu', script: 'Latin', scriptExtensions: ['Latin'],
+ * //   block: 'Basic Latin', age: '1.1', name: null }
+ *
+ * await loadCharacterNames(); // or: import 'glyphscope/names';
+ * getCharacterInfo('한').name; // 'HANGUL SYLLABLE HAN'
+ * ```
+ */
+export function getCharacterInfo(char: string): CharacterInfo;
+
+/**
+ * Load the character name table (`glyphscope/names`) on demand; afterwards
+ * {@link getCharacterInfo} fills in `name`. Bundlers split the table into its own chunk.
+ *
+ * @returns Resolves once the table is registered
+ */
+export function loadCharacterNames(): Promise<void>;
+
+/**
+ * Classify many code points at once into numeric category IDs (for multi-megabyte inputs).
+ * IDs are assigned per classifier; turn them back into labels with {@link getCategory} using the same options.
+ *
+ * @param codePoints - Code points to classify
+ * @param options - Classification options
+ * @returns One category ID per code point
+ * @throws {TypeError} When `codePoints` is not a Uint32Array
+ * @throws {RangeError} When a value is above 0x10FFFF
+ *
+ * @example
+ * ```typescript
+ * const ids = classifyCodePoints(Uint32Array.from('A가', (c) => c.codePointAt(0)!));
+ * Array.from(ids, (id) => getCategory(id)); // [{ main: 'Latin', sub: 'Uppercase' }, { main: 'Hangul', sub: 'Syllable' }]
  * ```
  */
-export function getCharacterType(char: string): CharacterType;
+export function classifyCodePoints(codePoints: Uint32Array, options?: CharacterTypeOptions): Uint16Array;
+
+/**
+ * Label of a category ID returned by {@link classifyCodePoints}.
+ *
+ * @param id - Category ID
+ * @param options - The options that were passed to `classifyCodePoints`
+ * @returns The label (a frozen object shared between calls)
+ * @throws {RangeError} When the ID has not been assigned
+ */
+export function getCategory(id: number, options?: CharacterTypeOptions): Readonly<CharacterType>;
 
 /**
  * Analyze a string and return detailed statistics about character categories.
@@ -70,7 +326,7 @@ export function getCharacterType(char: string): CharacterType;
  * @param options - Analysis configuration options
  * @returns Comprehensive analysis with total count and per-category breakdown
  * @throws {TypeError} When text is not a string
- * @throws {RangeError} When granularity is not 'main' or 'sub'
+ * @throws {RangeError} When granularity is not 'main' or 'sub', or unit is not 'codepoint' or 'grapheme'
  * 
  * @example
  * ```typescript
@@ -81,6 +337,1532 @@ export function getCharacterType(char: string): CharacterType;
  * // With sub-categories
  * analyzeText('Hello', { granularity: 'sub' });
  * // { total: 5, breakdown: { 'Latin:Uppercase': { count: 1, ... }, 'Latin:Lowercase': { count: 4, ... } } }
+ *
+ * // Count user-perceived characters
+ * analyzeText('👨‍👩‍👧 🇰🇷', { unit: 'grapheme' });
+ * // { total: 3, breakdown: { Emoji: { count: 2, ... }, Whitespace: { count: 1, ... } } }
+ * ```
+ */
+export function analyzeText(text: string, options?: AnalyzeOptions): TextAnalysis;
+
+/**
+ * Name of a built-in classification stage. Stages run in order and the first match wins.
+ */
+export type ClassifierStage =
+  | 'whitespace'
+  | 'ascii'
+  | 'emoji'
+  | 'hangul'
+  | 'control'
+  | 'format'
+  | 'letter'
+  | 'mark'
+  | 'digit'
+  | 'number'
+  | 'punctuation'
+  | 'symbol'
+  | 'separator'
+  | 'han';
+
+/**
+ * Stage order used by the global functions
+ */
+export const DEFAULT_STAGE_ORDER: readonly ClassifierStage[];
+
+/**
+ * A code point range mapped to a custom classification
+ */
+export interface CustomRange {
+  /** First code point of the range */
+  from: number;
+  /** Last code point of the range (inclusive) @default from */
+  to?: number;
+  /** Main category returned for code points in the range */
+  main: string;
+  /** Optional sub-category returned for code points in the range */
+  sub?: string;
+}
+
+/**
+ * An additional script to detect for letters
+ */
+export interface ScriptDefinition {
+  /** Main category returned for letters of this script (e.g. 'Javanese') */
+  label: string;
+  /** Script name (or alias candidates) tried with `\p{Script=...}` */
+  script?: string | string[];
+  /** Code point ranges used when the runtime does not know the script */
+  ranges?: Array<[number, number]>;
+}
+
+/**
+ * Options for {@link createClassifier}
+ */
+export interface ClassifierOptions {
+  /** Custom code point ranges, checked before every built-in stage */
+  ranges?: CustomRange[];
+  /** Per-character classifications, checked before `ranges` (keys are single characters) */
+  overrides?: Record<string, CharacterType>;
+  /** Extra scripts, checked before the built-in script list */
+  scripts?: ScriptDefinition[];
+  /**
+   * Built-in stages to run and their precedence. Stages left out are skipped.
+   * @default DEFAULT_STAGE_ORDER
+   */
+  order?: ClassifierStage[];
+  /**
+   * Unicode property source. Use 'bundled' for results that do not depend on the runtime.
+   * @default 'auto'
+   */
+  data?: DataSource;
+  /**
+   * Sub-category scheme. 'v2' gives every letter, digit, punctuation mark and symbol an even `sub`.
+   * @default 'v1'
+   */
+  taxonomy?: Taxonomy;
+  /**
+   * Number of 256-code-point blocks of classification results to keep (least recently used are dropped).
+   * Each block takes 512 bytes; `Infinity` keeps all of Unicode in about 2.2 MB.
+   * @default 1024
+   */
+  cacheSize?: number;
+}
+
+/**
+ * A classifier instance with its own configuration and cache
+ */
+export interface Classifier {
+  /** Same as the global {@link getCharacterType}, using this instance's configuration */
+  getCharacterType(char: string): Readonly<CharacterType>;
+  /** Same as the global {@link analyzeText}, using this instance's configuration */
+  analyzeText(text: string, options?: AnalyzeOptions): TextAnalysis;
+  /** Same as the global {@link tokenize}, using this instance's configuration */
+  tokenize(text: string, options?: TokenizeOptions): Token[];
+  /** Same as the global {@link createAnalyzer}, using this instance's configuration */
+  createAnalyzer(options?: AnalyzeOptions): Analyzer;
+  /** Same as the global {@link transform}, using this instance's configuration */
+  transform(text: string, rules: TransformRules): string;
+  /**
+   * Same as the global {@link createPolicy}, using this instance's configuration
+   * (`data` is ignored; a `taxonomy` other than this instance's throws a `RangeError`)
+   */
+  createPolicy(definition: PolicyDefinition): Policy;
+  /** Same as the global {@link guessLanguage}, using this instance's configuration */
+  guessLanguage(text: string): LanguageCandidate[];
+  /** Same as the global {@link analyzeNormalization}, using this instance's configuration */
+  analyzeNormalization(text: string, options?: NormalizationOptions): NormalizationReport;
+  /** Same as the global {@link checkCoverage}, using this instance's configuration */
+  checkCoverage(text: string, coverage: FontCoverage | FontCoverage[], options?: CoverageOptions): CoverageReport;
+  /** Same as the global {@link classifyCodePoints}, using this instance's configuration */
+  classifyCodePoints(codePoints: Uint32Array): Uint16Array;
+  /** Same as the global {@link getCategory}, for IDs from this instance */
+  getCategory(id: number): Readonly<CharacterType>;
+  /** Clear this instance's classification cache (category IDs stay valid) */
+  clearCache(): void;
+  /** Property source actually in use */
+  readonly data: 'native' | 'bundled';
+  /** Sub-category scheme in use */
+  readonly taxonomy: Taxonomy;
+  /** Unicode version of the data in use, as `'major.minor.patch'` (`null` when the runtime does not report it) */
+  readonly unicodeVersion: string | null;
+}
+
+/**
+ * Create an independent classifier with custom ranges, overrides, scripts and stage order.
+ * The global functions keep using the default configuration.
+ *
+ * @param options - Classifier configuration
+ * @returns A classifier instance with its own cache
+ * @throws {TypeError} When an option has the wrong shape
+ * @throws {RangeError} When a code point, stage name or `cacheSize` is invalid
+ *
+ * @example
+ * ```typescript
+ * const classifier = createClassifier({
+ *   ranges: [{ from: 0xE000, to: 0xF8FF, main: 'Icon' }],
+ *   scripts: [{ label: 'Javanese', script: 'Javanese' }],
+ *   order: ['format', ...DEFAULT_STAGE_ORDER],
+ * });
+ * classifier.getCharacterType('\uE000'); // { main: 'Icon' }
+ * classifier.getCharacterType('\u200B'); // { main: 'Format' }
+ * ```
+ */
+export function createClassifier(options?: ClassifierOptions): Classifier;
+
+/**
+ * A run of text written in one script
+ */
+export interface ScriptRun {
+  /** Unicode Script long name (e.g., 'Latin', 'Hangul', 'Han'); 'Common' when no script can be determined */
+  script: string;
+  /** Start offset in UTF-16 code units */
+  start: number;
+  /** End offset in UTF-16 code units (exclusive) */
+  end: number;
+  /** `text.slice(start, end)` */
+  text: string;
+}
+
+/**
+ * Split text into runs of the same script (UAX #24).
+ * Inherited characters (combining marks, ZWJ, variation selectors) and Common characters
+ * (spaces, punctuation, digits) attach to the surrounding run; Script_Extensions narrow the
+ * candidates, and paired brackets follow the script of their opening bracket.
+ * Scripts come from the bundled tables, so results do not depend on the runtime.
+ *
+ * @param text - The text to segment
+ * @returns Runs in text order (empty for an empty string)
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * segmentByScript('Hello (世界) world');
+ * // [
+ * //   { script: 'Latin', start: 0, end: 7, text: 'Hello (' },
+ * //   { script: 'Han', start: 7, end: 9, text: '世界' },
+ * //   { script: 'Latin', start: 9, end: 16, text: ') world' },
+ * // ]
+ * ```
+ */
+export function segmentByScript(text: string): ScriptRun[];
+
+/**
+ * UTS #39 restriction level of an identifier
+ * - 'ascii-only': Only ASCII characters
+ * - 'single-script': All characters belong to one script (Common/Inherited allowed)
+ * - 'highly-restrictive': Latin + Han + Hiragana + Katakana, Latin + Han + Bopomofo, or Latin + Han + Hangul
+ * - 'moderately-restrictive': Latin + one other recommended script except Cyrillic and Greek
+ * - 'unrestricted': Anything else (Identifier_Status is not checked, so this includes "minimally restrictive")
+ */
+export type RestrictionLevel =
+  | 'ascii-only'
+  | 'single-script'
+  | 'highly-restrictive'
+  | 'moderately-restrictive'
+  | 'unrestricted';
+
+/**
+ * Determine the UTS #39 restriction level of an identifier (username, domain label, ...).
+ *
+ * @param text - The identifier to check
+ * @returns The most restrictive level the text satisfies
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * getRestrictionLevel('paypal'); // 'ascii-only'
+ * getRestrictionLevel('p\u0430ypal'); // 'unrestricted' (Latin + Cyrillic)
+ * getRestrictionLevel('abc한글'); // 'highly-restrictive'
+ * ```
+ */
+export function getRestrictionLevel(text: string): RestrictionLevel;
+
+/**
+ * Compute the UTS #39 skeleton: NFD, remove default ignorables, replace confusable characters
+ * with their prototype, then NFD again. Uses the bundled UTS #39 16.0.0 confusables table.
+ *
+ * @param text - The text to map
+ * @returns The skeleton string
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * skeleton('p\u0430ypal'); // 'paypal'
+ * ```
+ */
+export function skeleton(text: string): string;
+
+/**
+ * Check whether two strings are visually confusable (their skeletons are equal).
+ *
+ * @param a - First string
+ * @param b - Second string
+ * @returns `true` when `skeleton(a) === skeleton(b)`
+ * @throws {TypeError} When either argument is not a string
+ *
+ * @example
+ * ```typescript
+ * areConfusable('p\u0430ypal', 'paypal'); // true
+ * areConfusable('paypal', 'paypa1'); // true ('1' and 'l' share a prototype)
+ * ```
+ */
+export function areConfusable(a: string, b: string): boolean;
+
+/**
+ * Kind of finding reported by {@link findSuspiciousCharacters}
+ * - `'bidi-control'`: embedding, override or isolate control (U+202A–202E, U+2066–2069)
+ * - `'unbalanced-bidi'`: bidi control not closed (or not opened) within the same line
+ * - `'tag'`: tag characters (U+E0000–E007F) outside an emoji tag sequence
+ * - `'variation-selector'`: variation selector that does not apply to the preceding character
+ * - `'bom'`: U+FEFF anywhere but the start of the text
+ * - `'whitespace'`: space other than U+0020, or an invisible filler such as U+200B or U+3164
+ */
+export type SuspiciousType =
+  | 'bidi-control'
+  | 'unbalanced-bidi'
+  | 'tag'
+  | 'variation-selector'
+  | 'bom'
+  | 'whitespace';
+
+/**
+ * Severity of a suspicious character finding
+ */
+export type SuspiciousSeverity = 'high' | 'medium' | 'low';
+
+/**
+ * One finding from {@link findSuspiciousCharacters}
+ */
+export interface SuspiciousFinding {
+  /** Kind of finding */
+  type: SuspiciousType;
+  /** How likely the character is to hide or reorder code */
+  severity: SuspiciousSeverity;
+  /** Offending code point (the first one when the finding covers a run) */
+  codePoint: number;
+  /** The offending code point as a string */
+  char: string;
+  /** UTF-16 start offset */
+  start: number;
+  /** UTF-16 end offset (exclusive); tag characters and stray variation selectors are grouped into one run */
+  end: number;
+  /** 1-based line (LF, CRLF and CR end a line) */
+  line: number;
+  /** 1-based column in UTF-16 code units */
+  column: number;
+  /** Short English explanation */
+  message: string;
+}
+
+/**
+ * Find characters that make text display differently from what it contains, the check behind
+ * Trojan Source (CVE-2021-42574). Bidi pairs are matched per line, as UAX #9 resets at paragraph ends.
+ *
+ * @param text - The text to scan (source code, config files, user input)
+ * @returns Findings sorted by `start`; empty when nothing is suspicious
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * findSuspiciousCharacters('access = "user\u202E \u2066// admin\u2069\u2066";');
+ * // [{ type: 'bidi-control', severity: 'high', codePoint: 0x202E, line: 1, column: 15, ... },
+ * //  { type: 'unbalanced-bidi', severity: 'high', codePoint: 0x202E, ... }, ...]
+ * ```
+ */
+export function findSuspiciousCharacters(text: string): SuspiciousFinding[];
+
+/**
+ * Incremental analyzer returned by {@link createAnalyzer}
+ */
+export interface Analyzer {
+  /**
+   * Add the next chunk of text. Surrogate pairs and grapheme clusters split across chunks are
+   * joined before they are counted.
+   * @returns The analyzer itself
+   * @throws {TypeError} When chunk is not a string
+   */
+  push(chunk: string): Analyzer;
+  /**
+   * Result for everything pushed so far, in the same shape as {@link analyzeText}.
+   * Can be called at any time; pushing may continue afterwards.
+   */
+  result(): TextAnalysis;
+}
+
+/**
+ * Create an incremental analyzer for input that arrives in chunks (large files, network streams).
+ * Pushing all chunks and calling `result()` gives the same result as `analyzeText` on the joined text.
+ *
+ * @param options - Analysis options (use `maxChars` to bound memory on large inputs)
+ * @returns A new analyzer
+ * @throws {RangeError} When an option value is invalid
+ *
+ * @example
+ * ```typescript
+ * const analyzer = createAnalyzer({ maxChars: 0 });
+ * analyzer.push('Hello \uD83D').push('\uDE0A');
+ * analyzer.result().total; // 7 ('😊' counted once)
+ * ```
+ */
+export function createAnalyzer(options?: AnalyzeOptions): Analyzer;
+
+/**
+ * Wrap an incremental analyzer in a WHATWG `TransformStream` (browsers, Deno, Node 18+).
+ * Accepts string or UTF-8 byte chunks and emits a single {@link TextAnalysis} when the input ends.
+ * For Node.js streams use `createAnalyzerStream` from `glyphscope/node`.
+ *
+ * @param options - Analysis options
+ * @returns A transform stream from text/bytes to one analysis result
+ * @throws {TypeError} When `TransformStream` or `TextDecoder` is not available
+ *
+ * @example
+ * ```typescript
+ * const response = await fetch('/corpus.txt');
+ * const reader = response.body!.pipeThrough(createAnalyzerTransformStream({ maxChars: 100 })).getReader();
+ * const { value } = await reader.read(); // TextAnalysis
+ * ```
+ */
+export function createAnalyzerTransformStream(options?: AnalyzeOptions): TransformStream<string | BufferSource, TextAnalysis>;
+
+/**
+ * Options for {@link tokenize}
+ */
+export interface TokenizeOptions {
+  /**
+   * Which label must match for characters to share a token
+   * - 'main': Same main category
+   * - 'sub': Same "main:sub" label
+   * @default 'main'
+   */
+  granularity?: 'main' | 'sub';
+  /**
+   * Unit that is classified; 'grapheme' never splits a grapheme cluster across tokens
+   * @default 'codepoint'
+   */
+  unit?: 'codepoint' | 'grapheme';
+  /**
+   * Language of the token `label` (`id`, `main` and `sub` are not translated)
+   * @default 'en'
+   */
+  locale?: string;
+  /**
+   * Unicode property source (global `tokenize` only)
+   * @default 'auto'
+   */
+  data?: DataSource;
+  /**
+   * Sub-category scheme (global `tokenize` only)
+   * @default 'v1'
+   */
+  taxonomy?: Taxonomy;
+}
+
+/**
+ * A run of consecutive characters with the same label
+ */
+export interface Token {
+  /** Label shared by the run ('main' or 'main:sub', as in {@link TextAnalysis.breakdown}) */
+  label: string;
+  /** Stable machine ID of the label (see {@link CategoryId}) */
+  id: string;
+  /** Main category */
+  main: string;
+  /** Sub-category (only with `granularity: 'sub'`) */
+  sub?: string;
+  /** The token text */
+  text: string;
+  /** Start offset in UTF-16 code units */
+  start: number;
+  /** End offset in UTF-16 code units (exclusive) */
+  end: number;
+  /** Start offset in code points */
+  codePointStart: number;
+  /** End offset in code points (exclusive) */
+  codePointEnd: number;
+  /** 1-based line of the token start (LF, CRLF and CR end a line) */
+  line: number;
+  /** 1-based column of the token start, in UTF-16 code units */
+  column: number;
+}
+
+/**
+ * Split text into runs of consecutive characters with the same label, with positions for highlighting.
+ *
+ * @param text - The text to tokenize
+ * @param options - Tokenization options
+ * @returns Tokens in text order (empty for an empty string)
+ * @throws {TypeError} When text is not a string
+ * @throws {RangeError} When granularity or unit is invalid
+ *
+ * @example
+ * ```typescript
+ * tokenize('Hi 가나\n😊');
+ * // [
+ * //   { label: 'Latin', main: 'Latin', text: 'Hi', start: 0, end: 2, codePointStart: 0, codePointEnd: 2, line: 1, column: 1 },
+ * //   { label: 'Whitespace', main: 'Whitespace', text: ' ', start: 2, end: 3, ..., line: 1, column: 3 },
+ * //   { label: 'Hangul', main: 'Hangul', text: '가나', start: 3, end: 5, ..., line: 1, column: 4 },
+ * //   { label: 'Whitespace', main: 'Whitespace', text: '\n', start: 5, end: 6, ..., line: 1, column: 6 },
+ * //   { label: 'Emoji', main: 'Emoji', text: '😊', start: 6, end: 8, codePointStart: 6, codePointEnd: 7, line: 2, column: 1 },
+ * // ]
+ * ```
+ */
+export function tokenize(text: string, options?: TokenizeOptions): Token[];
+
+/**
+ * What to do with characters matched by a transform rule
+ * - `'remove'`: drop each matching character
+ * - `{ replace }`: replace each matching character (CRLF counts as one character)
+ * - `{ collapse }`: replace each run of consecutive characters matched by the same rule once
+ */
+export type TransformRule =
+  | 'remove'
+  | { replace: string | ((char: string, type: CharacterType) => string) }
+  | { collapse: string | ((run: string, type: CharacterType) => string) };
+
+/**
+ * Rules keyed by label: `main` (e.g. `'Format'`) or `main:sub` (e.g. `'Whitespace:Fixed-Width Space'`).
+ * A key also matches longer labels at a `:` boundary (`'Whitespace:Control'` covers
+ * `'Whitespace:Control:Tab'`); the longest matching key wins.
+ */
+export type TransformRuleSet = Record<string, TransformRule>;
+
+/**
+ * Built-in transforms
+ * - `'normalize-whitespace'`: every Whitespace sub-type to U+0020, line breaks (CRLF included) to `\n`,
+ *   zero-width spaces removed
+ * - `'fold-width'`: fullwidth ASCII and U+3000 to ASCII, halfwidth katakana to regular katakana
+ * - `'strip-invisible'`: remove Default_Ignorable_Code_Point characters, keeping ZWJ, emoji presentation
+ *   selectors and tag sequences inside emoji sequences
+ */
+export type TransformPreset = 'normalize-whitespace' | 'fold-width' | 'strip-invisible';
+
+/**
+ * A rule set, a preset, or a list of them applied in order
+ */
+export type TransformRules = TransformRuleSet | TransformPreset | Array<TransformRuleSet | TransformPreset>;
+
+/**
+ * Rewrite text by character category.
+ *
+ * @param text - The text to transform
+ * @param rules - Rule set, preset name, or an array of them (each step runs on the previous result)
+ * @param options - Unicode property source
+ * @returns The transformed text
+ * @throws {TypeError} When text is not a string or a rule has the wrong shape
+ * @throws {RangeError} When a preset name is unknown
+ *
+ * @example
+ * ```typescript
+ * transform('a\u00A0b\tc\r\nd', 'normalize-whitespace'); // 'a b c\nd'
+ * transform('ＡＢＣ ｶﾞｷﾞ', 'fold-width'); // 'ABC ガギ'
+ * transform('x\u200By\u00ADz', { Format: 'remove', Whitespace: { collapse: ' ' } }); // 'x yz'
+ * transform(text, ['fold-width', 'strip-invisible', 'normalize-whitespace']);
+ * ```
+ */
+export function transform(text: string, rules: TransformRules, options?: CharacterTypeOptions): string;
+
+/**
+ * A character policy, as plain JSON-compatible data.
+ * Labels are `main` (e.g. `'Emoji'`) or `main:sub` (e.g. `'Whitespace:Space Separator'`) and also match
+ * longer labels at a `:` boundary (`'Whitespace:Control'` covers `'Whitespace:Control:Tab'`).
+ */
+export interface PolicyDefinition {
+  /** Only characters matching one of these labels are allowed (omit to allow everything) */
+  allow?: string[];
+  /** Characters matching one of these labels are rejected (checked before `allow`) */
+  deny?: string[];
+  /** Maximum share per label, in percent (0..100) like {@link CategoryStats.ratio} */
+  maxRatio?: Record<string, number>;
+  /** Maximum number of characters per label */
+  maxCount?: Record<string, number>;
+  /** Counting unit (default `'codepoint'`); `'grapheme'` checks a ZWJ emoji sequence as one character */
+  unit?: 'codepoint' | 'grapheme';
+  /** Unicode property source (default `'auto'`) */
+  data?: DataSource;
+  /** Sub-category scheme the labels refer to (default `'v1'`) */
+  taxonomy?: Taxonomy;
+}
+
+/**
+ * One policy violation
+ */
+export interface PolicyViolation {
+  /** Label of the character (`main:sub` when it has a sub-category) */
+  label: string;
+  /** The offending character (a whole cluster with `unit: 'grapheme'`) */
+  char: string;
+  /** UTF-16 index of the character */
+  index: number;
+  /**
+   * Rule that was broken. For `maxRatio`/`maxCount`, each matching character past the limit is reported.
+   */
+  rule: 'allow' | 'deny' | 'maxRatio' | 'maxCount';
+}
+
+/**
+ * Result of {@link Policy.validate}
+ */
+export interface PolicyResult {
+  /** `true` when there are no violations */
+  valid: boolean;
+  /** Violations in text order */
+  violations: PolicyViolation[];
+}
+
+/**
+ * A compiled character policy
+ */
+export interface Policy {
+  /**
+   * Check text against the policy.
+   * @throws {TypeError} When text is not a string
+   */
+  validate(text: string): PolicyResult;
+  /** The policy definition (also used by `JSON.stringify(policy)`), including the taxonomy in use */
+  toJSON(): PolicyDefinition;
+}
+
+/**
+ * Create a character policy from GlyphScope labels, to validate form input the same way on client and server.
+ *
+ * @param definition - Allowed/denied labels and per-label limits
+ * @returns The policy; `JSON.stringify(policy)` gives a definition that `createPolicy` accepts again
+ * @throws {TypeError} When the definition has the wrong shape or an unknown field
+ * @throws {RangeError} When a limit, `unit`, `data` or `taxonomy` is invalid, or a label is not one the
+ *   classifier can produce (e.g. a typo such as `'Contrl'`)
+ *
+ * @example
+ * ```typescript
+ * const policy = createPolicy({
+ *   allow: ['Hangul', 'Latin', 'Digit', 'Whitespace:Space Separator', 'Punctuation:ASCII', 'Emoji'],
+ *   deny: ['Control', 'Format'],
+ *   maxRatio: { Emoji: 5 },
+ * });
+ * policy.validate('안녕 hello!').valid; // true
+ * policy.validate('a\u0007').violations; // [{ label: 'Control', char: '\u0007', index: 1, rule: 'deny' }]
+ * const shared = JSON.stringify(policy); // send to the server, then createPolicy(JSON.parse(shared))
+ * ```
+ */
+export function createPolicy(definition: PolicyDefinition): Policy;
+
+/**
+ * Initial, medial and final jamo of a modern Hangul syllable
+ */
+export interface HangulParts {
+  /** Initial consonant (choseong) */
+  initial: string;
+  /** Vowel (jungseong) */
+  medial: string;
+  /** Final consonant (jongseong); `''` when the syllable has none */
+  final: string;
+}
+
+/**
+ * Split a modern Hangul syllable (U+AC00–D7A3) into its jamo.
+ *
+ * @param syllable - A single syllable
+ * @param options - `compatibility: true` returns compatibility jamo (ㄱ, ㅏ) instead of conjoining jamo (U+1100 block)
+ * @returns The jamo, or `null` when the input is not exactly one modern syllable
+ * @throws {TypeError} When syllable is not a string
+ *
+ * @example
+ * ```typescript
+ * decomposeHangul('각'); // { initial: '\u1100', medial: '\u1161', final: '\u11A8' }
+ * decomposeHangul('각', { compatibility: true }); // { initial: 'ㄱ', medial: 'ㅏ', final: 'ㄱ' }
+ * ```
+ */
+export function decomposeHangul(syllable: string, options?: { compatibility?: boolean }): HangulParts | null;
+
+/**
+ * Build a modern Hangul syllable from its jamo (the inverse of {@link decomposeHangul}).
+ * Accepts conjoining and compatibility jamo.
+ *
+ * @param parts - Initial, medial and optional final jamo
+ * @returns The syllable, or `null` when the jamo do not form a modern syllable (e.g. archaic jamo)
+ * @throws {TypeError} When parts is not an object
+ *
+ * @example
+ * ```typescript
+ * composeHangul({ initial: 'ㅎ', medial: 'ㅏ', final: 'ㄴ' }); // '한'
+ * ```
+ */
+export function composeHangul(parts: { initial: string; medial: string; final?: string }): string | null;
+
+/**
+ * Replace each Hangul syllable with its initial consonant (compatibility jamo).
+ * Decomposed modern syllables are composed first; other characters are kept.
+ *
+ * @param text - The text to convert
+ * @returns The choseong string
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * extractChoseong('한국어 2판'); // 'ㅎㄱㅇ 2ㅍ'
+ * ```
+ */
+export function extractChoseong(text: string): string;
+
+/**
+ * Choseong search: check whether the query matches any part of the text. The query may mix initial
+ * consonants and full syllables; a last syllable without a final consonant also matches syllables
+ * that have one (search while typing).
+ *
+ * @param query - e.g. `'ㅁㄱ'`, `'한ㄱ'`, `'한구'`
+ * @param text - The text to search
+ * @returns `true` when the query matches
+ * @throws {TypeError} When either argument is not a string
+ *
+ * @example
+ * ```typescript
+ * matchesChoseong('ㅁㄱ', '대한민국'); // true
+ * matchesChoseong('한미', '대한민국'); // true ('미' → '민')
+ * matchesChoseong('ㅎㄱ', '대한민국'); // false
+ * ```
+ */
+export function matchesChoseong(query: string, text: string): boolean;
+
+/**
+ * How Hangul is written in a text
+ */
+export interface HangulAnalysis {
+  /** `'precomposed'` (U+AC00 syllables), `'decomposed'` (conjoining jamo), `'mixed'`, or `'none'` */
+  form: 'none' | 'precomposed' | 'decomposed' | 'mixed';
+  /** Number of precomposed syllables */
+  precomposed: number;
+  /** Number of syllables written with conjoining jamo, archaic ones included */
+  decomposed: number;
+  /** Number of standalone modern compatibility jamo (e.g. ㅋㅋ) */
+  compatibilityJamo: number;
+  /** Jamo sequences that do not compose to a modern syllable, and archaic compatibility jamo (UTF-16 offsets) */
+  archaic: Array<{ text: string; start: number; end: number }>;
+}
+
+/**
+ * Report whether Hangul is written precomposed or decomposed, and find old-Hangul (archaic) jamo sequences.
+ *
+ * @param text - The text to analyze
+ * @returns The analysis
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * analyzeHangul('한국어').form; // 'precomposed'
+ * analyzeHangul('\u1100\u119E\u11AF').archaic; // [{ text: 'ᄀᆞᆯ', start: 0, end: 3 }]
+ * ```
+ */
+export function analyzeHangul(text: string): HangulAnalysis;
+
+/**
+ * East_Asian_Width property value (UAX #11)
+ * - `F` fullwidth, `H` halfwidth, `W` wide, `Na` narrow, `A` ambiguous, `N` neutral
+ */
+export type EastAsianWidth = 'F' | 'H' | 'W' | 'Na' | 'A' | 'N';
+
+/**
+ * Get the East_Asian_Width of a character (its first code point) from the bundled table.
+ *
+ * @param char - A character
+ * @returns The property value
+ * @throws {TypeError} When char is not a non-empty string
+ *
+ * @example
+ * ```typescript
+ * getEastAsianWidth('A'); // 'Na'
+ * getEastAsianWidth('가'); // 'W'
+ * getEastAsianWidth('Ａ'); // 'F'
+ * getEastAsianWidth('α'); // 'A'
+ * ```
+ */
+export function getEastAsianWidth(char: string): EastAsianWidth;
+
+/**
+ * Options for display-width functions
+ */
+export interface WidthOptions {
+  /**
+   * Count ambiguous (`A`) characters as two columns, as CJK-locale terminals do
+   * @default false
+   */
+  ambiguousAsWide?: boolean;
+  /**
+   * `'bundled'` splits grapheme clusters with the built-in UAX #29 segmenter on the bundled UCD tables,
+   * so widths are the same on every runtime; otherwise `Intl.Segmenter` is used when available
+   * @default 'auto'
+   */
+  data?: DataSource;
+}
+
+/**
+ * Measure how many terminal columns a text takes, wcwidth-style, per grapheme cluster.
+ * Wide and fullwidth characters and emoji take 2, combining marks, ZWJ, format and control
+ * characters take 0. VS16 (U+FE0F) makes an emoji 2 columns wide, VS15 (U+FE0E) 1.
+ *
+ * @param text - The text to measure
+ * @param options - Width options
+ * @returns Column count
+ * @throws {TypeError} When text is not a string or ambiguousAsWide is not a boolean
+ * @throws {RangeError} When data is not 'auto', 'native' or 'bundled'
+ *
+ * @example
+ * ```typescript
+ * measureWidth('한국어 text'); // 11
+ * measureWidth('👩‍💻'); // 2
+ * measureWidth('α', { ambiguousAsWide: true }); // 2
+ * ```
+ */
+export function measureWidth(text: string, options?: WidthOptions): number;
+
+/**
+ * Options for {@link truncateToWidth}
+ */
+export interface TruncateOptions extends WidthOptions {
+  /**
+   * Appended when the text is cut; counts toward the width (dropped if wider than `width`)
+   * @default '…'
+   */
+  ellipsis?: string;
+}
+
+/**
+ * Cut a text so that it fits in `width` columns, without splitting grapheme clusters.
+ *
+ * @param text - The text to cut
+ * @param width - Maximum column count
+ * @param options - Truncation options
+ * @returns The text unchanged when it fits, otherwise the cut text plus the ellipsis
+ * @throws {RangeError} When width is not a non-negative integer
+ *
+ * @example
+ * ```typescript
+ * truncateToWidth('한국어 텍스트', 8); // '한국어 …'
+ * ```
+ */
+export function truncateToWidth(text: string, width: number, options?: TruncateOptions): string;
+
+/**
+ * Options for {@link padToWidth}
+ */
+export interface PadOptions extends WidthOptions {
+  /**
+   * Where the text goes; `'center'` puts the odd column on the right
+   * @default 'left'
+   */
+  align?: 'left' | 'right' | 'center';
+  /**
+   * Fill character, one column wide
+   * @default ' '
+   */
+  fill?: string;
+}
+
+/**
+ * Pad a text to `width` columns. Text that is already as wide or wider is returned unchanged.
+ *
+ * @param text - The text to pad
+ * @param width - Target column count
+ * @param options - Padding options
+ * @returns The padded text
+ * @throws {RangeError} When width is invalid, align is unknown or fill is not one column wide
+ *
+ * @example
+ * ```typescript
+ * padToWidth('가', 4) + '|'; // '가  |'
+ * padToWidth('가', 5, { align: 'right' }); // '   가'
+ * ```
+ */
+export function padToWidth(text: string, width: number, options?: PadOptions): string;
+
+/**
+ * A language candidate from {@link guessLanguage}
+ */
+export interface LanguageCandidate {
+  /** BCP 47 language code, e.g. `'ko'`, `'ja'`, `'zh'`, `'en'`, `'ru'` */
+  language: string;
+  /** Confidence from 0 to 1, weighted by the share of letters in each script (3 decimals) */
+  confidence: number;
+}
+
+/**
+ * Guess the language of a text offline, from its script mix and small bundled profiles.
+ *
+ * - Japanese vs Chinese from the Hiragana/Katakana vs `Han Ideograph` ratio; Korean from Hangul
+ * - Russian, Ukrainian, Belarusian, Serbian, Bulgarian and Macedonian from their distinguishing Cyrillic letters and common words
+ * - Latin- and Arabic-script languages from marker letters, common words and (Latin) letter ranks
+ * - Single-script languages (Thai, Greek, Hebrew, Armenian, Georgian, …) straight from the script label
+ *
+ * @param text - The text to inspect
+ * @param options - Unicode property source (`data: 'bundled'` also normalizes the input to NFC with the bundled tables)
+ * @returns Candidates sorted by confidence (below 0.01 dropped); empty when the text has no letters
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * guessLanguage('日本語のテキストです。'); // [{ language: 'ja', confidence: 1 }]
+ * guessLanguage('这是中文文本。'); // [{ language: 'zh', confidence: 1 }]
+ * guessLanguage('Це український текст.')[0].language; // 'uk'
+ * ```
+ */
+export function guessLanguage(text: string, options?: CharacterTypeOptions): LanguageCandidate[];
+
+/**
+ * Emoji sequence kind
+ * - `'basic'`: a single emoji, optionally with U+FE0F
+ * - `'flag'`: a regional indicator pair or a 🏴 tag sequence
+ * - `'keycap'`: `0-9`, `#` or `*` + U+20E3
+ * - `'modifier'`: an emoji with a skin-tone modifier
+ * - `'zwj'`: emoji joined with U+200D ZERO WIDTH JOINER
+ */
+export type EmojiSequenceType = 'basic' | 'flag' | 'keycap' | 'modifier' | 'zwj';
+
+/**
+ * Qualification status from emoji-test.txt (`null` when the sequence is not listed)
+ */
+export type EmojiQualification = 'fully-qualified' | 'minimally-qualified' | 'unqualified' | 'component';
+
+/**
+ * An emoji sequence found by {@link parseEmoji}
+ */
+export interface EmojiSequence {
+  /** The whole sequence */
+  text: string;
+  /** UTF-16 start index */
+  start: number;
+  /** UTF-16 end index (exclusive) */
+  end: number;
+  type: EmojiSequenceType;
+  /** First emoji without selectors, skin tone or tags; both indicators for a flag, e.g. `'1'` for a keycap */
+  base: string;
+  /** Skin-tone modifiers in order (two for mixed-tone couples) */
+  skinTones: string[];
+  /** From a ♀/♂ component in a ZWJ sequence */
+  gender: 'female' | 'male' | null;
+  /** From a hair component in a ZWJ sequence */
+  hair: 'red' | 'curly' | 'bald' | 'white' | null;
+  /** Region code for flags: `'KR'`, or a subdivision such as `'gbsct'` for tag flags */
+  region: string | null;
+  /** Whether the sequence is a fully-qualified RGI emoji */
+  rgi: boolean;
+  qualification: EmojiQualification | null;
+}
+
+/**
+ * Find emoji sequences with their components and RGI status (UTS #51, bundled emoji-test data).
+ *
+ * Single characters count only when they display as emoji by default or carry U+FE0F;
+ * text-style characters such as `'©'` or `'1'` are skipped.
+ *
+ * @param text - The text to scan
+ * @returns Sequences in text order
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * parseEmoji('Hi 👋🏽 🇰🇷').map((e) => [e.type, e.base, e.skinTones, e.region]);
+ * // [['modifier', '👋', ['🏽'], null], ['flag', '🇰🇷', [], 'KR']]
+ * parseEmoji('👩🏻‍🦰')[0]; // { type: 'zwj', base: '👩', skinTones: ['🏻'], hair: 'red', rgi: true, ... }
+ * parseEmoji('🏃‍♀')[0].qualification; // 'minimally-qualified'
+ * ```
+ */
+export function parseEmoji(text: string): EmojiSequence[];
+
+/**
+ * Get the Unicode Numeric_Value of a character (bundled DerivedNumericValues.txt data).
+ * Covers digits of every script, fractions, Roman numerals, circled numbers and CJK numeral ideographs
+ * (Unihan values, e.g. `'五'` → 5, `'萬'` → 10000).
+ *
+ * @param char - A non-empty string (only the first code point is used)
+ * @returns The value (fractions as decimals), or `null` when the character has no numeric value
+ * @throws {TypeError} When char is not a non-empty string
+ *
+ * @example
+ * ```typescript
+ * getNumericValue('٣'); // 3 (ARABIC-INDIC DIGIT THREE)
+ * getNumericValue('３'); // 3
+ * getNumericValue('½'); // 0.5
+ * getNumericValue('Ⅻ'); // 12
+ * getNumericValue('五'); // 5
+ * getNumericValue('a'); // null
+ * ```
+ */
+export function getNumericValue(char: string): number | null;
+
+/**
+ * Convert decimal digits of every script (General_Category Nd) to ASCII digits.
+ * Other numeric characters (`'①'`, `'²'`, `'Ⅻ'`, `'½'`) and separators are left as they are.
+ *
+ * @param text - The text to convert
+ * @returns The text with ASCII digits
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * normalizeDigits('١٢٣ / ３０００円'); // '123 / 3000円'
+ * ```
+ */
+export function normalizeDigits(text: string): string;
+
+/**
+ * Options for {@link extractNumbers}
+ */
+export interface ExtractNumbersOptions {
+  /**
+   * Decimal separator. Its fullwidth form and U+066B (Arabic decimal separator) are also accepted.
+   * @default '.'
+   */
+  decimal?: string;
+  /**
+   * Digit group separator, or `null` for none. Its fullwidth form and U+066C (Arabic thousands separator)
+   * are also accepted. A separator counts only before three digits, or two digits and another separator (`1,00,000`).
+   * @default ','
+   */
+  group?: string | null;
+}
+
+/**
+ * A number found by {@link extractNumbers}
+ */
+export interface ExtractedNumber {
+  /** Original text, including separators and a leading minus sign */
+  text: string;
+  /** The number in ASCII (`'-1234.5'`), without group separators */
+  normalized: string;
+  /** Numeric value */
+  value: number;
+  /** UTF-16 start index */
+  start: number;
+  /** UTF-16 end index (exclusive) */
+  end: number;
+}
+
+/**
+ * Find numbers written in any script, with their values and positions.
+ * Decimal digits join into one number only within the same digit set (a change of script starts a new number).
+ * Other numeric characters (`'½'`, `'Ⅻ'`, `'①'`) are one number each.
+ *
+ * @param text - The text to scan
+ * @param options - Separators
+ * @returns Numbers in text order
+ * @throws {TypeError} When text is not a string or a separator is not a single character
+ * @throws {RangeError} When the decimal and group separators are the same
+ *
+ * @example
+ * ```typescript
+ * extractNumbers('합계 ١٢٬٣٤٥٫٥ / ３，０００円').map((n) => n.value); // [12345.5, 3000]
+ * extractNumbers('1.234,56 €', { decimal: ',', group: '.' })[0].value; // 1234.56
+ * ```
+ */
+export function extractNumbers(text: string, options?: ExtractNumbersOptions): ExtractedNumber[];
+
+/**
+ * Unicode Bidi_Class (short names)
+ * - Strong: `L`, `R`, `AL`
+ * - Weak: `EN`, `ES`, `ET`, `AN`, `CS`, `NSM`, `BN`
+ * - Neutral: `B`, `S`, `WS`, `ON`
+ * - Explicit formatting: `LRE`, `LRO`, `RLE`, `RLO`, `PDF`, `LRI`, `RLI`, `FSI`, `PDI`
+ */
+export type BidiClass =
+  | 'L' | 'R' | 'AL'
+  | 'EN' | 'ES' | 'ET' | 'AN' | 'CS' | 'NSM' | 'BN'
+  | 'B' | 'S' | 'WS' | 'ON'
+  | 'LRE' | 'LRO' | 'RLE' | 'RLO' | 'PDF' | 'LRI' | 'RLI' | 'FSI' | 'PDI';
+
+/**
+ * Get the Bidi_Class of a character (bundled UnicodeData.txt data).
+ *
+ * @param char - A non-empty string (only the first code point is used)
+ * @returns The Bidi_Class short name
+ * @throws {TypeError} When char is not a non-empty string
+ *
+ * @example
+ * ```typescript
+ * getBidiClass('א'); // 'R'
+ * getBidiClass('ب'); // 'AL'
+ * getBidiClass('١'); // 'AN' (ARABIC-INDIC DIGIT ONE)
+ * getBidiClass('1'); // 'EN'
+ * ```
+ */
+export function getBidiClass(char: string): BidiClass;
+
+/**
+ * Result of {@link getDirection}
+ */
+export interface DirectionInfo {
+  /** `'mixed'` when both strong directions occur, `'neutral'` when neither does */
+  direction: 'ltr' | 'rtl' | 'mixed' | 'neutral';
+  /** Number of strong left-to-right characters (`L`) */
+  ltr: number;
+  /** Number of strong right-to-left characters (`R`, `AL`) */
+  rtl: number;
+}
+
+/**
+ * Get the overall direction of text from its strong characters.
+ * Digits (including Arabic-Indic digits), punctuation and whitespace do not count.
+ *
+ * @param text - The text to check
+ * @returns The direction with strong character counts
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * getDirection('שלום world'); // { direction: 'mixed', ltr: 5, rtl: 4 }
+ * getDirection('١٢٣ !');      // { direction: 'neutral', ltr: 0, rtl: 0 }
+ * ```
+ */
+export function getDirection(text: string): DirectionInfo;
+
+/**
+ * Get the direction of the first strong character, as HTML `dir="auto"` does.
+ * Characters inside isolates (LRI/RLI/FSI up to the matching PDI) are skipped.
+ *
+ * @param text - The text to check
+ * @returns `'ltr'` or `'rtl'`, or `null` when there is no strong character (HTML then uses `'ltr'`)
+ * @throws {TypeError} When text is not a string
+ *
+ * @example
+ * ```typescript
+ * firstStrongDirection('123 مرحبا hello'); // 'rtl'
+ * firstStrongDirection('\u2066hello\u2069 שלום'); // 'rtl' (the isolate is skipped)
+ * firstStrongDirection('123'); // null
+ * ```
+ */
+export function firstStrongDirection(text: string): 'ltr' | 'rtl' | null;
+
+/**
+ * Stable machine IDs of the built-in labels.
+ * An ID joins one ID per label segment with '.', so `'Whitespace:Space Separator'` is `'whitespace.space_separator'`.
+ * Custom labels get an ID made from their text (lower case, other characters as '_').
+ *
+ * @example
+ * ```typescript
+ * getCharacterType('가').id === CategoryId.HANGUL_SYLLABLE; // true
+ * ```
+ */
+export declare const CategoryId: {
+  readonly WHITESPACE: 'whitespace';
+  readonly WHITESPACE_SPACE_SEPARATOR: 'whitespace.space_separator';
+  readonly WHITESPACE_FIXED_WIDTH: 'whitespace.fixed_width';
+  readonly WHITESPACE_CONTROL_TAB: 'whitespace.control.tab';
+  readonly WHITESPACE_CONTROL_LINE_BREAK: 'whitespace.control.line_break';
+  readonly WHITESPACE_INVISIBLE_ZERO_WIDTH: 'whitespace.invisible.zero_width';
+  readonly CONTROL: 'control';
+  readonly FORMAT: 'format';
+  readonly FORMAT_ZWJ: 'format.zwj';
+  readonly FORMAT_ZWNJ: 'format.zwnj';
+  readonly FORMAT_BOM: 'format.bom';
+  readonly EMOJI: 'emoji';
+  readonly EMOJI_EXTENDED_PICTOGRAPHIC: 'emoji.extended_pictographic';
+  readonly EMOJI_COMPONENT: 'emoji.component';
+  readonly EMOJI_VARIATION_SELECTOR: 'emoji.variation_selector';
+  readonly EMOJI_FLAG: 'emoji.flag';
+  readonly EMOJI_KEYCAP: 'emoji.keycap';
+  readonly DIGIT: 'digit';
+  readonly DIGIT_ASCII: 'digit.ascii';
+  readonly DIGIT_DECIMAL: 'digit.decimal';
+  readonly DIGIT_COMMON: 'digit.common';
+  readonly DIGIT_OTHER_SCRIPT: 'digit.other_script';
+  readonly DIGIT_ARABIC: 'digit.arabic';
+  readonly DIGIT_BENGALI: 'digit.bengali';
+  readonly DIGIT_DEVANAGARI: 'digit.devanagari';
+  readonly DIGIT_GUJARATI: 'digit.gujarati';
+  readonly DIGIT_GURMUKHI: 'digit.gurmukhi';
+  readonly DIGIT_KANNADA: 'digit.kannada';
+  readonly DIGIT_KHMER: 'digit.khmer';
+  readonly DIGIT_LAO: 'digit.lao';
+  readonly DIGIT_MALAYALAM: 'digit.malayalam';
+  readonly DIGIT_MONGOLIAN: 'digit.mongolian';
+  readonly DIGIT_MYANMAR: 'digit.myanmar';
+  readonly DIGIT_ODIA: 'digit.odia';
+  readonly DIGIT_SINHALA: 'digit.sinhala';
+  readonly DIGIT_TAMIL: 'digit.tamil';
+  readonly DIGIT_TELUGU: 'digit.telugu';
+  readonly DIGIT_THAI: 'digit.thai';
+  readonly DIGIT_TIBETAN: 'digit.tibetan';
+  readonly NUMBER: 'number';
+  readonly MARK: 'mark';
+  readonly SEPARATOR: 'separator';
+  readonly OTHER: 'other';
+  readonly OTHER_ASCII: 'other.ascii';
+  readonly PUNCTUATION: 'punctuation';
+  readonly PUNCTUATION_ASCII: 'punctuation.ascii';
+  readonly PUNCTUATION_OPEN: 'punctuation.open';
+  readonly PUNCTUATION_CLOSE: 'punctuation.close';
+  readonly PUNCTUATION_DASH: 'punctuation.dash';
+  readonly PUNCTUATION_QUOTE: 'punctuation.quote';
+  readonly PUNCTUATION_CONNECTOR: 'punctuation.connector';
+  readonly PUNCTUATION_OTHER: 'punctuation.other';
+  readonly SYMBOL: 'symbol';
+  readonly SYMBOL_CURRENCY: 'symbol.currency';
+  readonly SYMBOL_MATH: 'symbol.math';
+  readonly SYMBOL_MODIFIER: 'symbol.modifier';
+  readonly SYMBOL_OTHER: 'symbol.other';
+  readonly LETTER: 'letter';
+  readonly LETTER_OTHER_SCRIPT: 'letter.other_script';
+  readonly LETTER_UPPERCASE: 'letter.uppercase';
+  readonly LETTER_LOWERCASE: 'letter.lowercase';
+  readonly LETTER_MODIFIER: 'letter.modifier';
+  readonly LETTER_OTHER: 'letter.other';
+  readonly HANGUL: 'hangul';
+  readonly HANGUL_SYLLABLE: 'hangul.syllable';
+  readonly HANGUL_COMPATIBILITY_JAMO: 'hangul.compatibility_jamo';
+  readonly HANGUL_JAMO: 'hangul.jamo';
+  readonly HANGUL_JAMO_CHOSEONG: 'hangul.jamo.choseong';
+  readonly HANGUL_JAMO_JUNGSEONG: 'hangul.jamo.jungseong';
+  readonly HANGUL_JAMO_JONGSEONG: 'hangul.jamo.jongseong';
+  readonly HANGUL_JAMO_EXT_A: 'hangul.jamo_ext_a';
+  readonly HANGUL_JAMO_EXT_A_CHOSEONG: 'hangul.jamo_ext_a.choseong';
+  readonly HANGUL_JAMO_EXT_B: 'hangul.jamo_ext_b';
+  readonly HANGUL_JAMO_EXT_B_JUNGSEONG: 'hangul.jamo_ext_b.jungseong';
+  readonly HANGUL_JAMO_EXT_B_JONGSEONG: 'hangul.jamo_ext_b.jongseong';
+  readonly HANGUL_LETTER: 'hangul.letter';
+  readonly HANGUL_OTHER: 'hangul.other';
+  readonly HAN: 'han';
+  readonly HAN_LETTER: 'han.letter';
+  readonly HAN_MODIFIER: 'han.modifier';
+  readonly HAN_OTHER: 'han.other';
+  readonly HIRAGANA: 'hiragana';
+  readonly HIRAGANA_LETTER: 'hiragana.letter';
+  readonly HIRAGANA_MODIFIER: 'hiragana.modifier';
+  readonly HIRAGANA_OTHER: 'hiragana.other';
+  readonly KATAKANA: 'katakana';
+  readonly KATAKANA_LETTER: 'katakana.letter';
+  readonly KATAKANA_MODIFIER: 'katakana.modifier';
+  readonly KATAKANA_OTHER: 'katakana.other';
+  readonly BOPOMOFO: 'bopomofo';
+  readonly BOPOMOFO_LETTER: 'bopomofo.letter';
+  readonly BOPOMOFO_OTHER: 'bopomofo.other';
+  readonly LATIN: 'latin';
+  readonly LATIN_LETTER: 'latin.letter';
+  readonly LATIN_UPPERCASE: 'latin.uppercase';
+  readonly LATIN_LOWERCASE: 'latin.lowercase';
+  readonly LATIN_TITLECASE: 'latin.titlecase';
+  readonly LATIN_MODIFIER: 'latin.modifier';
+  readonly LATIN_OTHER: 'latin.other';
+  readonly GREEK: 'greek';
+  readonly GREEK_LETTER: 'greek.letter';
+  readonly GREEK_UPPERCASE: 'greek.uppercase';
+  readonly GREEK_LOWERCASE: 'greek.lowercase';
+  readonly GREEK_TITLECASE: 'greek.titlecase';
+  readonly GREEK_MODIFIER: 'greek.modifier';
+  readonly CYRILLIC: 'cyrillic';
+  readonly CYRILLIC_LETTER: 'cyrillic.letter';
+  readonly CYRILLIC_UPPERCASE: 'cyrillic.uppercase';
+  readonly CYRILLIC_LOWERCASE: 'cyrillic.lowercase';
+  readonly CYRILLIC_MODIFIER: 'cyrillic.modifier';
+  readonly CYRILLIC_OTHER: 'cyrillic.other';
+  readonly ARMENIAN: 'armenian';
+  readonly ARMENIAN_LETTER: 'armenian.letter';
+  readonly ARMENIAN_UPPERCASE: 'armenian.uppercase';
+  readonly ARMENIAN_LOWERCASE: 'armenian.lowercase';
+  readonly ARMENIAN_MODIFIER: 'armenian.modifier';
+  readonly GEORGIAN: 'georgian';
+  readonly GEORGIAN_LETTER: 'georgian.letter';
+  readonly GEORGIAN_UPPERCASE: 'georgian.uppercase';
+  readonly GEORGIAN_LOWERCASE: 'georgian.lowercase';
+  readonly GEORGIAN_MODIFIER: 'georgian.modifier';
+  readonly CHEROKEE: 'cherokee';
+  readonly CHEROKEE_LETTER: 'cherokee.letter';
+  readonly CHEROKEE_UPPERCASE: 'cherokee.uppercase';
+  readonly CHEROKEE_LOWERCASE: 'cherokee.lowercase';
+  readonly HEBREW: 'hebrew';
+  readonly HEBREW_LETTER: 'hebrew.letter';
+  readonly HEBREW_OTHER: 'hebrew.other';
+  readonly ARABIC: 'arabic';
+  readonly ARABIC_LETTER: 'arabic.letter';
+  readonly ARABIC_MODIFIER: 'arabic.modifier';
+  readonly ARABIC_OTHER: 'arabic.other';
+  readonly DEVANAGARI: 'devanagari';
+  readonly DEVANAGARI_LETTER: 'devanagari.letter';
+  readonly DEVANAGARI_MODIFIER: 'devanagari.modifier';
+  readonly DEVANAGARI_OTHER: 'devanagari.other';
+  readonly BENGALI: 'bengali';
+  readonly BENGALI_LETTER: 'bengali.letter';
+  readonly BENGALI_OTHER: 'bengali.other';
+  readonly GURMUKHI: 'gurmukhi';
+  readonly GURMUKHI_LETTER: 'gurmukhi.letter';
+  readonly GURMUKHI_OTHER: 'gurmukhi.other';
+  readonly GUJARATI: 'gujarati';
+  readonly GUJARATI_LETTER: 'gujarati.letter';
+  readonly GUJARATI_OTHER: 'gujarati.other';
+  readonly ODIA: 'odia';
+  readonly ODIA_LETTER: 'odia.letter';
+  readonly ODIA_OTHER: 'odia.other';
+  readonly TAMIL: 'tamil';
+  readonly TAMIL_LETTER: 'tamil.letter';
+  readonly TAMIL_OTHER: 'tamil.other';
+  readonly TELUGU: 'telugu';
+  readonly TELUGU_LETTER: 'telugu.letter';
+  readonly TELUGU_OTHER: 'telugu.other';
+  readonly KANNADA: 'kannada';
+  readonly KANNADA_LETTER: 'kannada.letter';
+  readonly KANNADA_OTHER: 'kannada.other';
+  readonly MALAYALAM: 'malayalam';
+  readonly MALAYALAM_LETTER: 'malayalam.letter';
+  readonly MALAYALAM_OTHER: 'malayalam.other';
+  readonly SINHALA: 'sinhala';
+  readonly SINHALA_LETTER: 'sinhala.letter';
+  readonly SINHALA_OTHER: 'sinhala.other';
+  readonly THAI: 'thai';
+  readonly THAI_LETTER: 'thai.letter';
+  readonly THAI_MODIFIER: 'thai.modifier';
+  readonly THAI_OTHER: 'thai.other';
+  readonly LAO: 'lao';
+  readonly LAO_LETTER: 'lao.letter';
+  readonly LAO_MODIFIER: 'lao.modifier';
+  readonly LAO_OTHER: 'lao.other';
+  readonly KHMER: 'khmer';
+  readonly KHMER_LETTER: 'khmer.letter';
+  readonly KHMER_MODIFIER: 'khmer.modifier';
+  readonly KHMER_OTHER: 'khmer.other';
+  readonly MYANMAR: 'myanmar';
+  readonly MYANMAR_LETTER: 'myanmar.letter';
+  readonly MYANMAR_MODIFIER: 'myanmar.modifier';
+  readonly MYANMAR_OTHER: 'myanmar.other';
+  readonly TIBETAN: 'tibetan';
+  readonly TIBETAN_LETTER: 'tibetan.letter';
+  readonly TIBETAN_OTHER: 'tibetan.other';
+  readonly MONGOLIAN: 'mongolian';
+  readonly MONGOLIAN_LETTER: 'mongolian.letter';
+  readonly MONGOLIAN_MODIFIER: 'mongolian.modifier';
+  readonly MONGOLIAN_OTHER: 'mongolian.other';
+  readonly ETHIOPIC: 'ethiopic';
+  readonly ETHIOPIC_LETTER: 'ethiopic.letter';
+  readonly ETHIOPIC_OTHER: 'ethiopic.other';
+  readonly CANADIAN_ABORIGINAL: 'canadian_aboriginal';
+  readonly CANADIAN_ABORIGINAL_LETTER: 'canadian_aboriginal.letter';
+  readonly CANADIAN_ABORIGINAL_OTHER: 'canadian_aboriginal.other';
+  readonly RUNIC: 'runic';
+  readonly RUNIC_LETTER: 'runic.letter';
+  readonly RUNIC_OTHER: 'runic.other';
+  readonly OGHAM: 'ogham';
+  readonly OGHAM_LETTER: 'ogham.letter';
+  readonly OGHAM_OTHER: 'ogham.other';
+  readonly YI: 'yi';
+  readonly YI_LETTER: 'yi.letter';
+  readonly YI_MODIFIER: 'yi.modifier';
+  readonly YI_OTHER: 'yi.other';
+};
+
+/**
+ * A built-in category ID
+ */
+export type CategoryId = (typeof CategoryId)[keyof typeof CategoryId];
+
+/**
+ * Get the display label of a category ID in a language.
+ * Segments without a translation use the English label.
+ *
+ * @param id - Category ID (e.g., 'whitespace.space_separator')
+ * @param locale - 'en', 'ko', 'ja' or one added with {@link registerLabels} ('ko-KR' falls back to 'ko')
+ * @returns The label ('main' or 'main:sub')
+ * @throws {TypeError} When id or locale is not a non-empty string
+ * @throws {RangeError} When the locale or a segment of the id is unknown
+ *
+ * @example
+ * ```typescript
+ * getLabel('whitespace.space_separator');       // 'Whitespace:Space Separator'
+ * getLabel('whitespace.space_separator', 'ko'); // '공백:일반 공백'
+ * getLabel(CategoryId.HAN, 'ja');                // '漢字'
+ * ```
+ */
+export function getLabel(id: CategoryId | (string & {}), locale?: string): string;
+
+/**
+ * Add a label set for a language, or override labels of an existing one.
+ * Keys are segment IDs ('control') or full IDs ('symbol.modifier'); a full ID wins.
+ *
+ * @param locale - Language tag (e.g., 'fr', 'zh-TW')
+ * @param labels - ID → label (labels cannot contain ':')
+ * @throws {TypeError} When locale or a label is invalid
+ *
+ * @example
+ * ```typescript
+ * registerLabels('fr', { whitespace: 'Espace', control: 'Contrôle', tab: 'Tabulation' });
+ * getLabel('whitespace.control.tab', 'fr'); // 'Espace:Contrôle:Tabulation'
+ * analyzeText('a b', { locale: 'fr' }).breakdown; // { Latin: {...}, Espace: {...} }
+ * ```
+ */
+export function registerLabels(locale: string, labels: Record<string, string>): void;
+
+/**
+ * Code points a font has glyphs for, read from its `cmap` table
+ */
+export interface FontCoverage {
+  /** Whether the font has a glyph for a code point (or the first code point of a string) */
+  has(char: string | number): boolean;
+  /** Covered code point ranges as inclusive `[start, end]` pairs, in ascending order */
+  readonly ranges: ReadonlyArray<readonly [number, number]>;
+  /** Number of covered code points */
+  readonly size: number;
+}
+
+/**
+ * Options for {@link loadFontCoverage}
+ */
+export interface LoadFontCoverageOptions {
+  /**
+   * Font to read from a collection (.ttc, .otc)
+   * @default 0
+   */
+  fontIndex?: number;
+}
+
+/**
+ * Read which code points a font has glyphs for.
+ * Supports TrueType and OpenType fonts (.ttf, .otf), collections (.ttc, .otc) and WOFF, in pure JS.
+ * All Unicode `cmap` subtables (formats 0, 4, 6, 10, 12 and 13) are merged.
+ *
+ * @param buffer - The font file contents
+ * @param options - Which font of a collection to read
+ * @returns The font's coverage
+ * @throws {TypeError} When buffer is not an ArrayBuffer or a typed array
+ * @throws {RangeError} When the data is not a supported font, is WOFF2, or is truncated
+ *
+ * @example
+ * ```typescript
+ * const coverage = loadFontCoverage(await (await fetch('/fonts/Inter.woff')).arrayBuffer());
+ * coverage.has('A');  // true
+ * coverage.has('가'); // false
+ * ```
+ */
+export function loadFontCoverage(buffer: ArrayBuffer | ArrayBufferView, options?: LoadFontCoverageOptions): FontCoverage;
+
+/**
+ * Options for {@link checkCoverage}
+ */
+export interface CoverageOptions {
+  /**
+   * Label level of the `breakdown` keys
+   * @default 'main'
+   */
+  granularity?: 'main' | 'sub';
+  /**
+   * Unit that is checked; with 'grapheme' a cluster is missing when any of its code points is
+   * @default 'codepoint'
+   */
+  unit?: 'codepoint' | 'grapheme';
+  /**
+   * Language of the `breakdown` keys (see {@link getLabel})
+   * @default 'en'
+   */
+  locale?: string;
+  /**
+   * Unicode property source (global `checkCoverage` only)
+   * @default 'auto'
+   */
+  data?: DataSource;
+  /**
+   * Sub-category scheme (global `checkCoverage` only)
+   * @default 'v1'
+   */
+  taxonomy?: Taxonomy;
+}
+
+/**
+ * Characters of one label that no font covers
+ */
+export interface MissingGlyphStats {
+  /** Stable machine ID of the label (see {@link CategoryId}) */
+  id: string;
+  /** Number of missing characters (or clusters) */
+  count: number;
+  /** Unique missing characters, sorted */
+  chars: string[];
+  /** UTF-16 start offsets of every missing character, in text order */
+  positions: number[];
+}
+
+/**
+ * Result of {@link checkCoverage}
+ */
+export interface CoverageReport {
+  /** Whether every checked character has a glyph */
+  covered: boolean;
+  /** Number of characters (or clusters) checked */
+  total: number;
+  /** Number of characters (or clusters) without a glyph */
+  missing: number;
+  /** Missing characters grouped by label, as in {@link TextAnalysis.breakdown} */
+  breakdown: Record<string, MissingGlyphStats>;
+}
+
+/**
+ * Find the characters of a text that a font has no glyph for ("tofu"), grouped by label.
+ * With an array of coverages (a fallback chain), only characters that no font covers are reported.
+ * Control characters, line/paragraph separators and default-ignorable code points (ZWJ, variation selectors)
+ * need no glyph and are not checked. Only `cmap` is read, so a sequence drawn by a ligature counts as covered
+ * when the font has each of its code points.
+ *
+ * @param text - The text to check
+ * @param coverage - A font coverage from {@link loadFontCoverage}, or several in fallback order
+ * @param options - Label granularity, unit and locale
+ * @returns Missing characters by label
+ * @throws {TypeError} When text is not a string or coverage is invalid
+ * @throws {RangeError} When an option value is invalid
+ *
+ * @example
+ * ```typescript
+ * const latin = loadFontCoverage(readFileSync('Inter.ttf'));
+ * const report = checkCoverage('Hello 안녕 😀', latin);
+ * report.missing;                 // 3
+ * report.breakdown.Hangul;        // { id: 'hangul', count: 2, chars: ['녕', '안'], positions: [6, 7] }
+ * checkCoverage('안녕', [latin, loadFontCoverage(readFileSync('NotoSansKR.otf'))]).covered; // true
+ * ```
+ */
+export function checkCoverage(text: string, coverage: FontCoverage | FontCoverage[], options?: CoverageOptions): CoverageReport;
+
+/**
+ * Unicode normalization form
+ */
+export type NormalizationForm = 'NFC' | 'NFD' | 'NFKC' | 'NFKD';
+
+/**
+ * Options for {@link analyzeNormalization}
+ */
+export interface NormalizationOptions extends CharacterTypeOptions {
+  /**
+   * Label used for `category`: `'main'` or `'main:sub'`
+   * @default 'main'
+   */
+  granularity?: 'main' | 'sub';
+}
+
+/**
+ * A span that changes under a normalization form
+ */
+export interface NormalizationChange {
+  /** UTF-16 start index */
+  start: number;
+  /** UTF-16 end index (exclusive) */
+  end: number;
+  /** Original text of the span (a base character plus any marks that compose or reorder with it) */
+  text: string;
+  /** Normalized text of the span */
+  replacement: string;
+  /** GlyphScope label of the span's first character */
+  category: string;
+}
+
+/**
+ * Result for one normalization form
+ */
+export interface NormalizationFormReport {
+  /** Whether the text is already in this form */
+  isNormalized: boolean;
+  /** The text in this form */
+  normalized: string;
+  /** Changed spans in text order */
+  changes: NormalizationChange[];
+  /** The same changes grouped by label */
+  byCategory: Record<string, NormalizationChange[]>;
+}
+
+/**
+ * Result of {@link analyzeNormalization}
+ */
+export type NormalizationReport = Record<NormalizationForm, NormalizationFormReport>;
+
+/**
+ * Report whether a text is in NFC, NFD, NFKC and NFKD, and which characters each form changes.
+ *
+ * With `data: 'bundled'`, or when `String.prototype.normalize` is missing, normalization runs on the
+ * bundled decomposition data, so the result does not depend on the runtime.
+ *
+ * @param text - The text to inspect
+ * @param options - Label granularity and Unicode property source
+ * @returns One report per normalization form
+ * @throws {TypeError} When text is not a string
+ * @throws {RangeError} When an option value is invalid
+ *
+ * @example
+ * ```typescript
+ * const report = analyzeNormalization('ﬁle ①');
+ * report.NFC.isNormalized; // true
+ * report.NFKC.changes;
+ * // [{ start: 0, end: 1, text: 'ﬁ', replacement: 'fi', category: 'Latin' },
+ * //  { start: 4, end: 5, text: '①', replacement: '1', category: 'Number' }]
+ * Object.keys(report.NFKC.byCategory); // ['Latin', 'Number']
  * ```
  */
-export function analyzeText(text: string, options?: AnalyzeOptions): TextAnalysis;
\ No newline at end of file
+export function analyzeNormalization(text: string, options?: NormalizationOptions): NormalizationReport;
\ No newline at end of file
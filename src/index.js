@@ -12,35 +12,43 @@
 // 주의:
 // - analyzeText는 기본적으로 "코드포인트 단위"로 순회합니다(for..of).
 //   따라서 ZWJ로 결합된 이모지 시퀀스(예: 가족 이모지)는 여러 코드포인트로 분리되어 집계됩니다.
-//   (이를 “그래프림 클러스터” 단위로 집계하려면 Intl.Segmenter 기반 확장이 필요합니다.)
+//   사용자가 인식하는 글자 수가 필요하면 { unit: 'grapheme' }을 지정하세요
+//   (Intl.Segmenter 사용, 미지원 런타임에서는 내장 UAX #29 분할기 사용 — grapheme.js).
 
 'use strict';
 
-/* ------------------------------------------------------------------------------------------------
- * 0. 정규식 유니코드 속성(\p{...}) 지원 여부 감지
- *    - 최신 Node.js/브라우저는 대부분 지원합니다.
- *    - 미지원 환경에서는 일부 분류 정밀도가 떨어질 수 있으나, 최소한의 동작은 유지합니다.
- * ------------------------------------------------------------------------------------------------ */
-
-/**
- * 정규식 패턴을 안전하게 컴파일합니다.
- * @param {string} source - RegExp 소스(문자열). 예: '^\\p{gc=Nd}$'
- * @returns {RegExp|null} - 컴파일 성공 시 RegExp, 실패 시 null
- */
-function _makeUnicodeRegExp(source) {
-    try {
-        return new RegExp(source, 'u');
-    } catch {
-        return null;
-    }
-}
-
-/** 유니코드 속성 이스케이프(\p{...}) 기본 지원 여부 */
-const _SUPPORTS_PROP_ESCAPES = (() => {
-    // 가장 단순한 속성으로 시험합니다.
-    // (지원하지 않는 엔진에서는 SyntaxError가 발생합니다.)
-    return _makeUnicodeRegExp('^\\p{L}$') !== null;
-})();
+import { _makeUnicodeRegExp, _SUPPORTS_PROP_ESCAPES, _inRanges, _inSingles } from './util.js';
+import { _analyzeWith, _createAnalyzerWith, _createTransformStream } from './analyzer.js';
+import { _tokenizeWith } from './tokenize.js';
+import { _segmentByScript } from './script-runs.js';
+import { _getRestrictionLevel, _skeleton, _areConfusable } from './security.js';
+import { _findSuspiciousCharacters } from './suspicious.js';
+import { _transformWith } from './transform.js';
+import { _createPolicyWith } from './policy.js';
+import { _guessLanguageWith } from './language.js';
+import { _parseEmoji } from './emoji.js';
+import { _getNumericValue, _normalizeDigits, _extractNumbers } from './numeric.js';
+import { _getBidiClass, _getDirection, _firstStrongDirection } from './bidi.js';
+import { _loadFontCoverage, _checkCoverageWith } from './font.js';
+import { _getCharacterInfo, _loadCharacterNames } from './info.js';
+import { _analyzeNormalizationWith } from './normalize.js';
+import { _createCategoryTable } from './category-table.js';
+import { CategoryId, _getLabel, _registerLabels } from './labels.js';
+import { _getEastAsianWidth, _measureWidth, _truncateToWidth, _padToWidth } from './width.js';
+import {
+    _jamoRole, _decomposeHangul, _composeHangul, _extractChoseong, _matchesChoseong, _analyzeHangul,
+} from './hangul.js';
+import {
+    UNICODE_VERSION,
+    _generalCategoryOf,
+    _scriptOf,
+    _scriptLongName,
+    _isExtendedPictographic,
+    _isEmoji,
+    _isEmojiComponent,
+    _runIndex,
+    _bundledCategoryRuns,
+} from './tables.js';
 
 /* ------------------------------------------------------------------------------------------------
  * 1. White Space 세부 분류(요청사항 핵심)
@@ -108,33 +116,6 @@ const _WS_ZERO_WIDTH_SINGLES = Object.freeze([
     0x200B, // ZERO WIDTH SPACE (ZWSP)
 ]);
 
-/**
- * 코드 포인트가 특정 범위 리스트에 포함되는지 검사합니다.
- * @param {number} cp
- * @param {Array<[number, number]>} ranges
- * @returns {boolean}
- */
-function _inRanges(cp, ranges) {
-    for (const [a, b] of ranges) {
-        if (cp >= a && cp <= b) return true;
-    }
-    return false;
-}
-
-/**
- * 코드 포인트가 특정 단일 값 리스트에 포함되는지 검사합니다.
- * @param {number} cp
- * @param {ReadonlyArray<number>} singles
- * @returns {boolean}
- */
-function _inSingles(cp, singles) {
-    // 리스트가 짧으므로 선형 탐색으로도 충분합니다.
-    for (const v of singles) {
-        if (cp === v) return true;
-    }
-    return false;
-}
-
 /**
  * 화이트스페이스(및 유사 공백) 세부 분류를 수행합니다.
  * @param {number} cp
@@ -191,9 +172,10 @@ const _VS_SUPP_RANGE = Object.freeze([0xE0100, 0xE01EF]);  // Variation Selector
  * 이모지/관련 구성요소를 분류합니다.
  * @param {string} ch - 단일 코드포인트 문자열(for..of 기준)
  * @param {number} cp
+ * @param {object} source - 속성 조회 방식(_SOURCES 참고)
  * @returns {{ main: 'Emoji', sub?: string } | null}
  */
-function _classifyEmoji(ch, cp) {
+function _classifyEmoji(ch, cp, source) {
     // 1) 변이 선택자는 “이모지 표시/텍스트 표시”에 큰 영향을 주므로 별도 표기
     if ((cp >= _VS_BASIC_RANGE[0] && cp <= _VS_BASIC_RANGE[1]) ||
         (cp >= _VS_SUPP_RANGE[0] && cp <= _VS_SUPP_RANGE[1])) {
@@ -201,14 +183,14 @@ function _classifyEmoji(ch, cp) {
     }
 
     // 2) Extended_Pictographic 우선(지원되는 런타임이면 가장 포괄적)
-    if (_RE_EXT_PICTO && _RE_EXT_PICTO.test(ch)) {
+    if (source.isExtPict(ch, cp)) {
         return { main: 'Emoji', sub: 'Extended Pictographic' };
     }
 
     // 3) Emoji / Emoji_Component 속성(지원 시 보조 활용)
-    if (_RE_EMOJI && _RE_EMOJI.test(ch)) {
+    if (source.isEmoji(ch, cp)) {
         // Emoji 전체를 포괄하되, 가능하면 구성요소도 구분합니다.
-        if (_RE_EMOJI_COMPONENT && _RE_EMOJI_COMPONENT.test(ch)) {
+        if (source.isEmojiComponent(ch, cp)) {
             return { main: 'Emoji', sub: 'Emoji Component' };
         }
         return { main: 'Emoji' };
@@ -223,14 +205,25 @@ function _classifyEmoji(ch, cp) {
 
 /**
  * 한글 코드포인트를 기존 세부 분류로 복원합니다.
+ * - 첫가끝 자모의 sub는 블록 이름입니다('Jamo', 'Jamo Ext‑A', 'Jamo Ext‑B').
+ *   taxonomy가 'v2'이면 블록 이름 뒤에 역할(초성/중성/종성)을 붙입니다(예: 'Jamo:Choseong', 'Jamo Ext‑B:Jongseong').
+ *   미할당 위치는 블록 이름만 반환합니다.
  * @param {number} cp
+ * @param {'v1' | 'v2'} taxonomy
  * @returns {{ main: 'Hangul', sub: string } | null}
  */
-function _classifyHangul(cp) {
+function _classifyHangul(cp, taxonomy) {
     if (cp >= 0xAC00 && cp <= 0xD7A3) return { main: 'Hangul', sub: 'Syllable' };
-    if (cp >= 0x1100 && cp <= 0x11FF) return { main: 'Hangul', sub: 'Jamo' };
-    if (cp >= 0xA960 && cp <= 0xA97F) return { main: 'Hangul', sub: 'Jamo Ext‑A' };
-    if (cp >= 0xD7B0 && cp <= 0xD7FF) return { main: 'Hangul', sub: 'Jamo Ext‑B' };
+
+    let block = null;
+    if (cp >= 0x1100 && cp <= 0x11FF) block = 'Jamo';
+    else if (cp >= 0xA960 && cp <= 0xA97F) block = 'Jamo Ext‑A';
+    else if (cp >= 0xD7B0 && cp <= 0xD7FF) block = 'Jamo Ext‑B';
+    if (block) {
+        const role = taxonomy === 'v2' ? _jamoRole(cp) : null;
+        return { main: 'Hangul', sub: role ? `${block}:${role}` : block };
+    }
+
     if (cp >= 0x3130 && cp <= 0x318F) return { main: 'Hangul', sub: 'Compatibility Jamo' };
     return null;
 }
@@ -242,6 +235,7 @@ function _classifyHangul(cp) {
  * - UAX #44: UCD 및 White_Space 등의 속성 정의 근거 :contentReference[oaicite:6]{index=6}
  *
  * 가능한 경우 \p{gc=...}, \p{Script=...}를 사용하여 수동 범위 테이블의 한계를 보완합니다.
+ * data: 'bundled'이면 정규식 대신 내장 UCD 테이블(tables.js)로 같은 질문에 답합니다.
  * ------------------------------------------------------------------------------------------------ */
 
 /** General Category(일반 범주) */
@@ -255,6 +249,14 @@ const _RE_GC_SEP = _SUPPORTS_PROP_ESCAPES ? _makeUnicodeRegExp('^\\p{gc=Z}$') :
 const _RE_GC_CTRL = _SUPPORTS_PROP_ESCAPES ? _makeUnicodeRegExp('^\\p{gc=Cc}$') : null;    // Control
 const _RE_GC_FORMAT = _SUPPORTS_PROP_ESCAPES ? _makeUnicodeRegExp('^\\p{gc=Cf}$') : null;  // Format
 
+/** 두 글자 General Category(taxonomy: 'v2'의 글자/구두점/기호 세부 분류용) */
+const _RE_GC_SUBCATEGORIES = Object.freeze([
+    'Lu', 'Ll', 'Lt', 'Lm', 'Lo', 'Ps', 'Pe', 'Pd', 'Pi', 'Pf', 'Pc', 'Po', 'Sc', 'Sm', 'Sk', 'So',
+].reduce((out, gc) => {
+    out[gc] = _SUPPORTS_PROP_ESCAPES ? _makeUnicodeRegExp(`^\\p{gc=${gc}}$`) : null;
+    return out;
+}, {}));
+
 /**
  * 스크립트 감지 목록
  * - 자주 쓰는 스크립트를 넓게 커버합니다.
@@ -269,19 +271,19 @@ function _compileScriptRegex(aliases) {
     return null;
 }
 
-/** {label, re} 형태의 스크립트 판별기 목록 */
+/** {label, re, names} 형태의 스크립트 판별기 목록 */
 const _SCRIPT_DETECTORS = (() => {
-    /** @type {Array<{ label: string, re: RegExp }>} */
+    /** @type {Array<{ label: string, re: RegExp|null, names: string[] }>} */
     const out = [];
 
     /**
-     * 항목을 추가합니다(컴파일 실패 시 자동 제외).
+     * 항목을 추가합니다(정규식 컴파일 실패 시 re는 null — 내장 테이블 조회에는 names 사용).
      * @param {string} label - GlyphScope에서 반환할 메인 라벨
      * @param {string[]} aliases - \p{Script=...}에 넣어볼 후보 이름(별칭)
      */
     function add(label, aliases) {
-        const re = _compileScriptRegex(aliases);
-        if (re) out.push({ label, re });
+        const re = _SUPPORTS_PROP_ESCAPES ? _compileScriptRegex(aliases) : null;
+        out.push({ label, re, names: aliases.map(_scriptLongName) });
     }
 
     // 기존 코드에서 다루던 핵심 스크립트 + 범위 확대(자주 사용/대표성 기준)
@@ -331,18 +333,98 @@ const _SCRIPT_DETECTORS = (() => {
     return out;
 })();
 
+/** Common 스크립트 판별기(taxonomy: 'v2'에서 ASCII·전각·수학용 숫자의 세부 라벨) */
+const _COMMON_SCRIPT = Object.freeze({
+    label: 'Common',
+    re: _SUPPORTS_PROP_ESCAPES ? _compileScriptRegex(['Common']) : null,
+    names: ['Common'],
+});
+
 /**
  * 문자(코드포인트 1개)가 어느 스크립트에 속하는지 판별합니다.
+ * - 판별기는 스크립트(re/names) 또는 코드포인트 범위(ranges)를 가집니다(createClassifier의 scripts 옵션).
  * @param {string} ch
+ * @param {number} cp
+ * @param {ReadonlyArray<{ label: string, re: RegExp|null, names: string[], ranges?: ReadonlyArray<readonly [number, number]> }>} detectors
+ * @param {object} source - 속성 조회 방식(_SOURCES 참고)
  * @returns {string|null} - 스크립트 라벨 또는 null
  */
-function _detectScriptLabel(ch) {
-    for (const { label, re } of _SCRIPT_DETECTORS) {
-        if (re.test(ch)) return label;
+function _detectScriptLabel(ch, cp, detectors, source) {
+    for (const d of detectors) {
+        if (source.isScript(ch, cp, d) || (d.ranges && _inRanges(cp, d.ranges))) return d.label;
     }
     return null;
 }
 
+/* ------------------------------------------------------------------------------------------------
+ * 4-1. 속성 조회 방식(data 옵션)
+ *
+ * - native: \p{...} 정규식. 런타임 엔진의 유니코드 버전을 따르므로 Node/브라우저 버전에 따라
+ *           새 이모지·한자 확장 등의 결과가 달라질 수 있고, 미지원 환경에서는 해당 단계가 비활성화됩니다.
+ * - bundled: 내장 UCD 테이블(src/data/unicode-data.js). 모든 런타임에서 같은 결과를 냅니다.
+ * - auto(기본): \p{...}를 지원하면 native, 아니면 bundled
+ * ------------------------------------------------------------------------------------------------ */
+
+/** General Category 그룹 → 정규식(native) */
+const _NATIVE_GC = Object.freeze({
+    L: _RE_GC_LETTER,
+    M: _RE_GC_MARK,
+    Nd: _RE_GC_DECIMAL,
+    N: _RE_GC_NUMBER,
+    P: _RE_GC_PUNCT,
+    S: _RE_GC_SYMBOL,
+    Z: _RE_GC_SEP,
+    Cc: _RE_GC_CTRL,
+    Cf: _RE_GC_FORMAT,
+    ..._RE_GC_SUBCATEGORIES,
+});
+
+/**
+ * 런타임(정규식 엔진)의 유니코드 버전 — Node.js만 알려주며, 그 외에는 null
+ * - Node.js는 '16.0'처럼 알려주므로 내장 테이블(UNICODE_VERSION)과 같은 'X.Y.Z' 형식으로 맞춥니다.
+ */
+const _RUNTIME_UNICODE_VERSION = (() => {
+    const v = typeof process !== 'undefined' && process.versions && process.versions.unicode;
+    if (!v) return null;
+    return String(v).split('.').concat(['0', '0']).slice(0, 3).join('.');
+})();
+
+/** data 모드 → 속성 조회 함수 묶음 */
+const _SOURCES = Object.freeze({
+    native: Object.freeze({
+        data: 'native',
+        unicodeVersion: _RUNTIME_UNICODE_VERSION,
+        isGc: (ch, cp, group) => !!_NATIVE_GC[group] && _NATIVE_GC[group].test(ch),
+        isScript: (ch, cp, detector) => !!detector.re && detector.re.test(ch),
+        isExtPict: (ch) => !!_RE_EXT_PICTO && _RE_EXT_PICTO.test(ch),
+        isEmoji: (ch) => !!_RE_EMOJI && _RE_EMOJI.test(ch),
+        isEmojiComponent: (ch) => !!_RE_EMOJI_COMPONENT && _RE_EMOJI_COMPONENT.test(ch),
+    }),
+    bundled: Object.freeze({
+        data: 'bundled',
+        unicodeVersion: UNICODE_VERSION,
+        isGc: (ch, cp, group) => {
+            const gc = _generalCategoryOf(cp);
+            return gc === group || (group.length === 1 && gc[0] === group);
+        },
+        isScript: (ch, cp, detector) => detector.names.indexOf(_scriptOf(cp)) !== -1,
+        isExtPict: (ch, cp) => _isExtendedPictographic(cp),
+        isEmoji: (ch, cp) => _isEmoji(cp),
+        isEmojiComponent: (ch, cp) => _isEmojiComponent(cp),
+    }),
+});
+
+/**
+ * data 옵션을 속성 조회 방식으로 변환합니다.
+ * @param {'auto' | 'native' | 'bundled'} data
+ * @returns {object}
+ */
+function _resolveSource(data) {
+    if (data === 'auto') return _SUPPORTS_PROP_ESCAPES ? _SOURCES.native : _SOURCES.bundled;
+    if (data === 'native' || data === 'bundled') return _SOURCES[data];
+    throw new RangeError("data must be 'auto', 'native' or 'bundled'");
+}
+
 /* ------------------------------------------------------------------------------------------------
  * 5. ASCII 고속 경로(성능)
  * ------------------------------------------------------------------------------------------------ */
@@ -376,102 +458,73 @@ function _classifyAscii(cp) {
     return { main: 'Other', sub: 'ASCII' };
 }
 
-/* ------------------------------------------------------------------------------------------------
- * 6. 메모이제이션(캐시)
- * ------------------------------------------------------------------------------------------------ */
+/**
+ * ASCII 구두점/기호 중 General Category가 Po가 아닌 문자 → taxonomy: 'v2' 라벨
+ * - 나머지(! " # % & ' * , . / : ; ? @ \)는 모두 Po(Punctuation:Other)입니다.
+ */
+const _ASCII_V2_LABELS = Object.freeze({
+    '(': 'Punctuation:Open', '[': 'Punctuation:Open', '{': 'Punctuation:Open',
+    ')': 'Punctuation:Close', ']': 'Punctuation:Close', '}': 'Punctuation:Close',
+    '-': 'Punctuation:Dash', '_': 'Punctuation:Connector',
+    '$': 'Symbol:Currency', '^': 'Symbol:Modifier', '`': 'Symbol:Modifier',
+    '+': 'Symbol:Math', '<': 'Symbol:Math', '=': 'Symbol:Math', '>': 'Symbol:Math', '|': 'Symbol:Math', '~': 'Symbol:Math',
+});
 
-/** 코드포인트별 분류 결과 캐시 */
-const _memo = new Map();
+/**
+ * ASCII를 taxonomy: 'v2' 기준으로 분류합니다.
+ * - 숫자는 스크립트(Common), 구두점/기호는 General Category에 따라 나눕니다. 글자·제어 문자는 v1과 같습니다.
+ * @param {string} ch
+ * @param {number} cp
+ * @returns {{ main: string, sub?: string }}
+ */
+function _classifyAsciiV2(ch, cp) {
+    const type = _classifyAscii(cp);
+    if (type.main === 'Digit') return { main: 'Digit', sub: 'Common' };
+    if (type.main !== 'Punctuation') return type;
+
+    const label = Object.prototype.hasOwnProperty.call(_ASCII_V2_LABELS, ch) ? _ASCII_V2_LABELS[ch] : 'Punctuation:Other';
+    const colon = label.indexOf(':');
+    return { main: label.slice(0, colon), sub: label.slice(colon + 1) };
+}
 
 /* ------------------------------------------------------------------------------------------------
- * 7. 핵심 분류 루틴
+ * 6. 분류 단계(stage)
+ *
+ * 각 단계는 (ch, cp, ctx) → 분류 결과 또는 null(다음 단계로 넘김)을 반환합니다.
+ * ctx.source는 속성 조회 방식(native 정규식 또는 bundled 테이블)입니다.
+ * createClassifier({ order })로 단계의 순서(우선순위)를 바꾸거나 일부를 뺄 수 있습니다.
  * ------------------------------------------------------------------------------------------------ */
 
 /**
- * 단일 코드포인트(문자) 분류.
- * @param {string} ch - 단일 코드포인트 문자열(for..of 기준)
- * @param {number} cp - ch의 code point
- * @returns {{ main: string, sub?: string }}
+ * 서식 문자(Cf) — ZWJ 등은 텍스트 처리에서 중요하므로 하위 라벨을 부여
+ * @param {string} ch
+ * @param {number} cp
+ * @param {object} source - 속성 조회 방식(_SOURCES 참고)
+ * @returns {{ main: 'Format', sub?: string } | null}
  */
-function _classifyCodePoint(ch, cp) {
-    // 1) 화이트스페이스(요청사항: 하위 분류 포함)
-    const ws = _classifyWhitespace(cp);
-    if (ws) return ws;
-
-    // 2) ASCII 고속 경로
-    if (cp <= 0x7F) return _classifyAscii(cp);
-
-    // 3) 이모지/픽토그래프(가능하면 Extended_Pictographic 활용)
-    const em = _classifyEmoji(ch, cp);
-    if (em) return em;
-
-    // 4) 한글 세부 분류(기존 호환성 유지)
-    const hangul = _classifyHangul(cp);
-    if (hangul) return hangul;
-
-    // 5) 유니코드 속성 기반 분류(\p{...}) — 지원되는 런타임에서 폭넓은 범위 커버
-    if (_SUPPORTS_PROP_ESCAPES) {
-        // 5-1) Control(제어 문자)
-        if (_RE_GC_CTRL && _RE_GC_CTRL.test(ch)) {
-            return { main: 'Control' };
-        }
-
-        // 5-2) Format(서식 문자) — ZWJ 등은 텍스트 처리에서 중요하므로 하위 라벨을 부여
-        if (_RE_GC_FORMAT && _RE_GC_FORMAT.test(ch)) {
-            // ZWJ/ZWNJ 등 대표 케이스
-            if (cp === 0x200D) return { main: 'Format', sub: 'ZWJ' };  // ZERO WIDTH JOINER
-            if (cp === 0x200C) return { main: 'Format', sub: 'ZWNJ' }; // ZERO WIDTH NON-JOINER
-            if (cp === 0xFEFF) return { main: 'Format', sub: 'BOM/ZWNBS' }; // BOM 또는 (구) ZWNBSP
-            return { main: 'Format' };
-        }
-
-        // 5-3) 글자(스크립트 기반)
-        if (_RE_GC_LETTER && _RE_GC_LETTER.test(ch)) {
-            const scriptLabel = _detectScriptLabel(ch);
-            if (scriptLabel) return { main: scriptLabel, sub: 'Letter' };
-            return { main: 'Letter', sub: 'Other Script' };
-        }
-
-        // 5-4) 결합 문자(악센트/모음부호 등)
-        if (_RE_GC_MARK && _RE_GC_MARK.test(ch)) {
-            return { main: 'Mark' };
-        }
-
-        // 5-5) 10진 숫자(각 스크립트의 0..9)
-        if (_RE_GC_DECIMAL && _RE_GC_DECIMAL.test(ch)) {
-            return { main: 'Digit', sub: 'Decimal' };
-        }
-
-        // 5-6) 숫자(로마 숫자/분수 등 포함)
-        if (_RE_GC_NUMBER && _RE_GC_NUMBER.test(ch)) {
-            return { main: 'Number' };
-        }
-
-        // 5-7) 구두점
-        if (_RE_GC_PUNCT && _RE_GC_PUNCT.test(ch)) {
-            return { main: 'Punctuation' };
-        }
-
-        // 5-8) 기호
-        if (_RE_GC_SYMBOL && _RE_GC_SYMBOL.test(ch)) {
-            return { main: 'Symbol' };
-        }
-
-        // 5-9) Separator(줄/문단 구분자 등) — 2028/2029는 이미 화이트스페이스로 처리됨
-        if (_RE_GC_SEP && _RE_GC_SEP.test(ch)) {
-            return { main: 'Separator' };
-        }
-    }
-
-    // 6) 속성 기반 분류가 불가능한 환경(또는 어떤 항목에도 걸리지 않은 경우)
-    //    - 기존 방식처럼 “기타” 처리하되, 가능한 한 유용한 정보를 주기 위해 코드포인트 범위를 일부 보강합니다.
-    //
-    //    예: 한자 확장(G/H/I/J)은 유니코드 17 기준으로 다음 범위를 가집니다. :contentReference[oaicite:7]{index=7}
-    //    하지만 여기서는 “경량”을 유지하기 위해 전 범위를 상세히 하드코딩하지 않고,
-    //    속성(\p{Script=Han})이 가능한 환경에서의 자동 커버를 권장합니다.
-    //
-    //    그래도 최소한의 보강으로 “CJK 한자 확장 영역” 정도는 인지하도록 합니다.
+function _classifyFormat(ch, cp, source) {
+    if (!source.isGc(ch, cp, 'Cf')) return null;
+
+    // ZWJ/ZWNJ 등 대표 케이스
+    if (cp === 0x200D) return { main: 'Format', sub: 'ZWJ' };  // ZERO WIDTH JOINER
+    if (cp === 0x200C) return { main: 'Format', sub: 'ZWNJ' }; // ZERO WIDTH NON-JOINER
+    if (cp === 0xFEFF) return { main: 'Format', sub: 'BOM/ZWNBS' }; // BOM 또는 (구) ZWNBSP
+    return { main: 'Format' };
+}
 
+/**
+ * 속성 기반 분류가 불가능한 환경(또는 어떤 단계에도 걸리지 않은 경우)의 한자 보강
+ * - 기존 방식처럼 “기타” 처리하되, 가능한 한 유용한 정보를 주기 위해 코드포인트 범위를 일부 보강합니다.
+ *
+ * 예: 한자 확장(G/H/I/J)은 유니코드 17 기준으로 다음 범위를 가집니다. :contentReference[oaicite:7]{index=7}
+ * 하지만 여기서는 “경량”을 유지하기 위해 전 범위를 상세히 하드코딩하지 않고,
+ * 속성(\p{Script=Han})이 가능한 환경에서의 자동 커버를 권장합니다.
+ *
+ * 그래도 최소한의 보강으로 “CJK 한자 확장 영역” 정도는 인지하도록 합니다.
+ * @param {number} cp
+ * @returns {{ main: 'Han Ideograph' } | null}
+ */
+function _classifyHanFallback(cp) {
     // 보강: CJK Unified Ideographs (일부 범위)
     // (완전한 커버를 위해서는 UAX #24의 Scripts.txt를 통째로 포함/파싱해야 하므로 여기서는 최소화)
     if ((cp >= 0x4E00 && cp <= 0x9FFF) || (cp >= 0x3400 && cp <= 0x4DBF) ||
@@ -485,83 +538,1051 @@ function _classifyCodePoint(ch, cp) {
     ) {
         return { main: 'Han Ideograph' };
     }
+    return null;
+}
+
+/** taxonomy: 'v2'의 General Category 그룹 → [두 글자 범주, 세부 라벨] 목록 */
+const _V2_SUBCATEGORIES = Object.freeze({
+    L: [['Lu', 'Uppercase'], ['Ll', 'Lowercase'], ['Lt', 'Titlecase'], ['Lm', 'Modifier'], ['Lo', 'Other']],
+    P: [['Ps', 'Open'], ['Pe', 'Close'], ['Pd', 'Dash'], ['Pi', 'Quote'], ['Pf', 'Quote'], ['Pc', 'Connector'],
+        ['Po', 'Other']],
+    S: [['Sc', 'Currency'], ['Sm', 'Math'], ['Sk', 'Modifier'], ['So', 'Other']],
+});
+
+/**
+ * taxonomy: 'v2'의 세부 라벨(General Category 기준)
+ * @param {string} ch
+ * @param {number} cp
+ * @param {object} source - 속성 조회 방식(_SOURCES 참고)
+ * @param {'L' | 'P' | 'S'} group
+ * @returns {string}
+ */
+function _subcategoryV2(ch, cp, source, group) {
+    for (const [gc, sub] of _V2_SUBCATEGORIES[group]) {
+        if (source.isGc(ch, cp, gc)) return sub;
+    }
+    return 'Other';
+}
+
+/**
+ * 10진 숫자의 스크립트 라벨(taxonomy: 'v2')
+ * - 스크립트 목록에 없으면 Common(ASCII·전각·수학용 숫자 등) 또는 'Other Script'
+ * @param {string} ch
+ * @param {number} cp
+ * @param {{ scripts: ReadonlyArray<object>, source: object }} ctx
+ * @returns {string}
+ */
+function _digitScriptV2(ch, cp, ctx) {
+    const scriptLabel = _detectScriptLabel(ch, cp, ctx.scripts, ctx.source);
+    if (scriptLabel) return scriptLabel;
+    return ctx.source.isScript(ch, cp, _COMMON_SCRIPT) ? 'Common' : 'Other Script';
+}
+
+/**
+ * 단계 이름 → 판별 함수
+ * - native 모드에서 정규식이 null(\p{...} 미지원)인 단계는 항상 null을 반환하여 자연스럽게 건너뜁니다.
+ * - ctx.taxonomy가 'v2'이면 글자·숫자·구두점·기호의 세부 라벨(sub)이 General Category와 스크립트를 따르고,
+ *   첫가끝 자모의 세부 라벨에 초성/중성/종성 역할이 붙습니다.
+ */
+const _STAGES = Object.freeze({
+    // 화이트스페이스(요청사항: 하위 분류 포함)
+    whitespace: (ch, cp) => _classifyWhitespace(cp),
+    // ASCII 고속 경로
+    ascii: (ch, cp, ctx) => {
+        if (cp > 0x7F) return null;
+        return ctx.taxonomy === 'v2' ? _classifyAsciiV2(ch, cp) : _classifyAscii(cp);
+    },
+    // 이모지/픽토그래프(가능하면 Extended_Pictographic 활용)
+    emoji: (ch, cp, ctx) => _classifyEmoji(ch, cp, ctx.source),
+    // 한글 세부 분류(기존 호환성 유지)
+    hangul: (ch, cp, ctx) => _classifyHangul(cp, ctx.taxonomy),
+    // Control(제어 문자)
+    control: (ch, cp, ctx) => (ctx.source.isGc(ch, cp, 'Cc') ? { main: 'Control' } : null),
+    // Format(서식 문자)
+    format: (ch, cp, ctx) => _classifyFormat(ch, cp, ctx.source),
+    // 글자(스크립트 기반)
+    letter: (ch, cp, ctx) => {
+        if (!ctx.source.isGc(ch, cp, 'L')) return null;
+        const scriptLabel = _detectScriptLabel(ch, cp, ctx.scripts, ctx.source);
+        if (ctx.taxonomy === 'v2') return { main: scriptLabel || 'Letter', sub: _subcategoryV2(ch, cp, ctx.source, 'L') };
+        if (scriptLabel) return { main: scriptLabel, sub: 'Letter' };
+        return { main: 'Letter', sub: 'Other Script' };
+    },
+    // 결합 문자(악센트/모음부호 등)
+    mark: (ch, cp, ctx) => (ctx.source.isGc(ch, cp, 'M') ? { main: 'Mark' } : null),
+    // 10진 숫자(각 스크립트의 0..9)
+    digit: (ch, cp, ctx) => {
+        if (!ctx.source.isGc(ch, cp, 'Nd')) return null;
+        return { main: 'Digit', sub: ctx.taxonomy === 'v2' ? _digitScriptV2(ch, cp, ctx) : 'Decimal' };
+    },
+    // 숫자(로마 숫자/분수 등 포함)
+    number: (ch, cp, ctx) => (ctx.source.isGc(ch, cp, 'N') ? { main: 'Number' } : null),
+    // 구두점
+    punctuation: (ch, cp, ctx) => {
+        if (!ctx.source.isGc(ch, cp, 'P')) return null;
+        return ctx.taxonomy === 'v2' ? { main: 'Punctuation', sub: _subcategoryV2(ch, cp, ctx.source, 'P') } : { main: 'Punctuation' };
+    },
+    // 기호
+    symbol: (ch, cp, ctx) => {
+        if (!ctx.source.isGc(ch, cp, 'S')) return null;
+        return ctx.taxonomy === 'v2' ? { main: 'Symbol', sub: _subcategoryV2(ch, cp, ctx.source, 'S') } : { main: 'Symbol' };
+    },
+    // Separator(줄/문단 구분자 등) — 2028/2029는 기본 순서에서 화이트스페이스로 먼저 처리됨
+    separator: (ch, cp, ctx) => (ctx.source.isGc(ch, cp, 'Z') ? { main: 'Separator' } : null),
+    // 한자 범위 보강(속성 기반 분류 불가 환경 대비)
+    han: (ch, cp) => _classifyHanFallback(cp),
+});
+
+/** 기본 단계 순서(기존 분류 결과와 동일) */
+const DEFAULT_STAGE_ORDER = Object.freeze([
+    'whitespace', 'ascii', 'emoji', 'hangul',
+    'control', 'format', 'letter', 'mark', 'digit', 'number', 'punctuation', 'symbol', 'separator',
+    'han',
+]);
+
+/** 기본 단계 순서의 판별 함수 목록(미리 계산한 분류 결과를 쓸 수 있는지 판단할 때 비교) */
+const _DEFAULT_STAGES = Object.freeze(DEFAULT_STAGE_ORDER.map((name) => _STAGES[name]));
+
+/* ------------------------------------------------------------------------------------------------
+ * 7. 핵심 분류 루틴
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 단일 코드포인트(문자) 분류.
+ * @param {string} ch - 단일 코드포인트 문자열(for..of 기준)
+ * @param {number} cp - ch의 code point
+ * @param {{ stages: ReadonlyArray<Function>, scripts: ReadonlyArray<object>, source: object, taxonomy: 'v1' | 'v2',
+ *           overrides: Map<number, { main: string, sub?: string }>,
+ *           ranges: ReadonlyArray<{ from: number, to: number, main: string, sub?: string }> }} ctx
+ * @returns {{ main: string, sub?: string }}
+ */
+function _classifyCodePoint(ch, cp, ctx) {
+    // 1) 사용자 지정(overrides → ranges)이 항상 우선
+    const ov = ctx.overrides.get(cp);
+    if (ov) return ov;
+    for (const r of ctx.ranges) {
+        if (cp >= r.from && cp <= r.to) return r.sub ? { main: r.main, sub: r.sub } : { main: r.main };
+    }
+
+    // 2) 단계별 분류(순서대로 처음 걸리는 결과 사용)
+    for (const stage of ctx.stages) {
+        const result = stage(ch, cp, ctx);
+        if (result) return result;
+    }
 
     return { main: 'Other' };
 }
 
 /* ------------------------------------------------------------------------------------------------
- * 8. Public API
+ * 8. 분류기 인스턴스(createClassifier)
+ *
+ * 사용자 지정 범위/스크립트/우선순위를 가진 독립 분류기를 만듭니다.
+ * 캐시(블록 단위 2단계 표, category-table.js)는 인스턴스마다 따로 두므로, 한 인스턴스의 설정이 다른 인스턴스나
+ * 전역 함수(기본 인스턴스)의 결과에 영향을 주지 않습니다.
  * ------------------------------------------------------------------------------------------------ */
 
 /**
- * 단일 문자(문자열의 첫 코드포인트) 분류.
- * @param {string} char - 비어있지 않은 문자열(첫 코드포인트만 사용)
+ * 분류 결과(라벨)를 검증하고 정규화합니다.
+ * @param {any} value
+ * @param {string} where - 오류 메시지에 쓸 위치(예: 'ranges[0]')
  * @returns {{ main: string, sub?: string }}
  */
-function getCharacterType(char) {
-    if (typeof char !== 'string' || char.length === 0) {
-        throw new TypeError('getCharacterType expects a non-empty string.');
+function _normalizeLabel(value, where) {
+    if (!value || typeof value.main !== 'string' || value.main.length === 0) {
+        throw new TypeError(`${where}.main must be a non-empty string.`);
+    }
+    if (value.sub !== undefined && typeof value.sub !== 'string') {
+        throw new TypeError(`${where}.sub must be a string.`);
+    }
+    return value.sub ? { main: value.main, sub: value.sub } : { main: value.main };
+}
+
+/**
+ * 코드포인트 값을 검증합니다.
+ * @param {any} cp
+ * @param {string} where
+ * @returns {number}
+ */
+function _checkCodePoint(cp, where) {
+    if (!Number.isInteger(cp) || cp < 0 || cp > 0x10FFFF) {
+        throw new RangeError(`${where} must be a code point (0..0x10FFFF).`);
     }
+    return cp;
+}
 
-    const cp = char.codePointAt(0);
+/**
+ * ranges 옵션을 정규화합니다.
+ * @param {ReadonlyArray<{ from: number, to?: number, main: string, sub?: string }>} ranges
+ * @returns {ReadonlyArray<{ from: number, to: number, main: string, sub?: string }>}
+ */
+function _normalizeRanges(ranges) {
+    if (!Array.isArray(ranges)) throw new TypeError('ranges must be an array.');
+
+    return Object.freeze(ranges.map((r, i) => {
+        const where = `ranges[${i}]`;
+        const from = _checkCodePoint(r && r.from, `${where}.from`);
+        const to = _checkCodePoint(r.to === undefined ? r.from : r.to, `${where}.to`);
+        if (from > to) throw new RangeError(`${where}.from must not be greater than ${where}.to.`);
+        return Object.freeze({ from, to, ..._normalizeLabel(r, where) });
+    }));
+}
 
-    // 메모 캐시 히트 시 즉시 반환
-    const cached = _memo.get(cp);
-    if (cached) return cached;
+/**
+ * overrides 옵션(문자 → 분류)을 코드포인트 키의 Map으로 정규화합니다.
+ * @param {Record<string, { main: string, sub?: string }>} overrides
+ * @returns {Map<number, { main: string, sub?: string }>}
+ */
+function _normalizeOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object') throw new TypeError('overrides must be an object.');
+
+    const out = new Map();
+    for (const key of Object.keys(overrides)) {
+        const cp = key.codePointAt(0);
+        if (cp === undefined || String.fromCodePoint(cp) !== key) {
+            throw new RangeError(`overrides key must be a single character: ${JSON.stringify(key)}`);
+        }
+        out.set(cp, _normalizeLabel(overrides[key], `overrides[${JSON.stringify(key)}]`));
+    }
+    return out;
+}
 
-    // 첫 코드포인트를 안전하게 문자열로 구성(서러게이트 페어 포함)
-    const ch = String.fromCodePoint(cp);
+/**
+ * scripts 옵션을 스크립트 판별기 목록으로 변환합니다.
+ * - script: \p{Script=...}에 넣어볼 이름(또는 별칭 후보 배열)
+ * - ranges: 런타임이 해당 스크립트를 모를 때 사용할 코드포인트 범위
+ * @param {ReadonlyArray<{ label: string, script?: string | string[], ranges?: Array<[number, number]> }>} scripts
+ * @returns {Array<{ label: string, re: RegExp|null, names: string[], ranges?: ReadonlyArray<readonly [number, number]> }>}
+ */
+function _compileCustomScripts(scripts) {
+    if (!Array.isArray(scripts)) throw new TypeError('scripts must be an array.');
 
-    const result = _classifyCodePoint(ch, cp);
-    _memo.set(cp, result);
-    return result;
+    return scripts.map((s, i) => {
+        const where = `scripts[${i}]`;
+        if (!s || typeof s.label !== 'string' || s.label.length === 0) {
+            throw new TypeError(`${where}.label must be a non-empty string.`);
+        }
+        const aliases = s.script === undefined ? [] : [].concat(s.script);
+        const re = aliases.length > 0 && _SUPPORTS_PROP_ESCAPES ? _compileScriptRegex(aliases) : null;
+        const names = aliases.map(_scriptLongName);
+
+        let ranges;
+        if (s.ranges !== undefined) {
+            if (!Array.isArray(s.ranges)) throw new TypeError(`${where}.ranges must be an array.`);
+            ranges = Object.freeze(s.ranges.map(([a, b], j) => Object.freeze([
+                _checkCodePoint(a, `${where}.ranges[${j}][0]`),
+                _checkCodePoint(b === undefined ? a : b, `${where}.ranges[${j}][1]`),
+            ])));
+        }
+        if (aliases.length === 0 && !ranges) {
+            throw new TypeError(`${where} needs a script name or ranges.`);
+        }
+        return { label: s.label, re, names, ranges };
+    });
 }
 
 /**
- * 문자열을 분석하여 카테고리별 통계를 반환.
- * @param {string} text
- * @param {{ granularity?: 'main' | 'sub' }} [options]
- * @returns {{ total: number, breakdown: Record<string,{count:number,ratio:number,chars:string[]}> }}
+ * order 옵션(단계 이름 배열)을 판별 함수 목록으로 변환합니다.
+ * @param {ReadonlyArray<string>} order
+ * @returns {ReadonlyArray<Function>}
+ */
+function _resolveStages(order) {
+    if (!Array.isArray(order)) throw new TypeError('order must be an array of stage names.');
+
+    const seen = new Set();
+    const out = [];
+    for (const name of order) {
+        if (!Object.prototype.hasOwnProperty.call(_STAGES, name)) {
+            throw new RangeError(`Unknown classifier stage: ${String(name)}`);
+        }
+        if (seen.has(name)) continue;
+        seen.add(name);
+        out.push(_STAGES[name]);
+    }
+    return Object.freeze(out);
+}
+
+/** 스크립트 라벨(글자의 main)에 붙는 세부 라벨(taxonomy 'v1'·'v2') */
+const _SCRIPT_SUB_LABELS = Object.freeze(['Letter', 'Uppercase', 'Lowercase', 'Titlecase', 'Modifier', 'Other']);
+
+/**
+ * 분류기가 낼 수 있는 라벨 목록(createPolicy가 정책에 적힌 라벨의 오타를 찾는 데 씁니다)
+ * - 내장 분류 ID(CategoryId)의 영어 라벨에 ranges/overrides의 라벨과 scripts의 스크립트 라벨
+ *   (글자의 세부 라벨, 'v2' 숫자의 'Digit:<스크립트>' 포함)을 더합니다.
+ * @param {{ ranges: ReadonlyArray<{ main: string, sub?: string }>, overrides: Map<number, { main: string, sub?: string }>,
+ *           scripts: ReadonlyArray<{ label: string }> }} ctx
+ * @returns {string[]} - 'main' 또는 'main:sub'
  */
-function analyzeText(text, { granularity = 'main' } = {}) {
-    if (typeof text !== 'string') {
-        throw new TypeError('Input must be a string.');
+function _knownLabels(ctx) {
+    const out = Object.keys(CategoryId).map((key) => _getLabel(CategoryId[key]));
+    const addLabel = ({ main, sub }) => out.push(sub ? `${main}:${sub}` : main);
+    ctx.ranges.forEach(addLabel);
+    ctx.overrides.forEach(addLabel);
+    for (const { label } of ctx.scripts) {
+        out.push(label, `Digit:${label}`);
+        for (const sub of _SCRIPT_SUB_LABELS) out.push(`${label}:${sub}`);
+    }
+    return out;
+}
+
+/**
+ * 미리 계산한 분류 구간(tables.js의 _bundledCategoryRuns)으로 코드포인트 구간을 한 번에 분류하는 함수를 만듭니다.
+ * - 사용자 지정(overrides → ranges)이 우선이므로 구간 결과 위에 ranges(뒤의 것부터), overrides 순서로 덮어씁니다.
+ * @param {{ starts: Uint32Array, codes: Uint16Array, values: string[] }} runs
+ * @param {{ overrides: Map<number, { main: string, sub?: string }>,
+ *           ranges: ReadonlyArray<{ from: number, to: number, main: string, sub?: string }> }} ctx
+ * @returns {(from: number, to: number, emit: (start: number, end: number, type: { main: string, sub?: string }) => void) => void}
+ */
+function _createRangeClassifier(runs, ctx) {
+    const { starts, codes } = runs;
+    const types = runs.values.map((label) => {
+        const colon = label.indexOf(':');
+        return colon === -1 ? { main: label } : { main: label.slice(0, colon), sub: label.slice(colon + 1) };
+    });
+
+    return (from, to, emit) => {
+        for (let i = _runIndex(starts, from), start = from; start <= to; i++) {
+            const end = i + 1 < starts.length ? Math.min(starts[i + 1] - 1, to) : to;
+            emit(start, end, types[codes[i]]);
+            start = end + 1;
+        }
+        for (let k = ctx.ranges.length - 1; k >= 0; k--) {
+            const r = ctx.ranges[k];
+            if (r.to >= from && r.from <= to) emit(Math.max(r.from, from), Math.min(r.to, to), r);
+        }
+        ctx.overrides.forEach((type, cp) => {
+            if (cp >= from && cp <= to) emit(cp, cp, type);
+        });
+    };
+}
+
+/**
+ * 독립된 분류기 인스턴스를 만듭니다.
+ * - 사용자 지정(overrides → ranges)은 항상 기본 단계보다 먼저 적용됩니다.
+ * - scripts로 추가한 스크립트는 기본 스크립트 목록보다 먼저 검사됩니다.
+ * @param {{
+ *   ranges?: Array<{ from: number, to?: number, main: string, sub?: string }>,
+ *   overrides?: Record<string, { main: string, sub?: string }>,
+ *   scripts?: Array<{ label: string, script?: string | string[], ranges?: Array<[number, number]> }>,
+ *   order?: string[],
+ *   data?: 'auto' | 'native' | 'bundled',
+ *   taxonomy?: 'v1' | 'v2',
+ *   cacheSize?: number,
+ * }} [options]
+ *   - data: 속성 조회 방식(4-1 참고). 'bundled'이면 런타임과 무관하게 내장 테이블 기준으로 분류합니다.
+ *   - taxonomy: 세부 라벨 체계. 'v1'(기본)은 기존 라벨을 유지하고, 'v2'는 글자를 대소문자(General Category),
+ *     숫자를 스크립트, 구두점/기호를 General Category로 나눕니다(6 참고).
+ *   - cacheSize: 보관할 분류 블록 표(코드포인트 256개, 512바이트)의 최대 개수(LRU). 기본 1024(약 512KB),
+ *     Infinity이면 모두 보관합니다(유니코드 전체라도 약 2.2MB).
+ * @returns {{
+ *   getCharacterType: (char: string) => { main: string, sub?: string, id: string },
+ *   analyzeText: (text: string, options?: { granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, positions?: boolean, locale?: string }) => object,
+ *   tokenize: (text: string, options?: { granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string }) => object[],
+ *   createAnalyzer: (options?: { granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, locale?: string }) => object,
+ *   transform: (text: string, rules: object | string | Array<object | string>) => string,
+ *   createPolicy: (definition: object) => { validate: (text: string) => object, toJSON: () => object },
+ *   guessLanguage: (text: string) => Array<{ language: string, confidence: number }>,
+ *   analyzeNormalization: (text: string, options?: { granularity?: 'main' | 'sub' }) => object,
+ *   checkCoverage: (text: string, coverage: object | object[], options?: { granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string }) => object,
+ *   classifyCodePoints: (codePoints: Uint32Array) => Uint16Array,
+ *   getCategory: (id: number) => { main: string, sub?: string, id: string },
+ *   clearCache: () => void,
+ *   data: 'native' | 'bundled',
+ *   taxonomy: 'v1' | 'v2',
+ *   unicodeVersion: string|null,
+ * }}
+ */
+function createClassifier({
+    ranges = [], overrides = {}, scripts = [], order = DEFAULT_STAGE_ORDER, data = 'auto', taxonomy = 'v1',
+    cacheSize = 1024,
+} = {}) {
+    if (taxonomy !== 'v1' && taxonomy !== 'v2') {
+        throw new RangeError("taxonomy must be 'v1' or 'v2'");
+    }
+    if (cacheSize !== Infinity && !(Number.isInteger(cacheSize) && cacheSize >= 1)) {
+        throw new RangeError('cacheSize must be a positive integer or Infinity.');
+    }
+    const ctx = {
+        overrides: _normalizeOverrides(overrides),
+        ranges: _normalizeRanges(ranges),
+        scripts: Object.freeze(_compileCustomScripts(scripts).concat(_SCRIPT_DETECTORS)),
+        stages: _resolveStages(order),
+        source: _resolveSource(data),
+        taxonomy,
+    };
+
+    // data: 'bundled'이고 단계·스크립트가 기본값이면 결과가 미리 계산한 분류 구간과 같으므로, 블록을 처음 쓸 때
+    // 구간 테이블로 통째로 채웁니다. 그 밖에는 코드포인트마다 처음 조회할 때 분류 단계를 거칩니다.
+    const runs = ctx.source.data === 'bundled' && ctx.scripts.length === _SCRIPT_DETECTORS.length &&
+        ctx.stages.length === _DEFAULT_STAGES.length && ctx.stages.every((s, i) => s === _DEFAULT_STAGES[i])
+        ? _bundledCategoryRuns(taxonomy) : null;
+
+    /** 블록 단위 분류 표(인스턴스 전용, 최근 cacheSize개 블록만 보관) */
+    const table = _createCategoryTable((cp) => _classifyCodePoint(String.fromCodePoint(cp), cp, ctx), cacheSize,
+        runs ? _createRangeClassifier(runs, ctx) : null);
+
+    /**
+     * 단일 문자(문자열의 첫 코드포인트) 분류.
+     * @param {string} char - 비어있지 않은 문자열(첫 코드포인트만 사용)
+     * @returns {Readonly<{ main: string, sub?: string, id: string }>} - 동결된 공유 객체(id: 분류 ID, labels.js)
+     */
+    function getCharacterType(char) {
+        if (typeof char !== 'string' || char.length === 0) {
+            throw new TypeError('getCharacterType expects a non-empty string.');
+        }
+        return table.typeOf(char.codePointAt(0));
+    }
+
+    /**
+     * 코드포인트 배열을 분류 ID 배열로 분류합니다(대용량 일괄 처리용).
+     * - ID는 인스턴스 안에서 라벨마다 하나이며, getCategory(id)로 라벨을 얻습니다.
+     *   인스턴스마다 달라지므로 저장할 때는 getCategory(id).id(분류 ID)를 씁니다.
+     * @param {Uint32Array} codePoints
+     * @returns {Uint16Array}
+     */
+    function classifyCodePoints(codePoints) {
+        if (!(codePoints instanceof Uint32Array)) {
+            throw new TypeError('classifyCodePoints expects a Uint32Array.');
+        }
+        const ids = new Uint16Array(codePoints.length);
+        for (let i = 0; i < codePoints.length; i++) {
+            const cp = codePoints[i];
+            if (cp > 0x10FFFF) throw new RangeError(`codePoints[${i}] must be a code point (0..0x10FFFF).`);
+            ids[i] = table.idOf(cp);
+        }
+        return ids;
     }
-    if (granularity !== 'main' && granularity !== 'sub') {
-        throw new RangeError("granularity must be 'main' or 'sub'");
+
+    /**
+     * 분류 ID(classifyCodePoints의 결과)의 라벨을 반환합니다.
+     * @param {number} id
+     * @returns {Readonly<{ main: string, sub?: string, id: string }>}
+     */
+    function getCategory(id) {
+        const type = Number.isInteger(id) ? table.category(id) : undefined;
+        if (!type) throw new RangeError(`Unknown category id: ${String(id)}`);
+        return type;
+    }
+
+    /**
+     * 문자열을 분석하여 카테고리별 통계를 반환.
+     * @param {string} text
+     * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, positions?: boolean,
+     *           locale?: string }} [options]
+     */
+    function analyzeText(text, options) {
+        return _analyzeWith(instance, text, options);
     }
 
-    /** @type {Record<string, {count:number, chars:Set<string>}>} */
-    const breakdown = Object.create(null);
-    let total = 0;
+    /**
+     * 같은 분류가 이어지는 구간(토큰)과 위치를 반환합니다(tokenize.js).
+     * @param {string} text
+     * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string }} [options]
+     */
+    function tokenize(text, options) {
+        return _tokenizeWith(instance, text, options);
+    }
+
+    /**
+     * 조각 단위로 입력을 받는 점진 분석기를 만듭니다(analyzer.js).
+     * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, locale?: string }} [options]
+     */
+    function createAnalyzer(options) {
+        return _createAnalyzerWith(instance, options);
+    }
+
+    /**
+     * 분류 라벨별 규칙(또는 프리셋)으로 텍스트를 변환합니다(transform.js).
+     * @param {string} text
+     * @param {Record<string, any> | string | Array<Record<string, any> | string>} rules
+     */
+    function transform(text, rules) {
+        return _transformWith(instance, text, rules);
+    }
+
+    /**
+     * 라벨 기반 허용/금지 문자 정책을 만듭니다(policy.js).
+     * @param {{ allow?: string[], deny?: string[], maxRatio?: Record<string, number>, maxCount?: Record<string, number>,
+     *           unit?: 'codepoint' | 'grapheme', taxonomy?: 'v1' | 'v2' }} definition
+     */
+    function createPolicy(definition) {
+        return _createPolicyWith(instance, definition, _knownLabels(ctx));
+    }
 
-    // ES2015: 코드포인트 안전 순회
-    for (const ch of text) {
-        const { main, sub } = getCharacterType(ch);
-        const label = (granularity === 'sub' && sub) ? `${main}:${sub}` : main;
+    /**
+     * 스크립트 분포와 내장 빈도 프로필로 언어를 추정합니다(language.js).
+     * @param {string} text
+     */
+    function guessLanguage(text) {
+        return _guessLanguageWith(instance, text);
+    }
 
-        let bucket = breakdown[label];
-        if (!bucket) bucket = breakdown[label] = { count: 0, chars: new Set() };
+    /**
+     * NFC/NFD/NFKC/NFKD별로 바뀌는 글자를 분류 라벨별로 보고합니다(normalize.js).
+     * @param {string} text
+     * @param {{ granularity?: 'main' | 'sub' }} [options]
+     */
+    function analyzeNormalization(text, options) {
+        return _analyzeNormalizationWith(instance, text, options);
+    }
 
-        bucket.count++;
-        bucket.chars.add(ch);
-        total++;
+    /**
+     * 글꼴에 글리프가 없는 글자를 분류 라벨별로 모읍니다(font.js).
+     * @param {string} text
+     * @param {object | object[]} coverage - loadFontCoverage의 결과(배열이면 대체 글꼴 목록)
+     * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string }} [options]
+     */
+    function checkCoverage(text, coverage, options) {
+        return _checkCoverageWith(instance, text, coverage, options);
     }
 
-    // 비율 계산 및 chars 정렬
-    for (const k in breakdown) {
-        const b = breakdown[k];
-        const ratio = total > 0 ? (b.count * 100 / total) : 0;
-        /** @type {any} */
-        b.ratio = +ratio.toFixed(2);
-        /** @type {any} */
-        b.chars = Array.from(b.chars).sort();
+    const instance = Object.freeze({
+        getCharacterType,
+        analyzeText,
+        tokenize,
+        createAnalyzer,
+        transform,
+        createPolicy,
+        guessLanguage,
+        analyzeNormalization,
+        checkCoverage,
+        classifyCodePoints,
+        getCategory,
+        /** 인스턴스 캐시(블록 표)를 비웁니다. 이미 부여한 분류 ID는 그대로 유효합니다. */
+        clearCache: () => table.clear(),
+        /** 실제 사용하는 속성 조회 방식('native' | 'bundled') */
+        data: ctx.source.data,
+        /** 세부 라벨 체계('v1' | 'v2') */
+        taxonomy: ctx.taxonomy,
+        /** 분류에 쓰인 유니코드 데이터 버전(native에서 런타임이 알려주지 않으면 null) */
+        unicodeVersion: ctx.source.unicodeVersion,
+    });
+    return instance;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 9. Public API
+ *    - 전역 함수는 기본 설정의 분류기 인스턴스(_defaultClassifier)를 사용합니다.
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 기본 분류기(전역 함수가 공유) */
+const _defaultClassifier = createClassifier();
+
+/** data/taxonomy 옵션별 기본 설정 분류기(지연 생성) */
+const _dataClassifiers = Object.create(null);
+
+/**
+ * 전역 함수의 data/taxonomy 옵션에 맞는 기본 설정 분류기를 반환합니다.
+ * @param {{ data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} options
+ * @returns {ReturnType<typeof createClassifier>}
+ */
+function _classifierFor({ data = 'auto', taxonomy = 'v1' }) {
+    if (data === 'auto' && taxonomy === 'v1') return _defaultClassifier;
+    const key = `${data}/${taxonomy}`;
+    return _dataClassifiers[key] || (_dataClassifiers[key] = createClassifier({ data, taxonomy }));
+}
+
+/**
+ * 단일 문자(문자열의 첫 코드포인트) 분류.
+ * @param {string} char - 비어있지 않은 문자열(첫 코드포인트만 사용)
+ * @param {{ data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {{ main: string, sub?: string, id: string }} - id: 라벨 문구와 무관한 분류 ID(예: 'whitespace.control.tab')
+ */
+function getCharacterType(char, options = {}) {
+    return _classifierFor(options).getCharacterType(char);
+}
+
+/**
+ * 단일 문자(문자열의 첫 코드포인트)의 원시 유니코드 속성(info.js).
+ * - 분류 라벨 대신 General_Category, Script, Script_Extensions, Block, Age, Name을 내장 테이블에서 읽습니다.
+ * - name은 'glyphscope/names'를 import했거나 loadCharacterNames()가 끝난 뒤에만 채워집니다(그 전에는 null).
+ * @param {string} char - 비어있지 않은 문자열(첫 코드포인트만 사용)
+ * @returns {{ char: string, codePoint: string, generalCategory: string, script: string,
+ *             scriptExtensions: string[], block: string | null, age: string | null, name: string | null }}
+ */
+function getCharacterInfo(char) {
+    return _getCharacterInfo(char);
+}
+
+/**
+ * 문자 이름 테이블('glyphscope/names')을 필요할 때 불러옵니다.
+ * - 끝나면 getCharacterInfo()의 name이 채워집니다. 번들러는 이름 테이블을 별도 청크로 나눕니다.
+ * @returns {Promise<void>}
+ */
+function loadCharacterNames() {
+    return _loadCharacterNames();
+}
+
+/**
+ * 코드포인트 배열을 분류 ID 배열로 일괄 분류합니다(대용량 입력용).
+ * - 문자열은 Uint32Array.from(text, (c) => c.codePointAt(0))처럼 변환해 넘깁니다.
+ * - ID는 같은 data/taxonomy 옵션의 getCategory(id)로 라벨로 바꿉니다.
+ * @param {Uint32Array} codePoints
+ * @param {{ data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {Uint16Array}
+ */
+function classifyCodePoints(codePoints, options = {}) {
+    return _classifierFor(options).classifyCodePoints(codePoints);
+}
+
+/**
+ * 분류 ID(classifyCodePoints의 결과)의 라벨을 반환합니다.
+ * @param {number} id
+ * @param {{ data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {{ main: string, sub?: string, id: string }}
+ */
+function getCategory(id, options = {}) {
+    return _classifierFor(options).getCategory(id);
+}
+
+/**
+ * 문자열을 분석하여 카테고리별 통계를 반환.
+ * @param {string} text
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, positions?: boolean, locale?: string, data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ *   - unit: 'codepoint'(기본) — 코드포인트 1개를 1글자로 집계
+ *           'grapheme' — 그래프림 클러스터(사용자가 인식하는 글자) 1개를 1글자로 집계
+ *   - maxChars: 카테고리별 chars에 모을 고유 문자 수 상한(기본 Infinity, 0이면 모으지 않음)
+ *   - positions: true이면 카테고리별로 모든 출현 위치(UTF-16 시작 위치) 배열을 positions에 담습니다.
+ *   - locale: breakdown 키(라벨)의 언어('ko', 'ja' 또는 registerLabels로 등록한 언어). 항목의 id는 바뀌지 않습니다.
+ *   - data: 속성 조회 방식(4-1 참고)
+ *   - taxonomy: 세부 라벨 체계('v1' 기본, 'v2'는 createClassifier 참고). granularity: 'sub'로 묶을 때 의미가 있습니다.
+ * @returns {{ total: number, breakdown: Record<string,{id:string,count:number,ratio:number,chars:string[],positions?:number[]}>, unicodeVersion: string|null }}
+ */
+function analyzeText(text, options = {}) {
+    return _classifierFor(options).analyzeText(text, options);
+}
+
+/**
+ * 문자열을 같은 분류가 이어지는 토큰으로 나눕니다(편집기 하이라이트 등).
+ * @param {string} text
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string, data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {Array<{ label: string, id: string, main: string, sub?: string, text: string, start: number, end: number,
+ *                   codePointStart: number, codePointEnd: number, line: number, column: number }>}
+ *   - start/end: UTF-16 위치(end 미포함), codePointStart/codePointEnd: 코드포인트 위치
+ *   - line/column: 토큰 시작 위치(1부터, column은 UTF-16 기준)
+ */
+function tokenize(text, options = {}) {
+    return _classifierFor(options).tokenize(text, options);
+}
+
+/**
+ * 조각 단위로 입력을 받는 점진 분석기를 만듭니다.
+ * - push(chunk)로 문자열 조각을 넣고, result()로 analyzeText와 같은 형태의 결과를 받습니다.
+ * - 조각 경계에 걸친 서러게이트 페어·그래프림 클러스터도 올바르게 집계합니다.
+ * - 큰 입력에서는 maxChars로 chars 수집량을 제한하세요.
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {{ push: (chunk: string) => object, result: () => object }}
+ */
+function createAnalyzer(options = {}) {
+    return _classifierFor(options).createAnalyzer(options);
+}
+
+/**
+ * 점진 분석기를 WHATWG TransformStream으로 감쌉니다(브라우저, Deno, Node 18+ 등).
+ * - 입력: string 또는 UTF-8 바이트 조각, 출력: 입력이 끝나면 분석 결과 객체 하나
+ * - Node.js 스트림(stream.Transform)은 'glyphscope/node'의 createAnalyzerStream을 사용하세요.
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number, data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {TransformStream}
+ */
+function createAnalyzerTransformStream(options = {}) {
+    return _createTransformStream(createAnalyzer(options));
+}
+
+/**
+ * 분류 라벨을 키로 하는 규칙으로 텍스트를 정리합니다(transform.js).
+ * - 규칙 값: 'remove' | { replace: string | (char, type) => string } | { collapse: string | (run, type) => string }
+ *   (collapse는 같은 규칙에 걸리는 연속 구간을 하나로 바꿉니다)
+ * - 키는 'Format'처럼 main만, 'Whitespace:Fixed-Width Space'처럼 main:sub로 쓰며, ':' 접두사로도 일치합니다.
+ * - 프리셋: 'normalize-whitespace', 'fold-width', 'strip-invisible'
+ * - 배열로 주면 앞에서부터 차례로 적용합니다.
+ * @param {string} text
+ * @param {Record<string, any> | string | Array<Record<string, any> | string>} rules
+ * @param {{ data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {string}
+ */
+function transform(text, rules, options = {}) {
+    return _classifierFor(options).transform(text, rules);
+}
+
+/**
+ * 분류 라벨로 허용/금지 문자와 라벨별 한도를 선언한 입력 정책을 만듭니다(policy.js).
+ * - allow: 이 라벨들에 일치하지 않는 글자는 위반, deny: 이 라벨들에 일치하는 글자는 위반
+ * - maxRatio: 라벨별 최대 비율(퍼센트, analyzeText의 ratio와 같은 단위), maxCount: 라벨별 최대 개수
+ * - 라벨은 'Emoji'처럼 main만, 'Whitespace:Space Separator'처럼 main:sub로 쓰며, ':' 접두사로도 일치합니다.
+ * - 정의는 JSON으로 직렬화할 수 있습니다. JSON.stringify(policy)의 결과를 그대로 createPolicy에 넘기면 같은 정책이 됩니다.
+ * @param {{ allow?: string[], deny?: string[], maxRatio?: Record<string, number>, maxCount?: Record<string, number>,
+ *           unit?: 'codepoint' | 'grapheme', data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} definition
+ * @returns {{ validate: (text: string) => { valid: boolean,
+ *   violations: Array<{ label: string, char: string, index: number, rule: 'allow' | 'deny' | 'maxRatio' | 'maxCount' }> },
+ *   toJSON: () => object }}
+ *   - violations: index는 UTF-16 위치 순. 한도 위반은 한도를 넘긴 글자마다 보고합니다.
+ */
+function createPolicy(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new TypeError('Policy definition must be an object.');
     }
+    return _classifierFor(definition).createPolicy(definition);
+}
+
+/**
+ * 텍스트의 언어를 추정해 후보를 신뢰도 순으로 반환합니다(language.js, 오프라인 휴리스틱).
+ * - 한중일: 가나(히라가나/가타카나)와 'Han Ideograph'의 비율로 일본어·중국어를, 한글로 한국어를 가립니다.
+ * - 키릴: ы/э(러시아어), і/ї/є/ґ(우크라이나어), ђ/ј/љ/њ/ћ/џ(세르비아어), ъ/ѝ(불가리아어) 등 구분 글자와 자주 쓰는 낱말
+ * - 라틴·아랍: 구분 글자와 자주 쓰는 낱말, (라틴) 글자 빈도 순위로 이루어진 작은 내장 프로필
+ * - 그 밖의 스크립트(타이, 그리스, 히브리, 아르메니아, 조지아 등)는 스크립트 라벨에서 바로 정합니다.
+ * @param {string} text
+ * @param {{ data?: 'auto' | 'native' | 'bundled' }} [options]
+ * @returns {Array<{ language: string, confidence: number }>}
+ *   - language: BCP 47 언어 코드, confidence: 0..1(글자 수 비율 기준). 글자가 없으면 빈 배열
+ */
+function guessLanguage(text, options = {}) {
+    return _classifierFor(options).guessLanguage(text);
+}
+
+/**
+ * 텍스트가 NFC/NFD/NFKC/NFKD 정규형인지, 각 정규화에서 어떤 글자가 무엇으로 바뀌는지 분석합니다(normalize.js).
+ * - 전각 라틴, 합자(ﬁ), 원문자(①), 분해된 악센트, 호환용 자모 등을 위치·대체 문자열과 함께 찾고
+ *   GlyphScope 분류 라벨별로 묶습니다.
+ * - data: 'bundled'이거나 String.prototype.normalize가 없으면 내장 분해 데이터로 정규화합니다(런타임과 무관한 결과).
+ * @param {string} text
+ * @param {{ granularity?: 'main' | 'sub', data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {Record<'NFC' | 'NFD' | 'NFKC' | 'NFKD', { isNormalized: boolean, normalized: string,
+ *   changes: Array<{ start: number, end: number, text: string, replacement: string, category: string }>,
+ *   byCategory: Record<string, Array<object>> }>}
+ *   - changes: start/end는 UTF-16 위치(end 미포함). 합성되는 글자('e' + U+0301)는 한 변경으로 묶입니다.
+ */
+function analyzeNormalization(text, options = {}) {
+    return _classifierFor(options).analyzeNormalization(text, options);
+}
+
+/**
+ * 텍스트를 같은 스크립트가 이어지는 런으로 나눕니다(UAX #24, script-runs.js).
+ * - 결합 부호·ZWJ 등 Inherited와 공백·문장 부호 등 Common은 주변 런에 붙습니다.
+ * - 스크립트는 내장 테이블(Script/Script_Extensions)로 조회합니다.
+ * @param {string} text
+ * @returns {Array<{ script: string, start: number, end: number, text: string }>}
+ *   - script: Unicode Script 긴 이름(예: 'Latin', 'Hangul', 'Han')
+ *   - start/end: UTF-16 위치(end 미포함)
+ */
+function segmentByScript(text) {
+    return _segmentByScript(text);
+}
+
+/**
+ * 식별자(사용자명, 도메인 레이블 등)의 UTS #39 제한 수준을 판정합니다(security.js).
+ * @param {string} text
+ * @returns {'ascii-only' | 'single-script' | 'highly-restrictive' | 'moderately-restrictive' | 'unrestricted'}
+ */
+function getRestrictionLevel(text) {
+    return _getRestrictionLevel(text);
+}
+
+/**
+ * UTS #39 스켈레톤(혼동 가능한 문자를 프로토타입으로 바꾼 문자열)을 반환합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function skeleton(text) {
+    return _skeleton(text);
+}
+
+/**
+ * 두 문자열이 눈으로 구분하기 어려운지(스켈레톤이 같은지) 검사합니다.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function areConfusable(a, b) {
+    return _areConfusable(a, b);
+}
+
+/**
+ * 문자(첫 코드포인트)의 East_Asian_Width 값을 반환합니다(UAX #11, 내장 테이블, width.js).
+ * @param {string} char
+ * @returns {'F' | 'H' | 'W' | 'Na' | 'A' | 'N'}
+ */
+function getEastAsianWidth(char) {
+    return _getEastAsianWidth(char);
+}
+
+/**
+ * 텍스트의 터미널 표시 폭(칸 수)을 계산합니다(wcwidth 방식, 그래프림 클러스터 단위).
+ * - 한자·한글 음절·전각 문자·이모지는 2칸, 결합 부호·ZWJ·서식 문자·제어 문자는 0칸
+ * - VS16(U+FE0F)이 붙은 이모지는 2칸, VS15(U+FE0E)가 붙으면 1칸
+ * @param {string} text
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled' }} [options]
+ *   - ambiguousAsWide: A(모호) 문자를 2칸으로(CJK 터미널)
+ *   - data: 'bundled'이면 Intl.Segmenter 대신 내장 분할기로 클러스터를 나눕니다(런타임과 무관한 결과)
+ * @returns {number}
+ */
+function measureWidth(text, options) {
+    return _measureWidth(text, options);
+}
+
+/**
+ * 표시 폭이 width를 넘지 않도록 자릅니다(클러스터를 쪼개지 않음, 잘렸으면 ellipsis를 붙임).
+ * @param {string} text
+ * @param {number} width
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled', ellipsis?: string }} [options]
+ *   - ellipsis 기본값 '…'
+ * @returns {string}
+ */
+function truncateToWidth(text, width, options) {
+    return _truncateToWidth(text, width, options);
+}
+
+/**
+ * 표시 폭이 width가 되도록 공백(fill)으로 채웁니다. 이미 넓으면 그대로 반환합니다.
+ * @param {string} text
+ * @param {number} width
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled', align?: 'left' | 'right' | 'center',
+ *           fill?: string }} [options]
+ * @returns {string}
+ */
+function padToWidth(text, width, options) {
+    return _padToWidth(text, width, options);
+}
+
+/**
+ * 현대 한글 음절 하나를 초성·중성·종성으로 분해합니다(hangul.js).
+ * @param {string} syllable - 예: '각'
+ * @param {{ compatibility?: boolean }} [options] - compatibility: true면 호환용 자모(ㄱ, ㅏ)로 반환
+ * @returns {{ initial: string, medial: string, final: string } | null} - 음절이 아니면 null, 받침이 없으면 final은 ''
+ */
+function decomposeHangul(syllable, options = {}) {
+    return _decomposeHangul(syllable, options);
+}
+
+/**
+ * 초성·중성·(종성) 자모를 현대 한글 음절로 합성합니다(첫가끝·호환용 자모 모두 허용).
+ * @param {{ initial: string, medial: string, final?: string }} parts
+ * @returns {string|null} - 현대 음절로 합성할 수 없으면 null
+ */
+function composeHangul(parts) {
+    return _composeHangul(parts);
+}
+
+/**
+ * 텍스트의 한글 음절을 초성으로 바꿉니다(예: '한국어' → 'ㅎㄱㅇ'). 한글이 아닌 문자는 그대로 둡니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function extractChoseong(text) {
+    return _extractChoseong(text);
+}
+
+/**
+ * 초성 검색: 검색어(초성, 음절 또는 혼합)가 본문의 일부와 일치하는지 검사합니다.
+ * - 예: matchesChoseong('ㅎㄱ', '대한민국') → false, matchesChoseong('ㅁㄱ', '대한민국') → true
+ * - 검색어의 마지막 음절에 받침이 없으면 받침이 있는 음절과도 일치합니다('한구' → '한국').
+ * @param {string} query
+ * @param {string} text
+ * @returns {boolean}
+ */
+function matchesChoseong(query, text) {
+    return _matchesChoseong(query, text);
+}
+
+/**
+ * 한글 표기 방식(완성형/조합형)과 옛한글 자모 시퀀스를 분석합니다.
+ * @param {string} text
+ * @returns {{ form: 'none' | 'precomposed' | 'decomposed' | 'mixed', precomposed: number, decomposed: number,
+ *             compatibilityJamo: number, archaic: Array<{ text: string, start: number, end: number }> }}
+ */
+function analyzeHangul(text) {
+    return _analyzeHangul(text);
+}
+
+/**
+ * 이모지 시퀀스(국기, 키캡, 피부색 수식, ZWJ 시퀀스)를 찾아 구성 요소와 RGI 여부를 반환합니다(emoji.js).
+ * - 분류 결과(analyzeText)는 코드포인트/그래프림 단위이므로, 시퀀스 단위 정보가 필요하면 이 함수를 사용하세요.
+ * - RGI 여부와 한정 상태는 내장 emoji-test 테이블 기준입니다.
+ * @param {string} text
+ * @returns {Array<{ text: string, start: number, end: number, type: 'basic' | 'flag' | 'keycap' | 'modifier' | 'zwj',
+ *                   base: string, skinTones: string[], gender: 'female' | 'male' | null,
+ *                   hair: 'red' | 'curly' | 'bald' | 'white' | null, region: string | null, rgi: boolean,
+ *                   qualification: 'fully-qualified' | 'minimally-qualified' | 'unqualified' | 'component' | null }>}
+ *   - start/end: UTF-16 위치(end 미포함)
+ */
+function parseEmoji(text) {
+    return _parseEmoji(text);
+}
+
+/**
+ * 문자(첫 코드포인트)의 유니코드 Numeric_Value를 반환합니다(numeric.js).
+ * - 모든 스크립트의 숫자(٣, ३, ３), 분수(½ → 0.5), 로마 숫자(Ⅻ → 12), 원문자(① → 1)를 포함합니다.
+ * - 내장 테이블(DerivedNumericValues.txt) 기준이며, CJK 한자 숫자(五 → 5, 萬 → 10000 등)도 포함합니다.
+ * @param {string} char - 비어있지 않은 문자열(첫 코드포인트만 사용)
+ * @returns {number|null} - 숫자가 아니면 null
+ */
+function getNumericValue(char) {
+    return _getNumericValue(char);
+}
+
+/**
+ * 모든 스크립트의 10진 숫자(General_Category Nd)를 ASCII 숫자로 바꿉니다(numeric.js).
+ * - 예: '١٢٣' → '123', '３' → '3'. 자릿수로 쓰이지 않는 숫자 글자(①, ², Ⅻ, ½)와 구분 기호는 그대로 둡니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeDigits(text) {
+    return _normalizeDigits(text);
+}
+
+/**
+ * 텍스트에서 모든 스크립트로 쓴 수를 찾아 값과 위치를 반환합니다(numeric.js).
+ * - 10진 숫자는 같은 숫자 체계끼리 이어 붙이며 천 단위 구분 기호, 소수점, 앞의 음수 부호를 포함합니다.
+ * - ½, Ⅻ, ① 같은 그 밖의 숫자 글자는 글자마다 하나의 수입니다.
+ * @param {string} text
+ * @param {{ decimal?: string, group?: string | null }} [options]
+ *   - decimal: 소수점(기본 '.'), group: 천 단위 구분 기호(기본 ',', null이면 사용하지 않음)
+ * @returns {Array<{ text: string, normalized: string, value: number, start: number, end: number }>}
+ *   - normalized: ASCII로 옮긴 수('-1234.5'), start/end: UTF-16 위치(end 미포함)
+ */
+function extractNumbers(text, options = {}) {
+    return _extractNumbers(text, options);
+}
+
+/**
+ * 문자(첫 코드포인트)의 Bidi_Class를 반환합니다(bidi.js, 내장 테이블).
+ * @param {string} char - 비어있지 않은 문자열(첫 코드포인트만 사용)
+ * @returns {string} - 짧은 이름: 'L', 'R', 'AL'(강한 방향), 'EN', 'AN', 'ES', 'ET', 'CS', 'NSM', 'BN'(약한 방향),
+ *   'B', 'S', 'WS', 'ON'(중립), 'LRE', 'LRO', 'RLE', 'RLO', 'PDF', 'LRI', 'RLI', 'FSI', 'PDI'(서식)
+ */
+function getBidiClass(char) {
+    return _getBidiClass(char);
+}
+
+/**
+ * 강한 방향 문자(L / R·AL)의 수로 텍스트 전체의 방향을 정합니다(bidi.js).
+ * - 숫자(아랍-인도 숫자 포함), 문장 부호, 공백은 방향을 정하지 않습니다.
+ * @param {string} text
+ * @returns {{ direction: 'ltr' | 'rtl' | 'mixed' | 'neutral', ltr: number, rtl: number }}
+ */
+function getDirection(text) {
+    return _getDirection(text);
+}
+
+/**
+ * 첫 강한 방향 문자의 방향을 반환합니다(HTML dir="auto"와 같은 규칙, bidi.js).
+ * - 격리(LRI/RLI/FSI … PDI) 안의 글자는 건너뜁니다.
+ * @param {string} text
+ * @returns {'ltr' | 'rtl' | null} - 강한 방향 문자가 없으면 null
+ */
+function firstStrongDirection(text) {
+    return _firstStrongDirection(text);
+}
 
-    return { total, breakdown };
+/**
+ * 분류 ID의 라벨을 지정한 언어로 반환합니다(labels.js).
+ * - 번역이 없는 구간은 영어 라벨을 씁니다.
+ * @param {string} id - 분류 ID(예: 'whitespace.space_separator', CategoryId 참고)
+ * @param {string} [locale] - 'en'(기본), 'ko', 'ja' 또는 registerLabels로 등록한 언어('ko-KR'은 'ko'로)
+ * @returns {string} - 'main' 또는 'main:sub' 형식
+ */
+function getLabel(id, locale) {
+    return _getLabel(id, locale);
 }
 
+/**
+ * 언어의 라벨을 등록하거나 이미 있는 언어의 라벨을 덮어씁니다(labels.js).
+ * - 키는 구간 ID('control') 또는 분류 ID('symbol.modifier')이며, 분류 ID가 우선합니다.
+ * @param {string} locale
+ * @param {Record<string, string>} labels
+ * @returns {void}
+ */
+function registerLabels(locale, labels) {
+    _registerLabels(locale, labels);
+}
+
+/**
+ * 글꼴 파일(TTF, OTF, TTC, WOFF)의 cmap을 읽어 글리프가 있는 코드포인트 범위를 반환합니다(font.js).
+ * - WOFF2는 지원하지 않습니다(RangeError).
+ * @param {ArrayBuffer | ArrayBufferView} buffer - 글꼴 파일 내용(fetch().arrayBuffer(), fs.readFileSync 등)
+ * @param {{ fontIndex?: number }} [options] - fontIndex: 글꼴 모음(.ttc, .otc)에서 읽을 글꼴(기본 0)
+ * @returns {Readonly<{ has: (char: string | number) => boolean, ranges: ReadonlyArray<readonly [number, number]>,
+ *                      size: number }>}
+ *   - ranges: [시작, 끝](끝 포함) 오름차순, size: 글리프가 있는 코드포인트 수
+ */
+function loadFontCoverage(buffer, options) {
+    return _loadFontCoverage(buffer, options);
+}
+
+/**
+ * 텍스트에서 글꼴에 글리프가 없는 글자(두부 문자)를 analyzeText와 같은 라벨별로 모읍니다(font.js).
+ * - coverage가 배열이면 대체 글꼴 목록으로 보고, 어느 글꼴에도 없는 글자만 보고합니다.
+ * - 제어 문자, 줄/문단 구분자, Default_Ignorable_Code_Point(ZWJ, 이형 선택자 등)는 검사하지 않습니다.
+ * @param {string} text
+ * @param {object | object[]} coverage - loadFontCoverage의 결과(또는 그 배열)
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string, data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }} [options]
+ * @returns {{ covered: boolean, total: number, missing: number,
+ *             breakdown: Record<string, { id: string, count: number, chars: string[], positions: number[] }> }}
+ *   - total: 검사한 단위 수, missing: 글리프가 없는 단위 수, positions: UTF-16 시작 위치
+ */
+function checkCoverage(text, coverage, options = {}) {
+    return _classifierFor(options).checkCoverage(text, coverage, options);
+}
+
+/**
+ * 보이는 것과 실제 내용이 다르게 만드는 의심 문자를 찾습니다(Trojan Source 검사, suspicious.js).
+ * - bidi embedding/override/isolate 제어 문자와 한 줄 안에서 짝이 맞지 않는 bidi 구간
+ * - 이모지 태그 시퀀스 밖의 태그 문자, 적용 대상이 없는 이형 선택자, 텍스트 중간의 BOM
+ * - U+0020이 아닌 공백 문자와 보이지 않는 채움 문자(ZWSP, HANGUL FILLER 등)
+ * @param {string} text
+ * @returns {Array<{ type: string, severity: 'high' | 'medium' | 'low', codePoint: number, char: string,
+ *                   start: number, end: number, line: number, column: number, message: string }>}
+ *   - start/end: UTF-16 위치(end 미포함), line/column: 1부터(column은 UTF-16 기준)
+ */
+function findSuspiciousCharacters(text) {
+    return _findSuspiciousCharacters(text);
+}
+
+/** 내장 테이블(data: 'bundled')의 유니코드 버전 */
+const unicodeVersion = UNICODE_VERSION;
+
 /* ------------------------------------------------------------------------------------------------
- * 9. Module export
+ * 10. Module export
  * ------------------------------------------------------------------------------------------------ */
-export { getCharacterType, analyzeText };
+export {
+    getCharacterType,
+    getCharacterInfo,
+    loadCharacterNames,
+    classifyCodePoints,
+    getCategory,
+    analyzeText,
+    createClassifier,
+    createAnalyzer,
+    createAnalyzerTransformStream,
+    tokenize,
+    transform,
+    createPolicy,
+    guessLanguage,
+    analyzeNormalization,
+    segmentByScript,
+    getRestrictionLevel,
+    skeleton,
+    areConfusable,
+    findSuspiciousCharacters,
+    getEastAsianWidth,
+    measureWidth,
+    truncateToWidth,
+    padToWidth,
+    decomposeHangul,
+    composeHangul,
+    extractChoseong,
+    matchesChoseong,
+    analyzeHangul,
+    parseEmoji,
+    getNumericValue,
+    normalizeDigits,
+    extractNumbers,
+    getBidiClass,
+    getDirection,
+    firstStrongDirection,
+    getLabel,
+    registerLabels,
+    loadFontCoverage,
+    checkCoverage,
+    CategoryId,
+    DEFAULT_STAGE_ORDER,
+    unicodeVersion,
+};
@@ -0,0 +1,224 @@
+// GlyphScope — zlib(RFC 1950/1951) 압축 해제(font.js 내부)
+// - WOFF 글꼴의 표는 zlib으로 압축되어 있습니다. 브라우저에서도 동기적으로 읽을 수 있도록
+//   Node.js zlib이나 DecompressionStream 대신 순수 JS로 풉니다.
+// - 공개 API가 아니므로 패키지 진입점(index.js)에서 재노출하지 않습니다.
+//
+// 주의:
+// - 풀린 크기를 미리 알아야 합니다(WOFF 표 디렉터리의 origLength). 크기가 다르면 손상된 데이터로 봅니다.
+// - Adler-32 검사합은 확인하지 않습니다(WOFF는 표마다 따로 검사합을 둡니다).
+
+'use strict';
+
+/** 길이 부호 257..285의 기본 길이와 추가 비트 수 */
+const _LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+const _LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+/** 거리 부호 0..29의 기본 거리와 추가 비트 수 */
+const _DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097,
+    6145, 8193, 12289, 16385, 24577,
+];
+const _DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+/** 동적 허프만 블록에서 부호 길이의 부호 길이가 나오는 순서 */
+const _CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/** 손상된 압축 데이터 */
+function _corrupt() {
+    return new RangeError('Invalid font data: corrupt compressed table.');
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 허프만 부호
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 부호 길이 목록으로 정규(canonical) 허프만 부호표를 만듭니다.
+ * @param {ArrayLike<number>} lengths - 기호별 부호 길이(0이면 쓰지 않는 기호)
+ * @returns {{ counts: Uint16Array, symbols: Uint16Array }} - counts: 길이별 부호 수, symbols: 부호 순서의 기호
+ */
+function _buildHuffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (let i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1];
+    const symbols = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        if (lengths[i]) symbols[offsets[lengths[i]]++] = i;
+    }
+    return { counts, symbols };
+}
+
+/** 고정 허프만 블록(BTYPE 01)의 부호표 */
+let _fixed = null;
+
+/** @returns {{ lit: { counts: Uint16Array, symbols: Uint16Array }, dist: { counts: Uint16Array, symbols: Uint16Array } }} */
+function _fixedTables() {
+    if (!_fixed) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        _fixed = { lit: _buildHuffman(lengths), dist: _buildHuffman(new Uint8Array(30).fill(5)) };
+    }
+    return _fixed;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 비트 읽기 / 블록 해제
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 압축 데이터를 읽는 상태(비트는 바이트의 낮은 비트부터 읽습니다)
+ * @param {Uint8Array} data
+ * @param {number} pos - 첫 블록의 바이트 위치
+ */
+function _createReader(data, pos) {
+    let bitBuf = 0;
+    let bitCount = 0;
+
+    return {
+        /** @param {number} n - 0..16 @returns {number} */
+        bits(n) {
+            while (bitCount < n) {
+                if (pos >= data.length) throw _corrupt();
+                bitBuf |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuf & ((1 << n) - 1);
+            bitBuf >>>= n;
+            bitCount -= n;
+            return value;
+        },
+        /** 남은 비트를 버리고 다음 바이트 경계로 갑니다. @returns {number} 바이트 위치 */
+        align() {
+            bitBuf = 0;
+            bitCount = 0;
+            return pos;
+        },
+        /** @param {number} next */
+        seek(next) {
+            pos = next;
+        },
+        /** @param {{ counts: Uint16Array, symbols: Uint16Array }} h @returns {number} */
+        decode(h) {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let len = 1; len < 16; len++) {
+                code |= this.bits(1);
+                const count = h.counts[len];
+                if (code - first < count) return h.symbols[index + code - first];
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw _corrupt();
+        },
+    };
+}
+
+/**
+ * 동적 허프만 블록(BTYPE 10)의 부호표를 읽습니다.
+ * @param {ReturnType<typeof _createReader>} reader
+ */
+function _readDynamicTables(reader) {
+    const hlit = reader.bits(5) + 257;
+    const hdist = reader.bits(5) + 1;
+    const hclen = reader.bits(4) + 4;
+
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < hclen; i++) codeLengths[_CODE_LENGTH_ORDER[i]] = reader.bits(3);
+    const codeLengthTable = _buildHuffman(codeLengths);
+
+    const lengths = new Uint8Array(hlit + hdist);
+    let i = 0;
+    while (i < lengths.length) {
+        const sym = reader.decode(codeLengthTable);
+        if (sym < 16) {
+            lengths[i++] = sym;
+            continue;
+        }
+        let repeat;
+        let value = 0;
+        if (sym === 16) {
+            if (i === 0) throw _corrupt();
+            value = lengths[i - 1];
+            repeat = 3 + reader.bits(2);
+        } else if (sym === 17) {
+            repeat = 3 + reader.bits(3);
+        } else {
+            repeat = 11 + reader.bits(7);
+        }
+        if (i + repeat > lengths.length) throw _corrupt();
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+    }
+    return { lit: _buildHuffman(lengths.subarray(0, hlit)), dist: _buildHuffman(lengths.subarray(hlit)) };
+}
+
+/**
+ * zlib 스트림을 풉니다.
+ * @param {Uint8Array} data - zlib 헤더(2바이트)로 시작하는 압축 데이터
+ * @param {number} size - 풀린 데이터의 크기(바이트)
+ * @returns {Uint8Array}
+ */
+function _inflate(data, size) {
+    if (data.length < 2 || (data[0] & 0x0F) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0 || (data[1] & 0x20)) {
+        throw _corrupt();
+    }
+    const out = new Uint8Array(size);
+    let outPos = 0;
+    const reader = _createReader(data, 2);
+
+    let final = 0;
+    while (!final) {
+        final = reader.bits(1);
+        const type = reader.bits(2);
+
+        if (type === 0) {
+            // 비압축 블록: LEN, NLEN(1의 보수) 뒤에 원본 바이트
+            const pos = reader.align();
+            if (pos + 4 > data.length) throw _corrupt();
+            const len = data[pos] | (data[pos + 1] << 8);
+            const nlen = data[pos + 2] | (data[pos + 3] << 8);
+            if (len !== (~nlen & 0xFFFF) || pos + 4 + len > data.length || outPos + len > size) throw _corrupt();
+            out.set(data.subarray(pos + 4, pos + 4 + len), outPos);
+            outPos += len;
+            reader.seek(pos + 4 + len);
+            continue;
+        }
+        if (type === 3) throw _corrupt();
+
+        const { lit, dist } = type === 1 ? _fixedTables() : _readDynamicTables(reader);
+        for (;;) {
+            const sym = reader.decode(lit);
+            if (sym < 256) {
+                if (outPos >= size) throw _corrupt();
+                out[outPos++] = sym;
+                continue;
+            }
+            if (sym === 256) break;
+
+            // 길이 부호, 길이 추가 비트, 거리 부호, 거리 추가 비트 순서입니다.
+            const li = sym - 257;
+            if (li >= _LENGTH_BASE.length) throw _corrupt();
+            const length = _LENGTH_BASE[li] + reader.bits(_LENGTH_EXTRA[li]);
+            const di = reader.decode(dist);
+            if (di >= _DIST_BASE.length) throw _corrupt();
+            const distance = _DIST_BASE[di] + reader.bits(_DIST_EXTRA[di]);
+            if (distance > outPos || outPos + length > size) throw _corrupt();
+            // 겹치는 복사(distance < length)가 있으므로 한 바이트씩 복사합니다.
+            for (let k = 0; k < length; k++, outPos++) out[outPos] = out[outPos - distance];
+        }
+    }
+    if (outPos !== size) throw _corrupt();
+    return out;
+}
+
+export { _inflate };
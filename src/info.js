@@ -0,0 +1,63 @@
+// GlyphScope — 원시 유니코드 속성 조회(getCharacterInfo)
+// - 분류 라벨(getCharacterType) 대신 General_Category, Script, Script_Extensions, Block, Age, Name을 그대로 돌려줍니다.
+//
+// 주의:
+// - 문자 이름 테이블은 크기가 커서 기본 진입점에 포함하지 않습니다. 'glyphscope/names'를 import하거나
+//   loadCharacterNames()를 호출해 불러온 뒤에야 name이 채워집니다(그 전에는 null).
+
+'use strict';
+
+import { _decodeRuns, _lookupRun, _lazy, _generalCategoryOf, _scriptOf, _scriptExtensionsOf } from './tables.js';
+import { BLOCK, AGE } from './data/character-info.js';
+
+/** 'glyphscope/names'가 등록한 이름 조회 함수(코드포인트 → 이름 | null) */
+let _nameLookup = null;
+
+/**
+ * 이름 조회 함수를 등록합니다('glyphscope/names'가 불러와질 때 호출).
+ * @param {(cp: number) => string | null} lookup
+ */
+function _registerNameLookup(lookup) {
+    _nameLookup = lookup;
+}
+
+/**
+ * 이름 테이블('glyphscope/names')을 동적으로 불러옵니다.
+ * - 번들러는 이 모듈을 별도 청크로 나누므로, 이름이 필요할 때만 내려받습니다.
+ * @returns {Promise<void>}
+ */
+function _loadCharacterNames() {
+    return import('./names.js').then(() => undefined);
+}
+
+/**
+ * 문자(첫 코드포인트)의 원시 유니코드 속성을 반환합니다(getCharacterInfo 본체).
+ * @param {string} char
+ * @returns {{ char: string, codePoint: string, generalCategory: string, script: string,
+ *             scriptExtensions: string[], block: string | null, age: string | null, name: string | null }}
+ *   - codePoint: 'U+0041' 형식(최소 4자리 대문자 16진수)
+ *   - script/scriptExtensions: Script 긴 이름(예: 'Latin', 'Canadian_Aboriginal')
+ *   - block: 블록 이름(블록 밖이면 null), age: 추가된 유니코드 버전(예: '1.1', 미할당이면 null)
+ *   - name: 공식 문자 이름(Name 속성). 이름이 없거나(제어 문자 등) 이름 테이블을 불러오지 않았으면 null
+ */
+function _getCharacterInfo(char) {
+    if (typeof char !== 'string' || char.length === 0) {
+        throw new TypeError('Input must be a non-empty string.');
+    }
+    const cp = char.codePointAt(0);
+    const block = _lookupRun(_lazy('block', () => _decodeRuns(BLOCK)), cp);
+    const age = _lookupRun(_lazy('age', () => _decodeRuns(AGE)), cp);
+
+    return {
+        char: String.fromCodePoint(cp),
+        codePoint: `U+${cp.toString(16).toUpperCase().padStart(4, '0')}`,
+        generalCategory: _generalCategoryOf(cp),
+        script: _scriptOf(cp),
+        scriptExtensions: _scriptExtensionsOf(cp).slice(),
+        block: block === 'No_Block' ? null : block,
+        age: age === 'NA' ? null : age,
+        name: _nameLookup ? _nameLookup(cp) : null,
+    };
+}
+
+export { _getCharacterInfo, _registerNameLookup, _loadCharacterNames };
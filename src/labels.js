@@ -0,0 +1,345 @@
+// GlyphScope — 분류 ID와 지역화 라벨(getLabel, registerLabels, CategoryId)
+// - 라벨('Han Ideograph', 'Whitespace:Space Separator' 등)은 표시용 문자열이므로 문구를 고치면 저장된 키가 깨집니다.
+//   분류 ID('han', 'whitespace.space_separator')는 라벨 문구와 무관하게 유지되는 기계용 키입니다.
+// - ID는 라벨의 ':' 구간마다 구간 ID를 붙여 '.'으로 잇습니다(_SEGMENT_IDS). 라벨 문구를 바꿀 때는 이 표의
+//   키만 바꾸고 ID는 그대로 둡니다.
+// - 한국어(ko)·일본어(ja) 라벨을 내장하며, registerLabels로 언어를 추가하거나 덮어쓸 수 있습니다.
+//
+// 주의:
+// - 사용자 지정 라벨(createClassifier의 ranges/overrides/scripts)은 표에 없으므로 라벨 문구에서 ID를 만듭니다
+//   (소문자, 영숫자 외의 글자는 '_'). 이 ID는 라벨 문구가 바뀌면 함께 바뀝니다.
+
+'use strict';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 분류 ID
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 내장 라벨 구간(':' 사이의 문자열) → 구간 ID */
+const _SEGMENT_IDS = Object.freeze({
+    // main
+    'Whitespace': 'whitespace',
+    'Control': 'control',
+    'Format': 'format',
+    'Emoji': 'emoji',
+    'Digit': 'digit',
+    'Number': 'number',
+    'Punctuation': 'punctuation',
+    'Symbol': 'symbol',
+    'Separator': 'separator',
+    'Mark': 'mark',
+    'Letter': 'letter',
+    'Other': 'other',
+    // 스크립트(글자의 main, taxonomy: 'v2'에서는 숫자의 sub)
+    'Hangul': 'hangul',
+    'Han Ideograph': 'han',
+    'Hiragana': 'hiragana',
+    'Katakana': 'katakana',
+    'Bopomofo': 'bopomofo',
+    'Latin': 'latin',
+    'Greek': 'greek',
+    'Cyrillic': 'cyrillic',
+    'Hebrew': 'hebrew',
+    'Arabic': 'arabic',
+    'Devanagari': 'devanagari',
+    'Bengali': 'bengali',
+    'Gurmukhi': 'gurmukhi',
+    'Gujarati': 'gujarati',
+    'Odia': 'odia',
+    'Tamil': 'tamil',
+    'Telugu': 'telugu',
+    'Kannada': 'kannada',
+    'Malayalam': 'malayalam',
+    'Sinhala': 'sinhala',
+    'Thai': 'thai',
+    'Lao': 'lao',
+    'Khmer': 'khmer',
+    'Myanmar': 'myanmar',
+    'Tibetan': 'tibetan',
+    'Mongolian': 'mongolian',
+    'Armenian': 'armenian',
+    'Georgian': 'georgian',
+    'Ethiopic': 'ethiopic',
+    'Cherokee': 'cherokee',
+    'Canadian Aboriginal': 'canadian_aboriginal',
+    'Runic': 'runic',
+    'Ogham': 'ogham',
+    'Yi': 'yi',
+    // sub
+    'ASCII': 'ascii',
+    'Space Separator': 'space_separator',
+    'Fixed-Width Space': 'fixed_width',
+    'Tab': 'tab',
+    'Line Break': 'line_break',
+    'Invisible': 'invisible',
+    'Zero Width': 'zero_width',
+    'Extended Pictographic': 'extended_pictographic',
+    'Emoji Component': 'component',
+    'Variation Selector': 'variation_selector',
+    'Flag': 'flag',
+    'Keycap': 'keycap',
+    'ZWJ': 'zwj',
+    'ZWNJ': 'zwnj',
+    'BOM/ZWNBS': 'bom',
+    'Syllable': 'syllable',
+    'Compatibility Jamo': 'compatibility_jamo',
+    'Jamo': 'jamo',
+    'Jamo Ext‑A': 'jamo_ext_a',
+    'Jamo Ext-A': 'jamo_ext_a',
+    'Jamo Ext‑B': 'jamo_ext_b',
+    'Jamo Ext-B': 'jamo_ext_b',
+    'Choseong': 'choseong',
+    'Jungseong': 'jungseong',
+    'Jongseong': 'jongseong',
+    'Decimal': 'decimal',
+    'Common': 'common',
+    'Other Script': 'other_script',
+    'Uppercase': 'uppercase',
+    'Lowercase': 'lowercase',
+    'Titlecase': 'titlecase',
+    'Modifier': 'modifier',
+    'Open': 'open',
+    'Close': 'close',
+    'Dash': 'dash',
+    'Quote': 'quote',
+    'Connector': 'connector',
+    'Currency': 'currency',
+    'Math': 'math',
+});
+
+/** 구간 ID → 영어 라벨 구간(getLabel의 'en'). 같은 ID의 별칭은 앞의 것(표준 표기)을 씁니다. */
+const _SEGMENT_LABELS = Object.freeze(Object.keys(_SEGMENT_IDS).reduce((out, label) => {
+    if (!out[_SEGMENT_IDS[label]]) out[_SEGMENT_IDS[label]] = label;
+    return out;
+}, {}));
+
+/**
+ * 내장 분류 ID(taxonomy 'v1'·'v2'와 그래프림 단위 집계에서 나오는 모든 분류와 main).
+ * - 'v2'의 숫자 스크립트(digit.<스크립트>)는 숫자가 있는 스크립트만 나열합니다.
+ */
+const _BUILTIN_IDS = Object.freeze(`
+whitespace whitespace.space_separator whitespace.fixed_width whitespace.control.tab whitespace.control.line_break
+whitespace.invisible.zero_width
+control format format.zwj format.zwnj format.bom
+emoji emoji.extended_pictographic emoji.component emoji.variation_selector emoji.flag emoji.keycap
+digit digit.ascii digit.decimal digit.common digit.other_script digit.arabic digit.bengali digit.devanagari
+digit.gujarati digit.gurmukhi digit.kannada digit.khmer digit.lao digit.malayalam digit.mongolian digit.myanmar
+digit.odia digit.sinhala digit.tamil digit.telugu digit.thai digit.tibetan
+number mark separator other other.ascii
+punctuation punctuation.ascii punctuation.open punctuation.close punctuation.dash punctuation.quote
+punctuation.connector punctuation.other
+symbol symbol.currency symbol.math symbol.modifier symbol.other
+letter letter.other_script letter.uppercase letter.lowercase letter.modifier letter.other
+hangul hangul.syllable hangul.compatibility_jamo hangul.jamo hangul.jamo.choseong hangul.jamo.jungseong
+hangul.jamo.jongseong hangul.jamo_ext_a hangul.jamo_ext_a.choseong hangul.jamo_ext_b hangul.jamo_ext_b.jungseong
+hangul.jamo_ext_b.jongseong hangul.letter hangul.other
+han han.letter han.modifier han.other
+hiragana hiragana.letter hiragana.modifier hiragana.other
+katakana katakana.letter katakana.modifier katakana.other
+bopomofo bopomofo.letter bopomofo.other
+latin latin.letter latin.uppercase latin.lowercase latin.titlecase latin.modifier latin.other
+greek greek.letter greek.uppercase greek.lowercase greek.titlecase greek.modifier
+cyrillic cyrillic.letter cyrillic.uppercase cyrillic.lowercase cyrillic.modifier cyrillic.other
+armenian armenian.letter armenian.uppercase armenian.lowercase armenian.modifier
+georgian georgian.letter georgian.uppercase georgian.lowercase georgian.modifier
+cherokee cherokee.letter cherokee.uppercase cherokee.lowercase
+hebrew hebrew.letter hebrew.other
+arabic arabic.letter arabic.modifier arabic.other
+devanagari devanagari.letter devanagari.modifier devanagari.other
+bengali bengali.letter bengali.other
+gurmukhi gurmukhi.letter gurmukhi.other
+gujarati gujarati.letter gujarati.other
+odia odia.letter odia.other
+tamil tamil.letter tamil.other
+telugu telugu.letter telugu.other
+kannada kannada.letter kannada.other
+malayalam malayalam.letter malayalam.other
+sinhala sinhala.letter sinhala.other
+thai thai.letter thai.modifier thai.other
+lao lao.letter lao.modifier lao.other
+khmer khmer.letter khmer.modifier khmer.other
+myanmar myanmar.letter myanmar.modifier myanmar.other
+tibetan tibetan.letter tibetan.other
+mongolian mongolian.letter mongolian.modifier mongolian.other
+ethiopic ethiopic.letter ethiopic.other
+canadian_aboriginal canadian_aboriginal.letter canadian_aboriginal.other
+runic runic.letter runic.other
+ogham ogham.letter ogham.other
+yi yi.letter yi.modifier yi.other
+`.trim().split(/\s+/));
+
+/**
+ * 분류 ID 열거 객체: 'WHITESPACE_SPACE_SEPARATOR' → 'whitespace.space_separator'
+ * @type {Readonly<Record<string, string>>}
+ */
+const CategoryId = Object.freeze(_BUILTIN_IDS.reduce((out, id) => {
+    out[id.toUpperCase().replace(/\./g, '_')] = id;
+    return out;
+}, {}));
+
+/**
+ * 라벨 구간의 ID(표에 없으면 문구에서 만듭니다)
+ * @param {string} segment
+ * @returns {string}
+ */
+function _segmentId(segment) {
+    if (Object.prototype.hasOwnProperty.call(_SEGMENT_IDS, segment)) return _SEGMENT_IDS[segment];
+    const slug = segment.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    // 영숫자가 없는 라벨(예: 한글로 지은 사용자 지정 라벨)은 문구를 그대로 씁니다.
+    return slug || segment.replace(/[.:]/g, '_');
+}
+
+/** 라벨 → 분류 ID 캐시(라벨 종류는 많지 않으므로 크기를 제한하지 않습니다) */
+const _ids = new Map();
+
+/**
+ * 라벨('main' 또는 'main:sub')의 분류 ID
+ * @param {string} label
+ * @returns {string} - 예: 'Whitespace:Control:Tab' → 'whitespace.control.tab'
+ */
+function _labelId(label) {
+    let id = _ids.get(label);
+    if (id === undefined) {
+        id = label.split(':').map(_segmentId).join('.');
+        _ids.set(label, id);
+    }
+    return id;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 지역화 라벨
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 언어별 라벨 표: 구간 ID 또는 분류 ID(앞부분 경로) → 라벨
+ * - 구간마다 가장 긴 경로 ID를 먼저 찾으므로, 'symbol.modifier'처럼 문맥에 따라 다른 번역을 줄 수 있습니다.
+ */
+const _LOCALES = Object.assign(Object.create(null), {
+    en: Object.create(null),
+    ko: {
+        'whitespace': '공백', 'control': '제어 문자', 'format': '서식 문자', 'emoji': '이모지', 'digit': '숫자',
+        'number': '기타 숫자', 'punctuation': '문장 부호', 'symbol': '기호', 'separator': '구분자', 'mark': '결합 부호',
+        'letter': '글자', 'other': '기타',
+        'hangul': '한글', 'han': '한자', 'hiragana': '히라가나', 'katakana': '가타카나', 'bopomofo': '주음 부호',
+        'latin': '라틴 문자', 'greek': '그리스 문자', 'cyrillic': '키릴 문자', 'hebrew': '히브리 문자', 'arabic': '아랍 문자',
+        'devanagari': '데바나가리 문자', 'bengali': '벵골 문자', 'gurmukhi': '구르무키 문자', 'gujarati': '구자라트 문자',
+        'odia': '오리야 문자', 'tamil': '타밀 문자', 'telugu': '텔루구 문자', 'kannada': '칸나다 문자',
+        'malayalam': '말라얄람 문자', 'sinhala': '싱할라 문자', 'thai': '타이 문자', 'lao': '라오 문자', 'khmer': '크메르 문자',
+        'myanmar': '미얀마 문자', 'tibetan': '티베트 문자', 'mongolian': '몽골 문자', 'armenian': '아르메니아 문자',
+        'georgian': '조지아 문자', 'ethiopic': '에티오피아 문자', 'cherokee': '체로키 문자',
+        'canadian_aboriginal': '캐나다 원주민 음절 문자', 'runic': '룬 문자', 'ogham': '오검 문자', 'yi': '이 문자',
+        'ascii': 'ASCII', 'space_separator': '일반 공백', 'fixed_width': '고정 폭 공백', 'tab': '탭', 'line_break': '줄바꿈',
+        'invisible': '보이지 않는 문자', 'zero_width': '폭 없는 공백', 'extended_pictographic': '그림 문자',
+        'component': '이모지 구성 요소', 'variation_selector': '이체 선택자', 'flag': '국기', 'keycap': '키캡',
+        'zwj': 'ZWJ', 'zwnj': 'ZWNJ', 'bom': 'BOM', 'syllable': '음절', 'compatibility_jamo': '호환용 자모',
+        'jamo': '첫가끝 자모', 'jamo_ext_a': '첫가끝 자모 확장-A', 'jamo_ext_b': '첫가끝 자모 확장-B', 'choseong': '초성',
+        'jungseong': '중성', 'jongseong': '종성', 'decimal': '10진 숫자', 'common': '공통', 'other_script': '기타 스크립트',
+        'uppercase': '대문자', 'lowercase': '소문자', 'titlecase': '제목 대문자', 'modifier': '수식 문자', 'open': '여는 괄호',
+        'close': '닫는 괄호', 'dash': '대시', 'quote': '따옴표', 'connector': '연결 부호', 'currency': '통화 기호',
+        'math': '수학 기호', 'symbol.modifier': '수식 기호',
+    },
+    ja: {
+        'whitespace': '空白', 'control': '制御文字', 'format': '書式文字', 'emoji': '絵文字', 'digit': '数字',
+        'number': 'その他の数字', 'punctuation': '句読点', 'symbol': '記号', 'separator': '区切り文字', 'mark': '結合文字',
+        'letter': '文字', 'other': 'その他',
+        'hangul': 'ハングル', 'han': '漢字', 'hiragana': 'ひらがな', 'katakana': 'カタカナ', 'bopomofo': '注音符号',
+        'latin': 'ラテン文字', 'greek': 'ギリシャ文字', 'cyrillic': 'キリル文字', 'hebrew': 'ヘブライ文字', 'arabic': 'アラビア文字',
+        'devanagari': 'デーヴァナーガリー文字', 'bengali': 'ベンガル文字', 'gurmukhi': 'グルムキー文字',
+        'gujarati': 'グジャラート文字', 'odia': 'オリヤー文字', 'tamil': 'タミル文字', 'telugu': 'テルグ文字',
+        'kannada': 'カンナダ文字', 'malayalam': 'マラヤーラム文字', 'sinhala': 'シンハラ文字', 'thai': 'タイ文字',
+        'lao': 'ラーオ文字', 'khmer': 'クメール文字', 'myanmar': 'ミャンマー文字', 'tibetan': 'チベット文字',
+        'mongolian': 'モンゴル文字', 'armenian': 'アルメニア文字', 'georgian': 'ジョージア文字', 'ethiopic': 'エチオピア文字',
+        'cherokee': 'チェロキー文字', 'canadian_aboriginal': 'カナダ先住民音節文字', 'runic': 'ルーン文字',
+        'ogham': 'オガム文字', 'yi': 'イ文字',
+        'ascii': 'ASCII', 'space_separator': 'スペース', 'fixed_width': '固定幅スペース', 'tab': 'タブ', 'line_break': '改行',
+        'invisible': '不可視文字', 'zero_width': 'ゼロ幅スペース', 'extended_pictographic': '絵記号',
+        'component': '絵文字構成要素', 'variation_selector': '異体字セレクタ', 'flag': '国旗', 'keycap': 'キーキャップ',
+        'zwj': 'ZWJ', 'zwnj': 'ZWNJ', 'bom': 'BOM', 'syllable': '音節', 'compatibility_jamo': '互換字母',
+        'jamo': '字母', 'jamo_ext_a': '字母拡張A', 'jamo_ext_b': '字母拡張B', 'choseong': '初声', 'jungseong': '中声',
+        'jongseong': '終声', 'decimal': '10進数字', 'common': '共通', 'other_script': 'その他の文字体系',
+        'uppercase': '大文字', 'lowercase': '小文字', 'titlecase': 'タイトルケース', 'modifier': '修飾文字',
+        'open': '開き括弧', 'close': '閉じ括弧', 'dash': 'ダッシュ', 'quote': '引用符', 'connector': '連結符',
+        'currency': '通貨記号', 'math': '数学記号', 'symbol.modifier': '修飾記号',
+    },
+});
+
+/**
+ * 언어 태그를 등록된 라벨 표의 키로 바꿉니다('ko-KR'처럼 등록되지 않은 지역 태그는 언어 부분으로).
+ * @param {any} locale
+ * @returns {string}
+ */
+function _resolveLocale(locale) {
+    if (typeof locale !== 'string' || locale.length === 0) {
+        throw new TypeError('locale must be a non-empty string.');
+    }
+    const tag = locale.replace(/_/g, '-').toLowerCase();
+    if (tag in _LOCALES) return tag;
+    const language = tag.split('-')[0];
+    if (language in _LOCALES) return language;
+    throw new RangeError(`Unknown locale: ${locale}`);
+}
+
+/**
+ * 분류 ID의 라벨(getLabel 본체).
+ * - 구간마다 지정한 언어의 라벨을 찾고, 없으면 영어 라벨을 씁니다.
+ * @param {string} id - 분류 ID(예: 'whitespace.space_separator')
+ * @param {string} [locale] - 'en'(기본), 'ko', 'ja' 또는 registerLabels로 등록한 언어
+ * @returns {string} - 'main' 또는 'main:sub' 형식(예: '공백:일반 공백')
+ */
+function _getLabel(id, locale = 'en') {
+    if (typeof id !== 'string' || id.length === 0) {
+        throw new TypeError('id must be a non-empty string.');
+    }
+    const labels = _LOCALES[_resolveLocale(locale)];
+    const segments = id.split('.');
+    return segments.map((segment, i) => {
+        const path = segments.slice(0, i + 1).join('.');
+        if (Object.prototype.hasOwnProperty.call(labels, path)) return labels[path];
+        if (Object.prototype.hasOwnProperty.call(labels, segment)) return labels[segment];
+        if (Object.prototype.hasOwnProperty.call(_SEGMENT_LABELS, segment)) return _SEGMENT_LABELS[segment];
+        throw new RangeError(`Unknown category id: ${id}`);
+    }).join(':');
+}
+
+/**
+ * 라벨을 지정한 언어로 옮깁니다(analyzeText의 locale).
+ * - 번역이 없는 구간(사용자 지정 라벨 등)은 원래 문구를 그대로 씁니다.
+ * @param {string} label - 'main' 또는 'main:sub'
+ * @param {string} locale - _resolveLocale을 거친 언어 키
+ * @returns {string}
+ */
+function _localizeLabel(label, locale) {
+    const labels = _LOCALES[locale];
+    const segments = label.split(':');
+    const ids = _labelId(label).split('.');
+    return segments.map((segment, i) => {
+        const path = ids.slice(0, i + 1).join('.');
+        if (Object.prototype.hasOwnProperty.call(labels, path)) return labels[path];
+        if (Object.prototype.hasOwnProperty.call(labels, ids[i])) return labels[ids[i]];
+        return segment;
+    }).join(':');
+}
+
+/**
+ * 언어의 라벨을 등록합니다(이미 있는 언어이면 주어진 항목만 덮어씁니다).
+ * @param {string} locale - 언어 태그(예: 'zh', 'fr-CA')
+ * @param {Record<string, string>} labels - 구간 ID 또는 분류 ID → 라벨(':'는 쓸 수 없음)
+ */
+function _registerLabels(locale, labels) {
+    if (typeof locale !== 'string' || locale.length === 0) {
+        throw new TypeError('locale must be a non-empty string.');
+    }
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+        throw new TypeError('labels must be an object of id → label.');
+    }
+    for (const id of Object.keys(labels)) {
+        const label = labels[id];
+        if (typeof label !== 'string' || label.length === 0 || label.indexOf(':') !== -1) {
+            throw new TypeError(`labels["${id}"] must be a non-empty string without ':'.`);
+        }
+    }
+    const tag = locale.replace(/_/g, '-').toLowerCase();
+    _LOCALES[tag] = Object.assign(_LOCALES[tag] || Object.create(null), labels);
+}
+
+export { CategoryId, _labelId, _getLabel, _localizeLabel, _registerLabels, _resolveLocale };
@@ -0,0 +1,258 @@
+// GlyphScope — 스크립트 분포 기반 언어 추정(guessLanguage)
+// - 분류기의 main 라벨(스크립트)로 글자를 세고, 스크립트 묶음마다 언어 후보를 정합니다.
+//   · 한자/가나/한글/주음: 가나가 있으면 일본어, 한글이 있으면 한국어, 한자만 있으면 중국어
+//   · 키릴/라틴/아랍: 언어를 구분하는 글자와 자주 쓰는 낱말(작은 빈도 프로필)로 점수를 매깁니다.
+//   · 그 밖의 스크립트는 스크립트 라벨에서 바로 언어로 대응시킵니다(예: 'Thai' → 'th').
+// - 외부 데이터나 네트워크 없이 동작하며, 결과는 휴리스틱입니다(짧은 텍스트일수록 부정확).
+// - 입력은 NFC로 맞춘 뒤 셉니다. 정규화는 분류기의 data 설정을 따릅니다(normalize.js의 _normalizerFor).
+
+'use strict';
+
+import { _normalizerFor } from './normalize.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 스크립트 라벨 → 언어
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 한 스크립트를 사실상 한 언어가 쓰는 경우(_SCRIPT_DETECTORS 라벨 → BCP 47 언어 코드) */
+const _SINGLE_SCRIPT_LANGUAGES = Object.freeze({
+    'Greek': 'el',
+    'Hebrew': 'he',
+    'Devanagari': 'hi',
+    'Bengali': 'bn',
+    'Gurmukhi': 'pa',
+    'Gujarati': 'gu',
+    'Odia': 'or',
+    'Tamil': 'ta',
+    'Telugu': 'te',
+    'Kannada': 'kn',
+    'Malayalam': 'ml',
+    'Sinhala': 'si',
+    'Thai': 'th',
+    'Lao': 'lo',
+    'Khmer': 'km',
+    'Myanmar': 'my',
+    'Tibetan': 'bo',
+    'Mongolian': 'mn',
+    'Armenian': 'hy',
+    'Georgian': 'ka',
+    'Ethiopic': 'am',
+    'Cherokee': 'chr',
+    'Canadian Aboriginal': 'iu',
+    'Yi': 'ii',
+});
+
+/** 한중일 표기에 쓰이는 라벨 */
+const _CJK_LABELS = new Set(['Han Ideograph', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo']);
+
+/**
+ * 프로필 기반 언어 묶음
+ * - markers: 그 언어에서만(또는 주로) 쓰는 글자, words: 자주 쓰는 낱말(소문자)
+ * - order: 기본 글자 빈도 순위(라틴만, 낱말·표식 글자가 없을 때의 약한 단서)
+ */
+const _PROFILES = Object.freeze({
+    Latin: {
+        en: { markers: '', order: 'etaoinshrdlcumwfgypbvkjxqz',
+            words: 'the and of to is in that it you was for are with this be have not on' },
+        fr: { markers: 'àâæçèéêëîïôœùûÿ', order: 'esaitnrulodcmpvqfbghjxyzkw',
+            words: 'le la les et est des une un que pas du pour qui dans ce il je vous nous sont au' },
+        de: { markers: 'äöüß', order: 'enisratdhulcgmobwfkzpvjyxq',
+            words: 'der die und das ist nicht ich zu den mit sie es ein eine auf sich dem auch' },
+        es: { markers: 'ñáéíóú¿¡', order: 'eaosrnidlctumpbgvyqhfzjxkw',
+            words: 'el la los las de que y en es por una un con no se del para al lo' },
+        it: { markers: 'àèéìòù', order: 'eaionlrtscdupmvghfbqzkjxwy',
+            words: 'il di che e la per non un sono della è le gli una del con ma' },
+        pt: { markers: 'ãõçâêôáéíóúà', order: 'aeosridmntculpvgqbfhzjxkwy',
+            words: 'o a de que e não um uma do da para com os as em se no é' },
+        nl: { markers: '', order: 'enatirodslghvkmubpwjczfxyq',
+            words: 'de het een en van is niet dat ik te zijn op met voor die er ook' },
+        pl: { markers: 'ąęłśźżńćó', order: 'aioeznwrscydkmtpujlgbhfvxq',
+            words: 'i w nie na się z że do to jest jak co ale o' },
+        tr: { markers: 'ğşıçöü', order: 'aeinrldkmuytsbozghvcpfjwxq',
+            words: 've bir bu da de için ile ne çok gibi ben o mi daha' },
+        vi: { markers: 'đơưăạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ', order: 'nhticgaoumdlvbeqrpsyxkfjzw',
+            words: 'và của là có không được các một những người cho này trong với đã' },
+        sv: { markers: 'åäö', order: 'eantrslidomkgvhfupcbyjxwzq',
+            words: 'och att det som en på är för med har inte den av till jag' },
+        cs: { markers: 'čřůěšžýďťň', order: 'oeanitvslrkdupmcyzhjbgfxwq',
+            words: 'a je se na v že to není jsem s do by jak ale' },
+        hu: { markers: 'őűáéíóöúü', order: 'eatlnskomzrigdyvbhjfupcx',
+            words: 'a az és hogy nem egy is meg van de csak ez' },
+        ro: { markers: 'ăâîșțşţ', order: 'eiartnuclosdpmfvbgzhjxkywq',
+            words: 'și de în la cu nu o să pe un a este că din' },
+    },
+    Cyrillic: {
+        ru: { markers: 'ыэё', words: 'и в не на что я с он как это по но из у' },
+        uk: { markers: 'іїєґ', words: 'і в не на що я з це та як до у але й' },
+        be: { markers: 'ўі', words: 'і ў не на што я з гэта як да але' },
+        bg: { markers: 'ъѝ', words: 'и на да е се не в за от са съм това как' },
+        sr: { markers: 'ђјљњћџ', words: 'и у је да не се на за од су са' },
+        mk: { markers: 'ѓќѕјљњ', words: 'и на да се не во е од со за го' },
+    },
+    Arabic: {
+        ar: { markers: 'ةىأإ', words: 'في من على أن إلى عن هذا التي الذي مع' },
+        fa: { markers: 'پچژگیک', words: 'و در به از که این را با است برای' },
+        ur: { markers: 'ٹڈڑںےھ', words: 'کے میں کی ہے اور کو سے نے یہ پر' },
+    },
+});
+
+/** 프로필 묶음별 낱말 집합(지연 생성) */
+const _wordSets = new Map();
+
+/**
+ * @param {string} group - 'Latin' | 'Cyrillic' | 'Arabic'
+ * @param {string} lang
+ * @returns {Set<string>}
+ */
+function _wordsOf(group, lang) {
+    const key = `${group}:${lang}`;
+    let set = _wordSets.get(key);
+    if (!set) {
+        set = new Set(_PROFILES[group][lang].words.split(' '));
+        _wordSets.set(key, set);
+    }
+    return set;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 묶음별 점수
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 글자 빈도 순위가 프로필과 얼마나 비슷한지(0..1, Cavnar–Trenkle의 순위 차이를 단순화)
+ * @param {Map<string, number>} counts - 글자 → 횟수
+ * @param {string} order - 프로필 순위
+ * @returns {number}
+ */
+function _rankSimilarity(counts, order) {
+    const ranked = Array.from(counts.keys()).filter((c) => order.indexOf(c) !== -1)
+        .sort((a, b) => counts.get(b) - counts.get(a));
+    if (ranked.length === 0) return 0;
+
+    let distance = 0;
+    ranked.forEach((c, i) => { distance += Math.abs(order.indexOf(c) - i); });
+    return 1 - distance / (ranked.length * order.length);
+}
+
+/**
+ * 프로필 묶음(Latin/Cyrillic/Arabic) 안에서 언어별 점수를 매깁니다.
+ * - 낱말 일치 3점, 표식 글자 2점, (라틴) 글자 순위 유사도 최대 1점
+ * @param {string} group
+ * @param {string[]} words - 소문자 낱말
+ * @returns {Record<string, number>}
+ */
+function _scoreProfiles(group, words) {
+    const chars = new Map();
+    for (const w of words) for (const c of w) chars.set(c, (chars.get(c) || 0) + 1);
+
+    const scores = {};
+    for (const lang of Object.keys(_PROFILES[group])) {
+        const profile = _PROFILES[group][lang];
+        const dict = _wordsOf(group, lang);
+
+        let score = 0;
+        for (const w of words) if (dict.has(w)) score += 3;
+        for (const [c, n] of chars) if (profile.markers.indexOf(c) !== -1) score += 2 * n;
+        if (profile.order) score += _rankSimilarity(chars, profile.order);
+        scores[lang] = score;
+    }
+    return scores;
+}
+
+/**
+ * 한중일 글자 수로 ja/ko/zh 점수를 매깁니다.
+ * - 가나는 일본어, 한글은 한국어, 주음은 중국어의 근거이며, 한자는 이들 근거의 비율대로 나눕니다
+ *   (근거가 없으면 중국어).
+ * @param {Map<string, number>} counts - 라벨 → 글자 수
+ * @returns {Record<string, number>}
+ */
+function _scoreCjk(counts) {
+    const han = counts.get('Han Ideograph') || 0;
+    const ja = (counts.get('Hiragana') || 0) + (counts.get('Katakana') || 0);
+    const ko = counts.get('Hangul') || 0;
+    const zh = counts.get('Bopomofo') || 0;
+
+    const evidence = ja + ko + zh;
+    if (evidence === 0) return { zh: han };
+    return { ja: ja + han * (ja / evidence), ko: ko + han * (ko / evidence), zh: zh + han * (zh / evidence) };
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. guessLanguage 본체
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 텍스트의 언어를 추정합니다(guessLanguage 본체).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, data: 'native' | 'bundled' }} classifier
+ * @param {string} text
+ * @returns {Array<{ language: string, confidence: number }>}
+ *   - language: BCP 47 언어 코드(예: 'ko', 'ja', 'zh', 'en', 'ru')
+ *   - confidence: 0..1(소수 셋째 자리까지), 내림차순 정렬. 0.01 미만 후보는 제외
+ *   - 글자(스크립트 라벨)가 없으면 빈 배열
+ */
+function _guessLanguageWith(classifier, text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+
+    /** 라벨 → 글자 수 */
+    const counts = new Map();
+    /** 프로필 묶음 → 소문자 낱말 목록 */
+    const words = { Latin: [], Cyrillic: [], Arabic: [] };
+    let word = '';
+    let wordGroup = null;
+    const endWord = () => {
+        if (word) words[wordGroup].push(word);
+        word = '';
+        wordGroup = null;
+    };
+
+    for (const ch of _normalizerFor(classifier.data)(text, 'NFC')) {
+        const { main } = classifier.getCharacterType(ch);
+        const known = _CJK_LABELS.has(main) || Object.prototype.hasOwnProperty.call(_SINGLE_SCRIPT_LANGUAGES, main) ||
+            Object.prototype.hasOwnProperty.call(_PROFILES, main);
+        if (known) counts.set(main, (counts.get(main) || 0) + 1);
+
+        if (Object.prototype.hasOwnProperty.call(_PROFILES, main)) {
+            if (wordGroup !== main) endWord();
+            wordGroup = main;
+            word += ch.toLowerCase();
+        } else {
+            endWord();
+            // ¿, ¡ 같은 표식 문장 부호는 낱말 밖에 있으므로 한 글자 낱말로 넣어 둡니다.
+            if ('¿¡'.indexOf(ch) !== -1) words.Latin.push(ch);
+        }
+    }
+    endWord();
+
+    let total = 0;
+    for (const n of counts.values()) total += n;
+    if (total === 0) return [];
+
+    /** 언어 → 신뢰도(스크립트 비율 × 묶음 안의 점수 비율) */
+    const confidence = new Map();
+    const add = (groupShare, scores) => {
+        let sum = 0;
+        for (const lang of Object.keys(scores)) sum += scores[lang];
+        const langs = Object.keys(scores);
+        for (const lang of langs) {
+            // 구분할 단서가 전혀 없으면 묶음 안의 후보에 고르게 나눕니다.
+            const share = sum === 0 ? 1 / langs.length : scores[lang] / sum;
+            confidence.set(lang, (confidence.get(lang) || 0) + groupShare * share);
+        }
+    };
+
+    let cjk = 0;
+    for (const [label, n] of counts) {
+        if (_CJK_LABELS.has(label)) cjk += n;
+        else if (Object.prototype.hasOwnProperty.call(_PROFILES, label)) add(n / total, _scoreProfiles(label, words[label]));
+        else add(n / total, { [_SINGLE_SCRIPT_LANGUAGES[label]]: 1 });
+    }
+    if (cjk) add(cjk / total, _scoreCjk(counts));
+
+    return Array.from(confidence, ([language, c]) => ({ language, confidence: Math.round(c * 1000) / 1000 }))
+        .filter((r) => r.confidence >= 0.01)
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+export { _guessLanguageWith };
@@ -0,0 +1,25 @@
+/**
+ * Unicode character names (`glyphscope/names`)
+ *
+ * Importing this entry point also makes `getCharacterInfo()` fill in `name`.
+ */
+
+/**
+ * Get the official Unicode name of a character.
+ *
+ * Hangul syllables, CJK unified ideographs and Tangut ideographs get their rule-based names.
+ *
+ * @param char - A non-empty string (only the first code point is used)
+ * @returns The name, or `null` for controls, private use, surrogates and unassigned code points
+ * @throws {TypeError} When input is not a non-empty string
+ *
+ * @example
+ * ```typescript
+ * import { getCharacterName } from 'glyphscope/names';
+ *
+ * getCharacterName('A'); // 'LATIN CAPITAL LETTER A'
+ * getCharacterName('한'); // 'HANGUL SYLLABLE HAN'
+ * getCharacterName('\u0000'); // null
+ * ```
+ */
+export function getCharacterName(char: string): string | null;
\ No newline at end of file
@@ -0,0 +1,98 @@
+// GlyphScope — 유니코드 문자 이름('glyphscope/names')
+// - 이름 테이블(src/data/names.js)은 기본 진입점에 비해 크므로 별도 진입점으로 분리합니다.
+//   이 모듈을 import하면 getCharacterInfo()의 name도 채워집니다.
+// - CJK 통합 한자·탕구트 문자는 '<접두사><16진수>', 한글 음절은 자모 이름 규칙(Unicode §3.12)으로 이름을 만듭니다.
+
+'use strict';
+
+import { NAMES } from './data/names.js';
+import { _registerNameLookup } from './info.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 이름 테이블
+ * ------------------------------------------------------------------------------------------------ */
+
+/** @param {number} cp @returns {string} - 최소 4자리 대문자 16진수 */
+function _hex(cp) {
+    return cp.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/** 디코딩한 이름(코드포인트 → 이름), 처음 조회할 때 만듭니다. */
+let _names = null;
+
+/**
+ * 생성 테이블을 디코딩합니다(형식은 scripts/generate-unicode-data.js의 generateNames 참고).
+ * @returns {Map<number, string>}
+ */
+function _decodeNames() {
+    const words = NAMES.words.split(' ');
+    const map = new Map();
+
+    let cp = -1;
+    let prev = [];
+    for (const entry of NAMES.entries.split(' ')) {
+        let body = entry;
+        const colon = body.indexOf(':');
+        if (colon === -1) {
+            cp += 1;
+        } else {
+            cp += parseInt(body.slice(0, colon), 36);
+            body = body.slice(colon + 1);
+        }
+        const hex = body.endsWith('#');
+        if (hex) body = body.slice(0, -1);
+
+        const shared = parseInt(body[0], 36);
+        const rest = body.length > 1 ? body.slice(1).split('.').map((i) => words[parseInt(i, 36)]) : [];
+        const ws = prev.slice(0, shared).concat(rest);
+        map.set(cp, ws.join(' ') + (hex ? `-${_hex(cp)}` : ''));
+        prev = ws;
+    }
+    return map;
+}
+
+/** 한글 음절 이름의 자모 부분(Jamo.txt의 Jamo_Short_Name) */
+const _JAMO_L = ['G', 'GG', 'N', 'D', 'DD', 'R', 'M', 'B', 'BB', 'S', 'SS', '', 'J', 'JJ', 'C', 'K', 'T', 'P', 'H'];
+const _JAMO_V = ['A', 'AE', 'YA', 'YAE', 'EO', 'E', 'YEO', 'YE', 'O', 'WA', 'WAE', 'OE', 'YO', 'U', 'WEO', 'WE', 'WI',
+    'YU', 'EU', 'YI', 'I'];
+const _JAMO_T = ['', 'G', 'GG', 'GS', 'N', 'NJ', 'NH', 'D', 'L', 'LG', 'LM', 'LB', 'LS', 'LT', 'LP', 'LH', 'M', 'B',
+    'BS', 'S', 'SS', 'NG', 'J', 'C', 'K', 'T', 'P', 'H'];
+
+/**
+ * 코드포인트의 이름(Name 속성)
+ * @param {number} cp
+ * @returns {string|null}
+ */
+function _nameOf(cp) {
+    if (cp >= 0xAC00 && cp <= 0xD7A3) {
+        const s = cp - 0xAC00;
+        return `HANGUL SYLLABLE ${_JAMO_L[Math.floor(s / 588)]}${_JAMO_V[Math.floor((s % 588) / 28)]}${_JAMO_T[s % 28]}`;
+    }
+    for (const [from, to, prefix] of NAMES.ranges) {
+        if (cp >= from && cp <= to) return prefix + _hex(cp);
+    }
+    if (!_names) _names = _decodeNames();
+    const name = _names.get(cp);
+    return name === undefined ? null : name;
+}
+
+_registerNameLookup(_nameOf);
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 공개 API
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 문자(첫 코드포인트)의 공식 이름을 반환합니다.
+ * - 제어 문자, 사용자 정의 영역, 서로게이트, 미할당 코드포인트는 이름이 없으므로 null입니다.
+ * @param {string} char
+ * @returns {string|null}
+ */
+function getCharacterName(char) {
+    if (typeof char !== 'string' || char.length === 0) {
+        throw new TypeError('Input must be a non-empty string.');
+    }
+    return _nameOf(char.codePointAt(0));
+}
+
+export { getCharacterName };
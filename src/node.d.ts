@@ -0,0 +1,38 @@
+/**
+ * Node.js-only helpers (`glyphscope/node`)
+ */
+
+import type { Transform } from 'stream';
+import type { AnalyzeOptions } from './index.js';
+
+/**
+ * Options for {@link createAnalyzerStream}
+ */
+export interface AnalyzerStreamOptions extends AnalyzeOptions {
+  /**
+   * Encoding of Buffer chunks
+   * @default 'utf8'
+   */
+  encoding?: BufferEncoding;
+}
+
+/**
+ * Wrap an incremental analyzer in a Node.js `Transform` stream.
+ * The writable side accepts Buffer or string chunks (multi-byte characters split across chunks are
+ * decoded correctly); the readable side (object mode) emits a single `TextAnalysis` when the input ends.
+ *
+ * @param options - Analysis options plus the Buffer encoding
+ * @returns A transform stream
+ * @throws {RangeError} When an option value is invalid
+ *
+ * @example
+ * ```typescript
+ * import { createReadStream } from 'fs';
+ * import { createAnalyzerStream } from 'glyphscope/node';
+ *
+ * createReadStream('corpus.txt')
+ *   .pipe(createAnalyzerStream({ unit: 'grapheme', maxChars: 0 }))
+ *   .on('data', (result) => console.log(result.total));
+ * ```
+ */
+export function createAnalyzerStream(options?: AnalyzerStreamOptions): Transform;
\ No newline at end of file
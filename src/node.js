@@ -0,0 +1,46 @@
+// GlyphScope — Node.js 전용 도우미('glyphscope/node')
+// - Node.js 내장 모듈(stream, string_decoder)을 쓰므로 패키지 기본 진입점과 분리합니다.
+//   브라우저 번들에는 포함되지 않습니다.
+
+'use strict';
+
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { createAnalyzer } from './index.js';
+
+/**
+ * 점진 분석기를 Node.js Transform 스트림으로 감쌉니다.
+ * - 쓰기 쪽: Buffer 또는 문자열 조각(멀티바이트 문자가 조각 경계에 걸려도 올바르게 디코딩)
+ * - 읽기 쪽(objectMode): 입력이 끝나면 분석 결과 객체(analyzeText와 같은 형태) 하나
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', maxChars?: number,
+ *           data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2', encoding?: BufferEncoding }} [options]
+ *   - encoding: Buffer 조각의 인코딩(기본 'utf8')
+ * @returns {Transform}
+ */
+function createAnalyzerStream(options = {}) {
+    const { encoding = 'utf8', ...analyzeOptions } = options;
+    const analyzer = createAnalyzer(analyzeOptions);
+    const decoder = new StringDecoder(encoding);
+
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, _enc, callback) {
+            try {
+                analyzer.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+                callback();
+            } catch (err) {
+                callback(err);
+            }
+        },
+        flush(callback) {
+            try {
+                analyzer.push(decoder.end());
+                callback(null, analyzer.result());
+            } catch (err) {
+                callback(err);
+            }
+        },
+    });
+}
+
+export { createAnalyzerStream };
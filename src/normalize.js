@@ -0,0 +1,297 @@
+// GlyphScope — 유니코드 정규화 분석(analyzeNormalization)
+// - NFC/NFD/NFKC/NFKD 각각에 대해 텍스트가 이미 정규형인지, 어떤 글자가 무엇으로 바뀌는지(위치 포함) 보고하고
+//   바뀌는 글자를 GlyphScope 분류 라벨별로 묶습니다.
+// - 정규화는 분류기의 data 설정을 따릅니다. 'bundled'이거나 런타임에 String.prototype.normalize가 없으면
+//   내장 테이블(src/data/normalization.js, UAX #15)로 직접 정규화하고, 그 밖에는 String.prototype.normalize
+//   (런타임의 유니코드 버전)를 씁니다.
+//
+// 주의:
+// - 바뀌는 단위는 "정규화 구간"(앞 글자와 합성·재배열될 수 없는 기저 문자부터 다음 기저 문자 전까지)입니다.
+//   'e' + U+0301처럼 합성되는 경우 두 글자가 한 변경으로 보고됩니다.
+
+'use strict';
+
+import { _decodeRuns, _decodeRanges, _lookupRun, _inRangeSet, _lazy } from './tables.js';
+import { CANONICAL_COMBINING_CLASS, DECOMPOSITIONS, COMPOSITION_EXCLUSIONS } from './data/normalization.js';
+
+/** 정규형 */
+const _FORMS = Object.freeze(['NFC', 'NFD', 'NFKC', 'NFKD']);
+
+/** 런타임이 String.prototype.normalize를 지원하는지 */
+const _HAS_NATIVE_NORMALIZE = typeof String.prototype.normalize === 'function';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 내장 테이블
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 한글 음절 분해·합성 상수(Unicode §3.12) */
+const _S_BASE = 0xAC00;
+const _L_BASE = 0x1100;
+const _V_BASE = 0x1161;
+const _T_BASE = 0x11A7;
+const _L_COUNT = 19;
+const _V_COUNT = 21;
+const _T_COUNT = 28;
+const _N_COUNT = _V_COUNT * _T_COUNT;
+const _S_COUNT = _L_COUNT * _N_COUNT;
+
+/**
+ * Canonical_Combining_Class
+ * @param {number} cp
+ * @returns {number}
+ */
+function _cccOf(cp) {
+    return Number(_lookupRun(_lazy('ccc', () => _decodeRuns(CANONICAL_COMBINING_CLASS)), cp));
+}
+
+/**
+ * 분해 매핑(한 단계)
+ * @returns {Map<number, { compat: boolean, to: number[] }>}
+ */
+function _decompositions() {
+    return _lazy('decomp', () => {
+        const sources = DECOMPOSITIONS.sources.split(' ');
+        const targets = DECOMPOSITIONS.targets.split(' ');
+        const map = new Map();
+
+        let cp = -1;
+        for (let i = 0; i < sources.length; i++) {
+            cp += parseInt(sources[i], 36);
+            const compat = targets[i][0] === '~';
+            const to = (compat ? targets[i].slice(1) : targets[i]).split('.').map((t) => parseInt(t, 36));
+            map.set(cp, { compat, to });
+        }
+        return map;
+    });
+}
+
+/**
+ * 정준 합성 쌍(앞 코드포인트 → 뒤 코드포인트 → 합성 결과), Full_Composition_Exclusion 제외
+ * @returns {Map<number, Map<number, number>>}
+ */
+function _compositions() {
+    return _lazy('compose', () => {
+        const excluded = _decodeRanges(COMPOSITION_EXCLUSIONS);
+        const map = new Map();
+        for (const [cp, { compat, to }] of _decompositions()) {
+            if (compat || to.length !== 2 || _inRangeSet(excluded, cp)) continue;
+            if (!map.has(to[0])) map.set(to[0], new Map());
+            map.get(to[0]).set(to[1], cp);
+        }
+        return map;
+    });
+}
+
+/**
+ * 앞 글자와 합성될 수 있는 코드포인트(합성 쌍의 뒤 글자, 한글 중성·종성)
+ * @returns {Set<number>}
+ */
+function _compositionSeconds() {
+    return _lazy('composeSecond', () => {
+        const set = new Set();
+        for (const seconds of _compositions().values()) for (const cp of seconds.keys()) set.add(cp);
+        return set;
+    });
+}
+
+/** @param {number} cp @returns {boolean} */
+function _composesWithPrevious(cp) {
+    return (cp >= _V_BASE && cp < _V_BASE + _V_COUNT) || (cp > _T_BASE && cp < _T_BASE + _T_COUNT) ||
+        _compositionSeconds().has(cp);
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 내장 정규화(UAX #15)
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 코드포인트를 완전 분해해 out에 넣습니다.
+ * @param {number} cp
+ * @param {boolean} compat - 호환 분해까지 적용할지(NFKD/NFKC)
+ * @param {number[]} out
+ */
+function _decomposeInto(cp, compat, out) {
+    const s = cp - _S_BASE;
+    if (s >= 0 && s < _S_COUNT) {
+        out.push(_L_BASE + Math.floor(s / _N_COUNT), _V_BASE + Math.floor((s % _N_COUNT) / _T_COUNT));
+        if (s % _T_COUNT) out.push(_T_BASE + (s % _T_COUNT));
+        return;
+    }
+    const d = _decompositions().get(cp);
+    if (!d || (d.compat && !compat)) {
+        out.push(cp);
+        return;
+    }
+    for (const c of d.to) _decomposeInto(c, compat, out);
+}
+
+/**
+ * 정준 순서 재배열: 연속한 결합 문자(ccc > 0)를 ccc 오름차순으로 안정 정렬합니다.
+ * @param {number[]} cps
+ */
+function _reorder(cps) {
+    for (let i = 1; i < cps.length; i++) {
+        const cp = cps[i];
+        const cls = _cccOf(cp);
+        if (cls === 0) continue;
+        let j = i;
+        while (j > 0 && _cccOf(cps[j - 1]) > cls) {
+            cps[j] = cps[j - 1];
+            j--;
+        }
+        cps[j] = cp;
+    }
+}
+
+/**
+ * 정준 합성
+ * @param {number[]} cps - 분해·재배열된 코드포인트
+ * @returns {number[]}
+ */
+function _compose(cps) {
+    const pairs = _compositions();
+    const out = [];
+    let starter = -1;
+    /** 직전에 남긴 글자의 ccc(합성되지 않고 남은 글자 기준) */
+    let lastClass = -1;
+
+    for (const cp of cps) {
+        const cls = _cccOf(cp);
+        if (starter !== -1 && (lastClass < cls || (lastClass === 0 && out.length - 1 === starter))) {
+            const first = out[starter];
+            // 한글 LV, LV + T
+            const l = first - _L_BASE;
+            const sv = first - _S_BASE;
+            let composed = -1;
+            if (l >= 0 && l < _L_COUNT && cp >= _V_BASE && cp < _V_BASE + _V_COUNT) {
+                composed = _S_BASE + (l * _V_COUNT + (cp - _V_BASE)) * _T_COUNT;
+            } else if (sv >= 0 && sv < _S_COUNT && sv % _T_COUNT === 0 && cp > _T_BASE && cp < _T_BASE + _T_COUNT) {
+                composed = first + (cp - _T_BASE);
+            } else if (pairs.has(first) && pairs.get(first).has(cp)) {
+                composed = pairs.get(first).get(cp);
+            }
+            if (composed !== -1) {
+                out[starter] = composed;
+                continue;
+            }
+        }
+        if (cls === 0) starter = out.length;
+        lastClass = cls;
+        out.push(cp);
+    }
+    return out;
+}
+
+/**
+ * 내장 테이블로 정규화합니다.
+ * @param {string} text
+ * @param {'NFC' | 'NFD' | 'NFKC' | 'NFKD'} form
+ * @returns {string}
+ */
+function _normalizeBundled(text, form) {
+    const compat = form === 'NFKC' || form === 'NFKD';
+    const cps = [];
+    for (const ch of text) _decomposeInto(ch.codePointAt(0), compat, cps);
+    _reorder(cps);
+    const out = form === 'NFC' || form === 'NFKC' ? _compose(cps) : cps;
+
+    // 긴 문자열에서 fromCodePoint의 인자 수 제한을 피하려고 나눠서 잇습니다.
+    let s = '';
+    for (let i = 0; i < out.length; i += 4096) s += String.fromCodePoint(...out.slice(i, i + 4096));
+    return s;
+}
+
+/**
+ * 분류기의 data 설정에 맞는 정규화 함수('bundled'이거나 런타임에 normalize가 없으면 내장 테이블)
+ * @param {'native' | 'bundled'} data
+ * @returns {(text: string, form: 'NFC' | 'NFD' | 'NFKC' | 'NFKD') => string}
+ */
+function _normalizerFor(data) {
+    return data === 'bundled' || !_HAS_NATIVE_NORMALIZE ? _normalizeBundled : (s, form) => s.normalize(form);
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. analyzeNormalization 본체
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 정규화 구간의 시작(앞 글자와 합성·재배열되지 않는 기저 문자)인지
+ * - 호환 분해 결과의 첫 글자도 보므로 반각 탁점(U+FF9E → U+3099)처럼 앞 글자와 합성되는 경우도 이어 붙입니다.
+ * @param {number} cp
+ * @returns {boolean}
+ */
+function _isSegmentStart(cp) {
+    if (_cccOf(cp) !== 0 || _composesWithPrevious(cp)) return false;
+    const first = [];
+    _decomposeInto(cp, true, first);
+    return _cccOf(first[0]) === 0 && !_composesWithPrevious(first[0]);
+}
+
+/**
+ * 텍스트를 정규화 구간으로 나눕니다.
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+function _segments(text) {
+    const out = [];
+    let start = 0;
+    let at = 0;
+    for (const ch of text) {
+        if (at > start && _isSegmentStart(ch.codePointAt(0))) {
+            out.push({ start, end: at, text: text.slice(start, at) });
+            start = at;
+        }
+        at += ch.length;
+    }
+    if (at > start) out.push({ start, end: at, text: text.slice(start, at) });
+    return out;
+}
+
+/**
+ * 텍스트의 정규화 상태를 분석합니다(analyzeNormalization 본체).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, data: 'native' | 'bundled' }} classifier
+ * @param {string} text
+ * @param {{ granularity?: 'main' | 'sub' }} [options]
+ * @returns {Record<'NFC' | 'NFD' | 'NFKC' | 'NFKD', {
+ *   isNormalized: boolean, normalized: string,
+ *   changes: Array<{ start: number, end: number, text: string, replacement: string, category: string }>,
+ *   byCategory: Record<string, Array<{ start: number, end: number, text: string, replacement: string, category: string }>>,
+ * }>}
+ *   - changes: 바뀌는 정규화 구간(start/end는 UTF-16 위치, end 미포함), category는 구간 첫 글자의 라벨
+ */
+function _analyzeNormalizationWith(classifier, text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const { granularity = 'main' } = options;
+    if (granularity !== 'main' && granularity !== 'sub') {
+        throw new RangeError("granularity must be 'main' or 'sub'");
+    }
+
+    const normalize = _normalizerFor(classifier.data);
+
+    const report = {};
+    for (const form of _FORMS) report[form] = { isNormalized: true, normalized: '', changes: [], byCategory: {} };
+
+    for (const seg of _segments(text)) {
+        let category = null;
+        for (const form of _FORMS) {
+            const replacement = normalize(seg.text, form);
+            const r = report[form];
+            r.normalized += replacement;
+            if (replacement === seg.text) continue;
+
+            if (category === null) {
+                const type = classifier.getCharacterType(seg.text);
+                category = granularity === 'sub' && type.sub ? `${type.main}:${type.sub}` : type.main;
+            }
+            const change = { start: seg.start, end: seg.end, text: seg.text, replacement, category };
+            r.isNormalized = false;
+            r.changes.push(change);
+            (r.byCategory[category] || (r.byCategory[category] = [])).push(change);
+        }
+    }
+    return report;
+}
+
+export { _analyzeNormalizationWith, _normalizeBundled, _normalizerFor };
@@ -0,0 +1,271 @@
+// GlyphScope — 숫자 값(getNumericValue, normalizeDigits, extractNumbers)
+// - 유니코드 Numeric_Value/Numeric_Type을 내장 테이블(src/data/numeric.js, DerivedNumericValues.txt)로 조회합니다.
+//   아랍-인도 숫자(٣), 데바나가리 숫자(३), 전각 숫자(３), 분수(½), 로마 숫자(Ⅻ), 원문자(①),
+//   CJK 한자 숫자(五, 十, 萬 등 Unihan 값) 등을 포함합니다.
+//
+// 주의:
+// - CJK 한자 숫자는 Numeric_Type이 Numeric이므로 extractNumbers에서 글자마다 하나의 수입니다('十五' → 10, 5).
+//   자릿값 표기는 해석하지 않습니다.
+// - 여러 자리 숫자는 Numeric_Type이 Decimal인 글자(General_Category Nd)만 이어 붙입니다.
+
+'use strict';
+
+import { _lazy, _generalCategoryOf } from './tables.js';
+import { NUMERIC_VALUES } from './data/numeric.js';
+
+/** 테이블의 형식 문자 → Numeric_Type */
+const _TYPES = Object.freeze({ d: 'Decimal', g: 'Digit', n: 'Numeric' });
+
+/** 음수 부호로 인정하는 글자: HYPHEN-MINUS, MINUS SIGN, FULLWIDTH HYPHEN-MINUS */
+const _MINUS_SIGNS = '-−－';
+
+/** 아랍 문자권의 소수점(U+066B)과 천 단위 구분 기호(U+066C) */
+const _ARABIC_DECIMAL = '٫';
+const _ARABIC_GROUP = '٬';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 내장 테이블
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 숫자 값 구간 목록을 디코딩합니다(형식은 scripts/generate-unicode-data.js의 generateNumeric 참고).
+ * @returns {{ starts: Uint32Array, ends: Uint32Array, types: string[], values: number[] }}
+ */
+function _decodeNumeric() {
+    const parts = NUMERIC_VALUES.split(' ');
+    const starts = new Uint32Array(parts.length);
+    const ends = new Uint32Array(parts.length);
+    const types = [];
+    const values = [];
+
+    let prevEnd = -1;
+    for (let i = 0; i < parts.length; i++) {
+        const [gap, len, spec] = parts[i].split('.');
+        starts[i] = prevEnd + 1 + parseInt(gap, 36);
+        ends[i] = starts[i] + parseInt(len, 36) - 1;
+        prevEnd = ends[i];
+
+        types.push(_TYPES[spec[0]]);
+        const slash = spec.indexOf('/');
+        values.push(slash === -1 ? Number(spec.slice(1)) : Number(spec.slice(1, slash)) / Number(spec.slice(slash + 1)));
+    }
+    return { starts, ends, types, values };
+}
+
+/**
+ * 코드포인트의 Numeric_Type과 Numeric_Value
+ * @param {number} cp
+ * @returns {{ type: 'Decimal' | 'Digit' | 'Numeric', value: number } | null} - 숫자가 아니면 null
+ */
+function _numericOf(cp) {
+    const { starts, ends, types, values } = _lazy('numeric', _decodeNumeric);
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >>> 1;
+        if (cp < starts[mid]) hi = mid - 1;
+        else if (cp > ends[mid]) lo = mid + 1;
+        else return { type: types[mid], value: values[mid] + (cp - starts[mid]) };
+    }
+    return null;
+}
+
+/**
+ * 코드포인트가 10진 숫자이면 그 값(0..9), 아니면 -1
+ * @param {number} cp
+ * @returns {number}
+ */
+function _decimalOf(cp) {
+    if (cp >= 0x30 && cp <= 0x39) return cp - 0x30;
+    if (cp < 0x660) return -1;
+    const n = _numericOf(cp);
+    return n && n.type === 'Decimal' ? n.value : -1;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. getNumericValue / normalizeDigits
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 문자(첫 코드포인트)의 Numeric_Value(getNumericValue 본체).
+ * @param {string} char
+ * @returns {number|null} - 분수는 소수(½ → 0.5), 숫자가 아니면 null
+ */
+function _getNumericValue(char) {
+    if (typeof char !== 'string' || char.length === 0) {
+        throw new TypeError('Input must be a non-empty string.');
+    }
+    const n = _numericOf(char.codePointAt(0));
+    return n ? n.value : null;
+}
+
+/**
+ * 모든 스크립트의 10진 숫자(Numeric_Type=Decimal)를 ASCII 숫자로 바꿉니다(normalizeDigits 본체).
+ * - ①, ², Ⅻ, ½처럼 자릿수로 쓰이지 않는 숫자 글자는 그대로 둡니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function _normalizeDigits(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    let out = '';
+    let last = 0;
+    let i = 0;
+    while (i < text.length) {
+        const cp = text.codePointAt(i);
+        const size = cp > 0xFFFF ? 2 : 1;
+        if (cp >= 0x660) {
+            const d = _decimalOf(cp);
+            if (d !== -1) {
+                out += text.slice(last, i) + String.fromCharCode(0x30 + d);
+                last = i + size;
+            }
+        }
+        i += size;
+    }
+    return last === 0 ? text : out + text.slice(last);
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. extractNumbers
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 구분 기호 옵션을 인정할 글자 집합으로 바꿉니다(ASCII 기호는 전각 형태도 인정).
+ * @param {string} sep
+ * @param {string} extra - 항상 인정하는 글자
+ * @returns {string}
+ */
+function _separatorSet(sep, extra) {
+    const code = sep.charCodeAt(0);
+    const fullwidth = code >= 0x21 && code <= 0x7E ? String.fromCharCode(code + 0xFEE0) : '';
+    return sep + fullwidth + extra;
+}
+
+/**
+ * @param {{ decimal?: string, group?: string | null }} options
+ * @returns {{ decimals: string, groups: string }}
+ */
+function _normalizeNumberOptions({ decimal = '.', group = ',' }) {
+    if (typeof decimal !== 'string' || decimal.length !== 1) {
+        throw new TypeError('decimal must be a single character.');
+    }
+    if (group !== null && (typeof group !== 'string' || group.length !== 1)) {
+        throw new TypeError('group must be a single character or null.');
+    }
+    if (decimal === group) {
+        throw new RangeError('decimal and group must be different characters.');
+    }
+    return {
+        decimals: _separatorSet(decimal, _ARABIC_DECIMAL),
+        groups: group === null ? _ARABIC_GROUP : _separatorSet(group, _ARABIC_GROUP),
+    };
+}
+
+/**
+ * i부터 같은 숫자 체계(0의 코드포인트가 zero)의 10진 숫자가 몇 개 이어지는지 셉니다.
+ * @param {string} text
+ * @param {number} i
+ * @param {number} zero
+ * @returns {{ count: number, end: number, digits: string }} - end: 마지막 숫자 다음의 UTF-16 위치, digits: ASCII 숫자
+ */
+function _digitRun(text, i, zero) {
+    let count = 0;
+    let digits = '';
+    while (i < text.length) {
+        const cp = text.codePointAt(i);
+        const d = _decimalOf(cp);
+        if (d === -1 || cp - d !== zero) break;
+        digits += d;
+        count++;
+        i += cp > 0xFFFF ? 2 : 1;
+    }
+    return { count, end: i, digits };
+}
+
+/**
+ * 음수 부호를 숫자에 붙일지(부호 앞이 글자나 숫자가 아닐 때만; '2024-05'의 '-'는 부호가 아님)
+ * @param {string} text
+ * @param {number} start - 첫 숫자의 UTF-16 위치
+ * @returns {boolean}
+ */
+function _hasMinus(text, start) {
+    if (start === 0 || _MINUS_SIGNS.indexOf(text[start - 1]) === -1) return false;
+    if (start === 1) return true;
+    // 부호 앞 글자가 서로게이트 쌍이면 앞쪽(상위 서로게이트)부터 읽습니다.
+    let before = start - 2;
+    const unit = text.charCodeAt(before);
+    if (unit >= 0xDC00 && unit <= 0xDFFF && before > 0) before--;
+    const gc = _generalCategoryOf(text.codePointAt(before));
+    return gc[0] !== 'L' && gc[0] !== 'N';
+}
+
+/**
+ * 텍스트에서 모든 스크립트의 숫자를 찾습니다(extractNumbers 본체).
+ * - 10진 숫자(Nd)는 같은 숫자 체계끼리 이어 붙이며, 천 단위 구분 기호(뒤에 세 자리, 또는 두 자리와 다음 구분 기호 —
+ *   인도식 1,00,000)와 소수점 하나를 포함합니다. 숫자 체계가 바뀌면 다른 수입니다.
+ * - ½, Ⅻ, ①, ² 같은 그 밖의 숫자 글자는 글자 하나가 수 하나입니다.
+ * @param {string} text
+ * @param {{ decimal?: string, group?: string | null }} [options]
+ *   - decimal: 소수점(기본 '.'), group: 천 단위 구분 기호(기본 ',', null이면 사용하지 않음).
+ *     ASCII 기호는 전각 형태(．，)도 인정하며, 아랍 소수점(U+066B)과 구분 기호(U+066C)는 항상 인정합니다.
+ * @returns {Array<{ text: string, normalized: string, value: number, start: number, end: number }>}
+ *   - normalized: ASCII로 옮긴 수('-1234.5'), start/end: UTF-16 위치(end 미포함)
+ */
+function _extractNumbers(text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const { decimals, groups } = _normalizeNumberOptions(options);
+    const out = [];
+
+    let i = 0;
+    while (i < text.length) {
+        const cp = text.codePointAt(i);
+        const size = cp > 0xFFFF ? 2 : 1;
+        const n = cp < 0x30 ? null : _numericOf(cp);
+        if (!n) {
+            i += size;
+            continue;
+        }
+        if (n.type !== 'Decimal') {
+            const ch = text.slice(i, i + size);
+            out.push({ text: ch, normalized: String(n.value), value: n.value, start: i, end: i + size });
+            i += size;
+            continue;
+        }
+
+        const zero = cp - n.value;
+        const first = _digitRun(text, i, zero);
+        let normalized = first.digits;
+        let end = first.end;
+        let fraction = false;
+        for (;;) {
+            const sep = text[end];
+            if (sep === undefined) break;
+            const next = _digitRun(text, end + 1, zero);
+            if (next.count === 0) break;
+            if (!fraction && groups.indexOf(sep) !== -1) {
+                const grouped = next.count === 3 || (next.count === 2 && groups.indexOf(text[next.end]) !== -1 &&
+                    _digitRun(text, next.end + 1, zero).count > 0);
+                if (!grouped) break;
+                normalized += next.digits;
+            } else if (!fraction && decimals.indexOf(sep) !== -1) {
+                fraction = true;
+                normalized += `.${next.digits}`;
+            } else {
+                break;
+            }
+            end = next.end;
+        }
+
+        const start = _hasMinus(text, i) ? i - 1 : i;
+        if (start < i) normalized = `-${normalized}`;
+        out.push({ text: text.slice(start, end), normalized, value: Number(normalized), start, end });
+        i = end;
+    }
+    return out;
+}
+
+export { _getNumericValue, _normalizeDigits, _extractNumbers };
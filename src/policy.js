@@ -0,0 +1,216 @@
+// GlyphScope — 문자 정책 검사(createPolicy)
+// - "한글·라틴·숫자·공백·ASCII 문장 부호만, 이모지는 5%까지, 제어/서식 문자 금지" 같은 입력 규칙을
+//   GlyphScope 라벨로 한 번 선언하고 클라이언트와 서버에서 똑같이 검사합니다.
+// - 정책 정의는 평범한 객체이므로 JSON으로 주고받을 수 있습니다(policy.toJSON() → createPolicy(정의)).
+//
+// 주의:
+// - 라벨은 ':' 경계의 접두사로도 일치합니다. 'Whitespace'는 모든 Whitespace 하위 분류에,
+//   'Whitespace:Control'은 'Whitespace:Control:Tab'과 'Whitespace:Control:Line Break'에 일치합니다.
+// - 비율(maxRatio)은 analyzeText의 ratio와 같은 단위(퍼센트, 0..100)입니다.
+// - 분류기가 낼 수 없는 라벨(오타 등)은 RangeError입니다. 그대로 두면 deny 규칙이 아무 글자에도 걸리지 않아
+//   정책이 조용히 무력해지기 때문입니다.
+
+'use strict';
+
+import { _forEachUnit, _labelOf } from './analyzer.js';
+
+/** 정책 정의에 쓸 수 있는 필드 */
+const _FIELDS = Object.freeze(['allow', 'deny', 'maxRatio', 'maxCount', 'unit', 'data', 'taxonomy']);
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 정의 검증
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 라벨 목록(allow/deny)을 검증합니다.
+ * @param {any} value
+ * @param {string} field
+ * @returns {string[] | undefined}
+ */
+function _normalizeLabels(value, field) {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || value.some((l) => typeof l !== 'string' || l.length === 0)) {
+        throw new TypeError(`${field} must be an array of non-empty label strings.`);
+    }
+    return value.slice();
+}
+
+/**
+ * 라벨별 한도(maxRatio/maxCount)를 검증합니다.
+ * @param {any} value
+ * @param {string} field
+ * @param {(n: number) => boolean} isValid
+ * @param {string} expected - 오류 메시지에 쓸 값의 설명
+ * @returns {Record<string, number> | undefined}
+ */
+function _normalizeLimits(value, field, isValid, expected) {
+    if (value === undefined) return undefined;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new TypeError(`${field} must be an object of label → number.`);
+    }
+    const out = {};
+    for (const label of Object.keys(value)) {
+        const n = value[label];
+        if (label.length === 0) throw new TypeError(`${field} labels must be non-empty strings.`);
+        if (typeof n !== 'number') throw new TypeError(`${field}["${label}"] must be a number.`);
+        if (!isValid(n)) throw new RangeError(`${field}["${label}"] must be ${expected}.`);
+        out[label] = n;
+    }
+    return out;
+}
+
+/**
+ * 정책 정의를 검증하고 정규화합니다.
+ * @param {any} definition
+ * @returns {{ allow?: string[], deny?: string[], maxRatio?: Record<string, number>, maxCount?: Record<string, number>,
+ *             unit?: 'codepoint' | 'grapheme', data?: 'auto' | 'native' | 'bundled', taxonomy?: 'v1' | 'v2' }}
+ */
+function _normalizePolicy(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new TypeError('Policy definition must be an object.');
+    }
+    for (const key of Object.keys(definition)) {
+        if (_FIELDS.indexOf(key) === -1) throw new TypeError(`Unknown policy field: ${key}`);
+    }
+    const { unit, data, taxonomy } = definition;
+    if (unit !== undefined && unit !== 'codepoint' && unit !== 'grapheme') {
+        throw new RangeError("unit must be 'codepoint' or 'grapheme'");
+    }
+    if (data !== undefined && data !== 'auto' && data !== 'native' && data !== 'bundled') {
+        throw new RangeError("data must be 'auto', 'native' or 'bundled'");
+    }
+    if (taxonomy !== undefined && taxonomy !== 'v1' && taxonomy !== 'v2') {
+        throw new RangeError("taxonomy must be 'v1' or 'v2'");
+    }
+
+    const out = {
+        allow: _normalizeLabels(definition.allow, 'allow'),
+        deny: _normalizeLabels(definition.deny, 'deny'),
+        maxRatio: _normalizeLimits(definition.maxRatio, 'maxRatio', (n) => n >= 0 && n <= 100, 'between 0 and 100'),
+        maxCount: _normalizeLimits(definition.maxCount, 'maxCount', (n) => Number.isInteger(n) && n >= 0,
+            'a non-negative integer'),
+        unit,
+        data,
+        taxonomy,
+    };
+    // JSON으로 주고받을 때 정의가 그대로 보이도록 지정하지 않은 필드는 남기지 않습니다.
+    for (const key of _FIELDS) if (out[key] === undefined) delete out[key];
+    return out;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 검사
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 라벨 패턴이 분류 결과에 일치하는지(main, 'main:sub', 또는 'main:sub'의 ':' 접두사)
+ * @param {string} pattern
+ * @param {{ main: string }} type
+ * @param {string} label - 'main' 또는 'main:sub'
+ * @returns {boolean}
+ */
+function _matches(pattern, type, label) {
+    return pattern === type.main || pattern === label ||
+        (label.length > pattern.length && label[pattern.length] === ':' && label.startsWith(pattern));
+}
+
+/**
+ * 정책의 라벨이 모두 분류기가 낼 수 있는 라벨(또는 그 ':' 접두사)인지 검사합니다.
+ * @param {object} policy - _normalizePolicy의 결과
+ * @param {ReadonlyArray<string>} knownLabels - 분류기가 낼 수 있는 라벨('main' 또는 'main:sub')
+ */
+function _checkLabels(policy, knownLabels) {
+    const known = new Set(knownLabels);
+    for (const label of knownLabels) {
+        for (let i = label.indexOf(':'); i !== -1; i = label.indexOf(':', i + 1)) known.add(label.slice(0, i));
+    }
+    for (const field of ['allow', 'deny', 'maxRatio', 'maxCount']) {
+        const value = policy[field];
+        if (value === undefined) continue;
+        for (const label of Array.isArray(value) ? value : Object.keys(value)) {
+            if (!known.has(label)) throw new RangeError(`Unknown label in ${field}: "${label}"`);
+        }
+    }
+}
+
+/**
+ * 정책 객체를 만듭니다(createPolicy 본체).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, taxonomy: 'v1' | 'v2',
+ *           data: 'native' | 'bundled' }} classifier
+ * @param {object} definition - _normalizePolicy 참고
+ * @param {ReadonlyArray<string>} knownLabels - 분류기가 낼 수 있는 라벨(이 밖의 라벨은 RangeError)
+ * @returns {{
+ *   validate: (text: string) => { valid: boolean, violations: Array<{ label: string, char: string, index: number,
+ *                                 rule: 'allow' | 'deny' | 'maxRatio' | 'maxCount' }> },
+ *   toJSON: () => object,
+ * }}
+ */
+function _createPolicyWith(classifier, definition, knownLabels) {
+    const policy = _normalizePolicy(definition);
+    if (policy.taxonomy !== undefined && policy.taxonomy !== classifier.taxonomy) {
+        throw new RangeError(`Policy taxonomy '${policy.taxonomy}' does not match the classifier ('${classifier.taxonomy}').`);
+    }
+    _checkLabels(policy, knownLabels);
+    const { allow, deny } = policy;
+    const maxRatio = policy.maxRatio ? Object.keys(policy.maxRatio) : [];
+    const maxCount = policy.maxCount ? Object.keys(policy.maxCount) : [];
+    // 라벨 조회는 항상 세부 라벨 기준('main:sub')으로 합니다.
+    const opts = { granularity: 'sub', unit: policy.unit || 'codepoint' };
+    const getType = classifier.getCharacterType;
+
+    /**
+     * 텍스트를 정책으로 검사합니다.
+     * - allow/deny 위반은 글자마다, maxRatio/maxCount 위반은 한도를 넘긴 글자(한도 안의 글자 다음부터)마다 보고합니다.
+     * - 한 글자가 여러 규칙을 어기면 규칙마다 보고합니다(deny에 걸린 글자는 allow로는 다시 보고하지 않음).
+     * @param {string} text
+     * @returns {{ valid: boolean, violations: Array<{ label: string, char: string, index: number, rule: string }> }}
+     *   - label: 글자의 라벨('main:sub'), index: UTF-16 위치
+     */
+    function validate(text) {
+        if (typeof text !== 'string') {
+            throw new TypeError('Input must be a string.');
+        }
+        const violations = [];
+        /** 한도 검사용: 한도 라벨마다 일치한 글자 */
+        const ratioHits = maxRatio.map(() => []);
+        const countHits = maxCount.map(() => []);
+        let total = 0;
+
+        _forEachUnit(text, opts.unit, 0, (ch, index) => {
+            const { type, label } = _labelOf(getType, ch, opts);
+            total++;
+
+            if (deny && deny.some((p) => _matches(p, type, label))) {
+                violations.push({ label, char: ch, index, rule: 'deny' });
+            } else if (allow && !allow.some((p) => _matches(p, type, label))) {
+                violations.push({ label, char: ch, index, rule: 'allow' });
+            }
+            for (let i = 0; i < maxRatio.length; i++) {
+                if (_matches(maxRatio[i], type, label)) ratioHits[i].push({ label, char: ch, index });
+            }
+            for (let i = 0; i < maxCount.length; i++) {
+                if (_matches(maxCount[i], type, label)) countHits[i].push({ label, char: ch, index });
+            }
+        }, classifier.data);
+
+        for (let i = 0; i < maxRatio.length; i++) {
+            // count * 100 / total <= maxRatio 를 만족하는 최대 개수
+            const limit = Math.floor(policy.maxRatio[maxRatio[i]] * total / 100);
+            for (const hit of ratioHits[i].slice(limit)) violations.push({ ...hit, rule: 'maxRatio' });
+        }
+        for (let i = 0; i < maxCount.length; i++) {
+            const limit = policy.maxCount[maxCount[i]];
+            for (const hit of countHits[i].slice(limit)) violations.push({ ...hit, rule: 'maxCount' });
+        }
+        violations.sort((a, b) => a.index - b.index);
+        return { valid: violations.length === 0, violations };
+    }
+
+    return Object.freeze({
+        validate,
+        /** 정책 정의(JSON.stringify(policy)로 직렬화되며, createPolicy에 그대로 다시 넘길 수 있습니다) */
+        toJSON: () => JSON.parse(JSON.stringify({ ...policy, taxonomy: classifier.taxonomy })),
+    });
+}
+
+export { _createPolicyWith };
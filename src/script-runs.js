@@ -0,0 +1,143 @@
+// GlyphScope — 스크립트 런(같은 문자 체계가 이어지는 구간) 분할
+// - UAX #24(Script_Extensions)를 따라 Common/Inherited 문자를 주변 런에 붙입니다.
+//   · Inherited(결합 부호, ZWJ/ZWNJ, 이체 선택자 등)는 앞 런에 붙습니다.
+//   · Common(공백, 문장 부호, 숫자 등)은 현재 런에 붙고, 텍스트 맨 앞의 Common은 다음 런에 붙습니다.
+//   · Script_Extensions가 여러 스크립트인 문자(예: U+0660 ٠, U+3001 、)는 런의 후보 스크립트를
+//     교집합으로 좁힙니다(예: 아랍-인도 숫자로 시작한 런은 뒤따르는 타나 문자와 이어짐).
+//   · 짝 괄호는 여는 괄호의 스크립트를 따릅니다(UAX #24 §5.2 권장 사항).
+//
+// 주의:
+// - Script/Script_Extensions는 런타임 정규식이 아닌 내장 테이블(tables.js)로 조회하므로
+//   어느 런타임에서나 결과가 같습니다(\p{scx=...}로는 한 문자의 확장 목록을 얻을 수 없음).
+// - start/end는 UTF-16 코드 유닛 위치입니다(String.prototype.slice와 같은 기준).
+
+'use strict';
+
+import { _scriptOf, _scriptExtensionsOf } from './tables.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 짝 괄호
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 여는 괄호 → 닫는 괄호 */
+const _BRACKET_PAIRS = new Map([
+    [0x0028, 0x0029], // ( )
+    [0x005B, 0x005D], // [ ]
+    [0x007B, 0x007D], // { }
+    [0x2329, 0x232A], // 〈 〉
+    [0x27E8, 0x27E9], // ⟨ ⟩
+    [0x3008, 0x3009], // 〈 〉
+    [0x300A, 0x300B], // 《 》
+    [0x300C, 0x300D], // 「 」
+    [0x300E, 0x300F], // 『 』
+    [0x3010, 0x3011], // 【 】
+    [0x3014, 0x3015], // 〔 〕
+    [0x3016, 0x3017], // 〖 〗
+    [0x3018, 0x3019], // 〘 〙
+    [0x301A, 0x301B], // 〚 〛
+    [0xFF08, 0xFF09], // （ ）
+    [0xFF3B, 0xFF3D], // ［ ］
+    [0xFF5B, 0xFF5D], // ｛ ｝
+    [0xFF5F, 0xFF60], // ｟ ｠
+    [0xFF62, 0xFF63], // ｢ ｣
+]);
+
+/** 닫는 괄호 집합 */
+const _CLOSING_BRACKETS = new Set(_BRACKET_PAIRS.values());
+
+/** 추적하는 괄호 중첩 깊이 상한(넘치면 가장 바깥 괄호부터 잊습니다) */
+const _MAX_BRACKET_DEPTH = 64;
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 분할
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 후보 집합의 교집합을 구합니다(순서는 a를 따름).
+ * @param {ReadonlyArray<string>} a
+ * @param {ReadonlyArray<string>} b
+ * @returns {string[]}
+ */
+function _intersect(a, b) {
+    return a.filter((s) => b.indexOf(s) !== -1);
+}
+
+/**
+ * 텍스트를 스크립트 런으로 나눕니다.
+ * @param {string} text
+ * @returns {Array<{ script: string, start: number, end: number, text: string }>}
+ *   - script: Unicode Script 긴 이름(예: 'Latin', 'Hangul', 'Han'). 스크립트를 정할 수 없는 런은 'Common'
+ */
+function _segmentByScript(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+
+    /**
+     * 런 상태(set: 아직 가능한 스크립트 후보, null이면 미정)
+     * @type {Array<{ set: string[]|null, start: number, end: number }>}
+     */
+    const runs = [];
+    let cur = { set: null, start: 0, end: 0 };
+    runs.push(cur);
+
+    /** @type {Array<{ close: number, run: { set: string[]|null } }>} */
+    const brackets = [];
+
+    const open = (set, start) => {
+        cur.end = start;
+        cur = { set, start, end: start };
+        runs.push(cur);
+    };
+
+    let i = 0;
+    for (const ch of text) {
+        const cp = ch.codePointAt(0);
+        const sc = _scriptOf(cp);
+        const scx = _scriptExtensionsOf(cp);
+
+        if (_CLOSING_BRACKETS.has(cp)) {
+            // 짝이 맞는 여는 괄호까지 되감습니다(짝이 없으면 무시).
+            let k = brackets.length - 1;
+            while (k >= 0 && brackets[k].close !== cp) k--;
+            if (k >= 0) {
+                const opener = brackets[k].run;
+                brackets.length = k;
+
+                if (opener !== cur && opener.set && cur.set && cur.set.indexOf(opener.set[0]) === -1) {
+                    open(opener.set.slice(), i);
+                }
+                i += ch.length;
+                continue;
+            }
+        }
+
+        if (sc !== 'Common' && sc !== 'Inherited') {
+            const candidates = _intersect(cur.set || scx, scx);
+            if (candidates.length > 0) cur.set = candidates;
+            else open(scx.slice(), i); // 이어질 수 없는 스크립트 → 새 런
+        } else if (cur.set) {
+            // Common/Inherited는 현재 런에 붙고, 확장 목록이 겹치면 후보만 좁힙니다.
+            const candidates = _intersect(cur.set, scx);
+            if (candidates.length > 0) cur.set = candidates;
+        }
+
+        if (_BRACKET_PAIRS.has(cp)) {
+            if (brackets.length === _MAX_BRACKET_DEPTH) brackets.shift();
+            brackets.push({ close: _BRACKET_PAIRS.get(cp), run: cur });
+        }
+        i += ch.length;
+    }
+    cur.end = i;
+
+    if (text.length === 0) return [];
+
+    return runs.map((r) => ({
+        script: r.set ? r.set[0] : 'Common',
+        start: r.start,
+        end: r.end,
+        text: text.slice(r.start, r.end),
+    }));
+}
+
+export { _segmentByScript };
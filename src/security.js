@@ -0,0 +1,167 @@
+// GlyphScope — 식별자 보안 검사(UTS #39 Unicode Security Mechanisms)
+// - 제한 수준(Restriction Level, §5.2): 사용자명·도메인 레이블이 몇 개의 스크립트를 섞는지 판정합니다.
+// - 스켈레톤(skeleton, §4): confusables 매핑으로 “눈으로 구분하기 어려운” 문자열을 같은 값으로 모읍니다.
+//
+// 주의:
+// - Script_Extensions는 내장 테이블(tables.js), confusables는 data/security/의 UTS #39 데이터
+//   (src/data/confusables.js, SECURITY_VERSION)를 사용합니다.
+// - Identifier_Status(식별자 프로필)는 검사하지 않으므로 'Minimally Restrictive'는 'unrestricted'로 보고합니다.
+
+'use strict';
+
+import { _scriptExtensionsOf, _isDefaultIgnorable, _lazy } from './tables.js';
+import { SECURITY_VERSION, CONFUSABLES } from './data/confusables.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 해석된 스크립트 집합(Resolved Script Set, §5.1)
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 스크립트 → 추가 스크립트(Augmented Script Set)
+ * - Hanb(한자+주음), Jpan(일본어), Kore(한국어)는 여러 스크립트를 함께 쓰는 표기 체계입니다.
+ */
+const _AUGMENTED = Object.freeze({
+    Han: Object.freeze(['Hanb', 'Jpan', 'Kore']),
+    Hiragana: Object.freeze(['Jpan']),
+    Katakana: Object.freeze(['Jpan']),
+    Hangul: Object.freeze(['Kore']),
+    Bopomofo: Object.freeze(['Hanb']),
+});
+
+/** UAX #31 Table 5 권장 스크립트(Recommended Scripts) 중 Common/Inherited를 제외한 목록 */
+const _RECOMMENDED_SCRIPTS = new Set([
+    'Arabic', 'Armenian', 'Bengali', 'Bopomofo', 'Cyrillic', 'Devanagari', 'Ethiopic', 'Georgian', 'Greek',
+    'Gujarati', 'Gurmukhi', 'Han', 'Hangul', 'Hebrew', 'Hiragana', 'Kannada', 'Katakana', 'Khmer', 'Lao',
+    'Latin', 'Malayalam', 'Myanmar', 'Oriya', 'Sinhala', 'Tamil', 'Telugu', 'Thaana', 'Thai', 'Tibetan',
+]);
+
+/**
+ * 코드포인트의 확장 스크립트 집합(Augmented Script Set)
+ * @param {number} cp
+ * @returns {string[]|null} - null이면 모든 스크립트(Common/Inherited)
+ */
+function _augmentedScripts(cp) {
+    const scx = _scriptExtensionsOf(cp);
+    if (scx.length === 1 && (scx[0] === 'Common' || scx[0] === 'Inherited')) return null;
+
+    const out = scx.slice();
+    for (const s of scx) {
+        const extra = _AUGMENTED[s];
+        if (!extra) continue;
+        for (const e of extra) if (out.indexOf(e) === -1) out.push(e);
+    }
+    return out;
+}
+
+/**
+ * 코드포인트 목록의 해석된 스크립트 집합(모든 확장 스크립트 집합의 교집합)
+ * @param {number[]} cps
+ * @returns {string[]|null} - null이면 모든 스크립트, 빈 배열이면 여러 스크립트가 섞임
+ */
+function _resolvedScripts(cps) {
+    let set = null;
+    for (const cp of cps) {
+        const aug = _augmentedScripts(cp);
+        if (!aug) continue;
+        set = set ? set.filter((s) => aug.indexOf(s) !== -1) : aug;
+        if (set.length === 0) break;
+    }
+    return set;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 제한 수준(Restriction Level, §5.2)
+ * ------------------------------------------------------------------------------------------------ */
+
+/** ASCII로만 이루어진 문자열 */
+const _RE_ASCII_ONLY = /^[\x00-\x7F]*$/;
+
+/**
+ * 문자열의 UTS #39 제한 수준을 판정합니다.
+ * @param {string} text
+ * @returns {'ascii-only' | 'single-script' | 'highly-restrictive' | 'moderately-restrictive' | 'unrestricted'}
+ *   - 'highly-restrictive': Latin + Han + Hiragana + Katakana / Latin + Han + Bopomofo / Latin + Han + Hangul 범위
+ *   - 'moderately-restrictive': Latin + 권장 스크립트 하나(Cyrillic, Greek 제외)
+ */
+function _getRestrictionLevel(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    if (_RE_ASCII_ONLY.test(text)) return 'ascii-only';
+
+    const cps = Array.from(text, (ch) => ch.codePointAt(0));
+    const resolved = _resolvedScripts(cps);
+    if (resolved === null || resolved.length > 0) return 'single-script';
+
+    // Latin을 뺀 나머지 문자가 한 표기 체계로 해석되는지 봅니다.
+    const rest = _resolvedScripts(cps.filter((cp) => {
+        const aug = _augmentedScripts(cp);
+        return !aug || aug.indexOf('Latin') === -1;
+    }));
+    if (rest === null || rest.length === 0) return 'unrestricted';
+
+    if (rest.indexOf('Jpan') !== -1 || rest.indexOf('Hanb') !== -1 || rest.indexOf('Kore') !== -1) {
+        return 'highly-restrictive';
+    }
+    if (rest.some((s) => _RECOMMENDED_SCRIPTS.has(s) && s !== 'Cyrillic' && s !== 'Greek')) {
+        return 'moderately-restrictive';
+    }
+    return 'unrestricted';
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 스켈레톤(§4)
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * confusables 매핑(코드포인트 → 프로토타입 문자열)
+ * @returns {Map<number, string>}
+ */
+function _confusables() {
+    return _lazy('confusables', () => {
+        const sources = CONFUSABLES.sources.split(' ');
+        const targets = CONFUSABLES.targets.split(' ');
+        const map = new Map();
+
+        let cp = -1;
+        for (let i = 0; i < sources.length; i++) {
+            cp += parseInt(sources[i], 36);
+            map.set(cp, String.fromCodePoint(...targets[i].split('.').map((t) => parseInt(t, 36))));
+        }
+        return map;
+    });
+}
+
+/**
+ * UTS #39 스켈레톤을 계산합니다.
+ * - NFD → Default_Ignorable_Code_Point 제거 → 문자별 프로토타입 치환 → NFD
+ * @param {string} text
+ * @returns {string}
+ */
+function _skeleton(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const map = _confusables();
+
+    let out = '';
+    for (const ch of text.normalize('NFD')) {
+        const cp = ch.codePointAt(0);
+        if (_isDefaultIgnorable(cp)) continue;
+        const proto = map.get(cp);
+        out += proto === undefined ? ch : proto;
+    }
+    return out.normalize('NFD');
+}
+
+/**
+ * 두 문자열이 서로 혼동 가능한지(스켈레톤이 같은지) 검사합니다.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function _areConfusable(a, b) {
+    return _skeleton(a) === _skeleton(b);
+}
+
+export { SECURITY_VERSION, _getRestrictionLevel, _skeleton, _areConfusable };
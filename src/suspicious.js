@@ -0,0 +1,281 @@
+// GlyphScope — 의심 문자 검사(Trojan Source, CVE-2021-42574 류)
+// - 소스 코드·설정 파일·사용자 입력에서 “보이는 것과 실제 내용이 다르게” 만드는 문자를 찾습니다.
+//   양방향(bidi) 제어 문자와 짝이 맞지 않는 bidi 구간, 태그 문자, 홀로 남은 이형 선택자,
+//   텍스트 중간의 BOM, 공백처럼 보이는 문자(U+0020이 아닌 공백·채움 문자)를 보고합니다.
+//
+// 주의:
+// - bidi 짝 검사는 UAX #9처럼 단락(줄) 단위입니다. 줄이 끝날 때 닫히지 않은 구간은 모두 보고합니다.
+// - 위치(start/end/line/column)는 tokenize와 같은 규칙입니다(UTF-16 기준, line/column은 1부터).
+
+'use strict';
+
+import { _generalCategoryOf, _scriptOf, _isEmoji } from './tables.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 검사 대상 문자
+ * ------------------------------------------------------------------------------------------------ */
+
+/** bidi 제어 문자(embedding/override/isolate) → [약어, 이름] */
+const _BIDI_CONTROLS = new Map([
+    [0x202A, ['LRE', 'LEFT-TO-RIGHT EMBEDDING']],
+    [0x202B, ['RLE', 'RIGHT-TO-LEFT EMBEDDING']],
+    [0x202C, ['PDF', 'POP DIRECTIONAL FORMATTING']],
+    [0x202D, ['LRO', 'LEFT-TO-RIGHT OVERRIDE']],
+    [0x202E, ['RLO', 'RIGHT-TO-LEFT OVERRIDE']],
+    [0x2066, ['LRI', 'LEFT-TO-RIGHT ISOLATE']],
+    [0x2067, ['RLI', 'RIGHT-TO-LEFT ISOLATE']],
+    [0x2068, ['FSI', 'FIRST STRONG ISOLATE']],
+    [0x2069, ['PDI', 'POP DIRECTIONAL ISOLATE']],
+]);
+
+const _PDF = 0x202C;
+const _PDI = 0x2069;
+
+/** @param {number} cp @returns {boolean} - LRI/RLI/FSI */
+function _isIsolateOpener(cp) {
+    return cp >= 0x2066 && cp <= 0x2068;
+}
+
+/** 공백처럼 보이지만 U+0020이 아닌 문자 → [이름, 심각도] */
+const _WHITESPACE = new Map([
+    [0x00A0, ['NO-BREAK SPACE', 'low']],
+    [0x1680, ['OGHAM SPACE MARK', 'low']],
+    [0x2000, ['EN QUAD', 'low']],
+    [0x2001, ['EM QUAD', 'low']],
+    [0x2002, ['EN SPACE', 'low']],
+    [0x2003, ['EM SPACE', 'low']],
+    [0x2004, ['THREE-PER-EM SPACE', 'low']],
+    [0x2005, ['FOUR-PER-EM SPACE', 'low']],
+    [0x2006, ['SIX-PER-EM SPACE', 'low']],
+    [0x2007, ['FIGURE SPACE', 'low']],
+    [0x2008, ['PUNCTUATION SPACE', 'low']],
+    [0x2009, ['THIN SPACE', 'low']],
+    [0x200A, ['HAIR SPACE', 'low']],
+    [0x202F, ['NARROW NO-BREAK SPACE', 'low']],
+    [0x205F, ['MEDIUM MATHEMATICAL SPACE', 'low']],
+    [0x3000, ['IDEOGRAPHIC SPACE', 'low']],
+    // 폭이 없거나 글자(L*)로 취급되는 채움 문자는 식별자 안에 숨을 수 있어 더 위험합니다.
+    [0x180E, ['MONGOLIAN VOWEL SEPARATOR', 'medium']],
+    [0x200B, ['ZERO WIDTH SPACE', 'medium']],
+    [0x2060, ['WORD JOINER', 'medium']],
+    [0x115F, ['HANGUL CHOSEONG FILLER', 'medium']],
+    [0x1160, ['HANGUL JUNGSEONG FILLER', 'medium']],
+    [0x3164, ['HANGUL FILLER', 'medium']],
+    [0xFFA0, ['HALFWIDTH HANGUL FILLER', 'medium']],
+    [0x2800, ['BRAILLE PATTERN BLANK', 'medium']],
+]);
+
+/** @param {number} cp @returns {boolean} - 옛한글 초성 자모(U+1100–115F, U+A960–A97C) */
+function _isLeadingJamo(cp) {
+    return (cp >= 0x1100 && cp <= 0x115F) || (cp >= 0xA960 && cp <= 0xA97C);
+}
+
+/** @param {number} cp @returns {boolean} - 옛한글 중성 자모(U+1160–11A7, U+D7B0–D7C6) */
+function _isVowelJamo(cp) {
+    return (cp >= 0x1160 && cp <= 0x11A7) || (cp >= 0xD7B0 && cp <= 0xD7C6);
+}
+
+/** @param {number} cp @returns {boolean} - 태그 문자(U+E0000–E007F) */
+function _isTag(cp) {
+    return cp >= 0xE0000 && cp <= 0xE007F;
+}
+
+/** 이모지 태그 시퀀스의 기반 문자(🏴 WAVING BLACK FLAG)와 종료 문자(CANCEL TAG) */
+const _TAG_BASE = 0x1F3F4;
+const _CANCEL_TAG = 0xE007F;
+
+/**
+ * 이형 선택자(variation selector) 이름
+ * @param {number} cp
+ * @returns {string|null} - 이형 선택자가 아니면 null
+ */
+function _variationSelectorName(cp) {
+    if (cp >= 0xFE00 && cp <= 0xFE0F) return `VARIATION SELECTOR-${cp - 0xFE00 + 1}`;
+    if (cp >= 0xE0100 && cp <= 0xE01EF) return `VARIATION SELECTOR-${cp - 0xE0100 + 17}`;
+    if ((cp >= 0x180B && cp <= 0x180D) || cp === 0x180F) return 'MONGOLIAN FREE VARIATION SELECTOR';
+    return null;
+}
+
+/**
+ * 이형 선택자가 앞 문자에 적용될 수 있는지 판정합니다.
+ * - VS15/VS16(U+FE0E/FE0F): Emoji 속성 문자 뒤
+ * - VS1–14: 글자·숫자·기호·문장 부호 뒤(StandardizedVariants의 기반 문자 범위)
+ * - VS17–256(IVS): 한자 뒤, 몽골 자유 이형 선택자: 몽골 문자 뒤
+ * @param {number} vs
+ * @param {number} base - 앞 코드포인트(-1이면 텍스트 시작)
+ * @returns {boolean}
+ */
+function _appliesTo(vs, base) {
+    if (base < 0) return false;
+    if (vs === 0xFE0E || vs === 0xFE0F) return _isEmoji(base);
+    if (vs >= 0xFE00 && vs <= 0xFE0D) return 'LNSP'.indexOf(_generalCategoryOf(base)[0]) !== -1;
+    if (vs >= 0xE0100) return _scriptOf(base) === 'Han';
+    return _scriptOf(base) === 'Mongolian';
+}
+
+/** bidi 단락 구분 문자(Bidi_Class=B): LF, CR, FS/GS/RS, NEL, PARAGRAPH SEPARATOR */
+function _isParagraphSeparator(cp) {
+    return cp === 0x0A || cp === 0x0D || (cp >= 0x1C && cp <= 0x1E) || cp === 0x85 || cp === 0x2029;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 검사 루틴
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 텍스트에서 의심 문자를 찾습니다(findSuspiciousCharacters 본체).
+ * @param {string} text
+ * @returns {Array<{ type: string, severity: 'high' | 'medium' | 'low', codePoint: number, char: string,
+ *                   start: number, end: number, line: number, column: number, message: string }>}
+ *   - type: 'bidi-control' | 'unbalanced-bidi' | 'tag' | 'variation-selector' | 'bom' | 'whitespace'
+ *   - 태그 문자와 연속된 이형 선택자는 한 구간(start–end)을 하나의 결과로 묶습니다.
+ *   - 결과는 start 순으로 정렬됩니다.
+ */
+function _findSuspiciousCharacters(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+
+    /** @type {Array<object>} */
+    const findings = [];
+    let line = 1;
+    let lineStart = 0;
+
+    const report = (type, severity, cp, start, end, message) => {
+        findings.push({
+            type, severity, codePoint: cp, char: String.fromCodePoint(cp),
+            start, end, line, column: start - lineStart + 1, message,
+        });
+    };
+
+    /** 아직 닫히지 않은 bidi 구간: [{ cp, start, line, column }] */
+    let open = [];
+    const reportUnclosed = (entries) => {
+        for (const e of entries) {
+            const [abbr] = _BIDI_CONTROLS.get(e.cp);
+            const closer = _isIsolateOpener(e.cp) ? 'PDI' : 'PDF';
+            findings.push({
+                type: 'unbalanced-bidi', severity: 'high', codePoint: e.cp, char: String.fromCodePoint(e.cp),
+                start: e.start, end: e.start + 1, line: e.line, column: e.column,
+                message: `${abbr} is not closed by ${closer} on the same line.`,
+            });
+        }
+    };
+
+    let prev = -1;
+    let i = 0;
+    while (i < text.length) {
+        const cp = text.codePointAt(i);
+        const size = cp > 0xFFFF ? 2 : 1;
+
+        const bidi = _BIDI_CONTROLS.get(cp);
+        if (bidi) {
+            const [abbr, name] = bidi;
+            report('bidi-control', 'high', cp, i, i + 1,
+                `${name} (${abbr}) can make the displayed order of text differ from its logical order.`);
+
+            if (cp === _PDF) {
+                const top = open[open.length - 1];
+                if (top && !_isIsolateOpener(top.cp)) open.pop();
+                else report('unbalanced-bidi', 'high', cp, i, i + 1, 'PDF has no matching embedding or override.');
+            } else if (cp === _PDI) {
+                let k = open.length - 1;
+                while (k >= 0 && !_isIsolateOpener(open[k].cp)) k--;
+                if (k < 0) {
+                    report('unbalanced-bidi', 'high', cp, i, i + 1, 'PDI has no matching isolate.');
+                } else {
+                    // PDI는 안쪽의 닫히지 않은 embedding/override도 함께 끝냅니다.
+                    reportUnclosed(open.slice(k + 1));
+                    open = open.slice(0, k);
+                }
+            } else {
+                open.push({ cp, start: i, line, column: i - lineStart + 1 });
+            }
+            prev = cp;
+            i += size;
+            continue;
+        }
+
+        if (_isTag(cp)) {
+            // 연속된 태그 문자를 한 구간으로 묶고, 🏴 + 태그 + CANCEL TAG 형태의 이모지 시퀀스는 건너뜁니다.
+            let j = i;
+            let hidden = '';
+            let last = -1;
+            while (j < text.length && _isTag(last = text.codePointAt(j))) {
+                if (last >= 0xE0020 && last <= 0xE007E) hidden += String.fromCharCode(last - 0xE0000);
+                j += 2;
+            }
+            const tagEnd = text.codePointAt(j - 2);
+            const valid = prev === _TAG_BASE && tagEnd === _CANCEL_TAG && hidden.length > 0
+                && hidden.length === (j - i) / 2 - 1;
+            if (!valid) {
+                report('tag', 'high', cp, i, j, hidden
+                    ? `Tag characters outside an emoji tag sequence carry hidden text: ${JSON.stringify(hidden)}.`
+                    : 'Tag characters outside an emoji tag sequence are invisible.');
+            }
+            prev = tagEnd;
+            i = j;
+            continue;
+        }
+
+        const vsName = _variationSelectorName(cp);
+        if (vsName) {
+            // 적용 대상이 있는 첫 이형 선택자는 정상이고, 이어지는 이형 선택자는 모두 홀로 남은 것입니다.
+            let j = i;
+            if (_appliesTo(cp, prev)) j += size;
+            const strayStart = j;
+            let strayCp = -1;
+            let count = 0;
+            let last = cp;
+            for (let c; j < text.length && _variationSelectorName(c = text.codePointAt(j)); j += c > 0xFFFF ? 2 : 1) {
+                if (count++ === 0) strayCp = c;
+                last = c;
+            }
+            if (count > 0) {
+                report('variation-selector', 'medium', strayCp, strayStart, j, count > 1
+                    ? `${count} variation selectors do not apply to any preceding character.`
+                    : `${_variationSelectorName(strayCp)} does not apply to the preceding character.`);
+            }
+            prev = last;
+            i = j;
+            continue;
+        }
+
+        if (cp === 0xFEFF) {
+            if (i > 0) {
+                report('bom', 'medium', cp, i, i + 1,
+                    'BYTE ORDER MARK (ZERO WIDTH NO-BREAK SPACE) is only expected at the start of the text.');
+            }
+        } else if (_WHITESPACE.has(cp)) {
+            const [name, severity] = _WHITESPACE.get(cp);
+            // 옛한글 음절(초성 채움 + 중성, 초성 + 중성 채움)의 채움 문자는 정상입니다.
+            const filler = (cp === 0x115F && i + 1 < text.length && _isVowelJamo(text.codePointAt(i + 1)))
+                || (cp === 0x1160 && _isLeadingJamo(prev));
+            if (!filler) {
+                report('whitespace', severity, cp, i, i + size, severity === 'low'
+                    ? `${name} looks like a space but is not U+0020.`
+                    : `${name} is invisible and can hide inside words or identifiers.`);
+            }
+        } else if (_isParagraphSeparator(cp)) {
+            reportUnclosed(open);
+            open = [];
+        }
+
+        // 줄 위치 갱신(LF, CRLF, CR)
+        if (cp === 0x0A) {
+            if (prev !== 0x0D) line++;
+            lineStart = i + 1;
+        } else if (cp === 0x0D) {
+            line++;
+            lineStart = i + 1;
+        }
+
+        prev = cp;
+        i += size;
+    }
+    reportUnclosed(open);
+
+    return findings.sort((a, b) => a.start - b.start);
+}
+
+export { _findSuspiciousCharacters };
@@ -0,0 +1,238 @@
+// GlyphScope — 내장 유니코드 테이블 디코더/조회
+// - src/data/*.js(scripts/generate-unicode-data.js가 생성)의 압축 테이블을 풀어 조회합니다.
+// - 테이블은 처음 조회할 때 한 번만 디코딩합니다(기본 'native' 모드에서는 비용이 들지 않음).
+
+'use strict';
+
+import {
+    UNICODE_VERSION,
+    GENERAL_CATEGORY,
+    SCRIPT,
+    SCRIPT_EXTENSIONS,
+    SCRIPT_ALIASES,
+    EXTENDED_PICTOGRAPHIC,
+    EMOJI,
+    EMOJI_COMPONENT,
+    DEFAULT_IGNORABLE,
+    GRAPHEME_EXTEND,
+} from './data/unicode-data.js';
+import { CATEGORY_RUNS } from './data/categories.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 디코더
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 구간 테이블(runs)을 디코딩합니다.
+ * @param {{ values: string[], width: number, runs: string }} table
+ * @returns {{ starts: Uint32Array, codes: Uint16Array, values: string[] }}
+ */
+function _decodeRuns({ values, width, runs }) {
+    const parts = runs.split(' ');
+    const starts = new Uint32Array(parts.length);
+    const codes = new Uint16Array(parts.length);
+
+    let cp = 0;
+    for (let i = 0; i < parts.length; i++) {
+        const p = parts[i];
+        starts[i] = cp;
+        codes[i] = parseInt(p.slice(p.length - width), 36);
+        cp += parseInt(p.slice(0, p.length - width), 36);
+    }
+    return { starts, codes, values };
+}
+
+/**
+ * 범위 집합(ranges)을 디코딩합니다.
+ * @param {string} encoded
+ * @returns {Uint32Array} - [시작0, 끝0, 시작1, 끝1, ...]
+ */
+function _decodeRanges(encoded) {
+    if (!encoded) return new Uint32Array(0);
+
+    const parts = encoded.split(' ');
+    const out = new Uint32Array(parts.length * 2);
+    let prevEnd = -1;
+    for (let i = 0; i < parts.length; i++) {
+        const dot = parts[i].indexOf('.');
+        const from = prevEnd + 1 + parseInt(parts[i].slice(0, dot), 36);
+        const to = from + parseInt(parts[i].slice(dot + 1), 36) - 1;
+        out[i * 2] = from;
+        out[i * 2 + 1] = to;
+        prevEnd = to;
+    }
+    return out;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 조회(이진 탐색)
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 구간 테이블에서 코드포인트가 속한 구간의 번호를 찾습니다.
+ * @param {Uint32Array} starts - 구간 시작 코드포인트(오름차순, 첫 값은 0)
+ * @param {number} cp
+ * @returns {number}
+ */
+function _runIndex(starts, cp) {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >>> 1;
+        if (starts[mid] <= cp) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * 구간 테이블에서 코드포인트의 값을 찾습니다.
+ * @param {{ starts: Uint32Array, codes: Uint16Array, values: string[] }} table
+ * @param {number} cp
+ * @returns {string}
+ */
+function _lookupRun(table, cp) {
+    return table.values[table.codes[_runIndex(table.starts, cp)]];
+}
+
+/**
+ * 범위 집합에 코드포인트가 포함되는지 검사합니다.
+ * @param {Uint32Array} ranges
+ * @param {number} cp
+ * @returns {boolean}
+ */
+function _inRangeSet(ranges, cp) {
+    let lo = 0;
+    let hi = (ranges.length >>> 1) - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >>> 1;
+        if (cp < ranges[mid * 2]) hi = mid - 1;
+        else if (cp > ranges[mid * 2 + 1]) lo = mid + 1;
+        else return true;
+    }
+    return false;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. 속성별 조회 함수(지연 디코딩)
+ * ------------------------------------------------------------------------------------------------ */
+
+/** 디코딩된 테이블 캐시 */
+const _decoded = Object.create(null);
+
+/**
+ * 테이블을 한 번만 디코딩하여 반환합니다.
+ * @template T
+ * @param {string} key
+ * @param {() => T} decode
+ * @returns {T}
+ */
+function _lazy(key, decode) {
+    return _decoded[key] || (_decoded[key] = decode());
+}
+
+/**
+ * General_Category(두 글자 약어, 예: 'Lu')
+ * @param {number} cp
+ * @returns {string}
+ */
+function _generalCategoryOf(cp) {
+    return _lookupRun(_lazy('gc', () => _decodeRuns(GENERAL_CATEGORY)), cp);
+}
+
+/**
+ * Script(긴 이름, 예: 'Hangul', 'Canadian_Aboriginal'; 미지정은 'Unknown')
+ * @param {number} cp
+ * @returns {string}
+ */
+function _scriptOf(cp) {
+    return _lookupRun(_lazy('sc', () => _decodeRuns(SCRIPT)), cp);
+}
+
+/**
+ * Script 이름(짧은 이름/별칭 포함)을 긴 이름으로 정규화합니다.
+ * @param {string} name - 예: 'Hang', 'Qaai', 'Hangul'
+ * @returns {string}
+ */
+function _scriptLongName(name) {
+    return Object.prototype.hasOwnProperty.call(SCRIPT_ALIASES, name) ? SCRIPT_ALIASES[name] : name;
+}
+
+/** Script_Extensions 값(짧은 이름 목록 문자열) → 긴 이름 배열 캐시 */
+const _scxNames = new Map();
+
+/**
+ * Script_Extensions(긴 이름 배열, 예: ['Hangul', 'Han', ...])
+ * - ScriptExtensions.txt에 없는 코드포인트는 [Script]를 반환합니다.
+ * - 반환 배열은 공유되므로 수정하지 마세요.
+ * @param {number} cp
+ * @returns {ReadonlyArray<string>}
+ */
+function _scriptExtensionsOf(cp) {
+    const value = _lookupRun(_lazy('scx', () => _decodeRuns(SCRIPT_EXTENSIONS)), cp);
+    // 빈 값(= Script와 같음)은 '=긴 이름'을 키로 캐시합니다(짧은 이름 목록과 겹치지 않음).
+    const key = value || `=${_scriptOf(cp)}`;
+
+    let names = _scxNames.get(key);
+    if (!names) {
+        names = Object.freeze(value ? value.split(' ').map(_scriptLongName) : [key.slice(1)]);
+        _scxNames.set(key, names);
+    }
+    return names;
+}
+
+/** @param {number} cp @returns {boolean} */
+function _isExtendedPictographic(cp) {
+    return _inRangeSet(_lazy('extpict', () => _decodeRanges(EXTENDED_PICTOGRAPHIC)), cp);
+}
+
+/** @param {number} cp @returns {boolean} */
+function _isEmoji(cp) {
+    return _inRangeSet(_lazy('emoji', () => _decodeRanges(EMOJI)), cp);
+}
+
+/** @param {number} cp @returns {boolean} */
+function _isEmojiComponent(cp) {
+    return _inRangeSet(_lazy('ecomp', () => _decodeRanges(EMOJI_COMPONENT)), cp);
+}
+
+/** @param {number} cp @returns {boolean} */
+function _isDefaultIgnorable(cp) {
+    return _inRangeSet(_lazy('di', () => _decodeRanges(DEFAULT_IGNORABLE)), cp);
+}
+
+/** @param {number} cp @returns {boolean} */
+function _isGraphemeExtend(cp) {
+    return _inRangeSet(_lazy('gext', () => _decodeRanges(GRAPHEME_EXTEND)), cp);
+}
+
+/**
+ * 기본 설정 분류기의 data: 'bundled' 분류 결과(값은 'main' 또는 'main:sub' 라벨)
+ * - 생성기가 src/index.js의 분류 단계로 미리 계산해 둔 구간 테이블입니다(category-table.js가 블록을 한 번에 채움).
+ * @param {'v1' | 'v2'} taxonomy
+ * @returns {{ starts: Uint32Array, codes: Uint16Array, values: string[] } | null} - 생성 중(아직 계산 전)이면 null
+ */
+function _bundledCategoryRuns(taxonomy) {
+    if (!CATEGORY_RUNS) return null;
+    return _lazy(`category-${taxonomy}`, () => _decodeRuns(CATEGORY_RUNS[taxonomy]));
+}
+
+export {
+    UNICODE_VERSION,
+    _decodeRuns,
+    _decodeRanges,
+    _runIndex,
+    _lookupRun,
+    _inRangeSet,
+    _lazy,
+    _generalCategoryOf,
+    _scriptOf,
+    _scriptLongName,
+    _scriptExtensionsOf,
+    _isExtendedPictographic,
+    _isEmoji,
+    _isEmojiComponent,
+    _isDefaultIgnorable,
+    _isGraphemeExtend,
+    _bundledCategoryRuns,
+};
@@ -0,0 +1,71 @@
+// GlyphScope — 위치 정보가 있는 토큰 분할(tokenize)
+// - 같은 분류가 이어지는 구간을 하나의 토큰으로 묶고, 편집기 하이라이트에 필요한
+//   UTF-16 위치·코드포인트 위치·줄/열을 함께 반환합니다.
+//
+// 주의:
+// - 줄 바꿈은 LF, CRLF, CR을 인식합니다(CRLF는 한 번의 줄 바꿈).
+// - line/column은 1부터 시작하며, column은 줄 시작부터의 UTF-16 코드 유닛 수 + 1입니다.
+
+'use strict';
+
+import { _normalizeAnalyzeOptions, _forEachUnit, _labelOf } from './analyzer.js';
+import { _labelId, _localizeLabel } from './labels.js';
+
+/**
+ * 문자열을 같은 분류가 이어지는 토큰으로 나눕니다(tokenize 본체).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string }, data: 'native' | 'bundled' }} classifier
+ * @param {string} text
+ * @param {{ granularity?: 'main' | 'sub', unit?: 'codepoint' | 'grapheme', locale?: string }} [options]
+ *   - granularity: 'main'이면 main이 같은 문자끼리, 'sub'이면 main:sub가 같은 문자끼리 묶습니다.
+ *   - unit: 'grapheme'이면 그래프림 클러스터를 쪼개지 않습니다(예: ZWJ 이모지 시퀀스가 한 토큰).
+ *   - locale: label의 언어(id, main, sub는 바뀌지 않음)
+ * @returns {Array<{ label: string, id: string, main: string, sub?: string, text: string, start: number, end: number,
+ *                   codePointStart: number, codePointEnd: number, line: number, column: number }>}
+ */
+function _tokenizeWith(classifier, text, options) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const opts = _normalizeAnalyzeOptions(options);
+    const getType = classifier.getCharacterType;
+
+    /** @type {Array<object>} */
+    const tokens = [];
+    let cur = null;
+
+    let cpIndex = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    _forEachUnit(text, opts.unit, 0, (ch, at) => {
+        const { type, label } = _labelOf(getType, ch, opts);
+
+        if (cur && cur.id === _labelId(label)) {
+            cur.end = at + ch.length;
+        } else {
+            const sub = opts.granularity === 'sub' && type.sub ? { sub: type.sub } : {};
+            cur = {
+                label: opts.locale ? _localizeLabel(label, opts.locale) : label, id: _labelId(label),
+                main: type.main, ...sub, text: '', start: at, end: at + ch.length,
+                codePointStart: cpIndex, codePointEnd: cpIndex, line, column: at - lineStart + 1,
+            };
+            tokens.push(cur);
+        }
+
+        // 코드포인트 수를 세고 줄 위치를 갱신합니다(CRLF의 CR은 줄을 끝내지 않고 LF가 끝냄).
+        cpIndex += opts.unit === 'grapheme' ? Array.from(ch).length : 1;
+        for (let k = 0; k < ch.length; k++) {
+            const c = ch.charCodeAt(k);
+            if (c === 0x0A || (c === 0x0D && text.charCodeAt(at + k + 1) !== 0x0A)) {
+                line++;
+                lineStart = at + k + 1;
+            }
+        }
+        cur.codePointEnd = cpIndex;
+    }, classifier.data);
+
+    for (const t of tokens) t.text = text.slice(t.start, t.end);
+    return tokens;
+}
+
+export { _tokenizeWith };
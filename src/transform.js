@@ -0,0 +1,259 @@
+// GlyphScope — 분류 기반 텍스트 변환(transform)
+// - 규칙은 GlyphScope 라벨('Format', 'Whitespace:Fixed-Width Space' 등)을 키로 하며,
+//   해당 문자를 제거(remove)·치환(replace)·연속 구간 축약(collapse)합니다.
+// - 자주 쓰는 정리 작업은 프리셋 이름으로 지정합니다(아래 _PRESETS).
+//
+// 주의:
+// - 규칙 키는 ':' 경계의 접두사로도 일치합니다. 'Whitespace:Control'은 'Whitespace:Control:Tab'과
+//   'Whitespace:Control:Line Break'에 모두 적용되며, 더 긴(구체적인) 키가 우선합니다.
+// - CRLF는 한 문자처럼 다룹니다(줄바꿈을 '\n'으로 치환해도 두 줄이 되지 않음).
+
+'use strict';
+
+import { _isDefaultIgnorable, _isEmoji, _isExtendedPictographic } from './tables.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 라벨 규칙
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 규칙 하나를 검증하고 정규화합니다.
+ * @param {any} rule - 'remove' | { replace: string | Function } | { collapse: string | Function }
+ * @param {string} key
+ * @returns {{ action: 'remove' | 'replace' | 'collapse', with?: string | Function }}
+ */
+function _normalizeRule(rule, key) {
+    if (rule === 'remove') return { action: 'remove' };
+    if (rule && typeof rule === 'object') {
+        for (const action of ['replace', 'collapse']) {
+            if (!Object.prototype.hasOwnProperty.call(rule, action)) continue;
+            const value = rule[action];
+            if (typeof value === 'string' || typeof value === 'function') return { action, with: value };
+        }
+    }
+    throw new TypeError(`rules["${key}"] must be 'remove', { replace: string | function } or { collapse: string | function }.`);
+}
+
+/**
+ * 라벨에 적용할 규칙 키를 찾습니다(가장 긴 ':' 접두사 우선).
+ * @param {Map<string, object>} table
+ * @param {{ main: string, sub?: string }} type
+ * @returns {string|null}
+ */
+function _ruleKeyFor(table, type) {
+    let key = type.sub ? `${type.main}:${type.sub}` : type.main;
+    for (;;) {
+        if (table.has(key)) return key;
+        const cut = key.lastIndexOf(':');
+        if (cut < 0) return null;
+        key = key.slice(0, cut);
+    }
+}
+
+/**
+ * 라벨 규칙 객체를 변환 단계(pass)로 컴파일합니다.
+ * @param {Record<string, any>} rules
+ * @returns {(getType: Function, text: string) => string}
+ */
+function _compileLabelRules(rules) {
+    const table = new Map();
+    for (const key of Object.keys(rules)) table.set(key, _normalizeRule(rules[key], key));
+
+    return (getType, text) => {
+        let out = '';
+        /** collapse 중인 구간: { key, rule, text, type } */
+        let run = null;
+        const flush = () => {
+            if (!run) return;
+            out += typeof run.rule.with === 'function' ? String(run.rule.with(run.text, run.type)) : run.rule.with;
+            run = null;
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const cp = text.codePointAt(i);
+            let size = cp > 0xFFFF ? 2 : 1;
+            if (cp === 0x0D && text.charCodeAt(i + 1) === 0x0A) size = 2;
+            const ch = text.slice(i, i + size);
+            i += size;
+
+            const type = getType(String.fromCodePoint(cp));
+            const key = _ruleKeyFor(table, type);
+            const rule = key === null ? null : table.get(key);
+
+            if (rule && rule.action === 'collapse') {
+                if (run && run.key === key) {
+                    run.text += ch;
+                } else {
+                    flush();
+                    run = { key, rule, text: ch, type };
+                }
+                continue;
+            }
+            flush();
+
+            if (!rule) out += ch;
+            else if (rule.action === 'replace') out += typeof rule.with === 'function' ? String(rule.with(ch, type)) : rule.with;
+        }
+        flush();
+        return out;
+    };
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 프리셋
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 'normalize-whitespace': 모든 Whitespace 하위 분류(WS_SUB)를 U+0020 또는 '\n'으로 바꿉니다.
+ * - 줄바꿈(Control:Line Break, CRLF 포함)은 '\n', 폭 없는 공백(Invisible:Zero Width)은 제거,
+ *   나머지(탭, NBSP, 전각 공백, En/Em Space 등)는 U+0020
+ */
+const _NORMALIZE_WHITESPACE = _compileLabelRules({
+    'Whitespace': { replace: ' ' },
+    'Whitespace:Control:Line Break': { replace: '\n' },
+    'Whitespace:Invisible': 'remove',
+});
+
+/** @param {number} cp @returns {boolean} - 반각 가타카나·반각 CJK 문장 부호(U+FF61–FF9F) */
+function _isHalfwidthKatakana(cp) {
+    return cp >= 0xFF61 && cp <= 0xFF9F;
+}
+
+/**
+ * 'fold-width': 전각 ASCII(U+FF01–FF5E)와 전각 공백(U+3000)을 ASCII로,
+ * 반각 가타카나를 일반(전각) 가타카나로 바꿉니다.
+ * - 반각 탁점·반탁점(ﾞ, ﾟ)은 앞 글자와 합성하고(ｶﾞ → ガ), 합성할 수 없으면 ゛/゜로 바꿉니다.
+ * @param {Function} _getType
+ * @param {string} text
+ * @returns {string}
+ */
+function _foldWidth(_getType, text) {
+    let out = '';
+    let i = 0;
+    while (i < text.length) {
+        const c = text.charCodeAt(i);
+        if (c >= 0xFF01 && c <= 0xFF5E) {
+            out += String.fromCharCode(c - 0xFEE0);
+            i++;
+        } else if (c === 0x3000) {
+            out += ' ';
+            i++;
+        } else if (_isHalfwidthKatakana(c)) {
+            let j = i + 1;
+            while (j < text.length && _isHalfwidthKatakana(text.charCodeAt(j))) j++;
+            // NFKC가 반각 → 전각 변환과 탁점 합성을 함께 처리합니다.
+            out += text.slice(i, j).normalize('NFKC').replace(/\u3099/g, '\u309B').replace(/\u309A/g, '\u309C');
+            i = j;
+        } else {
+            out += text[i];
+            i++;
+        }
+    }
+    return out;
+}
+
+/** 이모지 시퀀스 구성 문자 */
+const _ZWJ = 0x200D;
+const _TAG_BASE = 0x1F3F4;  // 🏴 WAVING BLACK FLAG
+const _CANCEL_TAG = 0xE007F;
+
+/**
+ * 'strip-invisible': 보이지 않는 문자(Default_Ignorable_Code_Point)를 제거합니다.
+ * - ZWSP, ZWNJ/ZWJ, bidi 제어, SHY, BOM, 이형 선택자, 한글 채움 문자, 태그 문자 등
+ * - 단, 이모지 시퀀스를 이루는 문자는 남깁니다:
+ *   이모지 사이의 ZWJ(👩‍💻), 이모지 뒤의 표시 선택자(U+FE0E/FE0F), 🏴 뒤의 태그 시퀀스(🏴󠁧󠁢󠁳󠁣󠁴󠁿)
+ * @param {Function} _getType
+ * @param {string} text
+ * @returns {string}
+ */
+function _stripInvisible(_getType, text) {
+    const cps = Array.from(text, (ch) => ch.codePointAt(0));
+    let out = '';
+    /** 마지막으로 남긴 코드포인트와, 그것이 이모지 시퀀스 안인지 */
+    let prev = -1;
+    let inEmoji = false;
+
+    for (let i = 0; i < cps.length; i++) {
+        const cp = cps[i];
+        if (!_isDefaultIgnorable(cp)) {
+            out += String.fromCodePoint(cp);
+            prev = cp;
+            inEmoji = _isEmoji(cp) || _isExtendedPictographic(cp) || (inEmoji && cp >= 0x1F3FB && cp <= 0x1F3FF);
+            continue;
+        }
+
+        let keep = false;
+        if (cp === _ZWJ) {
+            keep = inEmoji && i + 1 < cps.length && _isExtendedPictographic(cps[i + 1]);
+        } else if (cp === 0xFE0E || cp === 0xFE0F) {
+            keep = inEmoji && _isEmoji(prev);
+        } else if (cp >= 0xE0020 && cp <= _CANCEL_TAG) {
+            // 🏴 + 태그(E0020–E007E)… + CANCEL TAG 전체가 있을 때만 남깁니다.
+            let j = i;
+            while (j < cps.length && cps[j] >= 0xE0020 && cps[j] < _CANCEL_TAG) j++;
+            if (prev === _TAG_BASE && j > i && cps[j] === _CANCEL_TAG) {
+                out += String.fromCodePoint(...cps.slice(i, j + 1));
+                prev = _CANCEL_TAG;
+                i = j;
+                continue;
+            }
+        }
+
+        if (keep) {
+            out += String.fromCodePoint(cp);
+            prev = cp;
+        }
+    }
+    return out;
+}
+
+/** 프리셋 이름 → 변환 단계 */
+const _PRESETS = Object.freeze({
+    'normalize-whitespace': _NORMALIZE_WHITESPACE,
+    'fold-width': _foldWidth,
+    'strip-invisible': _stripInvisible,
+});
+
+/* ------------------------------------------------------------------------------------------------
+ * 3. transform 본체
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 규칙(라벨 규칙 객체, 프리셋 이름 또는 그 배열)을 변환 단계 목록으로 만듭니다.
+ * @param {any} rules
+ * @returns {Array<(getType: Function, text: string) => string>}
+ */
+function _compileRules(rules) {
+    const list = Array.isArray(rules) ? rules : [rules];
+    return list.map((r) => {
+        if (typeof r === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(_PRESETS, r)) {
+                throw new RangeError(`Unknown transform preset: "${r}". Expected one of ${Object.keys(_PRESETS).join(', ')}.`);
+            }
+            return _PRESETS[r];
+        }
+        if (!r || typeof r !== 'object') {
+            throw new TypeError('rules must be a rule object, a preset name or an array of them.');
+        }
+        return _compileLabelRules(r);
+    });
+}
+
+/**
+ * 분류 결과에 따라 텍스트를 변환합니다(transform 본체).
+ * - 배열로 여러 규칙을 주면 앞에서부터 차례로 적용합니다(앞 단계의 결과가 다음 단계의 입력).
+ * @param {{ getCharacterType: (char: string) => { main: string, sub?: string } }} classifier
+ * @param {string} text
+ * @param {Record<string, any> | string | Array<Record<string, any> | string>} rules
+ * @returns {string}
+ */
+function _transformWith(classifier, text, rules) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const passes = _compileRules(rules);
+    return passes.reduce((acc, pass) => pass(classifier.getCharacterType, acc), text);
+}
+
+export { _transformWith };
@@ -0,0 +1,73 @@
+// GlyphScope — 내부 공용 유틸리티
+// - 여러 모듈(index.js, grapheme.js 등)이 함께 쓰는 정규식/범위 검사 도우미입니다.
+// - 공개 API가 아니므로 패키지 진입점(index.js)에서 재노출하지 않습니다.
+
+'use strict';
+
+/* ------------------------------------------------------------------------------------------------
+ * 0. 정규식 유니코드 속성(\p{...}) 지원 여부 감지
+ *    - 최신 Node.js/브라우저는 대부분 지원합니다.
+ *    - 미지원 환경에서는 일부 분류 정밀도가 떨어질 수 있으나, 최소한의 동작은 유지합니다.
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 정규식 패턴을 안전하게 컴파일합니다.
+ * @param {string} source - RegExp 소스(문자열). 예: '^\\p{gc=Nd}$'
+ * @returns {RegExp|null} - 컴파일 성공 시 RegExp, 실패 시 null
+ */
+function _makeUnicodeRegExp(source) {
+    try {
+        return new RegExp(source, 'u');
+    } catch {
+        return null;
+    }
+}
+
+/** 유니코드 속성 이스케이프(\p{...}) 기본 지원 여부 */
+const _SUPPORTS_PROP_ESCAPES = (() => {
+    // 가장 단순한 속성으로 시험합니다.
+    // (지원하지 않는 엔진에서는 SyntaxError가 발생합니다.)
+    return _makeUnicodeRegExp('^\\p{L}$') !== null;
+})();
+
+/**
+ * \p{...} 지원 시에만 정규식을 컴파일합니다(미지원/미인식 속성이면 null).
+ * @param {string} source
+ * @returns {RegExp|null}
+ */
+function _makePropRegExp(source) {
+    return _SUPPORTS_PROP_ESCAPES ? _makeUnicodeRegExp(source) : null;
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. 범위/목록 검사
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 코드 포인트가 특정 범위 리스트에 포함되는지 검사합니다.
+ * @param {number} cp
+ * @param {ReadonlyArray<readonly [number, number]>} ranges
+ * @returns {boolean}
+ */
+function _inRanges(cp, ranges) {
+    for (const [a, b] of ranges) {
+        if (cp >= a && cp <= b) return true;
+    }
+    return false;
+}
+
+/**
+ * 코드 포인트가 특정 단일 값 리스트에 포함되는지 검사합니다.
+ * @param {number} cp
+ * @param {ReadonlyArray<number>} singles
+ * @returns {boolean}
+ */
+function _inSingles(cp, singles) {
+    // 리스트가 짧으므로 선형 탐색으로도 충분합니다.
+    for (const v of singles) {
+        if (cp === v) return true;
+    }
+    return false;
+}
+
+export { _makeUnicodeRegExp, _makePropRegExp, _SUPPORTS_PROP_ESCAPES, _inRanges, _inSingles };
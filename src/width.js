@@ -0,0 +1,217 @@
+// GlyphScope — East Asian Width와 터미널 표시 폭(measureWidth, truncateToWidth, padToWidth)
+// - East_Asian_Width(UAX #11)는 내장 테이블(src/data/east-asian-width.js)로 조회합니다.
+// - 표시 폭은 wcwidth와 같은 방식으로 셉니다: W/F는 2칸, 결합 부호·서식 문자·제어 문자는 0칸, 나머지는 1칸.
+//   A(모호)는 기본 1칸이며 ambiguousAsWide: true면 2칸(CJK 로캘 터미널)입니다.
+//
+// 주의:
+// - 그래프림 클러스터 단위로 셉니다. 이모지 시퀀스(ZWJ, 국기, 키캡, 피부색)는 2칸,
+//   VS16(U+FE0F)이 붙으면 2칸, VS15(U+FE0E)가 붙으면 1칸으로 봅니다.
+// - 클러스터 분할은 기본적으로 Intl.Segmenter(런타임의 유니코드 버전)를 따르며, data: 'bundled'이면
+//   내장 분할기(grapheme.js)를 씁니다.
+// - 자르기·채우기는 클러스터를 쪼개지 않습니다.
+
+'use strict';
+
+import { _decodeRuns, _lookupRun, _lazy, _generalCategoryOf, _isDefaultIgnorable, _isExtendedPictographic } from './tables.js';
+import { _segmentGraphemes } from './grapheme.js';
+import { EAST_ASIAN_WIDTH } from './data/east-asian-width.js';
+
+/* ------------------------------------------------------------------------------------------------
+ * 1. East_Asian_Width
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 코드포인트의 East_Asian_Width 값
+ * @param {number} cp
+ * @returns {'F' | 'H' | 'W' | 'Na' | 'A' | 'N'}
+ */
+function _eastAsianWidthOf(cp) {
+    return _lookupRun(_lazy('eaw', () => _decodeRuns(EAST_ASIAN_WIDTH)), cp);
+}
+
+/**
+ * 문자(첫 코드포인트)의 East_Asian_Width를 반환합니다.
+ * @param {string} char
+ * @returns {'F' | 'H' | 'W' | 'Na' | 'A' | 'N'}
+ */
+function _getEastAsianWidth(char) {
+    if (typeof char !== 'string' || char.length === 0) {
+        throw new TypeError('Input must be a non-empty string.');
+    }
+    return _eastAsianWidthOf(char.codePointAt(0));
+}
+
+/* ------------------------------------------------------------------------------------------------
+ * 2. 표시 폭
+ * ------------------------------------------------------------------------------------------------ */
+
+/**
+ * 폭 옵션을 검증합니다.
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled' }} [options]
+ * @returns {{ ambiguousAsWide: boolean, data: 'auto' | 'native' | 'bundled' }}
+ */
+function _normalizeWidthOptions(options = {}) {
+    const { ambiguousAsWide = false, data = 'auto' } = options;
+    if (typeof ambiguousAsWide !== 'boolean') {
+        throw new TypeError('ambiguousAsWide must be a boolean.');
+    }
+    if (data !== 'auto' && data !== 'native' && data !== 'bundled') {
+        throw new RangeError("data must be 'auto', 'native' or 'bundled'");
+    }
+    return { ambiguousAsWide, data };
+}
+
+/**
+ * 너비 인자(칸 수)를 검증합니다.
+ * @param {any} width
+ */
+function _checkWidth(width) {
+    if (!Number.isInteger(width) || width < 0) {
+        throw new RangeError('width must be a non-negative integer.');
+    }
+}
+
+/**
+ * 코드포인트 하나의 폭(wcwidth)
+ * @param {number} cp
+ * @param {boolean} ambiguousAsWide
+ * @returns {0 | 1 | 2}
+ */
+function _codePointWidth(cp, ambiguousAsWide) {
+    const gc = _generalCategoryOf(cp);
+    if (gc === 'Mn' || gc === 'Me' || gc === 'Cf' || gc === 'Cc' || gc === 'Zl' || gc === 'Zp') return 0;
+    if (_isDefaultIgnorable(cp)) return 0;
+    // 첫가끝 중성·종성은 앞 초성과 한 칸(2칸)에 겹쳐 그려집니다.
+    if ((cp >= 0x1160 && cp <= 0x11FF) || (cp >= 0xD7B0 && cp <= 0xD7FF)) return 0;
+
+    const eaw = _eastAsianWidthOf(cp);
+    if (eaw === 'W' || eaw === 'F') return 2;
+    if (eaw === 'A' && ambiguousAsWide) return 2;
+    return 1;
+}
+
+/** @param {number} cp @returns {boolean} - Regional Indicator(국기 구성 문자) */
+function _isRegionalIndicator(cp) {
+    return cp >= 0x1F1E6 && cp <= 0x1F1FF;
+}
+
+/**
+ * 그래프림 클러스터 하나의 폭
+ * @param {string} cluster
+ * @param {boolean} ambiguousAsWide
+ * @returns {number}
+ */
+function _clusterWidth(cluster, ambiguousAsWide) {
+    const cps = Array.from(cluster, (ch) => ch.codePointAt(0));
+    const base = cps[0];
+
+    if (_isExtendedPictographic(base) || _isRegionalIndicator(base) || cps.indexOf(0x20E3) !== -1) {
+        if (cps.indexOf(0xFE0E) !== -1 && cps.indexOf(0xFE0F) === -1 && cps.indexOf(0x200D) === -1) return 1;
+        if (cps.length > 1 && (cps.indexOf(0xFE0F) !== -1 || cps.indexOf(0x200D) !== -1 ||
+            _isRegionalIndicator(cps[1]) || cps.indexOf(0x20E3) !== -1 || (cps[1] >= 0x1F3FB && cps[1] <= 0x1F3FF))) {
+            return 2;
+        }
+        return _codePointWidth(base, ambiguousAsWide);
+    }
+
+    let width = 0;
+    for (const cp of cps) width += _codePointWidth(cp, ambiguousAsWide);
+    return width;
+}
+
+/**
+ * 텍스트의 표시 폭(터미널 칸 수)을 계산합니다.
+ * @param {string} text
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled' }} [options]
+ * @returns {number}
+ */
+function _measureWidth(text, options) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    const { ambiguousAsWide, data } = _normalizeWidthOptions(options);
+
+    // ASCII 출력 문자만 있으면 길이가 곧 폭입니다.
+    if (/^[\x20-\x7E]*$/.test(text)) return text.length;
+
+    let width = 0;
+    for (const { segment } of _segmentGraphemes(text, data)) width += _clusterWidth(segment, ambiguousAsWide);
+    return width;
+}
+
+/**
+ * 표시 폭이 width를 넘지 않도록 자릅니다(잘렸으면 끝에 ellipsis).
+ * @param {string} text
+ * @param {number} width
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled', ellipsis?: string }} [options]
+ *   - ellipsis: 잘렸을 때 붙일 문자열(기본 '…', 폭에 포함). width보다 넓으면 붙이지 않습니다.
+ * @returns {string}
+ */
+function _truncateToWidth(text, width, options = {}) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    _checkWidth(width);
+    const { ambiguousAsWide, data } = _normalizeWidthOptions(options);
+    const { ellipsis = '…' } = options;
+    if (typeof ellipsis !== 'string') {
+        throw new TypeError('ellipsis must be a string.');
+    }
+
+    const clusters = _segmentGraphemes(text, data);
+    const widths = clusters.map(({ segment }) => _clusterWidth(segment, ambiguousAsWide));
+    const total = widths.reduce((a, b) => a + b, 0);
+    if (total <= width) return text;
+
+    let tail = ellipsis;
+    let tailWidth = _measureWidth(ellipsis, { ambiguousAsWide, data });
+    if (tailWidth > width) {
+        tail = '';
+        tailWidth = 0;
+    }
+
+    let used = 0;
+    let end = 0;
+    for (let i = 0; i < clusters.length; i++) {
+        if (used + widths[i] > width - tailWidth) break;
+        used += widths[i];
+        end = clusters[i].index + clusters[i].segment.length;
+    }
+    return text.slice(0, end) + tail;
+}
+
+/**
+ * 표시 폭이 width가 되도록 채웁니다. 이미 width 이상이면 그대로 반환합니다(자르지 않음).
+ * @param {string} text
+ * @param {number} width
+ * @param {{ ambiguousAsWide?: boolean, data?: 'auto' | 'native' | 'bundled', align?: 'left' | 'right' | 'center',
+ *           fill?: string }} [options]
+ *   - align: 'left'(기본, 오른쪽을 채움), 'right', 'center'(남는 칸은 오른쪽에)
+ *   - fill: 채울 문자(폭 1, 기본 ' ')
+ * @returns {string}
+ */
+function _padToWidth(text, width, options = {}) {
+    if (typeof text !== 'string') {
+        throw new TypeError('Input must be a string.');
+    }
+    _checkWidth(width);
+    const widthOptions = _normalizeWidthOptions(options);
+    const { align = 'left', fill = ' ' } = options;
+    if (align !== 'left' && align !== 'right' && align !== 'center') {
+        throw new RangeError(`Invalid align: "${align}". Expected 'left', 'right' or 'center'.`);
+    }
+    if (typeof fill !== 'string' || _measureWidth(fill, widthOptions) !== 1) {
+        throw new RangeError('fill must be a string one column wide.');
+    }
+
+    const gap = width - _measureWidth(text, widthOptions);
+    if (gap <= 0) return text;
+    if (align === 'right') return fill.repeat(gap) + text;
+    if (align === 'center') {
+        const left = Math.floor(gap / 2);
+        return fill.repeat(left) + text + fill.repeat(gap - left);
+    }
+    return text + fill.repeat(gap);
+}
+
+export { _getEastAsianWidth, _measureWidth, _truncateToWidth, _padToWidth };
@@ -0,0 +1,115 @@
+// 점진 분석기(createAnalyzer)와 스트림 래퍼(createAnalyzerTransformStream, glyphscope/node) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { analyzeText, createAnalyzer, createAnalyzerTransformStream } from '../src/index.js';
+import { createAnalyzerStream } from '../src/node.js';
+
+/**
+ * 문자열을 주어진 위치에서 잘라 조각 목록으로 만듭니다.
+ * @param {string} text
+ * @param {number[]} cuts - UTF-16 위치
+ * @returns {string[]}
+ */
+function split(text, cuts) {
+    const out = [];
+    let prev = 0;
+    for (const cut of cuts) {
+        out.push(text.slice(prev, cut));
+        prev = cut;
+    }
+    out.push(text.slice(prev));
+    return out;
+}
+
+/**
+ * @param {string[]} chunks
+ * @param {object} [options]
+ */
+function pushAll(chunks, options) {
+    const analyzer = createAnalyzer(options);
+    for (const chunk of chunks) analyzer.push(chunk);
+    return analyzer.result();
+}
+
+test('a surrogate pair split across push is counted once', () => {
+    const text = 'a😀b';
+    const result = pushAll(split(text, [2]), { granularity: 'sub' });
+    assert.deepEqual(result, analyzeText(text, { granularity: 'sub' }));
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.breakdown['Emoji:Extended Pictographic'].chars, ['😀']);
+});
+
+test('a grapheme cluster split across chunks is counted once', () => {
+    const text = 'x👨‍👩‍👧e\u0301한글';
+    for (let cut = 1; cut < text.length; cut++) {
+        const result = pushAll(split(text, [cut]), { unit: 'grapheme' });
+        assert.deepEqual(result, analyzeText(text, { unit: 'grapheme' }), `cut at ${cut}`);
+    }
+    // 조각 하나하나가 한 UTF-16 단위여도 같습니다.
+    const units = pushAll(text.split(''), { unit: 'grapheme' });
+    assert.equal(units.total, 5);
+    assert.deepEqual(units.breakdown.Emoji.chars, ['👨‍👩‍👧']);
+});
+
+test('result() includes the pending tail and push can continue afterwards', () => {
+    const analyzer = createAnalyzer({ unit: 'grapheme' });
+    analyzer.push('ae');
+    assert.equal(analyzer.result().total, 2);
+    analyzer.push('\u0301\uD83D');
+    // 짝이 없는 상위 서러게이트도 result()에서는 글자 하나로 셉니다.
+    assert.equal(analyzer.result().total, 3);
+    analyzer.push('\uDE00');
+    const result = analyzer.result();
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.breakdown.Latin.chars, ['a', 'e\u0301']);
+});
+
+test('maxChars caps or disables the chars collection but not the counts', () => {
+    const text = 'abcdefghij';
+    assert.deepEqual(pushAll([text], { maxChars: 3 }).breakdown.Latin, {
+        id: 'latin', count: 10, chars: ['a', 'b', 'c'], ratio: 100,
+    });
+    assert.deepEqual(pushAll(['abc', 'abc'], { maxChars: 0 }).breakdown.Latin.chars, []);
+    assert.equal(pushAll(['abc', 'abc'], { maxChars: 0 }).breakdown.Latin.count, 6);
+    assert.throws(() => createAnalyzer({ maxChars: -1 }), RangeError);
+    assert.throws(() => createAnalyzer().push(1), TypeError);
+});
+
+test('Node.js Transform stream decodes multi-byte characters split across Buffer chunks', async () => {
+    const bytes = Buffer.from('가😀a\r\n', 'utf8');
+    // 한글(3바이트)과 이모지(4바이트)를 가운데에서 자릅니다.
+    const chunks = [bytes.subarray(0, 1), bytes.subarray(1, 5), bytes.subarray(5)];
+    const results = [];
+    for await (const result of Readable.from(chunks).pipe(createAnalyzerStream({ granularity: 'sub', maxChars: 1 }))) {
+        results.push(result);
+    }
+    assert.equal(results.length, 1);
+    assert.deepEqual(results[0], analyzeText('가😀a\r\n', { granularity: 'sub', maxChars: 1 }));
+});
+
+test('Node.js Transform stream reports invalid options', () => {
+    assert.throws(() => createAnalyzerStream({ unit: 'word' }), RangeError);
+});
+
+test('WHATWG TransformStream accepts strings and split UTF-8 bytes', async () => {
+    const bytes = new TextEncoder().encode('😀한');
+    const stream = createAnalyzerTransformStream({ unit: 'grapheme' });
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+    const read = reader.read();
+
+    await writer.write('e');
+    await writer.write(new TextEncoder().encode('\u0301').buffer);
+    await writer.write(bytes.subarray(0, 2));
+    await writer.write(bytes.subarray(2, 5));
+    await writer.write(bytes.subarray(5));
+    await writer.close();
+
+    const { value } = await read;
+    assert.deepEqual(value, analyzeText('e\u0301😀한', { unit: 'grapheme' }));
+    assert.equal((await reader.read()).done, true);
+});
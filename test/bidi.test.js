@@ -0,0 +1,57 @@
+// 양방향 텍스트 방향(getBidiClass, getDirection, firstStrongDirection) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstStrongDirection, getBidiClass, getDirection } from '../src/index.js';
+
+test('getBidiClass reads the bundled Bidi_Class table', () => {
+    const cases = {
+        'a': 'L', 'א': 'R', 'ب': 'AL', '\u{10800}': 'R', '\u{1E900}': 'R', '1': 'EN', '۱': 'EN', '١': 'AN',
+        '$': 'ET', ',': 'CS', '!': 'ON', ' ': 'WS', '\t': 'S', '\n': 'B', '\u0301': 'NSM',
+        '\u200E': 'L', '\u200F': 'R', '\u202E': 'RLO', '\u2066': 'LRI', '\u2069': 'PDI',
+    };
+    for (const [char, cls] of Object.entries(cases)) assert.equal(getBidiClass(char), cls, char);
+    assert.throws(() => getBidiClass(''), TypeError);
+});
+
+test('unassigned code points take the default Bidi_Class of their range', () => {
+    assert.equal(getBidiClass('\u0378'), 'L');
+    assert.equal(getBidiClass('\u05FF'), 'R');
+    assert.equal(getBidiClass('\u07BB'), 'AL');
+    assert.equal(getBidiClass('\u20CF'), 'ET');
+    assert.equal(getBidiClass('\u{10FFFF}'), 'BN');
+});
+
+test('getDirection counts strong LTR and RTL characters only', () => {
+    assert.deepEqual(getDirection('hello'), { direction: 'ltr', ltr: 5, rtl: 0 });
+    assert.deepEqual(getDirection('שלום'), { direction: 'rtl', ltr: 0, rtl: 4 });
+    assert.deepEqual(getDirection('שלום world'), { direction: 'mixed', ltr: 5, rtl: 4 });
+    // 숫자·문장 부호·공백은 방향을 정하지 않습니다.
+    assert.deepEqual(getDirection('١٢٣ 1,2 !'), { direction: 'neutral', ltr: 0, rtl: 0 });
+    assert.deepEqual(getDirection(''), { direction: 'neutral', ltr: 0, rtl: 0 });
+    assert.throws(() => getDirection(1), TypeError);
+});
+
+test('firstStrongDirection follows HTML dir="auto"', () => {
+    assert.equal(firstStrongDirection('123 مرحبا hello'), 'rtl');
+    assert.equal(firstStrongDirection('(hello) שלום'), 'ltr');
+    assert.equal(firstStrongDirection('\u200F a'), 'rtl');
+    assert.equal(firstStrongDirection('123 !'), null);
+    assert.equal(firstStrongDirection(''), null);
+    assert.throws(() => firstStrongDirection(null), TypeError);
+});
+
+test('firstStrongDirection skips isolates but not embeddings', () => {
+    assert.equal(firstStrongDirection('\u2066hello\u2069 שלום'), 'rtl');
+    assert.equal(firstStrongDirection('\u2068a\u2069\u2067b\u2069 c'), 'ltr');
+    // 중첩된 격리는 바깥 PDI까지 건너뜁니다.
+    assert.equal(firstStrongDirection('\u2066\u2067a\u2069b\u2069 א'), 'rtl');
+    // 닫히지 않은 격리는 끝까지 이어지고, 짝 없는 PDI는 무시합니다.
+    assert.equal(firstStrongDirection('\u2066hello'), null);
+    assert.equal(firstStrongDirection('\u2069a'), 'ltr');
+    // 임베딩(RLE … PDF) 안의 글자는 건너뛰지 않습니다(UAX #9 P2).
+    assert.equal(firstStrongDirection('\u202Bא\u202C a'), 'rtl');
+    assert.equal(firstStrongDirection('\u202Ea\u202C א'), 'ltr');
+});
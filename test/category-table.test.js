@@ -0,0 +1,59 @@
+// 분류 블록 표(category-table.js)와 미리 계산한 분류 구간(src/data/categories.js) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassifier } from '../src/index.js';
+
+/** 전체 코드포인트 */
+const ALL = new Uint32Array(0x110000).map((_, i) => i);
+
+/**
+ * 분류기로 코드포인트 목록을 분류해 라벨('main' 또는 'main:sub') 목록으로 반환합니다.
+ * @param {ReturnType<typeof createClassifier>} classifier
+ * @param {Uint32Array} codePoints
+ * @returns {string[]}
+ */
+function labels(classifier, codePoints) {
+    return Array.from(classifier.classifyCodePoints(codePoints), (id) => {
+        const { main, sub } = classifier.getCategory(id);
+        return sub ? `${main}:${sub}` : main;
+    });
+}
+
+for (const taxonomy of ['v1', 'v2']) {
+    test(`precomputed bundled categories match the classifier stages (${taxonomy})`, () => {
+        const precomputed = createClassifier({ data: 'bundled', taxonomy, cacheSize: Infinity });
+        // 사용자 스크립트가 있으면 미리 계산한 구간을 쓰지 않습니다. 빈 범위의 스크립트는 어떤 글자에도 맞지 않으므로
+        // 결과는 같아야 합니다(다르면 src/index.js를 고친 뒤 npm run generate:unicode를 실행하지 않은 것).
+        const staged = createClassifier({
+            data: 'bundled', taxonomy, cacheSize: Infinity, scripts: [{ label: 'None', ranges: [] }],
+        });
+        const expected = labels(staged, ALL);
+        const actual = labels(precomputed, ALL);
+        for (let cp = 0; cp < ALL.length; cp++) {
+            if (actual[cp] !== expected[cp]) {
+                assert.fail(`U+${cp.toString(16).toUpperCase()}: ${actual[cp]} !== ${expected[cp]}`);
+            }
+        }
+    });
+}
+
+test('overrides and ranges win over precomputed categories', () => {
+    const classifier = createClassifier({
+        data: 'bundled',
+        ranges: [{ from: 0x41, to: 0x5A, main: 'First' }, { from: 0x41, to: 0x42, main: 'Second' }],
+        overrides: { B: { main: 'Override', sub: 'B' } },
+    });
+    assert.deepEqual(labels(classifier, Uint32Array.of(0x41, 0x42, 0x43, 0x61)),
+        ['First', 'Override:B', 'First', 'Latin:Lowercase']);
+});
+
+test('a small cache gives the same results as an unbounded one', () => {
+    const cps = Uint32Array.of(0x41, 0xAC00, 0x1F600, 0x41, 0x10FFFF, 0xAC00, 0x30000, 0x41);
+    for (const data of ['native', 'bundled']) {
+        const unbounded = labels(createClassifier({ data, cacheSize: Infinity }), cps);
+        assert.deepEqual(labels(createClassifier({ data, cacheSize: 1 }), cps), unbounded);
+    }
+});
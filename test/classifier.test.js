@@ -0,0 +1,86 @@
+// 분류기 인스턴스(createClassifier: ranges, overrides, scripts, order) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STAGE_ORDER, analyzeText, createClassifier, getCharacterType } from '../src/index.js';
+
+/**
+ * @param {{ main: string, sub?: string }} type
+ * @returns {string}
+ */
+function label({ main, sub }) {
+    return sub ? `${main}:${sub}` : main;
+}
+
+test('custom ranges label Private Use Area code points', () => {
+    const classifier = createClassifier({
+        ranges: [{ from: 0xE000, to: 0xF8FF, main: 'Icon' }, { from: 0xF0000, main: 'Logo', sub: 'Brand' }],
+    });
+    assert.deepEqual(classifier.getCharacterType('\uE001'), { main: 'Icon', id: 'icon' });
+    assert.deepEqual(classifier.getCharacterType('\u{F0000}'), { main: 'Logo', sub: 'Brand', id: 'logo.brand' });
+    assert.equal(label(classifier.getCharacterType('\u{F0001}')), label(getCharacterType('\u{F0001}')));
+    assert.deepEqual(classifier.analyzeText('\uE001\uE002a').breakdown.Icon, {
+        id: 'icon', count: 2, chars: ['\uE001', '\uE002'], ratio: 66.67,
+    });
+});
+
+test('overrides win over ranges and built-in stages', () => {
+    const classifier = createClassifier({
+        ranges: [{ from: 0x40, to: 0x41, main: 'Range' }],
+        overrides: { '@': { main: 'At', sub: 'Sign' } },
+    });
+    assert.equal(label(classifier.getCharacterType('@')), 'At:Sign');
+    assert.equal(label(classifier.getCharacterType('A')), 'Range');
+    assert.equal(label(classifier.getCharacterType('B')), 'Latin:Uppercase');
+});
+
+test('extra scripts label letters missing from the built-in list', () => {
+    const classifier = createClassifier({
+        scripts: [{ label: 'Javanese', script: 'Javanese' }, { label: 'Tifinagh', script: 'Tifinagh' }],
+    });
+    assert.equal(label(getCharacterType('ꦄ')), 'Letter:Other Script');
+    assert.equal(label(classifier.getCharacterType('ꦄ')), 'Javanese:Letter');
+    assert.equal(label(classifier.getCharacterType('ⴰ')), 'Tifinagh:Letter');
+    // 글자가 아닌 같은 스크립트의 문자(숫자)는 기본 단계가 분류합니다.
+    assert.equal(classifier.getCharacterType('꧑').main, 'Digit');
+    // script를 모르는 런타임·bundled에서는 ranges로 판정합니다.
+    const bundled = createClassifier({ data: 'bundled', scripts: [{ label: 'Javanese', ranges: [[0xA980, 0xA9DF]] }] });
+    assert.equal(label(bundled.getCharacterType('ꦄ')), 'Javanese:Letter');
+});
+
+test('order changes stage precedence and drops stages that are left out', () => {
+    const formatFirst = createClassifier({ order: ['format', ...DEFAULT_STAGE_ORDER] });
+    assert.deepEqual(formatFirst.getCharacterType('\u200B'), { main: 'Format', id: 'format' });
+    assert.equal(getCharacterType('\u200B').main, 'Whitespace');
+
+    const asciiOnly = createClassifier({ order: ['ascii'] });
+    assert.equal(label(asciiOnly.getCharacterType('a')), 'Latin:Lowercase');
+    assert.equal(asciiOnly.getCharacterType('가').main, 'Other');
+});
+
+test('instances do not share caches or configuration with the global functions', () => {
+    const classifier = createClassifier({ overrides: { a: { main: 'Custom' } } });
+    assert.equal(classifier.getCharacterType('a').main, 'Custom');
+    assert.equal(getCharacterType('a').main, 'Latin');
+    assert.equal(analyzeText('a').breakdown.Latin.count, 1);
+    assert.equal(classifier.analyzeText('a').breakdown.Custom.count, 1);
+    assert.equal(createClassifier().getCharacterType('a').main, 'Latin');
+});
+
+test('instances expose their data source, taxonomy and Unicode version', () => {
+    const bundled = createClassifier({ data: 'bundled', taxonomy: 'v2' });
+    assert.equal(bundled.data, 'bundled');
+    assert.equal(bundled.taxonomy, 'v2');
+    assert.equal(bundled.unicodeVersion, '16.0.0');
+    assert.equal(createClassifier().taxonomy, 'v1');
+});
+
+test('invalid options are rejected', () => {
+    assert.throws(() => createClassifier({ order: ['nope'] }), /Unknown classifier stage: nope/);
+    assert.throws(() => createClassifier({ ranges: [{ from: 5, to: 1, main: 'X' }] }), RangeError);
+    assert.throws(() => createClassifier({ overrides: { ab: { main: 'X' } } }), RangeError);
+    assert.throws(() => createClassifier({ data: 'remote' }), RangeError);
+    assert.throws(() => createClassifier({ taxonomy: 'v3' }), RangeError);
+});
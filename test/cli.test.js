@@ -0,0 +1,141 @@
+// 명령줄 도구(bin/glyphscope.js) 테스트 — 실제 프로세스를 띄워 출력과 종료 코드를 확인합니다.
+
+'use strict';
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const BIN = fileURLToPath(new URL('../bin/glyphscope.js', import.meta.url));
+
+/** 테스트 입력 파일을 둘 임시 디렉터리 */
+let dir;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'glyphscope-cli-'));
+    writeFileSync(join(dir, 'a.txt'), 'ab 1\r\n가\u200B\n');
+    writeFileSync(join(dir, 'b.txt'), 'x\ty\n');
+    writeFileSync(join(dir, 'c.md'), 'clean\n');
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * @param {string[]} args
+ * @param {string} [input] - 표준 입력
+ * @returns {{ status: number, stdout: string, stderr: string }}
+ */
+function run(args, input) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], {
+        input: input === undefined ? '' : input, encoding: 'utf8', timeout: 30000,
+    });
+    return { status, stdout, stderr };
+}
+
+test('table output sorts categories by count and aligns columns', () => {
+    const { status, stdout, stderr } = run([join(dir, 'a.txt')]);
+    assert.equal(status, 0, stderr);
+    assert.deepEqual(stdout.split('\n'), [
+        `${join(dir, 'a.txt')} (9 characters)`,
+        'Category    Count   Ratio',
+        '----------  -----  ------',
+        'Whitespace      5  55.56%',
+        'Latin           2  22.22%',
+        'Digit           1  11.11%',
+        'Hangul          1  11.11%',
+        '',
+    ]);
+});
+
+test('JSON output is the analyzeText result per file, with --max-chars', () => {
+    const { status, stdout } = run(['-f', 'json', '--max-chars', '1', '-g', 'sub', join(dir, 'a.txt')]);
+    assert.equal(status, 0);
+    const [report] = JSON.parse(stdout);
+    assert.equal(report.file, join(dir, 'a.txt'));
+    assert.equal(report.total, 9);
+    assert.deepEqual(report.breakdown['Latin:Lowercase'], { id: 'latin.lowercase', count: 2, chars: ['a'], ratio: 22.22 });
+    assert.equal(report.breakdown['Whitespace:Invisible:Zero Width'].count, 1);
+});
+
+test('CSV output has one row per file and category', () => {
+    const { status, stdout } = run(['--format=csv', join(dir, 'a.txt'), join(dir, 'b.txt')]);
+    assert.equal(status, 0);
+    const rows = stdout.trimEnd().split('\n');
+    assert.equal(rows[0], 'file,category,count,ratio');
+    assert.ok(rows.includes(`${join(dir, 'a.txt')},Hangul,1,11.11`));
+    assert.ok(rows.includes(`${join(dir, 'b.txt')},Latin,2,50`));
+    assert.equal(rows.length, 1 + 4 + 2);
+});
+
+test('standard input is read when no file (or "-") is given', () => {
+    for (const args of [['-f', 'json'], ['-f', 'json', '-']]) {
+        const { status, stdout } = run(args, '한글 ok');
+        assert.equal(status, 0);
+        const [report] = JSON.parse(stdout);
+        assert.equal(report.file, '<stdin>');
+        assert.equal(report.total, 5);
+        assert.equal(report.breakdown.Hangul.count, 2);
+    }
+});
+
+test('--unit grapheme counts a ZWJ sequence once', () => {
+    const { stdout } = run(['-f', 'json', '-u', 'grapheme'], '👨‍👩‍👧!');
+    assert.equal(JSON.parse(stdout)[0].total, 2);
+});
+
+test('--fail-on reports file:line:column and exits with 1', () => {
+    const { status, stdout, stderr } = run(['-q', '--fail-on', 'Hangul', '--fail-on', 'Whitespace:Invisible',
+        join(dir, '*.txt')]);
+    assert.equal(status, 1);
+    assert.equal(stdout, '');
+    assert.deepEqual(stderr.trimEnd().split('\n'), [
+        `${join(dir, 'a.txt')}:2:1: U+AC00 Hangul:Syllable`,
+        `${join(dir, 'a.txt')}:2:2: U+200B Whitespace:Invisible:Zero Width`,
+        'glyphscope: 2 character(s) matched --fail-on Hangul,Whitespace:Invisible',
+    ]);
+});
+
+test('--fail-on columns count UTF-16 units and lines split on LF, CRLF and CR', () => {
+    const { status, stderr } = run(['--fail-on=Control'], 'x\r\n😀\u0007\ry\n\u0000');
+    assert.equal(status, 1);
+    assert.deepEqual(stderr.trimEnd().split('\n').slice(0, 2), [
+        '<stdin>:2:3: U+0007 Control',
+        '<stdin>:4:1: U+0000 Control',
+    ]);
+});
+
+test('exit code 0 when --fail-on finds nothing', () => {
+    const { status, stderr } = run(['-q', '--fail-on', 'Control,Format', join(dir, 'c.md')]);
+    assert.equal(status, 0);
+    assert.equal(stderr, '');
+});
+
+test('exit code 2 on usage and I/O errors', () => {
+    const cases = [
+        [['--fail-on', 'Contrl', join(dir, 'c.md')], /Unknown --fail-on category: Contrl/],
+        [['--fail-on', 'Control,Whitespace:Invisble', join(dir, 'c.md')], /Whitespace:Invisble/],
+        [['--format', 'xml', join(dir, 'c.md')], /--format must be/],
+        [['--nope'], /Unknown option: --nope/],
+        [['-g'], /needs a value/],
+        [[join(dir, 'missing.txt')], /ENOENT/],
+        [[join(dir, '*.none')], /No files match/],
+        [[dir], /is a directory/],
+    ];
+    for (const [args, message] of cases) {
+        const { status, stdout, stderr } = run(args);
+        assert.equal(status, 2, args.join(' '));
+        assert.equal(stdout, '');
+        assert.match(stderr, message);
+    }
+});
+
+test('--help and --version exit with 0', () => {
+    assert.match(run(['--help']).stdout, /^Usage: glyphscope/);
+    assert.match(run(['-v']).stdout, /^\d+\.\d+\.\d+\n$/);
+});
@@ -0,0 +1,70 @@
+// 이모지 시퀀스 구조 분석(parseEmoji) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEmoji } from '../src/index.js';
+
+/**
+ * @param {string} text
+ * @returns {Array<[string, string, boolean, string|null]>} - [text, type, rgi, qualification]
+ */
+function kinds(text) {
+    return parseEmoji(text).map((e) => [e.text, e.type, e.rgi, e.qualification]);
+}
+
+test('modifier sequences and flags carry their components and positions', () => {
+    assert.deepEqual(parseEmoji('Hi \u{1F44B}\u{1F3FD} \u{1F1F0}\u{1F1F7}'), [
+        { text: '\u{1F44B}\u{1F3FD}', start: 3, end: 7, type: 'modifier', base: '\u{1F44B}', skinTones: ['\u{1F3FD}'],
+            gender: null, hair: null, region: null, rgi: true, qualification: 'fully-qualified' },
+        { text: '\u{1F1F0}\u{1F1F7}', start: 8, end: 12, type: 'flag', base: '\u{1F1F0}\u{1F1F7}', skinTones: [],
+            gender: null, hair: null, region: 'KR', rgi: true, qualification: 'fully-qualified' },
+    ]);
+    // Regional Indicator는 두 개씩 짝을 지으며, 짝이 없는 하나는 이모지가 아닙니다.
+    assert.deepEqual(kinds('\u{1F1F0}\u{1F1F7}\u{1F1FA}'), [['\u{1F1F0}\u{1F1F7}', 'flag', true, 'fully-qualified']]);
+    assert.deepEqual(parseEmoji('\u{1F1F0}'), []);
+});
+
+test('tag flags report their subdivision code', () => {
+    const scotland = '\u{1F3F4}\u{E0067}\u{E0062}\u{E0073}\u{E0063}\u{E0074}\u{E007F}';
+    const [flag] = parseEmoji(scotland);
+    assert.deepEqual([flag.type, flag.base, flag.region, flag.rgi, flag.end], ['flag', '\u{1F3F4}', 'gbsct', true, 14]);
+});
+
+test('keycaps are RGI only with U+FE0F', () => {
+    const [one, hash] = parseEmoji('1\uFE0F\u20E3 #\u20E3');
+    assert.deepEqual([one.type, one.base, one.rgi, one.qualification], ['keycap', '1', true, 'fully-qualified']);
+    assert.deepEqual([hash.type, hash.base, hash.rgi, hash.qualification], ['keycap', '#', false, 'unqualified']);
+});
+
+test('ZWJ sequences report skin tones, gender and hair', () => {
+    const [redHair] = parseEmoji('\u{1F469}\u{1F3FB}\u200D\u{1F9B0}');
+    assert.deepEqual([redHair.type, redHair.base, redHair.skinTones, redHair.hair, redHair.gender],
+        ['zwj', '\u{1F469}', ['\u{1F3FB}'], 'red', null]);
+
+    const [couple] = parseEmoji('\u{1F9D1}\u{1F3FB}\u200D\u{1F91D}\u200D\u{1F9D1}\u{1F3FF}');
+    assert.deepEqual(couple.skinTones, ['\u{1F3FB}', '\u{1F3FF}']);
+
+    const [family] = parseEmoji('\u{1F468}\u200D\u{1F469}\u200D\u{1F467}\u200D\u{1F466}');
+    assert.deepEqual([family.type, family.end, family.rgi], ['zwj', 11, true]);
+});
+
+test('qualification follows the bundled emoji-test data', () => {
+    assert.deepEqual(kinds('\u{1F937}\u200D♀\uFE0F'), [['\u{1F937}\u200D♀\uFE0F', 'zwj', true, 'fully-qualified']]);
+    assert.deepEqual(kinds('\u{1F937}\u200D♀'), [['\u{1F937}\u200D♀', 'zwj', false, 'minimally-qualified']]);
+    assert.equal(parseEmoji('\u{1F937}\u200D♀')[0].gender, 'female');
+    assert.deepEqual(kinds('\u{1F3FD}'), [['\u{1F3FD}', 'basic', false, 'component']]);
+});
+
+test('text-style characters count only with U+FE0F', () => {
+    assert.deepEqual(kinds('❤ ❤\uFE0F ❤\uFE0E © ©\uFE0F 1'), [
+        ['❤\uFE0F', 'basic', true, 'fully-qualified'],
+        ['©\uFE0F', 'basic', true, 'fully-qualified'],
+    ]);
+    assert.deepEqual(kinds('\u{1F600}\u{1F600}').map(([text]) => text), ['\u{1F600}', '\u{1F600}']);
+    // 이모지가 아닌 글자 뒤의 ZWJ는 시퀀스를 만들지 않습니다.
+    assert.deepEqual(parseEmoji('a\u200D\u{1F600}').map((e) => [e.text, e.start]), [['\u{1F600}', 2]]);
+    assert.deepEqual(parseEmoji('plain text'), []);
+    assert.throws(() => parseEmoji(null), TypeError);
+});
@@ -0,0 +1,86 @@
+// loadFontCoverage / checkCoverage 테스트
+// - 글꼴은 test/fixtures/에 있습니다(scripts/generate-test-fonts.js로 생성).
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { checkCoverage, loadFontCoverage } from '../src/index.js';
+
+/**
+ * @param {string} file - test/fixtures/ 아래 파일명
+ * @returns {Buffer}
+ */
+function fixture(file) {
+    return readFileSync(new URL(`fixtures/${file}`, import.meta.url));
+}
+
+/** 글꼴별 기대 범위([시작, 끝], 끝 포함) */
+const EXPECTED_RANGES = {
+    // 형식 4: idDelta 구간 + glyphIdArray 구간(U+AC02는 글리프 0)
+    cmap4: [[0x0020, 0x007E], [0xAC00, 0xAC01], [0xAC03, 0xAC03]],
+    // 형식 12: 첫 글리프 번호가 0인 U+0030은 빠지고, (1,0) 형식 0 하위 표는 읽지 않습니다.
+    cmap12: [[0x0031, 0x0039], [0x0041, 0x005A], [0x1F600, 0x1F64F]],
+};
+
+for (const name of Object.keys(EXPECTED_RANGES)) {
+    for (const ext of ['ttf', 'woff']) {
+        test(`loadFontCoverage reads ${name}.${ext}`, () => {
+            const coverage = loadFontCoverage(fixture(`${name}.${ext}`));
+            assert.deepEqual(coverage.ranges.map((r) => [r[0], r[1]]), EXPECTED_RANGES[name]);
+            assert.equal(coverage.size, EXPECTED_RANGES[name].reduce((n, [a, b]) => n + b - a + 1, 0));
+            assert.ok(Object.isFrozen(coverage));
+        });
+    }
+}
+
+test('loadFontCoverage accepts ArrayBuffer and typed-array views', () => {
+    const buf = fixture('cmap4.ttf');
+    const copy = new Uint8Array(buf.length + 8);
+    copy.set(buf, 8);
+    const fromView = loadFontCoverage(copy.subarray(8));
+    const fromArrayBuffer = loadFontCoverage(copy.slice(8).buffer);
+    assert.deepEqual(fromView.ranges, fromArrayBuffer.ranges);
+    assert.equal(fromView.has('가'), true);
+    assert.equal(fromView.has(0xAC02), false);
+});
+
+test('loadFontCoverage rejects invalid input', () => {
+    assert.throws(() => loadFontCoverage('cmap4.ttf'), TypeError);
+    assert.throws(() => loadFontCoverage(new Uint8Array(16)), RangeError);
+    assert.throws(() => loadFontCoverage(fixture('cmap4.ttf'), { fontIndex: 1 }), RangeError);
+    assert.throws(() => loadFontCoverage(fixture('cmap4.ttf').subarray(0, 40)), RangeError);
+});
+
+test('checkCoverage reports characters without glyphs', () => {
+    const coverage = loadFontCoverage(fixture('cmap12.woff'));
+    const report = checkCoverage('AB0😀é\n\u200B', coverage);
+    assert.equal(report.covered, false);
+    // 줄 바꿈(Cc)과 ZWSP(Default_Ignorable)는 글리프가 필요 없으므로 세지 않습니다.
+    assert.equal(report.total, 5);
+    assert.equal(report.missing, 2);
+    assert.deepEqual(Object.keys(report.breakdown).sort(), ['Digit', 'Latin']);
+    assert.deepEqual(report.breakdown.Digit, { id: 'digit', count: 1, chars: ['0'], positions: [2] });
+    assert.deepEqual(report.breakdown.Latin, { id: 'latin', count: 1, chars: ['é'], positions: [5] });
+});
+
+test('checkCoverage uses fonts as a fallback list', () => {
+    const fonts = [loadFontCoverage(fixture('cmap12.ttf')), loadFontCoverage(fixture('cmap4.ttf'))];
+    const report = checkCoverage('A0가각😀', fonts);
+    assert.deepEqual(Object.keys(report.breakdown), []);
+    assert.equal(report.covered, true);
+    assert.equal(report.total, 5);
+
+    const missing = checkCoverage('갂', fonts, { granularity: 'sub' });
+    assert.equal(missing.missing, 1);
+    assert.deepEqual(Object.values(missing.breakdown).map((g) => g.chars), [['갂']]);
+});
+
+test('checkCoverage with unit grapheme reports whole clusters', () => {
+    const coverage = loadFontCoverage(fixture('cmap4.ttf'));
+    const report = checkCoverage('éx', coverage, { unit: 'grapheme' });
+    assert.equal(report.total, 2);
+    assert.equal(report.missing, 1);
+    assert.deepEqual(Object.values(report.breakdown)[0].chars, ['é']);
+});
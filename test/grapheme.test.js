@@ -0,0 +1,104 @@
+// 그래프림 클러스터 분할(내장 UAX #29 구현) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { _segmentGraphemesBuiltin } from '../src/grapheme.js';
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+function clusters(text) {
+    return _segmentGraphemesBuiltin(text).map((s) => s.segment);
+}
+
+test('tag sequence flags are a single cluster', () => {
+    const england = '🏴\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}';
+    const scotland = '🏴\u{E0067}\u{E0062}\u{E0073}\u{E0063}\u{E0074}\u{E007F}';
+    assert.deepEqual(clusters(england), [england]);
+    assert.deepEqual(clusters(`a${england}${scotland}b`), ['a', england, scotland, 'b']);
+});
+
+test('format characters that are Grapheme_Extend attach to the previous cluster', () => {
+    // ZWNJ는 Extend, ZWSP·LRM은 Control입니다.
+    assert.deepEqual(clusters('a\u200Cb'), ['a\u200C', 'b']);
+    assert.deepEqual(clusters('a\u200Bb'), ['a', '\u200B', 'b']);
+    assert.deepEqual(clusters('a\u200Eb'), ['a', '\u200E', 'b']);
+    assert.deepEqual(clusters('a\u{E0001}b'), ['a', '\u{E0001}', 'b']);
+});
+
+test('matches Intl.Segmenter on common sequences', { skip: typeof Intl.Segmenter !== 'function' }, () => {
+    const segmenter = new Intl.Segmenter();
+    const samples = [
+        'é\r\n',
+        '🇰🇷🇯🇵',
+        '👨\u200D👩\u200D👧\u200D👦👍🏽',
+        '각각',
+        '؀١',
+        'क्षि',
+        '🏴\u{E0067}\u{E0062}\u{E0077}\u{E006C}\u{E0073}\u{E007F}',
+    ];
+    for (const text of samples) {
+        assert.deepEqual(clusters(text), Array.from(segmenter.segment(text), (s) => s.segment), text);
+    }
+});
+
+test('spacing marks and prepend characters join the cluster', () => {
+    assert.deepEqual(clusters('कि'), ['कि']);
+    assert.deepEqual(clusters('\u0600\u0661'), ['\u0600\u0661']);
+    // gc=Mc이지만 SpacingMark가 아닌 미얀마 모음 기호(UAX #29 예외)
+    assert.deepEqual(clusters('\u1000\u102B'), ['\u1000', '\u102B']);
+});
+
+test('the built-in segmenter does not need Intl or \\p{...} regexps', () => {
+    // Intl과 \p{...} 정규식이 없는 런타임을 흉내 낸 자식 프로세스에서 실행합니다.
+    const script = `
+        delete globalThis.Intl;
+        const NativeRegExp = RegExp;
+        globalThis.RegExp = function RegExp(source, flags) {
+            if (String(source).includes('\\\\p{')) throw new SyntaxError('Invalid regular expression');
+            return new NativeRegExp(source, flags);
+        };
+        const { _segmentGraphemesBuiltin } = await import(${JSON.stringify(new URL('../src/grapheme.js', import.meta.url).href)});
+        const { analyzeText, measureWidth } = await import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)});
+        console.log(JSON.stringify({
+            family: _segmentGraphemesBuiltin('👨\u200D👩\u200D👧').length,
+            devanagari: _segmentGraphemesBuiltin('कि').length,
+            total: analyzeText('👨\u200D👩\u200D👧', { unit: 'grapheme', data: 'bundled' }).total,
+            width: measureWidth('👨\u200D👩\u200D👧'),
+        }));
+    `;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8' });
+    assert.equal(child.status, 0, child.stderr);
+    assert.deepEqual(JSON.parse(child.stdout), { family: 1, devanagari: 1, total: 1, width: 2 });
+});
+
+test('data: bundled does not use Intl.Segmenter', () => {
+    // 코드포인트마다 끊는 가짜 Intl.Segmenter를 둔 자식 프로세스에서 실행합니다.
+    const script = `
+        Intl.Segmenter = class {
+            segment(text) {
+                const out = [];
+                let index = 0;
+                for (const segment of text) {
+                    out.push({ segment, index });
+                    index += segment.length;
+                }
+                return out;
+            }
+        };
+        const { analyzeText, measureWidth } = await import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)});
+        const family = '👨\u200D👩\u200D👧';
+        console.log(JSON.stringify({
+            auto: analyzeText(family, { unit: 'grapheme' }).total,
+            bundled: analyzeText(family, { unit: 'grapheme', data: 'bundled' }).total,
+            width: measureWidth(family, { data: 'bundled' }),
+        }));
+    `;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8' });
+    assert.equal(child.status, 0, child.stderr);
+    assert.deepEqual(JSON.parse(child.stdout), { auto: 5, bundled: 1, width: 2 });
+});
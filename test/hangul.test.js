@@ -0,0 +1,80 @@
+// 한글 도우미(decomposeHangul, composeHangul, 초성 검색, analyzeHangul)와 자모 분류 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    analyzeHangul, analyzeText, composeHangul, decomposeHangul, extractChoseong, getCharacterType, matchesChoseong,
+} from '../src/index.js';
+
+/** 현대 한글 음절 전체(U+AC00–D7A3) */
+const SYLLABLES = Array.from({ length: 11172 }, (_, i) => String.fromCharCode(0xAC00 + i));
+
+test('decomposeHangul splits a syllable into conjoining or compatibility jamo', () => {
+    assert.deepEqual(decomposeHangul('각'), { initial: '\u1100', medial: '\u1161', final: '\u11A8' });
+    assert.deepEqual(decomposeHangul('가'), { initial: '\u1100', medial: '\u1161', final: '' });
+    assert.deepEqual(decomposeHangul('각', { compatibility: true }), { initial: 'ㄱ', medial: 'ㅏ', final: 'ㄱ' });
+    assert.equal(decomposeHangul('a'), null);
+    assert.equal(decomposeHangul('각나'), null);
+    assert.equal(decomposeHangul(''), null);
+});
+
+test('composeHangul reverses decomposeHangul for every modern syllable', () => {
+    for (const syllable of SYLLABLES) {
+        assert.equal(composeHangul(decomposeHangul(syllable)), syllable);
+        assert.equal(composeHangul(decomposeHangul(syllable, { compatibility: true })), syllable);
+    }
+    assert.equal(composeHangul({ initial: 'ㅎ', medial: 'ㅏ' }), '하');
+    // 초성 자리의 모음, 종성으로 쓸 수 없는 ㄸ은 합성하지 않습니다.
+    assert.equal(composeHangul({ initial: 'ㅏ', medial: 'ㅏ' }), null);
+    assert.equal(composeHangul({ initial: 'ㄸ', medial: 'ㅏ', final: 'ㄸ' }), null);
+});
+
+test('extractChoseong and matchesChoseong support 초성 search', () => {
+    assert.equal(extractChoseong('대한민국 2024!'), 'ㄷㅎㅁㄱ 2024!');
+    assert.equal(extractChoseong('한'), 'ㅎ');
+    assert.equal(matchesChoseong('ㅁㄱ', '대한민국'), true);
+    assert.equal(matchesChoseong('한ㅁ', '대한민국'), true);
+    assert.equal(matchesChoseong('ㄱㅁ', '대한민국'), false);
+    // 받침 없는 마지막 음절은 입력 중으로 보아 받침 있는 음절과도 일치합니다(마지막 음절만).
+    assert.equal(matchesChoseong('한미', '대한민국'), true);
+    assert.equal(matchesChoseong('미구', '대한민국'), false);
+    assert.equal(matchesChoseong('ㄷㅎ', '대한'.normalize('NFD')), true);
+    assert.equal(matchesChoseong('', '대한민국'), true);
+    assert.throws(() => matchesChoseong('ㄱ', null), TypeError);
+});
+
+test('analyzeHangul reports the form and archaic jamo sequences', () => {
+    const nfd = '한국'.normalize('NFD');
+    assert.deepEqual(analyzeHangul('한국'), {
+        form: 'precomposed', precomposed: 2, decomposed: 0, compatibilityJamo: 0, archaic: [],
+    });
+    assert.deepEqual(analyzeHangul(nfd), {
+        form: 'decomposed', precomposed: 0, decomposed: 2, compatibilityJamo: 0, archaic: [],
+    });
+    assert.equal(analyzeHangul(`한${nfd.slice(3)} ㅋㅋ`).form, 'mixed');
+    assert.equal(analyzeHangul(`한${nfd.slice(3)} ㅋㅋ`).compatibilityJamo, 2);
+    assert.equal(analyzeHangul('abc').form, 'none');
+
+    // 아래아(U+119E)가 든 자모 시퀀스는 현대 음절로 합성되지 않고, ㅿ(반치음)은 옛한글 호환용 자모입니다.
+    assert.deepEqual(analyzeHangul('\u1100\u119E\u11AF 나랏ㅿ').archaic, [
+        { text: '\u1100\u119E\u11AF', start: 0, end: 3 },
+        { text: 'ㅿ', start: 6, end: 7 },
+    ]);
+});
+
+test('conjoining jamo keep the block label in v1 and gain their role in v2', () => {
+    assert.deepEqual(getCharacterType('\u1100'), { main: 'Hangul', sub: 'Jamo', id: 'hangul.jamo' });
+    assert.equal(getCharacterType('\uA960').sub, 'Jamo Ext‑A');
+    assert.equal(getCharacterType('\uD7CB').sub, 'Jamo Ext‑B');
+    assert.equal(analyzeText('\u1112\u1161\u11AB', { granularity: 'sub' }).breakdown['Hangul:Jamo'].count, 3);
+
+    const v2 = (ch) => getCharacterType(ch, { taxonomy: 'v2' }).sub;
+    assert.deepEqual(['\u1100', '\u1161', '\u11A8', '\uA960', '\uD7B0', '\uD7CB'].map(v2), [
+        'Jamo:Choseong', 'Jamo:Jungseong', 'Jamo:Jongseong',
+        'Jamo Ext‑A:Choseong', 'Jamo Ext‑B:Jungseong', 'Jamo Ext‑B:Jongseong',
+    ]);
+    assert.equal(getCharacterType('\u1100', { taxonomy: 'v2', data: 'bundled' }).id, 'hangul.jamo.choseong');
+    assert.equal(getCharacterType('가', { taxonomy: 'v2' }).sub, 'Syllable');
+});
@@ -0,0 +1,61 @@
+// 원시 유니코드 속성(getCharacterInfo)과 문자 이름('glyphscope/names') 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCharacterInfo, loadCharacterNames } from '../src/index.js';
+
+test('getCharacterInfo returns the raw properties and no name before the table is loaded', () => {
+    assert.deepEqual(getCharacterInfo('A'), {
+        char: 'A', codePoint: 'U+0041', generalCategory: 'Lu', script: 'Latin', scriptExtensions: ['Latin'],
+        block: 'Basic Latin', age: '1.1', name: null,
+    });
+    assert.deepEqual(getCharacterInfo('、').scriptExtensions,
+        ['Bopomofo', 'Hangul', 'Han', 'Hiragana', 'Katakana', 'Mongolian', 'Yi']);
+    assert.equal(getCharacterInfo('\u0301').script, 'Inherited');
+    assert.equal(getCharacterInfo('\u{1FAE9}').age, '16.0');
+    assert.equal(getCharacterInfo('\u{20000}').block, 'CJK Unified Ideographs Extension B');
+    assert.deepEqual(getCharacterInfo('\u0378'), {
+        char: '\u0378', codePoint: 'U+0378', generalCategory: 'Cn', script: 'Unknown', scriptExtensions: ['Unknown'],
+        block: 'Greek and Coptic', age: null, name: null,
+    });
+    // 첫 코드포인트만 봅니다.
+    assert.equal(getCharacterInfo('\u{1F600}x').codePoint, 'U+1F600');
+    assert.throws(() => getCharacterInfo(''), TypeError);
+});
+
+test('loadCharacterNames fills in name', async () => {
+    await loadCharacterNames();
+    assert.equal(getCharacterInfo('A').name, 'LATIN CAPITAL LETTER A');
+    assert.equal(getCharacterInfo('\u0301').name, 'COMBINING ACUTE ACCENT');
+    assert.equal(getCharacterInfo('\u{1FAE9}').name, 'FACE WITH BAGS UNDER EYES');
+    assert.equal(getCharacterInfo('한').name, 'HANGUL SYLLABLE HAN');
+    // 제어 문자·사용자 정의 영역·미할당 위치에는 이름이 없습니다.
+    assert.equal(getCharacterInfo('\u0000').name, null);
+    assert.equal(getCharacterInfo('\uE000').name, null);
+    assert.equal(getCharacterInfo('\u0378').name, null);
+});
+
+test('glyphscope/names derives Hangul syllable names from the jamo short names', async () => {
+    const { getCharacterName } = await import('../src/names.js');
+    const cases = {
+        '가': 'HANGUL SYLLABLE GA', '각': 'HANGUL SYLLABLE GAG', '뚠': 'HANGUL SYLLABLE DDUN',
+        '쐈': 'HANGUL SYLLABLE SSWASS', '힣': 'HANGUL SYLLABLE HIH', '아': 'HANGUL SYLLABLE A',
+    };
+    for (const [char, name] of Object.entries(cases)) assert.equal(getCharacterName(char), name, char);
+
+    const names = new Set();
+    for (let cp = 0xAC00; cp <= 0xD7A3; cp++) names.add(getCharacterName(String.fromCharCode(cp)));
+    assert.equal(names.size, 11172);
+});
+
+test('glyphscope/names derives ideograph names from the code point', async () => {
+    const { getCharacterName } = await import('../src/names.js');
+    assert.equal(getCharacterName('一'), 'CJK UNIFIED IDEOGRAPH-4E00');
+    assert.equal(getCharacterName('\u{20000}'), 'CJK UNIFIED IDEOGRAPH-20000');
+    assert.equal(getCharacterName('\uFA0E'), 'CJK COMPATIBILITY IDEOGRAPH-FA0E');
+    assert.equal(getCharacterName('\u{17000}'), 'TANGUT IDEOGRAPH-17000');
+    assert.equal(getCharacterName('\u{18D00}'), 'TANGUT IDEOGRAPH-18D00');
+    assert.throws(() => getCharacterName(''), TypeError);
+});
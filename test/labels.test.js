@@ -0,0 +1,79 @@
+// 분류 ID(CategoryId)와 지역화 라벨(getLabel, registerLabels, locale 옵션) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CategoryId, analyzeText, getCharacterType, getLabel, registerLabels, tokenize } from '../src/index.js';
+
+test('getCharacterType returns a stable id next to the display label', () => {
+    assert.deepEqual(getCharacterType(' '), { main: 'Whitespace', sub: 'Space Separator', id: 'whitespace.space_separator' });
+    assert.deepEqual(getCharacterType('中'), { main: 'Han Ideograph', sub: 'Letter', id: 'han.letter' });
+    // 표시 라벨의 비ASCII 하이픈(U+2011)은 ID에 들어가지 않습니다.
+    assert.equal(getCharacterType('ꥠ').id, 'hangul.jamo_ext_a');
+    assert.equal(CategoryId.HANGUL_JAMO, 'hangul.jamo');
+    assert.equal(CategoryId.WHITESPACE_SPACE_SEPARATOR, 'whitespace.space_separator');
+    assert.ok(Object.isFrozen(CategoryId));
+});
+
+test('every built-in id has an English, Korean and Japanese label', () => {
+    for (const id of Object.values(CategoryId)) {
+        for (const locale of ['en', 'ko', 'ja']) {
+            const label = getLabel(id, locale);
+            assert.equal(label.split(':').length, id.split('.').length, `${id} ${locale}`);
+        }
+    }
+    assert.equal(getLabel('han'), 'Han Ideograph');
+    assert.equal(getLabel('hangul.jamo_ext_a'), 'Hangul:Jamo Ext‑A');
+});
+
+test('getLabel translates each segment and accepts regional tags', () => {
+    assert.equal(getLabel('whitespace.space_separator', 'ko'), '공백:일반 공백');
+    assert.equal(getLabel('whitespace.space_separator', 'ja'), '空白:スペース');
+    assert.equal(getLabel('hangul.jamo.choseong', 'ko'), '한글:첫가끝 자모:초성');
+    // 문맥별 번역: 기호의 Modifier와 글자의 Modifier는 다르게 옮깁니다.
+    assert.equal(getLabel('symbol.modifier', 'ko'), '기호:수식 기호');
+    assert.equal(getLabel('latin.modifier', 'ko'), '라틴 문자:수식 문자');
+    assert.equal(getLabel('han', 'ko-KR'), '한자');
+    assert.equal(getLabel('han', 'ja_JP'), '漢字');
+});
+
+test('getLabel rejects unknown ids and locales', () => {
+    assert.throws(() => getLabel('nope.x', 'ko'), /Unknown category id: nope\.x/);
+    assert.throws(() => getLabel('han', 'xx'), /Unknown locale: xx/);
+    assert.throws(() => getLabel(''), TypeError);
+    assert.throws(() => getLabel('han', ''), TypeError);
+});
+
+test('analyzeText and tokenize localize labels but keep ids', () => {
+    const { breakdown } = analyzeText('한글 abc 1', { locale: 'ko' });
+    assert.deepEqual(Object.keys(breakdown), ['한글', '공백', '라틴 문자', '숫자']);
+    assert.deepEqual(Object.values(breakdown).map((b) => b.id), ['hangul', 'whitespace', 'latin', 'digit']);
+
+    const sub = analyzeText('한 a', { locale: 'ja', granularity: 'sub' }).breakdown;
+    assert.deepEqual(Object.keys(sub), ['ハングル:音節', '空白:スペース', 'ラテン文字:小文字']);
+    assert.equal(sub['ラテン文字:小文字'].id, 'latin.lowercase');
+
+    assert.deepEqual(tokenize('ab 한', { locale: 'ko' }).map((t) => [t.label, t.id, t.main]), [
+        ['라틴 문자', 'latin', 'Latin'], ['공백', 'whitespace', 'Whitespace'], ['한글', 'hangul', 'Hangul'],
+    ]);
+    assert.throws(() => analyzeText('a', { locale: 'xx' }), RangeError);
+});
+
+test('registerLabels adds a locale and falls back to English for missing segments', () => {
+    registerLabels('fr', { 'latin': 'Latin', 'whitespace': 'Espace', 'latin.lowercase': 'Minuscule' });
+    assert.equal(getLabel('latin.lowercase', 'fr'), 'Latin:Minuscule');
+    assert.equal(getLabel('latin.uppercase', 'fr-CA'), 'Latin:Uppercase');
+    assert.equal(getLabel('han', 'fr'), 'Han Ideograph');
+    assert.deepEqual(Object.keys(analyzeText('a b', { locale: 'fr', granularity: 'sub' }).breakdown),
+        ['Latin:Minuscule', 'Espace:Space Separator']);
+
+    // 이미 있는 언어에는 주어진 항목만 덮어씁니다.
+    registerLabels('fr', { 'whitespace': 'Blanc' });
+    assert.equal(getLabel('whitespace.tab', 'fr'), 'Blanc:Tab');
+    assert.equal(getLabel('latin.lowercase', 'fr'), 'Latin:Minuscule');
+
+    assert.throws(() => registerLabels('fr', { han: 'a:b' }), TypeError);
+    assert.throws(() => registerLabels('fr', []), TypeError);
+    assert.throws(() => registerLabels('', {}), TypeError);
+});
@@ -0,0 +1,94 @@
+// 언어 추정(guessLanguage) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { createClassifier, guessLanguage } from '../src/index.js';
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {string|undefined} - 가장 신뢰도가 높은 언어
+ */
+function top(text, options) {
+    const [first] = guessLanguage(text, options);
+    return first && first.language;
+}
+
+test('CJK: kana means Japanese, Han alone Chinese, Hangul Korean', () => {
+    assert.deepEqual(guessLanguage('日本語のテキストです。'), [{ language: 'ja', confidence: 1 }]);
+    assert.deepEqual(guessLanguage('这是中文文本。'), [{ language: 'zh', confidence: 1 }]);
+    assert.deepEqual(guessLanguage('한국어 텍스트입니다'), [{ language: 'ko', confidence: 1 }]);
+});
+
+test('Cyrillic languages are told apart by their distinguishing letters', () => {
+    assert.equal(top('Это русский текст, который мы пишем.'), 'ru');
+    assert.equal(top('Це український текст.'), 'uk');
+    assert.equal(top('Ово је српски текст и љубав.'), 'sr');
+    assert.equal(top('Това е български текст със ъ.'), 'bg');
+});
+
+test('other scripts map directly to a language', () => {
+    const cases = { 'Αυτό είναι ελληνικό': 'el', 'นี่คือภาษาไทย': 'th', 'שלום עולם': 'he', 'Բարև': 'hy', 'გამარჯობა': 'ka' };
+    for (const [text, language] of Object.entries(cases)) {
+        assert.deepEqual(guessLanguage(text), [{ language, confidence: 1 }], text);
+    }
+});
+
+test('Latin languages use the bundled profiles', () => {
+    assert.equal(top('The quick brown fox jumps over the lazy dog and the cat'), 'en');
+    assert.equal(top('Der schnelle braune Fuchs springt über den faulen Hund und die Katze'), 'de');
+    assert.equal(top('¿Dónde está la biblioteca? El niño y la niña'), 'es');
+    assert.equal(top('Le chat est sur la table et les enfants jouent dans le jardin'), 'fr');
+});
+
+test('confidence is split by script share and sorted', () => {
+    const result = guessLanguage('日本語のテキストです。 한국어');
+    assert.deepEqual(result.map((c) => c.language), ['ja', 'ko']);
+    assert.ok(result[0].confidence > result[1].confidence);
+    assert.equal(result.reduce((sum, c) => sum + c.confidence, 0).toFixed(2), '1.00');
+    assert.deepEqual(guessLanguage('123 !!'), []);
+    assert.deepEqual(guessLanguage(''), []);
+    assert.throws(() => guessLanguage(null), TypeError);
+});
+
+test('decomposed input gives the same result as composed input', () => {
+    const nfc = 'Café de l’été et le château, ça va très bien';
+    const nfd = nfc.normalize('NFD');
+    assert.deepEqual(guessLanguage(nfd), guessLanguage(nfc));
+    assert.deepEqual(guessLanguage(nfd, { data: 'bundled' }), guessLanguage(nfc));
+    assert.deepEqual(guessLanguage('한국어'.normalize('NFD')), [{ language: 'ko', confidence: 1 }]);
+});
+
+test('a bundled classifier normalizes with the bundled tables', () => {
+    const bundled = createClassifier({ data: 'bundled' });
+    const nfd = 'Café de l’été et le château'.normalize('NFD');
+    const expected = guessLanguage(nfd);
+    const native = String.prototype.normalize;
+    String.prototype.normalize = () => {
+        throw new Error('String.prototype.normalize must not be called');
+    };
+    try {
+        assert.deepEqual(bundled.guessLanguage(nfd), expected);
+    } finally {
+        String.prototype.normalize = native;
+    }
+});
+
+test('runtimes without String.prototype.normalize fall back to the bundled tables', () => {
+    const script = `
+        delete String.prototype.normalize;
+        const { guessLanguage } = await import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)});
+        process.stdout.write(JSON.stringify([
+            guessLanguage('\\u1112\\u1161\\u11AB\\u1100\\u116E\\u11A8\\u110B\\u1165'),
+            guessLanguage('Cafe\\u0301 de l\\u2019e\\u0301te\\u0301 et le cha\\u0302teau')[0].language,
+        ]));
+    `;
+    const { stdout, stderr, status } = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+        encoding: 'utf8', timeout: 30000,
+    });
+    assert.equal(status, 0, stderr);
+    assert.deepEqual(JSON.parse(stdout), [[{ language: 'ko', confidence: 1 }], 'fr']);
+});
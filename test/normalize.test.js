@@ -0,0 +1,78 @@
+// 유니코드 정규화 분석(analyzeNormalization) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { analyzeNormalization, createClassifier } from '../src/index.js';
+
+/** 전각 A, ﬁ 합자, ①, 분해된 é, 호환용 자모 ㄱ, 완성형 각 */
+const MIXED = 'Ａﬁ①e\u0301ㄱ\uAC01';
+
+/**
+ * @param {object} report - analyzeNormalization의 한 정규형 결과
+ * @returns {Array<[number, number, string, string]>} - [start, end, replacement, category]
+ */
+function changes(report) {
+    return report.changes.map((c) => [c.start, c.end, c.replacement, c.category]);
+}
+
+test('each form reports whether the text is normalized and what changes', () => {
+    const report = analyzeNormalization(MIXED);
+    assert.deepEqual(Object.keys(report), ['NFC', 'NFD', 'NFKC', 'NFKD']);
+
+    assert.equal(report.NFC.isNormalized, false);
+    assert.deepEqual(changes(report.NFC), [[3, 5, '\u00E9', 'Latin']]);
+    assert.deepEqual(changes(report.NFD), [[6, 7, '\u1100\u1161\u11A8', 'Hangul']]);
+    assert.deepEqual(changes(report.NFKC), [
+        [0, 1, 'A', 'Latin'], [1, 2, 'fi', 'Latin'], [2, 3, '1', 'Number'], [3, 5, '\u00E9', 'Latin'], [5, 6, '\u1100', 'Hangul'],
+    ]);
+    assert.equal(report.NFKC.normalized, 'Afi1\u00E9\u1100\uAC01');
+    assert.equal(report.NFKD.normalized, MIXED.normalize('NFKD'));
+    assert.equal(report.NFKD.changes[0].text, 'Ａ');
+});
+
+test('changes are grouped by GlyphScope category', () => {
+    const { byCategory } = analyzeNormalization(MIXED).NFKC;
+    assert.deepEqual(Object.keys(byCategory), ['Latin', 'Number', 'Hangul']);
+    assert.deepEqual(byCategory.Number.map((c) => c.text), ['①']);
+    assert.deepEqual(Object.keys(analyzeNormalization('Ａ', { granularity: 'sub' }).NFKC.byCategory), ['Latin:Letter']);
+    assert.equal(analyzeNormalization('Ａ', { granularity: 'sub', taxonomy: 'v2' }).NFKC.changes[0].category, 'Latin:Uppercase');
+});
+
+test('a base character and the marks that reorder or compose with it form one change', () => {
+    // U+0323(ccc 220)은 U+0301(ccc 230)보다 앞으로 재배열되고 ạ로 합성됩니다.
+    assert.deepEqual(analyzeNormalization('a\u0301\u0323').NFC.changes, [
+        { start: 0, end: 3, text: 'a\u0301\u0323', replacement: '\u1EA1\u0301', category: 'Latin' },
+    ]);
+    // 반각 탁점은 앞 글자와 합성됩니다.
+    assert.deepEqual(changes(analyzeNormalization('ｶﾞ').NFKC), [[0, 2, '\u30AC', 'Katakana']]);
+});
+
+test('normalized text has no changes and invalid input is rejected', () => {
+    const { NFC, NFKD } = analyzeNormalization('plain text');
+    assert.deepEqual(NFC, { isNormalized: true, normalized: 'plain text', changes: [], byCategory: {} });
+    assert.equal(NFKD.isNormalized, true);
+    assert.throws(() => analyzeNormalization('a', { granularity: 'word' }), RangeError);
+    assert.throws(() => analyzeNormalization(1), TypeError);
+});
+
+test('the bundled tables give the same result as String.prototype.normalize', () => {
+    const bundled = createClassifier({ data: 'bundled' });
+    const texts = [MIXED, 'ｶﾞ\u3000\u212B\u1E9B\u0323', '\uAC01\u1100\u119E', '\u0958\u2126\uFA10\u{1D15E}'];
+    for (const text of texts) assert.deepEqual(bundled.analyzeNormalization(text), analyzeNormalization(text), text);
+});
+
+test('runtimes without String.prototype.normalize fall back to the bundled tables', () => {
+    const script = `
+        delete String.prototype.normalize;
+        const { analyzeNormalization } = await import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)});
+        process.stdout.write(JSON.stringify(analyzeNormalization(${JSON.stringify(MIXED)})));
+    `;
+    const { stdout, stderr, status } = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+        encoding: 'utf8', timeout: 30000,
+    });
+    assert.equal(status, 0, stderr);
+    assert.deepEqual(JSON.parse(stdout), analyzeNormalization(MIXED));
+});
@@ -0,0 +1,68 @@
+// 숫자 값(getNumericValue, normalizeDigits, extractNumbers) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractNumbers, getNumericValue, normalizeDigits } from '../src/index.js';
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {Array<[string, number]>} - [text, value]
+ */
+function numbers(text, options) {
+    return extractNumbers(text, options).map((n) => [n.text, n.value]);
+}
+
+test('getNumericValue covers digits, fractions, Roman numerals and CJK numerals', () => {
+    const cases = {
+        '½': 0.5, '¾': 0.75, '༳': -0.5, 'Ⅻ': 12, 'ⅿ': 1000, '٣': 3, '३': 3, '３': 3, '𝟏': 1, '①': 1, '²': 2,
+        '〇': 0, '一': 1, '五': 5, '九': 9, '十': 10, '百': 100, '千': 1000, '萬': 10000, '億': 100000000, '參': 3,
+    };
+    for (const [char, value] of Object.entries(cases)) assert.equal(getNumericValue(char), value, char);
+    assert.equal(getNumericValue('a'), null);
+    assert.equal(getNumericValue('中'), null);
+    assert.equal(getNumericValue('5x'), 5);
+    assert.throws(() => getNumericValue(''), TypeError);
+});
+
+test('normalizeDigits converts only decimal digits', () => {
+    assert.equal(normalizeDigits('١٢٣ / ３０００円'), '123 / 3000円');
+    assert.equal(normalizeDigits('𝟏𝟐 ৩'), '12 3');
+    assert.equal(normalizeDigits('½ Ⅻ ① ² 五'), '½ Ⅻ ① ² 五');
+    const ascii = 'plain 123';
+    assert.equal(normalizeDigits(ascii), ascii);
+});
+
+test('extractNumbers groups thousands (and Indian lakh grouping) but not other digit runs', () => {
+    assert.deepEqual(numbers('1,234,567 and 12,34'), [['1,234,567', 1234567], ['12', 12], ['34', 34]]);
+    assert.deepEqual(numbers('1,00,000'), [['1,00,000', 100000]]);
+    assert.deepEqual(numbers('1,234.5,6'), [['1,234.5', 1234.5], ['6', 6]]);
+    assert.deepEqual(numbers('1.5.6'), [['1.5', 1.5], ['6', 6]]);
+});
+
+test('extractNumbers honors decimal/group options, fullwidth and Arabic separators', () => {
+    assert.deepEqual(numbers('1.234,56 €', { decimal: ',', group: '.' }), [['1.234,56', 1234.56]]);
+    assert.deepEqual(numbers('1,234', { group: null }), [['1', 1], ['234', 234]]);
+    assert.deepEqual(numbers('３，０００．５'), [['３，０００．５', 3000.5]]);
+    assert.deepEqual(numbers('٣٬٤٥٦٫٧'), [['٣٬٤٥٦٫٧', 3456.7]]);
+    assert.throws(() => extractNumbers('1', { decimal: ',', group: ',' }), RangeError);
+    assert.throws(() => extractNumbers('1', { decimal: '' }), TypeError);
+});
+
+test('extractNumbers attaches a minus sign only when it is not between letters or digits', () => {
+    assert.deepEqual(numbers('x -5 a-3 (−7) －8'), [['-5', -5], ['3', 3], ['−7', -7], ['－8', -8]]);
+    assert.deepEqual(numbers('2024-05-01'), [['2024', 2024], ['05', 5], ['01', 1]]);
+    assert.deepEqual(numbers('-42'), [['-42', -42]]);
+});
+
+test('extractNumbers splits where the numeral system changes and reports other numerals one by one', () => {
+    assert.deepEqual(numbers('12٣4'), [['12', 12], ['٣', 3], ['4', 4]]);
+    assert.deepEqual(numbers('𝟏𝟐'), [['𝟏𝟐', 12]]);
+    assert.deepEqual(numbers('½ Ⅻ ¹²'), [['½', 0.5], ['Ⅻ', 12], ['¹', 1], ['²', 2]]);
+    assert.deepEqual(numbers('十五'), [['十', 10], ['五', 5]]);
+
+    const [n] = extractNumbers('Total ١٢٬٣٤٥٫٥');
+    assert.deepEqual(n, { text: '١٢٬٣٤٥٫٥', normalized: '12345.5', value: 12345.5, start: 6, end: 14 });
+});
@@ -0,0 +1,103 @@
+// 문자 정책(createPolicy) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassifier, createPolicy } from '../src/index.js';
+
+/**
+ * @param {{ violations: Array<{ rule: string, char: string }> }} result
+ * @returns {string[]} - 'rule:char'
+ */
+function rules(result) {
+    return result.violations.map((v) => `${v.rule}:${v.char}`);
+}
+
+test('labels match as main, full label or prefix at a colon', () => {
+    const policy = createPolicy({ allow: ['Hangul', 'Latin:Lowercase', 'Whitespace:Control'] });
+    assert.deepEqual(rules(policy.validate('가a\tA\n ')), ['allow:A', 'allow: ']);
+    // 'Latin:Lower'는 ':' 경계가 아니므로 접두사가 아닙니다.
+    assert.throws(() => createPolicy({ allow: ['Latin:Lower'] }), RangeError);
+});
+
+test('deny is checked before allow and reported once', () => {
+    const policy = createPolicy({ allow: ['Latin'], deny: ['Control'] });
+    const result = policy.validate('a\u0007b');
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.violations, [{ label: 'Control', char: '\u0007', index: 1, rule: 'deny' }]);
+});
+
+test('maxRatio allows the largest count within the share and reports the rest', () => {
+    const policy = createPolicy({ maxRatio: { Emoji: 5 } });
+    // 20글자 중 1개(5%)는 허용, 19글자 중 1개(5.26%)는 초과
+    assert.equal(policy.validate(`${'a'.repeat(19)}😀`).valid, true);
+    assert.deepEqual(rules(policy.validate(`${'a'.repeat(18)}😀`)), ['maxRatio:😀']);
+    // 한도(20글자의 5% = 1개) 다음 글자부터 보고합니다.
+    assert.deepEqual(rules(policy.validate(`😀${'a'.repeat(18)}😃`)), ['maxRatio:😃']);
+});
+
+test('maxCount reports every character past the limit', () => {
+    const policy = createPolicy({ maxCount: { Digit: 2 } });
+    assert.deepEqual(rules(policy.validate('1a2b3c4')), ['maxCount:3', 'maxCount:4']);
+});
+
+test('unit grapheme checks a ZWJ sequence as one character', () => {
+    const family = '👨‍👩‍👧';
+    assert.equal(createPolicy({ deny: ['Format'], unit: 'grapheme' }).validate(family).valid, true);
+    assert.equal(createPolicy({ maxCount: { Emoji: 1 }, unit: 'grapheme' }).validate(family).valid, true);
+    assert.equal(createPolicy({ maxCount: { Emoji: 1 } }).validate(family).valid, false);
+});
+
+test('toJSON round-trips through JSON', () => {
+    const definition = {
+        allow: ['Hangul', 'Latin', 'Digit', 'Whitespace:Space Separator', 'Punctuation:ASCII', 'Emoji'],
+        deny: ['Control', 'Format'],
+        maxRatio: { Emoji: 5 },
+        unit: 'grapheme',
+    };
+    const policy = createPolicy(definition);
+    const json = JSON.parse(JSON.stringify(policy));
+    assert.deepEqual(json, { ...definition, taxonomy: 'v1' });
+
+    const copy = createPolicy(json);
+    for (const text of ['안녕 hello 123!', 'hi\u0007「', '😀😀😀 a']) {
+        assert.deepEqual(copy.validate(text), policy.validate(text));
+    }
+});
+
+test('a policy for another taxonomy is rejected', () => {
+    const v2 = createClassifier({ taxonomy: 'v2' });
+    assert.throws(() => v2.createPolicy({ allow: ['Latin'], taxonomy: 'v1' }), /taxonomy 'v1' does not match/);
+    assert.throws(() => v2.createPolicy(createPolicy({ allow: ['Latin'] }).toJSON()), RangeError);
+    assert.equal(v2.createPolicy({ allow: ['Latin'], taxonomy: 'v2' }).toJSON().taxonomy, 'v2');
+});
+
+test('unknown labels are rejected', () => {
+    assert.throws(() => createPolicy({ deny: ['Contrl'] }), /Unknown label in deny: "Contrl"/);
+    assert.throws(() => createPolicy({ allow: ['control'] }), RangeError);
+    assert.throws(() => createPolicy({ maxRatio: { Emojii: 5 } }), /maxRatio/);
+    assert.throws(() => createPolicy({ maxCount: { 'Whitespace:Invisble': 0 } }), /maxCount/);
+    assert.doesNotThrow(() => createPolicy({ deny: ['Whitespace:Invisible:Zero Width', 'Emoji:Extended Pictographic'] }));
+});
+
+test('custom classifier labels are known to its policies', () => {
+    const classifier = createClassifier({
+        ranges: [{ from: 0xE000, to: 0xE0FF, main: 'Icon', sub: 'Brand' }],
+        overrides: { '@': { main: 'At' } },
+        scripts: [{ label: 'Javanese', script: 'Javanese', ranges: [[0xA980, 0xA9DF]] }],
+    });
+    const policy = classifier.createPolicy({ deny: ['Icon:Brand', 'At', 'Javanese:Letter'] });
+    assert.deepEqual(rules(policy.validate('a@\uE001ꦄ')), ['deny:@', 'deny:\uE001', 'deny:ꦄ']);
+    assert.throws(() => createPolicy({ deny: ['Icon'] }), RangeError);
+    assert.throws(() => createPolicy({ deny: ['Javanese'] }), RangeError);
+});
+
+test('invalid definitions are rejected', () => {
+    assert.throws(() => createPolicy(null), TypeError);
+    assert.throws(() => createPolicy({ alow: ['Latin'] }), /Unknown policy field/);
+    assert.throws(() => createPolicy({ allow: 'Latin' }), TypeError);
+    assert.throws(() => createPolicy({ maxRatio: { Emoji: 101 } }), RangeError);
+    assert.throws(() => createPolicy({ maxCount: { Emoji: 1.5 } }), RangeError);
+    assert.throws(() => createPolicy({ unit: 'word' }), RangeError);
+});
@@ -0,0 +1,68 @@
+// 스크립트 런 분할(segmentByScript) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentByScript } from '../src/index.js';
+
+/**
+ * @param {string} text
+ * @returns {Array<[string, string]>} - [script, text]
+ */
+function runs(text) {
+    return segmentByScript(text).map((r) => [r.script, r.text]);
+}
+
+test('runs carry the script and UTF-16 offsets', () => {
+    assert.deepEqual(segmentByScript('Hello (世界) world'), [
+        { script: 'Latin', start: 0, end: 7, text: 'Hello (' },
+        { script: 'Han', start: 7, end: 9, text: '世界' },
+        { script: 'Latin', start: 9, end: 16, text: ') world' },
+    ]);
+    assert.deepEqual(segmentByScript('a\u0301б'), [
+        { script: 'Latin', start: 0, end: 2, text: 'a\u0301' },
+        { script: 'Cyrillic', start: 2, end: 3, text: 'б' },
+    ]);
+    assert.deepEqual(segmentByScript(''), []);
+    assert.throws(() => segmentByScript(1), TypeError);
+});
+
+test('brackets pair with their opener, including nested pairs', () => {
+    assert.deepEqual(runs('한국어 (English) 입니다'), [['Hangul', '한국어 ('], ['Latin', 'English'], ['Hangul', ') 입니다']]);
+    assert.deepEqual(runs('abc [日本 (def) 語] x'), [
+        ['Latin', 'abc ['], ['Han', '日本 ('], ['Latin', 'def'], ['Han', ') 語'], ['Latin', '] x'],
+    ]);
+    // 짝이 없는 닫는 괄호는 일반 Common 문자로 다룹니다.
+    assert.deepEqual(runs('x)y'), [['Latin', 'x)y']]);
+    assert.deepEqual(runs('((('), [['Common', '(((']]);
+});
+
+test('Common and Inherited characters attach to the surrounding run', () => {
+    // 결합 부호는 앞 글자, 맨 앞의 Common은 다음 런, 이후의 Common은 현재 런에 붙습니다.
+    assert.deepEqual(runs('e\u0301 가\u0300'), [['Latin', 'e\u0301 '], ['Hangul', '가\u0300']]);
+    assert.deepEqual(runs('123 abc'), [['Latin', '123 abc']]);
+    assert.deepEqual(runs('«Привет» world'), [['Cyrillic', '«Привет» '], ['Latin', 'world']]);
+    assert.deepEqual(runs('a\u200Db'), [['Latin', 'a\u200Db']]);
+    assert.deepEqual(runs('👨\u200D👩\u200D👧 hi'), [['Latin', '👨\u200D👩\u200D👧 hi']]);
+});
+
+test('Script_Extensions narrow the candidate scripts of a run', () => {
+    // U+0660 ٠은 Arabic·Thaana 양쪽에 쓰이므로 뒤따르는 글자의 스크립트를 따릅니다.
+    assert.deepEqual(runs('٠١ تست'), [['Arabic', '٠١ تست']]);
+    assert.deepEqual(runs('٠١ހށ'), [['Thaana', '٠١ހށ']]);
+    // U+3001 、은 Han·Hiragana·Katakana 등에 쓰입니다.
+    assert.deepEqual(runs('日本語、テスト。'), [['Han', '日本語、'], ['Katakana', 'テスト。']]);
+});
+
+test('runs cover the whole text without gaps', () => {
+    const text = 'Ελληνικά (ελ) + 中文「引用」 — العربية 123, 한글!';
+    const result = segmentByScript(text);
+    assert.equal(result.map((r) => r.text).join(''), text);
+    for (let k = 0; k < result.length; k++) {
+        assert.equal(result[k].start, k === 0 ? 0 : result[k - 1].end);
+        assert.equal(result[k].text, text.slice(result[k].start, result[k].end));
+        if (k > 0) assert.notEqual(result[k].script, result[k - 1].script);
+    }
+    assert.equal(result[result.length - 1].end, text.length);
+});
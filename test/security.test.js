@@ -0,0 +1,48 @@
+// 식별자 보안 검사(UTS #39: getRestrictionLevel, skeleton, areConfusable) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { areConfusable, getRestrictionLevel, skeleton } from '../src/index.js';
+import { SECURITY_VERSION } from '../src/security.js';
+import { UNICODE_VERSION } from '../src/data/unicode-data.js';
+
+test('confusables data has the same version as the bundled UCD', () => {
+    assert.equal(SECURITY_VERSION, UNICODE_VERSION);
+});
+
+test('areConfusable matches strings with the same skeleton', () => {
+    assert.equal(areConfusable('pаypal', 'paypal'), true); // 키릴 а
+    assert.equal(areConfusable('paypal', 'paypa1'), true);
+    assert.equal(areConfusable('rn', 'm'), true);
+    assert.equal(areConfusable('a\u200Bb', 'ab'), true); // 기본 무시 문자 제거
+    assert.equal(areConfusable('abc', 'abd'), false);
+});
+
+test('skeleton maps characters added after Unicode 10.0', () => {
+    // U+1CCD6 OUTLINED LATIN CAPITAL LETTER A(16.0)
+    assert.equal(skeleton('\u{1CCD6}'), 'A');
+    assert.equal(areConfusable('\u{1CCD6}BC', 'ABC'), true);
+});
+
+test('skeleton is NFD and keeps unmapped characters', () => {
+    assert.equal(skeleton('pаypal'), 'paypal');
+    assert.equal(skeleton('é'), 'e\u0301');
+    assert.equal(skeleton('한'), '\u1112\u1161\u1102'); // 받침 ᆫ → 초성 ᄂ
+    assert.throws(() => skeleton(1), TypeError);
+});
+
+test('getRestrictionLevel covers every restriction level', () => {
+    const cases = {
+        'ascii-only': ['paypal', ''],
+        'single-script': ['한글', 'пример', 'Ⅻ'],
+        'highly-restrictive': ['abc한글', 'abcひらがな漢字', 'abc中文ㄅ'],
+        'moderately-restrictive': ['abcअ', 'abc٣'],
+        'unrestricted': ['pаypal', 'abcα', 'аbc漢字'],
+    };
+    for (const [level, texts] of Object.entries(cases)) {
+        for (const text of texts) assert.equal(getRestrictionLevel(text), level, text);
+    }
+    assert.throws(() => getRestrictionLevel(null), TypeError);
+});
@@ -0,0 +1,68 @@
+// 의심 문자 검사(findSuspiciousCharacters: Trojan Source, 보이지 않는 문자) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSuspiciousCharacters } from '../src/index.js';
+
+/**
+ * @param {string} text
+ * @returns {Array<[string, number, number, number]>} - [type, codePoint, start, end]
+ */
+function found(text) {
+    return findSuspiciousCharacters(text).map((f) => [f.type, f.codePoint, f.start, f.end]);
+}
+
+test('bidi overrides are reported with their position (CVE-2021-42574)', () => {
+    const findings = findSuspiciousCharacters('x\r\nif (a\u202E) {}');
+    assert.deepEqual(findings[0], {
+        type: 'bidi-control', severity: 'high', codePoint: 0x202E, char: '\u202E', start: 8, end: 9, line: 2, column: 6,
+        message: 'RIGHT-TO-LEFT OVERRIDE (RLO) can make the displayed order of text differ from its logical order.',
+    });
+    assert.deepEqual(findings.slice(1).map((f) => [f.type, f.line, f.column, f.message]), [
+        ['unbalanced-bidi', 2, 6, 'RLO is not closed by PDF on the same line.'],
+    ]);
+});
+
+test('isolates are paired with PDI on the same line', () => {
+    // 짝이 맞는 LRI…PDI도 bidi 제어 문자 자체는 보고합니다.
+    assert.deepEqual(found('a\u2066b\u2069c'), [['bidi-control', 0x2066, 1, 2], ['bidi-control', 0x2069, 3, 4]]);
+    assert.deepEqual(found('a\u2067b'), [['bidi-control', 0x2067, 1, 2], ['unbalanced-bidi', 0x2067, 1, 2]]);
+    assert.deepEqual(found('\u2069'), [['bidi-control', 0x2069, 0, 1], ['unbalanced-bidi', 0x2069, 0, 1]]);
+    // PDI는 안쪽의 닫히지 않은 embedding까지 끝내고, 줄 바꿈은 열린 구간을 모두 끝냅니다.
+    assert.deepEqual(found('\u2066\u202Ax\u2069').filter(([type]) => type === 'unbalanced-bidi'), [['unbalanced-bidi', 0x202A, 1, 2]]);
+    assert.deepEqual(found('\u202Ax\ny\u202C').filter(([type]) => type === 'unbalanced-bidi'), [
+        ['unbalanced-bidi', 0x202A, 0, 1], ['unbalanced-bidi', 0x202C, 4, 5],
+    ]);
+});
+
+test('tag characters outside emoji tag sequences reveal their hidden text', () => {
+    assert.deepEqual(found('\u{1F3F4}\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}'), []);
+    const [tag] = findSuspiciousCharacters('a\u{E0068}\u{E0069}');
+    assert.deepEqual([tag.type, tag.start, tag.end, tag.message], [
+        'tag', 1, 5, 'Tag characters outside an emoji tag sequence carry hidden text: "hi".',
+    ]);
+});
+
+test('variation selectors are reported only when nothing can take them', () => {
+    assert.deepEqual(found('❤\uFE0F 葛\u{E0100} ᠠ\u180B'), []);
+    assert.deepEqual(found('a\uFE0F'), [['variation-selector', 0xFE0F, 1, 2]]);
+    const [, run] = findSuspiciousCharacters('a\uFE0F 葛\u{E0100}\uFE0F\uFE0F');
+    assert.deepEqual([run.start, run.end, run.message], [6, 8, '2 variation selectors do not apply to any preceding character.']);
+});
+
+test('a BOM is allowed only at the start and look-alike spaces are reported', () => {
+    assert.deepEqual(found('\uFEFFok\uFEFF'), [['bom', 0xFEFF, 3, 4]]);
+    assert.deepEqual(findSuspiciousCharacters('a\u00A0b\u200Bc\u3000').map((f) => [f.codePoint, f.severity]), [
+        [0xA0, 'low'], [0x200B, 'medium'], [0x3000, 'low'],
+    ]);
+    // 옛한글 음절의 채움 문자는 정상입니다.
+    assert.deepEqual(found('\u1100\u1160 \u115F\u1161'), []);
+    assert.deepEqual(found('\u3164'), [['whitespace', 0x3164, 0, 1]]);
+});
+
+test('plain text has no findings and non-strings are rejected', () => {
+    assert.deepEqual(findSuspiciousCharacters('const s = "안녕 👋";\n'), []);
+    assert.throws(() => findSuspiciousCharacters(42), TypeError);
+});
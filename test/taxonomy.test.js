@@ -0,0 +1,83 @@
+// 하위 분류 체계 v2(taxonomy: 'v2') 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeText, createClassifier, getCharacterType } from '../src/index.js';
+
+/**
+ * @param {string} char
+ * @param {object} [options]
+ * @returns {string} - 'main:sub' 또는 'main'
+ */
+function label(char, options = {}) {
+    const { main, sub } = getCharacterType(char, { taxonomy: 'v2', ...options });
+    return sub ? `${main}:${sub}` : main;
+}
+
+test('letters of any cased script get their case in v2', () => {
+    const cases = {
+        'A': 'Latin:Uppercase', 'É': 'Latin:Uppercase', 'é': 'Latin:Lowercase', 'ß': 'Latin:Lowercase',
+        'ǅ': 'Latin:Titlecase', 'ʰ': 'Latin:Modifier', 'Ж': 'Cyrillic:Uppercase',
+        'ω': 'Greek:Lowercase', 'ա': 'Armenian:Lowercase', 'Ა': 'Georgian:Uppercase',
+        'Ꭰ': 'Cherokee:Uppercase', '中': 'Han Ideograph:Other', '々': 'Han Ideograph:Modifier',
+        'あ': 'Hiragana:Other', 'א': 'Hebrew:Other', 'क': 'Devanagari:Other',
+    };
+    for (const [char, expected] of Object.entries(cases)) assert.equal(label(char), expected, char);
+    assert.deepEqual(getCharacterType('É', { taxonomy: 'v2' }), { main: 'Latin', sub: 'Uppercase', id: 'latin.uppercase' });
+});
+
+test('digits are labelled with their script in v2', () => {
+    const cases = {
+        '1': 'Digit:Common', '５': 'Digit:Common', '\u{1D7CF}': 'Digit:Common', '५': 'Digit:Devanagari',
+        '٣': 'Digit:Arabic', '໑': 'Digit:Lao',
+    };
+    for (const [char, expected] of Object.entries(cases)) assert.equal(label(char), expected, char);
+    assert.equal(getCharacterType('५', { taxonomy: 'v2' }).id, 'digit.devanagari');
+});
+
+test('punctuation and symbols are split by General_Category in v2', () => {
+    const cases = {
+        '(': 'Punctuation:Open', ')': 'Punctuation:Close', '「': 'Punctuation:Open', '」': 'Punctuation:Close',
+        '-': 'Punctuation:Dash', '—': 'Punctuation:Dash', '«': 'Punctuation:Quote', '“': 'Punctuation:Quote',
+        '_': 'Punctuation:Connector', '"': 'Punctuation:Other', '!': 'Punctuation:Other', '、': 'Punctuation:Other',
+        '₩': 'Symbol:Currency', '＄': 'Symbol:Currency', '∑': 'Symbol:Math',
+    };
+    for (const [char, expected] of Object.entries(cases)) assert.equal(label(char), expected, char);
+});
+
+test('ASCII symbols move from Punctuation to Symbol in v2', () => {
+    const cases = { '$': 'Symbol:Currency', '+': 'Symbol:Math', '<': 'Symbol:Math', '|': 'Symbol:Math', '~': 'Symbol:Math',
+        '^': 'Symbol:Modifier', '`': 'Symbol:Modifier' };
+    for (const [char, expected] of Object.entries(cases)) {
+        assert.equal(label(char), expected, char);
+        assert.deepEqual(getCharacterType(char), { main: 'Punctuation', sub: 'ASCII', id: 'punctuation.ascii' }, char);
+    }
+});
+
+test('v1 stays the default and keeps its labels', () => {
+    assert.deepEqual(getCharacterType('É'), { main: 'Latin', sub: 'Letter', id: 'latin.letter' });
+    assert.deepEqual(getCharacterType('1'), { main: 'Digit', sub: 'ASCII', id: 'digit.ascii' });
+    assert.deepEqual(getCharacterType('५', { taxonomy: 'v1' }), { main: 'Digit', sub: 'Decimal', id: 'digit.decimal' });
+    assert.equal(getCharacterType('₩').sub, undefined);
+    assert.throws(() => getCharacterType('a', { taxonomy: 'v3' }), RangeError);
+});
+
+test('analyzeText groups by the v2 sub-labels', () => {
+    const { breakdown } = analyzeText('₩5,000 ५', { granularity: 'sub', taxonomy: 'v2' });
+    assert.deepEqual(Object.keys(breakdown), [
+        'Symbol:Currency', 'Digit:Common', 'Punctuation:Other', 'Whitespace:Space Separator', 'Digit:Devanagari',
+    ]);
+    assert.deepEqual([breakdown['Digit:Common'].id, breakdown['Digit:Common'].count], ['digit.common', 4]);
+    // main 단위 집계는 v1과 같습니다.
+    assert.deepEqual(Object.keys(analyzeText('É(', { taxonomy: 'v2' }).breakdown), ['Latin', 'Punctuation']);
+});
+
+test('createClassifier and the bundled tables give the same v2 labels', () => {
+    const native = createClassifier({ taxonomy: 'v2' });
+    const bundled = createClassifier({ taxonomy: 'v2', data: 'bundled' });
+    const text = 'AÉǅʰЖ中1५٣(-«_!$+^₩∑';
+    for (const char of text) assert.deepEqual(bundled.getCharacterType(char), native.getCharacterType(char), char);
+    assert.deepEqual(native.getCharacterType('É'), getCharacterType('É', { taxonomy: 'v2' }));
+});
@@ -0,0 +1,68 @@
+// 위치 정보가 있는 토큰 분할(tokenize)과 analyzeText({ positions }) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeText, createClassifier, tokenize } from '../src/index.js';
+
+/**
+ * @param {string} text
+ * @param {object} [options]
+ * @returns {Array<[string, number, number]>} - [text, line, column]
+ */
+function positions(text, options) {
+    return tokenize(text, options).map((t) => [t.text, t.line, t.column]);
+}
+
+test('tokens group consecutive characters of the same category', () => {
+    assert.deepEqual(tokenize('ab가'), [
+        { label: 'Latin', id: 'latin', main: 'Latin', text: 'ab', start: 0, end: 2,
+            codePointStart: 0, codePointEnd: 2, line: 1, column: 1 },
+        { label: 'Hangul', id: 'hangul', main: 'Hangul', text: '가', start: 2, end: 3,
+            codePointStart: 2, codePointEnd: 3, line: 1, column: 3 },
+    ]);
+    assert.deepEqual(tokenize(''), []);
+    assert.throws(() => tokenize(null), TypeError);
+    assert.throws(() => tokenize('a', { granularity: 'word' }), RangeError);
+});
+
+test('UTF-16 and code point offsets differ after astral characters', () => {
+    const [a, emoji, b] = tokenize('a😀b', { granularity: 'sub' });
+    assert.deepEqual([a.label, a.start, a.end, a.codePointStart, a.codePointEnd], ['Latin:Lowercase', 0, 1, 0, 1]);
+    assert.deepEqual([emoji.sub, emoji.start, emoji.end, emoji.codePointStart, emoji.codePointEnd], ['Extended Pictographic', 1, 3, 1, 2]);
+    assert.deepEqual([b.start, b.end, b.codePointStart, b.codePointEnd, b.column], [3, 4, 2, 3, 4]);
+});
+
+test('line and column count LF, CR and CRLF as one line break each', () => {
+    assert.deepEqual(positions('ab\r\n가나\rc\nd'), [
+        ['ab', 1, 1], ['\r\n', 1, 3], ['가나', 2, 1], ['\r', 2, 3], ['c', 3, 1], ['\n', 3, 2], ['d', 4, 1],
+    ]);
+    // CR과 LF가 다른 토큰으로 갈라져도 CRLF는 한 번만 셉니다.
+    const split = createClassifier({ overrides: { '\r': { main: 'CR' } } }).tokenize('a\r\nb');
+    assert.deepEqual(split.map((t) => [t.text, t.line, t.column]), [['a', 1, 1], ['\r', 1, 2], ['\n', 1, 3], ['b', 2, 1]]);
+    assert.deepEqual(positions('x\n\ny'), [['x', 1, 1], ['\n\n', 1, 2], ['y', 3, 1]]);
+});
+
+test('grapheme unit keeps clusters whole and locale translates labels', () => {
+    const [family, x] = tokenize('👨\u200D👩\u200D👧x', { unit: 'grapheme' });
+    assert.deepEqual([family.text, family.end, family.codePointEnd], ['👨\u200D👩\u200D👧', 8, 5]);
+    assert.deepEqual([x.column, x.codePointStart], [9, 5]);
+
+    const [upper] = tokenize('Ab', { granularity: 'sub', locale: 'ko' });
+    assert.deepEqual([upper.label, upper.id, upper.main, upper.sub], ['라틴 문자:대문자', 'latin.uppercase', 'Latin', 'Uppercase']);
+});
+
+test('classifier instances tokenize with their own configuration', () => {
+    const classifier = createClassifier({ overrides: { '@': { main: 'At' } } });
+    assert.deepEqual(classifier.tokenize('a@b').map((t) => t.label), ['Latin', 'At', 'Latin']);
+});
+
+test('analyzeText({ positions: true }) records the UTF-16 offset of every occurrence', () => {
+    const result = analyzeText('a😀a\r\nb', { positions: true });
+    assert.deepEqual(result.breakdown.Latin.positions, [0, 3, 6]);
+    assert.deepEqual(result.breakdown.Emoji.positions, [1]);
+    assert.deepEqual(result.breakdown.Whitespace.positions, [4, 5]);
+    assert.equal('positions' in analyzeText('a').breakdown.Latin, false);
+    assert.throws(() => analyzeText('a', { positions: 'yes' }), TypeError);
+});
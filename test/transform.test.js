@@ -0,0 +1,55 @@
+// 분류 기반 텍스트 변환(transform) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassifier, transform } from '../src/index.js';
+
+test('rules remove, replace or collapse characters by label', () => {
+    assert.equal(transform('x\u200By\u00ADz  \t w', { Format: 'remove', Whitespace: { collapse: ' ' } }), 'x yz w');
+    assert.equal(transform('a1b22', { Digit: { collapse: (run) => `<${run.length}>` } }), 'a<1>b<2>');
+    assert.equal(transform('Ab', { Latin: { replace: (ch, type) => type.sub } }), 'UppercaseLowercase');
+});
+
+test('the longest key at a ":" boundary wins', () => {
+    assert.equal(transform('a\tb c', { 'Whitespace': 'remove', 'Whitespace:Control': { replace: '→' } }), 'a→bc');
+    // 'Whitespace:Cont'처럼 ':' 경계가 아닌 접두사는 일치하지 않습니다.
+    assert.equal(transform('a\tb', { 'Whitespace:Cont': 'remove' }), 'a\tb');
+});
+
+test('CRLF is handled as one character', () => {
+    assert.equal(transform('a\r\nb', { 'Whitespace:Control:Line Break': { replace: '⏎' } }), 'a⏎b');
+    assert.equal(transform('a\r\n\r\nb', { 'Whitespace:Control:Line Break': { collapse: (run) => `[${run.length}]` } }), 'a[4]b');
+});
+
+test('normalize-whitespace maps every Whitespace sub-type to a space or a line feed', () => {
+    assert.equal(transform('a\u00A0b\tc\r\nd\u200Be\u3000f\u2003g\rh', 'normalize-whitespace'), 'a b c\nde f g\nh');
+});
+
+test('fold-width folds fullwidth ASCII and halfwidth katakana', () => {
+    assert.equal(transform('ＡＢＣ\u3000１２３！', 'fold-width'), 'ABC 123!');
+    // 합성할 수 없는 탁점은 ゛로 남습니다.
+    assert.equal(transform('ｶﾞｷﾞﾊﾟｱﾞ｡', 'fold-width'), 'ガギパア゛。');
+});
+
+test('strip-invisible keeps only the invisible characters inside emoji sequences', () => {
+    const flag = '\u{1F3F4}\u{E0067}\u{E0062}\u{E0073}\u{E0063}\u{E0074}\u{E007F}';
+    assert.equal(transform('x\u200By\u00ADz\u200D\u202E', 'strip-invisible'), 'xyz');
+    assert.equal(transform(`👩\u200D💻 ${flag} ❤\uFE0F a\uFE0F`, 'strip-invisible'), `👩\u200D💻 ${flag} ❤\uFE0F a`);
+    // 🏴 없이 나온 태그 문자와 이모지 뒤가 아닌 ZWJ는 제거합니다.
+    assert.equal(transform('a\u{E0068}\u{E0069}\u200D👩', 'strip-invisible'), 'a👩');
+});
+
+test('an array of rules runs in order and instances use their own labels', () => {
+    assert.equal(transform('ＡＢ\u3000\u200Bｶﾞ\r\n', ['fold-width', 'strip-invisible', 'normalize-whitespace']), 'AB ガ\n');
+    const classifier = createClassifier({ overrides: { '@': { main: 'At' } } });
+    assert.equal(classifier.transform('a@b', { At: { replace: ' at ' } }), 'a at b');
+});
+
+test('invalid rules and input are rejected', () => {
+    assert.throws(() => transform('a', 'nope'), /Unknown transform preset: "nope"/);
+    assert.throws(() => transform('a', { Latin: 'drop' }), /rules\["Latin"\] must be/);
+    assert.throws(() => transform('a', 42), TypeError);
+    assert.throws(() => transform(1, 'fold-width'), TypeError);
+});
@@ -0,0 +1,72 @@
+// 내장 유니코드 테이블(data 옵션, unicodeVersion) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { analyzeText, createClassifier, getCharacterType, unicodeVersion } from '../src/index.js';
+
+/** 런타임 정규식 엔진의 유니코드 버전('X.Y.Z') */
+const RUNTIME_VERSION = process.versions.unicode.split('.').concat(['0', '0']).slice(0, 3).join('.');
+
+/** 할당된 문자가 있는 평면(0~3)과 태그·이체 선택자 블록 */
+const SAMPLE = Uint32Array.from({ length: 0x40000 + 0x200 }, (_, i) => (i < 0x40000 ? i : 0xE0000 + i - 0x40000));
+
+test('unicodeVersion reports the bundled tables and the runtime version', () => {
+    assert.equal(unicodeVersion, '16.0.0');
+    assert.equal(analyzeText('😀', { data: 'bundled' }).unicodeVersion, '16.0.0');
+    assert.equal(analyzeText('😀', { data: 'native' }).unicodeVersion, RUNTIME_VERSION);
+    assert.equal(createClassifier({ data: 'bundled' }).unicodeVersion, '16.0.0');
+});
+
+test('data: bundled labels characters newer than the runtime', () => {
+    // U+1FAE9 FACE WITH BAGS UNDER EYES(16.0), U+2EBF0 CJK 확장 I(15.1), U+31350 CJK 확장 H(15.0)
+    assert.equal(getCharacterType('\u{1FAE9}', { data: 'bundled' }).main, 'Emoji');
+    assert.equal(getCharacterType('\u{2EBF0}', { data: 'bundled' }).main, 'Han Ideograph');
+    assert.equal(getCharacterType('\u{31350}', { data: 'bundled' }).main, 'Han Ideograph');
+    assert.deepEqual(getCharacterType('\u{10D50}', { data: 'bundled' }), {
+        main: 'Letter', sub: 'Other Script', id: 'letter.other_script',
+    });
+});
+
+test('bundled and native agree when the runtime has the same Unicode version', { skip: RUNTIME_VERSION !== unicodeVersion }, () => {
+    for (const taxonomy of ['v1', 'v2']) {
+        const native = createClassifier({ data: 'native', taxonomy, cacheSize: Infinity }).classifyCodePoints(SAMPLE);
+        const bundled = createClassifier({ data: 'bundled', taxonomy, cacheSize: Infinity }).classifyCodePoints(SAMPLE);
+        for (let i = 0; i < SAMPLE.length; i++) {
+            if (native[i] !== bundled[i]) assert.fail(`U+${SAMPLE[i].toString(16).toUpperCase()} (${taxonomy})`);
+        }
+    }
+});
+
+test('data: auto falls back to the bundled tables without \\p{...} support', () => {
+    // \p{...} 정규식을 지원하지 않는 런타임을 흉내 낸 자식 프로세스에서 실행합니다.
+    const script = `
+        const NativeRegExp = RegExp;
+        globalThis.RegExp = function RegExp(source, flags) {
+            if (String(source).includes('\\\\p{')) throw new SyntaxError('Invalid regular expression');
+            return new NativeRegExp(source, flags);
+        };
+        const { analyzeText, getCharacterType } = await import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)});
+        const result = analyzeText('Hello, 世界! Привет 😀', { granularity: 'sub' });
+        console.log(JSON.stringify({
+            unicodeVersion: result.unicodeVersion,
+            labels: Object.keys(result.breakdown).sort(),
+            cyrillic: getCharacterType('ж'),
+        }));
+    `;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 30000 });
+    assert.equal(child.status, 0, child.stderr);
+    const expected = analyzeText('Hello, 世界! Привет 😀', { granularity: 'sub', data: 'bundled' });
+    assert.deepEqual(JSON.parse(child.stdout), {
+        unicodeVersion: '16.0.0',
+        labels: Object.keys(expected.breakdown).sort(),
+        cyrillic: getCharacterType('ж', { data: 'bundled' }),
+    });
+});
+
+test('an unknown data source is rejected', () => {
+    assert.throws(() => getCharacterType('a', { data: 'remote' }), /data must be 'auto', 'native' or 'bundled'/);
+    assert.throws(() => analyzeText('a', { data: 'x' }), RangeError);
+});
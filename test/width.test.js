@@ -0,0 +1,73 @@
+// East Asian Width와 표시 폭(getEastAsianWidth, measureWidth, truncateToWidth, padToWidth) 테스트
+
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEastAsianWidth, measureWidth, padToWidth, truncateToWidth } from '../src/index.js';
+
+test('getEastAsianWidth reads the bundled EastAsianWidth table', () => {
+    const cases = { 'a': 'Na', '가': 'W', 'Ａ': 'F', 'ｱ': 'H', '±': 'A', '\u0301': 'A', '😀': 'W', '€': 'A', 'ß': 'A', 'Ā': 'N' };
+    for (const [char, eaw] of Object.entries(cases)) assert.equal(getEastAsianWidth(char), eaw, char);
+    assert.throws(() => getEastAsianWidth(''), TypeError);
+});
+
+test('measureWidth counts wide, narrow and zero-width characters like wcwidth', () => {
+    assert.equal(measureWidth('abc'), 3);
+    assert.equal(measureWidth('한국어'), 6);
+    assert.equal(measureWidth('ＡＢ'), 4);
+    assert.equal(measureWidth('ｱｲ'), 2);
+    assert.equal(measureWidth('\t'), 0);
+    assert.equal(measureWidth(''), 0);
+    assert.equal(measureWidth('±'), 1);
+    assert.equal(measureWidth('±', { ambiguousAsWide: true }), 2);
+});
+
+test('combining marks, ZWJ and conjoining jamo take no columns of their own', () => {
+    assert.equal(measureWidth('e\u0301'), 1);
+    assert.equal(measureWidth('e\u0301\u0323'), 1);
+    assert.equal(measureWidth('a\u200Db'), 2);
+    assert.equal(measureWidth('\u1112\u1161\u11AB'), 2);
+    assert.equal(measureWidth('\u1100\u119E\u11AF'), 2);
+});
+
+test('emoji sequences and presentation selectors', () => {
+    assert.equal(measureWidth('👨\u200D👩\u200D👧'), 2);
+    assert.equal(measureWidth('🇰🇷'), 2);
+    assert.equal(measureWidth('1\uFE0F\u20E3'), 2);
+    assert.equal(measureWidth('👍🏽'), 2);
+    // VS16은 텍스트 표현 기본인 문자를 2칸으로, VS15는 이모지 표현 기본인 문자를 1칸으로 만듭니다.
+    assert.equal(measureWidth('❤'), 1);
+    assert.equal(measureWidth('❤\uFE0F'), 2);
+    assert.equal(measureWidth('😀\uFE0E'), 1);
+    assert.equal(measureWidth('😀\uFE0F', { data: 'bundled' }), 2);
+});
+
+test('truncateToWidth never splits a grapheme cluster', () => {
+    assert.equal(truncateToWidth('한국어입니다', 7), '한국어…');
+    assert.equal(truncateToWidth('한국어', 6), '한국어');
+    assert.equal(truncateToWidth('abcdef', 4, { ellipsis: '' }), 'abcd');
+    assert.equal(truncateToWidth('👨\u200D👩\u200D👧abc', 3), '👨\u200D👩\u200D👧…');
+    assert.equal(truncateToWidth('e\u0301e\u0301e\u0301', 2), 'e\u0301…');
+    // 생략 기호가 width보다 넓으면 붙이지 않습니다.
+    assert.equal(truncateToWidth('abc', 1, { ellipsis: '...' }), 'a');
+    assert.equal(truncateToWidth('한국', 1), '…');
+    assert.equal(truncateToWidth('한국', 0), '');
+});
+
+test('padToWidth pads by display width', () => {
+    assert.equal(padToWidth('한', 4), '한  ');
+    assert.equal(padToWidth('한', 5, { align: 'right' }), '   한');
+    assert.equal(padToWidth('ab', 5, { align: 'center', fill: '.' }), '.ab..');
+    assert.equal(padToWidth('한국어', 2), '한국어');
+});
+
+test('invalid arguments are rejected', () => {
+    assert.throws(() => padToWidth('a', 3, { fill: '가' }), /fill must be a string one column wide/);
+    assert.throws(() => padToWidth('a', 3, { align: 'middle' }), RangeError);
+    assert.throws(() => truncateToWidth('a', -1), RangeError);
+    assert.throws(() => truncateToWidth('a', 1.5), RangeError);
+    assert.throws(() => measureWidth('a', { ambiguousAsWide: 1 }), TypeError);
+    assert.throws(() => measureWidth('a', { data: 'x' }), RangeError);
+    assert.throws(() => measureWidth(1), TypeError);
+});